@@ -18,6 +18,45 @@ module.exports = {
       error_file: '/home/ubuntu/logs/hospient-api-live-error.log',
       log_date_format: 'YYYY-MM-DD HH:mm Z'
     },
+    {
+      name: 'hospient-dispatcher-live',
+      script: 'src/workers/communication-dispatcher.js',
+      cwd: '/var/www/api.hospient.com',
+      instances: 1,
+      exec_mode: 'fork',
+      autorestart: true,
+      watch: false,
+      max_memory_restart: '512M',
+      kill_timeout: 10000,
+      env: {
+        NODE_ENV: 'production',
+        COMMUNICATION_DISPATCH_INTERVAL_MS: 60000
+      },
+      log_file: '/home/ubuntu/logs/hospient-dispatcher-live-combined.log',
+      out_file: '/home/ubuntu/logs/hospient-dispatcher-live-out.log',
+      error_file: '/home/ubuntu/logs/hospient-dispatcher-live-error.log',
+      log_date_format: 'YYYY-MM-DD HH:mm Z'
+    },
+    {
+      name: 'hospient-realtime-live',
+      script: 'src/workers/realtime-server.js',
+      cwd: '/var/www/api.hospient.com',
+      instances: 1,
+      exec_mode: 'fork',
+      autorestart: true,
+      watch: false,
+      max_memory_restart: '512M',
+      kill_timeout: 10000,
+      env: {
+        NODE_ENV: 'production',
+        REALTIME_PORT: 3003,
+        REALTIME_BUS: 'redis'
+      },
+      log_file: '/home/ubuntu/logs/hospient-realtime-live-combined.log',
+      out_file: '/home/ubuntu/logs/hospient-realtime-live-out.log',
+      error_file: '/home/ubuntu/logs/hospient-realtime-live-error.log',
+      log_date_format: 'YYYY-MM-DD HH:mm Z'
+    },
     {
       name: 'hospient-api-test',
       script: 'src/index.js',
@@ -0,0 +1,143 @@
+// Allergens and dietary tags of menu items.
+// Allergens are the 14 the EU requires to be declared (Regulation 1169/2011,
+// Annex II); codes are what the API stores and filters on.
+
+const ALLERGENS = {
+  gluten: 'Cereals containing gluten',
+  crustaceans: 'Crustaceans',
+  eggs: 'Eggs',
+  fish: 'Fish',
+  peanuts: 'Peanuts',
+  soy: 'Soybeans',
+  milk: 'Milk',
+  nuts: 'Tree nuts',
+  celery: 'Celery',
+  mustard: 'Mustard',
+  sesame: 'Sesame',
+  sulphites: 'Sulphur dioxide and sulphites',
+  lupin: 'Lupin',
+  molluscs: 'Molluscs'
+};
+
+const DIETARY_TAGS = {
+  vegetarian: 'Vegetarian',
+  vegan: 'Vegan',
+  halal: 'Halal',
+  kosher: 'Kosher',
+  'gluten-free': 'Gluten-free',
+  'dairy-free': 'Dairy-free'
+};
+
+// Other ways menus and POS exports name them
+const ALLERGEN_SYNONYMS = {
+  'cereals containing gluten': 'gluten',
+  wheat: 'gluten',
+  rye: 'gluten',
+  barley: 'gluten',
+  oats: 'gluten',
+  spelt: 'gluten',
+  crustacean: 'crustaceans',
+  shellfish: 'crustaceans',
+  egg: 'eggs',
+  peanut: 'peanuts',
+  soya: 'soy',
+  soybean: 'soy',
+  soybeans: 'soy',
+  dairy: 'milk',
+  lactose: 'milk',
+  nut: 'nuts',
+  'tree nut': 'nuts',
+  'tree nuts': 'nuts',
+  'sesame seeds': 'sesame',
+  sulfites: 'sulphites',
+  sulphite: 'sulphites',
+  sulfite: 'sulphites',
+  'sulphur dioxide': 'sulphites',
+  'sulfur dioxide': 'sulphites',
+  lupine: 'lupin',
+  mollusc: 'molluscs',
+  mollusk: 'molluscs',
+  mollusks: 'molluscs'
+};
+
+const DIETARY_SYNONYMS = {
+  veggie: 'vegetarian',
+  'gluten free': 'gluten-free',
+  gf: 'gluten-free',
+  'dairy free': 'dairy-free',
+  'lactose-free': 'dairy-free',
+  'lactose free': 'dairy-free'
+};
+
+// Tags that come with another one
+const IMPLIED_TAGS = {
+  vegan: ['vegetarian', 'dairy-free']
+};
+
+// Allergens an item with the tag cannot contain
+const TAG_CONFLICTS = {
+  vegetarian: ['fish', 'crustaceans', 'molluscs'],
+  vegan: ['fish', 'crustaceans', 'molluscs', 'eggs', 'milk'],
+  'gluten-free': ['gluten'],
+  'dairy-free': ['milk']
+};
+
+// "none" declares that an item has no allergens, which is not the same as
+// not having declared them
+const NONE = ['none', 'no allergens'];
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Split a list ("Milk, Tree nuts" or ['milk', 'nuts']) into codes. Terms
+ * that are neither a code nor a synonym are returned in `unknown`.
+ */
+const normalize = (value, vocabulary, synonyms) => {
+  const terms = (Array.isArray(value) ? value : String(value).split(/[,;|\n]/))
+    .map(term => String(term).trim().toLowerCase())
+    .filter(term => term && !NONE.includes(term));
+
+  const codes = [];
+  const unknown = [];
+  for (const term of terms) {
+    // Own keys only, so "constructor" or "__proto__" are not taken for codes
+    const code = hasOwn(vocabulary, term) ? term : (hasOwn(synonyms, term) ? synonyms[term] : null);
+    if (!code) {
+      unknown.push(term);
+    } else if (!codes.includes(code)) {
+      codes.push(code);
+    }
+  }
+  return { codes, unknown };
+};
+
+const isAllergen = (code) => hasOwn(ALLERGENS, code);
+const isDietaryTag = (code) => hasOwn(DIETARY_TAGS, code);
+
+const normalizeAllergens = (value) => normalize(value, ALLERGENS, ALLERGEN_SYNONYMS);
+
+const normalizeDietaryTags = (value) => {
+  const { codes, unknown } = normalize(value, DIETARY_TAGS, DIETARY_SYNONYMS);
+  for (const code of [...codes]) {
+    for (const implied of (hasOwn(IMPLIED_TAGS, code) && IMPLIED_TAGS[code]) || []) {
+      if (!codes.includes(implied)) codes.push(implied);
+    }
+  }
+  return { codes, unknown };
+};
+
+// Tags that the declared allergens rule out, as "vegan: milk" messages
+const conflicts = (allergens, tags) => tags
+  .map(tag => ({ tag, found: ((hasOwn(TAG_CONFLICTS, tag) && TAG_CONFLICTS[tag]) || []).filter(code => allergens.includes(code)) }))
+  .filter(conflict => conflict.found.length > 0)
+  .map(conflict => `${conflict.tag}: ${conflict.found.join(', ')}`);
+
+module.exports = {
+  ALLERGENS,
+  DIETARY_TAGS,
+  isAllergen,
+  isDietaryTag,
+  normalizeAllergens,
+  normalizeDietaryTags,
+  conflicts
+};
@@ -0,0 +1,70 @@
+// Staff roles and the permissions each role grants.
+// Permissions are "resource:action" strings; '*' and 'resource:*' / '*:action' act as wildcards.
+
+const ROLES = {
+  OWNER: 'owner',
+  FRONT_DESK: 'front_desk',
+  FB_MANAGER: 'fb_manager',
+  SPA_MANAGER: 'spa_manager',
+  CONCIERGE_AGENT: 'concierge_agent',
+  AUDITOR: 'auditor'
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: ['*'],
+  [ROLES.FRONT_DESK]: [
+    'hotels:read',
+    'rooms:*',
+    'stays:*',
+    'restaurants:read',
+    'menus:read',
+    'concierge:*',
+    'communications:*',
+    'chat:*',
+    'meetings:read',
+    'spa:read',
+    'content:read',
+    'dashboard:read'
+  ],
+  [ROLES.FB_MANAGER]: [
+    'hotels:read',
+    'restaurants:*',
+    'menus:*',
+    'meetings:read',
+    'communications:read',
+    'dashboard:read'
+  ],
+  [ROLES.SPA_MANAGER]: [
+    'hotels:read',
+    'spa:*',
+    'communications:read',
+    'dashboard:read'
+  ],
+  [ROLES.CONCIERGE_AGENT]: [
+    'hotels:read',
+    'stays:read',
+    'concierge:*',
+    'chat:*',
+    'communications:read'
+  ],
+  [ROLES.AUDITOR]: ['*:read']
+};
+
+const hasPermission = (role, permission) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  const [resource, action] = permission.split(':');
+
+  return granted.some(p =>
+    p === '*' ||
+    p === permission ||
+    p === `${resource}:*` ||
+    p === `*:${action}`
+  );
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  STAFF_ROLES: Object.values(ROLES).filter(role => role !== ROLES.OWNER),
+  hasPermission
+};
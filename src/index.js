@@ -5,18 +5,34 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 // Use lazy-loaded models to avoid immediate database connection
 const loadModels = require('./models/lazy-models');
-const { publicRateLimit, authRateLimit } = require('./middleware/rate-limit.middleware');
-// Remove WebSocket server import for serverless compatibility
-// const NotificationWebSocketServer = require('./websocket/notificationServer');
+const { publicRateLimit, authRateLimit, streamRateLimit } = require('./middleware/rate-limit.middleware');
+// The WebSocket server is only loaded when running as a long-lived server, never on serverless
 const authRoutes = require('./routes/auth.routes');
 const guestAuthRoutes = require('./routes/guest.auth.routes');
 const guestRoutes = require('./routes/guest.routes');
+const guestConciergeRoutes = require('./routes/guest.concierge.routes');
+const guestStayRoutes = require('./routes/guest.stay.routes');
+const guestDeviceRoutes = require('./routes/guest.device.routes');
+const guestNotificationRoutes = require('./routes/guest.notification.routes');
+const guestNotificationStreamRoutes = require('./routes/guest.notification-stream.routes');
+const guestFeedbackRoutes = require('./routes/guest.feedback.routes');
+const guestChatRoutes = require('./routes/guest.chat.routes');
+const guestDiningRoutes = require('./routes/guest.dining.routes');
 const memberRoutes = require('./routes/member.routes');
+const staffRoutes = require('./routes/staff.routes');
 const organizationRoutes = require('./routes/organization.routes');
 const hotelRoutes = require('./routes/hotel.routes');
 const roomRoutes = require('./routes/room.routes');
+const roomUnitRoutes = require('./routes/room-unit.routes');
+const stayRoutes = require('./routes/stay.routes');
+const onlineCheckInRoutes = require('./routes/online-check-in.routes');
+const expressCheckoutRoutes = require('./routes/express-checkout.routes');
 const restaurantRoutes = require('./routes/restaurant.routes');
 const menuRoutes = require('./routes/menu.routes');
+const diningOrderRoutes = require('./routes/dining-order.routes');
+const restaurantTableRoutes = require('./routes/restaurant-table.routes');
+const menuModifierGroupRoutes = require('./routes/menu-modifier-group.routes');
+const restaurantReservationRoutes = require('./routes/restaurant-reservation.routes');
 const fileCategoryRoutes = require('./routes/file-category.routes');
 const fileRoutes = require('./routes/file.routes');
 const imageRoutes = require('./routes/images.js');
@@ -24,15 +40,21 @@ const path = require('path');
 const conciergeRoutes = require('./routes/concierge');
 const offerRoutes = require('./routes/offer.routes');
 const communicationRoutes = require('./routes/communication.routes');
+const audienceSegmentRoutes = require('./routes/audience-segment.routes');
+const surveyRoutes = require('./routes/survey.routes');
 const dashboardRoutes = require('./routes/dashboard');
 const meetingRoutes = require('./routes/meeting.route');
 const meetingRoomRoutes = require('./routes/meeting-room.route');
+const eventCatalogRoutes = require('./routes/event-catalog.routes');
+const eventQuoteRoutes = require('./routes/event-quote.routes');
+const calendarFeedRoutes = require('./routes/calendar-feed.routes');
 const wellnessSpaRoutes = require('./routes/wellness-spa.route');
 const hotelLandingPageRoutes = require('./routes/hotel-landing-page.route');
 const hotelSectionsRoutes = require('./routes/hotel-sections.route');
 const chatRoutes = require('./routes/chat.routes');
 const integrationRoutes = require('./routes/integration.routes');
 const webhookRoutes = require('./routes/webhook.routes');
+const cronRoutes = require('./routes/cron.routes');
 // Remove HTTP and Socket.io imports for serverless compatibility
 // const http = require('http');
 // const socketIo = require('socket.io');
@@ -49,6 +71,9 @@ const publicMeetingRoomRoutes = require('./routes/public.meeting-room.route');
 const publicWellnessSpaRoutes = require('./routes/public.wellness-spa.route');
 const publicHotelLandingPageRoutes = require('./routes/public.hotel-landing-page.route');
 const publicHotelSectionsRoutes = require('./routes/public.hotel-sections.route');
+const publicSurveyRoutes = require('./routes/public.survey.routes');
+const publicEventQuoteRoutes = require('./routes/public.event-quote.routes');
+const publicCalendarFeedRoutes = require('./routes/public.calendar-feed.routes');
 
 const app = express();
 
@@ -162,10 +187,22 @@ app.use('/api/public/meeting-rooms', publicRateLimit, publicMeetingRoomRoutes);
 app.use('/api/public/wellness-spa', publicRateLimit, publicWellnessSpaRoutes);
 app.use('/api/public/hotel-landing-pages', publicRateLimit, publicHotelLandingPageRoutes);
 app.use('/api/public/hotel-sections', publicRateLimit, publicHotelSectionsRoutes);
+app.use('/api/public/surveys', publicRateLimit, publicSurveyRoutes);
+app.use('/api/public/event-quotes', publicRateLimit, publicEventQuoteRoutes);
+app.use('/api/public/calendar-feeds', publicRateLimit, publicCalendarFeedRoutes);
 app.use('/api/chat', publicRateLimit, chatRoutes);
 
 // Guest authentication routes - for App users
 app.use('/api/guest/auth', publicRateLimit, guestAuthRoutes);
+app.use('/api/guest/concierge', publicRateLimit, guestConciergeRoutes);
+app.use('/api/guest/stays', publicRateLimit, guestStayRoutes);
+app.use('/api/guest/devices', publicRateLimit, guestDeviceRoutes);
+// Mounted first: EventSource reconnects every few seconds, which the public limit would soon block
+app.use('/api/guest/notifications/stream', streamRateLimit, guestNotificationStreamRoutes);
+app.use('/api/guest/notifications', publicRateLimit, guestNotificationRoutes);
+app.use('/api/guest/feedback', publicRateLimit, guestFeedbackRoutes);
+app.use('/api/guest/chat', publicRateLimit, guestChatRoutes);
+app.use('/api/guest/dining', publicRateLimit, guestDiningRoutes);
 
 // Guest management routes - for Admin panel
 app.use('/api/guests', guestRoutes);
@@ -173,20 +210,34 @@ app.use('/api/guests', guestRoutes);
 // Protected routes (authentication required) - for Backoffice Admin
 app.use('/api/auth', authRateLimit, authRoutes);
 app.use('/api/members', memberRoutes);
+app.use('/api/staff', staffRoutes);
 app.use('/api/organizations', organizationRoutes);
 app.use('/api/hotels', hotelRoutes);
 app.use('/api/rooms', roomRoutes);
+app.use('/api/room-units', roomUnitRoutes);
+app.use('/api/stays', stayRoutes);
+app.use('/api/check-ins', onlineCheckInRoutes);
+app.use('/api/checkouts', expressCheckoutRoutes);
 app.use('/api/restaurants', restaurantRoutes);
 app.use('/api/menus', menuRoutes);
+app.use('/api/dining-orders', diningOrderRoutes);
+app.use('/api/restaurant-tables', restaurantTableRoutes);
+app.use('/api/menu-modifier-groups', menuModifierGroupRoutes);
+app.use('/api/restaurant-reservations', restaurantReservationRoutes);
 app.use('/api/file-categories', fileCategoryRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api/images', imageRoutes);
 app.use('/api/concierge', conciergeRoutes);
 app.use('/api/offers', offerRoutes);
 app.use('/api/communications', communicationRoutes);
+app.use('/api/audience-segments', audienceSegmentRoutes);
+app.use('/api/surveys', surveyRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/meetings', meetingRoutes);
 app.use('/api/meeting-rooms', meetingRoomRoutes);
+app.use('/api/event-catalog', eventCatalogRoutes);
+app.use('/api/event-quotes', eventQuoteRoutes);
+app.use('/api/calendar-feeds', calendarFeedRoutes);
 app.use('/api/wellness-spa', wellnessSpaRoutes);
 app.use('/api/hotel-landing-pages', hotelLandingPageRoutes);
 app.use('/api/hotel-sections', hotelSectionsRoutes);
@@ -198,6 +249,9 @@ app.use('/api/integrations', integrationRoutes);
 // Webhook routes (no authentication required - uses signature validation)
 app.use('/api/webhooks', webhookRoutes);
 
+// Scheduled job routes (authenticated with CRON_SECRET)
+app.use('/api/cron', cronRoutes);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Error:', err);
@@ -263,6 +317,13 @@ const startServer = async () => {
 if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
   startServer().then(() => {
     const server = require('http').createServer(app);
+
+    // REALTIME_MODE=standalone serves WebSockets from src/workers/realtime-server.js instead
+    if ((process.env.REALTIME_MODE || 'embedded') === 'embedded') {
+      const NotificationWebSocketServer = require('./websocket/notificationServer');
+      new NotificationWebSocketServer(server);
+    }
+
     server.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
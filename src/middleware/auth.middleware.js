@@ -20,6 +20,12 @@ const authMiddleware = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     console.log('Token decoded:', decoded);
 
+    // Guest tokens are signed with the same secret; never treat them as member tokens
+    if (decoded.type === 'guest') {
+      console.log('Guest token used on a member route');
+      return res.status(401).json({ message: 'Invalid token' });
+    }
+
     // Get member from database
     const member = await Member.findByPk(decoded.id);
     if (!member) {
@@ -27,6 +33,11 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ message: 'Invalid token' });
     }
 
+    if (member.status && member.status !== 'active') {
+      console.log('Member account is not active:', member.id, member.status);
+      return res.status(401).json({ message: 'Account is not active' });
+    }
+
     console.log('Member found:', member.id, member.email);
 
     // Add member to request object
@@ -0,0 +1,42 @@
+const jwt = require('jsonwebtoken');
+const { Guest } = require('../models');
+
+// Authenticate a guest by the token issued from /api/guest/auth and set req.guest
+const guestAuthMiddleware = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'No token provided'
+      });
+    }
+
+    const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+    if (decoded.type !== 'guest') {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid token type'
+      });
+    }
+
+    const guest = await Guest.findByPk(decoded.id);
+    if (!guest || !guest.is_active) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid token'
+      });
+    }
+
+    req.guest = guest;
+    next();
+  } catch (error) {
+    console.error('Guest auth middleware error:', error.message);
+    res.status(401).json({
+      status: 'error',
+      message: 'Invalid token'
+    });
+  }
+};
+
+module.exports = guestAuthMiddleware;
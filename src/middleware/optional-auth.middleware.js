@@ -18,9 +18,9 @@ const optionalAuthMiddleware = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Get member from database
-    const member = await Member.findByPk(decoded.id);
-    if (!member) {
+    // Get member from database (guest tokens never identify a member)
+    const member = decoded.type === 'guest' ? null : await Member.findByPk(decoded.id);
+    if (!member || (member.status && member.status !== 'active')) {
       // Invalid token, continue without authentication
       req.member = null;
       req.isAuthenticated = false;
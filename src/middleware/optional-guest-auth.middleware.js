@@ -0,0 +1,30 @@
+const jwt = require('jsonwebtoken');
+const { Guest } = require('../models');
+
+// Set req.guest when a valid guest token is sent; public routes work without one
+const optionalGuestAuthMiddleware = async (req, res, next) => {
+  req.guest = null;
+
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return next();
+    }
+
+    const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+    if (decoded.type !== 'guest') {
+      return next();
+    }
+
+    const guest = await Guest.findByPk(decoded.id);
+    if (guest && guest.is_active) {
+      req.guest = guest;
+    }
+    next();
+  } catch (error) {
+    // Invalid or expired token, continue as an anonymous visitor
+    next();
+  }
+};
+
+module.exports = optionalGuestAuthMiddleware;
@@ -0,0 +1,93 @@
+const { Organization, Hotel, MemberHotel } = require('../models');
+const { ROLES, hasPermission } = require('../config/permissions');
+
+// Resolve the organization and the hotels a member may act on.
+// Owners see every hotel of their organization, staff only the hotels assigned to them.
+const resolveAccessContext = async (member) => {
+  const role = member.role || ROLES.OWNER;
+
+  const organization = role === ROLES.OWNER
+    ? await member.getOrganization()
+    : await Organization.findByPk(member.organization_id);
+
+  if (!organization) {
+    return { role, organization: null, hotelIds: [] };
+  }
+
+  let hotelIds;
+  if (role === ROLES.OWNER) {
+    const hotels = await Hotel.findAll({
+      where: { organization_id: organization.id },
+      attributes: ['id']
+    });
+    hotelIds = hotels.map(h => h.id);
+  } else {
+    const assignments = await MemberHotel.findAll({
+      where: { member_id: member.id },
+      include: [{
+        model: Hotel,
+        where: { organization_id: organization.id },
+        attributes: []
+      }],
+      attributes: ['hotel_id']
+    });
+    hotelIds = assignments.map(a => a.hotel_id);
+  }
+
+  return { role, organization, hotelIds };
+};
+
+// Pick the hotel a request targets, if any
+const getRequestedHotelId = (req, hotelParam) => {
+  const value = hotelParam
+    ? req.params[hotelParam]
+    : (req.params.hotelId || req.query.hotel_id || (req.body && req.body.hotel_id));
+
+  return value !== undefined && value !== null && value !== '' ? parseInt(value) : null;
+};
+
+/**
+ * Require a permission for the authenticated member (use after authMiddleware).
+ * Sets req.organization, req.role and req.hotelIds, and rejects requests that
+ * target a hotel outside the member's scope.
+ *
+ * Options:
+ *   hotelParam - route param holding the hotel ID (defaults to :hotelId, ?hotel_id or body.hotel_id)
+ */
+const requirePermission = (permission, options = {}) => async (req, res, next) => {
+  try {
+    if (!req.member) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    if (!req.organization) {
+      const context = await resolveAccessContext(req.member);
+      req.organization = context.organization;
+      req.role = context.role;
+      req.hotelIds = context.hotelIds;
+    }
+
+    if (!req.organization) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    if (!hasPermission(req.role, permission)) {
+      return res.status(403).json({ message: `Missing permission: ${permission}` });
+    }
+
+    const hotelId = getRequestedHotelId(req, options.hotelParam);
+    if (hotelId !== null && !req.hotelIds.includes(hotelId)) {
+      return res.status(403).json({ message: 'Hotel not found or access denied' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Permission middleware error:', error);
+    res.status(500).json({ message: 'Error checking permissions' });
+  }
+};
+
+module.exports = {
+  requirePermission,
+  resolveAccessContext
+};
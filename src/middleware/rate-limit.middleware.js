@@ -24,7 +24,20 @@ const authRateLimit = rateLimit({
   legacyHeaders: false,
 });
 
+// Server-Sent Event streams: clients reconnect about every 25 seconds
+const streamRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 1000, // Many guests share one hotel network address
+  message: {
+    error: 'Too many requests from this IP, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 module.exports = {
   publicRateLimit,
-  authRateLimit
+  authRateLimit,
+  streamRateLimit
 }; 
\ No newline at end of file
@@ -0,0 +1,105 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('members', 'organization_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: 'Employing organization for staff accounts (owners are linked via organizations.member_id)'
+    });
+
+    await queryInterface.addColumn('members', 'role', {
+      type: Sequelize.ENUM('owner', 'front_desk', 'fb_manager', 'spa_manager', 'concierge_agent', 'auditor'),
+      allowNull: false,
+      defaultValue: 'owner'
+    });
+
+    await queryInterface.addColumn('members', 'status', {
+      type: Sequelize.ENUM('invited', 'active', 'disabled'),
+      allowNull: false,
+      defaultValue: 'active'
+    });
+
+    await queryInterface.addColumn('members', 'invitation_token', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      unique: true
+    });
+
+    await queryInterface.addColumn('members', 'invitation_expires_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('members', 'invited_by', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.createTable('member_hotels', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      member_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'members',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'hotels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('members', ['organization_id']);
+    await queryInterface.addIndex('members', ['role']);
+    await queryInterface.addIndex('member_hotels', ['member_id', 'hotel_id'], { unique: true });
+    await queryInterface.addIndex('member_hotels', ['hotel_id']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('member_hotels');
+    await queryInterface.removeColumn('members', 'invited_by');
+    await queryInterface.removeColumn('members', 'invitation_expires_at');
+    await queryInterface.removeColumn('members', 'invitation_token');
+    await queryInterface.removeColumn('members', 'status');
+    await queryInterface.removeColumn('members', 'role');
+    await queryInterface.removeColumn('members', 'organization_id');
+  }
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // SLA targets per category
+    await queryInterface.addColumn('concierge_categories', 'sla_response_minutes', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Minutes allowed before work on a request starts'
+    });
+
+    await queryInterface.addColumn('concierge_categories', 'sla_resolution_minutes', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Minutes allowed until a request is done'
+    });
+
+    // Assignment and SLA deadlines per request
+    await queryInterface.addColumn('concierge_requests', 'assigned_to', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('concierge_requests', 'assigned_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('concierge_requests', 'started_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('concierge_requests', 'response_due_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('concierge_requests', 'resolution_due_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('concierge_requests', ['assigned_to']);
+    await queryInterface.addIndex('concierge_requests', ['status', 'response_due_at']);
+    await queryInterface.addIndex('concierge_requests', ['status', 'resolution_due_at']);
+
+    // Append-only status history
+    await queryInterface.createTable('concierge_request_status_history', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      request_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'concierge_requests',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      from_status: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      to_status: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      changed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'members',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      changed_by_guest: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'guests',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('concierge_request_status_history', ['request_id']);
+    await queryInterface.addIndex('concierge_request_status_history', ['created_at']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('concierge_request_status_history');
+
+    await queryInterface.removeIndex('concierge_requests', ['status', 'resolution_due_at']);
+    await queryInterface.removeIndex('concierge_requests', ['status', 'response_due_at']);
+    await queryInterface.removeIndex('concierge_requests', ['assigned_to']);
+
+    await queryInterface.removeColumn('concierge_requests', 'resolution_due_at');
+    await queryInterface.removeColumn('concierge_requests', 'response_due_at');
+    await queryInterface.removeColumn('concierge_requests', 'started_at');
+    await queryInterface.removeColumn('concierge_requests', 'assigned_at');
+    await queryInterface.removeColumn('concierge_requests', 'assigned_to');
+
+    await queryInterface.removeColumn('concierge_categories', 'sla_resolution_minutes');
+    await queryInterface.removeColumn('concierge_categories', 'sla_response_minutes');
+  }
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('concierge_requests', 'guest_rating', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: '1-5 rating given by the guest once the request is done'
+    });
+
+    await queryInterface.addColumn('concierge_requests', 'guest_rating_comment', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('concierge_requests', 'rated_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('concierge_requests', 'rated_at');
+    await queryInterface.removeColumn('concierge_requests', 'guest_rating_comment');
+    await queryInterface.removeColumn('concierge_requests', 'guest_rating');
+  }
+};
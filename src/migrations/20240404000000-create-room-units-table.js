@@ -0,0 +1,105 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('room_units', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'hotels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      room_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'rooms',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Room type of this unit'
+      },
+      room_number: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      floor: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      housekeeping_status: {
+        type: Sequelize.ENUM('dirty', 'clean', 'inspected', 'out_of_order'),
+        allowNull: false,
+        defaultValue: 'clean'
+      },
+      out_of_order_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      out_of_order_until: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      is_occupied: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status_updated_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      status_updated_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'members',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      status_source: {
+        type: Sequelize.ENUM('manual', 'pms'),
+        allowNull: false,
+        defaultValue: 'manual'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('room_units', ['hotel_id', 'room_number'], {
+      unique: true,
+      name: 'unique_room_number_per_hotel'
+    });
+    await queryInterface.addIndex('room_units', ['room_id']);
+    await queryInterface.addIndex('room_units', ['hotel_id', 'housekeeping_status']);
+    await queryInterface.addIndex('room_units', ['hotel_id', 'floor']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('room_units');
+  }
+};
@@ -0,0 +1,152 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('stays', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'hotels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      guest_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'guests',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      room_unit_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'room_units',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      room_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'rooms',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Booked room type'
+      },
+      confirmation_number: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      arrival_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      departure_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('reserved', 'checked_in', 'checked_out', 'cancelled', 'no_show'),
+        allowNull: false,
+        defaultValue: 'reserved'
+      },
+      adults: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      children: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      source: {
+        type: Sequelize.ENUM('direct', 'pms', 'ota', 'walk_in'),
+        allowNull: false,
+        defaultValue: 'direct'
+      },
+      external_reservation_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      external_source: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      special_requests: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      checked_in_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      checked_out_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('stays', ['hotel_id', 'confirmation_number'], {
+      unique: true,
+      name: 'unique_confirmation_number_per_hotel'
+    });
+    await queryInterface.addIndex('stays', ['hotel_id', 'external_source', 'external_reservation_id'], {
+      unique: true,
+      name: 'unique_external_reservation_per_hotel'
+    });
+    await queryInterface.addIndex('stays', ['guest_id']);
+    await queryInterface.addIndex('stays', ['room_unit_id']);
+    await queryInterface.addIndex('stays', ['hotel_id', 'arrival_date']);
+    await queryInterface.addIndex('stays', ['hotel_id', 'status']);
+
+    // PMS sync matches guests by their profile ID in the PMS
+    await queryInterface.addColumn('guests', 'external_id', {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    });
+    await queryInterface.addColumn('guests', 'external_source', {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    });
+    await queryInterface.addIndex('guests', ['external_source', 'external_id']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('guests', ['external_source', 'external_id']);
+    await queryInterface.removeColumn('guests', 'external_source');
+    await queryInterface.removeColumn('guests', 'external_id');
+
+    await queryInterface.dropTable('stays');
+  }
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('hotels', 'check_in_terms', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    await queryInterface.createTable('online_check_ins', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'hotels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      stay_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'stays',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      guest_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'guests',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'approved', 'rejected'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      registration_data: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      estimated_arrival_time: {
+        type: Sequelize.STRING(5),
+        allowNull: true
+      },
+      special_requests: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      terms_accepted: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      terms_accepted_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      submitted_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      reviewed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'members',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      rejection_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      pms_check_in_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      pms_error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('online_check_ins', ['hotel_id', 'status']);
+    await queryInterface.addIndex('online_check_ins', ['guest_id']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('online_check_ins');
+    await queryInterface.removeColumn('hotels', 'check_in_terms');
+  }
+};
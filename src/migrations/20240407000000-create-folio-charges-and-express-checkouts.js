@@ -0,0 +1,217 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('folio_charges', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'hotels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      stay_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'stays',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      source: {
+        type: Sequelize.ENUM('pos', 'pms', 'manual'),
+        allowNull: false,
+        defaultValue: 'manual'
+      },
+      external_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      category: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      posted_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      dispute_status: {
+        type: Sequelize.ENUM('open', 'upheld', 'dismissed'),
+        allowNull: true
+      },
+      dispute_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      disputed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      dispute_resolution: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      dispute_resolved_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'members',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      dispute_resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('folio_charges', ['stay_id']);
+    await queryInterface.addIndex('folio_charges', ['stay_id', 'source', 'external_id'], { unique: true });
+    await queryInterface.addIndex('folio_charges', ['hotel_id', 'dispute_status']);
+
+    await queryInterface.createTable('express_checkouts', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'hotels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      stay_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'stays',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      guest_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'guests',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'approved', 'rejected'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      balance: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      guest_notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      requested_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      reviewed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'members',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      rejection_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      pms_check_out_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      pms_error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      feedback_invitation_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'communications',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('express_checkouts', ['hotel_id', 'status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('express_checkouts');
+    await queryInterface.dropTable('folio_charges');
+  }
+};
@@ -0,0 +1,72 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('device_tokens', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      guest_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'guests',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      platform: {
+        type: Sequelize.ENUM('ios', 'android', 'web'),
+        allowNull: false
+      },
+      provider: {
+        type: Sequelize.ENUM('fcm', 'apns', 'webpush'),
+        allowNull: false
+      },
+      token: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      app_version: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      locale: {
+        type: Sequelize.STRING(10),
+        allowNull: true
+      },
+      last_seen_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_delivered_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('device_tokens', ['guest_id']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('device_tokens');
+  }
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.changeColumn('communications', 'status', {
+      type: Sequelize.ENUM('draft', 'sent', 'delivered', 'read', 'failed', 'expired'),
+      allowNull: true,
+      defaultValue: 'draft'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(
+      "UPDATE communications SET status = 'failed' WHERE status = 'expired'"
+    );
+    await queryInterface.changeColumn('communications', 'status', {
+      type: Sequelize.ENUM('draft', 'sent', 'delivered', 'read', 'failed'),
+      allowNull: true,
+      defaultValue: 'draft'
+    });
+  }
+};
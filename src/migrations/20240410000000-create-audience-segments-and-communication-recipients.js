@@ -0,0 +1,148 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('audience_segments', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'hotels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      criteria: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'members',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('audience_segments', ['hotel_id', 'name'], { unique: true });
+
+    await queryInterface.changeColumn('communications', 'recipient_type', {
+      type: Sequelize.ENUM('guest', 'walkin', 'all', 'specific', 'segment'),
+      allowNull: false,
+      defaultValue: 'all'
+    });
+
+    await queryInterface.addColumn('communications', 'segment_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'audience_segments',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      after: 'recipient_id'
+    });
+
+    await queryInterface.createTable('communication_recipients', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      communication_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'communications',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      guest_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'guests',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'sent', 'delivered', 'read', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      sent_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      delivered_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      read_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('communication_recipients', ['communication_id', 'guest_id'], { unique: true });
+    await queryInterface.addIndex('communication_recipients', ['guest_id']);
+    await queryInterface.addIndex('communication_recipients', ['status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('communication_recipients');
+    await queryInterface.removeColumn('communications', 'segment_id');
+    await queryInterface.sequelize.query(
+      "UPDATE communications SET recipient_type = 'specific' WHERE recipient_type = 'segment'"
+    );
+    await queryInterface.changeColumn('communications', 'recipient_type', {
+      type: Sequelize.ENUM('guest', 'walkin', 'all', 'specific'),
+      allowNull: false,
+      defaultValue: 'all'
+    });
+    await queryInterface.dropTable('audience_segments');
+  }
+};
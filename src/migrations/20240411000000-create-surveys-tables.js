@@ -0,0 +1,246 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('surveys', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'hotels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(150),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      trigger: {
+        type: Sequelize.ENUM('manual', 'post_checkout'),
+        allowNull: false,
+        defaultValue: 'manual'
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      questions: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'members',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('surveys', ['hotel_id']);
+    await queryInterface.addIndex('surveys', ['trigger', 'is_active']);
+
+    await queryInterface.createTable('survey_responses', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      survey_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'surveys',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'hotels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      stay_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'stays',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      guest_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'guests',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      token: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'completed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      answers: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      nps_score: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      average_rating: {
+        type: Sequelize.DECIMAL(3, 2),
+        allowNull: true
+      },
+      invitation_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'communications',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      feedback_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'communications',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      sent_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('survey_responses', ['survey_id']);
+    await queryInterface.addIndex('survey_responses', ['hotel_id', 'status', 'completed_at']);
+    await queryInterface.addIndex('survey_responses', ['stay_id']);
+
+    await queryInterface.createTable('survey_answers', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      response_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'survey_responses',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'hotels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      question_key: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      question_type: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      department: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      numeric_value: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      text_value: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('survey_answers', ['response_id']);
+    await queryInterface.addIndex('survey_answers', ['hotel_id', 'question_type', 'department']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('survey_answers');
+    await queryInterface.dropTable('survey_responses');
+    await queryInterface.dropTable('surveys');
+  }
+};
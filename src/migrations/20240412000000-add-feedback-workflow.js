@@ -0,0 +1,99 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Internal staff notes in feedback threads
+    await queryInterface.addColumn('communications', 'is_internal', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Staff-only note in a feedback thread, never shown to the guest'
+    });
+
+    // Feedback handling state
+    await queryInterface.addColumn('communications', 'feedback_status', {
+      type: Sequelize.ENUM('open', 'escalated', 'resolved'),
+      allowNull: true,
+      comment: 'Handling state for feedback type communications'
+    });
+
+    await queryInterface.addColumn('communications', 'escalation_request_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'concierge_requests',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('communications', 'escalated_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('communications', 'resolved_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('communications', 'resolved_by', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('communications', 'resolution_notes', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('communications', ['hotel_id', 'feedback_status']);
+
+    // Existing feedback has not been handled yet
+    await queryInterface.sequelize.query(
+      "UPDATE communications SET feedback_status = 'open' WHERE type = 'feedback'"
+    );
+
+    // Urgency of concierge tasks; escalated feedback is urgent
+    await queryInterface.addColumn('concierge_requests', 'priority', {
+      type: Sequelize.ENUM('low', 'normal', 'high', 'urgent'),
+      allowNull: false,
+      defaultValue: 'normal'
+    });
+
+    await queryInterface.addIndex('concierge_requests', ['priority']);
+
+    // Staff member alerted when guest feedback is escalated
+    await queryInterface.addColumn('hotels', 'duty_manager_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('hotels', 'duty_manager_id');
+    await queryInterface.removeIndex('concierge_requests', ['priority']);
+    await queryInterface.removeColumn('concierge_requests', 'priority');
+    await queryInterface.removeIndex('communications', ['hotel_id', 'feedback_status']);
+    await queryInterface.removeColumn('communications', 'resolution_notes');
+    await queryInterface.removeColumn('communications', 'resolved_by');
+    await queryInterface.removeColumn('communications', 'resolved_at');
+    await queryInterface.removeColumn('communications', 'escalated_at');
+    await queryInterface.removeColumn('communications', 'escalation_request_id');
+    await queryInterface.removeColumn('communications', 'feedback_status');
+    await queryInterface.removeColumn('communications', 'is_internal');
+  }
+};
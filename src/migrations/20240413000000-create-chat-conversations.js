@@ -0,0 +1,173 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('chat_conversations', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'hotels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      guest_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'guests',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      guest_email: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'Matches ChatMessages.user for conversations started before guest accounts'
+      },
+      stay_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'stays',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      room: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'closed'),
+        allowNull: false,
+        defaultValue: 'open'
+      },
+      assigned_to: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'members',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Agent handling the conversation'
+      },
+      assigned_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_message_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      guest_unread_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      staff_unread_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      guest_last_read_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      staff_last_read_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      guest_typing_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      staff_typing_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      closed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('chat_conversations', ['hotel_id', 'status', 'last_message_at']);
+    await queryInterface.addIndex('chat_conversations', ['guest_id']);
+    await queryInterface.addIndex('chat_conversations', ['assigned_to']);
+
+    await queryInterface.addColumn('ChatMessages', 'conversation_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'chat_conversations',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+
+    await queryInterface.addColumn('ChatMessages', 'sender_type', {
+      type: Sequelize.ENUM('guest', 'staff', 'system'),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('ChatMessages', 'sender_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('ChatMessages', ['conversation_id', 'createdAt']);
+
+    // One conversation per guest and hotel for the existing message history.
+    // Legacy messages carry no sender, so they are all attributed to staff
+    // and count as read on both sides.
+    await queryInterface.sequelize.query(`
+      INSERT INTO chat_conversations
+        (hotel_id, guest_id, guest_email, room, status, last_message_at,
+         guest_last_read_at, staff_last_read_at, created_at, updated_at)
+      SELECT m.hotel_id, g.id, m.user, MAX(m.room), 'open', MAX(m.createdAt),
+             MAX(m.createdAt), MAX(m.createdAt), MIN(m.createdAt), NOW()
+      FROM ChatMessages m
+      INNER JOIN hotels h ON h.id = m.hotel_id
+      LEFT JOIN guests g ON g.email = m.user
+      GROUP BY m.hotel_id, m.user, g.id
+    `);
+
+    await queryInterface.sequelize.query(`
+      UPDATE ChatMessages m
+      INNER JOIN chat_conversations c ON c.hotel_id = m.hotel_id AND c.guest_email = m.user
+      SET m.conversation_id = c.id, m.sender_type = 'staff'
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('ChatMessages', ['conversation_id', 'createdAt']);
+    await queryInterface.removeColumn('ChatMessages', 'sender_id');
+    await queryInterface.removeColumn('ChatMessages', 'sender_type');
+    await queryInterface.removeColumn('ChatMessages', 'conversation_id');
+    await queryInterface.dropTable('chat_conversations');
+  }
+};
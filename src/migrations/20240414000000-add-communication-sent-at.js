@@ -0,0 +1,23 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('communications', 'sent_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the communication went out; orders the guest notification stream'
+    });
+
+    await queryInterface.addIndex('communications', ['sent_at']);
+
+    // Communications already out were sent when scheduled, or when created
+    await queryInterface.sequelize.query(
+      "UPDATE communications SET sent_at = COALESCE(scheduled_at, created_at) WHERE status <> 'draft'"
+    );
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('communications', ['sent_at']);
+    await queryInterface.removeColumn('communications', 'sent_at');
+  }
+};
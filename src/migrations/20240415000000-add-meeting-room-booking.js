@@ -0,0 +1,84 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('meeting_rooms', 'max_capacity', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Most attendees the room takes; bookings above it are refused'
+    });
+    await queryInterface.addColumn('meeting_rooms', 'setup_buffer_minutes', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Default time blocked before each booking to set the room up'
+    });
+    await queryInterface.addColumn('meeting_rooms', 'teardown_buffer_minutes', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Default time blocked after each booking to clear the room'
+    });
+    await queryInterface.addColumn('meeting_rooms', 'combines', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'IDs of the rooms this one is made of (e.g. a divisible ballroom); booking either blocks the other'
+    });
+
+    await queryInterface.addColumn('meetings', 'meeting_room_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'meeting_rooms',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('meetings', 'setup_minutes', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Room blocked this long before start_date'
+    });
+    await queryInterface.addColumn('meetings', 'teardown_minutes', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Room blocked this long after end_date'
+    });
+    await queryInterface.addColumn('meetings', 'blocked_from', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('meetings', 'blocked_until', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('meetings', ['meeting_room_id', 'blocked_from', 'blocked_until']);
+
+    // Existing meetings block their own time only, and belong to the room
+    // whose name they were booked under
+    await queryInterface.sequelize.query(
+      'UPDATE meetings SET blocked_from = start_date, blocked_until = end_date'
+    );
+    await queryInterface.sequelize.query(`
+      UPDATE meetings m
+      JOIN meeting_rooms r ON r.hotel_id = m.hotel_id AND r.name = m.location
+      SET m.meeting_room_id = r.id
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('meetings', ['meeting_room_id', 'blocked_from', 'blocked_until']);
+    await queryInterface.removeColumn('meetings', 'blocked_until');
+    await queryInterface.removeColumn('meetings', 'blocked_from');
+    await queryInterface.removeColumn('meetings', 'teardown_minutes');
+    await queryInterface.removeColumn('meetings', 'setup_minutes');
+    await queryInterface.removeColumn('meetings', 'meeting_room_id');
+
+    await queryInterface.removeColumn('meeting_rooms', 'combines');
+    await queryInterface.removeColumn('meeting_rooms', 'teardown_buffer_minutes');
+    await queryInterface.removeColumn('meeting_rooms', 'setup_buffer_minutes');
+    await queryInterface.removeColumn('meeting_rooms', 'max_capacity');
+  }
+};
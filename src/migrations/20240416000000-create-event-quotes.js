@@ -0,0 +1,301 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('event_catalog_items', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'hotels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      category: {
+        type: Sequelize.ENUM('room_hire', 'catering', 'equipment', 'service'),
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      unit: {
+        type: Sequelize.ENUM('per_event', 'per_hour', 'per_day', 'per_person', 'per_item'),
+        allowNull: false,
+        defaultValue: 'per_event'
+      },
+      unit_price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      tax_rate: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      meeting_room_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'meeting_rooms',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Room a room hire rate is for'
+      },
+      menu_item_ids: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'JSON array of the menus rows served with a catering package'
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'members',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('event_catalog_items', ['hotel_id', 'category', 'is_active']);
+    await queryInterface.addIndex('event_catalog_items', ['meeting_room_id']);
+
+    await queryInterface.createTable('event_quotes', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'hotels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      meeting_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'meetings',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('draft', 'sent', 'accepted', 'declined', 'superseded'),
+        allowNull: false,
+        defaultValue: 'draft'
+      },
+      subtotal: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      tax_total: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      total: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      deposit_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      valid_until: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      token: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+        unique: true,
+        comment: 'Secret in the link the customer accepts the quote with'
+      },
+      sent_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      accepted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      accepted_by_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      declined_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      decline_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'members',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('event_quotes', ['meeting_id', 'version'], { unique: true });
+    await queryInterface.addIndex('event_quotes', ['hotel_id', 'status']);
+
+    await queryInterface.createTable('event_quote_lines', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      quote_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'event_quotes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      catalog_item_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'event_catalog_items',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      category: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      unit: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'per_event'
+      },
+      quantity: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 1
+      },
+      unit_price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      tax_rate: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      tax_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      menu_items: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'JSON snapshot of the menu items of a catering package'
+      },
+      sort_order: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('event_quote_lines', ['quote_id', 'sort_order']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('event_quote_lines');
+    await queryInterface.dropTable('event_quotes');
+    await queryInterface.dropTable('event_catalog_items');
+  }
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('meetings', 'approval_status', {
+      type: Sequelize.ENUM('pending', 'approved', 'rejected', 'changes_requested'),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment: 'Outcome of the hotel review; see meeting_approval_history for reasons'
+    });
+    await queryInterface.addIndex('meetings', ['approval_status']);
+
+    // Meetings approved before the workflow existed
+    await queryInterface.sequelize.query(
+      "UPDATE meetings SET approval_status = 'approved' WHERE approved_at IS NOT NULL OR status IN ('confirmed', 'in_progress', 'completed')"
+    );
+
+    await queryInterface.createTable('meeting_approval_history', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      meeting_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'meetings',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      action: {
+        type: Sequelize.ENUM(
+          'submitted',
+          'approved',
+          'rejected',
+          'changes_requested',
+          'organizer_notified',
+          'notification_failed'
+        ),
+        allowNull: false
+      },
+      from_status: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'Approval status before the action'
+      },
+      to_status: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'Approval status after the action'
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      details: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'JSON counter-proposal of a change request, or recipient and outcome of a notification'
+      },
+      changed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'members',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('meeting_approval_history', ['meeting_id', 'created_at']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('meeting_approval_history');
+    await queryInterface.removeIndex('meetings', ['approval_status']);
+    await queryInterface.removeColumn('meetings', 'approval_status');
+  }
+};
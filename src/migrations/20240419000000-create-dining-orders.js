@@ -0,0 +1,239 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('dining_orders', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'hotels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      stay_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'stays',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      guest_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'guests',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      restaurant_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'restaurants',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      status: {
+        type: Sequelize.ENUM('cart', 'received', 'preparing', 'delivering', 'delivered', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'cart'
+      },
+      room_number: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'Room the order is delivered to'
+      },
+      requested_for: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Delivery time asked for; null for as soon as possible'
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      subtotal: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      tax_total: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      total: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      pos_status: {
+        type: Sequelize.ENUM('posted', 'failed', 'not_configured', 'voided'),
+        allowNull: true
+      },
+      pos_check_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      pos_error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      pos_posted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      placed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      preparing_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      delivering_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      delivered_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cancelled_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cancel_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      handled_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'members',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('dining_orders', ['hotel_id', 'status']);
+    await queryInterface.addIndex('dining_orders', ['stay_id', 'status']);
+    await queryInterface.addIndex('dining_orders', ['guest_id']);
+
+    await queryInterface.createTable('dining_order_items', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      order_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'dining_orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      menu_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'menus',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      pos_item_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'POS object number of the menu item (menus.obj_num)'
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      unit_price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      modifiers: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'JSON array of the condiments chosen with the item'
+      },
+      tax_rate: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      tax_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      notes: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('dining_order_items', ['order_id']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('dining_order_items');
+    await queryInterface.dropTable('dining_orders');
+  }
+};
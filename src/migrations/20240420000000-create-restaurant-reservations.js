@@ -0,0 +1,258 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('restaurants', 'reservation_slot_minutes', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 15,
+      comment: 'Table reservations start every this many minutes from opening'
+    });
+    await queryInterface.addColumn('restaurants', 'reservation_duration_minutes', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 90,
+      comment: 'How long a reservation holds its table'
+    });
+    await queryInterface.addColumn('restaurants', 'covers_per_slot', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Most covers seated per reservation slot; null for no limit beyond the tables'
+    });
+
+    await queryInterface.createTable('restaurant_tables', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'hotels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      restaurant_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'restaurants',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Table number or name, unique per restaurant'
+      },
+      area: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'Part of the restaurant, e.g. Terrace or Window'
+      },
+      min_covers: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      max_covers: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('restaurant_tables', ['restaurant_id', 'name'], { unique: true });
+    await queryInterface.addIndex('restaurant_tables', ['hotel_id']);
+
+    await queryInterface.createTable('restaurant_reservations', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'hotels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      restaurant_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'restaurants',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      table_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'restaurant_tables',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      guest_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'guests',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      stay_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'stays',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      confirmation_code: {
+        type: Sequelize.STRING(12),
+        allowNull: false,
+        comment: 'Given to the guest; with the email it looks up or cancels the reservation'
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      email: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      phone: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      party_size: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      reservation_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      start_time: {
+        type: Sequelize.TIME,
+        allowNull: false
+      },
+      duration_minutes: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('confirmed', 'seated', 'completed', 'cancelled', 'no_show'),
+        allowNull: false,
+        defaultValue: 'confirmed'
+      },
+      source: {
+        type: Sequelize.ENUM('public', 'guest', 'staff'),
+        allowNull: false,
+        defaultValue: 'public'
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      seated_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cancelled_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cancel_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      no_show_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'members',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      handled_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'members',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('restaurant_reservations', ['restaurant_id', 'reservation_date', 'status']);
+    await queryInterface.addIndex('restaurant_reservations', ['hotel_id', 'reservation_date']);
+    await queryInterface.addIndex('restaurant_reservations', ['guest_id']);
+    await queryInterface.addIndex('restaurant_reservations', ['confirmation_code'], { unique: true });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('restaurant_reservations');
+    await queryInterface.dropTable('restaurant_tables');
+    await queryInterface.removeColumn('restaurants', 'covers_per_slot');
+    await queryInterface.removeColumn('restaurants', 'reservation_duration_minutes');
+    await queryInterface.removeColumn('restaurants', 'reservation_slot_minutes');
+  }
+};
@@ -0,0 +1,195 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('menu_modifier_groups', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'hotels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      restaurant_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'restaurants',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'Shown to the guest, e.g. "Choose a side"'
+      },
+      pos_group_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'Condiment group of the POS the group was synced from'
+      },
+      min_select: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      max_select: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Null for no limit'
+      },
+      max_per_option: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('menu_modifier_groups', ['restaurant_id']);
+    await queryInterface.addIndex('menu_modifier_groups', ['hotel_id', 'pos_group_id']);
+
+    await queryInterface.createTable('menu_modifier_options', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      group_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'menu_modifier_groups',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      menu_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'menus',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      pos_item_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'POS object number the option is posted as'
+      },
+      price_delta: {
+        type: Sequelize.DECIMAL(10, 0),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'In cents like menus.item_price; added to the item price for each time the option is chosen'
+      },
+      is_default: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      is_available: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      sort_order: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('menu_modifier_options', ['group_id', 'sort_order']);
+
+    await queryInterface.createTable('menu_item_modifier_groups', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      menu_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'menus',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      group_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'menu_modifier_groups',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      sort_order: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('menu_item_modifier_groups', ['menu_id', 'group_id'], { unique: true });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('menu_item_modifier_groups');
+    await queryInterface.dropTable('menu_modifier_options');
+    await queryInterface.dropTable('menu_modifier_groups');
+  }
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+const { ALLERGENS, normalizeAllergens } = require('../config/dietary');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('menus', 'allergen_notes', {
+      type: Sequelize.STRING(500),
+      allowNull: true,
+      comment: 'Shown with the allergens, e.g. "May contain traces of nuts"'
+    });
+
+    await queryInterface.addColumn('menus', 'dietary_tags', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'JSON array of dietary tag codes'
+    });
+
+    // Free-text allergens become codes. Text that does not fully match the
+    // vocabulary is kept as notes and the allergens are left undeclared, so
+    // allergen filters do not show the item until someone checks it.
+    const [menus] = await queryInterface.sequelize.query(
+      'SELECT id, allergens FROM menus WHERE allergens IS NOT NULL'
+    );
+    for (const menu of menus) {
+      const text = String(menu.allergens).trim();
+      const { codes, unknown } = normalizeAllergens(text);
+      const declared = text !== '' && unknown.length === 0;
+      await queryInterface.bulkUpdate('menus', {
+        allergens: declared ? JSON.stringify(codes) : null,
+        allergen_notes: declared || text === '' ? null : text.slice(0, 500)
+      }, { id: menu.id });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const [menus] = await queryInterface.sequelize.query(
+      'SELECT id, allergens, allergen_notes FROM menus WHERE allergens IS NOT NULL OR allergen_notes IS NOT NULL'
+    );
+    for (const menu of menus) {
+      const codes = menu.allergens ? JSON.parse(menu.allergens) : [];
+      const text = menu.allergen_notes || codes.map(code => ALLERGENS[code] || code).join(', ');
+      await queryInterface.bulkUpdate('menus', { allergens: text || null }, { id: menu.id });
+    }
+
+    await queryInterface.removeColumn('menus', 'dietary_tags');
+    await queryInterface.removeColumn('menus', 'allergen_notes');
+  }
+};
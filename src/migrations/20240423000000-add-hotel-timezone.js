@@ -0,0 +1,16 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('hotels', 'timezone', {
+      type: Sequelize.STRING(64),
+      allowNull: false,
+      defaultValue: 'UTC',
+      comment: 'IANA time zone, e.g. Europe/Paris'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('hotels', 'timezone');
+  }
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Categories without an organization are shared by all organizations
+    await queryInterface.addColumn('concierge_categories', 'organization_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+
+    await queryInterface.addIndex('concierge_categories', ['organization_id']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('concierge_categories', ['organization_id']);
+    await queryInterface.removeColumn('concierge_categories', 'organization_id');
+  }
+};
@@ -0,0 +1,110 @@
+const { DataTypes } = require('sequelize');
+
+// Stay filters a segment can apply; all relative to the day the segment is evaluated
+const STAY_FILTERS = ['in_house', 'arriving', 'departing', 'upcoming', 'past'];
+
+// Criteria keys holding lists of strings
+const LIST_CRITERIA = ['floors', 'nationalities', 'languages', 'preferences'];
+
+module.exports = (sequelize) => {
+  const AudienceSegment = sequelize.define('AudienceSegment', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    hotel_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Filters combined with AND, e.g. { "stay": "in_house", "floors": ["3"] }
+    criteria: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      get() {
+        const rawValue = this.getDataValue('criteria');
+        if (!rawValue) return {};
+        try {
+          return JSON.parse(rawValue);
+        } catch (e) {
+          return {};
+        }
+      },
+      set(value) {
+        this.setDataValue('criteria', JSON.stringify(value || {}));
+      }
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'audience_segments',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['hotel_id', 'name']
+      }
+    ]
+  });
+
+  AudienceSegment.STAY_FILTERS = STAY_FILTERS;
+  AudienceSegment.LIST_CRITERIA = LIST_CRITERIA;
+
+  /**
+   * Check a criteria object; returns a list of problems (empty when valid)
+   */
+  AudienceSegment.validateCriteria = (criteria) => {
+    if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+      return ['criteria must be an object'];
+    }
+
+    const errors = [];
+    const known = ['stay', 'days_ahead', ...LIST_CRITERIA];
+    Object.keys(criteria).forEach(key => {
+      if (!known.includes(key)) {
+        errors.push(`Unknown criterion: ${key}`);
+      }
+    });
+
+    if (criteria.stay !== undefined && !STAY_FILTERS.includes(criteria.stay)) {
+      errors.push(`stay must be one of: ${STAY_FILTERS.join(', ')}`);
+    }
+    if (criteria.days_ahead !== undefined) {
+      if (!Number.isInteger(criteria.days_ahead) || criteria.days_ahead < 0 || criteria.days_ahead > 365) {
+        errors.push('days_ahead must be an integer between 0 and 365');
+      } else if (!['arriving', 'departing'].includes(criteria.stay)) {
+        errors.push('days_ahead only applies to arriving and departing stays');
+      }
+    }
+    LIST_CRITERIA.forEach(key => {
+      const value = criteria[key];
+      if (value !== undefined && (!Array.isArray(value) || value.length === 0 || value.some(v => typeof v !== 'string' || !v.trim()))) {
+        errors.push(`${key} must be a non-empty array of strings`);
+      }
+    });
+
+    return errors;
+  };
+
+  return AudienceSegment;
+};
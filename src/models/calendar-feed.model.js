@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+
+// A subscribable ICS feed of a hotel's meetings, or of one meeting room;
+// anyone with the token can read it, so feeds are revoked by deleting them
+module.exports = (sequelize) => {
+  const CalendarFeed = sequelize.define('CalendarFeed', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    hotel_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'id'
+      }
+    },
+    // Null for a feed of every room of the hotel
+    meeting_room_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'meeting_rooms',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Label for staff, e.g. who the feed was shared with'
+    },
+    token: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    },
+    last_accessed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'calendar_feeds',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['hotel_id']
+      },
+      {
+        unique: true,
+        fields: ['token']
+      }
+    ]
+  });
+
+  return CalendarFeed;
+};
@@ -0,0 +1,128 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ChatConversation = sequelize.define('ChatConversation', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    hotel_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'id'
+      }
+    },
+    guest_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'guests',
+        key: 'id'
+      }
+    },
+    guest_email: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Matches ChatMessages.user for conversations started before guest accounts'
+    },
+    stay_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'stays',
+        key: 'id'
+      }
+    },
+    room: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'closed'),
+      allowNull: false,
+      defaultValue: 'open'
+    },
+    assigned_to: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      },
+      comment: 'Agent handling the conversation'
+    },
+    assigned_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_message_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Messages from the other side not yet read
+    guest_unread_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    staff_unread_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Read markers: everything sent up to this time has been read by that side
+    guest_last_read_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    staff_last_read_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Typing markers, refreshed by the typing side every few seconds
+    guest_typing_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    staff_typing_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    closed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'chat_conversations',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['hotel_id', 'status', 'last_message_at']
+      },
+      {
+        fields: ['guest_id']
+      },
+      {
+        fields: ['assigned_to']
+      }
+    ]
+  });
+
+  ChatConversation.STATUSES = ['open', 'closed'];
+  ChatConversation.SIDES = ['guest', 'staff'];
+
+  // A typing marker older than this no longer counts
+  ChatConversation.TYPING_TTL_MS = 8000;
+
+  ChatConversation.prototype.isTyping = function(side, now = new Date()) {
+    const typingAt = this[`${side}_typing_at`];
+    return !!typingAt && now.getTime() - new Date(typingAt).getTime() < ChatConversation.TYPING_TTL_MS;
+  };
+
+  return ChatConversation;
+};
@@ -22,6 +22,19 @@ module.exports = (sequelize) => {
         type: DataTypes.STRING,
         allowNull: false,
       },
+      conversation_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'chat_conversations', key: 'id' },
+      },
+      sender_type: {                  // guest | staff | system (assignment notices)
+        type: DataTypes.ENUM('guest', 'staff', 'system'),
+        allowNull: true,
+      },
+      sender_id: {                    // guest or member ID, by sender_type
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
       text: {
         type: DataTypes.TEXT,
         allowNull: true,
@@ -30,6 +43,14 @@ module.exports = (sequelize) => {
         type: DataTypes.DATE,
         allowNull: false,
       },
+    }, {
+      indexes: [
+        { fields: ['conversation_id', 'createdAt'] },
+      ],
     });
+
+    // IDs are generated by the app: time first, so they sort roughly by creation
+    ChatMessage.generateId = () => Date.now().toString() + Math.random().toString(36).substr(2, 5);
+
     return ChatMessage;
   };
\ No newline at end of file
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+
+const RECIPIENT_STATUSES = ['pending', 'sent', 'delivered', 'read', 'failed'];
+
+// One row per guest a communication was addressed to, so each guest has their own delivery state
+module.exports = (sequelize) => {
+  const CommunicationRecipient = sequelize.define('CommunicationRecipient', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    communication_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'communications',
+        key: 'id'
+      }
+    },
+    guest_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'guests',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM(...RECIPIENT_STATUSES),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    delivered_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    read_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'communication_recipients',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['communication_id', 'guest_id']
+      },
+      {
+        fields: ['guest_id']
+      },
+      {
+        fields: ['status']
+      }
+    ]
+  });
+
+  CommunicationRecipient.STATUSES = RECIPIENT_STATUSES;
+
+  // Record the guests a communication was sent to; guests already recorded keep their state
+  CommunicationRecipient.recordSent = (communicationId, guestIds, options = {}) => {
+    const sentAt = new Date();
+    return CommunicationRecipient.bulkCreate(guestIds.map(guestId => ({
+      communication_id: communicationId,
+      guest_id: guestId,
+      status: 'sent',
+      sent_at: sentAt
+    })), {
+      ignoreDuplicates: true,
+      transaction: options.transaction
+    });
+  };
+
+  return CommunicationRecipient;
+};
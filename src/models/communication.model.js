@@ -46,7 +46,7 @@ module.exports = (sequelize) => {
       allowNull: true
     },
     recipient_type: {
-      type: DataTypes.ENUM('guest', 'walkin', 'all', 'specific'),
+      type: DataTypes.ENUM('guest', 'walkin', 'all', 'specific', 'segment'),
       allowNull: false,
       defaultValue: 'all'
     },
@@ -55,6 +55,15 @@ module.exports = (sequelize) => {
       allowNull: true,
       comment: 'Specific recipient ID if recipient_type is specific'
     },
+    segment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'audience_segments',
+        key: 'id'
+      },
+      comment: 'Audience segment if recipient_type is segment'
+    },
     recipient_device_token: {
       type: DataTypes.STRING(500),
       allowNull: true,
@@ -65,7 +74,7 @@ module.exports = (sequelize) => {
       defaultValue: 'normal'
     },
     status: {
-      type: DataTypes.ENUM('draft', 'sent', 'delivered', 'read', 'failed'),
+      type: DataTypes.ENUM('draft', 'sent', 'delivered', 'read', 'failed', 'expired'),
       defaultValue: 'draft'
     },
     read_at: {
@@ -81,6 +90,11 @@ module.exports = (sequelize) => {
       allowNull: true,
       comment: 'For scheduled notifications'
     },
+    sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the communication went out; orders the guest notification stream'
+    },
     expires_at: {
       type: DataTypes.DATE,
       allowNull: true,
@@ -107,7 +121,47 @@ module.exports = (sequelize) => {
         model: 'communications',
         key: 'id'
       },
-      comment: 'For chat replies'
+      comment: 'For chat replies and replies in a feedback thread'
+    },
+    is_internal: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Staff-only note in a feedback thread, never shown to the guest'
+    },
+    feedback_status: {
+      type: DataTypes.ENUM('open', 'escalated', 'resolved'),
+      allowNull: true,
+      comment: 'Handling state for feedback type communications'
+    },
+    escalation_request_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'concierge_requests',
+        key: 'id'
+      },
+      comment: 'Urgent task created when the feedback was escalated'
+    },
+    escalated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    resolved_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    resolved_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    },
+    resolution_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
     },
     is_anonymous: {
       type: DataTypes.BOOLEAN,
@@ -129,6 +183,19 @@ module.exports = (sequelize) => {
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at',
+    hooks: {
+      // New feedback starts open so it shows up in the handling queue
+      beforeCreate: (communication) => {
+        if (communication.type === 'feedback' && !communication.feedback_status) {
+          communication.feedback_status = 'open';
+        }
+      },
+      beforeSave: (communication) => {
+        if (['sent', 'delivered', 'read'].includes(communication.status) && !communication.sent_at) {
+          communication.sent_at = new Date();
+        }
+      }
+    },
     indexes: [
       {
         fields: ['hotel_id']
@@ -154,14 +221,22 @@ module.exports = (sequelize) => {
       {
         fields: ['scheduled_at']
       },
+      {
+        fields: ['sent_at']
+      },
       {
         fields: ['created_at']
       },
       {
         fields: ['response_to_id']
+      },
+      {
+        fields: ['hotel_id', 'feedback_status']
       }
     ]
   });
 
+  Communication.FEEDBACK_STATUSES = ['open', 'escalated', 'resolved'];
+
   return Communication;
 }; 
\ No newline at end of file
@@ -1,5 +1,5 @@
 // src/models/concierge_category.model.js
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 
 module.exports = (sequelize) => {
   const ConciergeCategory = sequelize.define('ConciergeCategory', {
@@ -13,8 +13,21 @@ module.exports = (sequelize) => {
       allowNull: true,
       references: { model: 'concierge_categories', key: 'id' },
     },
+    organization_id: {               // null for the shared categories every organization uses
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'organizations', key: 'id' },
+    },
     name: { type: DataTypes.STRING(255), allowNull: false },
     description: { type: DataTypes.TEXT, allowNull: true },
+    sla_response_minutes: {           // time allowed before work starts
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    sla_resolution_minutes: {         // time allowed until the request is done
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
   }, {
     tableName: 'concierge_categories',
     timestamps: true,
@@ -32,5 +45,14 @@ module.exports = (sequelize) => {
     foreignKey: 'parent_id',
   });
 
+  // Where clause for the shared categories and the organization's own
+  ConciergeCategory.visibleTo = (organizationId) => ({
+    [Op.or]: [{ organization_id: null }, { organization_id: organizationId }],
+  });
+
+  ConciergeCategory.prototype.isVisibleTo = function(organizationId) {
+    return !this.organization_id || this.organization_id === organizationId;
+  };
+
   return ConciergeCategory;
 };
@@ -1,6 +1,16 @@
 // src/models/concierge_request.model.js
 const { DataTypes } = require('sequelize');
 
+// Allowed status changes; done and cancelled are final
+const STATUS_TRANSITIONS = {
+  requested: ['in_progress', 'cancelled'],
+  in_progress: ['done', 'cancelled'],
+  done: [],
+  cancelled: [],
+};
+
+const addMinutes = (date, minutes) => new Date(new Date(date).getTime() + minutes * 60 * 1000);
+
 module.exports = (sequelize) => {
   const ConciergeRequest = sequelize.define('ConciergeRequest', {
     id: {
@@ -43,8 +53,29 @@ module.exports = (sequelize) => {
       ),
       defaultValue: 'requested',
     },
+    priority: {                       // low | normal | high | urgent
+      type: DataTypes.ENUM('low', 'normal', 'high', 'urgent'),
+      allowNull: false,
+      defaultValue: 'normal',
+    },
     scheduled_for: { type: DataTypes.DATE, allowNull: true },
     completed_at: { type: DataTypes.DATE, allowNull: true },
+    assigned_to: {                    // staff member handling the request
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'members', key: 'id' },
+    },
+    assigned_at: { type: DataTypes.DATE, allowNull: true },
+    started_at: { type: DataTypes.DATE, allowNull: true },
+    response_due_at: { type: DataTypes.DATE, allowNull: true },   // from category SLA
+    resolution_due_at: { type: DataTypes.DATE, allowNull: true }, // from category SLA
+    guest_rating: {                   // 1-5, given by the guest once the request is done
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: { min: 1, max: 5 },
+    },
+    guest_rating_comment: { type: DataTypes.TEXT, allowNull: true },
+    rated_at: { type: DataTypes.DATE, allowNull: true },
   }, {
     tableName: 'concierge_requests',
     timestamps: true,
@@ -52,5 +83,92 @@ module.exports = (sequelize) => {
     updatedAt: 'updated_at',
   });
 
+  ConciergeRequest.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+  ConciergeRequest.PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+  ConciergeRequest.canTransition = (from, to) =>
+    (STATUS_TRANSITIONS[from] || []).includes(to);
+
+  // SLA deadlines for a new request. Scheduled requests are due relative to
+  // their scheduled time rather than the time they were made.
+  ConciergeRequest.slaDeadlines = (category, { createdAt = new Date(), scheduledFor = null } = {}) => {
+    const start = scheduledFor && new Date(scheduledFor) > new Date(createdAt) ? scheduledFor : createdAt;
+    return {
+      response_due_at: category && category.sla_response_minutes
+        ? addMinutes(start, category.sla_response_minutes) : null,
+      resolution_due_at: category && category.sla_resolution_minutes
+        ? addMinutes(start, category.sla_resolution_minutes) : null,
+    };
+  };
+
+  /**
+   * Create a request with SLA deadlines from its category and write the first
+   * history entry. Returns null if the category does not exist or belongs to
+   * another organization than the hotel's.
+   *
+   * by: { memberId, guestId, notes, transaction }
+   */
+  ConciergeRequest.createWithHistory = async (data, by = {}) => {
+    const category = await sequelize.models.ConciergeCategory.findByPk(data.category_id);
+    if (!category) return null;
+
+    if (category.organization_id) {
+      const hotel = await sequelize.models.Hotel.findByPk(data.hotel_id, { attributes: ['id', 'organization_id'] });
+      if (!hotel || !category.isVisibleTo(hotel.organization_id)) return null;
+    }
+
+    const create = async (transaction) => {
+      const request = await ConciergeRequest.create({
+        ...data,
+        ...ConciergeRequest.slaDeadlines(category, { scheduledFor: data.scheduled_for }),
+      }, { transaction });
+
+      await sequelize.models.ConciergeRequestStatusHistory.create({
+        request_id: request.id,
+        from_status: null,
+        to_status: request.status,
+        changed_by: by.memberId || null,
+        changed_by_guest: by.guestId || null,
+        notes: by.notes || null,
+      }, { transaction });
+
+      return request;
+    };
+
+    return by.transaction ? create(by.transaction) : sequelize.transaction(create);
+  };
+
+  /**
+   * Move the request to a new status and append a history entry.
+   * Throws an error with code INVALID_TRANSITION if the change is not allowed.
+   *
+   * by: { memberId, guestId, notes, transaction }
+   */
+  ConciergeRequest.prototype.transitionTo = async function(status, by = {}) {
+    const from = this.status;
+    if (!ConciergeRequest.canTransition(from, status)) {
+      const error = new Error(`Cannot change status from ${from} to ${status}`);
+      error.code = 'INVALID_TRANSITION';
+      throw error;
+    }
+
+    const now = new Date();
+    const changes = { status };
+    if (status === 'in_progress' && !this.started_at) changes.started_at = now;
+    if (status === 'done') changes.completed_at = now;
+
+    await this.update(changes, { transaction: by.transaction });
+    await sequelize.models.ConciergeRequestStatusHistory.create({
+      request_id: this.id,
+      from_status: from,
+      to_status: status,
+      changed_by: by.memberId || null,
+      changed_by_guest: by.guestId || null,
+      notes: by.notes || null,
+    }, { transaction: by.transaction });
+
+    return this;
+  };
+
   return ConciergeRequest;
 };
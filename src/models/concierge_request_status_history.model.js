@@ -0,0 +1,55 @@
+// src/models/concierge_request_status_history.model.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ConciergeRequestStatusHistory = sequelize.define('ConciergeRequestStatusHistory', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    request_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'concierge_requests', key: 'id' },
+    },
+    from_status: {                    // null for the entry written on creation
+      type: DataTypes.STRING(20),
+      allowNull: true,
+    },
+    to_status: { type: DataTypes.STRING(20), allowNull: false },
+    changed_by: {                     // staff member, if changed by staff
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'members', key: 'id' },
+    },
+    changed_by_guest: {               // guest, if changed by the guest
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'guests', key: 'id' },
+    },
+    notes: { type: DataTypes.TEXT, allowNull: true },
+  }, {
+    tableName: 'concierge_request_status_history',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    hooks: {
+      // history is append-only
+      beforeUpdate: () => {
+        throw new Error('Concierge status history entries cannot be modified');
+      },
+      beforeBulkUpdate: () => {
+        throw new Error('Concierge status history entries cannot be modified');
+      },
+      beforeDestroy: () => {
+        throw new Error('Concierge status history entries cannot be deleted');
+      },
+      beforeBulkDestroy: () => {
+        throw new Error('Concierge status history entries cannot be deleted');
+      },
+    },
+  });
+
+  return ConciergeRequestStatusHistory;
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+
+const PLATFORMS = ['ios', 'android', 'web'];
+const PROVIDERS = ['fcm', 'apns', 'webpush'];
+
+// Provider used when a device does not name one
+const DEFAULT_PROVIDERS = {
+  ios: 'apns',
+  android: 'fcm',
+  web: 'webpush'
+};
+
+module.exports = (sequelize) => {
+  const DeviceToken = sequelize.define('DeviceToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    guest_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'guests',
+        key: 'id'
+      }
+    },
+    platform: {
+      type: DataTypes.ENUM(...PLATFORMS),
+      allowNull: false
+    },
+    provider: {
+      type: DataTypes.ENUM(...PROVIDERS),
+      allowNull: false
+    },
+    // Registration token, or the JSON PushSubscription for web push
+    token: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // SHA-256 of the token, for lookups and uniqueness
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    app_version: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    locale: {
+      type: DataTypes.STRING(10),
+      allowNull: true
+    },
+    last_seen_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_delivered_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'device_tokens',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['guest_id']
+      }
+    ],
+    hooks: {
+      beforeValidate: (deviceToken) => {
+        if (deviceToken.token) {
+          deviceToken.token_hash = DeviceToken.hashToken(deviceToken.token);
+        }
+        if (!deviceToken.provider && deviceToken.platform) {
+          deviceToken.provider = DEFAULT_PROVIDERS[deviceToken.platform];
+        }
+      }
+    }
+  });
+
+  DeviceToken.PLATFORMS = PLATFORMS;
+  DeviceToken.PROVIDERS = PROVIDERS;
+
+  DeviceToken.hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+  return DeviceToken;
+};
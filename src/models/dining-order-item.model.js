@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const DiningOrderItem = sequelize.define('DiningOrderItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'dining_orders',
+        key: 'id'
+      }
+    },
+    menu_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'menus',
+        key: 'id'
+      }
+    },
+    // Copied from the menu item so the order reads the same after menu changes
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    pos_item_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'POS object number of the menu item (menus.obj_num)'
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    unit_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    // Options and condiments chosen with the item, per item ordered:
+    // [{ option_id, group_id, group_name, menu_id, pos_item_id, name, quantity, unit_price, tax_rate }];
+    // option_id and the group fields are only set for options of a modifier group
+    modifiers: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      get() {
+        const value = this.getDataValue('modifiers');
+        return value ? JSON.parse(value) : [];
+      },
+      set(value) {
+        this.setDataValue('modifiers', value && value.length > 0 ? JSON.stringify(value) : null);
+      }
+    },
+    tax_rate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Percentage'
+    },
+    // quantity x (unit_price + modifiers), before tax
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    tax_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    notes: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: 'Special instructions for the kitchen'
+    }
+  }, {
+    tableName: 'dining_order_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['order_id']
+      }
+    ]
+  });
+
+  return DiningOrderItem;
+};
@@ -0,0 +1,177 @@
+const { DataTypes } = require('sequelize');
+
+// A guest's cart is an order in the cart status; placing it sends it to the kitchen
+const ORDER_STATUS_TRANSITIONS = {
+  cart: ['received'],
+  received: ['preparing', 'cancelled'],
+  preparing: ['delivering', 'cancelled'],
+  delivering: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// When each status was reached
+const STATUS_TIMESTAMPS = {
+  received: 'placed_at',
+  preparing: 'preparing_at',
+  delivering: 'delivering_at',
+  delivered: 'delivered_at',
+  cancelled: 'cancelled_at'
+};
+
+// Outcome of posting the order to the hotel's POS as a guest check
+const POS_STATUSES = ['posted', 'failed', 'not_configured', 'voided'];
+
+module.exports = (sequelize) => {
+  const DiningOrder = sequelize.define('DiningOrder', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    hotel_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'id'
+      }
+    },
+    stay_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stays',
+        key: 'id'
+      }
+    },
+    guest_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'guests',
+        key: 'id'
+      }
+    },
+    // Outlet preparing the order; set by the first item, all items come from it
+    restaurant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'restaurants',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM(...Object.keys(ORDER_STATUS_TRANSITIONS)),
+      allowNull: false,
+      defaultValue: 'cart'
+    },
+    room_number: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'Room the order is delivered to'
+    },
+    requested_for: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Delivery time asked for; null for as soon as possible'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    tax_total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    pos_status: {
+      type: DataTypes.ENUM(...POS_STATUSES),
+      allowNull: true
+    },
+    pos_check_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    pos_error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    pos_posted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    placed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    preparing_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    delivering_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    delivered_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancel_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Staff member who last changed the status
+    handled_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'dining_orders',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['hotel_id', 'status']
+      },
+      {
+        fields: ['stay_id', 'status']
+      },
+      {
+        fields: ['guest_id']
+      }
+    ]
+  });
+
+  DiningOrder.STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
+  DiningOrder.STATUS_TIMESTAMPS = STATUS_TIMESTAMPS;
+  DiningOrder.POS_STATUSES = POS_STATUSES;
+
+  // Placed orders the kitchen still has to finish
+  DiningOrder.OPEN_STATUSES = ['received', 'preparing', 'delivering'];
+
+  DiningOrder.canTransition = (from, to) =>
+    (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+  return DiningOrder;
+};
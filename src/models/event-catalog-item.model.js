@@ -0,0 +1,108 @@
+const { DataTypes } = require('sequelize');
+
+const CATALOG_CATEGORIES = ['room_hire', 'catering', 'equipment', 'service'];
+
+// How a price applies to an event: once, per started hour or day, per attendee or per piece
+const PRICE_UNITS = ['per_event', 'per_hour', 'per_day', 'per_person', 'per_item'];
+
+module.exports = (sequelize) => {
+  const EventCatalogItem = sequelize.define('EventCatalogItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    hotel_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'id'
+      }
+    },
+    category: {
+      type: DataTypes.ENUM(...CATALOG_CATEGORIES),
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    unit: {
+      type: DataTypes.ENUM(...PRICE_UNITS),
+      allowNull: false,
+      defaultValue: 'per_event'
+    },
+    unit_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    // Percentage, e.g. 19.00
+    tax_rate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Room a room hire rate is for
+    meeting_room_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'meeting_rooms',
+        key: 'id'
+      }
+    },
+    // Menu items served with a catering package
+    menu_item_ids: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      get() {
+        const rawValue = this.getDataValue('menu_item_ids');
+        if (!rawValue) return [];
+        try {
+          return JSON.parse(rawValue);
+        } catch (e) {
+          return [];
+        }
+      },
+      set(value) {
+        this.setDataValue('menu_item_ids', value && value.length ? JSON.stringify(value) : null);
+      }
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'event_catalog_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['hotel_id', 'category', 'is_active']
+      },
+      {
+        fields: ['meeting_room_id']
+      }
+    ]
+  });
+
+  EventCatalogItem.CATEGORIES = CATALOG_CATEGORIES;
+  EventCatalogItem.UNITS = PRICE_UNITS;
+
+  return EventCatalogItem;
+};
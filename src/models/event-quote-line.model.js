@@ -0,0 +1,100 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const EventQuoteLine = sequelize.define('EventQuoteLine', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    quote_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'event_quotes',
+        key: 'id'
+      }
+    },
+    // Catalog item the line was priced from; the line keeps its own copy of
+    // name, unit and prices so later catalog changes leave sent quotes alone
+    catalog_item_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'event_catalog_items',
+        key: 'id'
+      }
+    },
+    category: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    unit: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'per_event'
+    },
+    quantity: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 1
+    },
+    unit_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    tax_rate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    // quantity x unit_price, before tax
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    tax_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Menu items of a catering package, as quoted (id, name, description, allergens)
+    menu_items: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      get() {
+        const rawValue = this.getDataValue('menu_items');
+        if (!rawValue) return [];
+        try {
+          return JSON.parse(rawValue);
+        } catch (e) {
+          return [];
+        }
+      },
+      set(value) {
+        this.setDataValue('menu_items', value && value.length ? JSON.stringify(value) : null);
+      }
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'event_quote_lines',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['quote_id', 'sort_order']
+      }
+    ]
+  });
+
+  return EventQuoteLine;
+};
@@ -0,0 +1,129 @@
+const { DataTypes } = require('sequelize');
+
+// A quote is edited while draft and frozen once sent; a new version supersedes it
+const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'declined', 'superseded'];
+
+module.exports = (sequelize) => {
+  const EventQuote = sequelize.define('EventQuote', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    hotel_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'id'
+      }
+    },
+    meeting_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'meetings',
+        key: 'id'
+      }
+    },
+    // 1, 2, ... per meeting
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM(...QUOTE_STATUSES),
+      allowNull: false,
+      defaultValue: 'draft'
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    tax_total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    deposit_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    // Last day the customer can accept
+    valid_until: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    // Shown to the customer
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Secret in the link the customer accepts the quote with; set when sent
+    token: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      unique: true
+    },
+    sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    accepted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    accepted_by_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    declined_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    decline_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'event_quotes',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['meeting_id', 'version']
+      },
+      {
+        fields: ['hotel_id', 'status']
+      }
+    ]
+  });
+
+  EventQuote.STATUSES = QUOTE_STATUSES;
+
+  // Whether the customer can still accept or decline; valid_until is inclusive
+  EventQuote.prototype.isOpen = function (now = new Date()) {
+    if (this.status !== 'sent') {
+      return false;
+    }
+    return !this.valid_until || this.valid_until >= now.toISOString().slice(0, 10);
+  };
+
+  return EventQuote;
+};
@@ -0,0 +1,104 @@
+const { DataTypes } = require('sequelize');
+
+const CHECKOUT_STATUSES = ['pending', 'approved', 'rejected'];
+
+module.exports = (sequelize) => {
+  const ExpressCheckout = sequelize.define('ExpressCheckout', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    hotel_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'id'
+      }
+    },
+    stay_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'stays',
+        key: 'id'
+      }
+    },
+    guest_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'guests',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM(...CHECKOUT_STATUSES),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    // Folio balance the guest confirmed when requesting
+    balance: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    guest_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    requested_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    reviewed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    rejection_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Check-out ID returned by the PMS, or the last PMS error
+    pms_check_out_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    pms_error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Communication sent to invite the guest to leave feedback
+    feedback_invitation_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'communications',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'express_checkouts',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['hotel_id', 'status']
+      }
+    ]
+  });
+
+  ExpressCheckout.STATUSES = CHECKOUT_STATUSES;
+
+  return ExpressCheckout;
+};
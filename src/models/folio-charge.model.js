@@ -0,0 +1,124 @@
+const { DataTypes } = require('sequelize');
+
+const CHARGE_SOURCES = ['pos', 'pms', 'manual'];
+const DISPUTE_STATUSES = ['open', 'upheld', 'dismissed'];
+
+module.exports = (sequelize) => {
+  const FolioCharge = sequelize.define('FolioCharge', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    hotel_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'id'
+      }
+    },
+    stay_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stays',
+        key: 'id'
+      }
+    },
+    source: {
+      type: DataTypes.ENUM(...CHARGE_SOURCES),
+      allowNull: false,
+      defaultValue: 'manual'
+    },
+    // Check ID in the POS or folio line ID in the PMS, used to upsert on sync
+    external_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    category: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    posted_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    dispute_status: {
+      type: DataTypes.ENUM(...DISPUTE_STATUSES),
+      allowNull: true
+    },
+    dispute_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    disputed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    dispute_resolution: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    dispute_resolved_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    },
+    dispute_resolved_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'folio_charges',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['stay_id']
+      },
+      {
+        unique: true,
+        fields: ['stay_id', 'source', 'external_id']
+      },
+      {
+        fields: ['hotel_id', 'dispute_status']
+      }
+    ]
+  });
+
+  FolioCharge.SOURCES = CHARGE_SOURCES;
+  FolioCharge.DISPUTE_STATUSES = DISPUTE_STATUSES;
+
+  // Totals for a list of charges; lines with an upheld dispute are waived
+  FolioCharge.summarize = (charges) => {
+    const sum = (lines) => Math.round(lines.reduce((total, line) => total + parseFloat(line.amount), 0) * 100) / 100;
+
+    return {
+      total: sum(charges),
+      waived: sum(charges.filter(line => line.dispute_status === 'upheld')),
+      balance: sum(charges.filter(line => line.dispute_status !== 'upheld')),
+      open_disputes: charges.filter(line => line.dispute_status === 'open').length
+    };
+  };
+
+  return FolioCharge;
+};
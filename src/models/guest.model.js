@@ -71,6 +71,15 @@ module.exports = (sequelize) => {
     last_login: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    // Guest profile ID and provider in an external system (e.g. PMS)
+    external_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    external_source: {
+      type: DataTypes.STRING(100),
+      allowNull: true
     }
   }, {
     tableName: 'guests',
@@ -63,11 +63,38 @@ module.exports = (sequelize) => {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    // Terms guests accept during online check-in
+    check_in_terms: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Staff member alerted when guest feedback is escalated
+    duty_manager_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    },
     hotel_slug: {
       type: DataTypes.STRING(255),
       allowNull: false,
       unique: true
     },
+    // IANA time zone of the hotel; "today" and "now" for its restaurants
+    timezone: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      defaultValue: 'UTC',
+      validate: {
+        isTimeZone(value) {
+          if (!Hotel.isTimeZone(value)) {
+            throw new Error(`Unknown time zone "${value}"`);
+          }
+        }
+      }
+    },
   }, {
     tableName: 'hotels',
     timestamps: true,
@@ -75,5 +102,14 @@ module.exports = (sequelize) => {
     updatedAt: 'updated_at'
   });
 
+  Hotel.isTimeZone = (value) => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
   return Hotel;
 }; 
\ No newline at end of file
@@ -90,7 +90,33 @@ const loadModels = () => {
         HotelSections: require('./hotel-sections.model')(sequelizeInstance),
         ChatMessage: require('./chat_message.model')(sequelizeInstance),
         Integration: require('./integration.model')(sequelizeInstance),
-        IntegrationLog: require('./integration_log.model')(sequelizeInstance)
+        IntegrationLog: require('./integration_log.model')(sequelizeInstance),
+        MemberHotel: require('./member-hotel.model')(sequelizeInstance),
+        ConciergeRequestStatusHistory: require('./concierge_request_status_history.model')(sequelizeInstance),
+        RoomUnit: require('./room-unit.model')(sequelizeInstance),
+        Stay: require('./stay.model')(sequelizeInstance),
+        OnlineCheckIn: require('./online-check-in.model')(sequelizeInstance),
+        FolioCharge: require('./folio-charge.model')(sequelizeInstance),
+        ExpressCheckout: require('./express-checkout.model')(sequelizeInstance),
+        DeviceToken: require('./device-token.model')(sequelizeInstance),
+        AudienceSegment: require('./audience-segment.model')(sequelizeInstance),
+        CommunicationRecipient: require('./communication-recipient.model')(sequelizeInstance),
+        Survey: require('./survey.model')(sequelizeInstance),
+        SurveyResponse: require('./survey-response.model')(sequelizeInstance),
+        SurveyAnswer: require('./survey-answer.model')(sequelizeInstance),
+        ChatConversation: require('./chat-conversation.model')(sequelizeInstance),
+        EventCatalogItem: require('./event-catalog-item.model')(sequelizeInstance),
+        EventQuote: require('./event-quote.model')(sequelizeInstance),
+        EventQuoteLine: require('./event-quote-line.model')(sequelizeInstance),
+        MeetingApprovalHistory: require('./meeting-approval-history.model')(sequelizeInstance),
+        CalendarFeed: require('./calendar-feed.model')(sequelizeInstance),
+        DiningOrder: require('./dining-order.model')(sequelizeInstance),
+        DiningOrderItem: require('./dining-order-item.model')(sequelizeInstance),
+        RestaurantTable: require('./restaurant-table.model')(sequelizeInstance),
+        RestaurantReservation: require('./restaurant-reservation.model')(sequelizeInstance),
+        MenuModifierGroup: require('./menu-modifier-group.model')(sequelizeInstance),
+        MenuModifierOption: require('./menu-modifier-option.model')(sequelizeInstance),
+        MenuItemModifierGroup: require('./menu-item-modifier-group.model')(sequelizeInstance)
       };
 
       // Define relationships only if models loaded successfully
@@ -210,6 +236,11 @@ const loadModels = () => {
         models.MeetingRoom.belongsTo(models.Hotel, { foreignKey: 'hotel_id' });
       }
 
+      if (models.MeetingRoom && models.Meeting) {
+        models.MeetingRoom.hasMany(models.Meeting, { foreignKey: 'meeting_room_id' });
+        models.Meeting.belongsTo(models.MeetingRoom, { foreignKey: 'meeting_room_id' });
+      }
+
       if (models.Member && models.Meeting) {
         models.Member.hasMany(models.Meeting, { foreignKey: 'created_by' });
         models.Meeting.belongsTo(models.Member, { foreignKey: 'created_by', as: 'creator' });
@@ -262,6 +293,372 @@ const loadModels = () => {
         models.IntegrationLog.belongsTo(models.Integration, { foreignKey: 'integration_id' });
       }
 
+      // Staff relationships
+      if (models.Organization && models.Member) {
+        models.Organization.hasMany(models.Member, { foreignKey: 'organization_id', as: 'staff' });
+        models.Member.belongsTo(models.Organization, { foreignKey: 'organization_id', as: 'employer' });
+      }
+
+      if (models.Member && models.Hotel && models.MemberHotel) {
+        models.Member.belongsToMany(models.Hotel, {
+          through: models.MemberHotel,
+          foreignKey: 'member_id',
+          otherKey: 'hotel_id',
+          as: 'assignedHotels'
+        });
+        models.Hotel.belongsToMany(models.Member, {
+          through: models.MemberHotel,
+          foreignKey: 'hotel_id',
+          otherKey: 'member_id',
+          as: 'staffMembers'
+        });
+        models.MemberHotel.belongsTo(models.Member, { foreignKey: 'member_id' });
+        models.MemberHotel.belongsTo(models.Hotel, { foreignKey: 'hotel_id' });
+      }
+
+      // Concierge assignment and status history
+      if (models.Member && models.ConciergeRequest) {
+        models.Member.hasMany(models.ConciergeRequest, { foreignKey: 'assigned_to', as: 'assignedConciergeRequests' });
+        models.ConciergeRequest.belongsTo(models.Member, { foreignKey: 'assigned_to', as: 'assignee' });
+      }
+
+      if (models.ConciergeRequest && models.ConciergeRequestStatusHistory) {
+        models.ConciergeRequest.hasMany(models.ConciergeRequestStatusHistory, {
+          foreignKey: 'request_id',
+          as: 'statusHistory'
+        });
+        models.ConciergeRequestStatusHistory.belongsTo(models.ConciergeRequest, { foreignKey: 'request_id' });
+      }
+
+      if (models.Member && models.ConciergeRequestStatusHistory) {
+        models.ConciergeRequestStatusHistory.belongsTo(models.Member, { foreignKey: 'changed_by', as: 'changedBy' });
+      }
+
+      // Room unit relationships
+      if (models.Hotel && models.RoomUnit) {
+        models.Hotel.hasMany(models.RoomUnit, { foreignKey: 'hotel_id' });
+        models.RoomUnit.belongsTo(models.Hotel, { foreignKey: 'hotel_id' });
+      }
+
+      if (models.Room && models.RoomUnit) {
+        models.Room.hasMany(models.RoomUnit, { foreignKey: 'room_id', as: 'units' });
+        models.RoomUnit.belongsTo(models.Room, { foreignKey: 'room_id' });
+      }
+
+      // Stay relationships
+      if (models.Hotel && models.Stay) {
+        models.Hotel.hasMany(models.Stay, { foreignKey: 'hotel_id' });
+        models.Stay.belongsTo(models.Hotel, { foreignKey: 'hotel_id' });
+      }
+
+      if (models.Guest && models.Stay) {
+        models.Guest.hasMany(models.Stay, { foreignKey: 'guest_id' });
+        models.Stay.belongsTo(models.Guest, { foreignKey: 'guest_id' });
+      }
+
+      if (models.RoomUnit && models.Stay) {
+        models.RoomUnit.hasMany(models.Stay, { foreignKey: 'room_unit_id' });
+        models.Stay.belongsTo(models.RoomUnit, { foreignKey: 'room_unit_id' });
+      }
+
+      if (models.Room && models.Stay) {
+        models.Room.hasMany(models.Stay, { foreignKey: 'room_id' });
+        models.Stay.belongsTo(models.Room, { foreignKey: 'room_id' });
+      }
+
+      if (models.OnlineCheckIn && models.Stay) {
+        models.Stay.hasOne(models.OnlineCheckIn, { foreignKey: 'stay_id' });
+        models.OnlineCheckIn.belongsTo(models.Stay, { foreignKey: 'stay_id' });
+      }
+
+      if (models.OnlineCheckIn && models.Guest) {
+        models.Guest.hasMany(models.OnlineCheckIn, { foreignKey: 'guest_id' });
+        models.OnlineCheckIn.belongsTo(models.Guest, { foreignKey: 'guest_id' });
+      }
+
+      if (models.OnlineCheckIn && models.Hotel) {
+        models.Hotel.hasMany(models.OnlineCheckIn, { foreignKey: 'hotel_id' });
+        models.OnlineCheckIn.belongsTo(models.Hotel, { foreignKey: 'hotel_id' });
+      }
+
+      if (models.OnlineCheckIn && models.Member) {
+        models.OnlineCheckIn.belongsTo(models.Member, { foreignKey: 'reviewed_by', as: 'reviewer' });
+      }
+
+      if (models.FolioCharge && models.Stay) {
+        models.Stay.hasMany(models.FolioCharge, { foreignKey: 'stay_id' });
+        models.FolioCharge.belongsTo(models.Stay, { foreignKey: 'stay_id' });
+      }
+
+      if (models.FolioCharge && models.Member) {
+        models.FolioCharge.belongsTo(models.Member, { foreignKey: 'dispute_resolved_by', as: 'disputeResolver' });
+      }
+
+      if (models.ExpressCheckout && models.Stay) {
+        models.Stay.hasOne(models.ExpressCheckout, { foreignKey: 'stay_id' });
+        models.ExpressCheckout.belongsTo(models.Stay, { foreignKey: 'stay_id' });
+      }
+
+      if (models.ExpressCheckout && models.Guest) {
+        models.Guest.hasMany(models.ExpressCheckout, { foreignKey: 'guest_id' });
+        models.ExpressCheckout.belongsTo(models.Guest, { foreignKey: 'guest_id' });
+      }
+
+      if (models.ExpressCheckout && models.Member) {
+        models.ExpressCheckout.belongsTo(models.Member, { foreignKey: 'reviewed_by', as: 'reviewer' });
+      }
+
+      if (models.ExpressCheckout && models.Communication) {
+        models.ExpressCheckout.belongsTo(models.Communication, { foreignKey: 'feedback_invitation_id', as: 'feedbackInvitation' });
+      }
+
+      if (models.DeviceToken && models.Guest) {
+        models.Guest.hasMany(models.DeviceToken, { foreignKey: 'guest_id' });
+        models.DeviceToken.belongsTo(models.Guest, { foreignKey: 'guest_id' });
+      }
+
+      // Audience segment relationships
+      if (models.AudienceSegment && models.Hotel) {
+        models.Hotel.hasMany(models.AudienceSegment, { foreignKey: 'hotel_id' });
+        models.AudienceSegment.belongsTo(models.Hotel, { foreignKey: 'hotel_id' });
+      }
+
+      if (models.AudienceSegment && models.Member) {
+        models.AudienceSegment.belongsTo(models.Member, { foreignKey: 'created_by', as: 'creator' });
+      }
+
+      if (models.AudienceSegment && models.Communication) {
+        models.AudienceSegment.hasMany(models.Communication, { foreignKey: 'segment_id' });
+        models.Communication.belongsTo(models.AudienceSegment, { foreignKey: 'segment_id', as: 'segment' });
+      }
+
+      if (models.CommunicationRecipient && models.Communication) {
+        models.Communication.hasMany(models.CommunicationRecipient, { foreignKey: 'communication_id', as: 'recipients' });
+        models.CommunicationRecipient.belongsTo(models.Communication, { foreignKey: 'communication_id' });
+      }
+
+      if (models.CommunicationRecipient && models.Guest) {
+        models.Guest.hasMany(models.CommunicationRecipient, { foreignKey: 'guest_id' });
+        models.CommunicationRecipient.belongsTo(models.Guest, { foreignKey: 'guest_id' });
+      }
+
+      // Survey relationships
+      if (models.Survey && models.Hotel) {
+        models.Hotel.hasMany(models.Survey, { foreignKey: 'hotel_id' });
+        models.Survey.belongsTo(models.Hotel, { foreignKey: 'hotel_id' });
+      }
+
+      if (models.Survey && models.Member) {
+        models.Survey.belongsTo(models.Member, { foreignKey: 'created_by', as: 'creator' });
+      }
+
+      if (models.SurveyResponse && models.Survey) {
+        models.Survey.hasMany(models.SurveyResponse, { foreignKey: 'survey_id' });
+        models.SurveyResponse.belongsTo(models.Survey, { foreignKey: 'survey_id' });
+      }
+
+      if (models.SurveyResponse && models.Hotel) {
+        models.SurveyResponse.belongsTo(models.Hotel, { foreignKey: 'hotel_id' });
+      }
+
+      if (models.SurveyResponse && models.Stay) {
+        models.Stay.hasMany(models.SurveyResponse, { foreignKey: 'stay_id' });
+        models.SurveyResponse.belongsTo(models.Stay, { foreignKey: 'stay_id' });
+      }
+
+      if (models.SurveyResponse && models.Guest) {
+        models.Guest.hasMany(models.SurveyResponse, { foreignKey: 'guest_id' });
+        models.SurveyResponse.belongsTo(models.Guest, { foreignKey: 'guest_id' });
+      }
+
+      if (models.SurveyResponse && models.Communication) {
+        models.SurveyResponse.belongsTo(models.Communication, { foreignKey: 'invitation_id', as: 'invitation' });
+        models.SurveyResponse.belongsTo(models.Communication, { foreignKey: 'feedback_id', as: 'feedback' });
+      }
+
+      if (models.SurveyAnswer && models.SurveyResponse) {
+        models.SurveyResponse.hasMany(models.SurveyAnswer, { foreignKey: 'response_id', as: 'answerRows' });
+        models.SurveyAnswer.belongsTo(models.SurveyResponse, { foreignKey: 'response_id' });
+      }
+
+      // Feedback handling: escalation task, resolver and the hotel's duty manager
+      if (models.Communication && models.ConciergeRequest) {
+        models.Communication.belongsTo(models.ConciergeRequest, { foreignKey: 'escalation_request_id', as: 'escalationRequest' });
+      }
+
+      if (models.Communication && models.Member) {
+        models.Communication.belongsTo(models.Member, { foreignKey: 'resolved_by', as: 'resolver' });
+      }
+
+      if (models.Hotel && models.Member) {
+        models.Hotel.belongsTo(models.Member, { foreignKey: 'duty_manager_id', as: 'dutyManager' });
+      }
+
+      if (models.ChatConversation && models.Hotel) {
+        models.Hotel.hasMany(models.ChatConversation, { foreignKey: 'hotel_id' });
+        models.ChatConversation.belongsTo(models.Hotel, { foreignKey: 'hotel_id' });
+      }
+
+      if (models.ChatConversation && models.Guest) {
+        models.Guest.hasMany(models.ChatConversation, { foreignKey: 'guest_id' });
+        models.ChatConversation.belongsTo(models.Guest, { foreignKey: 'guest_id' });
+      }
+
+      if (models.ChatConversation && models.Stay) {
+        models.ChatConversation.belongsTo(models.Stay, { foreignKey: 'stay_id' });
+      }
+
+      if (models.ChatConversation && models.Member) {
+        models.ChatConversation.belongsTo(models.Member, { foreignKey: 'assigned_to', as: 'assignee' });
+      }
+
+      if (models.ChatConversation && models.ChatMessage) {
+        models.ChatConversation.hasMany(models.ChatMessage, { foreignKey: 'conversation_id', as: 'messages' });
+        models.ChatMessage.belongsTo(models.ChatConversation, { foreignKey: 'conversation_id' });
+      }
+
+      // Event quote relationships
+      if (models.EventCatalogItem && models.Hotel) {
+        models.Hotel.hasMany(models.EventCatalogItem, { foreignKey: 'hotel_id' });
+        models.EventCatalogItem.belongsTo(models.Hotel, { foreignKey: 'hotel_id' });
+      }
+
+      if (models.EventCatalogItem && models.MeetingRoom) {
+        models.EventCatalogItem.belongsTo(models.MeetingRoom, { foreignKey: 'meeting_room_id' });
+      }
+
+      if (models.EventQuote && models.Meeting) {
+        models.Meeting.hasMany(models.EventQuote, { foreignKey: 'meeting_id' });
+        models.EventQuote.belongsTo(models.Meeting, { foreignKey: 'meeting_id' });
+      }
+
+      if (models.EventQuote && models.Hotel) {
+        models.EventQuote.belongsTo(models.Hotel, { foreignKey: 'hotel_id' });
+      }
+
+      if (models.EventQuote && models.Member) {
+        models.EventQuote.belongsTo(models.Member, { foreignKey: 'created_by', as: 'creator' });
+      }
+
+      if (models.EventQuoteLine && models.EventQuote) {
+        models.EventQuote.hasMany(models.EventQuoteLine, { foreignKey: 'quote_id', as: 'lines' });
+        models.EventQuoteLine.belongsTo(models.EventQuote, { foreignKey: 'quote_id' });
+      }
+
+      if (models.EventQuoteLine && models.EventCatalogItem) {
+        models.EventQuoteLine.belongsTo(models.EventCatalogItem, { foreignKey: 'catalog_item_id' });
+      }
+
+      if (models.MeetingApprovalHistory && models.Meeting) {
+        models.Meeting.hasMany(models.MeetingApprovalHistory, { foreignKey: 'meeting_id', as: 'approvalHistory' });
+        models.MeetingApprovalHistory.belongsTo(models.Meeting, { foreignKey: 'meeting_id' });
+      }
+
+      if (models.MeetingApprovalHistory && models.Member) {
+        models.MeetingApprovalHistory.belongsTo(models.Member, { foreignKey: 'changed_by', as: 'changedBy' });
+      }
+
+      if (models.CalendarFeed && models.Hotel) {
+        models.Hotel.hasMany(models.CalendarFeed, { foreignKey: 'hotel_id' });
+        models.CalendarFeed.belongsTo(models.Hotel, { foreignKey: 'hotel_id' });
+      }
+
+      if (models.CalendarFeed && models.MeetingRoom) {
+        models.CalendarFeed.belongsTo(models.MeetingRoom, { foreignKey: 'meeting_room_id' });
+      }
+
+      if (models.CalendarFeed && models.Member) {
+        models.CalendarFeed.belongsTo(models.Member, { foreignKey: 'created_by', as: 'creator' });
+      }
+
+      if (models.DiningOrder && models.Hotel) {
+        models.Hotel.hasMany(models.DiningOrder, { foreignKey: 'hotel_id' });
+        models.DiningOrder.belongsTo(models.Hotel, { foreignKey: 'hotel_id' });
+      }
+
+      if (models.DiningOrder && models.Stay) {
+        models.Stay.hasMany(models.DiningOrder, { foreignKey: 'stay_id' });
+        models.DiningOrder.belongsTo(models.Stay, { foreignKey: 'stay_id' });
+      }
+
+      if (models.DiningOrder && models.Guest) {
+        models.DiningOrder.belongsTo(models.Guest, { foreignKey: 'guest_id' });
+      }
+
+      if (models.DiningOrder && models.Restaurant) {
+        models.DiningOrder.belongsTo(models.Restaurant, { foreignKey: 'restaurant_id' });
+      }
+
+      if (models.DiningOrder && models.Member) {
+        models.DiningOrder.belongsTo(models.Member, { foreignKey: 'handled_by', as: 'handler' });
+      }
+
+      if (models.DiningOrderItem && models.DiningOrder) {
+        models.DiningOrder.hasMany(models.DiningOrderItem, { foreignKey: 'order_id', as: 'items' });
+        models.DiningOrderItem.belongsTo(models.DiningOrder, { foreignKey: 'order_id' });
+      }
+
+      if (models.DiningOrderItem && models.Menu) {
+        models.DiningOrderItem.belongsTo(models.Menu, { foreignKey: 'menu_id' });
+      }
+
+      if (models.RestaurantTable && models.Restaurant) {
+        models.Restaurant.hasMany(models.RestaurantTable, { foreignKey: 'restaurant_id', as: 'tables' });
+        models.RestaurantTable.belongsTo(models.Restaurant, { foreignKey: 'restaurant_id' });
+      }
+
+      if (models.RestaurantReservation && models.Restaurant) {
+        models.Restaurant.hasMany(models.RestaurantReservation, { foreignKey: 'restaurant_id' });
+        models.RestaurantReservation.belongsTo(models.Restaurant, { foreignKey: 'restaurant_id' });
+      }
+
+      if (models.RestaurantReservation && models.RestaurantTable) {
+        models.RestaurantTable.hasMany(models.RestaurantReservation, { foreignKey: 'table_id' });
+        models.RestaurantReservation.belongsTo(models.RestaurantTable, { foreignKey: 'table_id' });
+      }
+
+      if (models.RestaurantReservation && models.Guest) {
+        models.RestaurantReservation.belongsTo(models.Guest, { foreignKey: 'guest_id' });
+      }
+
+      if (models.RestaurantReservation && models.Stay) {
+        models.RestaurantReservation.belongsTo(models.Stay, { foreignKey: 'stay_id' });
+      }
+
+      if (models.RestaurantReservation && models.Member) {
+        models.RestaurantReservation.belongsTo(models.Member, { foreignKey: 'created_by', as: 'creator' });
+        models.RestaurantReservation.belongsTo(models.Member, { foreignKey: 'handled_by', as: 'handler' });
+      }
+
+      if (models.MenuModifierGroup && models.Restaurant) {
+        models.Restaurant.hasMany(models.MenuModifierGroup, { foreignKey: 'restaurant_id' });
+        models.MenuModifierGroup.belongsTo(models.Restaurant, { foreignKey: 'restaurant_id' });
+      }
+
+      if (models.MenuModifierOption && models.MenuModifierGroup) {
+        models.MenuModifierGroup.hasMany(models.MenuModifierOption, { foreignKey: 'group_id', as: 'options' });
+        models.MenuModifierOption.belongsTo(models.MenuModifierGroup, { foreignKey: 'group_id' });
+      }
+
+      if (models.MenuModifierOption && models.Menu) {
+        models.MenuModifierOption.belongsTo(models.Menu, { foreignKey: 'menu_id', as: 'condiment' });
+      }
+
+      if (models.MenuItemModifierGroup && models.Menu && models.MenuModifierGroup) {
+        models.Menu.belongsToMany(models.MenuModifierGroup, {
+          through: models.MenuItemModifierGroup,
+          foreignKey: 'menu_id',
+          otherKey: 'group_id',
+          as: 'modifierGroups'
+        });
+        models.MenuModifierGroup.belongsToMany(models.Menu, {
+          through: models.MenuItemModifierGroup,
+          foreignKey: 'group_id',
+          otherKey: 'menu_id',
+          as: 'items'
+        });
+      }
+
     } catch (error) {
       console.error('Error loading models:', error.message);
       // Return mock models for serverless environments
@@ -288,7 +685,33 @@ const loadModels = () => {
         HotelSections: null,
         ChatMessage: null,
         Integration: null,
-        IntegrationLog: null
+        IntegrationLog: null,
+        MemberHotel: null,
+        ConciergeRequestStatusHistory: null,
+        RoomUnit: null,
+        Stay: null,
+        OnlineCheckIn: null,
+        FolioCharge: null,
+        ExpressCheckout: null,
+        DeviceToken: null,
+        AudienceSegment: null,
+        CommunicationRecipient: null,
+        Survey: null,
+        SurveyResponse: null,
+        SurveyAnswer: null,
+        ChatConversation: null,
+        EventCatalogItem: null,
+        EventQuote: null,
+        EventQuoteLine: null,
+        MeetingApprovalHistory: null,
+        CalendarFeed: null,
+        DiningOrder: null,
+        DiningOrderItem: null,
+        RestaurantTable: null,
+        RestaurantReservation: null,
+        MenuModifierGroup: null,
+        MenuModifierOption: null,
+        MenuItemModifierGroup: null
       };
     }
   }
@@ -391,4 +814,108 @@ Object.defineProperty(module.exports, 'Integration', {
 
 Object.defineProperty(module.exports, 'IntegrationLog', {
   get: () => loadModels().IntegrationLog
+});
+
+Object.defineProperty(module.exports, 'MemberHotel', {
+  get: () => loadModels().MemberHotel
+});
+
+Object.defineProperty(module.exports, 'ConciergeRequestStatusHistory', {
+  get: () => loadModels().ConciergeRequestStatusHistory
+});
+
+Object.defineProperty(module.exports, 'RoomUnit', {
+  get: () => loadModels().RoomUnit
+});
+
+Object.defineProperty(module.exports, 'Stay', {
+  get: () => loadModels().Stay
+});
+
+Object.defineProperty(module.exports, 'OnlineCheckIn', {
+  get: () => loadModels().OnlineCheckIn
+});
+
+Object.defineProperty(module.exports, 'FolioCharge', {
+  get: () => loadModels().FolioCharge
+});
+
+Object.defineProperty(module.exports, 'ExpressCheckout', {
+  get: () => loadModels().ExpressCheckout
+});
+
+Object.defineProperty(module.exports, 'DeviceToken', {
+  get: () => loadModels().DeviceToken
+});
+
+Object.defineProperty(module.exports, 'AudienceSegment', {
+  get: () => loadModels().AudienceSegment
+});
+
+Object.defineProperty(module.exports, 'CommunicationRecipient', {
+  get: () => loadModels().CommunicationRecipient
+});
+
+Object.defineProperty(module.exports, 'Survey', {
+  get: () => loadModels().Survey
+});
+
+Object.defineProperty(module.exports, 'SurveyResponse', {
+  get: () => loadModels().SurveyResponse
+});
+
+Object.defineProperty(module.exports, 'SurveyAnswer', {
+  get: () => loadModels().SurveyAnswer
+});
+
+Object.defineProperty(module.exports, 'ChatConversation', {
+  get: () => loadModels().ChatConversation
+});
+
+Object.defineProperty(module.exports, 'EventCatalogItem', {
+  get: () => loadModels().EventCatalogItem
+});
+
+Object.defineProperty(module.exports, 'EventQuote', {
+  get: () => loadModels().EventQuote
+});
+
+Object.defineProperty(module.exports, 'EventQuoteLine', {
+  get: () => loadModels().EventQuoteLine
+});
+
+Object.defineProperty(module.exports, 'MeetingApprovalHistory', {
+  get: () => loadModels().MeetingApprovalHistory
+});
+
+Object.defineProperty(module.exports, 'CalendarFeed', {
+  get: () => loadModels().CalendarFeed
+});
+
+Object.defineProperty(module.exports, 'DiningOrder', {
+  get: () => loadModels().DiningOrder
+});
+
+Object.defineProperty(module.exports, 'DiningOrderItem', {
+  get: () => loadModels().DiningOrderItem
+});
+
+Object.defineProperty(module.exports, 'RestaurantTable', {
+  get: () => loadModels().RestaurantTable
+});
+
+Object.defineProperty(module.exports, 'RestaurantReservation', {
+  get: () => loadModels().RestaurantReservation
+});
+
+Object.defineProperty(module.exports, 'MenuModifierGroup', {
+  get: () => loadModels().MenuModifierGroup
+});
+
+Object.defineProperty(module.exports, 'MenuModifierOption', {
+  get: () => loadModels().MenuModifierOption
+});
+
+Object.defineProperty(module.exports, 'MenuItemModifierGroup', {
+  get: () => loadModels().MenuItemModifierGroup
 }); 
\ No newline at end of file
@@ -70,7 +70,33 @@ const loadModels = () => {
         HotelSections: require('./hotel-sections.model')(sequelizeInstance),
         ChatMessage: require('./chat_message.model')(sequelizeInstance),
         Integration: require('./integration.model')(sequelizeInstance),
-        IntegrationLog: require('./integration_log.model')(sequelizeInstance)
+        IntegrationLog: require('./integration_log.model')(sequelizeInstance),
+        MemberHotel: require('./member-hotel.model')(sequelizeInstance),
+        ConciergeRequestStatusHistory: require('./concierge_request_status_history.model')(sequelizeInstance),
+        RoomUnit: require('./room-unit.model')(sequelizeInstance),
+        Stay: require('./stay.model')(sequelizeInstance),
+        OnlineCheckIn: require('./online-check-in.model')(sequelizeInstance),
+        FolioCharge: require('./folio-charge.model')(sequelizeInstance),
+        ExpressCheckout: require('./express-checkout.model')(sequelizeInstance),
+        DeviceToken: require('./device-token.model')(sequelizeInstance),
+        AudienceSegment: require('./audience-segment.model')(sequelizeInstance),
+        CommunicationRecipient: require('./communication-recipient.model')(sequelizeInstance),
+        Survey: require('./survey.model')(sequelizeInstance),
+        SurveyResponse: require('./survey-response.model')(sequelizeInstance),
+        SurveyAnswer: require('./survey-answer.model')(sequelizeInstance),
+        ChatConversation: require('./chat-conversation.model')(sequelizeInstance),
+        EventCatalogItem: require('./event-catalog-item.model')(sequelizeInstance),
+        EventQuote: require('./event-quote.model')(sequelizeInstance),
+        EventQuoteLine: require('./event-quote-line.model')(sequelizeInstance),
+        MeetingApprovalHistory: require('./meeting-approval-history.model')(sequelizeInstance),
+        CalendarFeed: require('./calendar-feed.model')(sequelizeInstance),
+        DiningOrder: require('./dining-order.model')(sequelizeInstance),
+        DiningOrderItem: require('./dining-order-item.model')(sequelizeInstance),
+        RestaurantTable: require('./restaurant-table.model')(sequelizeInstance),
+        RestaurantReservation: require('./restaurant-reservation.model')(sequelizeInstance),
+        MenuModifierGroup: require('./menu-modifier-group.model')(sequelizeInstance),
+        MenuModifierOption: require('./menu-modifier-option.model')(sequelizeInstance),
+        MenuItemModifierGroup: require('./menu-item-modifier-group.model')(sequelizeInstance)
       };
     } catch (error) {
       console.error('Models load error:', error.message);
@@ -81,7 +107,17 @@ const loadModels = () => {
         File: null, Images: null, ConciergeCategory: null, ConciergeRequest: null,
         Offer: null, Communication: null, Meeting: null, MeetingRoom: null,
         WellnessSpa: null, HotelLandingPage: null, HotelSections: null,
-        ChatMessage: null, Integration: null, IntegrationLog: null
+        ChatMessage: null, Integration: null, IntegrationLog: null,
+        MemberHotel: null, ConciergeRequestStatusHistory: null, RoomUnit: null,
+        Stay: null, OnlineCheckIn: null, FolioCharge: null,
+        ExpressCheckout: null, DeviceToken: null, AudienceSegment: null,
+        CommunicationRecipient: null, Survey: null, SurveyResponse: null,
+        SurveyAnswer: null, ChatConversation: null, EventCatalogItem: null,
+        EventQuote: null, EventQuoteLine: null, MeetingApprovalHistory: null,
+        CalendarFeed: null, DiningOrder: null, DiningOrderItem: null,
+        RestaurantTable: null, RestaurantReservation: null,
+        MenuModifierGroup: null, MenuModifierOption: null,
+        MenuItemModifierGroup: null
       };
     }
   }
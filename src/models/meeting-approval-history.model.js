@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+
+// What happened to a meeting's approval; the notification entries record
+// whether the organizer was told
+const APPROVAL_ACTIONS = [
+  'submitted',
+  'approved',
+  'rejected',
+  'changes_requested',
+  'organizer_notified',
+  'notification_failed'
+];
+
+module.exports = (sequelize) => {
+  const MeetingApprovalHistory = sequelize.define('MeetingApprovalHistory', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    meeting_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'meetings',
+        key: 'id'
+      }
+    },
+    action: {
+      type: DataTypes.ENUM(...APPROVAL_ACTIONS),
+      allowNull: false
+    },
+    from_status: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'Approval status before the action'
+    },
+    to_status: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'Approval status after the action'
+    },
+    // Rejection reason, requested changes or the note sent with an approval
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Counter-proposal of a change request, or the recipient and outcome of a notification
+    details: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      get() {
+        const value = this.getDataValue('details');
+        return value ? JSON.parse(value) : null;
+      },
+      set(value) {
+        this.setDataValue('details', value ? JSON.stringify(value) : null);
+      }
+    },
+    changed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      },
+      comment: 'Staff member; null for the organizer and the system'
+    }
+  }, {
+    tableName: 'meeting_approval_history',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    hooks: {
+      // history is append-only
+      beforeUpdate: () => {
+        throw new Error('Meeting approval history entries cannot be modified');
+      },
+      beforeBulkUpdate: () => {
+        throw new Error('Meeting approval history entries cannot be modified');
+      },
+      beforeDestroy: () => {
+        throw new Error('Meeting approval history entries cannot be deleted');
+      },
+      beforeBulkDestroy: () => {
+        throw new Error('Meeting approval history entries cannot be deleted');
+      }
+    },
+    indexes: [
+      {
+        fields: ['meeting_id', 'created_at']
+      }
+    ]
+  });
+
+  MeetingApprovalHistory.ACTIONS = APPROVAL_ACTIONS;
+
+  return MeetingApprovalHistory;
+};
@@ -24,6 +24,28 @@ module.exports = (sequelize) => {
       allowNull: true,
       comment: 'Capacity as string (e.g., "10-20 people", "Boardroom style")'
     },
+    max_capacity: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Most attendees the room takes; bookings above it are refused'
+    },
+    setup_buffer_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Default time blocked before each booking to set the room up'
+    },
+    teardown_buffer_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Default time blocked after each booking to clear the room'
+    },
+    combines: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'IDs of the rooms this one is made of (e.g. a divisible ballroom); booking either blocks the other'
+    },
     features: {
       type: DataTypes.TEXT,
       allowNull: true,
@@ -49,5 +71,27 @@ module.exports = (sequelize) => {
     ]
   });
 
+  // Attendee limit: max_capacity, else the largest number in the capacity text ("10-20 people" -> 20)
+  MeetingRoom.prototype.getMaxCapacity = function () {
+    if (this.max_capacity) {
+      return this.max_capacity;
+    }
+    const numbers = String(this.capacity || '').match(/\d+/g);
+    return numbers ? Math.max(...numbers.map(Number)) : null;
+  };
+
+  // Rooms this room is made of; a plain room is made of itself
+  MeetingRoom.prototype.getPartIds = function () {
+    let combines = this.combines;
+    if (typeof combines === 'string') {
+      try {
+        combines = JSON.parse(combines);
+      } catch (e) {
+        combines = null;
+      }
+    }
+    return Array.isArray(combines) && combines.length > 0 ? combines.map(Number) : [this.id];
+  };
+
   return MeetingRoom;
 }; 
\ No newline at end of file
@@ -51,6 +51,33 @@ module.exports = (sequelize) => {
       allowNull: true,
       comment: 'Meeting room or venue location'
     },
+    meeting_room_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'meeting_rooms',
+        key: 'id'
+      }
+    },
+    setup_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Room blocked this long before start_date'
+    },
+    teardown_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Room blocked this long after end_date'
+    },
+    // Period the room is unavailable: the event plus its setup and teardown
+    blocked_from: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    blocked_until: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     organizer_name: {
       type: DataTypes.STRING(255),
       allowNull: false
@@ -131,12 +158,26 @@ module.exports = (sequelize) => {
     approved_at: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    approval_status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected', 'changes_requested'),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment: 'Outcome of the hotel review; see meeting_approval_history for reasons'
     }
   }, {
     tableName: 'meetings',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at',
+    hooks: {
+      beforeSave: (meeting) => {
+        if (meeting.start_date && meeting.end_date) {
+          meeting.blocked_from = new Date(new Date(meeting.start_date).getTime() - (meeting.setup_minutes || 0) * 60000);
+          meeting.blocked_until = new Date(new Date(meeting.end_date).getTime() + (meeting.teardown_minutes || 0) * 60000);
+        }
+      }
+    },
     indexes: [
       {
         fields: ['hotel_id']
@@ -161,9 +202,18 @@ module.exports = (sequelize) => {
       },
       {
         fields: ['created_by']
+      },
+      {
+        fields: ['meeting_room_id', 'blocked_from', 'blocked_until']
+      },
+      {
+        fields: ['approval_status']
       }
     ]
   });
 
+  // Meetings in these statuses hold their room
+  Meeting.BLOCKING_STATUSES = ['draft', 'confirmed', 'in_progress'];
+
   return Meeting;
 };
@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const MemberHotel = sequelize.define('MemberHotel', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    member_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    },
+    hotel_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'member_hotels',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['member_id', 'hotel_id']
+      }
+    ]
+  });
+
+  return MemberHotel;
+};
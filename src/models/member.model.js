@@ -27,6 +27,42 @@ module.exports = (sequelize) => {
     last_name: {
       type: DataTypes.STRING(100),
       allowNull: false
+    },
+    organization_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      },
+      comment: 'Employing organization for staff accounts (owners are linked via organizations.member_id)'
+    },
+    role: {
+      type: DataTypes.ENUM('owner', 'front_desk', 'fb_manager', 'spa_manager', 'concierge_agent', 'auditor'),
+      allowNull: false,
+      defaultValue: 'owner'
+    },
+    status: {
+      type: DataTypes.ENUM('invited', 'active', 'disabled'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    invitation_token: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      unique: true
+    },
+    invitation_expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    invited_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
     }
   }, {
     tableName: 'members',
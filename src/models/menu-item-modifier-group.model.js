@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+
+// Modifier groups offered with a menu item, in the order they are shown
+module.exports = (sequelize) => {
+  const MenuItemModifierGroup = sequelize.define('MenuItemModifierGroup', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    menu_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'menus',
+        key: 'id'
+      }
+    },
+    group_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'menu_modifier_groups',
+        key: 'id'
+      }
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'menu_item_modifier_groups',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['menu_id', 'group_id']
+      }
+    ]
+  });
+
+  return MenuItemModifierGroup;
+};
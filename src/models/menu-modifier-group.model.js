@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const MenuModifierGroup = sequelize.define('MenuModifierGroup', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    hotel_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'id'
+      }
+    },
+    restaurant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'restaurants',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Shown to the guest, e.g. "Choose a side"'
+    },
+    pos_group_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Condiment group of the POS the group was synced from'
+    },
+    // Options to choose in total; min_select 1 makes the group required
+    min_select: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    max_select: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Null for no limit'
+    },
+    // How often the same option can be chosen ("extra cheese" twice)
+    max_per_option: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    }
+  }, {
+    tableName: 'menu_modifier_groups',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['restaurant_id']
+      },
+      {
+        fields: ['hotel_id', 'pos_group_id']
+      }
+    ]
+  });
+
+  return MenuModifierGroup;
+};
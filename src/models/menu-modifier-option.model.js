@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const MenuModifierOption = sequelize.define('MenuModifierOption', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    group_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'menu_modifier_groups',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    // Condiment menu item the option stands for; its tax rate applies
+    menu_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'menus',
+        key: 'id'
+      }
+    },
+    pos_item_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'POS object number the option is posted as'
+    },
+    price_delta: {
+      type: DataTypes.DECIMAL(10, 0),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'In cents like menus.item_price; added to the item price for each time the option is chosen'
+    },
+    is_default: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    is_available: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'menu_modifier_options',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['group_id', 'sort_order']
+      }
+    ]
+  });
+
+  return MenuModifierOption;
+};
@@ -1,4 +1,16 @@
 const { DataTypes } = require('sequelize');
+const { ALLERGENS, DIETARY_TAGS, isAllergen, isDietaryTag, normalizeAllergens, normalizeDietaryTags, conflicts } = require('../config/dietary');
+
+const parseCodes = (value) => {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Terms that are not codes are kept so validation can name them
+const storeCodes = (normalized) => JSON.stringify([...normalized.codes, ...normalized.unknown]);
 
 module.exports = (sequelize) => {
   const Menu = sequelize.define('Menu', {
@@ -27,9 +39,51 @@ module.exports = (sequelize) => {
       type: DataTypes.DECIMAL(10, 0),
       allowNull: false
     },
+    // Codes of config/dietary ALLERGENS; null when not declared, [] when the
+    // item has none. Accepts a list or text such as "Milk, tree nuts".
     allergens: {
       type: DataTypes.TEXT,
-      allowNull: true
+      allowNull: true,
+      get() {
+        return parseCodes(this.getDataValue('allergens'));
+      },
+      set(value) {
+        const empty = value === null || value === undefined || (typeof value === 'string' && !value.trim());
+        this.setDataValue('allergens', empty ? null : storeCodes(normalizeAllergens(value)));
+      },
+      validate: {
+        isKnownAllergen(value) {
+          const unknown = (parseCodes(value) || []).filter(code => !isAllergen(code));
+          if (unknown.length > 0) {
+            throw new Error(`Unknown allergen(s): ${unknown.join(', ')}. Use ${Object.keys(ALLERGENS).join(', ')}`);
+          }
+        }
+      }
+    },
+    allergen_notes: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: 'Shown with the allergens, e.g. "May contain traces of nuts"'
+    },
+    // Codes of config/dietary DIETARY_TAGS, e.g. vegan (which adds vegetarian and dairy-free)
+    dietary_tags: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      get() {
+        return parseCodes(this.getDataValue('dietary_tags')) || [];
+      },
+      set(value) {
+        const normalized = value ? normalizeDietaryTags(value) : { codes: [], unknown: [] };
+        this.setDataValue('dietary_tags', normalized.codes.length + normalized.unknown.length > 0 ? storeCodes(normalized) : null);
+      },
+      validate: {
+        isKnownDietaryTag(value) {
+          const unknown = (parseCodes(value) || []).filter(code => !isDietaryTag(code));
+          if (unknown.length > 0) {
+            throw new Error(`Unknown dietary tag(s): ${unknown.join(', ')}. Use ${Object.keys(DIETARY_TAGS).join(', ')}`);
+          }
+        }
+      }
     },
     image: {
       type: DataTypes.TEXT,
@@ -71,8 +125,22 @@ module.exports = (sequelize) => {
     tableName: 'menus',
     timestamps: true,
     createdAt: 'created_at',
-    updatedAt: 'updated_at'
+    updatedAt: 'updated_at',
+    validate: {
+      dietaryTagsMatchAllergens() {
+        const found = conflicts(this.allergens || [], this.dietary_tags);
+        if (found.length > 0) {
+          throw new Error(`Dietary tags conflict with the allergens (${found.join('; ')})`);
+        }
+      }
+    }
   });
 
+  Menu.ALLERGENS = ALLERGENS;
+  Menu.DIETARY_TAGS = DIETARY_TAGS;
+
+  // item_price is stored in cents; orders, folios and quotes are in currency units
+  Menu.toCurrency = (cents) => Math.round(parseFloat(cents) || 0) / 100;
+
   return Menu;
 }; 
\ No newline at end of file
@@ -0,0 +1,133 @@
+const { DataTypes } = require('sequelize');
+
+const CHECK_IN_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Registration card fields a guest fills in or confirms
+const REGISTRATION_FIELDS = [
+  'first_name',
+  'last_name',
+  'date_of_birth',
+  'nationality',
+  'passport_number',
+  'phone',
+  'address'
+];
+
+module.exports = (sequelize) => {
+  const OnlineCheckIn = sequelize.define('OnlineCheckIn', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    hotel_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'id'
+      }
+    },
+    stay_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'stays',
+        key: 'id'
+      }
+    },
+    guest_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'guests',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM(...CHECK_IN_STATUSES),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    // Registration card as submitted by the guest
+    registration_data: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      get() {
+        const rawValue = this.getDataValue('registration_data');
+        return rawValue ? JSON.parse(rawValue) : {};
+      },
+      set(value) {
+        this.setDataValue('registration_data', JSON.stringify(value || {}));
+      }
+    },
+    estimated_arrival_time: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+      validate: {
+        is: /^([01]\d|2[0-3]):[0-5]\d$/
+      }
+    },
+    special_requests: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Copy of the hotel terms the guest accepted
+    terms_accepted: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    terms_accepted_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    submitted_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    reviewed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    rejection_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Check-in ID returned by the PMS, or the last PMS error
+    pms_check_in_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    pms_error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'online_check_ins',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['hotel_id', 'status']
+      },
+      {
+        fields: ['guest_id']
+      }
+    ]
+  });
+
+  OnlineCheckIn.STATUSES = CHECK_IN_STATUSES;
+  OnlineCheckIn.REGISTRATION_FIELDS = REGISTRATION_FIELDS;
+
+  return OnlineCheckIn;
+};
@@ -0,0 +1,192 @@
+const { DataTypes } = require('sequelize');
+
+const RESERVATION_STATUS_TRANSITIONS = {
+  confirmed: ['seated', 'cancelled', 'no_show'],
+  seated: ['completed'],
+  completed: [],
+  cancelled: [],
+  no_show: []
+};
+
+// When each status was reached
+const STATUS_TIMESTAMPS = {
+  seated: 'seated_at',
+  completed: 'completed_at',
+  cancelled: 'cancelled_at',
+  no_show: 'no_show_at'
+};
+
+// How the reservation was made
+const SOURCES = ['public', 'guest', 'staff'];
+
+module.exports = (sequelize) => {
+  const RestaurantReservation = sequelize.define('RestaurantReservation', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    hotel_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'id'
+      }
+    },
+    restaurant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'restaurants',
+        key: 'id'
+      }
+    },
+    table_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'restaurant_tables',
+        key: 'id'
+      }
+    },
+    guest_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'guests',
+        key: 'id'
+      }
+    },
+    // In-house stay of the guest on the reservation date, if any
+    stay_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'stays',
+        key: 'id'
+      }
+    },
+    confirmation_code: {
+      type: DataTypes.STRING(12),
+      allowNull: false,
+      unique: true,
+      comment: 'Given to the guest; with the email it looks up or cancels the reservation'
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      validate: {
+        isEmail: true
+      }
+    },
+    phone: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    party_size: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // Local date and time at the restaurant, like its working hours
+    reservation_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    start_time: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    duration_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM(...Object.keys(RESERVATION_STATUS_TRANSITIONS)),
+      allowNull: false,
+      defaultValue: 'confirmed'
+    },
+    source: {
+      type: DataTypes.ENUM(...SOURCES),
+      allowNull: false,
+      defaultValue: 'public'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    seated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancel_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    no_show_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    },
+    // Staff member who last changed the status
+    handled_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'restaurant_reservations',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['restaurant_id', 'reservation_date', 'status']
+      },
+      {
+        fields: ['hotel_id', 'reservation_date']
+      },
+      {
+        fields: ['guest_id']
+      },
+      {
+        unique: true,
+        fields: ['confirmation_code']
+      }
+    ]
+  });
+
+  RestaurantReservation.STATUS_TRANSITIONS = RESERVATION_STATUS_TRANSITIONS;
+  RestaurantReservation.STATUS_TIMESTAMPS = STATUS_TIMESTAMPS;
+  RestaurantReservation.SOURCES = SOURCES;
+
+  // Reservations that hold their table
+  RestaurantReservation.BLOCKING_STATUSES = ['confirmed', 'seated'];
+
+  RestaurantReservation.canTransition = (from, to) =>
+    (RESERVATION_STATUS_TRANSITIONS[from] || []).includes(to);
+
+  return RestaurantReservation;
+};
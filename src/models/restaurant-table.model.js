@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RestaurantTable = sequelize.define('RestaurantTable', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    hotel_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'id'
+      }
+    },
+    restaurant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'restaurants',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'Table number or name, unique per restaurant'
+    },
+    area: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Part of the restaurant, e.g. Terrace or Window'
+    },
+    // Party sizes the table is given to
+    min_covers: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    max_covers: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // Inactive tables keep their reservations but take no new ones
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'restaurant_tables',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['restaurant_id', 'name']
+      },
+      {
+        fields: ['hotel_id']
+      }
+    ]
+  });
+
+  RestaurantTable.prototype.seats = function (partySize) {
+    return this.is_active && partySize >= this.min_covers && partySize <= this.max_covers;
+  };
+
+  return RestaurantTable;
+};
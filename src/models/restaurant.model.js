@@ -38,6 +38,23 @@ module.exports = (sequelize) => {
       type: DataTypes.TEXT,
       allowNull: true,
       defaultValue: null
+    },
+    // Table reservations start every this many minutes from opening
+    reservation_slot_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 15
+    },
+    // How long a reservation holds its table
+    reservation_duration_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 90
+    },
+    covers_per_slot: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Most covers seated per reservation slot; null for no limit beyond the tables'
     }
   }, {
     tableName: 'restaurants',
@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+
+const HOUSEKEEPING_STATUSES = ['dirty', 'clean', 'inspected', 'out_of_order'];
+
+module.exports = (sequelize) => {
+  const RoomUnit = sequelize.define('RoomUnit', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    hotel_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'id'
+      }
+    },
+    // Room type this unit belongs to; units created by a PMS sync may not have one yet
+    room_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'rooms',
+        key: 'id'
+      }
+    },
+    room_number: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    floor: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    housekeeping_status: {
+      type: DataTypes.ENUM(...HOUSEKEEPING_STATUSES),
+      allowNull: false,
+      defaultValue: 'clean'
+    },
+    out_of_order_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    out_of_order_until: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    is_occupied: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status_updated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    status_updated_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    },
+    // Where the last status change came from
+    status_source: {
+      type: DataTypes.ENUM('manual', 'pms'),
+      allowNull: false,
+      defaultValue: 'manual'
+    }
+  }, {
+    tableName: 'room_units',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['hotel_id', 'room_number']
+      }
+    ]
+  });
+
+  RoomUnit.HOUSEKEEPING_STATUSES = HOUSEKEEPING_STATUSES;
+
+  return RoomUnit;
+};
@@ -0,0 +1,156 @@
+const { DataTypes, Op } = require('sequelize');
+
+const STAY_STATUSES = ['reserved', 'checked_in', 'checked_out', 'cancelled', 'no_show'];
+
+module.exports = (sequelize) => {
+  const Stay = sequelize.define('Stay', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    hotel_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'id'
+      }
+    },
+    guest_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'guests',
+        key: 'id'
+      }
+    },
+    // Physical room; may be assigned only shortly before arrival
+    room_unit_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'room_units',
+        key: 'id'
+      }
+    },
+    // Booked room type
+    room_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'rooms',
+        key: 'id'
+      }
+    },
+    confirmation_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    arrival_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    departure_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM(...STAY_STATUSES),
+      allowNull: false,
+      defaultValue: 'reserved'
+    },
+    adults: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    children: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    source: {
+      type: DataTypes.ENUM('direct', 'pms', 'ota', 'walk_in'),
+      allowNull: false,
+      defaultValue: 'direct'
+    },
+    // Reservation ID and provider in the PMS, used to upsert on sync
+    external_reservation_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    external_source: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    special_requests: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    checked_in_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    checked_out_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'stays',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['hotel_id', 'confirmation_number']
+      },
+      {
+        unique: true,
+        fields: ['hotel_id', 'external_source', 'external_reservation_id']
+      }
+    ],
+    validate: {
+      departureAfterArrival() {
+        if (this.arrival_date && this.departure_date && this.departure_date <= this.arrival_date) {
+          throw new Error('Departure date must be after arrival date');
+        }
+      }
+    },
+    hooks: {
+      beforeValidate: (stay) => {
+        if (!stay.confirmation_number) {
+          stay.confirmation_number = Stay.generateConfirmationNumber();
+        }
+      }
+    }
+  });
+
+  Stay.STATUSES = STAY_STATUSES;
+
+  // Stays that hold a room
+  Stay.ACTIVE_STATUSES = ['reserved', 'checked_in'];
+
+  // Find an active stay holding the room unit for any night between the given dates
+  Stay.findRoomConflict = ({ roomUnitId, arrivalDate, departureDate, excludeStayId = null }) => {
+    const where = {
+      room_unit_id: roomUnitId,
+      status: { [Op.in]: Stay.ACTIVE_STATUSES },
+      arrival_date: { [Op.lt]: departureDate },
+      departure_date: { [Op.gt]: arrivalDate }
+    };
+    if (excludeStayId) where.id = { [Op.ne]: excludeStayId };
+
+    return Stay.findOne({ where, attributes: ['id', 'confirmation_number'] });
+  };
+
+  Stay.generateConfirmationNumber = () =>
+    `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`.toUpperCase();
+
+  return Stay;
+};
@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+
+// One row per answered question, so scores can be aggregated per question and department
+module.exports = (sequelize) => {
+  const SurveyAnswer = sequelize.define('SurveyAnswer', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    response_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'survey_responses',
+        key: 'id'
+      }
+    },
+    hotel_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'id'
+      }
+    },
+    // Question key, type and department as they were when answered
+    question_key: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    question_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    department: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    // NPS and ratings; yes_no is stored as 1 or 0
+    numeric_value: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Free text and choices; multiple choices are a JSON array
+    text_value: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'survey_answers',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['response_id']
+      },
+      {
+        fields: ['hotel_id', 'question_type', 'department']
+      }
+    ]
+  });
+
+  return SurveyAnswer;
+};
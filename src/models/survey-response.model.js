@@ -0,0 +1,132 @@
+const { DataTypes } = require('sequelize');
+
+const RESPONSE_STATUSES = ['pending', 'completed'];
+
+module.exports = (sequelize) => {
+  const SurveyResponse = sequelize.define('SurveyResponse', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    survey_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'surveys',
+        key: 'id'
+      }
+    },
+    hotel_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'id'
+      }
+    },
+    stay_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'stays',
+        key: 'id'
+      }
+    },
+    guest_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'guests',
+        key: 'id'
+      }
+    },
+    // Secret in the survey link; answering needs no guest login
+    token: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    status: {
+      type: DataTypes.ENUM(...RESPONSE_STATUSES),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    // Answers keyed by question key, as submitted
+    answers: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      get() {
+        const rawValue = this.getDataValue('answers');
+        if (!rawValue) return null;
+        try {
+          return JSON.parse(rawValue);
+        } catch (e) {
+          return null;
+        }
+      },
+      set(value) {
+        if (value === null || value === undefined) {
+          this.setDataValue('answers', null);
+        } else {
+          this.setDataValue('answers', JSON.stringify(value));
+        }
+      }
+    },
+    // 0-10 answer to the survey's NPS question
+    nps_score: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Average of the 1-5 rating answers
+    average_rating: {
+      type: DataTypes.DECIMAL(3, 2),
+      allowNull: true
+    },
+    invitation_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'communications',
+        key: 'id'
+      }
+    },
+    // Feedback communication created from the completed survey
+    feedback_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'communications',
+        key: 'id'
+      }
+    },
+    sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'survey_responses',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['survey_id']
+      },
+      {
+        fields: ['hotel_id', 'status', 'completed_at']
+      },
+      {
+        fields: ['stay_id']
+      }
+    ]
+  });
+
+  SurveyResponse.STATUSES = RESPONSE_STATUSES;
+
+  return SurveyResponse;
+};
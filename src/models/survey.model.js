@@ -0,0 +1,192 @@
+const { DataTypes } = require('sequelize');
+
+const QUESTION_TYPES = ['nps', 'rating', 'text', 'single_choice', 'multiple_choice', 'yes_no'];
+const SURVEY_TRIGGERS = ['manual', 'post_checkout'];
+const CONDITION_OPERATORS = ['eq', 'neq', 'lte', 'gte', 'in'];
+
+// Ratings are 1-5 stars; NPS is the standard 0-10 "how likely are you to recommend us"
+const RATING_SCALE = { min: 1, max: 5 };
+const NPS_SCALE = { min: 0, max: 10 };
+
+const QUESTION_KEY_PATTERN = /^[a-z0-9_]{1,50}$/;
+
+module.exports = (sequelize) => {
+  const Survey = sequelize.define('Survey', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    hotel_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // post_checkout surveys are sent automatically when a stay is checked out
+    trigger: {
+      type: DataTypes.ENUM(...SURVEY_TRIGGERS),
+      allowNull: false,
+      defaultValue: 'manual'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    // Ordered question definitions, see Survey.validateQuestions
+    questions: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      get() {
+        const rawValue = this.getDataValue('questions');
+        if (!rawValue) return [];
+        try {
+          return JSON.parse(rawValue);
+        } catch (e) {
+          return [];
+        }
+      },
+      set(value) {
+        this.setDataValue('questions', JSON.stringify(value || []));
+      }
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'surveys',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['hotel_id']
+      },
+      {
+        fields: ['trigger', 'is_active']
+      }
+    ]
+  });
+
+  Survey.QUESTION_TYPES = QUESTION_TYPES;
+  Survey.TRIGGERS = SURVEY_TRIGGERS;
+  Survey.CONDITION_OPERATORS = CONDITION_OPERATORS;
+  Survey.RATING_SCALE = RATING_SCALE;
+  Survey.NPS_SCALE = NPS_SCALE;
+
+  /**
+   * Check question definitions; returns a list of problems (empty when valid).
+   * A question looks like:
+   *   { key, type, label, required, department, options, show_if: { question, operator, value } }
+   * show_if may only refer to an earlier question.
+   */
+  Survey.validateQuestions = (questions) => {
+    if (!Array.isArray(questions) || questions.length === 0) {
+      return ['questions must be a non-empty array'];
+    }
+
+    const errors = [];
+    const seen = new Map();
+
+    questions.forEach((question, index) => {
+      const at = `questions[${index}]`;
+      if (!question || typeof question !== 'object') {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+
+      if (typeof question.key !== 'string' || !QUESTION_KEY_PATTERN.test(question.key)) {
+        errors.push(`${at}.key must be 1-50 lowercase letters, digits or underscores`);
+      } else if (seen.has(question.key)) {
+        errors.push(`${at}.key ${question.key} is used twice`);
+      }
+      if (!QUESTION_TYPES.includes(question.type)) {
+        errors.push(`${at}.type must be one of: ${QUESTION_TYPES.join(', ')}`);
+      }
+      if (typeof question.label !== 'string' || !question.label.trim()) {
+        errors.push(`${at}.label is required`);
+      }
+      if (question.department !== undefined && question.type !== 'rating') {
+        errors.push(`${at}.department only applies to rating questions`);
+      }
+      if (question.department !== undefined && (typeof question.department !== 'string' || !question.department.trim())) {
+        errors.push(`${at}.department must be a non-empty string`);
+      }
+
+      const isChoice = ['single_choice', 'multiple_choice'].includes(question.type);
+      if (isChoice && (!Array.isArray(question.options) || question.options.length < 2 ||
+        question.options.some(option => typeof option !== 'string' || !option.trim()))) {
+        errors.push(`${at}.options must list at least two choices`);
+      }
+      if (!isChoice && question.options !== undefined) {
+        errors.push(`${at}.options only applies to choice questions`);
+      }
+
+      if (question.show_if !== undefined) {
+        const condition = question.show_if || {};
+        if (!seen.has(condition.question)) {
+          errors.push(`${at}.show_if.question must be the key of an earlier question`);
+        }
+        if (!CONDITION_OPERATORS.includes(condition.operator)) {
+          errors.push(`${at}.show_if.operator must be one of: ${CONDITION_OPERATORS.join(', ')}`);
+        }
+        if (condition.operator === 'in' && !Array.isArray(condition.value)) {
+          errors.push(`${at}.show_if.value must be an array for the in operator`);
+        }
+        if (condition.value === undefined) {
+          errors.push(`${at}.show_if.value is required`);
+        }
+      }
+
+      if (typeof question.key === 'string') {
+        seen.set(question.key, question);
+      }
+    });
+
+    return errors;
+  };
+
+  /**
+   * Whether a question is asked given the answers so far. Questions whose
+   * condition refers to an unanswered question are skipped.
+   */
+  Survey.isQuestionVisible = (question, answers) => {
+    const condition = question.show_if;
+    if (!condition) return true;
+
+    const answer = answers[condition.question];
+    if (answer === undefined || answer === null || answer === '') return false;
+
+    switch (condition.operator) {
+      case 'eq':
+        return answer === condition.value;
+      case 'neq':
+        return answer !== condition.value;
+      case 'lte':
+        return Number(answer) <= Number(condition.value);
+      case 'gte':
+        return Number(answer) >= Number(condition.value);
+      case 'in':
+        return condition.value.includes(answer);
+      default:
+        return false;
+    }
+  };
+
+  return Survey;
+};
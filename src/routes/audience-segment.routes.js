@@ -0,0 +1,513 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { AudienceSegment, Communication, Member } = require('../models');
+const AudienceSegmentService = require('../services/communication/segment.service');
+
+const router = express.Router();
+
+// Guests returned with a preview; the count covers the whole audience
+const PREVIEW_SAMPLE_SIZE = 20;
+
+const criteriaValidator = (criteria) => {
+  const problems = AudienceSegment.validateCriteria(criteria);
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+  return true;
+};
+
+// Validation middleware
+const segmentValidation = [
+  body('hotel_id').isInt().withMessage('Hotel ID must be an integer'),
+  body('name').notEmpty().trim().isLength({ max: 100 }).withMessage('Name is required and must be at most 100 characters'),
+  body('description').optional({ nullable: true }).trim(),
+  body('criteria').custom(criteriaValidator)
+];
+
+const segmentUpdateValidation = [
+  body('name').optional().notEmpty().trim().isLength({ max: 100 }),
+  body('description').optional({ nullable: true }).trim(),
+  body('criteria').optional().custom(criteriaValidator)
+];
+
+const previewValidation = [
+  body('hotel_id').isInt().withMessage('Hotel ID must be an integer'),
+  body('criteria').custom(criteriaValidator)
+];
+
+const buildPreview = async (hotelId, criteria) => {
+  const guests = await AudienceSegmentService.resolveGuests(hotelId, criteria);
+  return {
+    count: guests.length,
+    guests: guests.slice(0, PREVIEW_SAMPLE_SIZE).map(guest => ({
+      id: guest.id,
+      first_name: guest.first_name,
+      last_name: guest.last_name,
+      email: guest.email,
+      nationality: guest.nationality
+    }))
+  };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AudienceSegmentCriteria:
+ *       type: object
+ *       description: Filters combined with AND. Omitted filters match everyone with a stay at the hotel.
+ *       properties:
+ *         stay:
+ *           type: string
+ *           enum: [in_house, arriving, departing, upcoming, past]
+ *           description: Stay the guest must have, relative to the day the segment is evaluated
+ *         days_ahead:
+ *           type: integer
+ *           minimum: 0
+ *           description: For arriving and departing, days from today (1 = tomorrow). Defaults to 0.
+ *         floors:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Floors of the room unit assigned to the stay
+ *         nationalities:
+ *           type: array
+ *           items:
+ *             type: string
+ *         languages:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Language codes matched against the guest's preferred language
+ *         preferences:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Terms that must appear in the guest's or the stay's preferences (e.g. spa)
+ *     AudienceSegment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         hotel_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         criteria:
+ *           $ref: '#/components/schemas/AudienceSegmentCriteria'
+ *         created_by:
+ *           type: integer
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/audience-segments:
+ *   get:
+ *     summary: Get saved audience segments
+ *     tags: [Audience Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hotel_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of audience segments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AudienceSegment'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, requirePermission('communications:read'), query('hotel_id').optional().isInt(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const whereClause = { hotel_id: req.hotelIds };
+    if (req.query.hotel_id) whereClause.hotel_id = req.query.hotel_id;
+
+    const segments = await AudienceSegment.findAll({
+      where: whereClause,
+      order: [['name', 'ASC']]
+    });
+
+    res.json(segments);
+  } catch (error) {
+    console.error('Get audience segments error:', error);
+    res.status(500).json({ message: 'Error fetching audience segments' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audience-segments/preview:
+ *   post:
+ *     summary: Preview the guests matching unsaved criteria
+ *     tags: [Audience Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hotel_id
+ *               - criteria
+ *             properties:
+ *               hotel_id:
+ *                 type: integer
+ *               criteria:
+ *                 $ref: '#/components/schemas/AudienceSegmentCriteria'
+ *     responses:
+ *       200:
+ *         description: Number of matching guests and the first 20 of them
+ *       400:
+ *         description: Invalid criteria
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/preview', authMiddleware, requirePermission('communications:read'), previewValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json(await buildPreview(req.body.hotel_id, req.body.criteria));
+  } catch (error) {
+    console.error('Preview audience segment error:', error);
+    res.status(500).json({ message: 'Error previewing audience segment' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audience-segments/{id}:
+ *   get:
+ *     summary: Get an audience segment by ID
+ *     tags: [Audience Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audience segment details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AudienceSegment'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Audience segment not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authMiddleware, requirePermission('communications:read'), async (req, res) => {
+  try {
+    const segment = await AudienceSegment.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds },
+      include: [
+        {
+          model: Member,
+          as: 'creator',
+          attributes: ['id', 'first_name', 'last_name']
+        }
+      ]
+    });
+
+    if (!segment) {
+      return res.status(404).json({ message: 'Audience segment not found' });
+    }
+
+    res.json(segment);
+  } catch (error) {
+    console.error('Get audience segment error:', error);
+    res.status(500).json({ message: 'Error fetching audience segment' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audience-segments/{id}/preview:
+ *   get:
+ *     summary: Preview the guests a saved segment matches right now
+ *     tags: [Audience Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Number of matching guests and the first 20 of them
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Audience segment not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/preview', authMiddleware, requirePermission('communications:read'), async (req, res) => {
+  try {
+    const segment = await AudienceSegment.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!segment) {
+      return res.status(404).json({ message: 'Audience segment not found' });
+    }
+
+    res.json(await buildPreview(segment.hotel_id, segment.criteria));
+  } catch (error) {
+    console.error('Preview audience segment error:', error);
+    res.status(500).json({ message: 'Error previewing audience segment' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audience-segments:
+ *   post:
+ *     summary: Save an audience segment
+ *     tags: [Audience Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hotel_id
+ *               - name
+ *               - criteria
+ *             properties:
+ *               hotel_id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               criteria:
+ *                 $ref: '#/components/schemas/AudienceSegmentCriteria'
+ *           example:
+ *             hotel_id: 1
+ *             name: In-house guests on floor 3
+ *             criteria:
+ *               stay: in_house
+ *               floors: ["3"]
+ *     responses:
+ *       201:
+ *         description: Audience segment created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AudienceSegment'
+ *       400:
+ *         description: Invalid input or name already used in this hotel
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authMiddleware, requirePermission('communications:write'), segmentValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { hotel_id, name, description, criteria } = req.body;
+
+    const existing = await AudienceSegment.findOne({ where: { hotel_id, name } });
+    if (existing) {
+      return res.status(400).json({ message: 'An audience segment with this name already exists in this hotel' });
+    }
+
+    const segment = await AudienceSegment.create({
+      hotel_id,
+      name,
+      description,
+      criteria,
+      created_by: req.member.id
+    });
+
+    res.status(201).json(segment);
+  } catch (error) {
+    console.error('Create audience segment error:', error);
+    res.status(500).json({ message: 'Error creating audience segment' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audience-segments/{id}:
+ *   put:
+ *     summary: Update an audience segment
+ *     description: Scheduled notifications targeting the segment use the updated criteria when they are sent.
+ *     tags: [Audience Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               criteria:
+ *                 $ref: '#/components/schemas/AudienceSegmentCriteria'
+ *     responses:
+ *       200:
+ *         description: Audience segment updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AudienceSegment'
+ *       400:
+ *         description: Invalid input or name already used in this hotel
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Audience segment not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', authMiddleware, requirePermission('communications:write'), segmentUpdateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const segment = await AudienceSegment.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!segment) {
+      return res.status(404).json({ message: 'Audience segment not found' });
+    }
+
+    const { name, description, criteria } = req.body;
+
+    if (name && name !== segment.name) {
+      const existing = await AudienceSegment.findOne({ where: { hotel_id: segment.hotel_id, name } });
+      if (existing) {
+        return res.status(400).json({ message: 'An audience segment with this name already exists in this hotel' });
+      }
+    }
+
+    await segment.update({
+      name: name !== undefined ? name : segment.name,
+      description: description !== undefined ? description : segment.description,
+      criteria: criteria !== undefined ? criteria : segment.criteria
+    });
+
+    res.json(segment);
+  } catch (error) {
+    console.error('Update audience segment error:', error);
+    res.status(500).json({ message: 'Error updating audience segment' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audience-segments/{id}:
+ *   delete:
+ *     summary: Delete an audience segment
+ *     description: Segments still targeted by a scheduled notification cannot be deleted.
+ *     tags: [Audience Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audience segment deleted successfully
+ *       400:
+ *         description: Segment is used by a scheduled notification
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Audience segment not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authMiddleware, requirePermission('communications:write'), async (req, res) => {
+  try {
+    const segment = await AudienceSegment.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!segment) {
+      return res.status(404).json({ message: 'Audience segment not found' });
+    }
+
+    const scheduled = await Communication.count({
+      where: { segment_id: segment.id, status: 'draft' }
+    });
+    if (scheduled > 0) {
+      return res.status(400).json({ message: 'Audience segment is used by a scheduled notification' });
+    }
+
+    await segment.destroy();
+
+    res.json({ message: 'Audience segment deleted successfully' });
+  } catch (error) {
+    console.error('Delete audience segment error:', error);
+    res.status(500).json({ message: 'Error deleting audience segment' });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,8 @@ const { body, validationResult } = require('express-validator');
 const jwt = require('jsonwebtoken');
 const { Member, Organization } = require('../models');
 const authMiddleware = require('../middleware/auth.middleware');
+const { resolveAccessContext } = require('../middleware/permission.middleware');
+const { ROLE_PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
@@ -291,8 +293,12 @@ router.post('/login', loginValidation, async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Get organization
-    const organization = await member.getOrganization();
+    if (member.status !== 'active') {
+      return res.status(401).json({ message: 'Account is not active' });
+    }
+
+    // Get organization (owners own one, staff belong to one)
+    const { organization, role, hotelIds } = await resolveAccessContext(member);
 
     // Generate JWT token
     const token = jwt.sign(
@@ -308,7 +314,9 @@ router.post('/login', loginValidation, async (req, res) => {
         id: member.id,
         email: member.email,
         first_name: member.first_name,
-        last_name: member.last_name
+        last_name: member.last_name,
+        role,
+        hotel_ids: hotelIds
       },
       organization: organization ? {
         id: organization.id,
@@ -345,6 +353,17 @@ router.post('/login', loginValidation, async (req, res) => {
  *                   type: string
  *                 last_name:
  *                   type: string
+ *                 role:
+ *                   type: string
+ *                   enum: [owner, front_desk, fb_manager, spa_manager, concierge_agent, auditor]
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 hotel_ids:
+ *                   type: array
+ *                   items:
+ *                     type: integer
  *                 organization:
  *                   type: object
  *                   properties:
@@ -359,14 +378,17 @@ router.post('/login', loginValidation, async (req, res) => {
  */
 router.get('/me', authMiddleware, async (req, res) => {
   try {
-    // Get organization
-    const organization = await req.member.getOrganization();
+    // Get organization and access scope
+    const { organization, role, hotelIds } = await resolveAccessContext(req.member);
     
     res.json({
       id: req.member.id,
       email: req.member.email,
       first_name: req.member.first_name,
       last_name: req.member.last_name,
+      role,
+      permissions: ROLE_PERMISSIONS[role] || [],
+      hotel_ids: hotelIds,
       organization: organization ? {
         id: organization.id,
         name: organization.name
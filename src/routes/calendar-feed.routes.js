@@ -0,0 +1,225 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { CalendarFeed, MeetingRoom, Member } = require('../models');
+const MeetingCalendarService = require('../services/meeting/calendar.service');
+const { Op } = require('sequelize');
+
+const router = express.Router();
+
+// Validation middleware
+const feedValidation = [
+  body('hotel_id').isInt().withMessage('Hotel ID must be an integer'),
+  body('meeting_room_id').optional({ nullable: true }).isInt(),
+  body('name').optional({ nullable: true }).trim().isLength({ max: 255 })
+];
+
+const serialize = (req, feed) => ({
+  ...feed.toJSON(),
+  ...MeetingCalendarService.feedUrls(req, feed)
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CalendarFeed:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         hotel_id:
+ *           type: integer
+ *         meeting_room_id:
+ *           type: integer
+ *           description: Room the feed is limited to; null for every room of the hotel
+ *         name:
+ *           type: string
+ *         token:
+ *           type: string
+ *         url:
+ *           type: string
+ *           description: ICS download URL; anyone with it can read the feed
+ *         webcal_url:
+ *           type: string
+ *           description: The same URL for "subscribe" links in calendar clients
+ *         last_accessed_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Calendar Feeds
+ *   description: Token-protected iCalendar (ICS) feeds of a hotel's meetings for calendar clients
+ */
+
+/**
+ * @swagger
+ * /api/calendar-feeds:
+ *   get:
+ *     summary: List calendar feeds
+ *     tags: [Calendar Feeds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hotel_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Calendar feeds with their URLs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CalendarFeed'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, requirePermission('meetings:read'), async (req, res) => {
+  try {
+    const whereClause = { hotel_id: { [Op.in]: req.hotelIds } };
+    if (req.query.hotel_id) whereClause.hotel_id = req.query.hotel_id;
+
+    const feeds = await CalendarFeed.findAll({
+      where: whereClause,
+      include: [
+        { model: MeetingRoom, attributes: ['id', 'name'] },
+        { model: Member, as: 'creator', attributes: ['id', 'first_name', 'last_name'] }
+      ],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json(feeds.map(feed => serialize(req, feed)));
+  } catch (error) {
+    console.error('Get calendar feeds error:', error);
+    res.status(500).json({ message: 'Error fetching calendar feeds' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/calendar-feeds:
+ *   post:
+ *     summary: Create a calendar feed
+ *     description: |
+ *       A feed of every meeting of the hotel, or of one meeting room
+ *       (including bookings of rooms combined with it), from 30 days ago
+ *       to a year ahead. Cancelled meetings are left out and drafts are
+ *       tentative.
+ *     tags: [Calendar Feeds]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hotel_id
+ *             properties:
+ *               hotel_id:
+ *                 type: integer
+ *               meeting_room_id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Feed created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CalendarFeed'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Meeting room not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authMiddleware, requirePermission('meetings:write'), feedValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { hotel_id, meeting_room_id, name } = req.body;
+    if (meeting_room_id) {
+      const room = await MeetingRoom.findOne({ where: { id: meeting_room_id, hotel_id } });
+      if (!room) {
+        return res.status(404).json({ message: 'Meeting room not found' });
+      }
+    }
+
+    const feed = await MeetingCalendarService.createFeed(hotel_id, {
+      meetingRoomId: meeting_room_id || null,
+      name: name || null,
+      createdBy: req.member.id
+    });
+
+    res.status(201).json(serialize(req, feed));
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ message: 'Error creating calendar feed' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/calendar-feeds/{id}:
+ *   delete:
+ *     summary: Revoke a calendar feed
+ *     description: Its URL stops working; subscribed calendars keep what they last fetched.
+ *     tags: [Calendar Feeds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Feed revoked
+ *       404:
+ *         description: Feed not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authMiddleware, requirePermission('meetings:write'), async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findOne({
+      where: {
+        id: req.params.id,
+        hotel_id: { [Op.in]: req.hotelIds }
+      }
+    });
+
+    if (!feed) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    await feed.destroy();
+    res.json({ message: 'Calendar feed revoked successfully' });
+  } catch (error) {
+    console.error('Delete calendar feed error:', error);
+    res.status(500).json({ message: 'Error revoking calendar feed' });
+  }
+});
+
+module.exports = router;
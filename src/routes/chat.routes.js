@@ -10,7 +10,13 @@
  * /api/chat/{user}:
  *   get:
  *     summary: Get chat history for a User with optional hotel and room filters
+ *     description: |
+ *       Deprecated in favour of /api/guest/chat/conversations. Requires the
+ *       guest's token and only returns the guest's own messages.
+ *     deprecated: true
  *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: user
@@ -55,6 +61,10 @@
  *                     format: date-time
  *       400:
  *         description: User email is required
+ *       401:
+ *         description: Missing or invalid guest token
+ *       403:
+ *         description: The email is not the guest's own
  *       404:
  *         description: Hotel not found
  *       500:
@@ -197,11 +207,16 @@
 
 const express = require('express');
 const router = express.Router();
-const { ChatMessage, Hotel } = require('../models');
+const { Op } = require('sequelize');
+const { ChatMessage, ChatConversation, Hotel, Guest, Member } = require('../models');
 const authMiddleware = require('../middleware/auth.middleware');
+const guestAuthMiddleware = require('../middleware/guest-auth.middleware');
+const { requirePermission, resolveAccessContext } = require('../middleware/permission.middleware');
+const { hasPermission } = require('../config/permissions');
+const ChatService = require('../services/chat/chat.service');
 
 // Get chat history for a user (email param is required), optional hotel_slug and room (query)
-router.get('/:user', async (req, res) => {
+router.get('/:user', guestAuthMiddleware, async (req, res) => {
   try {
     const { user } = req.params;
     const { slug, room } = req.query;
@@ -210,6 +225,11 @@ router.get('/:user', async (req, res) => {
     if (!user) {
       return res.status(400).json({ error: 'User email is required' });
     }
+
+    // Guests may only read their own history
+    if (user.toLowerCase() !== req.guest.email.toLowerCase()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
     
     // Build where clause - user is always required
     let where = { user };
@@ -242,7 +262,7 @@ router.get('/:user', async (req, res) => {
 });
 
 // Get chat messages for a specific hotel (Admin only)
-router.get('/admin/hotel/:hotelId', authMiddleware, async (req, res) => {
+router.get('/admin/hotel/:hotelId', authMiddleware, requirePermission('chat:read'), async (req, res) => {
   try {
     const { hotelId } = req.params;
     const { room, user, limit = 100 } = req.query;
@@ -252,17 +272,11 @@ router.get('/admin/hotel/:hotelId', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Hotel ID is required' });
     }
     
-    // Get member's organization
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ error: 'Organization not found' });
-    }
-    
     // Verify hotel belongs to member's organization
     const hotel = await Hotel.findOne({
       where: {
         id: hotelId,
-        organization_id: organization.id
+        organization_id: req.organization.id
       }
     });
     
@@ -297,7 +311,7 @@ router.get('/admin/hotel/:hotelId', authMiddleware, async (req, res) => {
 });
 
 // Send a chat message to a guest (Admin only)
-router.post('/admin/hotel/:hotelId/send', authMiddleware, async (req, res) => {
+router.post('/admin/hotel/:hotelId/send', authMiddleware, requirePermission('chat:write'), async (req, res) => {
   try {
     const { hotelId } = req.params;
     const { user, text, room } = req.body;
@@ -315,17 +329,11 @@ router.post('/admin/hotel/:hotelId/send', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Message text is required' });
     }
     
-    // Get member's organization
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ error: 'Organization not found' });
-    }
-    
     // Verify hotel belongs to member's organization
     const hotel = await Hotel.findOne({
       where: {
         id: hotelId,
-        organization_id: organization.id
+        organization_id: req.organization.id
       }
     });
     
@@ -333,16 +341,9 @@ router.post('/admin/hotel/:hotelId/send', authMiddleware, async (req, res) => {
       return res.status(403).json({ error: 'Hotel not found or access denied' });
     }
     
-    // Create the chat message
-    const message = await ChatMessage.create({
-      id: Date.now().toString() + Math.random().toString(36).substr(2, 5),
-      hotel_id: hotelId,
-      hotel_slug: hotel.hotel_slug,
-      room: room || null,
-      user: user,
-      text: text,
-      createdAt: new Date(),
-    });
+    // Messages always belong to the guest's open conversation with the hotel
+    const conversation = await ChatService.openForEmail(hotel.id, user, room || null);
+    const message = await ChatService.send(conversation, 'staff', req.member.id, text);
     
     // Broadcast to user's room via WebSocket
     // Temporarily disabled for Vercel serverless compatibility
@@ -365,4 +366,474 @@ router.post('/admin/hotel/:hotelId/send', authMiddleware, async (req, res) => {
   }
 });
 
+// ------- Conversations -------
+
+const staffConversationInclude = [
+  { model: Guest, attributes: ['id', 'first_name', 'last_name', 'email'] },
+  { model: Member, as: 'assignee', attributes: ['id', 'first_name', 'last_name', 'email'] },
+];
+
+// A conversation of the hotel in the URL, or null
+const findHotelConversation = (req) => ChatConversation.findOne({
+  where: { id: req.params.id, hotel_id: req.params.hotelId },
+  include: staffConversationInclude,
+});
+
+/**
+ * @swagger
+ * /api/chat/admin/hotel/{hotelId}/conversations:
+ *   get:
+ *     summary: List a hotel's conversations, most recent first (Admin only)
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hotelId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, closed]
+ *       - in: query
+ *         name: assigned_to
+ *         schema:
+ *           type: string
+ *         description: Agent member ID, "me" or "none"
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only conversations with messages staff have not read
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Conversations, the staff unread total and pagination
+ *       403:
+ *         description: Hotel not found or access denied
+ */
+router.get('/admin/hotel/:hotelId/conversations', authMiddleware, requirePermission('chat:read'), async (req, res) => {
+  try {
+    const where = { hotel_id: req.params.hotelId };
+    if (ChatConversation.STATUSES.includes(req.query.status)) where.status = req.query.status;
+    if (req.query.assigned_to === 'me') where.assigned_to = req.member.id;
+    else if (req.query.assigned_to === 'none') where.assigned_to = null;
+    else if (req.query.assigned_to) where.assigned_to = req.query.assigned_to;
+    if (req.query.unread === 'true') where.staff_unread_count = { [Op.gt]: 0 };
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await ChatConversation.findAndCountAll({
+      where,
+      include: staffConversationInclude,
+      order: [['last_message_at', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset,
+    });
+
+    const unreadTotal = await ChatConversation.sum('staff_unread_count', {
+      where: { hotel_id: req.params.hotelId, status: 'open' },
+    });
+
+    const now = new Date();
+    res.json({
+      conversations: rows.map(conversation => ChatService.serializeConversation(conversation, 'staff', now)),
+      unread_count: unreadTotal || 0,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit),
+      },
+    });
+  } catch (err) {
+    console.error('Error fetching conversations:', err);
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/chat/admin/hotel/{hotelId}/conversations/{id}:
+ *   get:
+ *     summary: Get a conversation with the guest's typing state and read marker (Admin only)
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hotelId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Conversation
+ *       404:
+ *         description: Conversation not found
+ */
+router.get('/admin/hotel/:hotelId/conversations/:id', authMiddleware, requirePermission('chat:read'), async (req, res) => {
+  try {
+    const conversation = await findHotelConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json(ChatService.serializeConversation(conversation, 'staff'));
+  } catch (err) {
+    console.error('Error fetching conversation:', err);
+    res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/chat/admin/hotel/{hotelId}/conversations/{id}/messages:
+ *   get:
+ *     summary: Page through a conversation's messages (Admin only)
+ *     description: |
+ *       Latest messages by default, oldest first. `before=<before_cursor>`
+ *       loads older messages, `after=<after_cursor>` the ones that arrived since.
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hotelId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *     responses:
+ *       200:
+ *         description: Messages with cursors
+ *       400:
+ *         description: Invalid cursor
+ *       404:
+ *         description: Conversation not found
+ *   post:
+ *     summary: Reply in a conversation (Admin only)
+ *     description: The first agent to reply to an unassigned conversation is assigned to it.
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hotelId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Message sent
+ *       400:
+ *         description: Message text is required
+ *       404:
+ *         description: Conversation not found
+ */
+router.get('/admin/hotel/:hotelId/conversations/:id/messages', authMiddleware, requirePermission('chat:read'), async (req, res) => {
+  try {
+    const conversation = await findHotelConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json(await ChatService.messages(conversation, req.query));
+  } catch (err) {
+    if (err.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error fetching conversation messages:', err);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+router.post('/admin/hotel/:hotelId/conversations/:id/messages', authMiddleware, requirePermission('chat:write'), async (req, res) => {
+  try {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    if (!text) {
+      return res.status(400).json({ error: 'Message text is required' });
+    }
+
+    const conversation = await findHotelConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const message = await ChatService.send(conversation, 'staff', req.member.id, text);
+    res.status(201).json(ChatService.serializeMessage(message, conversation));
+  } catch (err) {
+    console.error('Error sending conversation message:', err);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/chat/admin/hotel/{hotelId}/conversations/{id}/read:
+ *   post:
+ *     summary: Mark the conversation read by staff up to now (Admin only)
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hotelId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Read marker updated
+ *       404:
+ *         description: Conversation not found
+ */
+router.post('/admin/hotel/:hotelId/conversations/:id/read', authMiddleware, requirePermission('chat:read'), async (req, res) => {
+  try {
+    const conversation = await findHotelConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    await ChatService.markRead(conversation, 'staff');
+    res.json(ChatService.serializeConversation(conversation, 'staff'));
+  } catch (err) {
+    console.error('Error marking conversation read:', err);
+    res.status(500).json({ error: 'Failed to mark conversation as read' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/chat/admin/hotel/{hotelId}/conversations/{id}/typing:
+ *   post:
+ *     summary: Signal that an agent is typing (Admin only)
+ *     description: Send every few seconds while typing; the marker lapses after 8 seconds. Send typing false to clear it.
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hotelId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Typing marker updated
+ *       404:
+ *         description: Conversation not found
+ */
+router.post('/admin/hotel/:hotelId/conversations/:id/typing', authMiddleware, requirePermission('chat:write'), async (req, res) => {
+  try {
+    const conversation = await findHotelConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    await ChatService.setTyping(conversation, 'staff', req.body.typing !== false);
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error updating typing marker:', err);
+    res.status(500).json({ error: 'Failed to update typing state' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/chat/admin/hotel/{hotelId}/conversations/{id}/assign:
+ *   put:
+ *     summary: Assign or transfer a conversation to an agent (Admin only)
+ *     description: member_id null returns the conversation to the unassigned queue. The guest sees a notice in the thread.
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hotelId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - member_id
+ *             properties:
+ *               member_id:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Conversation assigned
+ *       400:
+ *         description: Agent cannot chat for this hotel
+ *       404:
+ *         description: Conversation not found
+ */
+router.put('/admin/hotel/:hotelId/conversations/:id/assign', authMiddleware, requirePermission('chat:write'), async (req, res) => {
+  try {
+    if (req.body.member_id === undefined) {
+      return res.status(400).json({ error: 'member_id is required' });
+    }
+
+    const conversation = await findHotelConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    let assignee = null;
+    if (req.body.member_id !== null) {
+      assignee = await Member.findByPk(req.body.member_id);
+      if (!assignee || assignee.status !== 'active') {
+        return res.status(400).json({ error: 'Staff member not found' });
+      }
+
+      const access = await resolveAccessContext(assignee);
+      if (!access.organization || access.organization.id !== req.organization.id ||
+          !access.hotelIds.includes(conversation.hotel_id) || !hasPermission(access.role, 'chat:write')) {
+        return res.status(400).json({ error: 'Staff member cannot chat for this hotel' });
+      }
+    }
+
+    if ((assignee ? assignee.id : null) !== conversation.assigned_to) {
+      await ChatService.assign(conversation, assignee);
+    }
+
+    const updated = await findHotelConversation(req);
+    res.json(ChatService.serializeConversation(updated, 'staff'));
+  } catch (err) {
+    console.error('Error assigning conversation:', err);
+    res.status(500).json({ error: 'Failed to assign conversation' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/chat/admin/hotel/{hotelId}/conversations/{id}/status:
+ *   put:
+ *     summary: Close or reopen a conversation (Admin only)
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hotelId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [open, closed]
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *       400:
+ *         description: Invalid status
+ *       404:
+ *         description: Conversation not found
+ */
+router.put('/admin/hotel/:hotelId/conversations/:id/status', authMiddleware, requirePermission('chat:write'), async (req, res) => {
+  try {
+    if (!ChatConversation.STATUSES.includes(req.body.status)) {
+      return res.status(400).json({ error: `status must be one of: ${ChatConversation.STATUSES.join(', ')}` });
+    }
+
+    const conversation = await findHotelConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    await ChatService.setStatus(conversation, req.body.status);
+    res.json(ChatService.serializeConversation(conversation, 'staff'));
+  } catch (err) {
+    console.error('Error changing conversation status:', err);
+    res.status(500).json({ error: 'Failed to change conversation status' });
+  }
+});
+
 module.exports = router;
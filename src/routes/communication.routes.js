@@ -1,7 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const { Communication, Hotel } = require('../models');
+const { Communication, Hotel, AudienceSegment, CommunicationRecipient, Guest, ConciergeRequest, Member } = require('../models');
 const { Op } = require('sequelize');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const PushService = require('../services/push/push.service');
+const CommunicationRecipientService = require('../services/communication/recipient.service');
+const FeedbackService = require('../services/communication/feedback.service');
+
+// Feedback handling fields change only through the thread endpoints below
+const FEEDBACK_WORKFLOW_FIELDS = [
+  'feedback_status',
+  'escalation_request_id',
+  'escalated_at',
+  'resolved_at',
+  'resolved_by',
+  'resolution_notes'
+];
 
 /**
  * @swagger
@@ -48,11 +63,14 @@ const { Op } = require('sequelize');
  *           description: Name of the sender
  *         recipient_type:
  *           type: string
- *           enum: [guest, walkin, all, specific]
+ *           enum: [guest, walkin, all, specific, segment]
  *           description: Type of recipient
  *         recipient_id:
  *           type: integer
  *           description: Specific recipient ID if recipient_type is specific
+ *         segment_id:
+ *           type: integer
+ *           description: Audience segment if recipient_type is segment
  *         recipient_device_token:
  *           type: string
  *           description: Device token for push notifications
@@ -62,7 +80,7 @@ const { Op } = require('sequelize');
  *           description: Priority level
  *         status:
  *           type: string
- *           enum: [draft, sent, delivered, read, failed]
+ *           enum: [draft, sent, delivered, read, failed, expired]
  *           description: Current status
  *         read_at:
  *           type: string
@@ -91,6 +109,28 @@ const { Op } = require('sequelize');
  *         response_to_id:
  *           type: integer
  *           description: ID of the message this is replying to
+ *         is_internal:
+ *           type: boolean
+ *           description: Staff-only note in a feedback thread, never shown to the guest
+ *         feedback_status:
+ *           type: string
+ *           enum: [open, escalated, resolved]
+ *           description: Handling state of feedback
+ *         escalation_request_id:
+ *           type: integer
+ *           description: Urgent concierge task created when the feedback was escalated
+ *         escalated_at:
+ *           type: string
+ *           format: date-time
+ *         resolved_at:
+ *           type: string
+ *           format: date-time
+ *         resolved_by:
+ *           type: integer
+ *           description: Staff member who resolved the feedback
+ *         resolution_notes:
+ *           type: string
+ *           description: How the feedback was resolved
  *         is_anonymous:
  *           type: boolean
  *           description: Whether the sender is anonymous
@@ -216,7 +256,7 @@ const sendRealTimeNotification = (notification, recipientType, recipientId) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [draft, sent, delivered, read, failed]
+ *           enum: [draft, sent, delivered, read, failed, expired]
  *         description: Filter by status
  *       - in: query
  *         name: priority
@@ -225,6 +265,12 @@ const sendRealTimeNotification = (notification, recipientType, recipientId) => {
  *           enum: [low, normal, high, urgent]
  *         description: Filter by priority
  *       - in: query
+ *         name: feedback_status
+ *         schema:
+ *           type: string
+ *           enum: [open, escalated, resolved]
+ *         description: Filter feedback by handling state
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -263,7 +309,7 @@ const sendRealTimeNotification = (notification, recipientType, recipientId) => {
  *                     totalPages:
  *                       type: integer
  */
-router.get('/', async (req, res) => {
+router.get('/', authMiddleware, requirePermission('communications:read'), async (req, res) => {
   try {
     const {
       hotel_id,
@@ -272,11 +318,12 @@ router.get('/', async (req, res) => {
       sender_type,
       status,
       priority,
+      feedback_status,
       page = 1,
       limit = 10
     } = req.query;
 
-    const where = {};
+    const where = { hotel_id: req.hotelIds };
     
     if (hotel_id) {
       where.hotel_id = hotel_id;
@@ -302,6 +349,10 @@ router.get('/', async (req, res) => {
       where.priority = priority;
     }
 
+    if (feedback_status) {
+      where.feedback_status = feedback_status;
+    }
+
     const offset = (page - 1) * limit;
     
     const { count, rows } = await Communication.findAndCountAll({
@@ -384,7 +435,7 @@ router.get('/', async (req, res) => {
  *       404:
  *         description: Communication not found
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', authMiddleware, requirePermission('communications:read'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -420,7 +471,7 @@ router.get('/:id', async (req, res) => {
       ]
     });
 
-    if (!communication) {
+    if (!communication || !req.hotelIds.includes(communication.hotel_id)) {
       return res.status(404).json({
         status: 'error',
         message: 'Communication not found'
@@ -527,7 +578,7 @@ router.get('/:id', async (req, res) => {
  *       400:
  *         description: Validation error
  */
-router.post('/', async (req, res) => {
+router.post('/', authMiddleware, requirePermission('communications:write'), async (req, res) => {
   try {
     const {
       hotel_id,
@@ -616,6 +667,7 @@ router.post('/', async (req, res) => {
     });
 
     const communication = await Communication.create(communicationData);
+    await FeedbackService.received(communication);
 
     const createdCommunication = await Communication.findByPk(communication.id, {
       include: [
@@ -695,13 +747,14 @@ router.post('/', async (req, res) => {
  *       400:
  *         description: Validation error
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('communications:write'), async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = stringifyJsonFields(req.body);
+    const updateData = stringifyJsonFields({ ...req.body });
+    FEEDBACK_WORKFLOW_FIELDS.forEach(field => delete updateData[field]);
 
     const communication = await Communication.findByPk(id);
-    if (!communication) {
+    if (!communication || !req.hotelIds.includes(communication.hotel_id)) {
       return res.status(404).json({
         status: 'error',
         message: 'Communication not found'
@@ -778,12 +831,12 @@ router.put('/:id', async (req, res) => {
  *       404:
  *         description: Communication not found
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('communications:write'), async (req, res) => {
   try {
     const { id } = req.params;
     
     const communication = await Communication.findByPk(id);
-    if (!communication) {
+    if (!communication || !req.hotelIds.includes(communication.hotel_id)) {
       return res.status(404).json({
         status: 'error',
         message: 'Communication not found'
@@ -847,7 +900,7 @@ router.delete('/:id', async (req, res) => {
  *       404:
  *         description: Hotel not found
  */
-router.get('/hotel/:hotelId', async (req, res) => {
+router.get('/hotel/:hotelId', authMiddleware, requirePermission('communications:read'), async (req, res) => {
   try {
     const { hotelId } = req.params;
     const { type, category } = req.query;
@@ -920,6 +973,9 @@ router.get('/hotel/:hotelId', async (req, res) => {
  * /api/communications/{id}/mark-read:
  *   put:
  *     summary: Mark a communication as read
+ *     description: |
+ *       Notifications broadcast to several guests are read per guest through
+ *       `POST /api/guest/notifications/{id}/read` and are refused here.
  *     tags: [Communications]
  *     parameters:
  *       - in: path
@@ -940,6 +996,8 @@ router.get('/hotel/:hotelId', async (req, res) => {
  *                   type: string
  *                 data:
  *                   $ref: '#/components/schemas/Communication'
+ *       400:
+ *         description: Communication is a broadcast, read state is kept per guest
  *       404:
  *         description: Communication not found
  */
@@ -955,6 +1013,14 @@ router.put('/:id/mark-read', async (req, res) => {
       });
     }
 
+    // One guest reading a broadcast must not mark it read for everyone
+    if (CommunicationRecipientService.TRACKED_TYPES.includes(communication.type) && communication.recipient_type !== 'specific') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Broadcast notifications are marked read per guest at /api/guest/notifications/:id/read'
+      });
+    }
+
     await communication.update({
       status: 'read',
       read_at: new Date()
@@ -988,6 +1054,518 @@ router.put('/:id/mark-read', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/communications/{id}/analytics:
+ *   get:
+ *     summary: Delivery and read analytics of a notification
+ *     description: Rates are percentages of the recipients the notification was recorded for.
+ *     tags: [Communications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Analytics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     communication_id:
+ *                       type: integer
+ *                     recipients:
+ *                       type: integer
+ *                     awaiting_delivery:
+ *                       type: integer
+ *                     delivered:
+ *                       type: integer
+ *                     read:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                     delivered_rate:
+ *                       type: number
+ *                     read_rate:
+ *                       type: number
+ *                     read_rate_of_delivered:
+ *                       type: number
+ *                     time_to_read:
+ *                       type: object
+ *                       properties:
+ *                         average_seconds:
+ *                           type: integer
+ *                           nullable: true
+ *                         median_seconds:
+ *                           type: integer
+ *                           nullable: true
+ *                         fastest_seconds:
+ *                           type: integer
+ *                           nullable: true
+ *                         slowest_seconds:
+ *                           type: integer
+ *                           nullable: true
+ *       404:
+ *         description: Communication not found
+ */
+router.get('/:id/analytics', authMiddleware, requirePermission('communications:read'), async (req, res) => {
+  try {
+    const communication = await Communication.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+    if (!communication) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Communication not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: await CommunicationRecipientService.analytics(communication)
+    });
+  } catch (error) {
+    console.error('Error fetching communication analytics:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch communication analytics'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/communications/{id}/recipients:
+ *   get:
+ *     summary: Per-guest delivery and read state of a notification
+ *     tags: [Communications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sent, delivered, read, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Recipients retrieved successfully
+ *       404:
+ *         description: Communication not found
+ */
+router.get('/:id/recipients', authMiddleware, requirePermission('communications:read'), async (req, res) => {
+  try {
+    const communication = await Communication.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+    if (!communication) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Communication not found'
+      });
+    }
+
+    const whereClause = { communication_id: communication.id };
+    if (req.query.status) whereClause.status = req.query.status;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await CommunicationRecipient.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: Guest,
+          attributes: ['id', 'first_name', 'last_name', 'email']
+        }
+      ],
+      order: [['id', 'ASC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      status: 'success',
+      data: rows,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching communication recipients:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch communication recipients'
+    });
+  }
+});
+
+// Feedback a staff member may handle, or null
+const findFeedback = (req) => Communication.findOne({
+  where: { id: req.params.id, type: 'feedback', hotel_id: req.hotelIds }
+});
+
+const feedbackNotFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Feedback not found'
+});
+
+/**
+ * @swagger
+ * /api/communications/{id}/thread:
+ *   get:
+ *     summary: Feedback with its reply thread
+ *     description: Includes internal staff notes, the escalation task and who resolved the feedback.
+ *     tags: [Communications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Feedback ID
+ *     responses:
+ *       200:
+ *         description: Feedback and replies, oldest reply first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     feedback:
+ *                       $ref: '#/components/schemas/Communication'
+ *                     replies:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Communication'
+ *       404:
+ *         description: Feedback not found
+ */
+router.get('/:id/thread', authMiddleware, requirePermission('communications:read'), async (req, res) => {
+  try {
+    const feedback = await Communication.findOne({
+      where: { id: req.params.id, type: 'feedback', hotel_id: req.hotelIds },
+      include: [
+        {
+          model: ConciergeRequest,
+          as: 'escalationRequest',
+          attributes: ['id', 'title', 'status', 'priority', 'assigned_to', 'response_due_at', 'resolution_due_at', 'completed_at']
+        },
+        {
+          model: Member,
+          as: 'resolver',
+          attributes: ['id', 'first_name', 'last_name', 'email']
+        }
+      ]
+    });
+    if (!feedback) {
+      return feedbackNotFound(res);
+    }
+
+    const replies = await Communication.findAll({
+      where: { response_to_id: feedback.id },
+      order: [['created_at', 'ASC'], ['id', 'ASC']]
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        feedback: parseJsonFields(feedback.toJSON()),
+        replies: replies.map(reply => parseJsonFields(reply.toJSON()))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching feedback thread:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch feedback thread'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/communications/{id}/replies:
+ *   post:
+ *     summary: Reply to feedback
+ *     description: |
+ *       Replies are shown to the guest who left the feedback. With is_internal
+ *       the reply is a staff note that the guest never sees.
+ *     tags: [Communications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Feedback ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *               is_internal:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Reply added
+ *       400:
+ *         description: Missing message
+ *       404:
+ *         description: Feedback not found
+ */
+router.post('/:id/replies', authMiddleware, requirePermission('communications:write'), async (req, res) => {
+  try {
+    const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+    if (!message) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required field: message'
+      });
+    }
+
+    const feedback = await findFeedback(req);
+    if (!feedback) {
+      return feedbackNotFound(res);
+    }
+
+    const reply = await FeedbackService.reply(feedback, message, {
+      member: req.member,
+      isInternal: req.body.is_internal === true || req.body.is_internal === 'true'
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: parseJsonFields(reply.toJSON())
+    });
+  } catch (error) {
+    console.error('Error replying to feedback:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reply to feedback'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/communications/{id}/escalate:
+ *   post:
+ *     summary: Escalate feedback to the duty manager
+ *     description: |
+ *       Creates an urgent concierge task assigned to the hotel's duty manager.
+ *       Feedback rated at or below FEEDBACK_ESCALATION_MAX_RATING (default 2)
+ *       is escalated automatically.
+ *     tags: [Communications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Feedback ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Feedback escalated; returns the task
+ *       400:
+ *         description: Feedback is already escalated or resolved
+ *       404:
+ *         description: Feedback not found
+ */
+router.post('/:id/escalate', authMiddleware, requirePermission('communications:write'), async (req, res) => {
+  try {
+    const feedback = await findFeedback(req);
+    if (!feedback) {
+      return feedbackNotFound(res);
+    }
+
+    const task = await FeedbackService.escalate(feedback, {
+      memberId: req.member.id,
+      reason: req.body.reason || null
+    });
+    if (!task) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Feedback is already ${feedback.feedback_status}`
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      data: task
+    });
+  } catch (error) {
+    console.error('Error escalating feedback:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to escalate feedback'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/communications/{id}/resolve:
+ *   post:
+ *     summary: Resolve feedback
+ *     description: Records the resolution notes and completes the escalation task, if any.
+ *     tags: [Communications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Feedback ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resolution_notes
+ *             properties:
+ *               resolution_notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Feedback resolved
+ *       400:
+ *         description: Missing resolution notes, or the feedback is already resolved
+ *       404:
+ *         description: Feedback not found
+ */
+router.post('/:id/resolve', authMiddleware, requirePermission('communications:write'), async (req, res) => {
+  try {
+    const notes = typeof req.body.resolution_notes === 'string' ? req.body.resolution_notes.trim() : '';
+    if (!notes) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required field: resolution_notes'
+      });
+    }
+
+    const feedback = await findFeedback(req);
+    if (!feedback) {
+      return feedbackNotFound(res);
+    }
+
+    const resolved = await FeedbackService.resolve(feedback, req.member, notes);
+    if (!resolved) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Feedback is already resolved'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: parseJsonFields(resolved.toJSON())
+    });
+  } catch (error) {
+    console.error('Error resolving feedback:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to resolve feedback'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/communications/{id}/reopen:
+ *   post:
+ *     summary: Reopen resolved feedback
+ *     tags: [Communications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Feedback ID
+ *     responses:
+ *       200:
+ *         description: Feedback reopened
+ *       400:
+ *         description: Feedback is not resolved
+ *       404:
+ *         description: Feedback not found
+ */
+router.post('/:id/reopen', authMiddleware, requirePermission('communications:write'), async (req, res) => {
+  try {
+    const feedback = await findFeedback(req);
+    if (!feedback) {
+      return feedbackNotFound(res);
+    }
+
+    const reopened = await FeedbackService.reopen(feedback);
+    if (!reopened) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Feedback is not resolved'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: parseJsonFields(reopened.toJSON())
+    });
+  } catch (error) {
+    console.error('Error reopening feedback:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reopen feedback'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/communications/feedback:
@@ -1105,6 +1683,7 @@ router.post('/feedback', async (req, res) => {
     });
 
     const feedback = await Communication.create(feedbackData);
+    await FeedbackService.received(feedback);
 
     const createdFeedback = await Communication.findByPk(feedback.id, {
       include: [
@@ -1304,6 +1883,12 @@ router.post('/chat', async (req, res) => {
  * /api/communications/notifications:
  *   post:
  *     summary: Send a notification
+ *     description: |
+ *       With `recipient_type: segment` the notification goes to the guests
+ *       matching the segment's criteria, evaluated when it is sent (so a
+ *       scheduled notification reaches the guests matching at send time).
+ *       A recipient row is recorded for every guest the notification reaches,
+ *       tracking their own delivery and read state.
  *     tags: [Communications]
  *     requestBody:
  *       required: true
@@ -1327,9 +1912,12 @@ router.post('/chat', async (req, res) => {
  *                 enum: [general, service, room, restaurant, spa, activity, emergency, promotion]
  *               recipient_type:
  *                 type: string
- *                 enum: [guest, walkin, all, specific]
+ *                 enum: [guest, walkin, all, specific, segment]
  *               recipient_id:
  *                 type: integer
+ *               segment_id:
+ *                 type: integer
+ *                 description: Audience segment to target when recipient_type is segment
  *               priority:
  *                 type: string
  *                 enum: [low, normal, high, urgent]
@@ -1353,8 +1941,13 @@ router.post('/chat', async (req, res) => {
  *                   type: string
  *                 data:
  *                   $ref: '#/components/schemas/Communication'
+ *                 recipients_count:
+ *                   type: integer
+ *                   description: Guests the notification was recorded for (omitted for scheduled notifications)
+ *       400:
+ *         description: Missing fields, or the hotel or segment was not found
  */
-router.post('/notifications', async (req, res) => {
+router.post('/notifications', authMiddleware, requirePermission('communications:write'), async (req, res) => {
   try {
     const {
       hotel_id,
@@ -1363,6 +1956,7 @@ router.post('/notifications', async (req, res) => {
       category = 'general',
       recipient_type = 'all',
       recipient_id,
+      segment_id,
       priority = 'normal',
       scheduled_at,
       expires_at,
@@ -1377,6 +1971,13 @@ router.post('/notifications', async (req, res) => {
       });
     }
 
+    if (recipient_type === 'segment' && !segment_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'segment_id is required when recipient_type is segment'
+      });
+    }
+
     // Check if hotel exists
     const hotel = await Hotel.findByPk(hotel_id);
     if (!hotel) {
@@ -1386,6 +1987,17 @@ router.post('/notifications', async (req, res) => {
       });
     }
 
+    let segment = null;
+    if (recipient_type === 'segment') {
+      segment = await AudienceSegment.findOne({ where: { id: segment_id, hotel_id } });
+      if (!segment) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Audience segment not found for this hotel'
+        });
+      }
+    }
+
     // Set status based on scheduling
     let status = 'sent';
     if (scheduled_at && new Date(scheduled_at) > new Date()) {
@@ -1401,7 +2013,8 @@ router.post('/notifications', async (req, res) => {
       message,
       sender_type: 'hotel',
       recipient_type,
-      recipient_id,
+      recipient_id: segment ? null : recipient_id,
+      segment_id: segment ? segment.id : null,
       priority,
       status,
       scheduled_at,
@@ -1410,7 +2023,19 @@ router.post('/notifications', async (req, res) => {
       language: 'en'
     });
 
-    const notification = await Communication.create(notificationData);
+    // The audience is resolved at send time; for scheduled notifications by the dispatcher
+    let recipientIds = null;
+    if (status === 'sent') {
+      recipientIds = await CommunicationRecipientService.resolveAudience(notificationData);
+    }
+
+    const notification = await Communication.sequelize.transaction(async (transaction) => {
+      const created = await Communication.create(notificationData, { transaction });
+      if (recipientIds) {
+        await CommunicationRecipientService.recordAudience(created, { guestIds: recipientIds, transaction });
+      }
+      return created;
+    });
 
     const createdNotification = await Communication.findByPk(notification.id, {
       include: [
@@ -1424,13 +2049,19 @@ router.post('/notifications', async (req, res) => {
 
     const parsedNotification = parseJsonFields(createdNotification.toJSON());
 
-    res.status(201).json({
+    const response = {
       status: 'success',
       data: parsedNotification
-    });
+    };
+    if (recipientIds) {
+      response.recipients_count = recipientIds.length;
+    }
+    res.status(201).json(response);
 
     // Send real-time notification
-    sendRealTimeNotification(parsedNotification, recipient_type, recipient_id);
+    if (status === 'sent') {
+      sendRealTimeNotification(parsedNotification, recipient_type, recipient_id);
+    }
   } catch (error) {
     console.error('Error sending notification:', error);
     
@@ -1457,6 +2088,11 @@ router.post('/notifications', async (req, res) => {
  * /api/communications/push-notifications:
  *   post:
  *     summary: Send a push notification
+ *     description: |
+ *       Delivers the notification to the guest's registered devices through
+ *       FCM, APNs or Web Push. The communication ends up `delivered` if at
+ *       least one device accepted it and `failed` otherwise. Tokens the
+ *       provider reports as invalid are removed.
  *     tags: [Communications]
  *     requestBody:
  *       required: true
@@ -1468,7 +2104,6 @@ router.post('/notifications', async (req, res) => {
  *               - hotel_id
  *               - title
  *               - message
- *               - recipient_device_token
  *             properties:
  *               hotel_id:
  *                 type: integer
@@ -1479,16 +2114,27 @@ router.post('/notifications', async (req, res) => {
  *               category:
  *                 type: string
  *                 enum: [general, service, room, restaurant, spa, activity, emergency, promotion]
+ *               recipient_id:
+ *                 type: integer
+ *                 description: Guest whose registered devices receive the push
  *               recipient_device_token:
  *                 type: string
+ *                 description: Comma-separated registered device tokens, when not targeting a guest
  *               priority:
  *                 type: string
  *                 enum: [low, normal, high, urgent]
+ *               scheduled_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Send later; the push is stored as a draft until the dispatcher sends it
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
  *               metadata:
  *                 type: object
  *     responses:
  *       201:
- *         description: Push notification sent successfully
+ *         description: Push notification processed
  *         content:
  *           application/json:
  *             schema:
@@ -1498,24 +2144,38 @@ router.post('/notifications', async (req, res) => {
  *                   type: string
  *                 data:
  *                   $ref: '#/components/schemas/Communication'
+ *                 delivery:
+ *                   type: object
+ *                   properties:
+ *                     targeted:
+ *                       type: integer
+ *                     delivered:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                     pruned:
+ *                       type: integer
  */
-router.post('/push-notifications', async (req, res) => {
+router.post('/push-notifications', authMiddleware, requirePermission('communications:write'), async (req, res) => {
   try {
     const {
       hotel_id,
       title,
       message,
       category = 'general',
+      recipient_id,
       recipient_device_token,
       priority = 'normal',
+      scheduled_at,
+      expires_at,
       metadata
     } = req.body;
 
     // Validate required fields
-    if (!hotel_id || !title || !message || !recipient_device_token) {
+    if (!hotel_id || !title || !message || (!recipient_id && !recipient_device_token)) {
       return res.status(400).json({
         status: 'error',
-        message: 'Missing required fields: hotel_id, title, message, recipient_device_token'
+        message: 'Missing required fields: hotel_id, title, message, and recipient_id or recipient_device_token'
       });
     }
 
@@ -1528,6 +2188,9 @@ router.post('/push-notifications', async (req, res) => {
       });
     }
 
+    // Scheduled pushes are sent later by the communication dispatcher
+    const isScheduled = scheduled_at && new Date(scheduled_at) > new Date();
+
     // Prepare data with JSON stringification
     const pushData = stringifyJsonFields({
       hotel_id,
@@ -1537,15 +2200,24 @@ router.post('/push-notifications', async (req, res) => {
       message,
       sender_type: 'hotel',
       recipient_type: 'specific',
-      recipient_device_token,
+      recipient_id: recipient_id || null,
+      recipient_device_token: recipient_device_token || null,
       priority,
-      status: 'sent',
+      status: isScheduled ? 'draft' : 'sent',
+      scheduled_at,
+      expires_at,
       metadata,
       language: 'en'
     });
 
     const pushNotification = await Communication.create(pushData);
 
+    let delivery = null;
+    if (!isScheduled) {
+      const deviceTokens = await PushService.resolveDevices(pushNotification);
+      delivery = await new PushService().deliver(pushNotification, deviceTokens);
+    }
+
     const createdPushNotification = await Communication.findByPk(pushNotification.id, {
       include: [
         {
@@ -1560,11 +2232,14 @@ router.post('/push-notifications', async (req, res) => {
 
     res.status(201).json({
       status: 'success',
-      data: parsedPushNotification
+      data: parsedPushNotification,
+      delivery
     });
 
     // Send real-time notification
-    sendRealTimeNotification(parsedPushNotification, 'specific', recipient_device_token.split(',')[0]);
+    if (!isScheduled) {
+      sendRealTimeNotification(parsedPushNotification, 'specific', recipient_id || null);
+    }
   } catch (error) {
     console.error('Error sending push notification:', error);
     
@@ -1619,7 +2294,7 @@ router.post('/push-notifications', async (req, res) => {
  *                           connections:
  *                             type: integer
  */
-router.get('/websocket/stats', async (req, res) => {
+router.get('/websocket/stats', authMiddleware, requirePermission('communications:read'), async (req, res) => {
   try {
     // Temporarily disabled for Vercel serverless compatibility
     // const wsServer = global.notificationWebSocketServer;
@@ -1686,7 +2361,7 @@ router.get('/websocket/stats', async (req, res) => {
  *                 message:
  *                   type: string
  */
-router.post('/websocket/test', async (req, res) => {
+router.post('/websocket/test', authMiddleware, requirePermission('communications:write'), async (req, res) => {
   try {
     const { guestId, message } = req.body;
 
@@ -1,7 +1,31 @@
 // routes/concierge.js
 const express = require('express');
 const router  = express.Router();
-const { ConciergeCategory, ConciergeRequest } = require('../models');
+const { Op, col } = require('sequelize');
+const { ConciergeCategory, ConciergeRequest, ConciergeRequestStatusHistory, Member } = require('../models');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission, resolveAccessContext } = require('../middleware/permission.middleware');
+const { hasPermission } = require('../config/permissions');
+const RealtimeService = require('../services/realtime/realtime.service');
+const ConciergeConfirmationService = require('../services/concierge/confirmation.service');
+
+const OPEN_STATUSES = ['requested', 'in_progress'];
+
+const assigneeInclude = { model: Member, as: 'assignee', attributes: ['id', 'first_name', 'last_name', 'email'] };
+
+// Apply a status change inside a transaction so the request and its history stay in sync
+const changeStatus = (request, status, by) =>
+  ConciergeRequest.sequelize.transaction(transaction =>
+    request.transitionTo(status, { ...by, transaction })
+  );
+
+const isValidSla = (value) =>
+  value === undefined || value === null || (Number.isInteger(Number(value)) && Number(value) > 0);
+
+const invalidTransition = (res, request, error) => res.status(400).json({
+  message: error.message,
+  allowed: ConciergeRequest.STATUS_TRANSITIONS[request.status] || []
+});
 
 /**
  * @swagger
@@ -19,6 +43,10 @@ const { ConciergeCategory, ConciergeRequest } = require('../models');
  *           type: integer
  *           nullable: true
  *           description: ID of the parent category (for hierarchical structure)
+ *         organization_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Organization the category belongs to; null for shared categories
  *         name:
  *           type: string
  *           maxLength: 255
@@ -26,6 +54,14 @@ const { ConciergeCategory, ConciergeRequest } = require('../models');
  *         description:
  *           type: string
  *           description: Description of the category
+ *         sla_response_minutes:
+ *           type: integer
+ *           nullable: true
+ *           description: Minutes allowed before work on a request starts
+ *         sla_resolution_minutes:
+ *           type: integer
+ *           nullable: true
+ *           description: Minutes allowed until a request is done
  *         created_at:
  *           type: string
  *           format: date-time
@@ -74,6 +110,11 @@ const { ConciergeCategory, ConciergeRequest } = require('../models');
  *           enum: [requested, in_progress, done, cancelled]
  *           default: requested
  *           description: Current status of the request
+ *         priority:
+ *           type: string
+ *           enum: [low, normal, high, urgent]
+ *           default: normal
+ *           description: Urgency of the request; escalated guest feedback is urgent
  *         scheduled_for:
  *           type: string
  *           format: date-time
@@ -84,6 +125,42 @@ const { ConciergeCategory, ConciergeRequest } = require('../models');
  *           format: date-time
  *           nullable: true
  *           description: Date/time when the request was completed
+ *         assigned_to:
+ *           type: integer
+ *           nullable: true
+ *           description: ID of the staff member handling the request
+ *         assigned_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Date/time when work on the request started
+ *         response_due_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Deadline for starting work, from the category SLA
+ *         resolution_due_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Deadline for completing the request, from the category SLA
+ *         guest_rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           nullable: true
+ *           description: Rating given by the guest once the request is done
+ *         guest_rating_comment:
+ *           type: string
+ *           nullable: true
+ *         rated_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  *         created_at:
  *           type: string
  *           format: date-time
@@ -95,6 +172,33 @@ const { ConciergeCategory, ConciergeRequest } = require('../models');
  *         category:
  *           $ref: '#/components/schemas/ConciergeCategory'
  *           description: Associated category information
+ *     ConciergeStatusHistory:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         request_id:
+ *           type: integer
+ *         from_status:
+ *           type: string
+ *           nullable: true
+ *           description: Previous status (null for the entry written on creation)
+ *         to_status:
+ *           type: string
+ *         changed_by:
+ *           type: integer
+ *           nullable: true
+ *           description: ID of the staff member who made the change
+ *         changed_by_guest:
+ *           type: integer
+ *           nullable: true
+ *           description: ID of the guest who made the change
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
  */
 
 // ------- Categories -------
@@ -104,6 +208,7 @@ const { ConciergeCategory, ConciergeRequest } = require('../models');
  * /api/concierge/categories:
  *   get:
  *     summary: Get all concierge categories with their sub-categories
+ *     description: Lists the shared categories and the organization's own.
  *     tags: [Concierge Categories]
  *     responses:
  *       200:
@@ -117,9 +222,13 @@ const { ConciergeCategory, ConciergeRequest } = require('../models');
  *       500:
  *         description: Server error
  */
-router.get('/categories', async (req, res) => {
+router.get('/categories', authMiddleware, requirePermission('concierge:read'), async (req, res) => {
   try {
-    const cats = await ConciergeCategory.findAll({ include: ['subCategories'] });
+    const visible = ConciergeCategory.visibleTo(req.organization.id);
+    const cats = await ConciergeCategory.findAll({
+      where: visible,
+      include: [{ association: 'subCategories', where: visible, required: false }]
+    });
     console.log('Backend - Found categories:', cats.length);
     if (cats.length > 0) {
       console.log('Backend - First category:', JSON.stringify(cats[0].toJSON(), null, 2));
@@ -136,6 +245,7 @@ router.get('/categories', async (req, res) => {
  * /api/concierge/categories:
  *   post:
  *     summary: Create a new concierge category
+ *     description: The category belongs to the member's organization.
  *     tags: [Concierge Categories]
  *     requestBody:
  *       required: true
@@ -157,6 +267,12 @@ router.get('/categories', async (req, res) => {
  *                 type: integer
  *                 nullable: true
  *                 description: ID of the parent category (for hierarchical structure)
+ *               sla_response_minutes:
+ *                 type: integer
+ *                 nullable: true
+ *               sla_resolution_minutes:
+ *                 type: integer
+ *                 nullable: true
  *     responses:
  *       201:
  *         description: Category created successfully
@@ -165,19 +281,33 @@ router.get('/categories', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ConciergeCategory'
  *       400:
- *         description: Invalid input data
+ *         description: Invalid input data or unknown parent category
  *       500:
  *         description: Server error
  */
-router.post('/categories', async (req, res) => {
+router.post('/categories', authMiddleware, requirePermission('concierge:write'), async (req, res) => {
   try {
-    const { name, description, parent_id } = req.body;
+    const { name, description, parent_id, sla_response_minutes, sla_resolution_minutes } = req.body;
     
     if (!name) {
       return res.status(400).json({ message: 'Name is required' });
     }
+
+    if (!isValidSla(sla_response_minutes) || !isValidSla(sla_resolution_minutes)) {
+      return res.status(400).json({ message: 'SLA minutes must be positive integers' });
+    }
     
-    const cat = await ConciergeCategory.create({ name, description, parent_id });
+    if (parent_id) {
+      const parent = await ConciergeCategory.findByPk(parent_id);
+      if (!parent || !parent.isVisibleTo(req.organization.id)) {
+        return res.status(400).json({ message: 'Parent category not found' });
+      }
+    }
+
+    const cat = await ConciergeCategory.create({
+      organization_id: req.organization.id,
+      name, description, parent_id, sla_response_minutes, sla_resolution_minutes
+    });
     res.status(201).json(cat);
   } catch (error) {
     console.error('Error creating concierge category:', error);
@@ -185,6 +315,95 @@ router.post('/categories', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/concierge/categories/{id}:
+ *   put:
+ *     summary: Update a concierge category, including its SLA targets
+ *     description: |
+ *       Only the organization's own categories can be changed; shared categories are read-only.
+ *       SLA changes apply to requests created afterwards.
+ *     tags: [Concierge Categories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 255
+ *               description:
+ *                 type: string
+ *               parent_id:
+ *                 type: integer
+ *                 nullable: true
+ *               sla_response_minutes:
+ *                 type: integer
+ *                 nullable: true
+ *               sla_resolution_minutes:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Category updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConciergeCategory'
+ *       400:
+ *         description: Invalid input data or unknown parent category
+ *       403:
+ *         description: Shared categories cannot be changed
+ *       404:
+ *         description: Category not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/categories/:id', authMiddleware, requirePermission('concierge:write'), async (req, res) => {
+  try {
+    const cat = await ConciergeCategory.findByPk(req.params.id);
+    if (!cat || !cat.isVisibleTo(req.organization.id)) return res.status(404).json({ message: 'Not found' });
+    if (cat.organization_id !== req.organization.id) {
+      return res.status(403).json({ message: 'Shared categories cannot be changed' });
+    }
+
+    const fields = ['name', 'description', 'parent_id', 'sla_response_minutes', 'sla_resolution_minutes'];
+    const data = {};
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    if (data.name === '') {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+
+    if (!isValidSla(data.sla_response_minutes) || !isValidSla(data.sla_resolution_minutes)) {
+      return res.status(400).json({ message: 'SLA minutes must be positive integers' });
+    }
+
+    if (data.parent_id) {
+      const parent = await ConciergeCategory.findByPk(data.parent_id);
+      if (!parent || !parent.isVisibleTo(req.organization.id) || parent.id === cat.id) {
+        return res.status(400).json({ message: 'Parent category not found' });
+      }
+    }
+
+    await cat.update(data);
+    res.json(cat);
+  } catch (error) {
+    console.error('Error updating concierge category:', error);
+    res.status(500).json({ message: 'Error updating category' });
+  }
+});
+
 // ------- Requests -------
 
 /**
@@ -205,6 +424,17 @@ router.post('/categories', async (req, res) => {
  *           type: string
  *           enum: [requested, in_progress, done, cancelled]
  *         description: Filter requests by status
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [low, normal, high, urgent]
+ *         description: Filter requests by priority
+ *       - in: query
+ *         name: assigned_to
+ *         schema:
+ *           type: string
+ *         description: Filter by assigned staff member ID, "me" or "none"
  *     responses:
  *       200:
  *         description: List of concierge requests retrieved successfully
@@ -217,13 +447,17 @@ router.post('/categories', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/requests', async (req, res) => {
+router.get('/requests', authMiddleware, requirePermission('concierge:read'), async (req, res) => {
   try {
-    const where = {};
+    const where = { hotel_id: req.hotelIds };
     if (req.query.hotel_id) where.hotel_id = req.query.hotel_id;
     if (req.query.status)   where.status   = req.query.status;
     if (req.query.category_id) where.category_id = req.query.category_id;
     if (req.query.guest_id) where.guest_id = req.query.guest_id;
+    if (req.query.priority) where.priority = req.query.priority;
+    if (req.query.assigned_to === 'me') where.assigned_to = req.member.id;
+    else if (req.query.assigned_to === 'none') where.assigned_to = null;
+    else if (req.query.assigned_to) where.assigned_to = req.query.assigned_to;
 
     // Pagination parameters
     const page = parseInt(req.query.page) || 1;
@@ -236,7 +470,7 @@ router.get('/requests', async (req, res) => {
 
     const list = await ConciergeRequest.findAll({
       where,
-      include: [{ model: ConciergeCategory, attributes: ['name'] }],
+      include: [{ model: ConciergeCategory, attributes: ['name'] }, assigneeInclude],
       order: [['created_at', 'DESC']],
       limit,
       offset,
@@ -302,20 +536,24 @@ router.get('/requests', async (req, res) => {
  *                 type: string
  *                 format: date-time
  *                 nullable: true
- *                 description: Scheduled date/time for the request
+ *                 description: Scheduled date/time for the request; the guest is emailed a confirmation with a calendar invite
+ *               priority:
+ *                 type: string
+ *                 enum: [low, normal, high, urgent]
+ *                 default: normal
  *     responses:
  *       201:
- *         description: Request created successfully
+ *         description: Request created successfully, with SLA deadlines taken from the category
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ConciergeRequest'
  *       400:
- *         description: Invalid input data
+ *         description: Invalid input data or unknown category
  *       500:
  *         description: Server error
  */
-router.post('/requests', async (req, res) => {
+router.post('/requests', authMiddleware, requirePermission('concierge:write'), async (req, res) => {
   try {
     const data = {
       hotel_id:      req.body.hotel_id,
@@ -324,13 +562,23 @@ router.post('/requests', async (req, res) => {
       title:         req.body.title,
       details:       req.body.details || {},
       scheduled_for: req.body.scheduled_for,
+      priority:      req.body.priority || 'normal',
     };
     
     if (!data.hotel_id || !data.category_id || !data.title) {
       return res.status(400).json({ message: 'hotel_id, category_id, and title are required' });
     }
-    
-    const created = await ConciergeRequest.create(data);
+    if (!ConciergeRequest.PRIORITIES.includes(data.priority)) {
+      return res.status(400).json({ message: `priority must be one of: ${ConciergeRequest.PRIORITIES.join(', ')}` });
+    }
+
+    const created = await ConciergeRequest.createWithHistory(data, { memberId: req.member.id });
+    if (!created) {
+      return res.status(400).json({ message: 'Category not found' });
+    }
+
+    await RealtimeService.publish(created.hotel_id, 'concierge', 'concierge.request.created', created.toJSON());
+    await ConciergeConfirmationService.sendScheduled(created);
     res.status(201).json(created);
   } catch (error) {
     console.error('Error creating concierge request:', error);
@@ -338,6 +586,110 @@ router.post('/requests', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/concierge/requests/sla-breaches:
+ *   get:
+ *     summary: List requests that have breached their SLA
+ *     description: |
+ *       Returns open requests past their response or resolution deadline. With
+ *       include_closed=true, requests that were started or completed late are included too.
+ *     tags: [Concierge Requests]
+ *     parameters:
+ *       - in: query
+ *         name: hotel_id
+ *         schema:
+ *           type: integer
+ *         description: Filter by hotel ID
+ *       - in: query
+ *         name: include_closed
+ *         schema:
+ *           type: boolean
+ *         description: Also include requests that breached their SLA but are already done
+ *     responses:
+ *       200:
+ *         description: Breached requests, most overdue first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/ConciergeRequest'
+ *                       - type: object
+ *                         properties:
+ *                           breaches:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                               enum: [response, resolution]
+ *                           overdue_minutes:
+ *                             type: integer
+ *                 total:
+ *                   type: integer
+ *       500:
+ *         description: Server error
+ */
+router.get('/requests/sla-breaches', authMiddleware, requirePermission('concierge:read'), async (req, res) => {
+  try {
+    const now = new Date();
+    const conditions = [
+      { status: 'requested', response_due_at: { [Op.lt]: now } },
+      { status: { [Op.in]: OPEN_STATUSES }, resolution_due_at: { [Op.lt]: now } }
+    ];
+
+    if (req.query.include_closed === 'true') {
+      conditions.push(
+        { started_at: { [Op.gt]: col('response_due_at') } },
+        { status: 'done', completed_at: { [Op.gt]: col('resolution_due_at') } }
+      );
+    }
+
+    const list = await ConciergeRequest.findAll({
+      where: {
+        hotel_id: req.query.hotel_id || req.hotelIds,
+        [Op.or]: conditions
+      },
+      include: [{ model: ConciergeCategory, attributes: ['name'] }, assigneeInclude],
+      order: [['created_at', 'ASC']]
+    });
+
+    const data = list.map(r => {
+      const breaches = [];
+      let overdueMs = 0;
+
+      // A deadline is breached if the step happened after it, or has not happened yet
+      const responseEnd = r.started_at || (r.status === 'requested' ? now : null);
+      if (r.response_due_at && responseEnd && responseEnd > r.response_due_at) {
+        breaches.push('response');
+        overdueMs = Math.max(overdueMs, responseEnd - r.response_due_at);
+      }
+
+      const resolutionEnd = r.completed_at || (OPEN_STATUSES.includes(r.status) ? now : null);
+      if (r.resolution_due_at && resolutionEnd && resolutionEnd > r.resolution_due_at) {
+        breaches.push('resolution');
+        overdueMs = Math.max(overdueMs, resolutionEnd - r.resolution_due_at);
+      }
+
+      return {
+        ...r.toJSON(),
+        breaches,
+        overdue_minutes: Math.floor(overdueMs / 60000)
+      };
+    });
+
+    data.sort((a, b) => b.overdue_minutes - a.overdue_minutes);
+
+    res.json({ data, total: data.length });
+  } catch (error) {
+    console.error('Error fetching SLA breaches:', error);
+    res.status(500).json({ message: 'Error fetching SLA breaches' });
+  }
+});
+
 /**
  * @swagger
  * /api/concierge/requests/{id}:
@@ -364,12 +716,12 @@ router.post('/requests', async (req, res) => {
  *         description: Server error
  */
 router.route('/requests/:id')
-  .get(async (req, res) => {
+  .get(authMiddleware, requirePermission('concierge:read'), async (req, res) => {
     try {
       const r = await ConciergeRequest.findByPk(req.params.id, {
-        include: [{ model: ConciergeCategory, attributes: ['name'] }],
+        include: [{ model: ConciergeCategory, attributes: ['name'] }, assigneeInclude],
       });
-      if (!r) return res.status(404).json({ message: 'Not found' });
+      if (!r || !req.hotelIds.includes(r.hotel_id)) return res.status(404).json({ message: 'Not found' });
       res.json(r);
     } catch (error) {
       console.error('Error fetching concierge request:', error);
@@ -382,6 +734,10 @@ router.route('/requests/:id')
  * /api/concierge/requests/{id}:
  *   put:
  *     summary: Update a concierge request
+ *     description: |
+ *       A status change must follow the allowed transitions
+ *       (requested → in_progress | cancelled, in_progress → done | cancelled)
+ *       and is recorded in the status history.
  *     tags: [Concierge Requests]
  *     parameters:
  *       - in: path
@@ -404,13 +760,14 @@ router.route('/requests/:id')
  *                 type: object
  *               status:
  *                 type: string
- *                 enum: [requested, in_progress, done, cancelled]
- *               scheduled_for:
+ *                 enum: [in_progress, done, cancelled]
+ *               notes:
  *                 type: string
- *                 format: date-time
- *               completed_at:
+ *                 description: Notes stored with the status change
+ *               scheduled_for:
  *                 type: string
  *                 format: date-time
+ *                 description: Rescheduling recomputes the SLA deadlines from the new time
  *     responses:
  *       200:
  *         description: Request updated successfully
@@ -418,20 +775,43 @@ router.route('/requests/:id')
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ConciergeRequest'
+ *       400:
+ *         description: Status change not allowed
  *       404:
  *         description: Request not found
  *       500:
  *         description: Server error
  */
-  .put(async (req, res) => {
+  .put(authMiddleware, requirePermission('concierge:write'), async (req, res) => {
     try {
       const r = await ConciergeRequest.findByPk(req.params.id);
-      if (!r) return res.status(404).json({ message: 'Not found' });
-      await r.update(req.body);
+      if (!r || !req.hotelIds.includes(r.hotel_id)) return res.status(404).json({ message: 'Not found' });
+
+      // Status, assignment and timing fields are managed by their own endpoints
+      const { title, details, scheduled_for, status, notes } = req.body;
+      const data = {};
+      if (title !== undefined) data.title = title;
+      if (details !== undefined) data.details = details;
+      if (scheduled_for !== undefined) {
+        const category = await ConciergeCategory.findByPk(r.category_id);
+        Object.assign(data, { scheduled_for }, ConciergeRequest.slaDeadlines(category, {
+          createdAt: r.created_at,
+          scheduledFor: scheduled_for
+        }));
+      }
+
+      if (status !== undefined && status !== r.status && !ConciergeRequest.canTransition(r.status, status)) {
+        return invalidTransition(res, r, new Error(`Cannot change status from ${r.status} to ${status}`));
+      }
+
+      await r.update(data);
+      if (status !== undefined && status !== r.status) {
+        await changeStatus(r, status, { memberId: req.member.id, notes });
+      }
       
       // Fetch the updated request with category information
       const updatedRequest = await ConciergeRequest.findByPk(req.params.id, {
-        include: [{ model: ConciergeCategory, attributes: ['name'] }],
+        include: [{ model: ConciergeCategory, attributes: ['name'] }, assigneeInclude],
       });
       
       res.json(updatedRequest);
@@ -462,9 +842,11 @@ router.route('/requests/:id')
  *       500:
  *         description: Server error
  */
-  .delete(async (req, res) => {
+  .delete(authMiddleware, requirePermission('concierge:write'), async (req, res) => {
     try {
-      const count = await ConciergeRequest.destroy({ where: { id: req.params.id } });
+      const count = await ConciergeRequest.destroy({
+        where: { id: req.params.id, hotel_id: req.hotelIds },
+      });
       res.status(count ? 204 : 404).end();
     } catch (error) {
       console.error('Error deleting concierge request:', error);
@@ -472,4 +854,204 @@ router.route('/requests/:id')
     }
   });
 
+/**
+ * @swagger
+ * /api/concierge/requests/{id}/status:
+ *   post:
+ *     summary: Change the status of a concierge request
+ *     description: |
+ *       Allowed transitions are requested → in_progress | cancelled and
+ *       in_progress → done | cancelled. Every change is appended to the status history.
+ *     tags: [Concierge Requests]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the concierge request
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [in_progress, done, cancelled]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConciergeRequest'
+ *       400:
+ *         description: Status change not allowed
+ *       404:
+ *         description: Request not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/requests/:id/status', authMiddleware, requirePermission('concierge:write'), async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+    if (!status) {
+      return res.status(400).json({ message: 'status is required' });
+    }
+
+    const r = await ConciergeRequest.findByPk(req.params.id);
+    if (!r || !req.hotelIds.includes(r.hotel_id)) return res.status(404).json({ message: 'Not found' });
+
+    try {
+      await changeStatus(r, status, { memberId: req.member.id, notes });
+    } catch (error) {
+      if (error.code === 'INVALID_TRANSITION') return invalidTransition(res, r, error);
+      throw error;
+    }
+
+    const updatedRequest = await ConciergeRequest.findByPk(r.id, {
+      include: [{ model: ConciergeCategory, attributes: ['name'] }, assigneeInclude],
+    });
+
+    res.json(updatedRequest);
+  } catch (error) {
+    console.error('Error changing concierge request status:', error);
+    res.status(500).json({ message: 'Error changing request status' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/concierge/requests/{id}/assign:
+ *   put:
+ *     summary: Assign a concierge request to a staff member
+ *     description: |
+ *       The staff member must have access to the request's hotel and be allowed to
+ *       handle concierge requests. Send member_id null to unassign.
+ *     tags: [Concierge Requests]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the concierge request
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - member_id
+ *             properties:
+ *               member_id:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Request assigned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConciergeRequest'
+ *       400:
+ *         description: Staff member cannot handle this request, or the request is closed
+ *       404:
+ *         description: Request not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/requests/:id/assign', authMiddleware, requirePermission('concierge:write'), async (req, res) => {
+  try {
+    if (req.body.member_id === undefined) {
+      return res.status(400).json({ message: 'member_id is required' });
+    }
+
+    const r = await ConciergeRequest.findByPk(req.params.id);
+    if (!r || !req.hotelIds.includes(r.hotel_id)) return res.status(404).json({ message: 'Not found' });
+
+    if (!OPEN_STATUSES.includes(r.status)) {
+      return res.status(400).json({ message: `Cannot assign a ${r.status} request` });
+    }
+
+    if (req.body.member_id === null) {
+      await r.update({ assigned_to: null, assigned_at: null });
+    } else {
+      const assignee = await Member.findByPk(req.body.member_id);
+      if (!assignee || assignee.status !== 'active') {
+        return res.status(400).json({ message: 'Staff member not found' });
+      }
+
+      const access = await resolveAccessContext(assignee);
+      if (!access.organization || access.organization.id !== req.organization.id ||
+          !access.hotelIds.includes(r.hotel_id) || !hasPermission(access.role, 'concierge:write')) {
+        return res.status(400).json({ message: 'Staff member cannot handle requests for this hotel' });
+      }
+
+      await r.update({ assigned_to: assignee.id, assigned_at: new Date() });
+    }
+
+    const updatedRequest = await ConciergeRequest.findByPk(r.id, {
+      include: [{ model: ConciergeCategory, attributes: ['name'] }, assigneeInclude],
+    });
+
+    res.json(updatedRequest);
+  } catch (error) {
+    console.error('Error assigning concierge request:', error);
+    res.status(500).json({ message: 'Error assigning request' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/concierge/requests/{id}/history:
+ *   get:
+ *     summary: Get the status history of a concierge request
+ *     tags: [Concierge Requests]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the concierge request
+ *     responses:
+ *       200:
+ *         description: Status history, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ConciergeStatusHistory'
+ *       404:
+ *         description: Request not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/requests/:id/history', authMiddleware, requirePermission('concierge:read'), async (req, res) => {
+  try {
+    const r = await ConciergeRequest.findByPk(req.params.id, { attributes: ['id', 'hotel_id'] });
+    if (!r || !req.hotelIds.includes(r.hotel_id)) return res.status(404).json({ message: 'Not found' });
+
+    const history = await ConciergeRequestStatusHistory.findAll({
+      where: { request_id: r.id },
+      include: [{ model: Member, as: 'changedBy', attributes: ['id', 'first_name', 'last_name'] }],
+      order: [['created_at', 'ASC'], ['id', 'ASC']],
+    });
+
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching concierge request history:', error);
+    res.status(500).json({ message: 'Error fetching request history' });
+  }
+});
+
 module.exports = router;
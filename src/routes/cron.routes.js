@@ -0,0 +1,84 @@
+const express = require('express');
+const CommunicationDispatcher = require('../services/communication/dispatcher.service');
+
+const router = express.Router();
+
+// Cron callers authenticate with CRON_SECRET as a bearer token (Vercel Cron sends it this way)
+const cronAuth = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(503).json({
+      status: 'error',
+      message: 'Cron endpoints are disabled: CRON_SECRET is not set'
+    });
+  }
+
+  if (req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid cron secret'
+    });
+  }
+
+  next();
+};
+
+/**
+ * @swagger
+ * /api/cron/communications/dispatch:
+ *   get:
+ *     summary: Run one communication dispatcher pass
+ *     description: |
+ *       Sends scheduled notifications and push notifications that are due and
+ *       marks those past expires_at as expired. For serverless deployments
+ *       without the PM2 dispatcher worker; call it from a scheduler every few
+ *       minutes with `Authorization: Bearer <CRON_SECRET>`.
+ *     tags: [Communications]
+ *     responses:
+ *       200:
+ *         description: Dispatcher pass completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sent:
+ *                       type: integer
+ *                     delivered:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                     expired:
+ *                       type: integer
+ *                     duration_ms:
+ *                       type: integer
+ *       401:
+ *         description: Invalid cron secret
+ *       503:
+ *         description: CRON_SECRET not configured
+ *       500:
+ *         description: Server error
+ */
+router.get('/communications/dispatch', cronAuth, async (req, res) => {
+  try {
+    const result = await new CommunicationDispatcher().run();
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Cron communication dispatch error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Communication dispatch failed'
+    });
+  }
+});
+
+module.exports = router;
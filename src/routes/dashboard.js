@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 const { 
   Hotel, 
   Restaurant, 
@@ -10,8 +11,12 @@ const {
   Communication,
   Offer
 } = require('../models');
+const SurveyService = require('../services/communication/survey.service');
 const { Op } = require('sequelize');
 
+const TREND_INTERVALS = ['day', 'week', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
  * @swagger
  * /api/dashboard/metrics:
@@ -228,7 +233,7 @@ router.get('/metrics', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/hotel/:hotelId/metrics', async (req, res) => {
+router.get('/hotel/:hotelId/metrics', authMiddleware, requirePermission('dashboard:read'), async (req, res) => {
   try {
     const hotelId = parseInt(req.params.hotelId);
     
@@ -372,6 +377,69 @@ router.get('/hotel/:hotelId/metrics', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/dashboard/hotel/{hotelId}/feedback-trends:
+ *   get:
+ *     summary: NPS and CSAT trends from a hotel's feedback surveys
+ *     description: |
+ *       NPS is the share of promoters (9-10) minus the share of detractors (0-6).
+ *       CSAT is the share of 1-5 ratings that are 4 or 5. Departments come from
+ *       the department of each rating question.
+ *     tags: [Dashboard]
+ *     parameters:
+ *       - in: path
+ *         name: hotelId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to 90 days ago
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: week
+ *     responses:
+ *       200:
+ *         description: Summary, per-period and per-department scores
+ *       400:
+ *         description: Invalid dates or interval
+ *       500:
+ *         description: Server error
+ */
+router.get('/hotel/:hotelId/feedback-trends', authMiddleware, requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const hotelId = parseInt(req.params.hotelId);
+    const interval = req.query.interval || 'week';
+    if (!TREND_INTERVALS.includes(interval)) {
+      return res.status(400).json({ message: `interval must be one of: ${TREND_INTERVALS.join(', ')}` });
+    }
+
+    const to = req.query.to ? new Date(`${req.query.to}T23:59:59.999Z`) : new Date();
+    const from = req.query.from ? new Date(`${req.query.from}T00:00:00.000Z`) : new Date(to.getTime() - 90 * DAY_MS);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({ message: 'from and to must be dates (YYYY-MM-DD) with from before to' });
+    }
+
+    res.json(await SurveyService.trends(hotelId, { from, to, interval }));
+  } catch (error) {
+    console.error('Error fetching feedback trends:', error);
+    res.status(500).json({ message: 'Error fetching feedback trends', error: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/dashboard/test:
@@ -444,26 +512,14 @@ router.get('/test', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/organization/metrics', authMiddleware, async (req, res) => {
+router.get('/organization/metrics', authMiddleware, requirePermission('dashboard:read'), async (req, res) => {
   try {
     console.log('Fetching organization dashboard metrics...');
     
-    // Get the user's organization
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-    
-    console.log('Organization found:', organization.id);
-    
-    // Get organization's hotels
-    const organizationHotels = await Hotel.findAll({
-      where: { organization_id: organization.id },
-      attributes: ['id'],
-      raw: true
-    });
+    console.log('Organization found:', req.organization.id);
     
-    const hotelIds = organizationHotels.map(hotel => hotel.id);
+    // Hotels the member has access to
+    const hotelIds = req.hotelIds;
     console.log('Organization hotel IDs:', hotelIds);
     
     if (hotelIds.length === 0) {
@@ -0,0 +1,389 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { DiningOrder, DiningOrderItem, Guest, Member, Restaurant } = require('../models');
+const DiningOrderService = require('../services/dining/order.service');
+
+const router = express.Router();
+
+// Validation middleware
+const statusValidation = [
+  body('status').isIn(['preparing', 'delivering', 'delivered', 'cancelled']),
+  body('reason').optional().trim().isLength({ max: 1000 })
+];
+
+const orderInclude = [
+  {
+    model: DiningOrderItem,
+    as: 'items'
+  },
+  {
+    model: Guest,
+    attributes: ['id', 'first_name', 'last_name', 'phone']
+  },
+  {
+    model: Restaurant,
+    attributes: ['id', 'name']
+  },
+  {
+    model: Member,
+    as: 'handler',
+    attributes: ['id', 'first_name', 'last_name']
+  }
+];
+
+// Placed orders of the member's hotels; carts are the guest's own business
+const findOrder = (req) => DiningOrder.findOne({
+  where: {
+    id: req.params.id,
+    hotel_id: { [Op.in]: req.hotelIds },
+    status: { [Op.ne]: 'cart' }
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DiningOrder:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         hotel_id:
+ *           type: integer
+ *         stay_id:
+ *           type: integer
+ *         guest_id:
+ *           type: integer
+ *         restaurant_id:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [received, preparing, delivering, delivered, cancelled]
+ *         room_number:
+ *           type: string
+ *         requested_for:
+ *           type: string
+ *           format: date-time
+ *           description: Delivery time asked for; null for as soon as possible
+ *         notes:
+ *           type: string
+ *         subtotal:
+ *           type: number
+ *         tax_total:
+ *           type: number
+ *         total:
+ *           type: number
+ *         pos_status:
+ *           type: string
+ *           enum: [posted, failed, not_configured, voided]
+ *         pos_check_id:
+ *           type: string
+ *         pos_error:
+ *           type: string
+ *         placed_at:
+ *           type: string
+ *           format: date-time
+ *         preparing_at:
+ *           type: string
+ *           format: date-time
+ *         delivering_at:
+ *           type: string
+ *           format: date-time
+ *         delivered_at:
+ *           type: string
+ *           format: date-time
+ *         cancelled_at:
+ *           type: string
+ *           format: date-time
+ *         cancel_reason:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               menu_id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               unit_price:
+ *                 type: number
+ *               modifiers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               amount:
+ *                 type: number
+ *               tax_amount:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Dining Orders
+ *   description: In-room dining orders for the kitchen and room service staff
+ */
+
+/**
+ * @swagger
+ * /api/dining-orders:
+ *   get:
+ *     summary: Get in-room dining orders
+ *     tags: [Dining Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hotel_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: restaurant_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, received, preparing, delivering, delivered, cancelled]
+ *         description: open = received, preparing or delivering
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated list of orders, oldest first
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, requirePermission('restaurants:read'), async (req, res) => {
+  try {
+    const whereClause = {
+      hotel_id: { [Op.in]: req.hotelIds },
+      status: { [Op.ne]: 'cart' }
+    };
+    if (req.query.hotel_id) whereClause.hotel_id = req.query.hotel_id;
+    if (req.query.restaurant_id) whereClause.restaurant_id = req.query.restaurant_id;
+    if (req.query.status === 'open') {
+      whereClause.status = { [Op.in]: DiningOrder.OPEN_STATUSES };
+    } else if (req.query.status && req.query.status !== 'cart') {
+      whereClause.status = req.query.status;
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await DiningOrder.findAndCountAll({
+      where: whereClause,
+      include: orderInclude,
+      order: [['placed_at', 'ASC']],
+      limit,
+      offset,
+      distinct: true
+    });
+
+    res.json({
+      orders: rows,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get dining orders error:', error);
+    res.status(500).json({ message: 'Error fetching dining orders' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dining-orders/{id}:
+ *   get:
+ *     summary: Get an in-room dining order
+ *     tags: [Dining Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Order details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DiningOrder'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authMiddleware, requirePermission('restaurants:read'), async (req, res) => {
+  try {
+    const order = await findOrder(req);
+    if (!order) {
+      return res.status(404).json({ message: 'Dining order not found' });
+    }
+
+    res.json(await DiningOrder.findByPk(order.id, { include: orderInclude }));
+  } catch (error) {
+    console.error('Get dining order error:', error);
+    res.status(500).json({ message: 'Error fetching dining order' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dining-orders/{id}/status:
+ *   post:
+ *     summary: Advance an in-room dining order
+ *     description: |
+ *       received -> preparing -> delivering -> delivered. Orders can be
+ *       cancelled until they leave the kitchen; cancelling voids the POS
+ *       check and removes it from the folio.
+ *     tags: [Dining Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [preparing, delivering, delivered, cancelled]
+ *               reason:
+ *                 type: string
+ *                 description: Why the order was cancelled
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DiningOrder'
+ *       400:
+ *         description: Invalid input or status change not allowed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/status', authMiddleware, requirePermission('restaurants:write'), statusValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await findOrder(req);
+    if (!order) {
+      return res.status(404).json({ message: 'Dining order not found' });
+    }
+
+    await DiningOrderService.transition(order, req.body.status, {
+      memberId: req.member.id,
+      reason: req.body.reason
+    });
+
+    res.json(await DiningOrder.findByPk(order.id, { include: orderInclude }));
+  } catch (error) {
+    if (error.code === 'INVALID_TRANSITION') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update dining order status error:', error);
+    res.status(500).json({ message: 'Error updating dining order status' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dining-orders/{id}/post-to-pos:
+ *   post:
+ *     summary: Post an order to the POS again
+ *     description: For orders whose POS posting failed or that were placed before the POS integration was set up. A posted order whose folio charge failed is only charged to the folio; its check is not posted again.
+ *     tags: [Dining Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Outcome in pos_status and pos_error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DiningOrder'
+ *       400:
+ *         description: Order already posted, voided or cancelled
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/post-to-pos', authMiddleware, requirePermission('restaurants:write'), async (req, res) => {
+  try {
+    const order = await findOrder(req);
+    if (!order) {
+      return res.status(404).json({ message: 'Dining order not found' });
+    }
+
+    const posted = order.pos_status === 'voided' || (order.pos_status === 'posted' && !order.pos_error);
+    if (order.status === 'cancelled' || posted) {
+      return res.status(400).json({ message: `Order cannot be posted (${order.status}, ${order.pos_status})` });
+    }
+
+    await DiningOrderService.postToPos(order);
+
+    res.json(await DiningOrder.findByPk(order.id, { include: orderInclude }));
+  } catch (error) {
+    console.error('Post dining order to POS error:', error);
+    res.status(500).json({ message: 'Error posting dining order to POS' });
+  }
+});
+
+module.exports = router;
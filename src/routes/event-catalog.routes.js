@@ -0,0 +1,329 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { EventCatalogItem, MeetingRoom, Menu } = require('../models');
+
+const router = express.Router();
+
+const CATALOG_CATEGORIES = ['room_hire', 'catering', 'equipment', 'service'];
+const PRICE_UNITS = ['per_event', 'per_hour', 'per_day', 'per_person', 'per_item'];
+
+// Validation middleware
+const catalogItemValidation = [
+  body('hotel_id').isInt().withMessage('Hotel ID must be an integer'),
+  body('category').isIn(CATALOG_CATEGORIES),
+  body('name').notEmpty().trim().isLength({ max: 255 }),
+  body('description').optional({ nullable: true }).trim(),
+  body('unit').optional().isIn(PRICE_UNITS),
+  body('unit_price').optional().isFloat({ min: 0 }),
+  body('tax_rate').optional().isFloat({ min: 0, max: 100 }),
+  body('meeting_room_id').optional({ nullable: true }).isInt(),
+  body('menu_item_ids').optional().isArray(),
+  body('menu_item_ids.*').isInt(),
+  body('is_active').optional().isBoolean()
+];
+
+const catalogItemUpdateValidation = [
+  body('name').optional().notEmpty().trim().isLength({ max: 255 }),
+  body('description').optional({ nullable: true }).trim(),
+  body('unit').optional().isIn(PRICE_UNITS),
+  body('unit_price').optional().isFloat({ min: 0 }),
+  body('tax_rate').optional().isFloat({ min: 0, max: 100 }),
+  body('meeting_room_id').optional({ nullable: true }).isInt(),
+  body('menu_item_ids').optional().isArray(),
+  body('menu_item_ids.*').isInt(),
+  body('is_active').optional().isBoolean()
+];
+
+/**
+ * Check the room and menu items an item refers to belong to its hotel.
+ * Returns an error message, or null. A catering package without a price is
+ * priced at the sum of its menu items.
+ */
+const resolveReferences = async (hotelId, values) => {
+  if (values.meeting_room_id) {
+    const room = await MeetingRoom.findOne({ where: { id: values.meeting_room_id, hotel_id: hotelId } });
+    if (!room) {
+      return 'Meeting room not found';
+    }
+  }
+
+  if (values.menu_item_ids && values.menu_item_ids.length > 0) {
+    const items = await Menu.findAll({
+      where: { id: values.menu_item_ids, hotel_id: hotelId },
+      attributes: ['id', 'item_price']
+    });
+    if (items.length !== new Set(values.menu_item_ids.map(Number)).size) {
+      return 'Menu items must belong to the same hotel';
+    }
+    if (values.unit_price === undefined) {
+      values.unit_price = Menu.toCurrency(items.reduce((sum, item) => sum + parseFloat(item.item_price), 0));
+    }
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EventCatalogItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         hotel_id:
+ *           type: integer
+ *         category:
+ *           type: string
+ *           enum: [room_hire, catering, equipment, service]
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         unit:
+ *           type: string
+ *           enum: [per_event, per_hour, per_day, per_person, per_item]
+ *           description: per_hour and per_day count started hours and days of the event
+ *         unit_price:
+ *           type: number
+ *         tax_rate:
+ *           type: number
+ *           description: Percentage
+ *         meeting_room_id:
+ *           type: integer
+ *           description: Room a room hire rate is for
+ *         menu_item_ids:
+ *           type: array
+ *           description: Menu items served with a catering package
+ *           items:
+ *             type: integer
+ *         is_active:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Event Catalog
+ *   description: Priced room hire rates, catering packages, equipment and services for event quotes
+ */
+
+/**
+ * @swagger
+ * /api/event-catalog:
+ *   get:
+ *     summary: List catalog items
+ *     tags: [Event Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hotel_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [room_hire, catering, equipment, service]
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Catalog items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/EventCatalogItem'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, requirePermission('meetings:read'), async (req, res) => {
+  try {
+    const whereClause = { hotel_id: req.hotelIds };
+    if (req.query.hotel_id) whereClause.hotel_id = req.query.hotel_id;
+    if (CATALOG_CATEGORIES.includes(req.query.category)) whereClause.category = req.query.category;
+    if (req.query.is_active !== undefined) whereClause.is_active = req.query.is_active === 'true';
+
+    const items = await EventCatalogItem.findAll({
+      where: whereClause,
+      order: [['category', 'ASC'], ['name', 'ASC']]
+    });
+
+    res.json(items);
+  } catch (error) {
+    console.error('Get event catalog error:', error);
+    res.status(500).json({ message: 'Error fetching event catalog' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/event-catalog:
+ *   post:
+ *     summary: Create a catalog item
+ *     description: A catering package with menu_item_ids and no unit_price is priced at the sum of its menu items.
+ *     tags: [Event Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EventCatalogItem'
+ *     responses:
+ *       201:
+ *         description: Catalog item created
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authMiddleware, requirePermission('meetings:write'), catalogItemValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { hotel_id, category, name, description, unit, unit_price, tax_rate, meeting_room_id, menu_item_ids, is_active } = req.body;
+    const values = { hotel_id, category, name, description, unit, unit_price, tax_rate, meeting_room_id, menu_item_ids, is_active };
+
+    const referenceError = await resolveReferences(hotel_id, values);
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+    if (values.unit_price === undefined) {
+      return res.status(400).json({ message: 'unit_price is required' });
+    }
+
+    const item = await EventCatalogItem.create({
+      ...values,
+      created_by: req.member.id
+    });
+
+    res.status(201).json(item);
+  } catch (error) {
+    console.error('Create event catalog item error:', error);
+    res.status(500).json({ message: 'Error creating catalog item' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/event-catalog/{id}:
+ *   put:
+ *     summary: Update a catalog item
+ *     description: Quotes keep the prices they were made with.
+ *     tags: [Event Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EventCatalogItem'
+ *     responses:
+ *       200:
+ *         description: Catalog item updated
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Catalog item not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', authMiddleware, requirePermission('meetings:write'), catalogItemUpdateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const item = await EventCatalogItem.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!item) {
+      return res.status(404).json({ message: 'Catalog item not found' });
+    }
+
+    const { name, description, unit, unit_price, tax_rate, meeting_room_id, menu_item_ids, is_active } = req.body;
+    const values = { name, description, unit, unit_price, tax_rate, meeting_room_id, menu_item_ids, is_active };
+
+    const referenceError = await resolveReferences(item.hotel_id, values);
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+
+    Object.keys(values).forEach(key => values[key] === undefined && delete values[key]);
+    await item.update(values);
+
+    res.json(item);
+  } catch (error) {
+    console.error('Update event catalog item error:', error);
+    res.status(500).json({ message: 'Error updating catalog item' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/event-catalog/{id}:
+ *   delete:
+ *     summary: Delete a catalog item
+ *     description: Quotes keep their lines; deactivate the item to keep it linked.
+ *     tags: [Event Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Catalog item deleted
+ *       404:
+ *         description: Catalog item not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authMiddleware, requirePermission('meetings:write'), async (req, res) => {
+  try {
+    const item = await EventCatalogItem.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!item) {
+      return res.status(404).json({ message: 'Catalog item not found' });
+    }
+
+    await item.destroy();
+
+    res.json({ message: 'Catalog item deleted successfully' });
+  } catch (error) {
+    console.error('Delete event catalog item error:', error);
+    res.status(500).json({ message: 'Error deleting catalog item' });
+  }
+});
+
+module.exports = router;
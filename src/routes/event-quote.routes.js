@@ -0,0 +1,406 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { EventQuote, EventQuoteLine, Meeting, Member } = require('../models');
+const EventQuoteService = require('../services/meeting/quote.service');
+const { Op } = require('sequelize');
+
+const router = express.Router();
+
+const QUOTE_ERROR_CODES = ['INVALID_LINE', 'QUOTE_LOCKED'];
+
+const lineValidation = [
+  body('lines').optional().isArray(),
+  body('lines.*.catalog_item_id').optional({ nullable: true }).isInt(),
+  body('lines.*.category').optional().isIn(['room_hire', 'catering', 'equipment', 'service']),
+  body('lines.*.description').optional().trim().isLength({ min: 1, max: 255 }),
+  body('lines.*.unit').optional().isIn(['per_event', 'per_hour', 'per_day', 'per_person', 'per_item']),
+  body('lines.*.quantity').optional().isFloat({ min: 0 }),
+  body('lines.*.unit_price').optional().isFloat({ min: 0 }),
+  body('lines.*.tax_rate').optional().isFloat({ min: 0, max: 100 }),
+  body('notes').optional({ nullable: true }).trim(),
+  body('valid_until').optional({ nullable: true }).isISO8601(),
+  body('deposit_amount').optional({ nullable: true }).isFloat({ min: 0 })
+];
+
+const quoteInclude = [
+  {
+    model: EventQuoteLine,
+    as: 'lines'
+  },
+  {
+    model: Member,
+    as: 'creator',
+    attributes: ['id', 'first_name', 'last_name']
+  }
+];
+
+const quoteOrder = [[{ model: EventQuoteLine, as: 'lines' }, 'sort_order', 'ASC']];
+
+// Quote of one of the member's hotels, with its lines
+const findQuote = (req) => EventQuote.findOne({
+  where: { id: req.params.id, hotel_id: { [Op.in]: req.hotelIds } },
+  include: quoteInclude,
+  order: quoteOrder
+});
+
+const reloadQuote = (quote) => EventQuote.findByPk(quote.id, { include: quoteInclude, order: quoteOrder });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EventQuoteLineInput:
+ *       type: object
+ *       description: A catalog item (name, unit and prices copied, any of them can be overridden) or a custom line with description and unit_price
+ *       properties:
+ *         catalog_item_id:
+ *           type: integer
+ *         category:
+ *           type: string
+ *           enum: [room_hire, catering, equipment, service]
+ *         description:
+ *           type: string
+ *         unit:
+ *           type: string
+ *           enum: [per_event, per_hour, per_day, per_person, per_item]
+ *         quantity:
+ *           type: number
+ *           description: Defaults to the event's started hours or days, its attendees, or 1
+ *         unit_price:
+ *           type: number
+ *         tax_rate:
+ *           type: number
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Event Quotes
+ *   description: Versioned meeting quotes and their customer acceptance links
+ */
+
+/**
+ * @swagger
+ * /api/event-quotes:
+ *   get:
+ *     summary: List the quote versions of a meeting, latest first
+ *     tags: [Event Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: meeting_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Quotes with their lines
+ *       400:
+ *         description: Missing meeting_id
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, requirePermission('meetings:read'), query('meeting_id').isInt(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const quotes = await EventQuote.findAll({
+      where: { meeting_id: req.query.meeting_id, hotel_id: { [Op.in]: req.hotelIds } },
+      include: quoteInclude,
+      order: [['version', 'DESC'], ...quoteOrder]
+    });
+
+    res.json(quotes);
+  } catch (error) {
+    console.error('Get event quotes error:', error);
+    res.status(500).json({ message: 'Error fetching quotes' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/event-quotes/{id}:
+ *   get:
+ *     summary: Get a quote with its lines
+ *     tags: [Event Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Quote
+ *       404:
+ *         description: Quote not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authMiddleware, requirePermission('meetings:read'), async (req, res) => {
+  try {
+    const quote = await findQuote(req);
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    res.json({
+      ...quote.toJSON(),
+      url: quote.token ? EventQuoteService.quoteUrl(quote.token) : null
+    });
+  } catch (error) {
+    console.error('Get event quote error:', error);
+    res.status(500).json({ message: 'Error fetching quote' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/event-quotes:
+ *   post:
+ *     summary: Create the next quote version of a meeting
+ *     description: |
+ *       Starts as a draft. Without lines, the new version copies the lines
+ *       of the previous one, or for the first quote, the room hire rate of
+ *       the meeting's room.
+ *     tags: [Event Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - meeting_id
+ *             properties:
+ *               meeting_id:
+ *                 type: integer
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/EventQuoteLineInput'
+ *               notes:
+ *                 type: string
+ *               valid_until:
+ *                 type: string
+ *                 format: date
+ *               deposit_amount:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Draft quote created
+ *       400:
+ *         description: Invalid input or a line that cannot be priced
+ *       404:
+ *         description: Meeting not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authMiddleware, requirePermission('meetings:write'), body('meeting_id').isInt(), lineValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const meeting = await Meeting.findOne({
+      where: { id: req.body.meeting_id, hotel_id: { [Op.in]: req.hotelIds } }
+    });
+    if (!meeting) {
+      return res.status(404).json({ message: 'Meeting not found' });
+    }
+
+    const { lines, notes, valid_until, deposit_amount } = req.body;
+    const quote = await EventQuoteService.create(meeting, { lines, notes, valid_until, deposit_amount }, req.member.id);
+
+    res.status(201).json(await reloadQuote(quote));
+  } catch (error) {
+    if (QUOTE_ERROR_CODES.includes(error.code)) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create event quote error:', error);
+    res.status(500).json({ message: 'Error creating quote' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/event-quotes/{id}:
+ *   put:
+ *     summary: Change a draft quote
+ *     description: Lines, when given, replace all current lines. Sent quotes are frozen; create a new version instead.
+ *     tags: [Event Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/EventQuoteLineInput'
+ *               notes:
+ *                 type: string
+ *               valid_until:
+ *                 type: string
+ *                 format: date
+ *               deposit_amount:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Quote updated
+ *       400:
+ *         description: Invalid input, or the quote is not a draft
+ *       404:
+ *         description: Quote not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', authMiddleware, requirePermission('meetings:write'), lineValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const quote = await findQuote(req);
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    const changes = {};
+    ['lines', 'notes', 'valid_until', 'deposit_amount'].forEach((field) => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+    await EventQuoteService.update(quote, changes);
+
+    res.json(await reloadQuote(quote));
+  } catch (error) {
+    if (QUOTE_ERROR_CODES.includes(error.code)) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update event quote error:', error);
+    res.status(500).json({ message: 'Error updating quote' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/event-quotes/{id}/send:
+ *   post:
+ *     summary: Send a draft quote to the customer
+ *     description: |
+ *       Freezes the quote and returns the link the customer reviews and
+ *       accepts it with. An earlier sent version the customer has not
+ *       answered is superseded.
+ *     tags: [Event Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Quote sent, with its link
+ *       400:
+ *         description: The quote is not a draft
+ *       404:
+ *         description: Quote not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/send', authMiddleware, requirePermission('meetings:write'), async (req, res) => {
+  try {
+    const quote = await findQuote(req);
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    const { url } = await EventQuoteService.send(quote);
+
+    res.json({
+      ...(await reloadQuote(quote)).toJSON(),
+      url
+    });
+  } catch (error) {
+    if (QUOTE_ERROR_CODES.includes(error.code)) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Send event quote error:', error);
+    res.status(500).json({ message: 'Error sending quote' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/event-quotes/{id}:
+ *   delete:
+ *     summary: Delete a draft quote
+ *     tags: [Event Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Quote deleted
+ *       400:
+ *         description: The quote is not a draft
+ *       404:
+ *         description: Quote not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authMiddleware, requirePermission('meetings:write'), async (req, res) => {
+  try {
+    const quote = await findQuote(req);
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    if (quote.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft quotes can be deleted' });
+    }
+
+    await EventQuote.sequelize.transaction(async (transaction) => {
+      await EventQuoteLine.destroy({ where: { quote_id: quote.id }, transaction });
+      await quote.destroy({ transaction });
+    });
+
+    res.json({ message: 'Quote deleted successfully' });
+  } catch (error) {
+    console.error('Delete event quote error:', error);
+    res.status(500).json({ message: 'Error deleting quote' });
+  }
+});
+
+module.exports = router;
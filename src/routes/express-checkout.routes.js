@@ -0,0 +1,441 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { ExpressCheckout, Stay, Guest, RoomUnit, FolioCharge, Communication, Integration } = require('../models');
+const PMSIntegrationService = require('../services/integration/pms-integration.service');
+const CommunicationRecipientService = require('../services/communication/recipient.service');
+const SurveyService = require('../services/communication/survey.service');
+
+const router = express.Router();
+
+// Validation middleware
+const rejectValidation = [
+  body('reason').notEmpty().trim().isLength({ max: 1000 })
+];
+
+const checkoutInclude = [
+  {
+    model: Stay,
+    attributes: ['id', 'confirmation_number', 'arrival_date', 'departure_date', 'status', 'room_unit_id', 'external_reservation_id'],
+    include: [
+      {
+        model: RoomUnit,
+        attributes: ['id', 'room_number', 'floor']
+      }
+    ]
+  },
+  {
+    model: Guest,
+    attributes: ['id', 'first_name', 'last_name', 'email', 'phone']
+  }
+];
+
+// Invite the guest to rate their stay once they have checked out; hotels
+// with a post-checkout survey send its link instead
+const sendFeedbackInvitation = async (stay, guest) => {
+  const survey = await SurveyService.inviteAfterCheckout(stay, guest);
+  if (survey) {
+    return survey.invitation;
+  }
+
+  const invitation = await Communication.create({
+    hotel_id: stay.hotel_id,
+    type: 'notification',
+    category: 'service',
+    title: 'How was your stay?',
+    message: `Thank you for staying with us, ${guest.first_name}. We would love to hear about your experience.`,
+    sender_type: 'hotel',
+    recipient_type: 'specific',
+    recipient_id: guest.id,
+    priority: 'normal',
+    status: 'sent',
+    metadata: JSON.stringify({ action: 'feedback', stay_id: stay.id }),
+    language: 'en'
+  });
+  await CommunicationRecipientService.recordAudience(invitation, { guestIds: [guest.id] });
+  return invitation;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExpressCheckout:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         hotel_id:
+ *           type: integer
+ *         stay_id:
+ *           type: integer
+ *         guest_id:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         balance:
+ *           type: number
+ *           description: Folio balance the guest confirmed
+ *         guest_notes:
+ *           type: string
+ *         requested_at:
+ *           type: string
+ *           format: date-time
+ *         reviewed_by:
+ *           type: integer
+ *         reviewed_at:
+ *           type: string
+ *           format: date-time
+ *         rejection_reason:
+ *           type: string
+ *         pms_check_out_id:
+ *           type: string
+ *         pms_error:
+ *           type: string
+ *         feedback_invitation_id:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/checkouts:
+ *   get:
+ *     summary: Get express checkout requests
+ *     tags: [Express Checkout]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hotel_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated list of express checkout requests, oldest first
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, requirePermission('stays:read'), async (req, res) => {
+  try {
+    const whereClause = { hotel_id: req.hotelIds };
+    if (req.query.hotel_id) whereClause.hotel_id = req.query.hotel_id;
+    if (req.query.status) whereClause.status = req.query.status;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await ExpressCheckout.findAndCountAll({
+      where: whereClause,
+      include: checkoutInclude,
+      order: [['requested_at', 'ASC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      checkouts: rows,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get express checkouts error:', error);
+    res.status(500).json({ message: 'Error fetching express checkouts' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/checkouts/{id}:
+ *   get:
+ *     summary: Get an express checkout request with the stay's folio
+ *     tags: [Express Checkout]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Express checkout details
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Express checkout not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authMiddleware, requirePermission('stays:read'), async (req, res) => {
+  try {
+    const checkout = await ExpressCheckout.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds },
+      include: checkoutInclude
+    });
+
+    if (!checkout) {
+      return res.status(404).json({ message: 'Express checkout not found' });
+    }
+
+    const charges = await FolioCharge.findAll({
+      where: { stay_id: checkout.stay_id },
+      order: [['posted_at', 'ASC'], ['id', 'ASC']]
+    });
+
+    res.json({
+      ...checkout.toJSON(),
+      folio: {
+        charges,
+        summary: FolioCharge.summarize(charges)
+      }
+    });
+  } catch (error) {
+    console.error('Get express checkout error:', error);
+    res.status(500).json({ message: 'Error fetching express checkout' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/checkouts/{id}/approve:
+ *   post:
+ *     summary: Approve an express checkout
+ *     description: |
+ *       Checks the stay out, frees the room and marks it dirty, then sends the
+ *       guest a feedback invitation. When the hotel has an active PMS
+ *       integration the check-out is posted to the PMS first; if the PMS
+ *       rejects it the request stays pending and the error is stored in pms_error.
+ *     tags: [Express Checkout]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Express checkout approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ExpressCheckout'
+ *       400:
+ *         description: Not pending, stay not checked in, or disputes open
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Express checkout not found
+ *       502:
+ *         description: PMS rejected the check-out
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/approve', authMiddleware, requirePermission('stays:write'), async (req, res) => {
+  try {
+    const checkout = await ExpressCheckout.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds },
+      include: [
+        {
+          model: Stay,
+          include: [RoomUnit]
+        },
+        Guest
+      ]
+    });
+
+    if (!checkout) {
+      return res.status(404).json({ message: 'Express checkout not found' });
+    }
+
+    if (checkout.status !== 'pending') {
+      return res.status(400).json({ message: `Express checkout is already ${checkout.status}` });
+    }
+
+    const stay = checkout.Stay;
+    if (stay.status !== 'checked_in') {
+      return res.status(400).json({ message: `Stay is ${stay.status} and cannot be checked out` });
+    }
+
+    const charges = await FolioCharge.findAll({ where: { stay_id: stay.id } });
+    const summary = FolioCharge.summarize(charges);
+    if (summary.open_disputes > 0) {
+      return res.status(400).json({ message: 'Disputed charges must be resolved before checkout' });
+    }
+
+    let pmsCheckOutId = null;
+    const integration = await Integration.findOne({
+      where: {
+        hotel_id: checkout.hotel_id,
+        integration_type: 'pms',
+        status: 'active'
+      }
+    });
+
+    if (integration) {
+      try {
+        const service = new PMSIntegrationService(integration.id);
+        const result = await service.postCheckOut({
+          reservationId: stay.external_reservation_id || stay.confirmation_number,
+          guestId: checkout.Guest.external_id || checkout.guest_id,
+          roomNumber: stay.RoomUnit ? stay.RoomUnit.room_number : null,
+          checkOutBy: `${req.member.first_name} ${req.member.last_name}`,
+          finalBillAmount: summary.balance,
+          paymentStatus: 'pending',
+          notes: ['Express checkout', checkout.guest_notes].filter(Boolean).join('; ')
+        });
+        pmsCheckOutId = result.pmsCheckOutId ? String(result.pmsCheckOutId) : null;
+      } catch (error) {
+        console.error('PMS check-out error:', error);
+        await checkout.update({ pms_error: error.message });
+        return res.status(502).json({ message: 'PMS rejected the check-out', error: error.message });
+      }
+    }
+
+    const now = new Date();
+    await ExpressCheckout.sequelize.transaction(async (transaction) => {
+      await checkout.update({
+        status: 'approved',
+        reviewed_by: req.member.id,
+        reviewed_at: now,
+        pms_check_out_id: pmsCheckOutId,
+        pms_error: null
+      }, { transaction });
+
+      await stay.update({
+        status: 'checked_out',
+        checked_out_at: now
+      }, { transaction });
+
+      if (stay.RoomUnit) {
+        await stay.RoomUnit.update({
+          is_occupied: false,
+          housekeeping_status: 'dirty',
+          status_updated_at: now,
+          status_updated_by: req.member.id,
+          status_source: 'manual'
+        }, { transaction });
+      }
+    });
+
+    // The checkout stands even if the invitation cannot be sent
+    try {
+      const invitation = await sendFeedbackInvitation(stay, checkout.Guest);
+      await checkout.update({ feedback_invitation_id: invitation.id });
+    } catch (error) {
+      console.error('Feedback invitation error:', error);
+    }
+
+    const approved = await ExpressCheckout.findByPk(checkout.id, { include: checkoutInclude });
+
+    res.json(approved);
+  } catch (error) {
+    console.error('Approve express checkout error:', error);
+    res.status(500).json({ message: 'Error approving express checkout' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/checkouts/{id}/reject:
+ *   post:
+ *     summary: Reject an express checkout
+ *     description: The guest sees the reason and can request again, or checks out at the front desk.
+ *     tags: [Express Checkout]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Express checkout rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ExpressCheckout'
+ *       400:
+ *         description: Invalid input or not pending
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Express checkout not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/reject', authMiddleware, requirePermission('stays:write'), rejectValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const checkout = await ExpressCheckout.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!checkout) {
+      return res.status(404).json({ message: 'Express checkout not found' });
+    }
+
+    if (checkout.status !== 'pending') {
+      return res.status(400).json({ message: `Express checkout is already ${checkout.status}` });
+    }
+
+    await checkout.update({
+      status: 'rejected',
+      reviewed_by: req.member.id,
+      reviewed_at: new Date(),
+      rejection_reason: req.body.reason
+    });
+
+    const rejected = await ExpressCheckout.findByPk(checkout.id, { include: checkoutInclude });
+
+    res.json(rejected);
+  } catch (error) {
+    console.error('Reject express checkout error:', error);
+    res.status(500).json({ message: 'Error rejecting express checkout' });
+  }
+});
+
+module.exports = router;
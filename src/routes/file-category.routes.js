@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 const { FileCategory } = require('../models');
 
 const router = express.Router();
@@ -56,7 +57,7 @@ const fileCategoryValidation = [
  *       500:
  *         description: Server error
  */
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requirePermission('content:read'), async (req, res) => {
   try {
     const categories = await FileCategory.findAll({
       order: [['name', 'ASC']],
@@ -105,7 +106,7 @@ router.get('/', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', [authMiddleware, fileCategoryValidation], async (req, res) => {
+router.post('/', [authMiddleware, requirePermission('content:write'), fileCategoryValidation], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -154,7 +155,7 @@ router.post('/', [authMiddleware, fileCategoryValidation], async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, requirePermission('content:read'), async (req, res) => {
   try {
     const category = await FileCategory.findByPk(req.params.id);
     if (!category) {
@@ -211,7 +212,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', [authMiddleware, fileCategoryValidation], async (req, res) => {
+router.put('/:id', [authMiddleware, requirePermission('content:write'), fileCategoryValidation], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -261,7 +262,7 @@ router.put('/:id', [authMiddleware, fileCategoryValidation], async (req, res) =>
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('content:write'), async (req, res) => {
   try {
     const category = await FileCategory.findByPk(req.params.id);
     if (!category) {
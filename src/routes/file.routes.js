@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 const { File, FileCategory, Hotel, Organization } = require('../models');
 const multer = require('multer');
 const path = require('path');
@@ -116,7 +117,7 @@ const fileValidation = [
  *       500:
  *         description: Server error
  */
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requirePermission('content:read'), async (req, res) => {
   try {
     console.log('GET /api/files - Request received');
     console.log('Auth header:', req.headers.authorization ? 'Present' : 'Missing');
@@ -130,6 +131,11 @@ router.get('/', authMiddleware, async (req, res) => {
       return res.status(400).json({ message: 'Missing required parameters' });
     }
 
+    // hotelId comes as ?hotelId, which requirePermission does not look at
+    if (!req.hotelIds.includes(parseInt(hotelId)) || parseInt(organizationId) !== req.organization.id) {
+      return res.status(403).json({ message: 'Hotel not found or access denied' });
+    }
+
     const files = await File.findAll({
       include: [
         {
@@ -206,7 +212,7 @@ router.get('/', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', [authMiddleware, upload.single('file')], async (req, res) => {
+router.post('/', [authMiddleware, requirePermission('content:write'), upload.single('file')], async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -220,6 +226,12 @@ router.post('/', [authMiddleware, upload.single('file')], async (req, res) => {
       return res.status(400).json({ message: 'Missing required parameters' });
     }
 
+    // The multipart body is only read by multer, after requirePermission ran
+    if (!req.hotelIds.includes(parseInt(hotel_id))) {
+      fs.unlinkSync(req.file.path);
+      return res.status(403).json({ message: 'Hotel not found or access denied' });
+    }
+
     // Verify that the hotel belongs to the organization
     const hotel = await Hotel.findOne({
       where: {
@@ -287,7 +299,7 @@ router.post('/', [authMiddleware, upload.single('file')], async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/file', authMiddleware, async (req, res) => {
+router.get('/file', authMiddleware, requirePermission('content:read'), async (req, res) => {
   try {
     const { id } = req.query;
     
@@ -309,7 +321,7 @@ router.get('/file', authMiddleware, async (req, res) => {
       },
     });
 
-    if (!file) {
+    if (!file || !req.hotelIds.includes(file.hotel_id)) {
       return res.status(404).json({ message: 'File not found' });
     }
 
@@ -364,7 +376,7 @@ router.get('/file', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/', authMiddleware, async (req, res) => {
+router.delete('/', authMiddleware, requirePermission('content:write'), async (req, res) => {
   try {
     const { id, hotelId, organizationId } = req.query;
 
@@ -381,7 +393,7 @@ router.delete('/', authMiddleware, async (req, res) => {
       },
     });
 
-    if (!file) {
+    if (!file || !req.hotelIds.includes(file.hotel_id)) {
       return res.status(404).json({ message: 'File not found' });
     }
 
@@ -0,0 +1,440 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const guestAuthMiddleware = require('../middleware/guest-auth.middleware');
+const { ChatConversation, Hotel, Member } = require('../models');
+const ChatService = require('../services/chat/chat.service');
+
+const router = express.Router();
+
+router.use(guestAuthMiddleware);
+
+const conversationInclude = [
+  {
+    model: Hotel,
+    attributes: ['id', 'name', 'hotel_slug']
+  },
+  {
+    model: Member,
+    as: 'assignee',
+    attributes: ['id', 'first_name']
+  }
+];
+
+const startValidation = [
+  body('hotel_id').isInt(),
+  body('stay_id').optional().isInt(),
+  body('text').optional().trim().isLength({ min: 1, max: 2000 })
+];
+
+const messageValidation = [
+  body('text').trim().isLength({ min: 1, max: 2000 })
+];
+
+const pageValidation = [
+  query('before').optional().isString(),
+  query('after').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+const invalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    status: 'error',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// The guest's own conversation, or null
+const findConversation = (req) => ChatConversation.findOne({
+  where: { id: req.params.id, guest_id: req.guest.id },
+  include: conversationInclude
+});
+
+const conversationNotFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Conversation not found'
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Guest Chat
+ *   description: Chat between the authenticated guest and hotel staff
+ */
+
+/**
+ * @swagger
+ * /api/guest/chat/conversations:
+ *   get:
+ *     summary: List the guest's conversations, most recent first
+ *     tags: [Guest Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, closed]
+ *     responses:
+ *       200:
+ *         description: Conversations with the guest's unread counts
+ *       401:
+ *         description: Missing or invalid guest token
+ */
+router.get('/conversations', async (req, res) => {
+  try {
+    const where = { guest_id: req.guest.id };
+    if (ChatConversation.STATUSES.includes(req.query.status)) {
+      where.status = req.query.status;
+    }
+
+    const conversations = await ChatConversation.findAll({
+      where,
+      include: conversationInclude,
+      order: [['last_message_at', 'DESC'], ['id', 'DESC']]
+    });
+
+    const now = new Date();
+    res.json({
+      status: 'success',
+      data: {
+        conversations: conversations.map(conversation => ChatService.serializeConversation(conversation, 'guest', now)),
+        unread_count: conversations.reduce((sum, conversation) => sum + conversation.guest_unread_count, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Get guest conversations error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error retrieving conversations'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/chat/conversations:
+ *   post:
+ *     summary: Start a conversation with a hotel, or continue the open one
+ *     description: The guest needs a stay at the hotel; the conversation is linked to it and its room.
+ *     tags: [Guest Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hotel_id
+ *             properties:
+ *               hotel_id:
+ *                 type: integer
+ *               stay_id:
+ *                 type: integer
+ *               text:
+ *                 type: string
+ *                 description: Optional first message
+ *     responses:
+ *       200:
+ *         description: Existing open conversation
+ *       201:
+ *         description: Conversation started
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: The guest has no stay at this hotel
+ */
+router.post('/conversations', startValidation, async (req, res) => {
+  try {
+    if (invalid(req, res)) return;
+
+    const stay = await ChatService.findGuestStay(req.guest.id, req.body.hotel_id, req.body.stay_id);
+    if (!stay) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only chat with hotels you have a stay at'
+      });
+    }
+
+    const { conversation, created } = await ChatService.openForGuest(req.guest, stay);
+    if (req.body.text) {
+      await ChatService.send(conversation, 'guest', req.guest.id, req.body.text);
+    }
+
+    const reloaded = await ChatConversation.findByPk(conversation.id, { include: conversationInclude });
+    res.status(created ? 201 : 200).json({
+      status: 'success',
+      data: ChatService.serializeConversation(reloaded, 'guest')
+    });
+  } catch (error) {
+    console.error('Start guest conversation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error starting conversation'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/chat/conversations/{id}:
+ *   get:
+ *     summary: Get a conversation with the agent's typing state and read marker
+ *     tags: [Guest Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Conversation
+ *       404:
+ *         description: Conversation not found
+ */
+router.get('/conversations/:id', async (req, res) => {
+  try {
+    const conversation = await findConversation(req);
+    if (!conversation) {
+      return conversationNotFound(res);
+    }
+
+    res.json({
+      status: 'success',
+      data: ChatService.serializeConversation(conversation, 'guest')
+    });
+  } catch (error) {
+    console.error('Get guest conversation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error retrieving conversation'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/chat/conversations/{id}/messages:
+ *   get:
+ *     summary: Page through a conversation's messages
+ *     description: |
+ *       Returns the latest messages by default, oldest first. Pass
+ *       `before=<before_cursor>` to load older messages and
+ *       `after=<after_cursor>` to fetch messages that arrived since.
+ *     tags: [Guest Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *     responses:
+ *       200:
+ *         description: Messages with cursors
+ *       400:
+ *         description: Invalid cursor
+ *       404:
+ *         description: Conversation not found
+ */
+router.get('/conversations/:id/messages', pageValidation, async (req, res) => {
+  try {
+    if (invalid(req, res)) return;
+
+    const conversation = await findConversation(req);
+    if (!conversation) {
+      return conversationNotFound(res);
+    }
+
+    const page = await ChatService.messages(conversation, req.query);
+    res.json({
+      status: 'success',
+      data: page
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Get guest chat messages error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error retrieving messages'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/chat/conversations/{id}/messages:
+ *   post:
+ *     summary: Send a message to the hotel
+ *     description: Writing to a closed conversation reopens it.
+ *     tags: [Guest Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Message sent
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Conversation not found
+ */
+router.post('/conversations/:id/messages', messageValidation, async (req, res) => {
+  try {
+    if (invalid(req, res)) return;
+
+    const conversation = await findConversation(req);
+    if (!conversation) {
+      return conversationNotFound(res);
+    }
+
+    const message = await ChatService.send(conversation, 'guest', req.guest.id, req.body.text);
+    res.status(201).json({
+      status: 'success',
+      data: ChatService.serializeMessage(message, conversation)
+    });
+  } catch (error) {
+    console.error('Send guest chat message error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error sending message'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/chat/conversations/{id}/read:
+ *   post:
+ *     summary: Mark the conversation read up to now
+ *     tags: [Guest Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Read marker updated
+ *       404:
+ *         description: Conversation not found
+ */
+router.post('/conversations/:id/read', async (req, res) => {
+  try {
+    const conversation = await findConversation(req);
+    if (!conversation) {
+      return conversationNotFound(res);
+    }
+
+    await ChatService.markRead(conversation, 'guest');
+    res.json({
+      status: 'success',
+      data: ChatService.serializeConversation(conversation, 'guest')
+    });
+  } catch (error) {
+    console.error('Mark guest conversation read error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error marking conversation as read'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/chat/conversations/{id}/typing:
+ *   post:
+ *     summary: Signal that the guest is typing
+ *     description: Send every few seconds while typing; the marker lapses after 8 seconds. Send typing false to clear it.
+ *     tags: [Guest Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               typing:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       204:
+ *         description: Typing marker updated
+ *       404:
+ *         description: Conversation not found
+ */
+router.post('/conversations/:id/typing', async (req, res) => {
+  try {
+    const conversation = await findConversation(req);
+    if (!conversation) {
+      return conversationNotFound(res);
+    }
+
+    await ChatService.setTyping(conversation, 'guest', req.body.typing !== false);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Update guest typing marker error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating typing state'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,548 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const guestAuthMiddleware = require('../middleware/guest-auth.middleware');
+const { ConciergeCategory, ConciergeRequest, Hotel } = require('../models');
+const RealtimeService = require('../services/realtime/realtime.service');
+const ConciergeConfirmationService = require('../services/concierge/confirmation.service');
+
+const router = express.Router();
+
+// Fields a guest may see on their own requests
+const guestRequestAttributes = [
+  'id',
+  'hotel_id',
+  'category_id',
+  'title',
+  'details',
+  'status',
+  'scheduled_for',
+  'started_at',
+  'completed_at',
+  'guest_rating',
+  'guest_rating_comment',
+  'rated_at',
+  'created_at',
+  'updated_at'
+];
+
+// Validation middleware
+const createRequestValidation = [
+  body('category_id').isInt(),
+  body('title').notEmpty().trim().isLength({ max: 255 }),
+  body('details').optional().isObject(),
+  body('scheduled_for').optional().isISO8601()
+];
+
+const cancelRequestValidation = [
+  body('reason').optional().trim().isLength({ max: 1000 })
+];
+
+const rateRequestValidation = [
+  body('rating').isInt({ min: 1, max: 5 }),
+  body('comment').optional().trim().isLength({ max: 2000 })
+];
+
+const listRequestValidation = [
+  query('status').optional().isIn(['requested', 'in_progress', 'done', 'cancelled']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Resolve the hotel from the slug in the URL and set req.hotel
+const loadHotel = async (req, res, next) => {
+  try {
+    const hotel = await Hotel.findOne({
+      where: { hotel_slug: req.params.hotelSlug },
+      attributes: ['id', 'name', 'hotel_slug', 'organization_id']
+    });
+
+    if (!hotel) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Hotel not found'
+      });
+    }
+
+    req.hotel = hotel;
+    next();
+  } catch (error) {
+    console.error('Guest concierge hotel lookup error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error loading hotel'
+    });
+  }
+};
+
+// Find a request owned by the authenticated guest at the hotel
+const findOwnRequest = (req, options = {}) => ConciergeRequest.findOne({
+  where: {
+    id: req.params.id,
+    hotel_id: req.hotel.id,
+    guest_id: req.guest.id
+  },
+  ...options
+});
+
+router.use('/:hotelSlug', guestAuthMiddleware, loadHotel);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Guest Concierge
+ *   description: Concierge requests made by authenticated guests
+ */
+
+/**
+ * @swagger
+ * /api/guest/concierge/{hotelSlug}/categories:
+ *   get:
+ *     summary: Get concierge categories a guest can request from
+ *     tags: [Guest Concierge]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hotelSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Categories retrieved successfully
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Hotel not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:hotelSlug/categories', async (req, res) => {
+  try {
+    const visible = ConciergeCategory.visibleTo(req.hotel.organization_id);
+    const categories = await ConciergeCategory.findAll({
+      where: { parent_id: null, ...visible },
+      attributes: ['id', 'name', 'description'],
+      include: [{ association: 'subCategories', where: visible, required: false, attributes: ['id', 'name', 'description'] }],
+      order: [['name', 'ASC']]
+    });
+
+    res.json({
+      status: 'success',
+      data: categories
+    });
+  } catch (error) {
+    console.error('Get guest concierge categories error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error retrieving categories'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/concierge/{hotelSlug}/requests:
+ *   post:
+ *     summary: Create a concierge request as the authenticated guest
+ *     description: The guest is taken from the token and the hotel from the slug.
+ *     tags: [Guest Concierge]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hotelSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - category_id
+ *               - title
+ *             properties:
+ *               category_id:
+ *                 type: integer
+ *               title:
+ *                 type: string
+ *                 maxLength: 255
+ *               details:
+ *                 type: object
+ *               scheduled_for:
+ *                 type: string
+ *                 format: date-time
+ *                 description: The guest is emailed a confirmation with a calendar invite
+ *     responses:
+ *       201:
+ *         description: Request created successfully
+ *       400:
+ *         description: Invalid input or unknown category
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Hotel not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:hotelSlug/requests', createRequestValidation, handleValidation, async (req, res) => {
+  try {
+    const created = await ConciergeRequest.createWithHistory({
+      hotel_id: req.hotel.id,
+      guest_id: req.guest.id,
+      category_id: req.body.category_id,
+      title: req.body.title,
+      details: req.body.details || {},
+      scheduled_for: req.body.scheduled_for
+    }, { guestId: req.guest.id });
+
+    if (!created) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Category not found'
+      });
+    }
+
+    await RealtimeService.publish(created.hotel_id, 'concierge', 'concierge.request.created', created.toJSON());
+    await ConciergeConfirmationService.sendScheduled(created);
+
+    const request = await ConciergeRequest.findByPk(created.id, {
+      attributes: guestRequestAttributes,
+      include: [{ model: ConciergeCategory, attributes: ['name'] }]
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Request submitted successfully',
+      data: request
+    });
+  } catch (error) {
+    console.error('Create guest concierge request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error creating request'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/concierge/{hotelSlug}/requests:
+ *   get:
+ *     summary: List the authenticated guest's concierge requests at a hotel
+ *     tags: [Guest Concierge]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hotelSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, in_progress, done, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Requests retrieved successfully
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Hotel not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:hotelSlug/requests', listRequestValidation, handleValidation, async (req, res) => {
+  try {
+    const where = {
+      hotel_id: req.hotel.id,
+      guest_id: req.guest.id
+    };
+    if (req.query.status) where.status = req.query.status;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await ConciergeRequest.findAndCountAll({
+      where,
+      attributes: guestRequestAttributes,
+      include: [{ model: ConciergeCategory, attributes: ['name'] }],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        requests: rows,
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get guest concierge requests error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error retrieving requests'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/concierge/{hotelSlug}/requests/{id}:
+ *   get:
+ *     summary: Get one of the authenticated guest's concierge requests
+ *     tags: [Guest Concierge]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hotelSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Request retrieved successfully
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Hotel or request not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:hotelSlug/requests/:id', param('id').isInt(), handleValidation, async (req, res) => {
+  try {
+    const request = await findOwnRequest(req, {
+      attributes: guestRequestAttributes,
+      include: [{ model: ConciergeCategory, attributes: ['name'] }]
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Request not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: request
+    });
+  } catch (error) {
+    console.error('Get guest concierge request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error retrieving request'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/concierge/{hotelSlug}/requests/{id}/cancel:
+ *   post:
+ *     summary: Cancel one of the authenticated guest's open concierge requests
+ *     tags: [Guest Concierge]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hotelSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request cancelled successfully
+ *       400:
+ *         description: Request is already done or cancelled
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Hotel or request not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:hotelSlug/requests/:id/cancel', param('id').isInt(), cancelRequestValidation, handleValidation, async (req, res) => {
+  try {
+    const request = await findOwnRequest(req);
+    if (!request) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Request not found'
+      });
+    }
+
+    if (!ConciergeRequest.canTransition(request.status, 'cancelled')) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Request is already ${request.status}`
+      });
+    }
+
+    await ConciergeRequest.sequelize.transaction(transaction =>
+      request.transitionTo('cancelled', {
+        guestId: req.guest.id,
+        notes: req.body.reason,
+        transaction
+      })
+    );
+
+    res.json({
+      status: 'success',
+      message: 'Request cancelled successfully',
+      data: await findOwnRequest(req, { attributes: guestRequestAttributes })
+    });
+  } catch (error) {
+    console.error('Cancel guest concierge request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error cancelling request'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/concierge/{hotelSlug}/requests/{id}/rating:
+ *   post:
+ *     summary: Rate one of the authenticated guest's completed concierge requests
+ *     description: A request can be rated once, after it is done.
+ *     tags: [Guest Concierge]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hotelSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rating saved successfully
+ *       400:
+ *         description: Invalid rating, request not done, or already rated
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Hotel or request not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:hotelSlug/requests/:id/rating', param('id').isInt(), rateRequestValidation, handleValidation, async (req, res) => {
+  try {
+    const request = await findOwnRequest(req);
+    if (!request) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Request not found'
+      });
+    }
+
+    if (request.status !== 'done') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only completed requests can be rated'
+      });
+    }
+
+    if (request.rated_at) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Request has already been rated'
+      });
+    }
+
+    await request.update({
+      guest_rating: parseInt(req.body.rating),
+      guest_rating_comment: req.body.comment || null,
+      rated_at: new Date()
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Thank you for your feedback',
+      data: await findOwnRequest(req, { attributes: guestRequestAttributes })
+    });
+  } catch (error) {
+    console.error('Rate guest concierge request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error saving rating'
+    });
+  }
+});
+
+module.exports = router;
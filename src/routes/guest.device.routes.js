@@ -0,0 +1,224 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const guestAuthMiddleware = require('../middleware/guest-auth.middleware');
+const { DeviceToken } = require('../models');
+
+const router = express.Router();
+
+router.use(guestAuthMiddleware);
+
+// Fields a guest may see on their devices; the token itself is not echoed back
+const guestDeviceAttributes = [
+  'id',
+  'platform',
+  'provider',
+  'app_version',
+  'locale',
+  'last_seen_at',
+  'last_delivered_at',
+  'created_at'
+];
+
+const registerDeviceValidation = [
+  body('token').isString().notEmpty().isLength({ max: 4096 }),
+  body('platform').isIn(['ios', 'android', 'web']),
+  body('provider').optional().isIn(['fcm', 'apns', 'webpush']),
+  body('app_version').optional().trim().isLength({ max: 50 }),
+  body('locale').optional().trim().isLength({ max: 10 })
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Guest Devices
+ *   description: Push notification device registration for the authenticated guest
+ */
+
+/**
+ * @swagger
+ * /api/guest/devices:
+ *   get:
+ *     summary: List the authenticated guest's registered devices
+ *     tags: [Guest Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Devices retrieved successfully
+ *       401:
+ *         description: Missing or invalid guest token
+ *       500:
+ *         description: Server error
+ */
+router.get('/', async (req, res) => {
+  try {
+    const devices = await DeviceToken.findAll({
+      where: { guest_id: req.guest.id },
+      attributes: guestDeviceAttributes,
+      order: [['last_seen_at', 'DESC']]
+    });
+
+    res.json({
+      status: 'success',
+      data: { devices }
+    });
+  } catch (error) {
+    console.error('Get guest devices error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error retrieving devices'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/devices:
+ *   post:
+ *     summary: Register a device for push notifications
+ *     description: |
+ *       Call on every app start. Registering a token that is already known
+ *       refreshes it and moves it to the current guest (e.g. after a
+ *       different guest signs in on the same device). The provider defaults
+ *       to APNs for iOS, FCM for Android and Web Push for browsers.
+ *     tags: [Guest Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - platform
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: FCM/APNs registration token, or the JSON PushSubscription for web
+ *               platform:
+ *                 type: string
+ *                 enum: [ios, android, web]
+ *               provider:
+ *                 type: string
+ *                 enum: [fcm, apns, webpush]
+ *               app_version:
+ *                 type: string
+ *               locale:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Known device refreshed
+ *       201:
+ *         description: Device registered
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Missing or invalid guest token
+ *       500:
+ *         description: Server error
+ */
+router.post('/', registerDeviceValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const { token, platform, provider, app_version, locale } = req.body;
+    const deviceData = {
+      guest_id: req.guest.id,
+      platform,
+      provider: provider || null,
+      token,
+      app_version: app_version || null,
+      locale: locale || null,
+      last_seen_at: new Date()
+    };
+
+    let device = await DeviceToken.findOne({
+      where: { token_hash: DeviceToken.hashToken(token) }
+    });
+
+    const created = !device;
+    if (device) {
+      await device.update(deviceData);
+    } else {
+      device = await DeviceToken.create(deviceData);
+    }
+
+    const registered = await DeviceToken.findByPk(device.id, {
+      attributes: guestDeviceAttributes
+    });
+
+    res.status(created ? 201 : 200).json({
+      status: 'success',
+      message: created ? 'Device registered' : 'Device updated',
+      data: { device: registered }
+    });
+  } catch (error) {
+    console.error('Register guest device error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error registering device'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/devices/{id}:
+ *   delete:
+ *     summary: Unregister a device, e.g. on sign-out
+ *     tags: [Guest Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Device unregistered
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Device not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const device = await DeviceToken.findOne({
+      where: { id: req.params.id, guest_id: req.guest.id }
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Device not found'
+      });
+    }
+
+    await device.destroy();
+
+    res.json({
+      status: 'success',
+      message: 'Device unregistered'
+    });
+  } catch (error) {
+    console.error('Unregister guest device error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error unregistering device'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,732 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const guestAuthMiddleware = require('../middleware/guest-auth.middleware');
+const { DiningOrder, DiningOrderItem, Restaurant, RoomUnit, Stay } = require('../models');
+const DiningOrderService = require('../services/dining/order.service');
+
+const router = express.Router();
+
+router.use(guestAuthMiddleware);
+
+// Fields a guest may see on their own orders
+const guestOrderAttributes = [
+  'id',
+  'stay_id',
+  'restaurant_id',
+  'status',
+  'room_number',
+  'requested_for',
+  'notes',
+  'subtotal',
+  'tax_total',
+  'total',
+  'placed_at',
+  'preparing_at',
+  'delivering_at',
+  'delivered_at',
+  'cancelled_at',
+  'cancel_reason',
+  'created_at',
+  'updated_at'
+];
+
+const guestOrderInclude = [
+  {
+    model: DiningOrderItem,
+    as: 'items',
+    attributes: ['id', 'menu_id', 'name', 'quantity', 'unit_price', 'modifiers', 'tax_rate', 'amount', 'tax_amount', 'notes']
+  },
+  {
+    model: Restaurant,
+    attributes: ['id', 'name']
+  }
+];
+
+// Validation middleware
+const itemValidation = [
+  body('menu_id').isInt(),
+  body('quantity').optional().isInt({ min: 1, max: 50 }),
+  body('modifiers').optional().isArray({ max: 20 }),
+  body('modifiers.*').custom(modifier => Boolean(modifier && (modifier.option_id || modifier.menu_id)))
+    .withMessage('Each modifier needs an option_id or a menu_id'),
+  body('modifiers.*.option_id').optional().isInt(),
+  body('modifiers.*.menu_id').optional().isInt(),
+  body('modifiers.*.quantity').optional().isInt({ min: 1, max: 10 }),
+  body('notes').optional({ nullable: true }).trim().isLength({ max: 500 })
+];
+
+const updateItemValidation = [
+  param('itemId').isInt(),
+  body('quantity').optional().isInt({ min: 1, max: 50 }),
+  body('modifiers').optional().isArray({ max: 20 }),
+  body('modifiers.*').custom(modifier => Boolean(modifier && (modifier.option_id || modifier.menu_id)))
+    .withMessage('Each modifier needs an option_id or a menu_id'),
+  body('modifiers.*.option_id').optional().isInt(),
+  body('modifiers.*.menu_id').optional().isInt(),
+  body('modifiers.*.quantity').optional().isInt({ min: 1, max: 10 }),
+  body('notes').optional({ nullable: true }).trim().isLength({ max: 500 })
+];
+
+const checkoutValidation = [
+  body('room_number').optional().trim().isLength({ min: 1, max: 20 }),
+  body('requested_for').optional({ nullable: true }).isISO8601(),
+  body('notes').optional({ nullable: true }).trim().isLength({ max: 2000 })
+];
+
+const listOrderValidation = [
+  query('stay_id').optional().isInt(),
+  query('status').optional().isIn(['received', 'preparing', 'delivering', 'delivered', 'cancelled']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+const cancelValidation = [
+  param('id').isInt(),
+  body('reason').optional().trim().isLength({ max: 1000 })
+];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Resolve the guest's stay from the URL and set req.stay; ordering is only possible while in house
+const loadStay = async (req, res, next) => {
+  try {
+    const stay = await Stay.findOne({
+      where: { id: req.params.stayId, guest_id: req.guest.id },
+      include: [{ model: RoomUnit, attributes: ['room_number'] }]
+    });
+
+    if (!stay) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Stay not found'
+      });
+    }
+
+    if (stay.status !== 'checked_in') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'In-room dining can only be ordered during the stay'
+      });
+    }
+
+    req.stay = stay;
+    next();
+  } catch (error) {
+    console.error('Guest dining stay lookup error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error loading stay'
+    });
+  }
+};
+
+const findCart = async (req) => {
+  const cart = await DiningOrderService.getCart(req.stay, req.guest.id);
+  return DiningOrder.findByPk(cart.id, {
+    attributes: guestOrderAttributes,
+    include: guestOrderInclude,
+    order: [[{ model: DiningOrderItem, as: 'items' }, 'id', 'ASC']]
+  });
+};
+
+const findOwnOrder = (req, options = {}) => DiningOrder.findOne({
+  where: {
+    id: req.params.id,
+    guest_id: req.guest.id,
+    status: { [Op.ne]: 'cart' }
+  },
+  ...options
+});
+
+// Service errors a guest can act on
+const orderErrorResponse = (res, error) => res.status(error.code === 'INVALID_TRANSITION' ? 409 : 400).json({
+  status: 'error',
+  message: error.message
+});
+
+router.use('/stays/:stayId', loadStay);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Guest Dining
+ *   description: In-room dining cart and orders of the authenticated guest
+ */
+
+/**
+ * @swagger
+ * /api/guest/dining/stays/{stayId}/cart:
+ *   get:
+ *     summary: Get the cart of a stay
+ *     description: Every in-house stay has one open cart; it is created empty on first use.
+ *     tags: [Guest Dining]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: stayId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cart retrieved successfully
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Stay not found
+ *       409:
+ *         description: Stay not checked in
+ *       500:
+ *         description: Server error
+ */
+router.get('/stays/:stayId/cart', async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: { cart: await findCart(req) }
+    });
+  } catch (error) {
+    console.error('Get dining cart error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error retrieving cart'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/dining/stays/{stayId}/cart/items:
+ *   post:
+ *     summary: Add an item to the cart
+ *     description: |
+ *       Menu items of one restaurant can be ordered together; the first item
+ *       decides the restaurant. Modifiers are condiment items of the same
+ *       restaurant, with quantities per item ordered.
+ *     tags: [Guest Dining]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: stayId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - menu_id
+ *             properties:
+ *               menu_id:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *               modifiers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   description: An option of the item's modifier groups, or a condiment
+ *                   properties:
+ *                     option_id:
+ *                       type: integer
+ *                     menu_id:
+ *                       type: integer
+ *                       description: Condiment menu item, when no option_id is given
+ *                     quantity:
+ *                       type: integer
+ *                       default: 1
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Item added; the updated cart is returned
+ *       400:
+ *         description: Invalid input, an item that cannot be ordered, or options that break the rules of its modifier groups
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Stay not found
+ *       409:
+ *         description: Stay not checked in
+ *       500:
+ *         description: Server error
+ */
+router.post('/stays/:stayId/cart/items', itemValidation, handleValidation, async (req, res) => {
+  try {
+    const cart = await DiningOrderService.getCart(req.stay, req.guest.id);
+    await DiningOrderService.addItem(cart, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Item added to cart',
+      data: { cart: await findCart(req) }
+    });
+  } catch (error) {
+    if (error.code) {
+      return orderErrorResponse(res, error);
+    }
+    console.error('Add dining cart item error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error adding item to cart'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/dining/stays/{stayId}/cart/items/{itemId}:
+ *   put:
+ *     summary: Change the quantity, modifiers or notes of a cart item
+ *     tags: [Guest Dining]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: stayId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *               modifiers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   description: An option of the item's modifier groups, or a condiment
+ *                   properties:
+ *                     option_id:
+ *                       type: integer
+ *                     menu_id:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Item updated; the updated cart is returned
+ *       400:
+ *         description: Invalid input, an item that cannot be ordered, or options that break the rules of its modifier groups
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Stay or item not found
+ *       409:
+ *         description: Stay not checked in
+ *       500:
+ *         description: Server error
+ */
+router.put('/stays/:stayId/cart/items/:itemId', updateItemValidation, handleValidation, async (req, res) => {
+  try {
+    const cart = await DiningOrderService.getCart(req.stay, req.guest.id);
+    const item = await DiningOrderItem.findOne({ where: { id: req.params.itemId, order_id: cart.id } });
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Cart item not found'
+      });
+    }
+
+    await DiningOrderService.updateItem(cart, item, req.body);
+
+    res.json({
+      status: 'success',
+      message: 'Cart item updated',
+      data: { cart: await findCart(req) }
+    });
+  } catch (error) {
+    if (error.code) {
+      return orderErrorResponse(res, error);
+    }
+    console.error('Update dining cart item error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating cart item'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/dining/stays/{stayId}/cart/items/{itemId}:
+ *   delete:
+ *     summary: Remove an item from the cart
+ *     tags: [Guest Dining]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: stayId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Item removed; the updated cart is returned
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Stay or item not found
+ *       409:
+ *         description: Stay not checked in
+ *       500:
+ *         description: Server error
+ */
+router.delete('/stays/:stayId/cart/items/:itemId', param('itemId').isInt(), handleValidation, async (req, res) => {
+  try {
+    const cart = await DiningOrderService.getCart(req.stay, req.guest.id);
+    const item = await DiningOrderItem.findOne({ where: { id: req.params.itemId, order_id: cart.id } });
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Cart item not found'
+      });
+    }
+
+    await DiningOrderService.removeItem(cart, item);
+
+    res.json({
+      status: 'success',
+      message: 'Item removed from cart',
+      data: { cart: await findCart(req) }
+    });
+  } catch (error) {
+    console.error('Remove dining cart item error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error removing cart item'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/dining/stays/{stayId}/cart/checkout:
+ *   post:
+ *     summary: Place the cart as an order
+ *     description: |
+ *       Items are priced again at the current menu prices and the order goes
+ *       to the kitchen. It is delivered to the stay's room unless another
+ *       room_number is given, as soon as possible or at requested_for.
+ *       The order is charged to the stay's folio through the hotel's POS.
+ *     tags: [Guest Dining]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: stayId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               room_number:
+ *                 type: string
+ *               requested_for:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Order placed
+ *       400:
+ *         description: Invalid input, empty cart, or an item no longer available
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Stay not found
+ *       409:
+ *         description: Stay not checked in
+ *       500:
+ *         description: Server error
+ */
+router.post('/stays/:stayId/cart/checkout', checkoutValidation, handleValidation, async (req, res) => {
+  try {
+    const { requested_for, notes } = req.body;
+    if (requested_for && new Date(requested_for) <= new Date()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Requested delivery time must be in the future'
+      });
+    }
+
+    const roomNumber = req.body.room_number || (req.stay.RoomUnit ? req.stay.RoomUnit.room_number : null);
+    if (!roomNumber) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A room number is required until a room is assigned to the stay'
+      });
+    }
+
+    const cart = await DiningOrderService.getCart(req.stay, req.guest.id);
+    const order = await DiningOrderService.place(cart, {
+      room_number: roomNumber,
+      requested_for,
+      notes
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Order placed',
+      data: {
+        order: await DiningOrder.findByPk(order.id, {
+          attributes: guestOrderAttributes,
+          include: guestOrderInclude
+        })
+      }
+    });
+  } catch (error) {
+    if (error.code) {
+      return orderErrorResponse(res, error);
+    }
+    console.error('Place dining order error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error placing order'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/dining/orders:
+ *   get:
+ *     summary: List the authenticated guest's dining orders
+ *     tags: [Guest Dining]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: stay_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [received, preparing, delivering, delivered, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Orders retrieved successfully
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Missing or invalid guest token
+ *       500:
+ *         description: Server error
+ */
+router.get('/orders', listOrderValidation, handleValidation, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const where = {
+      guest_id: req.guest.id,
+      status: req.query.status || { [Op.ne]: 'cart' }
+    };
+    if (req.query.stay_id) where.stay_id = req.query.stay_id;
+
+    const { count, rows } = await DiningOrder.findAndCountAll({
+      where,
+      attributes: guestOrderAttributes,
+      include: guestOrderInclude,
+      order: [['placed_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        orders: rows,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get guest dining orders error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error retrieving orders'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/dining/orders/{id}:
+ *   get:
+ *     summary: Get one of the authenticated guest's dining orders
+ *     tags: [Guest Dining]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Order retrieved successfully
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/orders/:id', param('id').isInt(), handleValidation, async (req, res) => {
+  try {
+    const order = await findOwnOrder(req, {
+      attributes: guestOrderAttributes,
+      include: guestOrderInclude
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { order }
+    });
+  } catch (error) {
+    console.error('Get guest dining order error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error retrieving order'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/dining/orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel one of the authenticated guest's dining orders
+ *     description: Possible until the kitchen starts preparing it. The charge is removed from the folio.
+ *     tags: [Guest Dining]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order cancelled
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The kitchen has already started the order
+ *       500:
+ *         description: Server error
+ */
+router.post('/orders/:id/cancel', cancelValidation, handleValidation, async (req, res) => {
+  try {
+    const order = await findOwnOrder(req);
+    if (!order) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Order not found'
+      });
+    }
+
+    if (order.status !== 'received') {
+      return res.status(409).json({
+        status: 'error',
+        message: `Order is already ${order.status}`
+      });
+    }
+
+    await DiningOrderService.transition(order, 'cancelled', { reason: req.body.reason });
+
+    res.json({
+      status: 'success',
+      message: 'Order cancelled successfully',
+      data: {
+        order: await findOwnOrder(req, {
+          attributes: guestOrderAttributes,
+          include: guestOrderInclude
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Cancel guest dining order error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error cancelling order'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,286 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const guestAuthMiddleware = require('../middleware/guest-auth.middleware');
+const { Communication, Hotel } = require('../models');
+const FeedbackService = require('../services/communication/feedback.service');
+
+const router = express.Router();
+
+router.use(guestAuthMiddleware);
+
+// Escalation and resolution details stay with the staff
+const guestFeedbackAttributes = [
+  'id',
+  'hotel_id',
+  'category',
+  'title',
+  'message',
+  'rating',
+  'is_anonymous',
+  'feedback_status',
+  'resolved_at',
+  'created_at'
+];
+
+const guestReplyAttributes = ['id', 'message', 'sender_type', 'sender_name', 'created_at'];
+
+const listValidation = [
+  query('hotel_id').optional().isInt(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+const replyValidation = [
+  body('message').trim().notEmpty()
+];
+
+const ownFeedback = (guestId) => ({
+  type: 'feedback',
+  sender_type: 'guest',
+  sender_id: guestId
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Guest Feedback
+ *   description: Feedback left by the authenticated guest and the hotel's replies
+ */
+
+/**
+ * @swagger
+ * /api/guest/feedback:
+ *   get:
+ *     summary: List the authenticated guest's feedback
+ *     tags: [Guest Feedback]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hotel_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Feedback retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Missing or invalid guest token
+ *       500:
+ *         description: Server error
+ */
+router.get('/', listValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const where = ownFeedback(req.guest.id);
+    if (req.query.hotel_id) {
+      where.hotel_id = req.query.hotel_id;
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await Communication.findAndCountAll({
+      where,
+      attributes: guestFeedbackAttributes,
+      include: [
+        {
+          model: Hotel,
+          as: 'Hotel',
+          attributes: ['id', 'name', 'hotel_slug']
+        }
+      ],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        feedback: rows,
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get guest feedback error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error retrieving feedback'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/feedback/{id}:
+ *   get:
+ *     summary: Get feedback with the hotel's replies
+ *     description: Internal staff notes are not included.
+ *     tags: [Guest Feedback]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Feedback and replies, oldest reply first
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Feedback not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const feedback = await Communication.findOne({
+      where: { ...ownFeedback(req.guest.id), id: req.params.id },
+      attributes: guestFeedbackAttributes,
+      include: [
+        {
+          model: Hotel,
+          as: 'Hotel',
+          attributes: ['id', 'name', 'hotel_slug']
+        }
+      ]
+    });
+
+    if (!feedback) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Feedback not found'
+      });
+    }
+
+    const replies = await Communication.findAll({
+      where: { response_to_id: feedback.id, is_internal: false },
+      attributes: guestReplyAttributes,
+      order: [['created_at', 'ASC'], ['id', 'ASC']]
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        feedback,
+        replies
+      }
+    });
+  } catch (error) {
+    console.error('Get guest feedback thread error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error retrieving feedback'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/feedback/{id}/replies:
+ *   post:
+ *     summary: Reply to the hotel about feedback
+ *     description: Replying to resolved feedback reopens it.
+ *     tags: [Guest Feedback]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Reply added
+ *       400:
+ *         description: Missing message
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Feedback not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/replies', replyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const feedback = await Communication.findOne({
+      where: { ...ownFeedback(req.guest.id), id: req.params.id }
+    });
+
+    if (!feedback) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Feedback not found'
+      });
+    }
+
+    const reply = await FeedbackService.reply(feedback, req.body.message, { guest: req.guest });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        id: reply.id,
+        message: reply.message,
+        sender_type: reply.sender_type,
+        sender_name: reply.sender_name,
+        created_at: reply.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Reply to guest feedback error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error replying to feedback'
+    });
+  }
+});
+
+module.exports = router;
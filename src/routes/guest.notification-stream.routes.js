@@ -0,0 +1,143 @@
+const express = require('express');
+const guestAuthMiddleware = require('../middleware/guest-auth.middleware');
+const GuestInboxService = require('../services/communication/guest-inbox.service');
+
+const router = express.Router();
+
+// Serverless functions are cut off after their maximum duration, so the
+// stream ends before that and the browser reconnects with Last-Event-ID
+const STREAM_MAX_MS = parseInt(process.env.NOTIFICATION_STREAM_MAX_MS) || 25000;
+const POLL_INTERVAL_MS = parseInt(process.env.NOTIFICATION_STREAM_POLL_MS) || 3000;
+const RECONNECT_MS = 3000;
+const HEARTBEAT_MS = 15000;
+const BATCH_SIZE = 50;
+
+// EventSource cannot send headers, so browsers pass the token as ?access_token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /api/guest/notifications/stream:
+ *   get:
+ *     summary: Stream the guest's notifications as Server-Sent Events
+ *     description: |
+ *       Works on serverless deployments where WebSockets are unavailable.
+ *       Each `notification` event carries the same object as the inbox list,
+ *       with an `id` to resume from. The stream closes after about 25 seconds;
+ *       EventSource reconnects on its own and sends `Last-Event-ID`, so
+ *       notifications sent in between are replayed. Without it only
+ *       notifications sent from now on are streamed. Streamed notifications
+ *       are recorded as delivered.
+ *     tags: [Guest Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: ID of the last event received
+ *       - in: query
+ *         name: last_event_id
+ *         schema:
+ *           type: string
+ *         description: Same as Last-Event-ID, for the first connection of a client that kept its position
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: Guest token, for clients that cannot set the Authorization header
+ *     responses:
+ *       200:
+ *         description: text/event-stream of notification events
+ *       400:
+ *         description: Invalid Last-Event-ID
+ *       401:
+ *         description: Missing or invalid guest token
+ */
+router.get('/', tokenFromQuery, guestAuthMiddleware, async (req, res) => {
+  const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+  // sent_at is stored to the second, so a fresh stream starts at the start of the
+  // current second; notifications sent earlier in it may be sent again, none are missed
+  const now = new Date();
+  now.setMilliseconds(0);
+  let cursor = lastEventId ? GuestInboxService.decodeEventId(lastEventId) : { sentAt: now, id: 0 };
+  if (!cursor) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid Last-Event-ID'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  const startedAt = Date.now();
+  let lastWriteAt = startedAt;
+  let closed = false;
+  let timer = null;
+
+  req.on('close', () => {
+    closed = true;
+    clearTimeout(timer);
+  });
+
+  const finish = () => {
+    if (!closed) {
+      closed = true;
+      res.end();
+    }
+  };
+
+  const poll = async () => {
+    try {
+      let batch;
+      do {
+        batch = await GuestInboxService.sentSince(req.guest.id, cursor, BATCH_SIZE);
+        for (const notification of batch) {
+          if (closed) {
+            return;
+          }
+          res.write(`id: ${GuestInboxService.encodeEventId(notification)}\nevent: notification\ndata: ${JSON.stringify(notification)}\n\n`);
+          cursor = { sentAt: new Date(notification.sent_at), id: notification.id };
+          lastWriteAt = Date.now();
+        }
+      } while (!closed && batch.length === BATCH_SIZE);
+
+      // Comments keep proxies from closing an idle connection
+      if (!closed && Date.now() - lastWriteAt >= HEARTBEAT_MS) {
+        res.write(': keep-alive\n\n');
+        lastWriteAt = Date.now();
+      }
+    } catch (error) {
+      // The client reconnects and resumes from the last event it received
+      console.error('Guest notification stream error:', error);
+      finish();
+      return;
+    }
+
+    if (closed) {
+      return;
+    }
+    if (Date.now() - startedAt + POLL_INTERVAL_MS >= STREAM_MAX_MS) {
+      finish();
+      return;
+    }
+    timer = setTimeout(poll, POLL_INTERVAL_MS);
+  };
+
+  await poll();
+});
+
+module.exports = router;
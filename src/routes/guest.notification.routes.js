@@ -0,0 +1,193 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const guestAuthMiddleware = require('../middleware/guest-auth.middleware');
+const { Communication, Hotel } = require('../models');
+const CommunicationRecipientService = require('../services/communication/recipient.service');
+const GuestInboxService = require('../services/communication/guest-inbox.service');
+
+const router = express.Router();
+
+router.use(guestAuthMiddleware);
+
+const listValidation = [
+  query('hotel_id').optional().isInt(),
+  query('unread').optional().isBoolean(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Guest Notifications
+ *   description: Notification inbox of the authenticated guest
+ */
+
+/**
+ * @swagger
+ * /api/guest/notifications:
+ *   get:
+ *     summary: List notifications for the authenticated guest
+ *     description: |
+ *       Scheduled notifications appear once sent; expired ones are hidden.
+ *       Listed notifications are recorded as delivered to the guest, and each
+ *       carries the guest's own `is_read` and `read_at`.
+ *     tags: [Guest Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hotel_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only notifications the guest has not read
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Missing or invalid guest token
+ *       500:
+ *         description: Server error
+ */
+router.get('/', listValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const { receipts, where } = await GuestInboxService.findVisible(req.guest.id);
+    if (req.query.hotel_id) {
+      where.hotel_id = req.query.hotel_id;
+    }
+
+    const readIds = GuestInboxService.readIdsOf(receipts);
+    const unreadWhere = readIds.length > 0 ? { ...where, id: { [Op.notIn]: readIds } } : where;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await Communication.findAndCountAll({
+      where: req.query.unread === 'true' ? unreadWhere : where,
+      attributes: GuestInboxService.GUEST_NOTIFICATION_ATTRIBUTES,
+      include: [
+        {
+          model: Hotel,
+          as: 'Hotel',
+          attributes: ['id', 'name', 'hotel_slug']
+        }
+      ],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    // Showing notifications in the inbox counts as delivering them
+    await CommunicationRecipientService.markDelivered(rows, req.guest.id);
+    const unreadCount = await Communication.count({ where: unreadWhere });
+
+    const notifications = rows.map(row => GuestInboxService.serialize(row, receipts));
+
+    res.json({
+      status: 'success',
+      data: {
+        notifications,
+        unread_count: unreadCount,
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get guest notifications error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error retrieving notifications'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/notifications/{id}/read:
+ *   post:
+ *     summary: Mark a notification read for the authenticated guest
+ *     description: Only the guest's own read state changes; other recipients of a broadcast are unaffected.
+ *     tags: [Guest Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Notification not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/read', async (req, res) => {
+  try {
+    const { where } = await GuestInboxService.findVisible(req.guest.id);
+    const notification = await Communication.findOne({
+      where: { ...where, id: req.params.id }
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    }
+
+    const receipt = await CommunicationRecipientService.markRead(notification, req.guest.id);
+
+    res.json({
+      status: 'success',
+      data: {
+        communication_id: notification.id,
+        is_read: true,
+        delivered_at: receipt.delivered_at,
+        read_at: receipt.read_at
+      }
+    });
+  } catch (error) {
+    console.error('Mark guest notification read error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error marking notification as read'
+    });
+  }
+});
+
+module.exports = router;
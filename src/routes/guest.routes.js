@@ -1,8 +1,20 @@
 const express = require('express');
 const router = express.Router();
-const { Guest } = require('../models');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { Guest, Stay } = require('../models');
 const { Op } = require('sequelize');
 
+// Staff only see guests who stayed at one of their hotels
+const guestIdsInScope = async (hotelIds) => {
+  const stays = await Stay.findAll({
+    where: { hotel_id: hotelIds },
+    attributes: ['guest_id'],
+    group: ['guest_id']
+  });
+  return stays.map(stay => stay.guest_id);
+};
+
 /**
  * @swagger
  * components:
@@ -59,9 +71,17 @@ const { Op } = require('sequelize');
  * /api/guests:
  *   get:
  *     summary: Get all guests with optional filtering
+ *     description: Lists the guests with a stay at one of the member's hotels.
  *     tags: [Guests]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: hotel_id
+ *         schema:
+ *           type: integer
+ *         description: Only guests with a stay at this hotel
+ *       - in: query
  *         name: search
  *         schema:
  *           type: string
@@ -109,8 +129,12 @@ const { Op } = require('sequelize');
  *                       type: integer
  *                     totalPages:
  *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission or hotel outside the member's scope
  */
-router.get('/', async (req, res) => {
+router.get('/', authMiddleware, requirePermission('stays:read'), async (req, res) => {
   try {
     const {
       search,
@@ -119,7 +143,9 @@ router.get('/', async (req, res) => {
       limit = 20
     } = req.query;
 
-    const where = {};
+    const where = {
+      id: await guestIdsInScope(req.query.hotel_id ? parseInt(req.query.hotel_id) : req.hotelIds)
+    };
     
     if (search) {
       where[Op.or] = [
@@ -183,7 +209,10 @@ router.get('/', async (req, res) => {
  * /api/guests/{id}:
  *   get:
  *     summary: Get a specific guest by ID
+ *     description: Only guests with a stay at one of the member's hotels are found.
  *     tags: [Guests]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -203,13 +232,26 @@ router.get('/', async (req, res) => {
  *                   type: string
  *                 data:
  *                   $ref: '#/components/schemas/Guest'
+ *       401:
+ *         description: Unauthorized
  *       404:
  *         description: Guest not found
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', authMiddleware, requirePermission('stays:read'), async (req, res) => {
   try {
     const { id } = req.params;
-    
+
+    const stay = await Stay.findOne({
+      where: { guest_id: id, hotel_id: req.hotelIds },
+      attributes: ['id']
+    });
+    if (!stay) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Guest not found'
+      });
+    }
+
     const guest = await Guest.findByPk(id, {
       attributes: [
         'id', 
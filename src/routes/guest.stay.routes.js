@@ -0,0 +1,797 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const guestAuthMiddleware = require('../middleware/guest-auth.middleware');
+const { Stay, Hotel, RoomUnit, Room, Guest, OnlineCheckIn, FolioCharge, ExpressCheckout } = require('../models');
+const PMSIntegrationService = require('../services/integration/pms-integration.service');
+
+const router = express.Router();
+
+router.use(guestAuthMiddleware);
+
+// Fields a guest may see on their own stays
+const guestStayAttributes = [
+  'id',
+  'hotel_id',
+  'confirmation_number',
+  'arrival_date',
+  'departure_date',
+  'status',
+  'adults',
+  'children',
+  'special_requests',
+  'checked_in_at',
+  'checked_out_at'
+];
+
+const guestStayInclude = [
+  {
+    model: Hotel,
+    attributes: ['id', 'name', 'hotel_slug']
+  },
+  {
+    model: RoomUnit,
+    attributes: ['room_number', 'floor']
+  },
+  {
+    model: Room,
+    attributes: ['room_type', 'bed_type']
+  }
+];
+
+// Fields a guest may see on their own online check-in
+const guestCheckInAttributes = [
+  'id',
+  'status',
+  'registration_data',
+  'estimated_arrival_time',
+  'special_requests',
+  'terms_accepted_at',
+  'submitted_at',
+  'reviewed_at',
+  'rejection_reason'
+];
+
+// Fields a guest may see on their folio lines
+const guestChargeAttributes = [
+  'id',
+  'description',
+  'category',
+  'quantity',
+  'amount',
+  'posted_at',
+  'dispute_status',
+  'dispute_reason',
+  'disputed_at',
+  'dispute_resolution',
+  'dispute_resolved_at'
+];
+
+// Fields a guest may see on their express checkout
+const guestCheckoutAttributes = [
+  'id',
+  'status',
+  'balance',
+  'guest_notes',
+  'requested_at',
+  'reviewed_at',
+  'rejection_reason'
+];
+
+// Registration card fields that must be present before submitting
+const REQUIRED_REGISTRATION_FIELDS = ['first_name', 'last_name', 'date_of_birth', 'nationality', 'passport_number'];
+
+// Registration card fields copied back onto the guest profile
+const PROFILE_FIELDS = ['first_name', 'last_name', 'date_of_birth', 'nationality', 'passport_number', 'phone'];
+
+const checkInValidation = [
+  body('registration').optional().isObject(),
+  body('registration.first_name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('registration.last_name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('registration.date_of_birth').optional().isISO8601(),
+  body('registration.nationality').optional().trim().isLength({ min: 1, max: 100 }),
+  body('registration.passport_number').optional().trim().isLength({ min: 1, max: 50 }),
+  body('registration.phone').optional().trim().isLength({ max: 20 }),
+  body('registration.address').optional().trim().isLength({ max: 500 }),
+  body('estimated_arrival_time').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Estimated arrival time must be in HH:MM format'),
+  body('special_requests').optional().trim().isLength({ max: 2000 }),
+  body('accept_terms').equals('true').withMessage('Hotel terms must be accepted')
+];
+
+const disputeValidation = [
+  body('reason').notEmpty().trim().isLength({ max: 1000 })
+];
+
+const checkoutValidation = [
+  body('notes').optional().trim().isLength({ max: 2000 })
+];
+
+// A stay can be checked in online until the guest arrives
+const canCheckInOnline = (stay) =>
+  stay.status === 'reserved' && stay.departure_date > new Date().toISOString().slice(0, 10);
+
+// Registration card prefilled from the guest profile, overlaid with any earlier submission
+const buildRegistration = (guest, checkIn) => {
+  const registration = {};
+  OnlineCheckIn.REGISTRATION_FIELDS.forEach(field => {
+    registration[field] = guest[field] !== undefined ? guest[field] : null;
+  });
+  return checkIn ? { ...registration, ...checkIn.registration_data } : registration;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Guest Stays
+ *   description: Stays of the authenticated guest
+ */
+
+/**
+ * @swagger
+ * /api/guest/stays:
+ *   get:
+ *     summary: List the authenticated guest's stays
+ *     tags: [Guest Stays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, current, past]
+ *         description: upcoming = not yet arrived, current = in house, past = departed or cancelled
+ *     responses:
+ *       200:
+ *         description: Stays retrieved successfully
+ *       401:
+ *         description: Missing or invalid guest token
+ *       500:
+ *         description: Server error
+ */
+router.get('/', async (req, res) => {
+  try {
+    const where = { guest_id: req.guest.id };
+
+    if (req.query.scope === 'upcoming') {
+      where.status = 'reserved';
+    } else if (req.query.scope === 'current') {
+      where.status = 'checked_in';
+    } else if (req.query.scope === 'past') {
+      where.status = { [Op.in]: ['checked_out', 'cancelled', 'no_show'] };
+    }
+
+    const stays = await Stay.findAll({
+      where,
+      attributes: guestStayAttributes,
+      include: guestStayInclude,
+      order: [['arrival_date', 'DESC']]
+    });
+
+    res.json({
+      status: 'success',
+      data: { stays }
+    });
+  } catch (error) {
+    console.error('Get guest stays error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error retrieving stays'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/stays/{id}:
+ *   get:
+ *     summary: Get one of the authenticated guest's stays
+ *     tags: [Guest Stays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Stay retrieved successfully
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Stay not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const stay = await Stay.findOne({
+      where: { id: req.params.id, guest_id: req.guest.id },
+      attributes: guestStayAttributes,
+      include: guestStayInclude
+    });
+
+    if (!stay) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Stay not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { stay }
+    });
+  } catch (error) {
+    console.error('Get guest stay error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error retrieving stay'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/stays/{id}/check-in:
+ *   get:
+ *     summary: Get the online check-in form for a stay
+ *     description: Returns the registration card prefilled from the guest profile (or the last submission), the hotel terms and the current check-in status.
+ *     tags: [Guest Stays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Check-in form retrieved successfully
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Stay not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/check-in', async (req, res) => {
+  try {
+    const stay = await Stay.findOne({
+      where: { id: req.params.id, guest_id: req.guest.id },
+      include: [
+        {
+          model: Hotel,
+          attributes: ['id', 'name', 'check_in_terms']
+        },
+        {
+          model: OnlineCheckIn,
+          attributes: guestCheckInAttributes,
+          required: false
+        }
+      ]
+    });
+
+    if (!stay) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Stay not found'
+      });
+    }
+
+    const checkIn = stay.OnlineCheckIn;
+    const canSubmit = canCheckInOnline(stay) && (!checkIn || checkIn.status !== 'approved');
+
+    res.json({
+      status: 'success',
+      data: {
+        check_in: checkIn,
+        registration: buildRegistration(req.guest, checkIn),
+        terms: stay.Hotel.check_in_terms,
+        can_submit: canSubmit
+      }
+    });
+  } catch (error) {
+    console.error('Get online check-in error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error retrieving online check-in'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/stays/{id}/check-in:
+ *   post:
+ *     summary: Submit the online check-in for a stay
+ *     description: |
+ *       Registration fields that are omitted are taken from the guest profile.
+ *       Submitted values are saved back to the profile. A pending or rejected
+ *       check-in can be resubmitted; it then waits for hotel approval again.
+ *     tags: [Guest Stays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - accept_terms
+ *             properties:
+ *               registration:
+ *                 type: object
+ *                 properties:
+ *                   first_name:
+ *                     type: string
+ *                   last_name:
+ *                     type: string
+ *                   date_of_birth:
+ *                     type: string
+ *                     format: date
+ *                   nationality:
+ *                     type: string
+ *                   passport_number:
+ *                     type: string
+ *                   phone:
+ *                     type: string
+ *                   address:
+ *                     type: string
+ *               estimated_arrival_time:
+ *                 type: string
+ *                 example: '15:30'
+ *               special_requests:
+ *                 type: string
+ *               accept_terms:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Online check-in submitted
+ *       400:
+ *         description: Invalid input or missing registration fields
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Stay not found
+ *       409:
+ *         description: Stay can no longer be checked in online
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/check-in', checkInValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const stay = await Stay.findOne({
+      where: { id: req.params.id, guest_id: req.guest.id },
+      include: [
+        {
+          model: Hotel,
+          attributes: ['id', 'check_in_terms']
+        },
+        {
+          model: OnlineCheckIn,
+          required: false
+        }
+      ]
+    });
+
+    if (!stay) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Stay not found'
+      });
+    }
+
+    let checkIn = stay.OnlineCheckIn;
+    if (!canCheckInOnline(stay) || (checkIn && checkIn.status === 'approved')) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This stay can no longer be checked in online'
+      });
+    }
+
+    const registration = {
+      ...buildRegistration(req.guest, checkIn),
+      ...(req.body.registration || {})
+    };
+    const missing = REQUIRED_REGISTRATION_FIELDS.filter(field => !registration[field]);
+    if (missing.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Missing registration fields: ${missing.join(', ')}`
+      });
+    }
+
+    const now = new Date();
+    const checkInData = {
+      status: 'pending',
+      registration_data: registration,
+      estimated_arrival_time: req.body.estimated_arrival_time || null,
+      special_requests: req.body.special_requests || null,
+      terms_accepted: stay.Hotel.check_in_terms,
+      terms_accepted_at: now,
+      submitted_at: now,
+      reviewed_by: null,
+      reviewed_at: null,
+      rejection_reason: null
+    };
+
+    const profileData = {};
+    PROFILE_FIELDS.forEach(field => {
+      if (registration[field]) profileData[field] = registration[field];
+    });
+
+    await OnlineCheckIn.sequelize.transaction(async (transaction) => {
+      if (checkIn) {
+        await checkIn.update(checkInData, { transaction });
+      } else {
+        checkIn = await OnlineCheckIn.create({
+          ...checkInData,
+          hotel_id: stay.hotel_id,
+          stay_id: stay.id,
+          guest_id: req.guest.id
+        }, { transaction });
+      }
+
+      await Guest.update(profileData, { where: { id: req.guest.id }, transaction });
+    });
+
+    const submitted = await OnlineCheckIn.findByPk(checkIn.id, {
+      attributes: guestCheckInAttributes
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Online check-in submitted',
+      data: { check_in: submitted }
+    });
+  } catch (error) {
+    console.error('Submit online check-in error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error submitting online check-in'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/stays/{id}/folio:
+ *   get:
+ *     summary: Get the folio of a stay
+ *     description: |
+ *       Lists the charges on the stay (restaurant checks from the POS, lines
+ *       from the PMS and charges added by staff) with totals. Lines with an
+ *       upheld dispute are waived and not part of the balance.
+ *     tags: [Guest Stays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Folio retrieved successfully
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Stay not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/folio', async (req, res) => {
+  try {
+    const stay = await Stay.findOne({
+      where: { id: req.params.id, guest_id: req.guest.id }
+    });
+
+    if (!stay) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Stay not found'
+      });
+    }
+
+    if (stay.status === 'checked_in') {
+      await PMSIntegrationService.refreshFolio(stay);
+    }
+
+    const [charges, checkout] = await Promise.all([
+      FolioCharge.findAll({
+        where: { stay_id: stay.id },
+        attributes: guestChargeAttributes,
+        order: [['posted_at', 'ASC'], ['id', 'ASC']]
+      }),
+      ExpressCheckout.findOne({
+        where: { stay_id: stay.id },
+        attributes: guestCheckoutAttributes
+      })
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        charges,
+        summary: FolioCharge.summarize(charges),
+        express_checkout: checkout
+      }
+    });
+  } catch (error) {
+    console.error('Get guest folio error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error retrieving folio'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/stays/{id}/folio/{chargeId}/dispute:
+ *   post:
+ *     summary: Dispute a folio line
+ *     description: Only possible while checked in and before express checkout is approved. Staff uphold or dismiss the dispute.
+ *     tags: [Guest Stays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: chargeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Charge disputed
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Stay or charge not found
+ *       409:
+ *         description: Charge already disputed or stay not checked in
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/folio/:chargeId/dispute', disputeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const stay = await Stay.findOne({
+      where: { id: req.params.id, guest_id: req.guest.id }
+    });
+
+    if (!stay) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Stay not found'
+      });
+    }
+
+    const charge = await FolioCharge.findOne({
+      where: { id: req.params.chargeId, stay_id: stay.id }
+    });
+
+    if (!charge) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Charge not found'
+      });
+    }
+
+    if (stay.status !== 'checked_in') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Charges can only be disputed during the stay'
+      });
+    }
+
+    if (charge.dispute_status) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Charge has already been disputed (${charge.dispute_status})`
+      });
+    }
+
+    await charge.update({
+      dispute_status: 'open',
+      dispute_reason: req.body.reason,
+      disputed_at: new Date()
+    });
+
+    const disputed = await FolioCharge.findByPk(charge.id, {
+      attributes: guestChargeAttributes
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Charge disputed',
+      data: { charge: disputed }
+    });
+  } catch (error) {
+    console.error('Dispute folio charge error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error disputing charge'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest/stays/{id}/checkout:
+ *   post:
+ *     summary: Request express checkout
+ *     description: |
+ *       Confirms the current folio balance and asks the hotel to check the
+ *       stay out. Not possible while a dispute is open. A rejected request
+ *       can be made again.
+ *     tags: [Guest Stays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Express checkout requested
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Stay not found
+ *       409:
+ *         description: Stay not checked in, disputes open, or already requested
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/checkout', checkoutValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const stay = await Stay.findOne({
+      where: { id: req.params.id, guest_id: req.guest.id },
+      include: [
+        {
+          model: ExpressCheckout,
+          required: false
+        }
+      ]
+    });
+
+    if (!stay) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Stay not found'
+      });
+    }
+
+    if (stay.status !== 'checked_in') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Only checked-in stays can be checked out'
+      });
+    }
+
+    let checkout = stay.ExpressCheckout;
+    if (checkout && checkout.status !== 'rejected') {
+      return res.status(409).json({
+        status: 'error',
+        message: `Express checkout is already ${checkout.status}`
+      });
+    }
+
+    await PMSIntegrationService.refreshFolio(stay);
+    const charges = await FolioCharge.findAll({ where: { stay_id: stay.id } });
+    const summary = FolioCharge.summarize(charges);
+
+    if (summary.open_disputes > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Disputed charges must be resolved before checkout'
+      });
+    }
+
+    const checkoutData = {
+      status: 'pending',
+      balance: summary.balance,
+      guest_notes: req.body.notes || null,
+      requested_at: new Date(),
+      reviewed_by: null,
+      reviewed_at: null,
+      rejection_reason: null
+    };
+
+    if (checkout) {
+      await checkout.update(checkoutData);
+    } else {
+      checkout = await ExpressCheckout.create({
+        ...checkoutData,
+        hotel_id: stay.hotel_id,
+        stay_id: stay.id,
+        guest_id: req.guest.id
+      });
+    }
+
+    const requested = await ExpressCheckout.findByPk(checkout.id, {
+      attributes: guestCheckoutAttributes
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Express checkout requested',
+      data: { express_checkout: requested }
+    });
+  } catch (error) {
+    console.error('Request express checkout error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error requesting express checkout'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 const { HotelLandingPage, Hotel } = require('../models');
 const { Op } = require('sequelize');
 
@@ -105,13 +106,8 @@ const parseImagesForMultiple = (landingPages) => {
  *       500:
  *         description: Server error
  */
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requirePermission('content:read'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const { hotel_id, status } = req.query;
     const whereClause = {};
 
@@ -128,7 +124,7 @@ router.get('/', authMiddleware, async (req, res) => {
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id },
+          where: { id: req.hotelIds },
           attributes: ['id', 'name']
         }
       ],
@@ -171,13 +167,8 @@ router.get('/', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, requirePermission('content:read'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const { id } = req.params;
 
     const landingPage = await HotelLandingPage.findOne({
@@ -185,7 +176,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id },
+          where: { id: req.hotelIds },
           attributes: ['id', 'name']
         }
       ]
@@ -253,7 +244,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authMiddleware, hotelLandingPageValidation, async (req, res) => {
+router.post('/', authMiddleware, requirePermission('content:write'), hotelLandingPageValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -263,18 +254,13 @@ router.post('/', authMiddleware, hotelLandingPageValidation, async (req, res) =>
       });
     }
 
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const { hotel_id, name, description, status, images } = req.body;
 
     // Verify hotel belongs to organization
     const hotel = await Hotel.findOne({
       where: { 
         id: hotel_id,
-        organization_id: organization.id 
+        organization_id: req.organization.id 
       }
     });
 
@@ -354,7 +340,7 @@ router.post('/', authMiddleware, hotelLandingPageValidation, async (req, res) =>
  *       500:
  *         description: Server error
  */
-router.put('/:id', authMiddleware, hotelLandingPageValidation, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('content:write'), hotelLandingPageValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -364,11 +350,6 @@ router.put('/:id', authMiddleware, hotelLandingPageValidation, async (req, res)
       });
     }
 
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const { id } = req.params;
     const { hotel_id, name, description, status, images } = req.body;
 
@@ -378,7 +359,7 @@ router.put('/:id', authMiddleware, hotelLandingPageValidation, async (req, res)
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id },
+          where: { id: req.hotelIds },
           attributes: ['id', 'name']
         }
       ]
@@ -393,7 +374,7 @@ router.put('/:id', authMiddleware, hotelLandingPageValidation, async (req, res)
       const hotel = await Hotel.findOne({
         where: { 
           id: hotel_id,
-          organization_id: organization.id 
+          organization_id: req.organization.id 
         }
       });
 
@@ -443,13 +424,8 @@ router.put('/:id', authMiddleware, hotelLandingPageValidation, async (req, res)
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('content:write'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const { id } = req.params;
 
     // Find landing page and verify ownership
@@ -458,7 +434,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id },
+          where: { id: req.hotelIds },
           attributes: ['id', 'name']
         }
       ]
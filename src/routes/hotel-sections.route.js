@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 const { HotelSections, Hotel } = require('../models');
 const { Op } = require('sequelize');
 
@@ -138,13 +139,8 @@ const checkSlugUniqueness = async (slug, hotelId, excludeId = null) => {
  *       500:
  *         description: Server error
  */
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requirePermission('content:read'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const { hotel_id, status } = req.query;
     const whereClause = {};
 
@@ -161,7 +157,7 @@ router.get('/', authMiddleware, async (req, res) => {
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id },
+          where: { id: req.hotelIds },
           attributes: ['id', 'name']
         }
       ],
@@ -204,13 +200,8 @@ router.get('/', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, requirePermission('content:read'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const { id } = req.params;
 
     const section = await HotelSections.findOne({
@@ -218,7 +209,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id },
+          where: { id: req.hotelIds },
           attributes: ['id', 'name']
         }
       ]
@@ -302,7 +293,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authMiddleware, hotelSectionValidation, async (req, res) => {
+router.post('/', authMiddleware, requirePermission('content:write'), hotelSectionValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -312,11 +303,6 @@ router.post('/', authMiddleware, hotelSectionValidation, async (req, res) => {
       });
     }
 
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const { 
       hotel_id, 
       title, 
@@ -334,7 +320,7 @@ router.post('/', authMiddleware, hotelSectionValidation, async (req, res) => {
     const hotel = await Hotel.findOne({
       where: { 
         id: hotel_id,
-        organization_id: organization.id 
+        organization_id: req.organization.id 
       }
     });
 
@@ -443,7 +429,7 @@ router.post('/', authMiddleware, hotelSectionValidation, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', authMiddleware, hotelSectionValidation, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('content:write'), hotelSectionValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -453,11 +439,6 @@ router.put('/:id', authMiddleware, hotelSectionValidation, async (req, res) => {
       });
     }
 
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const { id } = req.params;
     const { 
       hotel_id, 
@@ -478,7 +459,7 @@ router.put('/:id', authMiddleware, hotelSectionValidation, async (req, res) => {
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id },
+          where: { id: req.hotelIds },
           attributes: ['id', 'name']
         }
       ]
@@ -493,7 +474,7 @@ router.put('/:id', authMiddleware, hotelSectionValidation, async (req, res) => {
       const hotel = await Hotel.findOne({
         where: { 
           id: hotel_id,
-          organization_id: organization.id 
+          organization_id: req.organization.id 
         }
       });
 
@@ -560,13 +541,8 @@ router.put('/:id', authMiddleware, hotelSectionValidation, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('content:write'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const { id } = req.params;
 
     const section = await HotelSections.findOne({
@@ -574,7 +550,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id },
+          where: { id: req.hotelIds },
           attributes: ['id', 'name']
         }
       ]
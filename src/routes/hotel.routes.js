@@ -1,7 +1,9 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const authMiddleware = require('../middleware/auth.middleware');
-const { Hotel, Organization, Restaurant, Menu } = require('../models');
+const { requirePermission, resolveAccessContext } = require('../middleware/permission.middleware');
+const { hasPermission } = require('../config/permissions');
+const { Hotel, Organization, Restaurant, Menu, Member } = require('../models');
 const { Op } = require('sequelize');
 
 const router = express.Router();
@@ -49,6 +51,9 @@ const hotelValidation = [
   body('has_spa').optional().isBoolean(),
   body('isMultiImages').optional().isBoolean(),
   body('specials').optional().trim(),
+  body('check_in_terms').optional({ nullable: true }).trim(),
+  body('duty_manager_id').optional({ nullable: true }).isInt(),
+  body('timezone').optional().custom(value => Hotel.isTimeZone(value)).withMessage('Unknown time zone'),
   body('organization_id').isInt()
 ];
 
@@ -94,6 +99,16 @@ const hotelValidation = [
  *           type: boolean
  *         specials:
  *           type: string
+ *         check_in_terms:
+ *           type: string
+ *           description: Terms guests accept during online check-in
+ *         duty_manager_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Staff member who receives escalated guest feedback
+ *         timezone:
+ *           type: string
+ *           description: IANA time zone, e.g. Europe/Paris (default UTC)
  *         created_at:
  *           type: string
  *           format: date-time
@@ -159,15 +174,10 @@ const hotelValidation = [
  *       500:
  *         description: Server error
  */
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requirePermission('hotels:read'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const hotels = await Hotel.findAll({
-      where: { organization_id: organization.id }
+      where: { id: req.hotelIds }
     });
 
     res.json(hotels);
@@ -233,17 +243,12 @@ router.get('/', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, requirePermission('hotels:read', { hotelParam: 'id' }), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const hotel = await Hotel.findOne({
       where: {
         id: req.params.id,
-        organization_id: organization.id
+        organization_id: req.organization.id
       }
     });
 
@@ -287,10 +292,14 @@ router.get('/:id', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/organization/:organizationId', authMiddleware, async (req, res) => {
+router.get('/organization/:organizationId', authMiddleware, requirePermission('hotels:read'), async (req, res) => {
   try {
+    if (parseInt(req.params.organizationId) !== req.organization.id) {
+      return res.status(403).json({ message: 'Organization not found or access denied' });
+    }
+
     const hotels = await Hotel.findAll({
-      where: { organization_id: req.params.organizationId }
+      where: { id: req.hotelIds }
     });
 
     res.json(hotels);
@@ -363,6 +372,12 @@ router.get('/organization/:organizationId', authMiddleware, async (req, res) =>
  *               specials:
  *                 type: string
  *                 description: Special offers or notes
+ *               check_in_terms:
+ *                 type: string
+ *                 description: Terms guests accept during online check-in
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone, e.g. Europe/Paris (default UTC)
  *     responses:
  *       201:
  *         description: Hotel created successfully
@@ -412,24 +427,20 @@ router.get('/organization/:organizationId', authMiddleware, async (req, res) =>
  *       500:
  *         description: Server error
  */
-router.post('/', [authMiddleware, hotelValidation], async (req, res) => {
+router.post('/', [authMiddleware, requirePermission('hotels:write'), hotelValidation], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     // Generate a unique slug for the hotel
     const hotel_slug = await getUniqueHotelSlug();
 
     const hotel = await Hotel.create({
       ...req.body,
-      organization_id: organization.id,
+      duty_manager_id: null,
+      organization_id: req.organization.id,
       hotel_slug: hotel_slug
     });
 
@@ -488,6 +499,13 @@ router.post('/', [authMiddleware, hotelValidation], async (req, res) => {
  *               check_out_time:
  *                 type: string
  *                 description: Check-out time
+ *               duty_manager_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Staff member who receives escalated guest feedback; needs concierge access to the hotel
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone, e.g. Europe/Paris
  *     responses:
  *       200:
  *         description: Hotel updated successfully
@@ -531,22 +549,17 @@ router.post('/', [authMiddleware, hotelValidation], async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', [authMiddleware, hotelValidation], async (req, res) => {
+router.put('/:id', [authMiddleware, requirePermission('hotels:write', { hotelParam: 'id' }), hotelValidation], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const hotel = await Hotel.findOne({
       where: {
         id: req.params.id,
-        organization_id: organization.id
+        organization_id: req.organization.id
       }
     });
 
@@ -554,6 +567,18 @@ router.put('/:id', [authMiddleware, hotelValidation], async (req, res) => {
       return res.status(404).json({ message: 'Hotel not found' });
     }
 
+    // The duty manager takes escalated feedback tasks, so they must be able to handle them here
+    if (req.body.duty_manager_id !== undefined && req.body.duty_manager_id !== null) {
+      const dutyManager = await Member.findByPk(req.body.duty_manager_id);
+      const access = dutyManager && dutyManager.status === 'active'
+        ? await resolveAccessContext(dutyManager)
+        : null;
+      if (!access || !access.organization || access.organization.id !== hotel.organization_id ||
+          !access.hotelIds.includes(hotel.id) || !hasPermission(access.role, 'concierge:write')) {
+        return res.status(400).json({ message: 'Duty manager must be an active staff member with concierge access to this hotel' });
+      }
+    }
+
     await hotel.update(req.body);
     res.json(hotel);
   } catch (error) {
@@ -587,17 +612,12 @@ router.put('/:id', [authMiddleware, hotelValidation], async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('hotels:write', { hotelParam: 'id' }), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const hotel = await Hotel.findOne({
       where: {
         id: req.params.id,
-        organization_id: organization.id
+        organization_id: req.organization.id
       }
     });
 
@@ -662,7 +682,13 @@ router.delete('/:id', authMiddleware, async (req, res) => {
  *                         item_price:
  *                           type: number
  *                         allergens:
- *                           type: string
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         dietary_tags:
+ *                           type: array
+ *                           items:
+ *                             type: string
  *                         image:
  *                           type: string
  *                         sub_category:
@@ -680,17 +706,12 @@ router.delete('/:id', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id/restaurants', authMiddleware, async (req, res) => {
+router.get('/:id/restaurants', authMiddleware, requirePermission('restaurants:read', { hotelParam: 'id' }), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const hotel = await Hotel.findOne({
       where: {
         id: req.params.id,
-        organization_id: organization.id
+        organization_id: req.organization.id
       }
     });
 
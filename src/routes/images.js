@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { Images, Hotel } = require('../models');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 
 /**
  * @swagger
@@ -55,9 +57,10 @@ const { Images, Hotel } = require('../models');
  *       500:
  *         description: Server error
  */
-router.get('/', async (req, res) => {
+router.get('/', authMiddleware, requirePermission('content:read'), async (req, res) => {
   try {
     const images = await Images.findAll({
+      where: { hotel_id: req.hotelIds },
       include: [
         { model: Hotel, attributes: ['name'] }
       ]
@@ -95,7 +98,7 @@ router.get('/', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/hotel/:hotelId', async (req, res) => {
+router.get('/hotel/:hotelId', authMiddleware, requirePermission('content:read', { hotelParam: 'hotelId' }), async (req, res) => {
   try {
     const images = await Images.findAll({
       where: { hotel_id: req.params.hotelId }
@@ -133,14 +136,14 @@ router.get('/hotel/:hotelId', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', authMiddleware, requirePermission('content:read'), async (req, res) => {
   try {
     const image = await Images.findByPk(req.params.id, {
       include: [
         { model: Hotel, attributes: ['name'] }
       ]
     });
-    if (!image) {
+    if (!image || !req.hotelIds.includes(image.hotel_id)) {
       return res.status(404).json({ message: 'Image not found' });
     }
     res.json(image);
@@ -175,7 +178,7 @@ router.get('/:id', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', async (req, res) => {
+router.post('/', authMiddleware, requirePermission('content:write'), async (req, res) => {
   try {
     const image = await Images.create(req.body);
     res.status(201).json(image);
@@ -219,10 +222,10 @@ router.post('/', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('content:write'), async (req, res) => {
   try {
     const image = await Images.findByPk(req.params.id);
-    if (!image) {
+    if (!image || !req.hotelIds.includes(image.hotel_id)) {
       return res.status(404).json({ message: 'Image not found' });
     }
     await image.update(req.body);
@@ -255,10 +258,10 @@ router.put('/:id', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('content:write'), async (req, res) => {
   try {
     const image = await Images.findByPk(req.params.id);
-    if (!image) {
+    if (!image || !req.hotelIds.includes(image.hotel_id)) {
       return res.status(404).json({ message: 'Image not found' });
     }
     await image.destroy();
@@ -1,13 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 const { Integration, IntegrationLog, Hotel, Member } = require('../models');
 const POSIntegrationService = require('../services/integration/pos-integration.service');
 const PMSIntegrationService = require('../services/integration/pms-integration.service');
 const GuestManagementIntegrationService = require('../services/integration/guest-management-integration.service');
 
-// Apply authentication middleware to all routes
-router.use(authMiddleware);
+// Integrations hold PMS/POS credentials: only owners manage them, for the
+// hotels of their organization
+router.use(authMiddleware, requirePermission('integrations:manage'));
 
 /**
  * @swagger
@@ -327,7 +329,7 @@ router.get('/:id', async (req, res) => {
       ]
     });
 
-    if (!integration) {
+    if (!integration || !req.hotelIds.includes(integration.hotel_id)) {
       return res.status(404).json({
         status: 'error',
         message: 'Integration not found'
@@ -575,7 +577,7 @@ router.put('/:id', async (req, res) => {
     const updateData = { ...req.body, updated_by: req.member.id };
 
     const integration = await Integration.findByPk(id);
-    if (!integration) {
+    if (!integration || !req.hotelIds.includes(integration.hotel_id)) {
       return res.status(404).json({
         status: 'error',
         message: 'Integration not found'
@@ -661,7 +663,7 @@ router.post('/:id/test', async (req, res) => {
     const { id } = req.params;
 
     const integration = await Integration.findByPk(id);
-    if (!integration) {
+    if (!integration || !req.hotelIds.includes(integration.hotel_id)) {
       return res.status(404).json({
         status: 'error',
         message: 'Integration not found'
@@ -723,7 +725,8 @@ router.post('/:id/test', async (req, res) => {
  *             properties:
  *               sync_type:
  *                 type: string
- *                 description: Type of sync to perform
+ *                 enum: [menus, reservations, room_status, guest_data]
+ *                 description: Type of sync to perform (menus for POS, reservations or room_status for PMS, guest_data for guest management)
  *               start_date:
  *                 type: string
  *                 format: date
@@ -758,7 +761,7 @@ router.post('/:id/sync', async (req, res) => {
     const { sync_type, start_date, end_date } = req.body;
 
     const integration = await Integration.findByPk(id);
-    if (!integration) {
+    if (!integration || !req.hotelIds.includes(integration.hotel_id)) {
       return res.status(404).json({
         status: 'error',
         message: 'Integration not found'
@@ -791,10 +794,12 @@ router.post('/:id/sync', async (req, res) => {
         service = new PMSIntegrationService(id);
         if (sync_type === 'reservations') {
           syncResult = await service.syncReservations(start_date, end_date);
+        } else if (sync_type === 'room_status') {
+          syncResult = await service.syncRoomStatus();
         } else {
           return res.status(400).json({
             status: 'error',
-            message: 'Invalid sync_type for PMS integration. Use: reservations'
+            message: 'Invalid sync_type for PMS integration. Use: reservations, room_status'
           });
         }
         break;
@@ -888,7 +893,7 @@ router.get('/:id/logs', async (req, res) => {
     const { operation_type, status, limit = 50, offset = 0 } = req.query;
 
     const integration = await Integration.findByPk(id);
-    if (!integration) {
+    if (!integration || !req.hotelIds.includes(integration.hotel_id)) {
       return res.status(404).json({
         status: 'error',
         message: 'Integration not found'
@@ -963,7 +968,7 @@ router.delete('/:id', async (req, res) => {
     const { id } = req.params;
 
     const integration = await Integration.findByPk(id);
-    if (!integration) {
+    if (!integration || !req.hotelIds.includes(integration.hotel_id)) {
       return res.status(404).json({
         status: 'error',
         message: 'Integration not found'
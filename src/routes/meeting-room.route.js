@@ -1,7 +1,9 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 const { MeetingRoom, Hotel, Organization } = require('../models');
+const MeetingBookingService = require('../services/meeting/booking.service');
 const { Op } = require('sequelize');
 
 const router = express.Router();
@@ -11,7 +13,18 @@ const meetingRoomValidation = [
   body('name').notEmpty().trim().isLength({ max: 255 }),
   body('capacity').optional().trim().isLength({ max: 100 }),
   body('features').optional().trim(),
-  body('images').optional().isArray()
+  body('images').optional().isArray(),
+  body('max_capacity').optional({ nullable: true }).isInt({ min: 1 }),
+  body('setup_buffer_minutes').optional().isInt({ min: 0, max: 1440 }),
+  body('teardown_buffer_minutes').optional().isInt({ min: 0, max: 1440 }),
+  body('combines').optional({ nullable: true }).isArray(),
+  body('combines.*').isInt()
+];
+
+const calendarValidation = [
+  query('hotel_id').isInt(),
+  query('from').isISO8601().toDate(),
+  query('to').isISO8601().toDate()
 ];
 
 /**
@@ -33,6 +46,18 @@ const meetingRoomValidation = [
  *           maxLength: 100
  *         features:
  *           type: string
+ *         max_capacity:
+ *           type: integer
+ *           description: Most attendees; when empty, the largest number in capacity is used
+ *         setup_buffer_minutes:
+ *           type: integer
+ *         teardown_buffer_minutes:
+ *           type: integer
+ *         combines:
+ *           type: array
+ *           description: IDs of the rooms this room is made of (divisible ballroom)
+ *           items:
+ *             type: integer
  *         images:
  *           type: array
  *           items:
@@ -78,25 +103,16 @@ const meetingRoomValidation = [
  *       500:
  *         description: Server error
  */
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requirePermission('meetings:read'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const whereClause = {};
     
     // Filter by hotel_id if provided
     if (req.query.hotel_id) {
       whereClause.hotel_id = req.query.hotel_id;
     } else {
-      // Get all hotels for the organization
-      const hotels = await Hotel.findAll({
-        where: { organization_id: organization.id },
-        attributes: ['id']
-      });
-      whereClause.hotel_id = { [Op.in]: hotels.map(h => h.id) };
+      // Limit to the hotels the member has access to
+      whereClause.hotel_id = { [Op.in]: req.hotelIds };
     }
 
     const meetingRooms = await MeetingRoom.findAll({
@@ -134,6 +150,67 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/meeting-rooms/calendar:
+ *   get:
+ *     summary: Free and busy slots of the hotel's meeting rooms
+ *     description: |
+ *       A room is busy while it, one of its parts or a room combining it is
+ *       booked (draft, confirmed or in progress), setup and teardown buffers
+ *       included. Busy slots name their meeting. At most 62 days at once.
+ *     tags: [Meeting Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hotel_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Busy and free slots per room
+ *       400:
+ *         description: Invalid or too long range
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/calendar', authMiddleware, requirePermission('meetings:read'), calendarValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { hotel_id, from, to } = req.query;
+    const rangeError = MeetingBookingService.checkCalendarRange(from, to);
+    if (rangeError) {
+      return res.status(400).json({ message: rangeError });
+    }
+
+    const rooms = await MeetingBookingService.calendar(parseInt(hotel_id), from, to, { details: true });
+    res.json({ from, to, rooms });
+  } catch (error) {
+    console.error('Get meeting room calendar error:', error);
+    res.status(500).json({ message: 'Error fetching meeting room calendar' });
+  }
+});
+
 /**
  * @swagger
  * /api/meeting-rooms/{id}:
@@ -163,19 +240,14 @@ router.get('/', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, requirePermission('meetings:read'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const meetingRoom = await MeetingRoom.findOne({
       where: { id: req.params.id },
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id },
+          where: { id: req.hotelIds },
           attributes: ['id', 'name'],
           include: [
             {
@@ -233,6 +305,16 @@ router.get('/:id', authMiddleware, async (req, res) => {
  *                 maxLength: 100
  *               features:
  *                 type: string
+ *               max_capacity:
+ *                 type: integer
+ *               setup_buffer_minutes:
+ *                 type: integer
+ *               teardown_buffer_minutes:
+ *                 type: integer
+ *               combines:
+ *                 type: array
+ *                 items:
+ *                   type: integer
  *               images:
  *                 type: array
  *                 items:
@@ -256,23 +338,18 @@ router.get('/:id', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authMiddleware, meetingRoomValidation, async (req, res) => {
+router.post('/', authMiddleware, requirePermission('meetings:write'), meetingRoomValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     // Verify the hotel belongs to the organization
     const hotel = await Hotel.findOne({
       where: {
         id: req.body.hotel_id,
-        organization_id: organization.id
+        organization_id: req.organization.id
       }
     });
 
@@ -280,6 +357,11 @@ router.post('/', authMiddleware, meetingRoomValidation, async (req, res) => {
       return res.status(404).json({ message: 'Hotel not found' });
     }
 
+    const combinationError = await MeetingBookingService.checkCombination(hotel.id, null, req.body.combines);
+    if (combinationError) {
+      return res.status(400).json({ message: combinationError });
+    }
+
     const meetingRoom = await MeetingRoom.create(req.body);
 
     const createdMeetingRoom = await MeetingRoom.findByPk(meetingRoom.id, {
@@ -341,6 +423,16 @@ router.post('/', authMiddleware, meetingRoomValidation, async (req, res) => {
  *                 type: string
  *               features:
  *                 type: string
+ *               max_capacity:
+ *                 type: integer
+ *               setup_buffer_minutes:
+ *                 type: integer
+ *               teardown_buffer_minutes:
+ *                 type: integer
+ *               combines:
+ *                 type: array
+ *                 items:
+ *                   type: integer
  *               images:
  *                 type: array
  *     responses:
@@ -359,24 +451,19 @@ router.post('/', authMiddleware, meetingRoomValidation, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', authMiddleware, meetingRoomValidation, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('meetings:write'), meetingRoomValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const meetingRoom = await MeetingRoom.findOne({
       where: { id: req.params.id },
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id },
+          where: { id: req.hotelIds },
           attributes: ['id', 'name']
         }
       ]
@@ -386,6 +473,13 @@ router.put('/:id', authMiddleware, meetingRoomValidation, async (req, res) => {
       return res.status(404).json({ message: 'Meeting room not found' });
     }
 
+    const combinationError = await MeetingBookingService.checkCombination(
+      meetingRoom.hotel_id, meetingRoom.id, req.body.combines
+    );
+    if (combinationError) {
+      return res.status(400).json({ message: combinationError });
+    }
+
     await meetingRoom.update(req.body);
 
     const updatedMeetingRoom = await MeetingRoom.findByPk(meetingRoom.id, {
@@ -444,19 +538,14 @@ router.put('/:id', authMiddleware, meetingRoomValidation, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('meetings:write'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const meetingRoom = await MeetingRoom.findOne({
       where: { id: req.params.id },
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id },
+          where: { id: req.hotelIds },
           attributes: ['id', 'name']
         }
       ]
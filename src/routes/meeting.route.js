@@ -1,7 +1,12 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const authMiddleware = require('../middleware/auth.middleware');
-const { Meeting, Hotel, Organization } = require('../models');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { Meeting, MeetingApprovalHistory, Member, Hotel, Organization } = require('../models');
+const RealtimeService = require('../services/realtime/realtime.service');
+const MeetingBookingService = require('../services/meeting/booking.service');
+const BeoService = require('../services/meeting/beo.service');
+const MeetingApprovalService = require('../services/meeting/approval.service');
 const { Op } = require('sequelize');
 
 const router = express.Router();
@@ -15,6 +20,9 @@ const meetingValidation = [
   body('end_date').isISO8601().toDate(),
   body('capacity').optional().isInt({ min: 1 }),
   body('location').optional().trim().isLength({ max: 255 }),
+  body('meeting_room_id').optional({ nullable: true }).isInt(),
+  body('setup_minutes').optional().isInt({ min: 0, max: 1440 }).toInt(),
+  body('teardown_minutes').optional().isInt({ min: 0, max: 1440 }).toInt(),
   body('organizer_name').notEmpty().trim().isLength({ max: 255 }),
   body('organizer_email').isEmail().normalizeEmail(),
   body('organizer_phone').optional().trim().isLength({ max: 50 }),
@@ -30,6 +38,12 @@ const meetingValidation = [
   body('notes').optional().trim()
 ];
 
+// Refused bookings: unknown room, or a period, capacity or slot that does not work
+const bookingErrorResponse = (res, error) => res.status(error.code === 'ROOM_NOT_FOUND' ? 404 : 400).json({
+  message: error.message,
+  conflicts: error.conflicts
+});
+
 /**
  * @swagger
  * components:
@@ -61,6 +75,20 @@ const meetingValidation = [
  *           type: integer
  *         location:
  *           type: string
+ *         meeting_room_id:
+ *           type: integer
+ *         setup_minutes:
+ *           type: integer
+ *           description: Room blocked this long before start_date
+ *         teardown_minutes:
+ *           type: integer
+ *           description: Room blocked this long after end_date
+ *         blocked_from:
+ *           type: string
+ *           format: date-time
+ *         blocked_until:
+ *           type: string
+ *           format: date-time
  *         organizer_name:
  *           type: string
  *         organizer_email:
@@ -70,6 +98,9 @@ const meetingValidation = [
  *         status:
  *           type: string
  *           enum: [draft, confirmed, in_progress, completed, cancelled]
+ *         approval_status:
+ *           type: string
+ *           enum: [pending, approved, rejected, changes_requested]
  *         is_public:
  *           type: boolean
  *         requires_approval:
@@ -155,25 +186,16 @@ const meetingValidation = [
  *       500:
  *         description: Server error
  */
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requirePermission('meetings:read'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const whereClause = {};
     
     // Filter by hotel_id if provided
     if (req.query.hotel_id) {
       whereClause.hotel_id = req.query.hotel_id;
     } else {
-      // Get all hotels for the organization
-      const hotels = await Hotel.findAll({
-        where: { organization_id: organization.id },
-        attributes: ['id']
-      });
-      whereClause.hotel_id = { [Op.in]: hotels.map(h => h.id) };
+      // Limit to the hotels the member has access to
+      whereClause.hotel_id = { [Op.in]: req.hotelIds };
     }
 
     // Add other filters
@@ -246,24 +268,12 @@ router.get('/', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, requirePermission('meetings:read'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
-    // Get all hotels for the organization
-    const hotels = await Hotel.findAll({
-      where: { organization_id: organization.id },
-      attributes: ['id']
-    });
-    const hotelIds = hotels.map(h => h.id);
-
     const meeting = await Meeting.findOne({
       where: {
         id: req.params.id,
-        hotel_id: { [Op.in]: hotelIds }
+        hotel_id: { [Op.in]: req.hotelIds }
       },
       include: [
         {
@@ -290,6 +300,72 @@ router.get('/:id', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/meetings/{id}/beo:
+ *   get:
+ *     summary: Banquet event order (BEO) of a meeting
+ *     description: |
+ *       The operations sheet: schedule with setup and teardown, room,
+ *       catering with menu items and allergens, equipment, requirements and
+ *       billing. Priced from the accepted quote, else the latest sent one,
+ *       else the latest draft. format=html returns a printable page that
+ *       browsers can save as PDF.
+ *     tags: [Meetings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: quote_id
+ *         schema:
+ *           type: integer
+ *         description: Price from this quote version instead
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: BEO
+ *       404:
+ *         description: Meeting not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/beo', authMiddleware, requirePermission('meetings:read'), async (req, res) => {
+  try {
+    const meeting = await Meeting.findOne({
+      where: {
+        id: req.params.id,
+        hotel_id: { [Op.in]: req.hotelIds }
+      },
+      attributes: ['id']
+    });
+
+    if (!meeting) {
+      return res.status(404).json({ message: 'Meeting not found' });
+    }
+
+    const beo = await BeoService.build(meeting.id, req.query.quote_id || null);
+
+    if (req.query.format === 'html') {
+      res.set('Content-Disposition', `inline; filename="beo-${meeting.id}.html"`);
+      return res.type('html').send(BeoService.renderHtml(beo));
+    }
+    res.json(beo);
+  } catch (error) {
+    console.error('Get meeting BEO error:', error);
+    res.status(500).json({ message: 'Error generating BEO' });
+  }
+});
+
 /**
  * @swagger
  * /api/meetings:
@@ -331,6 +407,15 @@ router.get('/:id', authMiddleware, async (req, res) => {
  *                 type: integer
  *               location:
  *                 type: string
+ *               meeting_room_id:
+ *                 type: integer
+ *                 description: Room to book; a location matching a room name books that room
+ *               setup_minutes:
+ *                 type: integer
+ *                 description: Defaults to the room's setup buffer
+ *               teardown_minutes:
+ *                 type: integer
+ *                 description: Defaults to the room's teardown buffer
  *               organizer_name:
  *                 type: string
  *               organizer_email:
@@ -365,23 +450,18 @@ router.get('/:id', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authMiddleware, meetingValidation, async (req, res) => {
+router.post('/', authMiddleware, requirePermission('meetings:write'), meetingValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     // Verify the hotel belongs to the organization
     const hotel = await Hotel.findOne({
       where: {
         id: req.body.hotel_id,
-        organization_id: organization.id
+        organization_id: req.organization.id
       }
     });
 
@@ -389,28 +469,7 @@ router.post('/', authMiddleware, meetingValidation, async (req, res) => {
       return res.status(404).json({ message: 'Hotel not found' });
     }
 
-    // Check for date conflicts
-    const conflictingMeeting = await Meeting.findOne({
-      where: {
-        hotel_id: req.body.hotel_id,
-        location: req.body.location,
-        status: { [Op.in]: ['draft', 'confirmed', 'in_progress'] },
-        [Op.or]: [
-          {
-            start_date: { [Op.lt]: req.body.end_date },
-            end_date: { [Op.gt]: req.body.start_date }
-          }
-        ]
-      }
-    });
-
-    if (conflictingMeeting) {
-      return res.status(400).json({ 
-        message: 'There is a conflicting meeting at this location and time' 
-      });
-    }
-
-    const meeting = await Meeting.create({
+    const meeting = await MeetingBookingService.reserve(hotel.id, {
       ...req.body,
       created_by: req.member.id
     });
@@ -430,8 +489,12 @@ router.post('/', authMiddleware, meetingValidation, async (req, res) => {
       ]
     });
 
+    await RealtimeService.publish(meeting.hotel_id, 'meetings', 'meeting.booking.created', createdMeeting.toJSON());
     res.status(201).json(createdMeeting);
   } catch (error) {
+    if (error.conflicts) {
+      return bookingErrorResponse(res, error);
+    }
     console.error('Create meeting error:', error);
     res.status(500).json({ message: 'Error creating meeting' });
   }
@@ -475,6 +538,15 @@ router.post('/', authMiddleware, meetingValidation, async (req, res) => {
  *                 type: integer
  *               location:
  *                 type: string
+ *               meeting_room_id:
+ *                 type: integer
+ *                 description: Room to book; a location matching a room name books that room
+ *               setup_minutes:
+ *                 type: integer
+ *                 description: Defaults to the room's setup buffer
+ *               teardown_minutes:
+ *                 type: integer
+ *                 description: Defaults to the room's teardown buffer
  *               organizer_name:
  *                 type: string
  *               organizer_email:
@@ -519,29 +591,17 @@ router.post('/', authMiddleware, meetingValidation, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', authMiddleware, meetingValidation, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('meetings:write'), meetingValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
-    // Get all hotels for the organization
-    const hotels = await Hotel.findAll({
-      where: { organization_id: organization.id },
-      attributes: ['id']
-    });
-    const hotelIds = hotels.map(h => h.id);
-
     const meeting = await Meeting.findOne({
       where: {
         id: req.params.id,
-        hotel_id: { [Op.in]: hotelIds }
+        hotel_id: { [Op.in]: req.hotelIds }
       }
     });
 
@@ -549,37 +609,14 @@ router.put('/:id', authMiddleware, meetingValidation, async (req, res) => {
       return res.status(404).json({ message: 'Meeting not found' });
     }
 
-    // Check for date conflicts (excluding current meeting)
-    if (req.body.start_date && req.body.end_date && req.body.location) {
-      const conflictingMeeting = await Meeting.findOne({
-        where: {
-          id: { [Op.ne]: req.params.id },
-          hotel_id: meeting.hotel_id,
-          location: req.body.location,
-          status: { [Op.in]: ['draft', 'confirmed', 'in_progress'] },
-          [Op.or]: [
-            {
-              start_date: { [Op.lt]: req.body.end_date },
-              end_date: { [Op.gt]: req.body.start_date }
-            }
-          ]
-        }
-      });
-
-      if (conflictingMeeting) {
-        return res.status(400).json({ 
-          message: 'There is a conflicting meeting at this location and time' 
-        });
-      }
-    }
-
     // If status is being changed to confirmed, set approved_by and approved_at
     if (req.body.status === 'confirmed' && meeting.status !== 'confirmed') {
       req.body.approved_by = req.member.id;
       req.body.approved_at = new Date();
+      req.body.approval_status = 'approved';
     }
 
-    await meeting.update(req.body);
+    await MeetingBookingService.reserve(meeting.hotel_id, req.body, meeting);
 
     const updatedMeeting = await Meeting.findByPk(meeting.id, {
       include: [
@@ -598,6 +635,9 @@ router.put('/:id', authMiddleware, meetingValidation, async (req, res) => {
 
     res.json(updatedMeeting);
   } catch (error) {
+    if (error.conflicts) {
+      return bookingErrorResponse(res, error);
+    }
     console.error('Update meeting error:', error);
     res.status(500).json({ message: 'Error updating meeting' });
   }
@@ -628,24 +668,12 @@ router.put('/:id', authMiddleware, meetingValidation, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('meetings:write'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
-    // Get all hotels for the organization
-    const hotels = await Hotel.findAll({
-      where: { organization_id: organization.id },
-      attributes: ['id']
-    });
-    const hotelIds = hotels.map(h => h.id);
-
     const meeting = await Meeting.findOne({
       where: {
         id: req.params.id,
-        hotel_id: { [Op.in]: hotelIds }
+        hotel_id: { [Op.in]: req.hotelIds }
       }
     });
 
@@ -661,11 +689,67 @@ router.delete('/:id', authMiddleware, async (req, res) => {
   }
 });
 
+// Meeting of one of the member's hotels, with what the approval responses show
+const findMeeting = (req) => Meeting.findOne({
+  where: {
+    id: req.params.id,
+    hotel_id: { [Op.in]: req.hotelIds }
+  }
+});
+
+const approvalResponse = async (res, { meeting, notification }) => {
+  const updatedMeeting = await Meeting.findByPk(meeting.id, {
+    include: [
+      {
+        model: Hotel,
+        attributes: ['id', 'name'],
+        include: [
+          {
+            model: Organization,
+            attributes: ['id', 'name']
+          }
+        ]
+      }
+    ]
+  });
+
+  res.json({ ...updatedMeeting.toJSON(), notification });
+};
+
+const reasonValidation = body('reason').notEmpty().trim().isLength({ max: 2000 });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MeetingDecision:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Meeting'
+ *         - type: object
+ *           properties:
+ *             notification:
+ *               type: object
+ *               description: Outcome of the email to organizer_email
+ *               properties:
+ *                 to:
+ *                   type: string
+ *                 sent:
+ *                   type: boolean
+ *                 message_id:
+ *                   type: string
+ *                 error:
+ *                   type: string
+ */
+
 /**
  * @swagger
  * /api/meetings/{id}/approve:
  *   post:
  *     summary: Approve a meeting
+ *     description: |
+ *       Confirms a draft meeting awaiting approval and emails the organizer.
+ *       With apply_proposal the time and room proposed in the last change
+ *       request are booked, e.g. once the organizer agreed to them.
  *     tags: [Meetings]
  *     security:
  *       - bearerAuth: []
@@ -676,13 +760,26 @@ router.delete('/:id', authMiddleware, async (req, res) => {
  *         schema:
  *           type: integer
  *         description: Meeting ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 description: Note for the organizer, included in the email
+ *               apply_proposal:
+ *                 type: boolean
  *     responses:
  *       200:
  *         description: Meeting approved successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Meeting'
+ *               $ref: '#/components/schemas/MeetingDecision'
+ *       400:
+ *         description: Meeting already decided, no proposal to apply, or the proposed room is taken
  *       404:
  *         description: Meeting not found
  *       401:
@@ -690,60 +787,246 @@ router.delete('/:id', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/:id/approve', authMiddleware, async (req, res) => {
+router.post('/:id/approve', authMiddleware, requirePermission('meetings:approve'), [
+  body('message').optional().trim().isLength({ max: 2000 }),
+  body('apply_proposal').optional().isBoolean().toBoolean()
+], async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Get all hotels for the organization
-    const hotels = await Hotel.findAll({
-      where: { organization_id: organization.id },
-      attributes: ['id']
-    });
-    const hotelIds = hotels.map(h => h.id);
+    const meeting = await findMeeting(req);
+    if (!meeting) {
+      return res.status(404).json({ message: 'Meeting not found' });
+    }
 
-    const meeting = await Meeting.findOne({
-      where: {
-        id: req.params.id,
-        hotel_id: { [Op.in]: hotelIds }
-      }
+    const result = await MeetingApprovalService.approve(meeting, req.member, {
+      message: req.body.message || null,
+      applyProposal: req.body.apply_proposal === true
     });
 
+    await approvalResponse(res, result);
+  } catch (error) {
+    if (error.conflicts) {
+      return bookingErrorResponse(res, error);
+    }
+    if (error.code === 'INVALID_TRANSITION' || error.code === 'NO_PROPOSAL') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Approve meeting error:', error);
+    res.status(500).json({ message: 'Error approving meeting' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/meetings/{id}/reject:
+ *   post:
+ *     summary: Reject a meeting request
+ *     description: Cancels the meeting, which frees its room, and emails the reason to the organizer.
+ *     tags: [Meetings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Meeting ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Meeting rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MeetingDecision'
+ *       400:
+ *         description: Missing reason, or the meeting is not awaiting approval
+ *       404:
+ *         description: Meeting not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/reject', authMiddleware, requirePermission('meetings:approve'), reasonValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const meeting = await findMeeting(req);
     if (!meeting) {
       return res.status(404).json({ message: 'Meeting not found' });
     }
 
-    if (meeting.status === 'confirmed') {
-      return res.status(400).json({ message: 'Meeting is already approved' });
+    const result = await MeetingApprovalService.reject(meeting, req.member, req.body.reason);
+
+    await approvalResponse(res, result);
+  } catch (error) {
+    if (error.conflicts) {
+      return bookingErrorResponse(res, error);
     }
+    if (error.code === 'INVALID_TRANSITION' || error.code === 'NO_PROPOSAL') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Reject meeting error:', error);
+    res.status(500).json({ message: 'Error rejecting meeting' });
+  }
+});
 
-    await meeting.update({
-      status: 'confirmed',
-      approved_by: req.member.id,
-      approved_at: new Date()
-    });
+/**
+ * @swagger
+ * /api/meetings/{id}/request-changes:
+ *   post:
+ *     summary: Ask the organizer to change a meeting request
+ *     description: |
+ *       Emails the requested changes to the organizer. A counter-proposal
+ *       (another time, room, or both) must be free; the meeting keeps its
+ *       current slot until it is approved with apply_proposal or rejected.
+ *     tags: [Meetings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Meeting ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: What needs to change
+ *               proposed_start_date:
+ *                 type: string
+ *                 format: date-time
+ *               proposed_end_date:
+ *                 type: string
+ *                 format: date-time
+ *               proposed_meeting_room_id:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Changes requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MeetingDecision'
+ *       400:
+ *         description: Invalid input, meeting not awaiting approval, or the proposal is not free
+ *       404:
+ *         description: Meeting or proposed room not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/request-changes', authMiddleware, requirePermission('meetings:approve'), [
+  reasonValidation,
+  body('proposed_start_date').optional().isISO8601().toDate(),
+  body('proposed_end_date').optional().isISO8601().toDate(),
+  body('proposed_meeting_room_id').optional().isInt().toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    const updatedMeeting = await Meeting.findByPk(meeting.id, {
-      include: [
-        {
-          model: Hotel,
-          attributes: ['id', 'name'],
-          include: [
-            {
-              model: Organization,
-              attributes: ['id', 'name']
-            }
-          ]
-        }
-      ]
+    const meeting = await findMeeting(req);
+    if (!meeting) {
+      return res.status(404).json({ message: 'Meeting not found' });
+    }
+
+    const { proposed_start_date, proposed_end_date, proposed_meeting_room_id } = req.body;
+    const proposal = proposed_start_date || proposed_end_date || proposed_meeting_room_id
+      ? { start_date: proposed_start_date, end_date: proposed_end_date, meeting_room_id: proposed_meeting_room_id }
+      : null;
+
+    const result = await MeetingApprovalService.requestChanges(meeting, req.member, req.body.reason, proposal);
+
+    await approvalResponse(res, result);
+  } catch (error) {
+    if (error.conflicts) {
+      return bookingErrorResponse(res, error);
+    }
+    if (error.code === 'INVALID_TRANSITION' || error.code === 'NO_PROPOSAL') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Request meeting changes error:', error);
+    res.status(500).json({ message: 'Error requesting meeting changes' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/meetings/{id}/history:
+ *   get:
+ *     summary: Get the approval history of a meeting
+ *     description: |
+ *       Submission, decisions with their reasons and counter-proposals, and
+ *       whether each email to the organizer was sent, oldest first.
+ *     tags: [Meetings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Meeting ID
+ *     responses:
+ *       200:
+ *         description: Approval history entries
+ *       404:
+ *         description: Meeting not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/history', authMiddleware, requirePermission('meetings:read'), async (req, res) => {
+  try {
+    const meeting = await findMeeting(req);
+    if (!meeting) {
+      return res.status(404).json({ message: 'Meeting not found' });
+    }
+
+    const history = await MeetingApprovalHistory.findAll({
+      where: { meeting_id: meeting.id },
+      include: [{ model: Member, as: 'changedBy', attributes: ['id', 'first_name', 'last_name'] }],
+      order: [['created_at', 'ASC'], ['id', 'ASC']]
     });
 
-    res.json(updatedMeeting);
+    res.json(history);
   } catch (error) {
-    console.error('Approve meeting error:', error);
-    res.status(500).json({ message: 'Error approving meeting' });
+    console.error('Get meeting history error:', error);
+    res.status(500).json({ message: 'Error fetching meeting history' });
   }
 });
 
@@ -0,0 +1,516 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { Menu, MenuModifierGroup, MenuModifierOption, Restaurant } = require('../models');
+
+const router = express.Router();
+
+// Validation middleware
+const groupValidation = [
+  body('name').notEmpty().trim().isLength({ max: 255 }),
+  body('min_select').optional().isInt({ min: 0, max: 50 }),
+  body('max_select').optional({ nullable: true }).isInt({ min: 1, max: 50 }),
+  body('max_per_option').optional().isInt({ min: 1, max: 10 }),
+  body('options').isArray({ min: 1, max: 50 }),
+  body('options.*.id').optional().isInt(),
+  body('options.*.name').notEmpty().trim().isLength({ max: 255 }),
+  body('options.*.menu_id').optional({ nullable: true }).isInt(),
+  body('options.*.pos_item_id').optional({ nullable: true }).trim().isLength({ max: 100 }),
+  body('options.*.price_delta').optional().isInt({ min: -1000000, max: 1000000 }),
+  body('options.*.is_default').optional().isBoolean(),
+  body('options.*.is_available').optional().isBoolean()
+];
+
+const createGroupValidation = [
+  body('restaurant_id').isInt(),
+  ...groupValidation
+];
+
+const optionInclude = {
+  model: MenuModifierOption,
+  as: 'options'
+};
+
+const optionOrder = [
+  [{ model: MenuModifierOption, as: 'options' }, 'sort_order', 'ASC'],
+  [{ model: MenuModifierOption, as: 'options' }, 'id', 'ASC']
+];
+
+const findGroup = (req, id = req.params.id) => MenuModifierGroup.findOne({
+  where: {
+    id,
+    hotel_id: { [Op.in]: req.hotelIds }
+  },
+  include: [optionInclude],
+  order: optionOrder
+});
+
+// Rules of a group that the fields alone cannot check
+const checkRules = (values) => {
+  const minSelect = values.min_select || 0;
+  const maxSelect = values.max_select === undefined ? null : values.max_select;
+  const maxPerOption = values.max_per_option || 1;
+
+  if (maxSelect !== null && minSelect > maxSelect) {
+    return 'min_select cannot be more than max_select';
+  }
+  if (minSelect > values.options.length * maxPerOption) {
+    return `min_select cannot be met with ${values.options.length} option(s)`;
+  }
+  return null;
+};
+
+// Option menu items must be condiments of the group's restaurant
+const checkCondiments = async (restaurantId, options) => {
+  const menuIds = [...new Set(options.filter(option => option.menu_id).map(option => parseInt(option.menu_id)))];
+  if (menuIds.length === 0) {
+    return null;
+  }
+
+  const count = await Menu.count({
+    where: { id: { [Op.in]: menuIds }, restaurant_id: restaurantId, is_condiment: true }
+  });
+  return count === menuIds.length ? null : 'Option menu items must be condiments of the same restaurant';
+};
+
+const optionValues = (option, index) => ({
+  name: option.name,
+  menu_id: option.menu_id || null,
+  pos_item_id: option.pos_item_id || null,
+  price_delta: option.price_delta || 0,
+  is_default: option.is_default || false,
+  is_available: option.is_available !== undefined ? option.is_available : true,
+  sort_order: index
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MenuModifierOption:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         group_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         menu_id:
+ *           type: integer
+ *           description: Condiment menu item the option stands for; its tax rate and POS number apply
+ *         pos_item_id:
+ *           type: string
+ *           description: POS object number the option is posted as
+ *         price_delta:
+ *           type: integer
+ *           description: In cents like item_price; added to the item price for each time the option is chosen
+ *         is_default:
+ *           type: boolean
+ *           description: Preselected for the guest
+ *         is_available:
+ *           type: boolean
+ *         sort_order:
+ *           type: integer
+ *     MenuModifierGroup:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         hotel_id:
+ *           type: integer
+ *         restaurant_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           description: Shown to the guest, e.g. "Choose a side"
+ *         pos_group_id:
+ *           type: string
+ *           description: Condiment group of the POS the group was synced from
+ *         min_select:
+ *           type: integer
+ *           description: Options to choose at least; 1 or more makes the group required
+ *         max_select:
+ *           type: integer
+ *           nullable: true
+ *           description: Options to choose at most; null for no limit
+ *         max_per_option:
+ *           type: integer
+ *           description: How often the same option can be chosen
+ *         options:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/MenuModifierOption'
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Menu Modifier Groups
+ *   description: Choices offered with menu items, with selection rules and price deltas
+ */
+
+/**
+ * @swagger
+ * /api/menu-modifier-groups:
+ *   get:
+ *     summary: Get modifier groups
+ *     tags: [Menu Modifier Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: restaurant_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: hotel_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Modifier groups with their options
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MenuModifierGroup'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, requirePermission('menus:read'), async (req, res) => {
+  try {
+    const whereClause = { hotel_id: { [Op.in]: req.hotelIds } };
+    if (req.query.hotel_id) whereClause.hotel_id = req.query.hotel_id;
+    if (req.query.restaurant_id) whereClause.restaurant_id = req.query.restaurant_id;
+
+    const groups = await MenuModifierGroup.findAll({
+      where: whereClause,
+      include: [optionInclude],
+      order: [['restaurant_id', 'ASC'], ['name', 'ASC'], ...optionOrder]
+    });
+
+    res.json(groups);
+  } catch (error) {
+    console.error('Get menu modifier groups error:', error);
+    res.status(500).json({ message: 'Error fetching modifier groups' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/menu-modifier-groups/{id}:
+ *   get:
+ *     summary: Get a modifier group with its options and items
+ *     tags: [Menu Modifier Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Modifier group
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MenuModifierGroup'
+ *       404:
+ *         description: Modifier group not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authMiddleware, requirePermission('menus:read'), async (req, res) => {
+  try {
+    const group = await MenuModifierGroup.findOne({
+      where: {
+        id: req.params.id,
+        hotel_id: { [Op.in]: req.hotelIds }
+      },
+      include: [
+        optionInclude,
+        {
+          model: Menu,
+          as: 'items',
+          attributes: ['id', 'item_name', 'main_category', 'sub_category'],
+          through: { attributes: [] }
+        }
+      ],
+      order: optionOrder
+    });
+    if (!group) {
+      return res.status(404).json({ message: 'Modifier group not found' });
+    }
+
+    res.json(group);
+  } catch (error) {
+    console.error('Get menu modifier group error:', error);
+    res.status(500).json({ message: 'Error fetching modifier group' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/menu-modifier-groups:
+ *   post:
+ *     summary: Create a modifier group with its options
+ *     description: Offer the group with items through PUT /api/menus/{id}/modifier-groups.
+ *     tags: [Menu Modifier Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - restaurant_id
+ *               - name
+ *               - options
+ *             properties:
+ *               restaurant_id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *               min_select:
+ *                 type: integer
+ *                 default: 0
+ *               max_select:
+ *                 type: integer
+ *                 nullable: true
+ *               max_per_option:
+ *                 type: integer
+ *                 default: 1
+ *               options:
+ *                 type: array
+ *                 description: In display order
+ *                 items:
+ *                   $ref: '#/components/schemas/MenuModifierOption'
+ *     responses:
+ *       201:
+ *         description: Modifier group created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MenuModifierGroup'
+ *       400:
+ *         description: Invalid input, or rules that cannot be met
+ *       404:
+ *         description: Restaurant not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authMiddleware, requirePermission('menus:write'), createGroupValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const restaurant = await Restaurant.findOne({
+      where: { id: req.body.restaurant_id, hotel_id: { [Op.in]: req.hotelIds } }
+    });
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    const ruleError = checkRules(req.body) || await checkCondiments(restaurant.id, req.body.options);
+    if (ruleError) {
+      return res.status(400).json({ message: ruleError });
+    }
+
+    const { name, min_select = 0, max_select = null, max_per_option = 1, options } = req.body;
+    const groupId = await MenuModifierGroup.sequelize.transaction(async (transaction) => {
+      const group = await MenuModifierGroup.create({
+        hotel_id: restaurant.hotel_id,
+        restaurant_id: restaurant.id,
+        name,
+        min_select,
+        max_select,
+        max_per_option
+      }, { transaction });
+
+      await MenuModifierOption.bulkCreate(
+        options.map((option, index) => ({ ...optionValues(option, index), group_id: group.id })),
+        { transaction }
+      );
+      return group.id;
+    });
+
+    res.status(201).json(await findGroup(req, groupId));
+  } catch (error) {
+    console.error('Create menu modifier group error:', error);
+    res.status(500).json({ message: 'Error creating modifier group' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/menu-modifier-groups/{id}:
+ *   put:
+ *     summary: Update a modifier group and its options
+ *     description: >
+ *       Options with an id are updated, options without one are added and
+ *       options left out are removed. Items already in carts are checked
+ *       against the new rules when the order is placed.
+ *     tags: [Menu Modifier Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - options
+ *             properties:
+ *               name:
+ *                 type: string
+ *               min_select:
+ *                 type: integer
+ *               max_select:
+ *                 type: integer
+ *                 nullable: true
+ *               max_per_option:
+ *                 type: integer
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/MenuModifierOption'
+ *     responses:
+ *       200:
+ *         description: Modifier group updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MenuModifierGroup'
+ *       400:
+ *         description: Invalid input, or rules that cannot be met
+ *       404:
+ *         description: Modifier group not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', authMiddleware, requirePermission('menus:write'), groupValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const group = await findGroup(req);
+    if (!group) {
+      return res.status(404).json({ message: 'Modifier group not found' });
+    }
+
+    const values = {
+      name: req.body.name,
+      min_select: req.body.min_select !== undefined ? req.body.min_select : group.min_select,
+      max_select: req.body.max_select !== undefined ? req.body.max_select : group.max_select,
+      max_per_option: req.body.max_per_option !== undefined ? req.body.max_per_option : group.max_per_option
+    };
+    const { options } = req.body;
+
+    const ruleError = checkRules({ ...values, options }) || await checkCondiments(group.restaurant_id, options);
+    if (ruleError) {
+      return res.status(400).json({ message: ruleError });
+    }
+
+    const existingIds = group.options.map(option => option.id);
+    const unknown = options.find(option => option.id && !existingIds.includes(parseInt(option.id)));
+    if (unknown) {
+      return res.status(400).json({ message: `Option ${unknown.id} does not belong to this group` });
+    }
+
+    await MenuModifierGroup.sequelize.transaction(async (transaction) => {
+      await group.update(values, { transaction });
+
+      const keptIds = options.filter(option => option.id).map(option => parseInt(option.id));
+      await MenuModifierOption.destroy({
+        where: { group_id: group.id, id: { [Op.notIn]: keptIds.length > 0 ? keptIds : [0] } },
+        transaction
+      });
+
+      for (const [index, option] of options.entries()) {
+        if (option.id) {
+          await MenuModifierOption.update(optionValues(option, index), {
+            where: { id: option.id, group_id: group.id },
+            transaction
+          });
+        } else {
+          await MenuModifierOption.create({ ...optionValues(option, index), group_id: group.id }, { transaction });
+        }
+      }
+    });
+
+    res.json(await findGroup(req));
+  } catch (error) {
+    console.error('Update menu modifier group error:', error);
+    res.status(500).json({ message: 'Error updating modifier group' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/menu-modifier-groups/{id}:
+ *   delete:
+ *     summary: Delete a modifier group
+ *     description: The group and its options are no longer offered with any item.
+ *     tags: [Menu Modifier Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Modifier group deleted
+ *       404:
+ *         description: Modifier group not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authMiddleware, requirePermission('menus:write'), async (req, res) => {
+  try {
+    const group = await findGroup(req);
+    if (!group) {
+      return res.status(404).json({ message: 'Modifier group not found' });
+    }
+
+    await group.destroy();
+    res.json({ message: 'Modifier group deleted successfully' });
+  } catch (error) {
+    console.error('Delete menu modifier group error:', error);
+    res.status(500).json({ message: 'Error deleting modifier group' });
+  }
+});
+
+module.exports = router;
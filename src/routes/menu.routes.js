@@ -1,11 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const { Menu, Hotel, Restaurant } = require('../models');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const MenuModifierService = require('../services/dining/modifier.service');
+const MenuImportService = require('../services/dining/menu-import.service');
 const multer = require('multer');
-const csv = require('csv-parser');
-const fs = require('fs');
 const path = require('path');
 
+// All menu management routes require an authenticated member
+router.use(authMiddleware);
+
 /**
  * @swagger
  * components:
@@ -17,7 +22,6 @@ const path = require('path');
  *         - item_description
  *         - tax_rate
  *         - item_price
- *         - allergens
  *         - sub_category
  *         - main_category
  *         - hotel_id
@@ -44,8 +48,23 @@ const path = require('path');
  *           format: decimal
  *           description: Price of the item
  *         allergens:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ *             enum: [gluten, crustaceans, eggs, fish, peanuts, soy, milk, nuts, celery, mustard, sesame, sulphites, lupin, molluscs]
+ *           description: >
+ *             EU allergen codes; null when not declared, empty when the item has none. Also accepted
+ *             as text ("Milk, tree nuts", "none"); common names such as wheat or dairy are mapped to codes.
+ *         allergen_notes:
  *           type: string
- *           description: List of allergens
+ *           description: Shown with the allergens, e.g. "May contain traces of nuts"
+ *         dietary_tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [vegetarian, vegan, halal, kosher, gluten-free, dairy-free]
+ *           description: Vegan adds vegetarian and dairy-free; tags that the allergens rule out are refused
  *         image:
  *           type: string
  *           description: URL or base64 of the item image (optional)
@@ -97,9 +116,10 @@ const path = require('path');
  *       500:
  *         description: Server error
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('menus:read'), async (req, res) => {
   try {
     const menus = await Menu.findAll({
+      where: { hotel_id: req.hotelIds },
       include: [
         { model: Hotel, attributes: ['name'] },
         { model: Restaurant, attributes: ['name'] }
@@ -138,7 +158,7 @@ router.get('/', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('menus:read'), async (req, res) => {
   try {
     const menu = await Menu.findByPk(req.params.id, {
       include: [
@@ -146,7 +166,7 @@ router.get('/:id', async (req, res) => {
         { model: Restaurant, attributes: ['name'] }
       ]
     });
-    if (!menu) {
+    if (!menu || !req.hotelIds.includes(menu.hotel_id)) {
       return res.status(404).json({ message: 'Menu item not found' });
     }
     res.json(menu);
@@ -181,7 +201,7 @@ router.get('/:id', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('menus:write'), async (req, res) => {
   try {
     const menu = await Menu.create(req.body);
     res.status(201).json(menu);
@@ -225,10 +245,10 @@ router.post('/', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('menus:write'), async (req, res) => {
   try {
     const menu = await Menu.findByPk(req.params.id);
-    if (!menu) {
+    if (!menu || !req.hotelIds.includes(menu.hotel_id)) {
       return res.status(404).json({ message: 'Menu item not found' });
     }
     await menu.update(req.body);
@@ -261,10 +281,10 @@ router.put('/:id', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('menus:write'), async (req, res) => {
   try {
     const menu = await Menu.findByPk(req.params.id);
-    if (!menu) {
+    if (!menu || !req.hotelIds.includes(menu.hotel_id)) {
       return res.status(404).json({ message: 'Menu item not found' });
     }
     await menu.destroy();
@@ -274,37 +294,106 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = path.join(__dirname, '../../uploads');
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
+/**
+ * @swagger
+ * /api/menus/{id}/modifier-groups:
+ *   put:
+ *     summary: Set the modifier groups offered with a menu item
+ *     description: Replaces the item's groups; they are shown in the order given.
+ *     tags: [Menus]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Menu item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - group_ids
+ *             properties:
+ *               group_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: The item's modifier groups with their options
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MenuModifierGroup'
+ *       400:
+ *         description: Invalid input, or groups of another restaurant
+ *       404:
+ *         description: Menu item not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/modifier-groups', requirePermission('menus:write'), async (req, res) => {
+  try {
+    const menu = await Menu.findByPk(req.params.id);
+    if (!menu || !req.hotelIds.includes(menu.hotel_id)) {
+      return res.status(404).json({ message: 'Menu item not found' });
+    }
+
+    const groupIds = req.body.group_ids;
+    if (!Array.isArray(groupIds) || groupIds.some(id => !Number.isInteger(parseInt(id)))) {
+      return res.status(400).json({ message: 'group_ids must be a list of modifier group IDs' });
     }
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + '-' + file.originalname);
+
+    await Menu.sequelize.transaction(transaction => MenuModifierService.setItemGroups(menu, groupIds, transaction));
+    res.json(await MenuModifierService.groupsFor(menu));
+  } catch (error) {
+    if (error.code) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
   }
 });
 
-const upload = multer({ 
-  storage: storage,
+// Imports are parsed in memory; the deployment's file system is read-only
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv') {
+    if (['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed'), false);
+      cb(new Error('Only CSV and XLSX files are allowed'), false);
     }
   }
 });
 
+// Answer upload errors (wrong type, too large) with a 400
+const receiveFile = (req, res, next) => upload.single('file')(req, res, (error) => {
+  if (error) {
+    return res.status(400).json({ message: error.message });
+  }
+  next();
+});
+
 /**
  * @swagger
  * /api/menus/bulk-upload:
  *   post:
- *     summary: Upload multiple menu items from a CSV file
+ *     summary: Import menu items from a CSV or XLSX file
+ *     description: >
+ *       Rows update the restaurant's item with the same obj_num, or add an item. Columns are
+ *       obj_num, item_name, item_description, main_category, sub_category, item_price, tax_rate,
+ *       kcal, allergens, allergen_notes, dietary_tags, image and is_condiment (or their "Item Name"
+ *       style headers); an XLSX file is read from its first sheet. The allergens column takes
+ *       allergen codes or names ("Milk; Tree nuts", "none"), dietary_tags takes dietary tags.
+ *       Nothing is saved while any row has errors, and all rows are saved together.
  *     tags: [Menus]
  *     security:
  *       - bearerAuth: []
@@ -316,144 +405,127 @@ const upload = multer({
  *             type: object
  *             required:
  *               - file
- *               - hotel_id
  *               - restaurant_id
  *             properties:
  *               file:
  *                 type: string
  *                 format: binary
- *               hotel_id:
- *                 type: integer
  *               restaurant_id:
  *                 type: integer
+ *               hotel_id:
+ *                 type: integer
+ *                 description: Optional; must be the restaurant's hotel
+ *               dry_run:
+ *                 type: boolean
+ *                 description: Only check the file and report what would change
+ *               delete_missing:
+ *                 type: boolean
+ *                 description: Delete the restaurant's items the file does not update
  *     responses:
- *       201:
- *         description: Menu items created successfully
+ *       200:
+ *         description: Import report; `applied` tells whether the changes were saved
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Menu'
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 dry_run:
+ *                   type: boolean
+ *                 applied:
+ *                   type: boolean
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     rows:
+ *                       type: integer
+ *                     created:
+ *                       type: integer
+ *                     updated:
+ *                       type: integer
+ *                     deleted:
+ *                       type: integer
+ *                     errors:
+ *                       type: integer
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                         description: Row number in the file, the header being row 1
+ *                       obj_num:
+ *                         type: string
+ *                       item_name:
+ *                         type: string
+ *                       action:
+ *                         type: string
+ *                         enum: [create, update]
+ *                       menu_id:
+ *                         type: integer
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                 deleted:
+ *                   type: array
+ *                   items:
+ *                     type: object
  *       400:
- *         description: Invalid input data or file format
+ *         description: Invalid input or file; or rows with errors, with the report and nothing saved
+ *       403:
+ *         description: Hotel not found or access denied
+ *       404:
+ *         description: Restaurant not found
  *       500:
  *         description: Server error
  */
-router.post('/bulk-upload', upload.single('file'), async (req, res) => {
+router.post('/bulk-upload', requirePermission('menus:write'), receiveFile, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
     }
 
     const { hotel_id, restaurant_id } = req.body;
-
-    if (!hotel_id || !restaurant_id) {
-      // Delete the uploaded file if required parameters are missing
-      fs.unlinkSync(req.file.path);
-      return res.status(400).json({ message: 'Missing required parameters: hotel_id and restaurant_id' });
+    if (!restaurant_id) {
+      return res.status(400).json({ message: 'Missing required parameter: restaurant_id' });
     }
 
-    // Verify that the hotel exists
-    const hotel = await Hotel.findByPk(hotel_id);
-    if (!hotel) {
-      fs.unlinkSync(req.file.path);
-      return res.status(400).json({ message: 'Hotel not found' });
+    // The multipart body is only parsed by multer, so the hotel scope is checked here
+    const restaurant = await Restaurant.findByPk(restaurant_id);
+    if (!restaurant || !req.hotelIds.includes(restaurant.hotel_id)) {
+      return res.status(404).json({ message: 'Restaurant not found' });
     }
-
-    // Verify that the restaurant exists and belongs to the hotel
-    const restaurant = await Restaurant.findOne({
-      where: {
-        id: restaurant_id,
-        hotel_id: hotel_id
-      }
-    });
-    if (!restaurant) {
-      fs.unlinkSync(req.file.path);
-      return res.status(400).json({ message: 'Restaurant not found or does not belong to the specified hotel' });
+    if (hotel_id && parseInt(hotel_id) !== restaurant.hotel_id) {
+      return res.status(403).json({ message: 'Hotel not found or access denied' });
     }
 
-    const results = [];
-    const errors = [];
-
-    // Process the CSV file
-    fs.createReadStream(req.file.path)
-      .pipe(csv())
-      .on('data', async (data) => {
-        try {
-          // Map column names to handle different CSV formats
-          const mapColumnName = (data, expectedName, alternativeNames = []) => {
-            // First try the expected name
-            if (data[expectedName] !== undefined) {
-              return data[expectedName];
-            }
-            
-            // Then try alternative names
-            for (const altName of alternativeNames) {
-              if (data[altName] !== undefined) {
-                return data[altName];
-              }
-            }
-            
-            return undefined;
-          };
-
-          // Convert string values to appropriate types
-          const menuItem = {
-            obj_num: mapColumnName(data, 'obj_num', ['Object Number']) || null,
-            item_name: mapColumnName(data, 'item_name', ['Item Name']),
-            item_description: mapColumnName(data, 'item_description', ['Item Description']),
-            main_category: mapColumnName(data, 'main_category', ['Main Category']),
-            sub_category: mapColumnName(data, 'sub_category', ['Sub Category']),
-            item_price: Math.round(parseFloat(mapColumnName(data, 'item_price', ['Item Price']) || 0) * 100),
-            tax_rate: parseFloat(mapColumnName(data, 'tax_rate', ['Tax Rate']) || 0),
-            kcal: mapColumnName(data, 'kcal', ['Calories']) || null,
-            allergens: mapColumnName(data, 'allergens', ['Allergens']),
-            image: mapColumnName(data, 'image', ['Image']) || null,
-            is_condiment: mapColumnName(data, 'is_condiment', ['Is Condiment'])?.toLowerCase() === 'true',
-            hotel_id: parseInt(hotel_id),
-            restaurant_id: parseInt(restaurant_id)
-          };
-
-          // Validate required fields
-          if (!menuItem.item_name || !menuItem.item_description || !menuItem.main_category || 
-              !menuItem.sub_category || isNaN(menuItem.item_price) || isNaN(menuItem.tax_rate)) {
-            errors.push(`Row with item_name "${data.item_name || data['Item Name'] || 'unknown'}": Missing required fields`);
-            return;
-          }
-
-          // Create the menu item
-          const createdItem = await Menu.create(menuItem);
-          results.push(createdItem);
-        } catch (error) {
-          errors.push(`Row with item_name "${data.item_name || data['Item Name'] || 'unknown'}": ${error.message}`);
-        }
-      })
-      .on('end', () => {
-        // Delete the uploaded file after processing
-        fs.unlinkSync(req.file.path);
-
-        if (results.length === 0 && errors.length > 0) {
-          return res.status(400).json({ 
-            message: 'Failed to create any menu items', 
-            errors: errors 
-          });
-        }
+    const report = await MenuImportService.import(restaurant, req.file, {
+      dryRun: req.body.dry_run === 'true',
+      deleteMissing: req.body.delete_missing === 'true'
+    });
 
-        res.status(201).json({
-          message: `Successfully created ${results.length} menu items${errors.length > 0 ? ` with ${errors.length} errors` : ''}`,
-          items: results,
-          errors: errors.length > 0 ? errors : undefined
-        });
+    if (report.summary.errors > 0 && !report.dry_run) {
+      return res.status(400).json({
+        message: `Nothing imported: ${report.summary.errors} row(s) have errors`,
+        ...report
       });
+    }
+
+    const { created, updated, deleted } = report.summary;
+    res.json({
+      message: `${report.applied ? 'Imported' : 'Dry run'}: ${created} created, ${updated} updated, ${deleted} deleted`,
+      ...report
+    });
   } catch (error) {
-    console.error('Error processing CSV file:', error);
-    // Delete the uploaded file if there's an error
-    if (req.file) {
-      fs.unlinkSync(req.file.path);
+    if (error.code === 'INVALID_FILE') {
+      return res.status(400).json({ message: error.message });
     }
-    res.status(500).json({ message: 'Server error', error: error.message });
+    console.error('Menu import error:', error);
+    res.status(500).json({ message: 'Error importing menu' });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { Offer, Hotel } = require('../models');
 const { Op } = require('sequelize');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 
 /**
  * @swagger
@@ -98,6 +100,8 @@ const { Op } = require('sequelize');
  *   get:
  *     summary: Get all offers with optional filtering
  *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: hotel_id
@@ -160,7 +164,7 @@ const { Op } = require('sequelize');
  *                     totalPages:
  *                       type: integer
  */
-router.get('/', async (req, res) => {
+router.get('/', authMiddleware, requirePermission('content:read'), async (req, res) => {
   try {
     const {
       hotel_id,
@@ -171,11 +175,7 @@ router.get('/', async (req, res) => {
       limit = 10
     } = req.query;
 
-    const where = {};
-    
-    if (hotel_id) {
-      where.hotel_id = hotel_id;
-    }
+    const where = { hotel_id: hotel_id || req.hotelIds };
     
     if (type) {
       where.type = type;
@@ -237,6 +237,8 @@ router.get('/', async (req, res) => {
  *   get:
  *     summary: Get a specific offer by ID
  *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -259,7 +261,7 @@ router.get('/', async (req, res) => {
  *       404:
  *         description: Offer not found
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', authMiddleware, requirePermission('content:read'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -273,7 +275,7 @@ router.get('/:id', async (req, res) => {
       ]
     });
 
-    if (!offer) {
+    if (!offer || !req.hotelIds.includes(offer.hotel_id)) {
       return res.status(404).json({
         status: 'error',
         message: 'Offer not found'
@@ -299,6 +301,8 @@ router.get('/:id', async (req, res) => {
  *   post:
  *     summary: Create a new offer
  *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -368,7 +372,7 @@ router.get('/:id', async (req, res) => {
  *       400:
  *         description: Validation error
  */
-router.post('/', async (req, res) => {
+router.post('/', authMiddleware, requirePermission('content:write'), async (req, res) => {
   try {
     const {
       hotel_id,
@@ -474,6 +478,8 @@ router.post('/', async (req, res) => {
  *   put:
  *     summary: Update an existing offer
  *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -504,13 +510,13 @@ router.post('/', async (req, res) => {
  *       400:
  *         description: Validation error
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('content:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
 
     const offer = await Offer.findByPk(id);
-    if (!offer) {
+    if (!offer || !req.hotelIds.includes(offer.hotel_id)) {
       return res.status(404).json({
         status: 'error',
         message: 'Offer not found'
@@ -570,6 +576,8 @@ router.put('/:id', async (req, res) => {
  *   delete:
  *     summary: Delete an offer
  *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -592,12 +600,12 @@ router.put('/:id', async (req, res) => {
  *       404:
  *         description: Offer not found
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('content:write'), async (req, res) => {
   try {
     const { id } = req.params;
     
     const offer = await Offer.findByPk(id);
-    if (!offer) {
+    if (!offer || !req.hotelIds.includes(offer.hotel_id)) {
       return res.status(404).json({
         status: 'error',
         message: 'Offer not found'
@@ -625,6 +633,8 @@ router.delete('/:id', async (req, res) => {
  *   get:
  *     summary: Get all offers for a specific hotel
  *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: hotelId
@@ -661,7 +671,7 @@ router.delete('/:id', async (req, res) => {
  *       404:
  *         description: Hotel not found
  */
-router.get('/hotel/:hotelId', async (req, res) => {
+router.get('/hotel/:hotelId', authMiddleware, requirePermission('content:read', { hotelParam: 'hotelId' }), async (req, res) => {
   try {
     const { hotelId } = req.params;
     const { type, applicable_for } = req.query;
@@ -0,0 +1,449 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { OnlineCheckIn, Stay, Guest, RoomUnit, Integration } = require('../models');
+const PMSIntegrationService = require('../services/integration/pms-integration.service');
+
+const router = express.Router();
+
+// Validation middleware
+const approveValidation = [
+  body('room_unit_id').optional().isInt()
+];
+
+const rejectValidation = [
+  body('reason').notEmpty().trim().isLength({ max: 1000 })
+];
+
+const checkInInclude = [
+  {
+    model: Stay,
+    attributes: ['id', 'confirmation_number', 'arrival_date', 'departure_date', 'status', 'adults', 'children', 'room_unit_id', 'external_reservation_id'],
+    include: [
+      {
+        model: RoomUnit,
+        attributes: ['id', 'room_number', 'floor', 'housekeeping_status']
+      }
+    ]
+  },
+  {
+    model: Guest,
+    attributes: ['id', 'first_name', 'last_name', 'email', 'phone']
+  }
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OnlineCheckIn:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         hotel_id:
+ *           type: integer
+ *         stay_id:
+ *           type: integer
+ *         guest_id:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         registration_data:
+ *           type: object
+ *           description: Registration card as submitted by the guest
+ *         estimated_arrival_time:
+ *           type: string
+ *           example: '15:30'
+ *         special_requests:
+ *           type: string
+ *         terms_accepted:
+ *           type: string
+ *           description: Hotel terms the guest accepted
+ *         terms_accepted_at:
+ *           type: string
+ *           format: date-time
+ *         submitted_at:
+ *           type: string
+ *           format: date-time
+ *         reviewed_by:
+ *           type: integer
+ *         reviewed_at:
+ *           type: string
+ *           format: date-time
+ *         rejection_reason:
+ *           type: string
+ *         pms_check_in_id:
+ *           type: string
+ *         pms_error:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/check-ins:
+ *   get:
+ *     summary: Get online check-ins
+ *     tags: [Online Check-in]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hotel_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: arrival_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated list of online check-ins, earliest arrival first
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, requirePermission('stays:read'), async (req, res) => {
+  try {
+    const whereClause = { hotel_id: req.hotelIds };
+    if (req.query.hotel_id) whereClause.hotel_id = req.query.hotel_id;
+    if (req.query.status) whereClause.status = req.query.status;
+
+    const include = checkInInclude.map(item => ({ ...item }));
+    if (req.query.arrival_date) {
+      include[0].where = { arrival_date: req.query.arrival_date };
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await OnlineCheckIn.findAndCountAll({
+      where: whereClause,
+      include,
+      order: [[Stay, 'arrival_date', 'ASC'], ['submitted_at', 'ASC']],
+      limit,
+      offset,
+      distinct: true
+    });
+
+    res.json({
+      check_ins: rows,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get online check-ins error:', error);
+    res.status(500).json({ message: 'Error fetching online check-ins' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/check-ins/{id}:
+ *   get:
+ *     summary: Get an online check-in by ID
+ *     tags: [Online Check-in]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Online check-in details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OnlineCheckIn'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Online check-in not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authMiddleware, requirePermission('stays:read'), async (req, res) => {
+  try {
+    const checkIn = await OnlineCheckIn.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds },
+      include: checkInInclude
+    });
+
+    if (!checkIn) {
+      return res.status(404).json({ message: 'Online check-in not found' });
+    }
+
+    res.json(checkIn);
+  } catch (error) {
+    console.error('Get online check-in error:', error);
+    res.status(500).json({ message: 'Error fetching online check-in' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/check-ins/{id}/approve:
+ *   post:
+ *     summary: Approve an online check-in
+ *     description: |
+ *       Checks the stay in. When the hotel has an active PMS integration the
+ *       check-in is posted to the PMS first; if the PMS rejects it the online
+ *       check-in stays pending and the error is stored in pms_error.
+ *     tags: [Online Check-in]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               room_unit_id:
+ *                 type: integer
+ *                 description: Room to assign, if the stay has none yet or it should change
+ *     responses:
+ *       200:
+ *         description: Online check-in approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OnlineCheckIn'
+ *       400:
+ *         description: Not pending, or the room is unavailable
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Online check-in not found
+ *       502:
+ *         description: PMS rejected the check-in
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/approve', authMiddleware, requirePermission('stays:write'), approveValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const checkIn = await OnlineCheckIn.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds },
+      include: [
+        {
+          model: Stay,
+          include: [RoomUnit]
+        },
+        Guest
+      ]
+    });
+
+    if (!checkIn) {
+      return res.status(404).json({ message: 'Online check-in not found' });
+    }
+
+    if (checkIn.status !== 'pending') {
+      return res.status(400).json({ message: `Online check-in is already ${checkIn.status}` });
+    }
+
+    const stay = checkIn.Stay;
+    if (stay.status !== 'reserved') {
+      return res.status(400).json({ message: `Stay is ${stay.status} and cannot be checked in` });
+    }
+
+    let roomUnit = stay.RoomUnit;
+    if (req.body.room_unit_id && (!roomUnit || roomUnit.id !== parseInt(req.body.room_unit_id))) {
+      roomUnit = await RoomUnit.findOne({
+        where: { id: req.body.room_unit_id, hotel_id: checkIn.hotel_id }
+      });
+      if (!roomUnit) {
+        return res.status(400).json({ message: 'Room unit not found in this hotel' });
+      }
+
+      const conflict = await Stay.findRoomConflict({
+        roomUnitId: roomUnit.id,
+        arrivalDate: stay.arrival_date,
+        departureDate: stay.departure_date,
+        excludeStayId: stay.id
+      });
+      if (conflict) {
+        return res.status(400).json({
+          message: `Room ${roomUnit.room_number} is already assigned to stay ${conflict.confirmation_number} for these dates`
+        });
+      }
+    }
+
+    let pmsCheckInId = null;
+    const integration = await Integration.findOne({
+      where: {
+        hotel_id: checkIn.hotel_id,
+        integration_type: 'pms',
+        status: 'active'
+      }
+    });
+
+    if (integration) {
+      const registration = checkIn.registration_data;
+      try {
+        const service = new PMSIntegrationService(integration.id);
+        const result = await service.postCheckIn({
+          reservationId: stay.external_reservation_id || stay.confirmation_number,
+          guestId: checkIn.Guest.external_id || checkIn.guest_id,
+          roomNumber: roomUnit ? roomUnit.room_number : null,
+          checkInBy: `${req.member.first_name} ${req.member.last_name}`,
+          specialRequests: checkIn.special_requests,
+          notes: [
+            'Online check-in',
+            checkIn.estimated_arrival_time && `ETA ${checkIn.estimated_arrival_time}`,
+            registration.passport_number && `Passport ${registration.passport_number}`,
+            registration.nationality && `Nationality ${registration.nationality}`
+          ].filter(Boolean).join('; ')
+        });
+        pmsCheckInId = result.pmsCheckInId ? String(result.pmsCheckInId) : null;
+      } catch (error) {
+        console.error('PMS check-in error:', error);
+        await checkIn.update({ pms_error: error.message });
+        return res.status(502).json({ message: 'PMS rejected the check-in', error: error.message });
+      }
+    }
+
+    const now = new Date();
+    await OnlineCheckIn.sequelize.transaction(async (transaction) => {
+      await checkIn.update({
+        status: 'approved',
+        reviewed_by: req.member.id,
+        reviewed_at: now,
+        pms_check_in_id: pmsCheckInId,
+        pms_error: null
+      }, { transaction });
+
+      await stay.update({
+        status: 'checked_in',
+        checked_in_at: now,
+        room_unit_id: roomUnit ? roomUnit.id : stay.room_unit_id
+      }, { transaction });
+
+      if (roomUnit) {
+        await roomUnit.update({ is_occupied: true }, { transaction });
+      }
+    });
+
+    const approved = await OnlineCheckIn.findByPk(checkIn.id, { include: checkInInclude });
+
+    res.json(approved);
+  } catch (error) {
+    console.error('Approve online check-in error:', error);
+    res.status(500).json({ message: 'Error approving online check-in' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/check-ins/{id}/reject:
+ *   post:
+ *     summary: Reject an online check-in
+ *     description: The guest sees the reason and can correct and resubmit.
+ *     tags: [Online Check-in]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Online check-in rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OnlineCheckIn'
+ *       400:
+ *         description: Invalid input or not pending
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Online check-in not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/reject', authMiddleware, requirePermission('stays:write'), rejectValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const checkIn = await OnlineCheckIn.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!checkIn) {
+      return res.status(404).json({ message: 'Online check-in not found' });
+    }
+
+    if (checkIn.status !== 'pending') {
+      return res.status(400).json({ message: `Online check-in is already ${checkIn.status}` });
+    }
+
+    await checkIn.update({
+      status: 'rejected',
+      reviewed_by: req.member.id,
+      reviewed_at: new Date(),
+      rejection_reason: req.body.reason
+    });
+
+    const rejected = await OnlineCheckIn.findByPk(checkIn.id, { include: checkInInclude });
+
+    res.json(rejected);
+  } catch (error) {
+    console.error('Reject online check-in error:', error);
+    res.status(500).json({ message: 'Error rejecting online check-in' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const { CalendarFeed } = require('../models');
+const MeetingCalendarService = require('../services/meeting/calendar.service');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Public Calendar Feeds
+ *   description: ICS feeds for calendar clients; the token in the URL is the only credential
+ */
+
+/**
+ * @swagger
+ * /api/public/calendar-feeds/{token}.ics:
+ *   get:
+ *     summary: Get a calendar feed
+ *     tags: [Public Calendar Feeds]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar document
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Feed not found or revoked
+ *       500:
+ *         description: Server error
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const token = req.params.token.replace(/\.ics$/, '');
+    const feed = await CalendarFeed.findOne({ where: { token } });
+    if (!feed) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    const ics = await MeetingCalendarService.renderFeed(feed);
+    if (ics === null) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    await feed.update({ last_accessed_at: new Date() });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="meetings.ics"');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(ics);
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({ message: 'Error fetching calendar feed' });
+  }
+});
+
+module.exports = router;
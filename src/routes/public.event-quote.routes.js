@@ -0,0 +1,203 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { EventQuote, EventQuoteLine, Meeting, Hotel } = require('../models');
+const EventQuoteService = require('../services/meeting/quote.service');
+
+const router = express.Router();
+
+// Sent quote for a link token, with what the customer may see of it
+const findByToken = (token) => EventQuote.findOne({
+  where: { token },
+  include: [
+    {
+      model: EventQuoteLine,
+      as: 'lines',
+      attributes: ['id', 'category', 'description', 'unit', 'quantity', 'unit_price', 'tax_rate', 'amount', 'tax_amount', 'menu_items', 'sort_order']
+    },
+    {
+      model: Meeting,
+      attributes: ['id', 'title', 'event_type', 'start_date', 'end_date', 'capacity', 'location', 'organizer_name']
+    },
+    {
+      model: Hotel,
+      attributes: ['id', 'name', 'hotel_slug']
+    }
+  ],
+  order: [[{ model: EventQuoteLine, as: 'lines' }, 'sort_order', 'ASC']]
+});
+
+const serialize = (quote) => ({
+  hotel: quote.Hotel,
+  meeting: quote.Meeting,
+  version: quote.version,
+  status: quote.status,
+  lines: quote.lines,
+  subtotal: quote.subtotal,
+  tax_total: quote.tax_total,
+  total: quote.total,
+  deposit_amount: quote.deposit_amount,
+  valid_until: quote.valid_until,
+  notes: quote.notes,
+  sent_at: quote.sent_at,
+  accepted_at: quote.accepted_at,
+  declined_at: quote.declined_at,
+  accepting_answers: quote.isOpen()
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Public Event Quotes
+ *   description: Quote links sent to meeting customers; no login is needed
+ */
+
+/**
+ * @swagger
+ * /api/public/event-quotes/{token}:
+ *   get:
+ *     summary: Get the quote behind a quote link
+ *     tags: [Public Event Quotes]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quote lines, totals, and whether it can still be accepted
+ *       404:
+ *         description: Quote not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const quote = await findByToken(req.params.token);
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    res.json(serialize(quote));
+  } catch (error) {
+    console.error('Get public event quote error:', error);
+    res.status(500).json({ message: 'Error fetching quote' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/public/event-quotes/{token}/accept:
+ *   post:
+ *     summary: Accept a quote
+ *     description: Only the latest sent version can be accepted, until its valid_until date.
+ *     tags: [Public Event Quotes]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Name of the person accepting
+ *     responses:
+ *       200:
+ *         description: Quote accepted
+ *       400:
+ *         description: Missing name
+ *       404:
+ *         description: Quote not found
+ *       409:
+ *         description: The quote was already answered, superseded or has expired
+ *       500:
+ *         description: Server error
+ */
+router.post('/:token/accept', body('name').notEmpty().trim().isLength({ max: 255 }), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const quote = await findByToken(req.params.token);
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    await EventQuoteService.accept(quote, req.body.name);
+
+    res.json(serialize(quote));
+  } catch (error) {
+    if (error.code === 'QUOTE_CLOSED') {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('Accept event quote error:', error);
+    res.status(500).json({ message: 'Error accepting quote' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/public/event-quotes/{token}/decline:
+ *   post:
+ *     summary: Decline a quote
+ *     tags: [Public Event Quotes]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Quote declined
+ *       404:
+ *         description: Quote not found
+ *       409:
+ *         description: The quote was already answered, superseded or has expired
+ *       500:
+ *         description: Server error
+ */
+router.post('/:token/decline', body('reason').optional().trim().isLength({ max: 2000 }), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const quote = await findByToken(req.params.token);
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    await EventQuoteService.decline(quote, req.body.reason || null);
+
+    res.json(serialize(quote));
+  } catch (error) {
+    if (error.code === 'QUOTE_CLOSED') {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('Decline event quote error:', error);
+    res.status(500).json({ message: 'Error declining quote' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,9 @@ const { Op } = require('sequelize');
 
 const router = express.Router();
 
+// Staff settings that are not shown on public hotel pages
+const PRIVATE_HOTEL_FIELDS = ['duty_manager_id'];
+
 /**
  * @swagger
  * /api/public/hotels:
@@ -60,6 +63,7 @@ const router = express.Router();
 router.get('/', async (req, res) => {
   try {
     const hotels = await Hotel.findAll({
+      attributes: { exclude: PRIVATE_HOTEL_FIELDS },
       include: [
         { 
           model: Organization, 
@@ -149,6 +153,7 @@ router.get('/:slug', async (req, res) => {
     // Get hotel with restaurants and menus
     const hotel = await Hotel.findOne({
       where: { organization_id: organization.id },
+      attributes: { exclude: PRIVATE_HOTEL_FIELDS },
       include: [
         {
           model: Restaurant,
@@ -241,6 +246,7 @@ router.get('/slug/:hotel_slug', async (req, res) => {
     // Find hotel by hotel_slug
     const hotel = await Hotel.findOne({
       where: { hotel_slug: hotel_slug },
+      attributes: { exclude: PRIVATE_HOTEL_FIELDS },
       include: [
         { 
           model: Organization, 
@@ -1,8 +1,16 @@
 const express = require('express');
+const { query, validationResult } = require('express-validator');
 const { MeetingRoom, Hotel, Organization } = require('../models');
+const MeetingBookingService = require('../services/meeting/booking.service');
 
 const router = express.Router();
 
+const calendarValidation = [
+  query('hotel_id').isInt(),
+  query('from').isISO8601().toDate(),
+  query('to').isISO8601().toDate()
+];
+
 /**
  * @swagger
  * /api/public/meeting-rooms:
@@ -107,6 +115,69 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/public/meeting-rooms/calendar:
+ *   get:
+ *     summary: Free and busy slots of a hotel's meeting rooms (public)
+ *     description: |
+ *       Busy slots include setup and teardown and bookings of combined rooms;
+ *       they do not say what is booked. At most 62 days at once.
+ *     tags: [Public Meeting Rooms]
+ *     parameters:
+ *       - in: query
+ *         name: hotel_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Busy and free slots per room
+ *       400:
+ *         description: Invalid or too long range
+ *       404:
+ *         description: Hotel not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/calendar', calendarValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { hotel_id, from, to } = req.query;
+    const rangeError = MeetingBookingService.checkCalendarRange(from, to);
+    if (rangeError) {
+      return res.status(400).json({ message: rangeError });
+    }
+
+    const hotel = await Hotel.findByPk(hotel_id);
+    if (!hotel) {
+      return res.status(404).json({ message: 'Hotel not found' });
+    }
+
+    const rooms = await MeetingBookingService.calendar(hotel.id, from, to);
+    res.json({ from, to, rooms });
+  } catch (error) {
+    console.error('Get public meeting room calendar error:', error);
+    res.status(500).json({ message: 'Error fetching meeting room calendar' });
+  }
+});
+
 /**
  * @swagger
  * /api/public/meeting-rooms/{id}:
@@ -1,6 +1,9 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { Meeting, Hotel, Organization } = require('../models');
+const { body, query, validationResult } = require('express-validator');
+const { Meeting, MeetingRoom, Hotel, Organization } = require('../models');
+const RealtimeService = require('../services/realtime/realtime.service');
+const MeetingBookingService = require('../services/meeting/booking.service');
+const MeetingApprovalService = require('../services/meeting/approval.service');
 const { Op } = require('sequelize');
 
 const router = express.Router();
@@ -14,6 +17,7 @@ const publicMeetingValidation = [
   body('end_date').isISO8601().toDate(),
   body('capacity').optional().isInt({ min: 1 }),
   body('location').optional().trim().isLength({ max: 255 }),
+  body('meeting_room_id').optional().isInt(),
   body('organizer_name').notEmpty().trim().isLength({ max: 255 }),
   body('organizer_email').isEmail().normalizeEmail(),
   body('organizer_phone').optional().trim().isLength({ max: 50 }),
@@ -22,6 +26,15 @@ const publicMeetingValidation = [
   body('equipment_required').optional().trim()
 ];
 
+const availabilityValidation = [
+  query('hotel_id').isInt(),
+  query('start_date').isISO8601().toDate(),
+  query('end_date').isISO8601().toDate(),
+  query('meeting_room_id').optional().isInt(),
+  query('location').optional().trim().isLength({ min: 1, max: 255 }),
+  query('attendees').optional().isInt({ min: 1 }).toInt()
+];
+
 /**
  * @swagger
  * /api/public/meetings:
@@ -372,6 +385,9 @@ router.get('/hotel/:hotel_slug', async (req, res) => {
  *                 type: integer
  *               location:
  *                 type: string
+ *               meeting_room_id:
+ *                 type: integer
+ *                 description: Room to book; a location matching a room name books that room
  *               organizer_name:
  *                 type: string
  *               organizer_email:
@@ -401,9 +417,9 @@ router.get('/hotel/:hotel_slug', async (req, res) => {
  *                 message:
  *                   type: string
  *       400:
- *         description: Invalid input or conflicting meeting
+ *         description: Invalid input, too many attendees for the room, or conflicting meeting
  *       404:
- *         description: Hotel not found
+ *         description: Hotel or meeting room not found
  *       500:
  *         description: Server error
  */
@@ -420,30 +436,11 @@ router.post('/', publicMeetingValidation, async (req, res) => {
       return res.status(404).json({ message: 'Hotel not found' });
     }
 
-    // Check for date conflicts
-    const conflictingMeeting = await Meeting.findOne({
-      where: {
-        hotel_id: req.body.hotel_id,
-        location: req.body.location,
-        status: { [Op.in]: ['draft', 'confirmed', 'in_progress'] },
-        [Op.or]: [
-          {
-            start_date: { [Op.lt]: req.body.end_date },
-            end_date: { [Op.gt]: req.body.start_date }
-          }
-        ]
-      }
-    });
-
-    if (conflictingMeeting) {
-      return res.status(400).json({ 
-        message: 'There is a conflicting meeting at this location and time' 
-      });
-    }
-
     // Create meeting with default values for public bookings
-    const meeting = await Meeting.create({
+    const meeting = await MeetingApprovalService.submit(hotel.id, {
       ...req.body,
+      setup_minutes: null, // Buffers are the room's own
+      teardown_minutes: null,
       status: 'draft', // Public bookings start as draft and need approval
       requires_approval: true,
       is_public: false, // Initially private until approved
@@ -465,11 +462,17 @@ router.post('/', publicMeetingValidation, async (req, res) => {
       ]
     });
 
+    await RealtimeService.publish(meeting.hotel_id, 'meetings', 'meeting.booking.created', createdMeeting.toJSON());
+
     res.status(201).json({
       ...createdMeeting.toJSON(),
       message: 'Meeting request submitted successfully. You will be notified once it is approved.'
     });
   } catch (error) {
+    // Other bookings are not shown to the public
+    if (error.conflicts) {
+      return res.status(error.code === 'ROOM_NOT_FOUND' ? 404 : 400).json({ message: error.message });
+    }
     console.error('Create public meeting error:', error);
     res.status(500).json({ message: 'Error creating meeting request' });
   }
@@ -480,6 +483,12 @@ router.post('/', publicMeetingValidation, async (req, res) => {
  * /api/public/meetings/availability:
  *   get:
  *     summary: Check meeting room availability
+ *     description: |
+ *       Checks one room (meeting_room_id, or a location naming a room) or,
+ *       without either, every room of the hotel. A room is unavailable while
+ *       it, one of its parts or a room combining it is booked, setup and
+ *       teardown buffers included, or when it holds fewer than `attendees`.
+ *       A location that is not a meeting room is checked by name only.
  *     tags: [Public Meetings]
  *     parameters:
  *       - in: query
@@ -489,11 +498,20 @@ router.post('/', publicMeetingValidation, async (req, res) => {
  *           type: integer
  *         description: Hotel ID
  *       - in: query
+ *         name: meeting_room_id
+ *         schema:
+ *           type: integer
+ *         description: Meeting room to check
+ *       - in: query
  *         name: location
- *         required: true
  *         schema:
  *           type: string
- *         description: Meeting room location
+ *         description: Meeting room name or other venue
+ *       - in: query
+ *         name: attendees
+ *         schema:
+ *           type: integer
+ *         description: Expected number of attendees
  *       - in: query
  *         name: start_date
  *         required: true
@@ -518,47 +536,94 @@ router.post('/', publicMeetingValidation, async (req, res) => {
  *               properties:
  *                 available:
  *                   type: boolean
+ *                   description: The room is free, or without a room, at least one room is
  *                 conflicting_meetings:
  *                   type: array
  *                   items:
  *                     type: object
+ *                 rooms:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       meeting_room_id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       max_capacity:
+ *                         type: integer
+ *                       fits_capacity:
+ *                         type: boolean
+ *                       available:
+ *                         type: boolean
+ *                       conflicting_meetings:
+ *                         type: array
+ *                         items:
+ *                           type: object
  *       400:
- *         description: Missing required parameters
+ *         description: Missing or invalid parameters
+ *       404:
+ *         description: Meeting room not found
  *       500:
  *         description: Server error
  */
-router.get('/availability', async (req, res) => {
+router.get('/availability', availabilityValidation, async (req, res) => {
   try {
-    const { hotel_id, location, start_date, end_date } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    if (!hotel_id || !location || !start_date || !end_date) {
-      return res.status(400).json({ 
-        message: 'Missing required parameters: hotel_id, location, start_date, end_date' 
-      });
+    const { hotel_id, location, start_date, end_date, attendees } = req.query;
+    if (end_date <= start_date) {
+      return res.status(400).json({ message: 'end_date must be after start_date' });
     }
 
-    // Check for conflicting meetings
-    const conflictingMeetings = await Meeting.findAll({
-      where: {
-        hotel_id: parseInt(hotel_id),
-        location: location,
-        status: { [Op.in]: ['draft', 'confirmed', 'in_progress'] },
-        [Op.or]: [
-          {
-            start_date: { [Op.lt]: new Date(end_date) },
-            end_date: { [Op.gt]: new Date(start_date) }
-          }
-        ]
-      },
-      attributes: ['id', 'title', 'start_date', 'end_date', 'status'],
-      order: [['start_date', 'ASC']]
+    let meetingRoomId = req.query.meeting_room_id;
+    if (!meetingRoomId && location) {
+      const room = await MeetingRoom.findOne({ where: { hotel_id, name: location }, attributes: ['id'] });
+
+      // Other venues are only matched by name
+      if (!room) {
+        const conflictingMeetings = await Meeting.findAll({
+          where: {
+            hotel_id: parseInt(hotel_id),
+            location: location,
+            status: { [Op.in]: Meeting.BLOCKING_STATUSES },
+            start_date: { [Op.lt]: end_date },
+            end_date: { [Op.gt]: start_date }
+          },
+          attributes: ['id', 'title', 'start_date', 'end_date', 'status'],
+          order: [['start_date', 'ASC']]
+        });
+
+        return res.json({
+          available: conflictingMeetings.length === 0,
+          conflicting_meetings: conflictingMeetings
+        });
+      }
+      meetingRoomId = room.id;
+    }
+
+    const rooms = await MeetingBookingService.availability(hotel_id, start_date, end_date, {
+      attendees,
+      meetingRoomId
     });
 
-    const available = conflictingMeetings.length === 0;
+    if (meetingRoomId) {
+      if (rooms.length === 0) {
+        return res.status(404).json({ message: 'Meeting room not found' });
+      }
+      return res.json({
+        available: rooms[0].available,
+        conflicting_meetings: rooms[0].conflicting_meetings,
+        rooms
+      });
+    }
 
     res.json({
-      available,
-      conflicting_meetings: conflictingMeetings
+      available: rooms.some(room => room.available),
+      rooms
     });
   } catch (error) {
     console.error('Check availability error:', error);
@@ -1,8 +1,100 @@
 const express = require('express');
+const { Op } = require('sequelize');
 const { Menu, Restaurant, Organization, Hotel } = require('../models');
+const MenuModifierService = require('../services/dining/modifier.service');
+const { ALLERGENS, DIETARY_TAGS, normalizeAllergens, normalizeDietaryTags } = require('../config/dietary');
 
 const router = express.Router();
 
+/**
+ * Where clause for ?exclude_allergens=nuts,milk&diet=vegan. Excluding
+ * allergens also leaves out items whose allergens are not declared, so a
+ * filtered list only holds items known to be safe.
+ */
+const dietaryFilter = (query) => {
+  const conditions = [];
+
+  if (query.exclude_allergens) {
+    const { codes, unknown } = normalizeAllergens(query.exclude_allergens);
+    if (unknown.length > 0) {
+      return { error: `Unknown allergen(s): ${unknown.join(', ')}` };
+    }
+    conditions.push({ allergens: { [Op.ne]: null } });
+    for (const code of codes) {
+      conditions.push({ allergens: { [Op.notLike]: `%"${code}"%` } });
+    }
+  }
+
+  if (query.diet) {
+    const { codes, unknown } = normalizeDietaryTags(query.diet);
+    if (unknown.length > 0) {
+      return { error: `Unknown dietary tag(s): ${unknown.join(', ')}` };
+    }
+    for (const code of codes) {
+      conditions.push({ dietary_tags: { [Op.like]: `%"${code}"%` } });
+    }
+  }
+
+  return { where: conditions.length > 0 ? { [Op.and]: conditions } : {} };
+};
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ExcludeAllergens:
+ *       in: query
+ *       name: exclude_allergens
+ *       schema:
+ *         type: string
+ *       description: >
+ *         Comma-separated allergen codes (gluten, crustaceans, eggs, fish, peanuts, soy, milk,
+ *         nuts, celery, mustard, sesame, sulphites, lupin, molluscs). Items containing any of
+ *         them, and items whose allergens are not declared, are left out.
+ *     Diet:
+ *       in: query
+ *       name: diet
+ *       schema:
+ *         type: string
+ *       description: >
+ *         Comma-separated dietary tags the items must all carry (vegetarian, vegan, halal,
+ *         kosher, gluten-free, dairy-free)
+ */
+
+/**
+ * @swagger
+ * /api/public/menus/{orgSlug}/allergens:
+ *   get:
+ *     summary: Allergen and dietary tag codes with their names
+ *     tags: [Public Menus]
+ *     parameters:
+ *       - in: path
+ *         name: orgSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Organization slug
+ *     responses:
+ *       200:
+ *         description: Codes used by menu items and the filters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 allergens:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: string
+ *                 dietary_tags:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: string
+ */
+router.get('/:orgSlug/allergens', (req, res) => {
+  res.json({ allergens: ALLERGENS, dietary_tags: DIETARY_TAGS });
+});
+
 /**
  * @swagger
  * /api/public/menus/{orgSlug}:
@@ -16,6 +108,8 @@ const router = express.Router();
  *         schema:
  *           type: string
  *         description: Organization slug
+ *       - $ref: '#/components/parameters/ExcludeAllergens'
+ *       - $ref: '#/components/parameters/Diet'
  *     responses:
  *       200:
  *         description: List of active menus
@@ -39,6 +133,8 @@ const router = express.Router();
  *                     properties:
  *                       name:
  *                         type: string
+ *       400:
+ *         description: Unknown allergen or dietary tag
  *       404:
  *         description: Organization not found
  *       500:
@@ -48,6 +144,11 @@ router.get('/:orgSlug', async (req, res) => {
   try {
     const { orgSlug } = req.params;
 
+    const filter = dietaryFilter(req.query);
+    if (filter.error) {
+      return res.status(400).json({ message: filter.error });
+    }
+
     // Find organization by slug
     const organization = await Organization.findOne({
       where: { org_slug: orgSlug }
@@ -70,6 +171,7 @@ router.get('/:orgSlug', async (req, res) => {
     const hotelIds = hotels.map(hotel => hotel.id);
 
     const menus = await Menu.findAll({
+      where: filter.where,
       include: [
         {
           model: Restaurant,
@@ -123,6 +225,37 @@ router.get('/:orgSlug', async (req, res) => {
  *                   type: array
  *                 restaurant:
  *                   type: object
+ *                 modifier_groups:
+ *                   type: array
+ *                   description: Choices offered with the item, in display order, with their available options
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       min_select:
+ *                         type: integer
+ *                         description: 1 or more makes the group required
+ *                       max_select:
+ *                         type: integer
+ *                         nullable: true
+ *                       max_per_option:
+ *                         type: integer
+ *                       options:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             id:
+ *                               type: integer
+ *                             name:
+ *                               type: string
+ *                             price_delta:
+ *                               type: integer
+ *                             is_default:
+ *                               type: boolean
  *       404:
  *         description: Menu not found
  *       500:
@@ -170,7 +303,24 @@ router.get('/:orgSlug/:menuId', async (req, res) => {
       return res.status(404).json({ message: 'Menu not found' });
     }
 
-    res.json(menu);
+    const groups = await MenuModifierService.groupsFor(menu, { availableOnly: true });
+
+    res.json({
+      ...menu.toJSON(),
+      modifier_groups: groups.map(group => ({
+        id: group.id,
+        name: group.name,
+        min_select: group.min_select,
+        max_select: group.max_select,
+        max_per_option: group.max_per_option,
+        options: group.options.map(option => ({
+          id: option.id,
+          name: option.name,
+          price_delta: parseInt(option.price_delta),
+          is_default: option.is_default
+        }))
+      }))
+    });
   } catch (error) {
     console.error('Get public menu error:', error);
     res.status(500).json({ message: 'Error fetching menu' });
@@ -196,6 +346,8 @@ router.get('/:orgSlug/:menuId', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: Restaurant ID
+ *       - $ref: '#/components/parameters/ExcludeAllergens'
+ *       - $ref: '#/components/parameters/Diet'
  *     responses:
  *       200:
  *         description: List of menus for the restaurant
@@ -205,6 +357,8 @@ router.get('/:orgSlug/:menuId', async (req, res) => {
  *               type: array
  *               items:
  *                 type: object
+ *       400:
+ *         description: Unknown allergen or dietary tag
  *       404:
  *         description: Restaurant not found
  *       500:
@@ -214,6 +368,11 @@ router.get('/:orgSlug/restaurant/:restaurantId', async (req, res) => {
   try {
     const { orgSlug, restaurantId } = req.params;
 
+    const filter = dietaryFilter(req.query);
+    if (filter.error) {
+      return res.status(400).json({ message: filter.error });
+    }
+
     // Find organization by slug
     const organization = await Organization.findOne({
       where: { org_slug: orgSlug }
@@ -249,7 +408,7 @@ router.get('/:orgSlug/restaurant/:restaurantId', async (req, res) => {
 
     // Get all menus for this restaurant
     const menus = await Menu.findAll({
-      where: { restaurant_id: restaurantId }
+      where: { ...filter.where, restaurant_id: restaurantId }
     });
 
     res.json(menus);
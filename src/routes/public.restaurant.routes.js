@@ -1,8 +1,103 @@
 const express = require('express');
-const { Restaurant, Organization, Hotel, Menu } = require('../models');
+const { body, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { Restaurant, Organization, Hotel, Menu, RestaurantReservation } = require('../models');
+const guestAuthMiddleware = require('../middleware/guest-auth.middleware');
+const optionalGuestAuthMiddleware = require('../middleware/optional-guest-auth.middleware');
+const RestaurantReservationService = require('../services/dining/reservation.service');
 
 const router = express.Router();
 
+// Fields a guest may see on their reservations
+const publicReservationAttributes = [
+  'id',
+  'restaurant_id',
+  'confirmation_code',
+  'name',
+  'email',
+  'phone',
+  'party_size',
+  'reservation_date',
+  'start_time',
+  'duration_minutes',
+  'status',
+  'notes',
+  'cancelled_at',
+  'created_at'
+];
+
+const publicReservationInclude = [
+  {
+    model: Restaurant,
+    attributes: ['id', 'name']
+  }
+];
+
+// Validation middleware
+const availabilityValidation = [
+  query('date').isISO8601({ strict: true }).isLength({ min: 10, max: 10 }).withMessage('Date must be YYYY-MM-DD'),
+  query('party_size').isInt({ min: 1, max: 100 })
+];
+
+const reservationValidation = [
+  body('reservation_date').isISO8601({ strict: true }).isLength({ min: 10, max: 10 })
+    .withMessage('Reservation date must be YYYY-MM-DD'),
+  body('start_time').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be in HH:MM format'),
+  body('party_size').isInt({ min: 1, max: 100 }),
+  body('name').optional().notEmpty().trim().isLength({ max: 255 }),
+  body('email').optional().isEmail(),
+  body('phone').optional({ nullable: true }).trim().isLength({ max: 50 }),
+  body('notes').optional({ nullable: true }).trim().isLength({ max: 2000 })
+];
+
+const cancelValidation = [
+  body('email').optional().isEmail(),
+  body('reason').optional().trim().isLength({ max: 1000 })
+];
+
+// IDs of the organization's hotels, or null when there is no such organization
+const findOrganizationHotels = async (orgSlug) => {
+  const organization = await Organization.findOne({
+    where: { org_slug: orgSlug }
+  });
+  if (!organization) {
+    return null;
+  }
+
+  return Hotel.findAll({
+    where: { organization_id: organization.id },
+    attributes: ['id', 'timezone']
+  });
+};
+
+const findOrganizationHotelIds = async (orgSlug) => {
+  const hotels = await findOrganizationHotels(orgSlug);
+  return hotels ? hotels.map(hotel => hotel.id) : null;
+};
+
+// A reservation is the visitor's when the email matches or it was made with their guest account
+const findOwnReservation = async (req, hotelIds) => {
+  const reservation = await RestaurantReservation.findOne({
+    where: {
+      confirmation_code: req.params.code.toUpperCase(),
+      hotel_id: { [Op.in]: hotelIds }
+    }
+  });
+  if (!reservation) {
+    return null;
+  }
+
+  const email = req.body.email || req.query.email;
+  const ownsByEmail = email && reservation.email && email.toLowerCase() === reservation.email.toLowerCase();
+  const ownsByAccount = req.guest && reservation.guest_id === req.guest.id;
+  return ownsByEmail || ownsByAccount ? reservation : null;
+};
+
+const reservationErrorResponse = (res, error) => {
+  const status = { TABLE_NOT_FOUND: 404, SLOT_UNAVAILABLE: 409 }[error.code] || 400;
+  return res.status(status).json({ message: error.message, code: error.code });
+};
+
 /**
  * @swagger
  * /api/public/restaurants/{orgSlug}:
@@ -189,4 +284,425 @@ router.get('/:orgSlug/:restaurantId', async (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+
+/**
+ * @swagger
+ * /api/public/restaurants/{orgSlug}/{restaurantId}/availability:
+ *   get:
+ *     summary: Get the reservation times of a restaurant for a party
+ *     description: Times within the working hours, in the restaurant's local time, with whether a table is free.
+ *     tags: [Public Restaurants]
+ *     parameters:
+ *       - in: path
+ *         name: orgSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: restaurantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: party_size
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reservation times
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                 party_size:
+ *                   type: integer
+ *                 duration_minutes:
+ *                   type: integer
+ *                 slots:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       time:
+ *                         type: string
+ *                         example: '19:30'
+ *                       available:
+ *                         type: boolean
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Organization or restaurant not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:orgSlug/:restaurantId/availability', availabilityValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const hotelIds = await findOrganizationHotelIds(req.params.orgSlug);
+    if (!hotelIds) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    const restaurant = await Restaurant.findOne({
+      where: { id: req.params.restaurantId, hotel_id: hotelIds }
+    });
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    const availability = await RestaurantReservationService.availability(
+      restaurant, req.query.date, parseInt(req.query.party_size)
+    );
+
+    res.json({
+      date: availability.date,
+      party_size: availability.party_size,
+      duration_minutes: availability.duration_minutes,
+      slots: availability.slots.map(slot => ({ time: slot.time, available: slot.available }))
+    });
+  } catch (error) {
+    console.error('Get public restaurant availability error:', error);
+    res.status(500).json({ message: 'Error fetching availability' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/public/restaurants/{orgSlug}/{restaurantId}/reservations:
+ *   post:
+ *     summary: Reserve a table
+ *     description: |
+ *       Anyone can reserve with a name and email. With a guest token the
+ *       reservation is linked to the guest (and to their stay at the hotel
+ *       on that date), and name and email default to the guest profile.
+ *       The confirmation code with the email looks up or cancels it.
+ *     tags: [Public Restaurants]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orgSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: restaurantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reservation_date
+ *               - start_time
+ *               - party_size
+ *             properties:
+ *               reservation_date:
+ *                 type: string
+ *                 format: date
+ *               start_time:
+ *                 type: string
+ *                 example: '19:30'
+ *               party_size:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *                 description: Required without a guest token
+ *               email:
+ *                 type: string
+ *                 description: Required without a guest token
+ *               phone:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Reservation confirmed
+ *       400:
+ *         description: Invalid input, or no reservations at that time
+ *       404:
+ *         description: Organization or restaurant not found
+ *       409:
+ *         description: Fully booked at that time
+ *       500:
+ *         description: Server error
+ */
+router.post('/:orgSlug/:restaurantId/reservations', optionalGuestAuthMiddleware, reservationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const hotelIds = await findOrganizationHotelIds(req.params.orgSlug);
+    if (!hotelIds) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    const restaurant = await Restaurant.findOne({
+      where: { id: req.params.restaurantId, hotel_id: hotelIds }
+    });
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    const { reservation_date, start_time, party_size, phone, notes } = req.body;
+    const values = { reservation_date, start_time, party_size, phone, notes };
+    if (req.guest) {
+      const stay = await RestaurantReservationService.findStay(req.guest.id, restaurant.hotel_id, reservation_date);
+      Object.assign(values, {
+        guest_id: req.guest.id,
+        stay_id: stay ? stay.id : null,
+        name: req.body.name || `${req.guest.first_name} ${req.guest.last_name}`,
+        email: req.body.email || req.guest.email,
+        phone: phone || req.guest.phone
+      });
+    } else {
+      if (!req.body.name || !req.body.email) {
+        return res.status(400).json({ message: 'Name and email are required' });
+      }
+      Object.assign(values, { name: req.body.name, email: req.body.email });
+    }
+
+    const reservation = await RestaurantReservationService.reserve(restaurant, values, null, {
+      source: req.guest ? 'guest' : 'public'
+    });
+
+    res.status(201).json(await RestaurantReservation.findByPk(reservation.id, {
+      attributes: publicReservationAttributes,
+      include: publicReservationInclude
+    }));
+  } catch (error) {
+    if (error.code) {
+      return reservationErrorResponse(res, error);
+    }
+    console.error('Create public restaurant reservation error:', error);
+    res.status(500).json({ message: 'Error creating reservation' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/public/restaurants/{orgSlug}/guest/reservations:
+ *   get:
+ *     summary: List the authenticated guest's table reservations
+ *     tags: [Public Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orgSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, past]
+ *     responses:
+ *       200:
+ *         description: Reservations by date and time
+ *       401:
+ *         description: Missing or invalid guest token
+ *       404:
+ *         description: Organization not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:orgSlug/guest/reservations', guestAuthMiddleware, async (req, res) => {
+  try {
+    const hotels = await findOrganizationHotels(req.params.orgSlug);
+    if (!hotels) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    const where = {
+      guest_id: req.guest.id,
+      hotel_id: { [Op.in]: hotels.map(hotel => hotel.id) }
+    };
+
+    // Today is the date where each hotel is, so hotels are grouped by their current date
+    const scopes = { upcoming: Op.gte, past: Op.lt };
+    if (scopes[req.query.scope]) {
+      const hotelIdsByToday = {};
+      hotels.forEach(hotel => {
+        const today = RestaurantReservationService.nowAt(hotel).date;
+        hotelIdsByToday[today] = (hotelIdsByToday[today] || []).concat(hotel.id);
+      });
+      where[Op.or] = Object.entries(hotelIdsByToday).map(([today, ids]) => ({
+        hotel_id: { [Op.in]: ids },
+        reservation_date: { [scopes[req.query.scope]]: today }
+      }));
+    }
+    if (req.query.scope === 'upcoming') {
+      where.status = { [Op.in]: RestaurantReservation.BLOCKING_STATUSES };
+    }
+
+    const reservations = await RestaurantReservation.findAll({
+      where,
+      attributes: publicReservationAttributes,
+      include: publicReservationInclude,
+      order: [['reservation_date', 'ASC'], ['start_time', 'ASC']]
+    });
+
+    res.json(reservations);
+  } catch (error) {
+    console.error('Get guest restaurant reservations error:', error);
+    res.status(500).json({ message: 'Error fetching reservations' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/public/restaurants/{orgSlug}/reservations/{code}:
+ *   get:
+ *     summary: Look up a table reservation
+ *     description: The email the reservation was made with is required, unless the guest token of its guest is sent.
+ *     tags: [Public Restaurants]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orgSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reservation details
+ *       404:
+ *         description: Organization or reservation not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:orgSlug/reservations/:code', optionalGuestAuthMiddleware, async (req, res) => {
+  try {
+    const hotelIds = await findOrganizationHotelIds(req.params.orgSlug);
+    if (!hotelIds) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    const reservation = await findOwnReservation(req, hotelIds);
+    if (!reservation) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+
+    res.json(await RestaurantReservation.findByPk(reservation.id, {
+      attributes: publicReservationAttributes,
+      include: publicReservationInclude
+    }));
+  } catch (error) {
+    console.error('Get public restaurant reservation error:', error);
+    res.status(500).json({ message: 'Error fetching reservation' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/public/restaurants/{orgSlug}/reservations/{code}/cancel:
+ *   post:
+ *     summary: Cancel a table reservation
+ *     description: The email the reservation was made with is required, unless the guest token of its guest is sent.
+ *     tags: [Public Restaurants]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orgSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reservation cancelled
+ *       400:
+ *         description: Invalid input, or the reservation is no longer confirmed
+ *       404:
+ *         description: Organization or reservation not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:orgSlug/reservations/:code/cancel', optionalGuestAuthMiddleware, cancelValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const hotelIds = await findOrganizationHotelIds(req.params.orgSlug);
+    if (!hotelIds) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    const reservation = await findOwnReservation(req, hotelIds);
+    if (!reservation) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+
+    if (reservation.status !== 'confirmed') {
+      return res.status(400).json({ message: `Reservation is already ${reservation.status}` });
+    }
+
+    await RestaurantReservationService.transition(reservation, 'cancelled', { reason: req.body.reason });
+
+    res.json({
+      message: 'Reservation cancelled successfully',
+      reservation: await RestaurantReservation.findByPk(reservation.id, {
+        attributes: publicReservationAttributes,
+        include: publicReservationInclude
+      })
+    });
+  } catch (error) {
+    console.error('Cancel public restaurant reservation error:', error);
+    res.status(500).json({ message: 'Error cancelling reservation' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Survey, SurveyResponse, Hotel, Guest } = require('../models');
+const SurveyService = require('../services/communication/survey.service');
+
+const router = express.Router();
+
+// Survey and response for a link token
+const findByToken = (token) => SurveyResponse.findOne({
+  where: { token },
+  include: [
+    {
+      model: Survey,
+      attributes: ['id', 'name', 'description', 'questions', 'is_active']
+    },
+    {
+      model: Hotel,
+      attributes: ['id', 'name', 'hotel_slug']
+    }
+  ]
+});
+
+/**
+ * @swagger
+ * /api/public/surveys/{token}:
+ *   get:
+ *     summary: Get the survey behind a survey link
+ *     description: The token comes from the survey invitation sent to the guest; no login is needed.
+ *     tags: [Public Surveys]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Survey questions, hotel and whether the survey was already answered
+ *       404:
+ *         description: Survey link not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const response = await findByToken(req.params.token);
+    if (!response) {
+      return res.status(404).json({ message: 'Survey not found' });
+    }
+
+    res.json({
+      hotel: response.Hotel,
+      survey: {
+        name: response.Survey.name,
+        description: response.Survey.description,
+        questions: response.Survey.questions
+      },
+      status: response.status,
+      accepting_answers: response.status === 'pending' && response.Survey.is_active,
+      completed_at: response.completed_at
+    });
+  } catch (error) {
+    console.error('Get public survey error:', error);
+    res.status(500).json({ message: 'Error fetching survey' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/public/surveys/{token}:
+ *   post:
+ *     summary: Answer a survey
+ *     description: |
+ *       Answers are keyed by question key. Questions whose `show_if` condition
+ *       does not match the other answers are ignored. A survey can be answered once.
+ *     tags: [Public Surveys]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - answers
+ *             properties:
+ *               answers:
+ *                 type: object
+ *           example:
+ *             answers:
+ *               recommend: 5
+ *               housekeeping: 3
+ *               what_went_wrong: The room was noisy
+ *     responses:
+ *       201:
+ *         description: Answers recorded
+ *       400:
+ *         description: Invalid or missing answers
+ *       404:
+ *         description: Survey link not found
+ *       409:
+ *         description: Survey already answered or no longer active
+ *       500:
+ *         description: Server error
+ */
+router.post('/:token', body('answers').isObject(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const response = await findByToken(req.params.token);
+    if (!response) {
+      return res.status(404).json({ message: 'Survey not found' });
+    }
+
+    if (response.status !== 'pending') {
+      return res.status(409).json({ message: 'Survey has already been answered' });
+    }
+    if (!response.Survey.is_active) {
+      return res.status(409).json({ message: 'Survey is no longer active' });
+    }
+
+    const validated = SurveyService.validateAnswers(response.Survey, req.body.answers);
+    if (validated.errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid answers', errors: validated.errors });
+    }
+    if (validated.rows.length === 0) {
+      return res.status(400).json({ message: 'Answer at least one question' });
+    }
+
+    const guest = response.guest_id ? await Guest.findByPk(response.guest_id) : null;
+    const completed = await SurveyService.complete(response, response.Survey, validated, guest);
+    if (!completed) {
+      return res.status(409).json({ message: 'Survey has already been answered' });
+    }
+
+    res.status(201).json({
+      message: 'Thank you for your feedback',
+      status: completed.status,
+      completed_at: completed.completed_at
+    });
+  } catch (error) {
+    console.error('Submit survey error:', error);
+    res.status(500).json({ message: 'Error submitting survey' });
+  }
+});
+
+module.exports = router;
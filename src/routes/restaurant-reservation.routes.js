@@ -0,0 +1,686 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { Guest, Member, Restaurant, RestaurantReservation, RestaurantTable } = require('../models');
+const RestaurantReservationService = require('../services/dining/reservation.service');
+
+const router = express.Router();
+
+// Validation middleware
+const reservationValidation = [
+  body('reservation_date').optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 })
+    .withMessage('Reservation date must be YYYY-MM-DD'),
+  body('start_time').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be in HH:MM format'),
+  body('party_size').optional().isInt({ min: 1, max: 100 }),
+  body('table_id').optional({ nullable: true }).isInt(),
+  body('name').optional().notEmpty().trim().isLength({ max: 255 }),
+  body('email').optional({ nullable: true, checkFalsy: true }).isEmail(),
+  body('phone').optional({ nullable: true }).trim().isLength({ max: 50 }),
+  body('notes').optional({ nullable: true }).trim().isLength({ max: 2000 }),
+  body('guest_id').optional({ nullable: true }).isInt()
+];
+
+const createReservationValidation = [
+  body('restaurant_id').isInt(),
+  body('reservation_date').exists().withMessage('Reservation date is required'),
+  body('start_time').exists().withMessage('Start time is required'),
+  body('party_size').exists().withMessage('Party size is required'),
+  body('name').exists().withMessage('Name is required'),
+  ...reservationValidation
+];
+
+const statusValidation = [
+  body('status').isIn(['seated', 'completed', 'cancelled', 'no_show']),
+  body('reason').optional().trim().isLength({ max: 1000 })
+];
+
+const dayValidation = [
+  query('restaurant_id').isInt(),
+  query('date').isISO8601({ strict: true }).isLength({ min: 10, max: 10 }).withMessage('Date must be YYYY-MM-DD')
+];
+
+const availabilityValidation = [
+  ...dayValidation,
+  query('party_size').isInt({ min: 1, max: 100 })
+];
+
+const reservationInclude = [
+  {
+    model: RestaurantTable,
+    attributes: ['id', 'name', 'area', 'max_covers']
+  },
+  {
+    model: Restaurant,
+    attributes: ['id', 'name']
+  },
+  {
+    model: Guest,
+    attributes: ['id', 'first_name', 'last_name', 'email', 'phone']
+  },
+  {
+    model: Member,
+    as: 'handler',
+    attributes: ['id', 'first_name', 'last_name']
+  }
+];
+
+const findRestaurant = (req, id) => Restaurant.findOne({
+  where: { id, hotel_id: { [Op.in]: req.hotelIds } }
+});
+
+const findReservation = (req) => RestaurantReservation.findOne({
+  where: {
+    id: req.params.id,
+    hotel_id: { [Op.in]: req.hotelIds }
+  }
+});
+
+const reservationErrorResponse = (res, error) => {
+  const status = { TABLE_NOT_FOUND: 404, SLOT_UNAVAILABLE: 409 }[error.code] || 400;
+  return res.status(status).json({ message: error.message, code: error.code });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RestaurantReservation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         hotel_id:
+ *           type: integer
+ *         restaurant_id:
+ *           type: integer
+ *         table_id:
+ *           type: integer
+ *         guest_id:
+ *           type: integer
+ *         stay_id:
+ *           type: integer
+ *         confirmation_code:
+ *           type: string
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         party_size:
+ *           type: integer
+ *         reservation_date:
+ *           type: string
+ *           format: date
+ *         start_time:
+ *           type: string
+ *           example: '19:30:00'
+ *           description: Local time at the restaurant
+ *         duration_minutes:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [confirmed, seated, completed, cancelled, no_show]
+ *         source:
+ *           type: string
+ *           enum: [public, guest, staff]
+ *         notes:
+ *           type: string
+ *         seated_at:
+ *           type: string
+ *           format: date-time
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *         cancelled_at:
+ *           type: string
+ *           format: date-time
+ *         cancel_reason:
+ *           type: string
+ *         no_show_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Restaurant Reservations
+ *   description: Table reservations, availability and the daily reservation sheet
+ */
+
+/**
+ * @swagger
+ * /api/restaurant-reservations:
+ *   get:
+ *     summary: Get restaurant reservations
+ *     tags: [Restaurant Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hotel_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: restaurant_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [confirmed, seated, completed, cancelled, no_show]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Name, email, phone or confirmation code
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated list of reservations by date and time
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, requirePermission('restaurants:read'), async (req, res) => {
+  try {
+    const whereClause = { hotel_id: { [Op.in]: req.hotelIds } };
+    if (req.query.hotel_id) whereClause.hotel_id = req.query.hotel_id;
+    if (req.query.restaurant_id) whereClause.restaurant_id = req.query.restaurant_id;
+    if (req.query.status) whereClause.status = req.query.status;
+    if (req.query.from || req.query.to) {
+      whereClause.reservation_date = {};
+      if (req.query.from) whereClause.reservation_date[Op.gte] = req.query.from;
+      if (req.query.to) whereClause.reservation_date[Op.lte] = req.query.to;
+    }
+    if (req.query.search) {
+      whereClause[Op.or] = [
+        { name: { [Op.like]: `%${req.query.search}%` } },
+        { email: { [Op.like]: `%${req.query.search}%` } },
+        { phone: { [Op.like]: `%${req.query.search}%` } },
+        { confirmation_code: req.query.search.toUpperCase() }
+      ];
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await RestaurantReservation.findAndCountAll({
+      where: whereClause,
+      include: reservationInclude,
+      order: [['reservation_date', 'ASC'], ['start_time', 'ASC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      reservations: rows,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get restaurant reservations error:', error);
+    res.status(500).json({ message: 'Error fetching restaurant reservations' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurant-reservations/availability:
+ *   get:
+ *     summary: Get reservation times of a restaurant for a party
+ *     description: |
+ *       Times start every reservation_slot_minutes of the restaurant within
+ *       its working hours, as long as the reservation ends by closing time.
+ *       A time is available when a table seating the party is free and
+ *       covers_per_slot is not reached.
+ *     tags: [Restaurant Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: restaurant_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: party_size
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reservation times with free tables and covers booked
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Restaurant not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/availability', authMiddleware, requirePermission('restaurants:read'), availabilityValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const restaurant = await findRestaurant(req, req.query.restaurant_id);
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    res.json(await RestaurantReservationService.availability(restaurant, req.query.date, parseInt(req.query.party_size)));
+  } catch (error) {
+    console.error('Get restaurant availability error:', error);
+    res.status(500).json({ message: 'Error fetching restaurant availability' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurant-reservations/sheet:
+ *   get:
+ *     summary: Get the reservation sheet of a restaurant for a day
+ *     description: |
+ *       The day's reservations per table in time order, covers per slot and
+ *       totals by status. Cancelled reservations are listed apart.
+ *     tags: [Restaurant Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: restaurant_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Reservation sheet
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Restaurant not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/sheet', authMiddleware, requirePermission('restaurants:read'), dayValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const restaurant = await findRestaurant(req, req.query.restaurant_id);
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    const sheet = await RestaurantReservationService.sheet(restaurant, req.query.date, [
+      { model: Guest, attributes: ['id', 'first_name', 'last_name'] }
+    ]);
+
+    res.json({ restaurant: { id: restaurant.id, name: restaurant.name }, ...sheet });
+  } catch (error) {
+    console.error('Get reservation sheet error:', error);
+    res.status(500).json({ message: 'Error fetching reservation sheet' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurant-reservations/{id}:
+ *   get:
+ *     summary: Get a restaurant reservation
+ *     tags: [Restaurant Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reservation details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RestaurantReservation'
+ *       404:
+ *         description: Reservation not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authMiddleware, requirePermission('restaurants:read'), async (req, res) => {
+  try {
+    const reservation = await findReservation(req);
+    if (!reservation) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+
+    res.json(await RestaurantReservation.findByPk(reservation.id, { include: reservationInclude }));
+  } catch (error) {
+    console.error('Get restaurant reservation error:', error);
+    res.status(500).json({ message: 'Error fetching restaurant reservation' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurant-reservations:
+ *   post:
+ *     summary: Create a restaurant reservation
+ *     description: |
+ *       Staff bookings may pick the table (table_id) and are not held to
+ *       covers_per_slot; without a table the smallest free one seating the
+ *       party is taken.
+ *     tags: [Restaurant Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - restaurant_id
+ *               - reservation_date
+ *               - start_time
+ *               - party_size
+ *               - name
+ *             properties:
+ *               restaurant_id:
+ *                 type: integer
+ *               reservation_date:
+ *                 type: string
+ *                 format: date
+ *               start_time:
+ *                 type: string
+ *                 example: '19:30'
+ *               party_size:
+ *                 type: integer
+ *               table_id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               guest_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Reservation created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RestaurantReservation'
+ *       400:
+ *         description: Invalid input, or no reservations at that time
+ *       404:
+ *         description: Restaurant, table or guest not found
+ *       409:
+ *         description: No table free at that time
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authMiddleware, requirePermission('restaurants:write'), createReservationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const restaurant = await findRestaurant(req, req.body.restaurant_id);
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    const values = { ...req.body };
+    if (values.guest_id) {
+      const guest = await Guest.findByPk(values.guest_id);
+      if (!guest) {
+        return res.status(404).json({ message: 'Guest not found' });
+      }
+      const stay = await RestaurantReservationService.findStay(guest.id, restaurant.hotel_id, values.reservation_date);
+      values.stay_id = stay ? stay.id : null;
+    }
+
+    const reservation = await RestaurantReservationService.reserve(restaurant, values, null, {
+      source: 'staff',
+      memberId: req.member.id
+    });
+
+    res.status(201).json(await RestaurantReservation.findByPk(reservation.id, { include: reservationInclude }));
+  } catch (error) {
+    if (error.code) {
+      return reservationErrorResponse(res, error);
+    }
+    console.error('Create restaurant reservation error:', error);
+    res.status(500).json({ message: 'Error creating restaurant reservation' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurant-reservations/{id}:
+ *   put:
+ *     summary: Update a confirmed restaurant reservation
+ *     description: |
+ *       A new date, time, party size or table looks for a table again,
+ *       without the covers_per_slot limit. Contact details and notes can be
+ *       changed freely.
+ *     tags: [Restaurant Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reservation_date:
+ *                 type: string
+ *                 format: date
+ *               start_time:
+ *                 type: string
+ *               party_size:
+ *                 type: integer
+ *               table_id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reservation updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RestaurantReservation'
+ *       400:
+ *         description: Invalid input, not confirmed, or no reservations at that time
+ *       404:
+ *         description: Reservation or table not found
+ *       409:
+ *         description: No table free at that time
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', authMiddleware, requirePermission('restaurants:write'), reservationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const reservation = await findReservation(req);
+    if (!reservation) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+
+    if (reservation.status !== 'confirmed') {
+      return res.status(400).json({ message: `Reservation is already ${reservation.status}` });
+    }
+
+    const restaurant = await Restaurant.findByPk(reservation.restaurant_id);
+    const { reservation_date, start_time, party_size, table_id, name, email, phone, notes } = req.body;
+    await RestaurantReservationService.reserve(restaurant, {
+      reservation_date, start_time, party_size, table_id, name, email, phone, notes
+    }, reservation, { source: 'staff', memberId: req.member.id });
+
+    res.json(await RestaurantReservation.findByPk(reservation.id, { include: reservationInclude }));
+  } catch (error) {
+    if (error.code) {
+      return reservationErrorResponse(res, error);
+    }
+    console.error('Update restaurant reservation error:', error);
+    res.status(500).json({ message: 'Error updating restaurant reservation' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurant-reservations/{id}/status:
+ *   post:
+ *     summary: Seat, complete, cancel or mark a reservation as a no-show
+ *     description: |
+ *       confirmed -> seated -> completed; a confirmed reservation can also be
+ *       cancelled or marked as a no-show, which frees its table.
+ *     tags: [Restaurant Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [seated, completed, cancelled, no_show]
+ *               reason:
+ *                 type: string
+ *                 description: Why the reservation was cancelled
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RestaurantReservation'
+ *       400:
+ *         description: Invalid input or status change not allowed
+ *       404:
+ *         description: Reservation not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/status', authMiddleware, requirePermission('restaurants:write'), statusValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const reservation = await findReservation(req);
+    if (!reservation) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+
+    await RestaurantReservationService.transition(reservation, req.body.status, {
+      memberId: req.member.id,
+      reason: req.body.reason
+    });
+
+    res.json(await RestaurantReservation.findByPk(reservation.id, { include: reservationInclude }));
+  } catch (error) {
+    if (error.code) {
+      return reservationErrorResponse(res, error);
+    }
+    console.error('Update restaurant reservation status error:', error);
+    res.status(500).json({ message: 'Error updating restaurant reservation status' });
+  }
+});
+
+module.exports = router;
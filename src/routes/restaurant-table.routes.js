@@ -0,0 +1,352 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { Restaurant, RestaurantReservation, RestaurantTable } = require('../models');
+
+const router = express.Router();
+
+// Validation middleware
+const tableValidation = [
+  body('name').notEmpty().trim().isLength({ max: 50 }),
+  body('area').optional({ nullable: true }).trim().isLength({ max: 100 }),
+  body('min_covers').optional().isInt({ min: 1, max: 100 }),
+  body('max_covers').isInt({ min: 1, max: 100 }),
+  body('is_active').optional().isBoolean()
+];
+
+const createTableValidation = [
+  body('restaurant_id').isInt(),
+  ...tableValidation
+];
+
+const findTable = (req) => RestaurantTable.findOne({
+  where: {
+    id: req.params.id,
+    hotel_id: { [Op.in]: req.hotelIds }
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RestaurantTable:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         hotel_id:
+ *           type: integer
+ *         restaurant_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           description: Table number or name, unique per restaurant
+ *         area:
+ *           type: string
+ *           description: Part of the restaurant, e.g. Terrace
+ *         min_covers:
+ *           type: integer
+ *         max_covers:
+ *           type: integer
+ *         is_active:
+ *           type: boolean
+ *           description: Inactive tables keep their reservations but take no new ones
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Restaurant Tables
+ *   description: Tables and areas of restaurants taking reservations
+ */
+
+/**
+ * @swagger
+ * /api/restaurant-tables:
+ *   get:
+ *     summary: Get restaurant tables
+ *     tags: [Restaurant Tables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: restaurant_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: hotel_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tables by area and name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RestaurantTable'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, requirePermission('restaurants:read'), async (req, res) => {
+  try {
+    const whereClause = { hotel_id: { [Op.in]: req.hotelIds } };
+    if (req.query.hotel_id) whereClause.hotel_id = req.query.hotel_id;
+    if (req.query.restaurant_id) whereClause.restaurant_id = req.query.restaurant_id;
+
+    const tables = await RestaurantTable.findAll({
+      where: whereClause,
+      order: [['restaurant_id', 'ASC'], ['area', 'ASC'], ['name', 'ASC']]
+    });
+
+    res.json(tables);
+  } catch (error) {
+    console.error('Get restaurant tables error:', error);
+    res.status(500).json({ message: 'Error fetching restaurant tables' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurant-tables:
+ *   post:
+ *     summary: Create a restaurant table
+ *     tags: [Restaurant Tables]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - restaurant_id
+ *               - name
+ *               - max_covers
+ *             properties:
+ *               restaurant_id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *               area:
+ *                 type: string
+ *               min_covers:
+ *                 type: integer
+ *                 default: 1
+ *               max_covers:
+ *                 type: integer
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Table created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RestaurantTable'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Restaurant not found
+ *       409:
+ *         description: The restaurant already has a table of that name
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authMiddleware, requirePermission('restaurants:write'), createTableValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const restaurant = await Restaurant.findOne({
+      where: { id: req.body.restaurant_id, hotel_id: { [Op.in]: req.hotelIds } }
+    });
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    const { name, area, min_covers = 1, max_covers, is_active } = req.body;
+    if (min_covers > max_covers) {
+      return res.status(400).json({ message: 'min_covers cannot be more than max_covers' });
+    }
+
+    const existing = await RestaurantTable.findOne({ where: { restaurant_id: restaurant.id, name } });
+    if (existing) {
+      return res.status(409).json({ message: `The restaurant already has a table ${name}` });
+    }
+
+    const table = await RestaurantTable.create({
+      hotel_id: restaurant.hotel_id,
+      restaurant_id: restaurant.id,
+      name,
+      area: area || null,
+      min_covers,
+      max_covers,
+      is_active: is_active !== undefined ? is_active : true
+    });
+
+    res.status(201).json(table);
+  } catch (error) {
+    console.error('Create restaurant table error:', error);
+    res.status(500).json({ message: 'Error creating restaurant table' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurant-tables/{id}:
+ *   put:
+ *     summary: Update a restaurant table
+ *     description: Existing reservations keep the table even when it no longer fits their party.
+ *     tags: [Restaurant Tables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - max_covers
+ *             properties:
+ *               name:
+ *                 type: string
+ *               area:
+ *                 type: string
+ *               min_covers:
+ *                 type: integer
+ *               max_covers:
+ *                 type: integer
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Table updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RestaurantTable'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Table not found
+ *       409:
+ *         description: The restaurant already has a table of that name
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', authMiddleware, requirePermission('restaurants:write'), tableValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const table = await findTable(req);
+    if (!table) {
+      return res.status(404).json({ message: 'Restaurant table not found' });
+    }
+
+    const { name, area, max_covers, is_active } = req.body;
+    const min_covers = req.body.min_covers !== undefined ? req.body.min_covers : table.min_covers;
+    if (min_covers > max_covers) {
+      return res.status(400).json({ message: 'min_covers cannot be more than max_covers' });
+    }
+
+    const existing = await RestaurantTable.findOne({
+      where: { restaurant_id: table.restaurant_id, name, id: { [Op.ne]: table.id } }
+    });
+    if (existing) {
+      return res.status(409).json({ message: `The restaurant already has a table ${name}` });
+    }
+
+    await table.update({
+      name,
+      area: area !== undefined ? area : table.area,
+      min_covers,
+      max_covers,
+      is_active: is_active !== undefined ? is_active : table.is_active
+    });
+
+    res.json(table);
+  } catch (error) {
+    console.error('Update restaurant table error:', error);
+    res.status(500).json({ message: 'Error updating restaurant table' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurant-tables/{id}:
+ *   delete:
+ *     summary: Delete a restaurant table
+ *     description: Not possible while it holds upcoming reservations; deactivate it instead.
+ *     tags: [Restaurant Tables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Table deleted
+ *       404:
+ *         description: Table not found
+ *       409:
+ *         description: The table has upcoming reservations
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authMiddleware, requirePermission('restaurants:write'), async (req, res) => {
+  try {
+    const table = await findTable(req);
+    if (!table) {
+      return res.status(404).json({ message: 'Restaurant table not found' });
+    }
+
+    const upcoming = await RestaurantReservation.count({
+      where: {
+        table_id: table.id,
+        status: { [Op.in]: RestaurantReservation.BLOCKING_STATUSES },
+        reservation_date: { [Op.gte]: new Date().toISOString().slice(0, 10) }
+      }
+    });
+    if (upcoming > 0) {
+      return res.status(409).json({ message: `Table ${table.name} has ${upcoming} upcoming reservation(s)` });
+    }
+
+    await table.destroy();
+    res.json({ message: 'Restaurant table deleted successfully' });
+  } catch (error) {
+    console.error('Delete restaurant table error:', error);
+    res.status(500).json({ message: 'Error deleting restaurant table' });
+  }
+});
+
+module.exports = router;
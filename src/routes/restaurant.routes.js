@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { Restaurant, Organization, Hotel } = require('../models');
+const { Restaurant, Hotel } = require('../models');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+
+// All restaurant management routes require an authenticated member
+router.use(authMiddleware);
 
 /**
  * @swagger
@@ -102,6 +107,18 @@ const { Restaurant, Organization, Hotel } = require('../models');
  *           type: string
  *           description: Image URL or base64 data for the restaurant
  *           nullable: true
+ *         reservation_slot_minutes:
+ *           type: integer
+ *           default: 15
+ *           description: Table reservations start every this many minutes from opening
+ *         reservation_duration_minutes:
+ *           type: integer
+ *           default: 90
+ *           description: How long a reservation holds its table
+ *         covers_per_slot:
+ *           type: integer
+ *           nullable: true
+ *           description: Most covers seated per reservation slot; null for no limit beyond the tables
  *         created_at:
  *           type: string
  *           format: date-time
@@ -132,11 +149,11 @@ const { Restaurant, Organization, Hotel } = require('../models');
  *       500:
  *         description: Server error
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('restaurants:read'), async (req, res) => {
   try {
     const restaurants = await Restaurant.findAll({
+      where: { hotel_id: req.query.hotel_id || req.hotelIds },
       include: [
-        { model: Organization, attributes: ['name'] },
         { model: Hotel, attributes: ['name'] }
       ]
     });
@@ -173,15 +190,14 @@ router.get('/', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('restaurants:read'), async (req, res) => {
   try {
     const restaurant = await Restaurant.findByPk(req.params.id, {
       include: [
-        { model: Organization, attributes: ['name'] },
         { model: Hotel, attributes: ['name'] }
       ]
     });
-    if (!restaurant) {
+    if (!restaurant || !req.hotelIds.includes(restaurant.hotel_id)) {
       return res.status(404).json({ message: 'Restaurant not found' });
     }
     res.json(restaurant);
@@ -216,8 +232,12 @@ router.get('/:id', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('restaurants:write'), async (req, res) => {
   try {
+    // requirePermission checks body.hotel_id against the member's hotels
+    if (!req.body.hotel_id) {
+      return res.status(400).json({ message: 'hotel_id is required' });
+    }
     const restaurant = await Restaurant.create(req.body);
     res.status(201).json(restaurant);
   } catch (error) {
@@ -260,10 +280,10 @@ router.post('/', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('restaurants:write'), async (req, res) => {
   try {
     const restaurant = await Restaurant.findByPk(req.params.id);
-    if (!restaurant) {
+    if (!restaurant || !req.hotelIds.includes(restaurant.hotel_id)) {
       return res.status(404).json({ message: 'Restaurant not found' });
     }
     await restaurant.update(req.body);
@@ -296,10 +316,10 @@ router.put('/:id', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('restaurants:write'), async (req, res) => {
   try {
     const restaurant = await Restaurant.findByPk(req.params.id);
-    if (!restaurant) {
+    if (!restaurant || !req.hotelIds.includes(restaurant.hotel_id)) {
       return res.status(404).json({ message: 'Restaurant not found' });
     }
     await restaurant.destroy();
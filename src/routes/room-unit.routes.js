@@ -0,0 +1,708 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { RoomUnit, Room, Hotel, Integration } = require('../models');
+const PMSIntegrationService = require('../services/integration/pms-integration.service');
+const { Op } = require('sequelize');
+
+const router = express.Router();
+
+const HOUSEKEEPING_STATUSES = ['dirty', 'clean', 'inspected', 'out_of_order'];
+
+// Validation middleware
+const roomUnitValidation = [
+  body('hotel_id').isInt().withMessage('Hotel ID must be an integer'),
+  body('room_id').optional({ nullable: true }).isInt().withMessage('Room type ID must be an integer'),
+  body('room_number').notEmpty().trim().isLength({ max: 20 }).withMessage('Room number is required and must be at most 20 characters'),
+  body('floor').optional({ nullable: true }).trim().isLength({ max: 20 }),
+  body('housekeeping_status').optional().isIn(HOUSEKEEPING_STATUSES),
+  body('notes').optional({ nullable: true }).trim()
+];
+
+const roomUnitUpdateValidation = [
+  body('room_id').optional({ nullable: true }).isInt().withMessage('Room type ID must be an integer'),
+  body('room_number').optional().notEmpty().trim().isLength({ max: 20 }),
+  body('floor').optional({ nullable: true }).trim().isLength({ max: 20 }),
+  body('notes').optional({ nullable: true }).trim()
+];
+
+const bulkStatusValidation = [
+  body('hotel_id').isInt().withMessage('Hotel ID must be an integer'),
+  body('room_unit_ids').isArray({ min: 1 }).withMessage('room_unit_ids must be a non-empty array'),
+  body('room_unit_ids.*').isInt(),
+  body('housekeeping_status').isIn(HOUSEKEEPING_STATUSES),
+  body('out_of_order_reason').optional({ nullable: true }).trim(),
+  body('out_of_order_until').optional({ nullable: true }).isISO8601()
+];
+
+// Room numbers and floors sort numerically where possible ("2" before "10")
+const naturalCompare = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+
+// Make sure a room type belongs to the hotel of the unit
+const findRoomType = (roomId, hotelId) => Room.findOne({
+  where: { id: roomId, hotel_id: hotelId }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RoomUnit:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         hotel_id:
+ *           type: integer
+ *         room_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Room type of this unit
+ *         room_number:
+ *           type: string
+ *           maxLength: 20
+ *         floor:
+ *           type: string
+ *           maxLength: 20
+ *           nullable: true
+ *         housekeeping_status:
+ *           type: string
+ *           enum: [dirty, clean, inspected, out_of_order]
+ *         out_of_order_reason:
+ *           type: string
+ *           nullable: true
+ *         out_of_order_until:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         is_occupied:
+ *           type: boolean
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         status_updated_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         status_updated_by:
+ *           type: integer
+ *           nullable: true
+ *         status_source:
+ *           type: string
+ *           enum: [manual, pms]
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/room-units:
+ *   get:
+ *     summary: Get room units (physical rooms)
+ *     tags: [Room Units]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hotel_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: room_id
+ *         schema:
+ *           type: integer
+ *         description: Filter by room type
+ *       - in: query
+ *         name: floor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: housekeeping_status
+ *         schema:
+ *           type: string
+ *           enum: [dirty, clean, inspected, out_of_order]
+ *     responses:
+ *       200:
+ *         description: List of room units
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RoomUnit'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, requirePermission('rooms:read'), async (req, res) => {
+  try {
+    const whereClause = { hotel_id: req.hotelIds };
+    if (req.query.hotel_id) whereClause.hotel_id = req.query.hotel_id;
+    if (req.query.room_id) whereClause.room_id = req.query.room_id;
+    if (req.query.floor) whereClause.floor = req.query.floor;
+    if (req.query.housekeeping_status) whereClause.housekeeping_status = req.query.housekeeping_status;
+
+    const roomUnits = await RoomUnit.findAll({
+      where: whereClause,
+      include: [
+        {
+          model: Room,
+          attributes: ['id', 'room_type', 'bed_type']
+        }
+      ]
+    });
+
+    roomUnits.sort((a, b) => naturalCompare(a.room_number, b.room_number));
+
+    res.json(roomUnits);
+  } catch (error) {
+    console.error('Get room units error:', error);
+    res.status(500).json({ message: 'Error fetching room units' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/room-units/board:
+ *   get:
+ *     summary: Housekeeping board for a hotel, grouped by floor
+ *     tags: [Room Units]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hotel_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Room units grouped by floor with status counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 hotel_id:
+ *                   type: integer
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     occupied:
+ *                       type: integer
+ *                     vacant:
+ *                       type: integer
+ *                     dirty:
+ *                       type: integer
+ *                     clean:
+ *                       type: integer
+ *                     inspected:
+ *                       type: integer
+ *                     out_of_order:
+ *                       type: integer
+ *                 floors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       floor:
+ *                         type: string
+ *                         nullable: true
+ *                       rooms:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/RoomUnit'
+ *       400:
+ *         description: hotel_id is required
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/board', authMiddleware, requirePermission('rooms:read'), query('hotel_id').isInt(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const roomUnits = await RoomUnit.findAll({
+      where: { hotel_id: req.query.hotel_id },
+      include: [
+        {
+          model: Room,
+          attributes: ['id', 'room_type']
+        }
+      ]
+    });
+
+    const summary = { total: roomUnits.length, occupied: 0, vacant: 0 };
+    HOUSEKEEPING_STATUSES.forEach(status => { summary[status] = 0; });
+
+    const floors = new Map();
+    roomUnits.forEach(unit => {
+      summary[unit.housekeeping_status]++;
+      summary[unit.is_occupied ? 'occupied' : 'vacant']++;
+
+      const floor = unit.floor || null;
+      if (!floors.has(floor)) floors.set(floor, []);
+      floors.get(floor).push(unit);
+    });
+
+    const board = Array.from(floors.entries())
+      .sort(([a], [b]) => (a === null) - (b === null) || naturalCompare(a, b))
+      .map(([floor, rooms]) => ({
+        floor,
+        rooms: rooms.sort((a, b) => naturalCompare(a.room_number, b.room_number))
+      }));
+
+    res.json({
+      hotel_id: parseInt(req.query.hotel_id),
+      summary,
+      floors: board
+    });
+  } catch (error) {
+    console.error('Get housekeeping board error:', error);
+    res.status(500).json({ message: 'Error fetching housekeeping board' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/room-units/housekeeping-status:
+ *   put:
+ *     summary: Update the housekeeping status of several room units at once
+ *     description: Setting out_of_order requires a reason. Any other status clears the out-of-order details.
+ *     tags: [Room Units]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hotel_id
+ *               - room_unit_ids
+ *               - housekeeping_status
+ *             properties:
+ *               hotel_id:
+ *                 type: integer
+ *               room_unit_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               housekeeping_status:
+ *                 type: string
+ *                 enum: [dirty, clean, inspected, out_of_order]
+ *               out_of_order_reason:
+ *                 type: string
+ *               out_of_order_until:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Room units updated successfully
+ *       400:
+ *         description: Invalid input or room units not in the hotel
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/housekeeping-status', authMiddleware, requirePermission('rooms:write'), bulkStatusValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { hotel_id, housekeeping_status, out_of_order_reason, out_of_order_until } = req.body;
+    const ids = [...new Set(req.body.room_unit_ids.map(id => parseInt(id)))];
+
+    if (housekeeping_status === 'out_of_order' && !out_of_order_reason) {
+      return res.status(400).json({ message: 'out_of_order_reason is required when setting a room out of order' });
+    }
+
+    const roomUnits = await RoomUnit.findAll({
+      where: { id: { [Op.in]: ids }, hotel_id },
+      attributes: ['id']
+    });
+
+    const found = roomUnits.map(unit => unit.id);
+    const missing = ids.filter(id => !found.includes(id));
+    if (missing.length > 0) {
+      return res.status(400).json({ message: 'Room units not found in this hotel', room_unit_ids: missing });
+    }
+
+    const isOutOfOrder = housekeeping_status === 'out_of_order';
+    await RoomUnit.update({
+      housekeeping_status,
+      out_of_order_reason: isOutOfOrder ? out_of_order_reason : null,
+      out_of_order_until: isOutOfOrder ? (out_of_order_until || null) : null,
+      status_updated_at: new Date(),
+      status_updated_by: req.member.id,
+      status_source: 'manual'
+    }, {
+      where: { id: { [Op.in]: ids }, hotel_id }
+    });
+
+    const updated = await RoomUnit.findAll({ where: { id: { [Op.in]: ids } } });
+
+    res.json({
+      message: `${updated.length} room units updated`,
+      room_units: updated
+    });
+  } catch (error) {
+    console.error('Bulk housekeeping status error:', error);
+    res.status(500).json({ message: 'Error updating housekeeping status' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/room-units/sync-pms:
+ *   post:
+ *     summary: Pull room statuses from the hotel's PMS integration
+ *     description: Updates housekeeping status and occupancy from PMS room status, creating units for unknown room numbers.
+ *     tags: [Room Units]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hotel_id
+ *             properties:
+ *               hotel_id:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Sync results
+ *       400:
+ *         description: hotel_id is required
+ *       404:
+ *         description: No active PMS integration for this hotel
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/sync-pms', authMiddleware, requirePermission('rooms:write'), body('hotel_id').isInt(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const integration = await Integration.findOne({
+      where: {
+        hotel_id: req.body.hotel_id,
+        integration_type: 'pms',
+        status: 'active'
+      }
+    });
+
+    if (!integration) {
+      return res.status(404).json({ message: 'No active PMS integration for this hotel' });
+    }
+
+    const service = new PMSIntegrationService(integration.id);
+    const result = await service.syncRoomStatus();
+
+    res.json(result);
+  } catch (error) {
+    console.error('Room status sync error:', error);
+    res.status(500).json({ message: 'Error syncing room status from PMS', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/room-units/{id}:
+ *   get:
+ *     summary: Get a room unit by ID
+ *     tags: [Room Units]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Room unit details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RoomUnit'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Room unit not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authMiddleware, requirePermission('rooms:read'), async (req, res) => {
+  try {
+    const roomUnit = await RoomUnit.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds },
+      include: [
+        {
+          model: Room,
+          attributes: ['id', 'room_type', 'bed_type']
+        },
+        {
+          model: Hotel,
+          attributes: ['id', 'name']
+        }
+      ]
+    });
+
+    if (!roomUnit) {
+      return res.status(404).json({ message: 'Room unit not found' });
+    }
+
+    res.json(roomUnit);
+  } catch (error) {
+    console.error('Get room unit error:', error);
+    res.status(500).json({ message: 'Error fetching room unit' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/room-units:
+ *   post:
+ *     summary: Create a room unit
+ *     tags: [Room Units]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hotel_id
+ *               - room_number
+ *             properties:
+ *               hotel_id:
+ *                 type: integer
+ *               room_id:
+ *                 type: integer
+ *                 description: Room type of this unit
+ *               room_number:
+ *                 type: string
+ *               floor:
+ *                 type: string
+ *               housekeeping_status:
+ *                 type: string
+ *                 enum: [dirty, clean, inspected]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Room unit created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RoomUnit'
+ *       400:
+ *         description: Invalid input or room number already exists
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authMiddleware, requirePermission('rooms:write'), roomUnitValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { hotel_id, room_id, room_number, floor, housekeeping_status, notes } = req.body;
+
+    if (housekeeping_status === 'out_of_order') {
+      return res.status(400).json({ message: 'Use the housekeeping status endpoint to set a room out of order' });
+    }
+
+    if (room_id && !(await findRoomType(room_id, hotel_id))) {
+      return res.status(400).json({ message: 'Room type not found in this hotel' });
+    }
+
+    const existing = await RoomUnit.findOne({ where: { hotel_id, room_number } });
+    if (existing) {
+      return res.status(400).json({ message: 'Room number already exists in this hotel' });
+    }
+
+    const roomUnit = await RoomUnit.create({
+      hotel_id,
+      room_id,
+      room_number,
+      floor,
+      housekeeping_status,
+      notes,
+      status_updated_at: new Date(),
+      status_updated_by: req.member.id
+    });
+
+    res.status(201).json(roomUnit);
+  } catch (error) {
+    console.error('Create room unit error:', error);
+    res.status(500).json({ message: 'Error creating room unit' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/room-units/{id}:
+ *   put:
+ *     summary: Update a room unit
+ *     description: Housekeeping status is changed with PUT /api/room-units/housekeeping-status.
+ *     tags: [Room Units]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               room_id:
+ *                 type: integer
+ *                 nullable: true
+ *               room_number:
+ *                 type: string
+ *               floor:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Room unit updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RoomUnit'
+ *       400:
+ *         description: Invalid input or room number already exists
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Room unit not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', authMiddleware, requirePermission('rooms:write'), roomUnitUpdateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const roomUnit = await RoomUnit.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!roomUnit) {
+      return res.status(404).json({ message: 'Room unit not found' });
+    }
+
+    const { room_id, room_number, floor, notes } = req.body;
+
+    if (room_id && !(await findRoomType(room_id, roomUnit.hotel_id))) {
+      return res.status(400).json({ message: 'Room type not found in this hotel' });
+    }
+
+    if (room_number && room_number !== roomUnit.room_number) {
+      const existing = await RoomUnit.findOne({
+        where: { hotel_id: roomUnit.hotel_id, room_number }
+      });
+      if (existing) {
+        return res.status(400).json({ message: 'Room number already exists in this hotel' });
+      }
+    }
+
+    const updateData = {};
+    if (room_id !== undefined) updateData.room_id = room_id;
+    if (room_number !== undefined) updateData.room_number = room_number;
+    if (floor !== undefined) updateData.floor = floor;
+    if (notes !== undefined) updateData.notes = notes;
+
+    await roomUnit.update(updateData);
+
+    res.json(roomUnit);
+  } catch (error) {
+    console.error('Update room unit error:', error);
+    res.status(500).json({ message: 'Error updating room unit' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/room-units/{id}:
+ *   delete:
+ *     summary: Delete a room unit
+ *     tags: [Room Units]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Room unit deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Room unit not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authMiddleware, requirePermission('rooms:write'), async (req, res) => {
+  try {
+    const roomUnit = await RoomUnit.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!roomUnit) {
+      return res.status(404).json({ message: 'Room unit not found' });
+    }
+
+    await roomUnit.destroy();
+
+    res.json({ message: 'Room unit deleted successfully' });
+  } catch (error) {
+    console.error('Delete room unit error:', error);
+    res.status(500).json({ message: 'Error deleting room unit' });
+  }
+});
+
+module.exports = router;
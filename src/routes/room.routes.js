@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 const { Room, Hotel, Organization } = require('../models');
 const { Op } = require('sequelize');
 
@@ -79,13 +80,8 @@ const roomValidation = [
  *       500:
  *         description: Server error
  */
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requirePermission('rooms:read'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const whereClause = {};
     if (req.query.hotel_id) {
       whereClause.hotel_id = req.query.hotel_id;
@@ -96,7 +92,7 @@ router.get('/', authMiddleware, async (req, res) => {
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id },
+          where: { id: req.hotelIds },
           attributes: ['id', 'name']
         }
       ]
@@ -138,19 +134,14 @@ router.get('/', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, requirePermission('rooms:read'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const room = await Room.findOne({
       where: { id: req.params.id },
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id },
+          where: { id: req.hotelIds },
           attributes: ['id', 'name']
         }
       ]
@@ -219,7 +210,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authMiddleware, roomValidation, async (req, res) => {
+router.post('/', authMiddleware, requirePermission('rooms:write'), roomValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -229,16 +220,11 @@ router.post('/', authMiddleware, roomValidation, async (req, res) => {
       });
     }
 
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     // Verify that the hotel belongs to the organization
     const hotel = await Hotel.findOne({
       where: { 
         id: req.body.hotel_id,
-        organization_id: organization.id 
+        organization_id: req.organization.id 
       }
     });
 
@@ -321,7 +307,7 @@ router.post('/', authMiddleware, roomValidation, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', authMiddleware, roomValidation, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('rooms:write'), roomValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -331,17 +317,12 @@ router.put('/:id', authMiddleware, roomValidation, async (req, res) => {
       });
     }
 
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const room = await Room.findOne({
       where: { id: req.params.id },
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id },
+          where: { id: req.hotelIds },
           attributes: ['id', 'name']
         }
       ]
@@ -356,7 +337,7 @@ router.put('/:id', authMiddleware, roomValidation, async (req, res) => {
       const hotel = await Hotel.findOne({
         where: { 
           id: req.body.hotel_id,
-          organization_id: organization.id 
+          organization_id: req.organization.id 
         }
       });
 
@@ -408,19 +389,14 @@ router.put('/:id', authMiddleware, roomValidation, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('rooms:write'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const room = await Room.findOne({
       where: { id: req.params.id },
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id },
+          where: { id: req.hotelIds },
           attributes: ['id', 'name']
         }
       ]
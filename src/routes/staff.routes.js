@@ -0,0 +1,473 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const jwt = require('jsonwebtoken');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { ROLE_PERMISSIONS, STAFF_ROLES } = require('../config/permissions');
+const { Member, Hotel, MemberHotel } = require('../models');
+const { Op } = require('sequelize');
+
+const router = express.Router();
+
+// Invitations are valid for 7 days
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const staffAttributes = [
+  'id',
+  'email',
+  'first_name',
+  'last_name',
+  'role',
+  'status',
+  'invitation_expires_at',
+  'created_at',
+  'updated_at'
+];
+
+// Validation middleware
+const inviteValidation = [
+  body('email').isEmail().normalizeEmail(),
+  body('first_name').notEmpty().trim(),
+  body('last_name').notEmpty().trim(),
+  body('role').isIn(STAFF_ROLES),
+  body('hotel_ids').isArray({ min: 1 }),
+  body('hotel_ids.*').isInt()
+];
+
+const updateValidation = [
+  body('role').optional().isIn(STAFF_ROLES),
+  body('status').optional().isIn(['active', 'disabled']),
+  body('hotel_ids').optional().isArray({ min: 1 }),
+  body('hotel_ids.*').optional().isInt()
+];
+
+const acceptValidation = [
+  body('token').notEmpty(),
+  body('password').isLength({ min: 6 })
+];
+
+// Replace the hotel scope of a staff member
+const setHotelScope = async (memberId, hotelIds) => {
+  await MemberHotel.destroy({ where: { member_id: memberId } });
+  await MemberHotel.bulkCreate(
+    hotelIds.map(hotelId => ({ member_id: memberId, hotel_id: parseInt(hotelId) }))
+  );
+};
+
+const findStaffMember = (organizationId, memberId) => Member.findOne({
+  where: {
+    id: memberId,
+    organization_id: organizationId,
+    role: { [Op.ne]: 'owner' }
+  },
+  attributes: staffAttributes,
+  include: [{
+    model: Hotel,
+    as: 'assignedHotels',
+    attributes: ['id', 'name'],
+    through: { attributes: [] }
+  }]
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StaffMember:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         email:
+ *           type: string
+ *         first_name:
+ *           type: string
+ *         last_name:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [front_desk, fb_manager, spa_manager, concierge_agent, auditor]
+ *         status:
+ *           type: string
+ *           enum: [invited, active, disabled]
+ *         invitation_expires_at:
+ *           type: string
+ *           format: date-time
+ *         assignedHotels:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/staff/roles:
+ *   get:
+ *     summary: List staff roles and the permissions they grant
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/roles', authMiddleware, (req, res) => {
+  res.json(STAFF_ROLES.map(role => ({
+    role,
+    permissions: ROLE_PERMISSIONS[role]
+  })));
+});
+
+/**
+ * @swagger
+ * /api/staff:
+ *   get:
+ *     summary: List staff members of the organization
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Staff members retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/StaffMember'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, requirePermission('staff:read'), async (req, res) => {
+  try {
+    const staff = await Member.findAll({
+      where: {
+        organization_id: req.organization.id,
+        role: { [Op.ne]: 'owner' }
+      },
+      attributes: staffAttributes,
+      include: [{
+        model: Hotel,
+        as: 'assignedHotels',
+        attributes: ['id', 'name'],
+        through: { attributes: [] }
+      }],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json(staff);
+  } catch (error) {
+    console.error('Get staff error:', error);
+    res.status(500).json({ message: 'Error fetching staff' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/staff/invite:
+ *   post:
+ *     summary: Invite a staff member with a role and hotel scope
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - first_name
+ *               - last_name
+ *               - role
+ *               - hotel_ids
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               first_name:
+ *                 type: string
+ *               last_name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [front_desk, fb_manager, spa_manager, concierge_agent, auditor]
+ *               hotel_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       201:
+ *         description: Invitation created; the response carries the invitation token to share with the invitee
+ *       400:
+ *         description: Invalid input or email already registered
+ *       403:
+ *         description: Missing permission or hotel outside your scope
+ *       500:
+ *         description: Server error
+ */
+router.post('/invite', authMiddleware, requirePermission('staff:manage'), inviteValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, first_name, last_name, role, hotel_ids } = req.body;
+
+    const outOfScope = hotel_ids.filter(id => !req.hotelIds.includes(parseInt(id)));
+    if (outOfScope.length > 0) {
+      return res.status(403).json({ message: 'Hotel not found or access denied', hotel_ids: outOfScope });
+    }
+
+    const existingMember = await Member.findOne({ where: { email } });
+    if (existingMember) {
+      return res.status(400).json({ message: 'Email already registered' });
+    }
+
+    const invitationToken = crypto.randomBytes(32).toString('hex');
+
+    const member = await Member.create({
+      email,
+      // Placeholder until the invitee sets a password; hashed by the model hook
+      password_hash: crypto.randomBytes(32).toString('hex'),
+      first_name,
+      last_name,
+      role,
+      status: 'invited',
+      organization_id: req.organization.id,
+      invitation_token: invitationToken,
+      invitation_expires_at: new Date(Date.now() + INVITATION_TTL_MS),
+      invited_by: req.member.id
+    });
+
+    await setHotelScope(member.id, hotel_ids);
+
+    const invited = await findStaffMember(req.organization.id, member.id);
+
+    res.status(201).json({
+      message: 'Staff member invited successfully',
+      invitation_token: invitationToken,
+      member: invited
+    });
+  } catch (error) {
+    console.error('Invite staff error:', error);
+    res.status(500).json({ message: 'Error inviting staff member' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/staff/accept-invitation:
+ *   post:
+ *     summary: Accept a staff invitation and set a password
+ *     tags: [Staff]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Invitation accepted, returns a login token
+ *       400:
+ *         description: Invalid or expired invitation
+ *       500:
+ *         description: Server error
+ */
+router.post('/accept-invitation', acceptValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const member = await Member.findOne({
+      where: {
+        invitation_token: req.body.token,
+        status: 'invited'
+      }
+    });
+
+    if (!member || !member.invitation_expires_at || member.invitation_expires_at < new Date()) {
+      return res.status(400).json({ message: 'Invalid or expired invitation' });
+    }
+
+    member.password_hash = req.body.password;
+    member.status = 'active';
+    member.invitation_token = null;
+    member.invitation_expires_at = null;
+    await member.save();
+
+    const token = jwt.sign(
+      { id: member.id, email: member.email },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+    );
+
+    res.json({
+      message: 'Invitation accepted',
+      token,
+      member: {
+        id: member.id,
+        email: member.email,
+        first_name: member.first_name,
+        last_name: member.last_name,
+        role: member.role
+      }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ message: 'Error accepting invitation' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/staff/{id}:
+ *   put:
+ *     summary: Update a staff member's role, status or hotel scope
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [front_desk, fb_manager, spa_manager, concierge_agent, auditor]
+ *               status:
+ *                 type: string
+ *                 enum: [active, disabled]
+ *               hotel_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Staff member updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StaffMember'
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Missing permission or hotel outside your scope
+ *       404:
+ *         description: Staff member not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', authMiddleware, requirePermission('staff:manage'), updateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const member = await findStaffMember(req.organization.id, req.params.id);
+    if (!member) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    const { role, status, hotel_ids } = req.body;
+
+    if (hotel_ids) {
+      const outOfScope = hotel_ids.filter(id => !req.hotelIds.includes(parseInt(id)));
+      if (outOfScope.length > 0) {
+        return res.status(403).json({ message: 'Hotel not found or access denied', hotel_ids: outOfScope });
+      }
+      await setHotelScope(member.id, hotel_ids);
+    }
+
+    const updateData = {};
+    if (role !== undefined) updateData.role = role;
+    // An invited member stays invited until the invitation is accepted
+    if (status !== undefined && member.status !== 'invited') updateData.status = status;
+
+    await Member.update(updateData, { where: { id: member.id } });
+
+    res.json(await findStaffMember(req.organization.id, req.params.id));
+  } catch (error) {
+    console.error('Update staff error:', error);
+    res.status(500).json({ message: 'Error updating staff member' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/staff/{id}:
+ *   delete:
+ *     summary: Remove a staff member
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Staff member removed successfully
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Staff member not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authMiddleware, requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const member = await findStaffMember(req.organization.id, req.params.id);
+    if (!member) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    await MemberHotel.destroy({ where: { member_id: member.id } });
+    await Member.destroy({ where: { id: member.id } });
+
+    res.json({ message: 'Staff member removed successfully' });
+  } catch (error) {
+    console.error('Delete staff error:', error);
+    res.status(500).json({ message: 'Error removing staff member' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,856 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { Stay, Guest, Hotel, Room, RoomUnit, FolioCharge } = require('../models');
+const PMSIntegrationService = require('../services/integration/pms-integration.service');
+const SurveyService = require('../services/communication/survey.service');
+const { Op } = require('sequelize');
+
+const router = express.Router();
+
+const STAY_STATUSES = ['reserved', 'checked_in', 'checked_out', 'cancelled', 'no_show'];
+const STAY_SOURCES = ['direct', 'pms', 'ota', 'walk_in'];
+
+// Validation middleware
+const stayValidation = [
+  body('hotel_id').isInt().withMessage('Hotel ID must be an integer'),
+  body('guest_id').isInt().withMessage('Guest ID must be an integer'),
+  body('room_unit_id').optional({ nullable: true }).isInt(),
+  body('room_id').optional({ nullable: true }).isInt(),
+  body('confirmation_number').optional().trim().isLength({ min: 1, max: 50 }),
+  body('arrival_date').isISO8601().withMessage('Arrival date must be a valid date'),
+  body('departure_date').isISO8601().withMessage('Departure date must be a valid date'),
+  body('status').optional().isIn(STAY_STATUSES),
+  body('adults').optional().isInt({ min: 1 }),
+  body('children').optional().isInt({ min: 0 }),
+  body('source').optional().isIn(STAY_SOURCES),
+  body('special_requests').optional({ nullable: true }).trim(),
+  body('notes').optional({ nullable: true }).trim()
+];
+
+const stayUpdateValidation = [
+  body('room_unit_id').optional({ nullable: true }).isInt(),
+  body('room_id').optional({ nullable: true }).isInt(),
+  body('arrival_date').optional().isISO8601(),
+  body('departure_date').optional().isISO8601(),
+  body('status').optional().isIn(STAY_STATUSES),
+  body('adults').optional().isInt({ min: 1 }),
+  body('children').optional().isInt({ min: 0 }),
+  body('special_requests').optional({ nullable: true }).trim(),
+  body('notes').optional({ nullable: true }).trim()
+];
+
+const chargeValidation = [
+  body('description').notEmpty().trim().isLength({ max: 255 }),
+  body('category').optional().trim().isLength({ max: 50 }),
+  body('quantity').optional().isInt({ min: 1 }),
+  body('amount').isDecimal().withMessage('Amount must be a decimal'),
+  body('posted_at').optional().isISO8601()
+];
+
+const resolveDisputeValidation = [
+  body('resolution').isIn(['upheld', 'dismissed']),
+  body('note').optional().trim().isLength({ max: 1000 })
+];
+
+const stayInclude = [
+  {
+    model: Guest,
+    attributes: ['id', 'first_name', 'last_name', 'email', 'phone']
+  },
+  {
+    model: RoomUnit,
+    attributes: ['id', 'room_number', 'floor', 'housekeeping_status']
+  },
+  {
+    model: Room,
+    attributes: ['id', 'room_type']
+  },
+  {
+    model: Hotel,
+    attributes: ['id', 'name']
+  }
+];
+
+// Check the room unit belongs to the hotel and is not held by another stay for overlapping dates
+const checkRoomUnit = async ({ hotelId, roomUnitId, arrivalDate, departureDate, stayId = null }) => {
+  const roomUnit = await RoomUnit.findOne({ where: { id: roomUnitId, hotel_id: hotelId } });
+  if (!roomUnit) {
+    return 'Room unit not found in this hotel';
+  }
+
+  const conflict = await Stay.findRoomConflict({
+    roomUnitId,
+    arrivalDate,
+    departureDate,
+    excludeStayId: stayId
+  });
+  if (conflict) {
+    return `Room ${roomUnit.room_number} is already assigned to stay ${conflict.confirmation_number} for these dates`;
+  }
+
+  return null;
+};
+
+// Timestamps that follow status changes
+const statusTimestamps = (status, stay = {}) => {
+  const data = {};
+  if (status === 'checked_in' && !stay.checked_in_at) data.checked_in_at = new Date();
+  if (status === 'checked_out' && !stay.checked_out_at) data.checked_out_at = new Date();
+  return data;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Stay:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         hotel_id:
+ *           type: integer
+ *         guest_id:
+ *           type: integer
+ *         room_unit_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Assigned physical room
+ *         room_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Booked room type
+ *         confirmation_number:
+ *           type: string
+ *         arrival_date:
+ *           type: string
+ *           format: date
+ *         departure_date:
+ *           type: string
+ *           format: date
+ *         status:
+ *           type: string
+ *           enum: [reserved, checked_in, checked_out, cancelled, no_show]
+ *         adults:
+ *           type: integer
+ *         children:
+ *           type: integer
+ *         source:
+ *           type: string
+ *           enum: [direct, pms, ota, walk_in]
+ *         external_reservation_id:
+ *           type: string
+ *           nullable: true
+ *           description: Reservation ID in the PMS
+ *         external_source:
+ *           type: string
+ *           nullable: true
+ *         special_requests:
+ *           type: string
+ *           nullable: true
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         checked_in_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         checked_out_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/stays:
+ *   get:
+ *     summary: Get stays
+ *     tags: [Stays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hotel_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: guest_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: room_unit_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [reserved, checked_in, checked_out, cancelled, no_show]
+ *       - in: query
+ *         name: confirmation_number
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only stays in house on this date
+ *       - in: query
+ *         name: arrival_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: arrival_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated list of stays
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, requirePermission('stays:read'), async (req, res) => {
+  try {
+    const whereClause = { hotel_id: req.hotelIds };
+    if (req.query.hotel_id) whereClause.hotel_id = req.query.hotel_id;
+    if (req.query.guest_id) whereClause.guest_id = req.query.guest_id;
+    if (req.query.room_unit_id) whereClause.room_unit_id = req.query.room_unit_id;
+    if (req.query.status) whereClause.status = req.query.status;
+    if (req.query.confirmation_number) whereClause.confirmation_number = req.query.confirmation_number;
+
+    if (req.query.date) {
+      whereClause.arrival_date = { [Op.lte]: req.query.date };
+      whereClause.departure_date = { [Op.gt]: req.query.date };
+    } else if (req.query.arrival_from || req.query.arrival_to) {
+      whereClause.arrival_date = {};
+      if (req.query.arrival_from) whereClause.arrival_date[Op.gte] = req.query.arrival_from;
+      if (req.query.arrival_to) whereClause.arrival_date[Op.lte] = req.query.arrival_to;
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await Stay.findAndCountAll({
+      where: whereClause,
+      include: stayInclude,
+      order: [['arrival_date', 'ASC'], ['id', 'ASC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      stays: rows,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get stays error:', error);
+    res.status(500).json({ message: 'Error fetching stays' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stays/{id}:
+ *   get:
+ *     summary: Get a stay by ID
+ *     tags: [Stays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Stay details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Stay'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Stay not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authMiddleware, requirePermission('stays:read'), async (req, res) => {
+  try {
+    const stay = await Stay.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds },
+      include: stayInclude
+    });
+
+    if (!stay) {
+      return res.status(404).json({ message: 'Stay not found' });
+    }
+
+    res.json(stay);
+  } catch (error) {
+    console.error('Get stay error:', error);
+    res.status(500).json({ message: 'Error fetching stay' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stays:
+ *   post:
+ *     summary: Create a stay
+ *     description: A confirmation number is generated when none is given.
+ *     tags: [Stays]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hotel_id
+ *               - guest_id
+ *               - arrival_date
+ *               - departure_date
+ *             properties:
+ *               hotel_id:
+ *                 type: integer
+ *               guest_id:
+ *                 type: integer
+ *               room_unit_id:
+ *                 type: integer
+ *               room_id:
+ *                 type: integer
+ *               confirmation_number:
+ *                 type: string
+ *               arrival_date:
+ *                 type: string
+ *                 format: date
+ *               departure_date:
+ *                 type: string
+ *                 format: date
+ *               status:
+ *                 type: string
+ *                 enum: [reserved, checked_in, checked_out, cancelled, no_show]
+ *               adults:
+ *                 type: integer
+ *               children:
+ *                 type: integer
+ *               source:
+ *                 type: string
+ *                 enum: [direct, pms, ota, walk_in]
+ *               special_requests:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Stay created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Stay'
+ *       400:
+ *         description: Invalid input, room unavailable or duplicate confirmation number
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authMiddleware, requirePermission('stays:write'), stayValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      hotel_id, guest_id, room_unit_id, room_id, confirmation_number,
+      arrival_date, departure_date, status, adults, children, source,
+      special_requests, notes
+    } = req.body;
+
+    if (departure_date <= arrival_date) {
+      return res.status(400).json({ message: 'Departure date must be after arrival date' });
+    }
+
+    const guest = await Guest.findByPk(guest_id, { attributes: ['id'] });
+    if (!guest) {
+      return res.status(400).json({ message: 'Guest not found' });
+    }
+
+    if (room_id && !(await Room.findOne({ where: { id: room_id, hotel_id } }))) {
+      return res.status(400).json({ message: 'Room type not found in this hotel' });
+    }
+
+    if (room_unit_id) {
+      const conflict = await checkRoomUnit({
+        hotelId: hotel_id,
+        roomUnitId: room_unit_id,
+        arrivalDate: arrival_date,
+        departureDate: departure_date
+      });
+      if (conflict) {
+        return res.status(400).json({ message: conflict });
+      }
+    }
+
+    if (confirmation_number && await Stay.findOne({ where: { hotel_id, confirmation_number } })) {
+      return res.status(400).json({ message: 'Confirmation number already exists in this hotel' });
+    }
+
+    const stay = await Stay.create({
+      hotel_id,
+      guest_id,
+      room_unit_id,
+      room_id,
+      confirmation_number,
+      arrival_date,
+      departure_date,
+      status,
+      adults,
+      children,
+      source,
+      special_requests,
+      notes,
+      ...statusTimestamps(status)
+    });
+
+    const createdStay = await Stay.findByPk(stay.id, { include: stayInclude });
+
+    res.status(201).json(createdStay);
+  } catch (error) {
+    console.error('Create stay error:', error);
+    res.status(500).json({ message: 'Error creating stay' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stays/{id}:
+ *   put:
+ *     summary: Update a stay
+ *     tags: [Stays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               room_unit_id:
+ *                 type: integer
+ *                 nullable: true
+ *               room_id:
+ *                 type: integer
+ *                 nullable: true
+ *               arrival_date:
+ *                 type: string
+ *                 format: date
+ *               departure_date:
+ *                 type: string
+ *                 format: date
+ *               status:
+ *                 type: string
+ *                 enum: [reserved, checked_in, checked_out, cancelled, no_show]
+ *               adults:
+ *                 type: integer
+ *               children:
+ *                 type: integer
+ *               special_requests:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Stay updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Stay'
+ *       400:
+ *         description: Invalid input or room unavailable
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Stay not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', authMiddleware, requirePermission('stays:write'), stayUpdateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const stay = await Stay.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!stay) {
+      return res.status(404).json({ message: 'Stay not found' });
+    }
+
+    const fields = [
+      'room_unit_id', 'room_id', 'arrival_date', 'departure_date', 'status',
+      'adults', 'children', 'special_requests', 'notes'
+    ];
+    const updateData = {};
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    const arrivalDate = updateData.arrival_date || stay.arrival_date;
+    const departureDate = updateData.departure_date || stay.departure_date;
+    if (departureDate <= arrivalDate) {
+      return res.status(400).json({ message: 'Departure date must be after arrival date' });
+    }
+
+    if (updateData.room_id && !(await Room.findOne({ where: { id: updateData.room_id, hotel_id: stay.hotel_id } }))) {
+      return res.status(400).json({ message: 'Room type not found in this hotel' });
+    }
+
+    const roomUnitId = updateData.room_unit_id !== undefined ? updateData.room_unit_id : stay.room_unit_id;
+    const status = updateData.status || stay.status;
+    if (roomUnitId && Stay.ACTIVE_STATUSES.includes(status)) {
+      const conflict = await checkRoomUnit({
+        hotelId: stay.hotel_id,
+        roomUnitId,
+        arrivalDate,
+        departureDate,
+        stayId: stay.id
+      });
+      if (conflict) {
+        return res.status(400).json({ message: conflict });
+      }
+    }
+
+    const isCheckingOut = updateData.status === 'checked_out' && stay.status !== 'checked_out';
+
+    await stay.update({
+      ...updateData,
+      ...statusTimestamps(updateData.status, stay)
+    });
+
+    // The checkout stands even if the survey cannot be sent
+    if (isCheckingOut) {
+      try {
+        await SurveyService.inviteAfterCheckout(stay, await Guest.findByPk(stay.guest_id));
+      } catch (error) {
+        console.error('Survey invitation error:', error);
+      }
+    }
+
+    const updatedStay = await Stay.findByPk(stay.id, { include: stayInclude });
+
+    res.json(updatedStay);
+  } catch (error) {
+    console.error('Update stay error:', error);
+    res.status(500).json({ message: 'Error updating stay' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stays/{id}/folio:
+ *   get:
+ *     summary: Get the folio of a stay
+ *     description: Refreshes PMS lines when the hotel has an active PMS integration. Lines with an upheld dispute are waived.
+ *     tags: [Stays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Folio charges with totals
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Stay not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/folio', authMiddleware, requirePermission('stays:read'), async (req, res) => {
+  try {
+    const stay = await Stay.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!stay) {
+      return res.status(404).json({ message: 'Stay not found' });
+    }
+
+    if (stay.status === 'checked_in') {
+      await PMSIntegrationService.refreshFolio(stay);
+    }
+
+    const charges = await FolioCharge.findAll({
+      where: { stay_id: stay.id },
+      order: [['posted_at', 'ASC'], ['id', 'ASC']]
+    });
+
+    res.json({
+      charges,
+      summary: FolioCharge.summarize(charges)
+    });
+  } catch (error) {
+    console.error('Get folio error:', error);
+    res.status(500).json({ message: 'Error fetching folio' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stays/{id}/folio:
+ *   post:
+ *     summary: Add a manual charge to the folio of a stay
+ *     tags: [Stays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - description
+ *               - amount
+ *             properties:
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               amount:
+ *                 type: number
+ *                 description: Line total; negative for credits
+ *               posted_at:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Charge added
+ *       400:
+ *         description: Invalid input or stay already closed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Stay not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/folio', authMiddleware, requirePermission('stays:write'), chargeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const stay = await Stay.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!stay) {
+      return res.status(404).json({ message: 'Stay not found' });
+    }
+
+    if (!Stay.ACTIVE_STATUSES.includes(stay.status)) {
+      return res.status(400).json({ message: `Cannot add charges to a ${stay.status} stay` });
+    }
+
+    const charge = await FolioCharge.create({
+      hotel_id: stay.hotel_id,
+      stay_id: stay.id,
+      source: 'manual',
+      description: req.body.description,
+      category: req.body.category,
+      quantity: req.body.quantity,
+      amount: req.body.amount,
+      posted_at: req.body.posted_at
+    });
+
+    res.status(201).json(charge);
+  } catch (error) {
+    console.error('Add folio charge error:', error);
+    res.status(500).json({ message: 'Error adding folio charge' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stays/{id}/folio/{chargeId}/dispute:
+ *   put:
+ *     summary: Resolve a disputed folio line
+ *     description: Upholding a dispute waives the line; dismissing it keeps the charge.
+ *     tags: [Stays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: chargeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resolution
+ *             properties:
+ *               resolution:
+ *                 type: string
+ *                 enum: [upheld, dismissed]
+ *               note:
+ *                 type: string
+ *                 description: Explanation shown to the guest
+ *     responses:
+ *       200:
+ *         description: Dispute resolved
+ *       400:
+ *         description: Invalid input or no open dispute
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Stay or charge not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/folio/:chargeId/dispute', authMiddleware, requirePermission('stays:write'), resolveDisputeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const charge = await FolioCharge.findOne({
+      where: { id: req.params.chargeId, stay_id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!charge) {
+      return res.status(404).json({ message: 'Charge not found' });
+    }
+
+    if (charge.dispute_status !== 'open') {
+      return res.status(400).json({ message: 'Charge has no open dispute' });
+    }
+
+    await charge.update({
+      dispute_status: req.body.resolution,
+      dispute_resolution: req.body.note || null,
+      dispute_resolved_by: req.member.id,
+      dispute_resolved_at: new Date()
+    });
+
+    res.json(charge);
+  } catch (error) {
+    console.error('Resolve folio dispute error:', error);
+    res.status(500).json({ message: 'Error resolving dispute' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stays/{id}:
+ *   delete:
+ *     summary: Delete a stay
+ *     tags: [Stays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Stay deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Stay not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authMiddleware, requirePermission('stays:write'), async (req, res) => {
+  try {
+    const stay = await Stay.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!stay) {
+      return res.status(404).json({ message: 'Stay not found' });
+    }
+
+    await stay.destroy();
+
+    res.json({ message: 'Stay deleted successfully' });
+  } catch (error) {
+    console.error('Delete stay error:', error);
+    res.status(500).json({ message: 'Error deleting stay' });
+  }
+});
+
+module.exports = router;
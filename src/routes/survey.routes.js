@@ -0,0 +1,625 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { Survey, SurveyResponse, SurveyAnswer, Stay, Guest } = require('../models');
+const SurveyService = require('../services/communication/survey.service');
+
+const router = express.Router();
+
+const SURVEY_TRIGGERS = ['manual', 'post_checkout'];
+
+const questionsValidator = (questions) => {
+  const problems = Survey.validateQuestions(questions);
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+  return true;
+};
+
+// Validation middleware
+const surveyValidation = [
+  body('hotel_id').isInt().withMessage('Hotel ID must be an integer'),
+  body('name').notEmpty().trim().isLength({ max: 150 }).withMessage('Name is required and must be at most 150 characters'),
+  body('description').optional({ nullable: true }).trim(),
+  body('trigger').optional().isIn(SURVEY_TRIGGERS),
+  body('is_active').optional().isBoolean(),
+  body('questions').custom(questionsValidator)
+];
+
+const surveyUpdateValidation = [
+  body('name').optional().notEmpty().trim().isLength({ max: 150 }),
+  body('description').optional({ nullable: true }).trim(),
+  body('trigger').optional().isIn(SURVEY_TRIGGERS),
+  body('is_active').optional().isBoolean(),
+  body('questions').optional().custom(questionsValidator)
+];
+
+const responseListValidation = [
+  query('status').optional().isIn(['pending', 'completed']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SurveyQuestion:
+ *       type: object
+ *       required:
+ *         - key
+ *         - type
+ *         - label
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Lowercase letters, digits and underscores; answers are keyed by it
+ *         type:
+ *           type: string
+ *           enum: [nps, rating, text, single_choice, multiple_choice, yes_no]
+ *           description: nps is 0-10, rating is 1-5
+ *         label:
+ *           type: string
+ *         required:
+ *           type: boolean
+ *         department:
+ *           type: string
+ *           description: Department a rating question scores (e.g. housekeeping)
+ *         options:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Choices of single_choice and multiple_choice questions
+ *         show_if:
+ *           type: object
+ *           description: Ask the question only when an earlier answer matches
+ *           properties:
+ *             question:
+ *               type: string
+ *             operator:
+ *               type: string
+ *               enum: [eq, neq, lte, gte, in]
+ *             value: {}
+ *     Survey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         hotel_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         trigger:
+ *           type: string
+ *           enum: [manual, post_checkout]
+ *           description: post_checkout surveys are sent automatically when a stay is checked out
+ *         is_active:
+ *           type: boolean
+ *         questions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SurveyQuestion'
+ *         created_by:
+ *           type: integer
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/surveys:
+ *   get:
+ *     summary: Get feedback surveys
+ *     tags: [Surveys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hotel_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: trigger
+ *         schema:
+ *           type: string
+ *           enum: [manual, post_checkout]
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of surveys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Survey'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, requirePermission('communications:read'), async (req, res) => {
+  try {
+    const whereClause = { hotel_id: req.hotelIds };
+    if (req.query.hotel_id) whereClause.hotel_id = req.query.hotel_id;
+    if (req.query.trigger) whereClause.trigger = req.query.trigger;
+    if (req.query.is_active !== undefined) whereClause.is_active = req.query.is_active === 'true';
+
+    const surveys = await Survey.findAll({
+      where: whereClause,
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json(surveys);
+  } catch (error) {
+    console.error('Get surveys error:', error);
+    res.status(500).json({ message: 'Error fetching surveys' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/surveys/{id}:
+ *   get:
+ *     summary: Get a survey with its response counts
+ *     tags: [Surveys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Survey details
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Survey not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authMiddleware, requirePermission('communications:read'), async (req, res) => {
+  try {
+    const survey = await Survey.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!survey) {
+      return res.status(404).json({ message: 'Survey not found' });
+    }
+
+    const [sent, completed] = await Promise.all([
+      SurveyResponse.count({ where: { survey_id: survey.id } }),
+      SurveyResponse.count({ where: { survey_id: survey.id, status: 'completed' } })
+    ]);
+
+    res.json({
+      ...survey.toJSON(),
+      responses: { sent, completed }
+    });
+  } catch (error) {
+    console.error('Get survey error:', error);
+    res.status(500).json({ message: 'Error fetching survey' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/surveys:
+ *   post:
+ *     summary: Create a feedback survey
+ *     tags: [Surveys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hotel_id
+ *               - name
+ *               - questions
+ *             properties:
+ *               hotel_id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               trigger:
+ *                 type: string
+ *                 enum: [manual, post_checkout]
+ *               is_active:
+ *                 type: boolean
+ *               questions:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/SurveyQuestion'
+ *           example:
+ *             hotel_id: 1
+ *             name: Post-stay survey
+ *             trigger: post_checkout
+ *             questions:
+ *               - key: recommend
+ *                 type: nps
+ *                 label: How likely are you to recommend us to a friend?
+ *                 required: true
+ *               - key: housekeeping
+ *                 type: rating
+ *                 label: How clean was your room?
+ *                 department: housekeeping
+ *               - key: what_went_wrong
+ *                 type: text
+ *                 label: What could we have done better?
+ *                 show_if: { question: recommend, operator: lte, value: 6 }
+ *     responses:
+ *       201:
+ *         description: Survey created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Survey'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authMiddleware, requirePermission('communications:write'), surveyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { hotel_id, name, description, trigger, is_active, questions } = req.body;
+
+    const survey = await Survey.create({
+      hotel_id,
+      name,
+      description,
+      trigger,
+      is_active,
+      questions,
+      created_by: req.member.id
+    });
+
+    res.status(201).json(survey);
+  } catch (error) {
+    console.error('Create survey error:', error);
+    res.status(500).json({ message: 'Error creating survey' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/surveys/{id}:
+ *   put:
+ *     summary: Update a survey
+ *     description: Answers already given keep the question type and department they were given for.
+ *     tags: [Surveys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               trigger:
+ *                 type: string
+ *                 enum: [manual, post_checkout]
+ *               is_active:
+ *                 type: boolean
+ *               questions:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/SurveyQuestion'
+ *     responses:
+ *       200:
+ *         description: Survey updated successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Survey not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', authMiddleware, requirePermission('communications:write'), surveyUpdateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const survey = await Survey.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!survey) {
+      return res.status(404).json({ message: 'Survey not found' });
+    }
+
+    const updateData = {};
+    ['name', 'description', 'trigger', 'is_active', 'questions'].forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    await survey.update(updateData);
+
+    res.json(survey);
+  } catch (error) {
+    console.error('Update survey error:', error);
+    res.status(500).json({ message: 'Error updating survey' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/surveys/{id}:
+ *   delete:
+ *     summary: Delete a survey
+ *     description: Surveys that were already sent cannot be deleted; deactivate them instead.
+ *     tags: [Surveys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Survey deleted successfully
+ *       400:
+ *         description: Survey has responses
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Survey not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authMiddleware, requirePermission('communications:write'), async (req, res) => {
+  try {
+    const survey = await Survey.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!survey) {
+      return res.status(404).json({ message: 'Survey not found' });
+    }
+
+    const responses = await SurveyResponse.count({ where: { survey_id: survey.id } });
+    if (responses > 0) {
+      return res.status(400).json({ message: 'Survey has already been sent; deactivate it instead' });
+    }
+
+    await survey.destroy();
+
+    res.json({ message: 'Survey deleted successfully' });
+  } catch (error) {
+    console.error('Delete survey error:', error);
+    res.status(500).json({ message: 'Error deleting survey' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/surveys/{id}/send:
+ *   post:
+ *     summary: Send a survey to the guest of a stay
+ *     description: Creates a pending response and notifies the guest with the survey link.
+ *     tags: [Surveys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stay_id
+ *             properties:
+ *               stay_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Survey sent
+ *       400:
+ *         description: Survey inactive, stay not in the survey's hotel, or already sent for the stay
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Survey not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/send', authMiddleware, requirePermission('communications:write'), body('stay_id').isInt(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const survey = await Survey.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!survey) {
+      return res.status(404).json({ message: 'Survey not found' });
+    }
+
+    if (!survey.is_active) {
+      return res.status(400).json({ message: 'Survey is not active' });
+    }
+
+    const stay = await Stay.findOne({
+      where: { id: req.body.stay_id, hotel_id: survey.hotel_id },
+      include: [{ model: Guest }]
+    });
+
+    if (!stay) {
+      return res.status(400).json({ message: 'Stay not found in this hotel' });
+    }
+
+    const existing = await SurveyResponse.findOne({
+      where: { survey_id: survey.id, stay_id: stay.id }
+    });
+    if (existing) {
+      return res.status(400).json({ message: 'Survey was already sent for this stay' });
+    }
+
+    const { response, invitation } = await SurveyService.sendInvitation(survey, stay, stay.Guest);
+
+    res.status(201).json({
+      response_id: response.id,
+      invitation_id: invitation.id,
+      survey_url: SurveyService.surveyUrl(response.token)
+    });
+  } catch (error) {
+    console.error('Send survey error:', error);
+    res.status(500).json({ message: 'Error sending survey' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/surveys/{id}/responses:
+ *   get:
+ *     summary: Get the responses to a survey
+ *     tags: [Surveys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, completed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated responses with their answers
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Survey not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/responses', authMiddleware, requirePermission('communications:read'), responseListValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const survey = await Survey.findOne({
+      where: { id: req.params.id, hotel_id: req.hotelIds }
+    });
+
+    if (!survey) {
+      return res.status(404).json({ message: 'Survey not found' });
+    }
+
+    const whereClause = { survey_id: survey.id };
+    if (req.query.status) whereClause.status = req.query.status;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await SurveyResponse.findAndCountAll({
+      where: whereClause,
+      attributes: { exclude: ['token'] },
+      include: [
+        {
+          model: Guest,
+          attributes: ['id', 'first_name', 'last_name', 'email']
+        },
+        {
+          model: Stay,
+          attributes: ['id', 'confirmation_number', 'arrival_date', 'departure_date']
+        },
+        {
+          model: SurveyAnswer,
+          as: 'answerRows',
+          attributes: ['question_key', 'question_type', 'department', 'numeric_value', 'text_value']
+        }
+      ],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset,
+      distinct: true
+    });
+
+    res.json({
+      responses: rows,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get survey responses error:', error);
+    res.status(500).json({ message: 'Error fetching survey responses' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 const { WellnessSpa, Hotel, Organization } = require('../models');
 const { Op } = require('sequelize');
 
@@ -191,13 +192,8 @@ const wellnessSpaValidation = [
  *       500:
  *         description: Server error
  */
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requirePermission('spa:read'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const { hotel_id, type, is_active, page = 1, limit = 20 } = req.query;
     const whereClause = {};
 
@@ -219,7 +215,7 @@ router.get('/', authMiddleware, async (req, res) => {
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id },
+          where: { id: req.hotelIds },
           attributes: ['id', 'name']
         }
       ],
@@ -276,19 +272,14 @@ router.get('/', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, requirePermission('spa:read'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const wellnessSpaService = await WellnessSpa.findOne({
       where: { id: req.params.id },
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id },
+          where: { id: req.hotelIds },
           attributes: ['id', 'name']
         }
       ]
@@ -332,23 +323,18 @@ router.get('/:id', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authMiddleware, wellnessSpaValidation, async (req, res) => {
+router.post('/', authMiddleware, requirePermission('spa:write'), wellnessSpaValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     // Verify hotel belongs to organization
     const hotel = await Hotel.findOne({
       where: { 
         id: req.body.hotel_id,
-        organization_id: organization.id 
+        organization_id: req.organization.id 
       }
     });
 
@@ -410,24 +396,19 @@ router.post('/', authMiddleware, wellnessSpaValidation, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', authMiddleware, wellnessSpaValidation, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('spa:write'), wellnessSpaValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const wellnessSpaService = await WellnessSpa.findOne({
       where: { id: req.params.id },
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id }
+          where: { id: req.hotelIds }
         }
       ]
     });
@@ -441,7 +422,7 @@ router.put('/:id', authMiddleware, wellnessSpaValidation, async (req, res) => {
       const hotel = await Hotel.findOne({
         where: { 
           id: req.body.hotel_id,
-          organization_id: organization.id 
+          organization_id: req.organization.id 
         }
       });
 
@@ -492,19 +473,14 @@ router.put('/:id', authMiddleware, wellnessSpaValidation, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('spa:write'), async (req, res) => {
   try {
-    const organization = await req.member.getOrganization();
-    if (!organization) {
-      return res.status(404).json({ message: 'Organization not found' });
-    }
-
     const wellnessSpaService = await WellnessSpa.findOne({
       where: { id: req.params.id },
       include: [
         {
           model: Hotel,
-          where: { organization_id: organization.id }
+          where: { id: req.hotelIds }
         }
       ]
     });
@@ -542,7 +518,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/types', authMiddleware, async (req, res) => {
+router.get('/types', authMiddleware, requirePermission('spa:read'), async (req, res) => {
   try {
     const types = [
       'spa',
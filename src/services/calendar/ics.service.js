@@ -0,0 +1,141 @@
+const PRODUCT_ID = '-//Hospient//Hotel Calendar//EN';
+
+// Longest content line in octets, CRLF excluded (RFC 5545 3.1)
+const MAX_LINE_OCTETS = 75;
+
+// TEXT values escape backslashes, separators and line breaks
+const escapeText = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// UTC date-time, e.g. 20240501T090000Z
+const formatDateTime = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Long lines continue on lines starting with a space, never splitting a character
+const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+  for (const character of line) {
+    const size = Buffer.byteLength(character, 'utf8');
+    const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += character;
+    octets += size;
+  }
+  lines.push(current);
+  return lines.join('\r\n ');
+};
+
+// CN parameter values are quoted, and cannot contain quotes themselves
+const person = (property, { name, email }, params = []) => {
+  const cn = name ? [`CN="${String(name).replace(/"/g, "'")}"`] : [];
+  return `${[property, ...cn, ...params].join(';')}:mailto:${email}`;
+};
+
+/**
+ * iCalendar (RFC 5545) documents for calendar feeds and email invites.
+ *
+ * An event is { uid, start, end, summary, description, location, status,
+ * sequence, url, created, updated, organizer, attendees }, where status is
+ * TENTATIVE, CONFIRMED or CANCELLED and people are { name, email }.
+ */
+class IcsService {
+  /**
+   * A VCALENDAR with the given events. `method` is PUBLISH for feeds,
+   * REQUEST for invites and CANCEL to withdraw an invite.
+   */
+  static build({ name = null, method = 'PUBLISH', events = [], refreshMinutes = null }) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      `METHOD:${method}`
+    ];
+    if (name) {
+      lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    }
+    if (refreshMinutes) {
+      lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`);
+      lines.push(`X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+    }
+
+    const stamp = formatDateTime(new Date());
+    for (const event of events) {
+      lines.push(...IcsService.eventLines(event, stamp));
+    }
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  static eventLines(event, stamp) {
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatDateTime(event.start)}`,
+      `DTEND:${formatDateTime(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    ];
+    if (event.sequence !== undefined && event.sequence !== null) {
+      lines.push(`SEQUENCE:${event.sequence}`);
+    }
+    if (event.location) {
+      lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.status) {
+      lines.push(`STATUS:${event.status}`);
+    }
+    if (event.url) {
+      lines.push(`URL:${event.url}`);
+    }
+    if (event.created) {
+      lines.push(`CREATED:${formatDateTime(event.created)}`);
+    }
+    if (event.updated) {
+      lines.push(`LAST-MODIFIED:${formatDateTime(event.updated)}`);
+    }
+    if (event.organizer && event.organizer.email) {
+      lines.push(person('ORGANIZER', event.organizer));
+    }
+    for (const attendee of event.attendees || []) {
+      if (attendee.email) {
+        lines.push(person('ATTENDEE', attendee, ['ROLE=REQ-PARTICIPANT', 'PARTSTAT=NEEDS-ACTION', 'RSVP=FALSE']));
+      }
+    }
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  /**
+   * Mail attachment carrying an invite built with `build`
+   */
+  static attachment(ics, method = 'REQUEST', filename = 'invite.ics') {
+    return {
+      filename,
+      contentType: `text/calendar; method=${method}`,
+      content: ics
+    };
+  }
+
+  /**
+   * Integer that grows with every change of a record, for SEQUENCE: its
+   * last update in seconds since 2020, so later invites replace earlier ones
+   */
+  static sequenceOf(updatedAt) {
+    return Math.max(0, Math.floor((new Date(updatedAt).getTime() - Date.UTC(2020, 0, 1)) / 1000));
+  }
+}
+
+module.exports = IcsService;
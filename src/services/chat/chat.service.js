@@ -0,0 +1,317 @@
+const { Op } = require('sequelize');
+const { ChatConversation, ChatMessage, Guest, Hotel, RoomUnit, Stay } = require('../../models');
+const RealtimeService = require('../realtime/realtime.service');
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// Stays a guest can chat about, most relevant first
+const CHAT_STAY_STATUSES = ['checked_in', 'reserved', 'checked_out'];
+
+const otherSide = (side) => (side === 'guest' ? 'staff' : 'guest');
+
+// Cursors are opaque to clients: base64url of "<createdAt ISO>|<message id>"
+const encodeCursor = (message) =>
+  Buffer.from(`${new Date(message.createdAt).toISOString()}|${message.id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+  const date = new Date(createdAt);
+  return id && !isNaN(date.getTime()) ? { createdAt: date, id } : null;
+};
+
+/**
+ * Guest <-> staff chat: conversations, messages, unread counters and
+ * typing/read markers. `side` is 'guest' or 'staff' throughout.
+ */
+class ChatService {
+  /**
+   * The guest's stay at a hotel to attach a conversation to: the given one,
+   * else the current stay, else the next or most recent one. Null when the
+   * guest has no stay at the hotel.
+   */
+  static async findGuestStay(guestId, hotelId, stayId = null) {
+    const where = { guest_id: guestId, hotel_id: hotelId, status: { [Op.in]: CHAT_STAY_STATUSES } };
+    if (stayId) {
+      where.id = stayId;
+    }
+
+    const stays = await Stay.findAll({
+      where,
+      include: [{ model: RoomUnit, attributes: ['room_number'] }],
+      order: [['arrival_date', 'DESC']]
+    });
+    return stays.sort((a, b) =>
+      CHAT_STAY_STATUSES.indexOf(a.status) - CHAT_STAY_STATUSES.indexOf(b.status)
+    )[0] || null;
+  }
+
+  /**
+   * The guest's open conversation with a hotel, started if there is none.
+   * Returns { conversation, created }.
+   */
+  static async openForGuest(guest, stay) {
+    const existing = await ChatConversation.findOne({
+      where: { guest_id: guest.id, hotel_id: stay.hotel_id, status: 'open' },
+      order: [['last_message_at', 'DESC']]
+    });
+    if (existing) {
+      return { conversation: existing, created: false };
+    }
+
+    const conversation = await ChatConversation.create({
+      hotel_id: stay.hotel_id,
+      guest_id: guest.id,
+      guest_email: guest.email,
+      stay_id: stay.id,
+      room: stay.RoomUnit ? stay.RoomUnit.room_number : null,
+      status: 'open'
+    });
+    return { conversation, created: true };
+  }
+
+  /**
+   * Open conversation for a guest known only by email (staff writing first).
+   */
+  static async openForEmail(hotelId, email, room = null) {
+    const existing = await ChatConversation.findOne({
+      where: { hotel_id: hotelId, guest_email: email, status: 'open' },
+      order: [['last_message_at', 'DESC']]
+    });
+    if (existing) {
+      return existing;
+    }
+
+    const guest = await Guest.findOne({ where: { email }, attributes: ['id'] });
+    return ChatConversation.create({
+      hotel_id: hotelId,
+      guest_id: guest ? guest.id : null,
+      guest_email: email,
+      room,
+      status: 'open'
+    });
+  }
+
+  /**
+   * Add a message. The sender has read everything up to it and stops typing;
+   * the other side gets one more unread message. Writing reopens a closed
+   * conversation, and the first agent to answer an unassigned one takes it.
+   * Staff subscribed to the hotel's chat topic get the message live.
+   */
+  static async send(conversation, side, senderId, text) {
+    const hotel = await Hotel.findByPk(conversation.hotel_id, { attributes: ['hotel_slug'] });
+    const now = new Date();
+
+    const sent = await ChatConversation.sequelize.transaction(async (transaction) => {
+      const message = await ChatMessage.create({
+        id: ChatMessage.generateId(),
+        hotel_id: conversation.hotel_id,
+        hotel_slug: hotel ? hotel.hotel_slug : null,
+        room: conversation.room,
+        user: conversation.guest_email,
+        text,
+        conversation_id: conversation.id,
+        sender_type: side,
+        sender_id: senderId,
+        createdAt: now
+      }, { transaction });
+
+      const changes = {
+        last_message_at: now,
+        status: 'open',
+        closed_at: null,
+        [`${side}_unread_count`]: 0,
+        [`${side}_last_read_at`]: now,
+        [`${side}_typing_at`]: null
+      };
+      if (side === 'staff' && !conversation.assigned_to) {
+        changes.assigned_to = senderId;
+        changes.assigned_at = now;
+      }
+      await conversation.update(changes, { transaction });
+      await conversation.increment(`${otherSide(side)}_unread_count`, { transaction });
+      await conversation.reload({ transaction });
+
+      return message;
+    });
+
+    await ChatService.publish(conversation, 'chat.message.created', sent);
+    return sent;
+  }
+
+  static async markRead(conversation, side) {
+    return conversation.update({
+      [`${side}_unread_count`]: 0,
+      [`${side}_last_read_at`]: new Date()
+    });
+  }
+
+  static async setTyping(conversation, side, typing = true) {
+    return conversation.update({ [`${side}_typing_at`]: typing ? new Date() : null });
+  }
+
+  /**
+   * Assign or transfer the conversation (member null unassigns) and leave a
+   * system message in the thread so both sides see the handover.
+   */
+  static async assign(conversation, member) {
+    const now = new Date();
+    const hotel = await Hotel.findByPk(conversation.hotel_id, { attributes: ['hotel_slug'] });
+    const text = member
+      ? `${member.first_name} ${member.last_name} has joined the conversation`
+      : 'The conversation is waiting for an agent';
+
+    const notice = await ChatConversation.sequelize.transaction(async (transaction) => {
+      await conversation.update({
+        assigned_to: member ? member.id : null,
+        assigned_at: member ? now : null
+      }, { transaction });
+
+      return ChatMessage.create({
+        id: ChatMessage.generateId(),
+        hotel_id: conversation.hotel_id,
+        hotel_slug: hotel ? hotel.hotel_slug : null,
+        room: conversation.room,
+        user: conversation.guest_email,
+        text,
+        conversation_id: conversation.id,
+        sender_type: 'system',
+        sender_id: null,
+        createdAt: now
+      }, { transaction });
+    });
+
+    await ChatService.publish(conversation, 'chat.conversation.assigned', notice);
+    return conversation;
+  }
+
+  // Tell the hotel's chat subscribers about a new message in a conversation
+  static async publish(conversation, event, message) {
+    await RealtimeService.publish(conversation.hotel_id, 'chat', event, {
+      conversation_id: conversation.id,
+      assigned_to: conversation.assigned_to,
+      staff_unread_count: conversation.staff_unread_count,
+      message: ChatService.serializeMessage(message, conversation)
+    });
+  }
+
+  static async setStatus(conversation, status) {
+    return conversation.update({
+      status,
+      closed_at: status === 'closed' ? new Date() : null
+    });
+  }
+
+  /**
+   * A page of messages, oldest first. `before` pages back through history
+   * (the default is the latest messages); `after` fetches what arrived since
+   * a cursor. Throws an error with code INVALID_CURSOR for a bad cursor.
+   */
+  static async messages(conversation, { before = null, after = null, limit } = {}) {
+    const pageSize = Math.min(parseInt(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const cursor = before || after ? decodeCursor(before || after) : null;
+    if ((before || after) && !cursor) {
+      const error = new Error('Invalid cursor');
+      error.code = 'INVALID_CURSOR';
+      throw error;
+    }
+
+    const where = { conversation_id: conversation.id };
+    if (cursor) {
+      const op = before ? Op.lt : Op.gt;
+      where[Op.or] = [
+        { createdAt: { [op]: cursor.createdAt } },
+        { createdAt: cursor.createdAt, id: { [op]: cursor.id } }
+      ];
+    }
+
+    const direction = after ? 'ASC' : 'DESC';
+    const rows = await ChatMessage.findAll({
+      where,
+      order: [['createdAt', direction], ['id', direction]],
+      limit: pageSize + 1
+    });
+
+    const hasMore = rows.length > pageSize;
+    const page = rows.slice(0, pageSize);
+    if (!after) {
+      page.reverse();
+    }
+
+    return {
+      messages: page.map(message => ChatService.serializeMessage(message, conversation)),
+      // Older messages for before/default, newer ones for after
+      has_more: hasMore,
+      before_cursor: page.length > 0 ? encodeCursor(page[0]) : before,
+      after_cursor: page.length > 0 ? encodeCursor(page[page.length - 1]) : after
+    };
+  }
+
+  /**
+   * Message as sent to clients; is_read tells whether the other side has
+   * read it, from their read marker.
+   */
+  static serializeMessage(message, conversation) {
+    const readerMarker = message.sender_type === 'guest'
+      ? conversation.staff_last_read_at
+      : conversation.guest_last_read_at;
+
+    return {
+      id: message.id,
+      conversation_id: message.conversation_id,
+      sender_type: message.sender_type,
+      sender_id: message.sender_id,
+      text: message.text,
+      created_at: message.createdAt,
+      is_read: message.sender_type === 'system' ||
+        (!!readerMarker && new Date(readerMarker) >= new Date(message.createdAt))
+    };
+  }
+
+  /**
+   * Conversation as seen from one side: that side's unread count and the
+   * other side's typing state and read marker.
+   */
+  static serializeConversation(conversation, side, now = new Date()) {
+    const data = conversation.toJSON();
+    const other = otherSide(side);
+    const view = {
+      id: data.id,
+      hotel_id: data.hotel_id,
+      stay_id: data.stay_id,
+      room: data.room,
+      status: data.status,
+      last_message_at: data.last_message_at,
+      unread_count: data[`${side}_unread_count`],
+      [`${other}_typing`]: conversation.isTyping(other, now),
+      [`${other}_last_read_at`]: data[`${other}_last_read_at`],
+      created_at: data.created_at,
+      closed_at: data.closed_at
+    };
+
+    if (data.Hotel) {
+      view.hotel = data.Hotel;
+    }
+
+    if (side === 'staff') {
+      Object.assign(view, {
+        guest_id: data.guest_id,
+        guest_email: data.guest_email,
+        guest: data.Guest || null,
+        assigned_to: data.assigned_to,
+        assigned_at: data.assigned_at,
+        assignee: data.assignee || null
+      });
+    } else {
+      // Guests see who is answering, not staff account details
+      view.agent_name = data.assignee ? data.assignee.first_name : null;
+    }
+
+    return view;
+  }
+}
+
+ChatService.encodeCursor = encodeCursor;
+ChatService.decodeCursor = decodeCursor;
+
+module.exports = ChatService;
@@ -0,0 +1,112 @@
+const { Op } = require('sequelize');
+const { Communication } = require('../../models');
+const PushService = require('../push/push.service');
+const CommunicationRecipientService = require('./recipient.service');
+
+// Communication types that are broadcast to guests and can be scheduled or expire
+const DISPATCHABLE_TYPES = ['notification', 'push_notification'];
+
+// Statuses an expired communication can move from; read and failed ones keep their outcome
+const EXPIRABLE_STATUSES = ['draft', 'sent', 'delivered'];
+
+/**
+ * Sends scheduled communications once they are due and expires the ones past
+ * their expires_at. Safe to run from several processes at once: each draft is
+ * claimed with a conditional update before it is sent.
+ */
+class CommunicationDispatcher {
+  constructor(options = {}) {
+    this.batchSize = options.batchSize || 100;
+    this.pushService = options.pushService || new PushService();
+  }
+
+  /**
+   * Send drafts whose scheduled_at has passed
+   */
+  async dispatchDue(now = new Date()) {
+    const due = await Communication.findAll({
+      where: {
+        type: { [Op.in]: DISPATCHABLE_TYPES },
+        status: 'draft',
+        scheduled_at: { [Op.lte]: now },
+        [Op.or]: [
+          { expires_at: null },
+          { expires_at: { [Op.gt]: now } }
+        ]
+      },
+      order: [['scheduled_at', 'ASC']],
+      limit: this.batchSize
+    });
+
+    const summary = { sent: 0, delivered: 0, failed: 0 };
+
+    for (const communication of due) {
+      const sentAt = new Date();
+      const [claimed] = await Communication.update(
+        { status: 'sent', sent_at: sentAt },
+        { where: { id: communication.id, status: 'draft' } }
+      );
+      if (!claimed) {
+        continue;
+      }
+      communication.status = 'sent';
+      communication.sent_at = sentAt;
+      summary.sent++;
+
+      if (communication.type === 'notification') {
+        await CommunicationRecipientService.recordAudience(communication, { now });
+      }
+
+      if (communication.type === 'push_notification') {
+        try {
+          const devices = await PushService.resolveDevices(communication);
+          const delivery = await this.pushService.deliver(communication, devices);
+          summary[delivery.delivered > 0 ? 'delivered' : 'failed']++;
+        } catch (error) {
+          console.error(`Failed to deliver scheduled push ${communication.id}:`, error);
+          await communication.update({ status: 'failed' });
+          summary.failed++;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Mark communications past their expires_at as expired
+   */
+  async expireOverdue(now = new Date()) {
+    const [expired] = await Communication.update(
+      { status: 'expired' },
+      {
+        where: {
+          type: { [Op.in]: DISPATCHABLE_TYPES },
+          status: { [Op.in]: EXPIRABLE_STATUSES },
+          expires_at: { [Op.lte]: now }
+        }
+      }
+    );
+
+    return expired;
+  }
+
+  /**
+   * One dispatcher pass: expire first so overdue drafts are never sent
+   */
+  async run(now = new Date()) {
+    const startTime = Date.now();
+    const expired = await this.expireOverdue(now);
+    const dispatched = await this.dispatchDue(now);
+
+    return {
+      ...dispatched,
+      expired,
+      duration_ms: Date.now() - startTime
+    };
+  }
+}
+
+CommunicationDispatcher.DISPATCHABLE_TYPES = DISPATCHABLE_TYPES;
+
+module.exports = CommunicationDispatcher;
@@ -0,0 +1,222 @@
+const { Op } = require('sequelize');
+const { Communication, ConciergeCategory, ConciergeRequest, Hotel, Member } = require('../../models');
+const RealtimeService = require('../realtime/realtime.service');
+
+// Feedback rated at or below this is escalated automatically
+const ESCALATION_MAX_RATING = parseInt(process.env.FEEDBACK_ESCALATION_MAX_RATING) || 2;
+
+// Concierge category escalation tasks are filed under; created on first use
+const ESCALATION_CATEGORY = {
+  name: 'Guest feedback',
+  description: 'Escalated guest feedback that needs a manager',
+  sla_response_minutes: 15,
+  sla_resolution_minutes: 240
+};
+
+const OPEN_TASK_STATUSES = ['requested', 'in_progress'];
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+/**
+ * Handling of guest feedback: reply threads, internal staff notes,
+ * escalation to the duty manager and resolution.
+ *
+ * Replies are chat communications whose response_to_id is the feedback.
+ * Feedback moves open -> escalated -> resolved; resolved feedback is
+ * reopened when the guest writes again or staff reopen it.
+ */
+class FeedbackService {
+  static needsEscalation(feedback) {
+    return feedback.type === 'feedback' &&
+      feedback.rating !== null && feedback.rating !== undefined &&
+      feedback.rating <= ESCALATION_MAX_RATING;
+  }
+
+  /**
+   * Handle newly submitted feedback: show it live on staff dashboards and
+   * escalate it when the rating is low enough. Other communications are ignored.
+   */
+  static async received(feedback) {
+    if (!feedback || feedback.type !== 'feedback') {
+      return null;
+    }
+    await RealtimeService.publish(feedback.hotel_id, 'feedback', 'feedback.created', feedback.toJSON());
+    return FeedbackService.escalateIfNeeded(feedback);
+  }
+
+  /**
+   * Escalate new feedback whose rating is low enough. Errors are logged
+   * rather than thrown so the feedback itself is never lost.
+   */
+  static async escalateIfNeeded(feedback) {
+    if (!FeedbackService.needsEscalation(feedback)) {
+      return null;
+    }
+    try {
+      return await FeedbackService.escalate(feedback, {
+        reason: `Rated ${feedback.rating}/5`
+      });
+    } catch (error) {
+      console.error(`Error escalating feedback ${feedback.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Mark open feedback escalated and create an urgent concierge task for it,
+   * assigned to the hotel's duty manager when one is set and active.
+   * Returns the task, or null when the feedback is not open.
+   *
+   * by: { memberId, reason }
+   */
+  static async escalate(feedback, by = {}) {
+    const [category] = await ConciergeCategory.findOrCreate({
+      where: { name: ESCALATION_CATEGORY.name, parent_id: null, organization_id: null },
+      defaults: ESCALATION_CATEGORY
+    });
+
+    const hotel = await Hotel.findByPk(feedback.hotel_id);
+    const dutyManager = hotel && hotel.duty_manager_id
+      ? await Member.findByPk(hotel.duty_manager_id)
+      : null;
+    const assignee = dutyManager && dutyManager.status === 'active' ? dutyManager : null;
+    const now = new Date();
+
+    const escalation = await Communication.sequelize.transaction(async (transaction) => {
+      // Claim the feedback so it is only escalated once
+      const [claimed] = await Communication.update(
+        { feedback_status: 'escalated', escalated_at: now, priority: 'urgent' },
+        { where: { id: feedback.id, feedback_status: 'open' }, transaction }
+      );
+      if (!claimed) {
+        return null;
+      }
+
+      const guestName = feedback.is_anonymous ? 'Anonymous guest' : (feedback.sender_name || 'Guest');
+      const task = await ConciergeRequest.createWithHistory({
+        hotel_id: feedback.hotel_id,
+        category_id: category.id,
+        title: truncate(`Escalated feedback: ${feedback.title}`, 255),
+        details: {
+          feedback_id: feedback.id,
+          guest: guestName,
+          rating: feedback.rating,
+          reason: by.reason || null,
+          message: feedback.message
+        },
+        priority: 'urgent',
+        assigned_to: assignee ? assignee.id : null,
+        assigned_at: assignee ? now : null
+      }, {
+        memberId: by.memberId || null,
+        notes: by.reason || null,
+        transaction
+      });
+
+      await Communication.update(
+        { escalation_request_id: task.id },
+        { where: { id: feedback.id }, transaction }
+      );
+
+      if (assignee) {
+        console.log(`Feedback ${feedback.id} escalated to duty manager ${assignee.id} (task ${task.id})`);
+      } else {
+        console.warn(`Feedback ${feedback.id} escalated, but hotel ${feedback.hotel_id} has no active duty manager (task ${task.id})`);
+      }
+
+      return task;
+    });
+
+    if (escalation) {
+      await RealtimeService.publish(escalation.hotel_id, 'concierge', 'concierge.request.created', escalation.toJSON());
+    }
+    return escalation;
+  }
+
+  /**
+   * Add a reply to a feedback thread. Staff replies may be internal notes,
+   * which the guest never sees; a guest writing on resolved feedback
+   * reopens it. Pass { member } for staff and { guest } for the guest.
+   */
+  static async reply(feedback, message, { member = null, guest = null, isInternal = false } = {}) {
+    const fromGuest = !!guest;
+    const guestId = feedback.sender_type === 'guest' ? feedback.sender_id : null;
+
+    return Communication.sequelize.transaction(async (transaction) => {
+      const reply = await Communication.create({
+        hotel_id: feedback.hotel_id,
+        type: 'chat',
+        category: feedback.category,
+        title: truncate(`Re: ${feedback.title}`, 255),
+        message,
+        sender_type: fromGuest ? 'guest' : 'staff',
+        sender_id: fromGuest ? guest.id : member.id,
+        sender_name: fromGuest
+          ? (feedback.is_anonymous ? 'Anonymous' : `${guest.first_name} ${guest.last_name}`)
+          : `${member.first_name} ${member.last_name}`,
+        recipient_type: !fromGuest && !isInternal && guestId ? 'specific' : 'all',
+        recipient_id: !fromGuest && !isInternal ? guestId : null,
+        priority: 'normal',
+        status: 'sent',
+        response_to_id: feedback.id,
+        is_internal: !fromGuest && isInternal,
+        language: feedback.language
+      }, { transaction });
+
+      if (fromGuest && feedback.feedback_status === 'resolved') {
+        await FeedbackService.reopen(feedback, { transaction });
+      }
+
+      return reply;
+    });
+  }
+
+  /**
+   * Mark feedback resolved and finish its escalation task.
+   * Returns null when the feedback is already resolved.
+   */
+  static async resolve(feedback, member, resolutionNotes) {
+    return Communication.sequelize.transaction(async (transaction) => {
+      const [claimed] = await Communication.update(
+        {
+          feedback_status: 'resolved',
+          resolved_at: new Date(),
+          resolved_by: member.id,
+          resolution_notes: resolutionNotes
+        },
+        { where: { id: feedback.id, feedback_status: { [Op.in]: ['open', 'escalated'] } }, transaction }
+      );
+      if (!claimed) {
+        return null;
+      }
+
+      if (feedback.escalation_request_id) {
+        const task = await ConciergeRequest.findByPk(feedback.escalation_request_id, { transaction });
+        if (task && OPEN_TASK_STATUSES.includes(task.status)) {
+          const by = { memberId: member.id, notes: resolutionNotes, transaction };
+          if (task.status === 'requested') {
+            await task.transitionTo('in_progress', by);
+          }
+          await task.transitionTo('done', by);
+        }
+      }
+
+      return Communication.findByPk(feedback.id, { transaction });
+    });
+  }
+
+  /**
+   * Reopen resolved feedback. Returns null when it is not resolved.
+   */
+  static async reopen(feedback, { transaction } = {}) {
+    const [reopened] = await Communication.update(
+      { feedback_status: 'open', resolved_at: null, resolved_by: null, resolution_notes: null },
+      { where: { id: feedback.id, feedback_status: 'resolved' }, transaction }
+    );
+    return reopened ? Communication.findByPk(feedback.id, { transaction }) : null;
+  }
+}
+
+FeedbackService.ESCALATION_MAX_RATING = ESCALATION_MAX_RATING;
+
+module.exports = FeedbackService;
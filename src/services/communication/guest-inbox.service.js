@@ -0,0 +1,154 @@
+const { Op } = require('sequelize');
+const { Communication, CommunicationRecipient, Hotel, Stay } = require('../../models');
+const CommunicationRecipientService = require('./recipient.service');
+
+// Fields a guest may see on notifications addressed to them. The
+// communication's own status is left out: read state is per guest.
+const GUEST_NOTIFICATION_ATTRIBUTES = [
+  'id',
+  'hotel_id',
+  'type',
+  'category',
+  'title',
+  'message',
+  'priority',
+  'metadata',
+  'scheduled_at',
+  'expires_at',
+  'sent_at',
+  'created_at'
+];
+
+// Stream event IDs are "<sent_at ms>-<communication id>": notifications are
+// streamed in the order they went out, which for scheduled ones is not ID order
+const encodeEventId = (communication) =>
+  `${new Date(communication.sent_at).getTime()}-${communication.id}`;
+
+const decodeEventId = (eventId) => {
+  const match = /^(\d+)-(\d+)$/.exec(String(eventId || '').trim());
+  return match ? { sentAt: new Date(parseInt(match[1])), id: parseInt(match[2]) } : null;
+};
+
+/**
+ * The notification inbox of a guest, shared by the inbox routes and the
+ * notification stream.
+ */
+class GuestInboxService {
+  // Hotels the guest has stayed with or is booked at
+  static async getGuestHotelIds(guestId) {
+    const stays = await Stay.findAll({
+      where: { guest_id: guestId },
+      attributes: ['hotel_id'],
+      group: ['hotel_id']
+    });
+    return stays.map(stay => stay.hotel_id);
+  }
+
+  // The guest's delivery and read state of every communication recorded for them
+  static async getGuestReceipts(guestId) {
+    const recipients = await CommunicationRecipient.findAll({
+      where: { guest_id: guestId },
+      attributes: ['communication_id', 'status', 'delivered_at', 'read_at']
+    });
+    return new Map(recipients.map(recipient => [recipient.communication_id, recipient]));
+  }
+
+  /**
+   * Notifications visible to a guest: sent (not drafts or expired), not past
+   * expires_at, and addressed to the guest, recorded for them (segments,
+   * pushes to their devices), or sent to all guests of a hotel they have a
+   * stay at.
+   */
+  static visibleToGuest(guestId, hotelIds, receiptIds, now = new Date()) {
+    return {
+      type: { [Op.in]: CommunicationRecipientService.TRACKED_TYPES },
+      status: { [Op.in]: ['sent', 'delivered', 'read'] },
+      [Op.and]: [
+        {
+          [Op.or]: [
+            { expires_at: null },
+            { expires_at: { [Op.gt]: now } }
+          ]
+        },
+        {
+          [Op.or]: [
+            { recipient_type: 'specific', recipient_id: guestId },
+            { id: { [Op.in]: receiptIds } },
+            { recipient_type: { [Op.in]: ['all', 'guest'] }, hotel_id: { [Op.in]: hotelIds } }
+          ]
+        }
+      ]
+    };
+  }
+
+  /**
+   * The guest's receipts and the where clause of their visible notifications
+   */
+  static async findVisible(guestId) {
+    const hotelIds = await GuestInboxService.getGuestHotelIds(guestId);
+    const receipts = await GuestInboxService.getGuestReceipts(guestId);
+    return {
+      receipts,
+      where: GuestInboxService.visibleToGuest(guestId, hotelIds, Array.from(receipts.keys()))
+    };
+  }
+
+  static readIdsOf(receipts) {
+    return Array.from(receipts.values())
+      .filter(receipt => receipt.read_at)
+      .map(receipt => receipt.communication_id);
+  }
+
+  /**
+   * Notifications sent after a stream position, oldest first. Each is
+   * recorded as delivered to the guest.
+   */
+  static async sentSince(guestId, after, limit = 50) {
+    const { receipts, where } = await GuestInboxService.findVisible(guestId);
+    where[Op.and].push({
+      [Op.or]: [
+        { sent_at: { [Op.gt]: after.sentAt } },
+        { sent_at: after.sentAt, id: { [Op.gt]: after.id } }
+      ]
+    });
+
+    const rows = await Communication.findAll({
+      where,
+      attributes: GUEST_NOTIFICATION_ATTRIBUTES,
+      include: [
+        {
+          model: Hotel,
+          as: 'Hotel',
+          attributes: ['id', 'name', 'hotel_slug']
+        }
+      ],
+      order: [['sent_at', 'ASC'], ['id', 'ASC']],
+      limit
+    });
+
+    await CommunicationRecipientService.markDelivered(rows, guestId);
+    return rows.map(row => GuestInboxService.serialize(row, receipts));
+  }
+
+  /**
+   * Notification as shown to the guest, with their own is_read and read_at
+   */
+  static serialize(row, receipts) {
+    const data = row.toJSON();
+    try {
+      data.metadata = data.metadata ? JSON.parse(data.metadata) : null;
+    } catch (e) {
+      data.metadata = null;
+    }
+    const receipt = receipts.get(row.id);
+    data.is_read = !!(receipt && receipt.read_at);
+    data.read_at = receipt ? receipt.read_at : null;
+    return data;
+  }
+}
+
+GuestInboxService.GUEST_NOTIFICATION_ATTRIBUTES = GUEST_NOTIFICATION_ATTRIBUTES;
+GuestInboxService.encodeEventId = encodeEventId;
+GuestInboxService.decodeEventId = decodeEventId;
+
+module.exports = GuestInboxService;
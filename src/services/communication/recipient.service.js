@@ -0,0 +1,193 @@
+const { Op } = require('sequelize');
+const { AudienceSegment, CommunicationRecipient } = require('../../models');
+const AudienceSegmentService = require('./segment.service');
+
+// Communication types guests receive individually; only these get recipient rows
+const TRACKED_TYPES = ['notification', 'push_notification'];
+
+const percentage = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : 0);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+/**
+ * Per-guest delivery and read state of communications sent to guests.
+ * Each guest a communication reaches gets a communication_recipients row, so
+ * reading a broadcast only marks it read for that guest.
+ */
+class CommunicationRecipientService {
+  /**
+   * Guest IDs a communication is addressed to, evaluated now
+   */
+  static async resolveAudience(communication, now = new Date()) {
+    switch (communication.recipient_type) {
+      case 'specific':
+        return communication.recipient_id ? [communication.recipient_id] : [];
+      case 'segment': {
+        const segment = communication.segment_id ? await AudienceSegment.findByPk(communication.segment_id) : null;
+        if (!segment) {
+          console.warn(`Communication ${communication.id} targets a missing audience segment`);
+          return [];
+        }
+        return AudienceSegmentService.resolveGuestIds(segment, now);
+      }
+      case 'all':
+      case 'guest': {
+        const guests = await AudienceSegmentService.resolveGuests(communication.hotel_id, {}, now);
+        return guests.map(guest => guest.id);
+      }
+      default:
+        // Walk-in customers have no guest account to track
+        return [];
+    }
+  }
+
+  /**
+   * Record a recipient row for every guest the communication is sent to
+   */
+  static async recordAudience(communication, options = {}) {
+    if (!TRACKED_TYPES.includes(communication.type)) {
+      return 0;
+    }
+
+    const guestIds = options.guestIds || await CommunicationRecipientService.resolveAudience(communication, options.now);
+    await CommunicationRecipient.recordSent(communication.id, guestIds, { transaction: options.transaction });
+    return guestIds.length;
+  }
+
+  /**
+   * Record push outcomes: guests with at least one accepting device are
+   * delivered, the others failed. Read receipts are never downgraded.
+   */
+  static async recordPushOutcome(communication, guestIds, deliveredGuestIds) {
+    const uniqueGuestIds = [...new Set(guestIds)];
+    if (uniqueGuestIds.length === 0) {
+      return;
+    }
+
+    await CommunicationRecipient.recordSent(communication.id, uniqueGuestIds);
+
+    const delivered = uniqueGuestIds.filter(id => deliveredGuestIds.includes(id));
+    const failed = uniqueGuestIds.filter(id => !deliveredGuestIds.includes(id));
+
+    if (delivered.length > 0) {
+      await CommunicationRecipient.update({ status: 'delivered', delivered_at: new Date() }, {
+        where: {
+          communication_id: communication.id,
+          guest_id: { [Op.in]: delivered },
+          status: { [Op.in]: ['pending', 'sent', 'failed'] }
+        }
+      });
+    }
+    if (failed.length > 0) {
+      await CommunicationRecipient.update({ status: 'failed' }, {
+        where: {
+          communication_id: communication.id,
+          guest_id: { [Op.in]: failed },
+          status: { [Op.in]: ['pending', 'sent'] }
+        }
+      });
+    }
+  }
+
+  /**
+   * Mark communications delivered to a guest, e.g. when their inbox shows them.
+   * Guests who joined the audience after sending get a row now.
+   */
+  static async markDelivered(communications, guestId) {
+    if (communications.length === 0) {
+      return;
+    }
+
+    const now = new Date();
+    await CommunicationRecipient.bulkCreate(communications.map(communication => ({
+      communication_id: communication.id,
+      guest_id: guestId,
+      status: 'delivered',
+      sent_at: communication.sent_at,
+      delivered_at: now
+    })), { ignoreDuplicates: true });
+
+    await CommunicationRecipient.update({ status: 'delivered', delivered_at: now }, {
+      where: {
+        communication_id: { [Op.in]: communications.map(communication => communication.id) },
+        guest_id: guestId,
+        delivered_at: null
+      }
+    });
+  }
+
+  /**
+   * Mark a communication read by one guest
+   */
+  static async markRead(communication, guestId) {
+    const now = new Date();
+    const [recipient] = await CommunicationRecipient.findOrCreate({
+      where: { communication_id: communication.id, guest_id: guestId },
+      defaults: {
+        status: 'read',
+        sent_at: communication.sent_at,
+        delivered_at: now,
+        read_at: now
+      }
+    });
+
+    if (!recipient.read_at) {
+      await recipient.update({
+        status: 'read',
+        delivered_at: recipient.delivered_at || now,
+        read_at: now
+      });
+    }
+
+    return recipient;
+  }
+
+  /**
+   * Delivery and read rates of one communication across its recipients
+   */
+  static async analytics(communication) {
+    const recipients = await CommunicationRecipient.findAll({
+      where: { communication_id: communication.id },
+      attributes: ['status', 'sent_at', 'delivered_at', 'read_at'],
+      raw: true
+    });
+
+    const total = recipients.length;
+    const delivered = recipients.filter(r => r.delivered_at).length;
+    const read = recipients.filter(r => r.read_at).length;
+    const failed = recipients.filter(r => r.status === 'failed').length;
+
+    const secondsToRead = recipients
+      .filter(r => r.read_at)
+      .map(r => Math.max(0, Math.round((new Date(r.read_at) - new Date(r.sent_at || communication.sent_at)) / 1000)));
+
+    return {
+      communication_id: communication.id,
+      recipients: total,
+      awaiting_delivery: recipients.filter(r => r.status === 'pending' || r.status === 'sent').length,
+      delivered,
+      read,
+      failed,
+      delivered_rate: percentage(delivered, total),
+      read_rate: percentage(read, total),
+      read_rate_of_delivered: percentage(read, delivered),
+      time_to_read: {
+        average_seconds: secondsToRead.length > 0
+          ? Math.round(secondsToRead.reduce((sum, seconds) => sum + seconds, 0) / secondsToRead.length)
+          : null,
+        median_seconds: median(secondsToRead),
+        fastest_seconds: secondsToRead.length > 0 ? Math.min(...secondsToRead) : null,
+        slowest_seconds: secondsToRead.length > 0 ? Math.max(...secondsToRead) : null
+      }
+    };
+  }
+}
+
+CommunicationRecipientService.TRACKED_TYPES = TRACKED_TYPES;
+
+module.exports = CommunicationRecipientService;
@@ -0,0 +1,139 @@
+const { Op } = require('sequelize');
+const { Guest, Stay, RoomUnit } = require('../../models');
+
+// Stays that never happened do not put a guest in any segment
+const EXCLUDED_STAY_STATUSES = ['cancelled', 'no_show'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateOnly = (date) => date.toISOString().slice(0, 10);
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+/**
+ * True when a preferences object mentions the term, either as a key with a
+ * truthy value ({ spa: true }) or as a value anywhere inside it
+ * ({ interests: ['spa'] }, { pillow: 'spa' }).
+ */
+const matchesPreference = (preferences, term) => {
+  if (preferences === null || preferences === undefined) return false;
+  if (Array.isArray(preferences)) {
+    return preferences.some(value => matchesPreference(value, term));
+  }
+  if (typeof preferences === 'object') {
+    return Object.entries(preferences).some(([key, value]) =>
+      (normalize(key) === term && Boolean(value)) || matchesPreference(value, term)
+    );
+  }
+  return normalize(preferences) === term;
+};
+
+// "de-CH" and "de" both match a segment for "de"
+const matchesLanguage = (language, languages) => {
+  if (!language) return false;
+  const primary = normalize(language).split(/[-_]/)[0];
+  return languages.some(candidate => normalize(candidate) === normalize(language) || normalize(candidate) === primary);
+};
+
+/**
+ * Evaluates audience segment criteria against guests and their stays at a hotel.
+ */
+class AudienceSegmentService {
+  /**
+   * Stay conditions for a criteria.stay filter, evaluated on the given day
+   */
+  static stayWhere(criteria, now = new Date()) {
+    const today = toDateOnly(now);
+    const target = toDateOnly(new Date(now.getTime() + (criteria.days_ahead || 0) * DAY_MS));
+
+    switch (criteria.stay) {
+      case 'in_house':
+        return { status: 'checked_in' };
+      case 'arriving':
+        return { status: 'reserved', arrival_date: target };
+      case 'departing':
+        return { status: { [Op.in]: ['reserved', 'checked_in'] }, departure_date: target };
+      case 'upcoming':
+        return { status: 'reserved', arrival_date: { [Op.gte]: today } };
+      case 'past':
+        return { status: 'checked_out' };
+      default:
+        return { status: { [Op.notIn]: EXCLUDED_STAY_STATUSES } };
+    }
+  }
+
+  /**
+   * Active guests of the hotel matching every criterion, in ID order
+   */
+  static async resolveGuests(hotelId, criteria = {}, now = new Date()) {
+    const stays = await Stay.findAll({
+      where: {
+        hotel_id: hotelId,
+        ...AudienceSegmentService.stayWhere(criteria, now)
+      },
+      attributes: ['id', 'guest_id', 'preferences'],
+      include: criteria.floors ? [
+        {
+          model: RoomUnit,
+          attributes: ['id', 'floor'],
+          where: { floor: { [Op.in]: criteria.floors.map(floor => String(floor).trim()) } },
+          required: true
+        }
+      ] : []
+    });
+
+    const staysByGuest = new Map();
+    stays.forEach(stay => {
+      if (!staysByGuest.has(stay.guest_id)) staysByGuest.set(stay.guest_id, []);
+      staysByGuest.get(stay.guest_id).push(stay);
+    });
+
+    if (staysByGuest.size === 0) {
+      return [];
+    }
+
+    const guestWhere = {
+      id: { [Op.in]: Array.from(staysByGuest.keys()) },
+      is_active: true
+    };
+    if (criteria.nationalities) {
+      guestWhere.nationality = { [Op.in]: criteria.nationalities.map(n => n.trim()) };
+    }
+
+    const guests = await Guest.findAll({
+      where: guestWhere,
+      attributes: ['id', 'email', 'first_name', 'last_name', 'nationality', 'preferences'],
+      order: [['id', 'ASC']]
+    });
+
+    return guests.filter(guest => {
+      const preferences = guest.preferences || {};
+
+      if (criteria.languages && !matchesLanguage(preferences.language, criteria.languages)) {
+        return false;
+      }
+
+      if (criteria.preferences) {
+        // Either the guest profile or the matching stay can carry the preference
+        const sources = [preferences, ...staysByGuest.get(guest.id).map(stay => stay.preferences)];
+        return criteria.preferences.every(term =>
+          sources.some(source => matchesPreference(source, normalize(term)))
+        );
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * IDs of the guests a segment currently targets
+   */
+  static async resolveGuestIds(segment, now = new Date()) {
+    const guests = await AudienceSegmentService.resolveGuests(segment.hotel_id, segment.criteria, now);
+    return guests.map(guest => guest.id);
+  }
+}
+
+AudienceSegmentService.matchesPreference = matchesPreference;
+
+module.exports = AudienceSegmentService;
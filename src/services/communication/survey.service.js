@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Survey, SurveyResponse, SurveyAnswer, Communication } = require('../../models');
+const CommunicationRecipientService = require('./recipient.service');
+const FeedbackService = require('./feedback.service');
+
+// Ratings of 4 or 5 count as satisfied for CSAT
+const CSAT_SATISFIED_MIN = 4;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Link the guest opens to answer; GUEST_APP_URL points at the guest web app
+const surveyUrl = (token) => `${(process.env.GUEST_APP_URL || '').replace(/\/$/, '')}/surveys/${token}`;
+
+const isBlank = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Feedback surveys: invitations, answer validation and NPS/CSAT scoring.
+ */
+class SurveyService {
+  /**
+   * Create a pending response for the stay and notify the guest with the survey link
+   */
+  static async sendInvitation(survey, stay, guest) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const url = surveyUrl(token);
+
+    return Communication.sequelize.transaction(async (transaction) => {
+      const invitation = await Communication.create({
+        hotel_id: stay.hotel_id,
+        type: 'notification',
+        category: 'service',
+        title: 'How was your stay?',
+        message: `Thank you for staying with us, ${guest.first_name}. Please take a moment to tell us about your experience.`,
+        sender_type: 'hotel',
+        recipient_type: 'specific',
+        recipient_id: guest.id,
+        priority: 'normal',
+        status: 'sent',
+        metadata: JSON.stringify({ action: 'survey', stay_id: stay.id, survey_token: token, survey_url: url }),
+        language: 'en'
+      }, { transaction });
+
+      await CommunicationRecipientService.recordAudience(invitation, { guestIds: [guest.id], transaction });
+
+      const response = await SurveyResponse.create({
+        survey_id: survey.id,
+        hotel_id: stay.hotel_id,
+        stay_id: stay.id,
+        guest_id: guest.id,
+        token,
+        status: 'pending',
+        invitation_id: invitation.id,
+        sent_at: new Date()
+      }, { transaction });
+
+      return { response, invitation };
+    });
+  }
+
+  /**
+   * Send the hotel's active post-checkout survey for a stay, once.
+   * Returns null when the hotel has no such survey or the stay already got one.
+   */
+  static async inviteAfterCheckout(stay, guest) {
+    const survey = await Survey.findOne({
+      where: { hotel_id: stay.hotel_id, trigger: 'post_checkout', is_active: true },
+      order: [['updated_at', 'DESC']]
+    });
+    if (!survey) {
+      return null;
+    }
+
+    const existing = await SurveyResponse.findOne({
+      where: { survey_id: survey.id, stay_id: stay.id }
+    });
+    if (existing) {
+      return null;
+    }
+
+    return SurveyService.sendInvitation(survey, stay, guest);
+  }
+
+  /**
+   * Validate submitted answers against the survey. Questions hidden by their
+   * show_if condition are dropped. Returns { errors, answers, rows }.
+   */
+  static validateAnswers(survey, submitted) {
+    const errors = [];
+    const answers = {};
+    const rows = [];
+
+    if (!submitted || typeof submitted !== 'object' || Array.isArray(submitted)) {
+      return { errors: ['answers must be an object keyed by question key'], answers, rows };
+    }
+
+    survey.questions.forEach(question => {
+      if (!Survey.isQuestionVisible(question, answers)) {
+        return;
+      }
+
+      const value = submitted[question.key];
+      if (isBlank(value)) {
+        if (question.required) {
+          errors.push(`${question.key} is required`);
+        }
+        return;
+      }
+
+      const row = {
+        question_key: question.key,
+        question_type: question.type,
+        department: question.department || null,
+        numeric_value: null,
+        text_value: null
+      };
+
+      switch (question.type) {
+        case 'nps':
+        case 'rating': {
+          const scale = question.type === 'nps' ? Survey.NPS_SCALE : Survey.RATING_SCALE;
+          if (!Number.isInteger(value) || value < scale.min || value > scale.max) {
+            errors.push(`${question.key} must be a whole number from ${scale.min} to ${scale.max}`);
+            return;
+          }
+          row.numeric_value = value;
+          break;
+        }
+        case 'yes_no':
+          if (typeof value !== 'boolean') {
+            errors.push(`${question.key} must be true or false`);
+            return;
+          }
+          row.numeric_value = value ? 1 : 0;
+          break;
+        case 'single_choice':
+          if (!question.options.includes(value)) {
+            errors.push(`${question.key} must be one of the listed options`);
+            return;
+          }
+          row.text_value = value;
+          break;
+        case 'multiple_choice':
+          if (!Array.isArray(value) || value.some(choice => !question.options.includes(choice))) {
+            errors.push(`${question.key} must be a list of the listed options`);
+            return;
+          }
+          row.text_value = JSON.stringify([...new Set(value)]);
+          break;
+        default:
+          if (typeof value !== 'string' || value.length > 5000) {
+            errors.push(`${question.key} must be text of at most 5000 characters`);
+            return;
+          }
+          row.text_value = value.trim();
+      }
+
+      answers[question.key] = value;
+      rows.push(row);
+    });
+
+    return { errors, answers, rows };
+  }
+
+  /**
+   * Store a completed response, its answer rows and a feedback communication
+   * so the survey shows up with the hotel's other guest feedback; low ratings
+   * are escalated like any other feedback. Returns null when the response
+   * was already completed.
+   */
+  static async complete(response, survey, validated, guest = null) {
+    const npsRow = validated.rows.find(row => row.question_type === 'nps');
+    const ratings = validated.rows.filter(row => row.question_type === 'rating').map(row => row.numeric_value);
+    const averageRating = ratings.length > 0
+      ? Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 100) / 100
+      : null;
+    const npsScore = npsRow ? npsRow.numeric_value : null;
+
+    // Feedback ratings are 1-5: use the average rating, or the NPS answer halved
+    let feedbackRating = null;
+    if (averageRating !== null) {
+      feedbackRating = Math.round(averageRating);
+    } else if (npsScore !== null) {
+      feedbackRating = Math.max(1, Math.round(npsScore / 2));
+    }
+
+    const comments = validated.rows
+      .filter(row => row.question_type === 'text' && row.text_value)
+      .map(row => row.text_value);
+
+    const completed = await SurveyResponse.sequelize.transaction(async (transaction) => {
+      // Claim the response so a link submitted twice at once is only recorded once
+      const [claimed] = await SurveyResponse.update(
+        { status: 'completed', completed_at: new Date() },
+        { where: { id: response.id, status: 'pending' }, transaction }
+      );
+      if (!claimed) {
+        return null;
+      }
+
+      const feedback = await Communication.create({
+        hotel_id: response.hotel_id,
+        type: 'feedback',
+        category: 'general',
+        title: `Survey: ${survey.name}`,
+        message: comments.length > 0 ? comments.join('\n\n') : 'No comments',
+        sender_type: 'guest',
+        sender_id: response.guest_id,
+        sender_name: guest ? `${guest.first_name} ${guest.last_name}` : null,
+        recipient_type: 'all',
+        priority: 'normal',
+        status: 'sent',
+        rating: feedbackRating,
+        metadata: JSON.stringify({ survey_response_id: response.id, nps_score: npsScore }),
+        language: 'en'
+      }, { transaction });
+
+      await SurveyAnswer.bulkCreate(validated.rows.map(row => ({
+        ...row,
+        response_id: response.id,
+        hotel_id: response.hotel_id
+      })), { transaction });
+
+      await response.update({
+        status: 'completed',
+        answers: validated.answers,
+        nps_score: npsScore,
+        average_rating: averageRating,
+        feedback_id: feedback.id,
+        completed_at: new Date()
+      }, { transaction });
+
+      return response;
+    });
+
+    if (completed) {
+      await FeedbackService.received(await Communication.findByPk(completed.feedback_id));
+    }
+    return completed;
+  }
+
+  /**
+   * NPS (promoters % minus detractors %) and CSAT (% of ratings of 4 or 5)
+   */
+  static score(npsScores, ratings) {
+    const promoters = npsScores.filter(score => score >= 9).length;
+    const detractors = npsScores.filter(score => score <= 6).length;
+    const satisfied = ratings.filter(rating => rating >= CSAT_SATISFIED_MIN).length;
+
+    return {
+      nps_responses: npsScores.length,
+      promoters,
+      passives: npsScores.length - promoters - detractors,
+      detractors,
+      nps: npsScores.length > 0 ? Math.round(((promoters - detractors) / npsScores.length) * 100) : null,
+      ratings: ratings.length,
+      csat: ratings.length > 0 ? round1((satisfied / ratings.length) * 100) : null,
+      average_rating: ratings.length > 0
+        ? Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 100) / 100
+        : null
+    };
+  }
+
+  /**
+   * Period a date falls in: day (YYYY-MM-DD), week (its Monday) or month (YYYY-MM)
+   */
+  static periodOf(date, interval) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (interval === 'month') {
+      return day.toISOString().slice(0, 7);
+    }
+    if (interval === 'week') {
+      day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    }
+    return day.toISOString().slice(0, 10);
+  }
+
+  /**
+   * NPS and CSAT of a hotel's completed surveys, overall, per period and per department
+   */
+  static async trends(hotelId, { from, to, interval = 'week' }) {
+    const responses = await SurveyResponse.findAll({
+      where: {
+        hotel_id: hotelId,
+        status: 'completed',
+        completed_at: { [Op.between]: [from, to] }
+      },
+      attributes: ['id', 'nps_score', 'completed_at'],
+      raw: true
+    });
+
+    const completedAt = new Map(responses.map(response => [response.id, new Date(response.completed_at)]));
+    const ratingRows = responses.length > 0 ? await SurveyAnswer.findAll({
+      where: {
+        response_id: { [Op.in]: responses.map(response => response.id) },
+        question_type: 'rating'
+      },
+      attributes: ['response_id', 'department', 'numeric_value'],
+      raw: true
+    }) : [];
+
+    const periods = new Map();
+    const bucket = (key) => {
+      if (!periods.has(key)) periods.set(key, { responses: 0, npsScores: [], ratings: [] });
+      return periods.get(key);
+    };
+
+    responses.forEach(response => {
+      const entry = bucket(SurveyService.periodOf(new Date(response.completed_at), interval));
+      entry.responses++;
+      if (response.nps_score !== null) entry.npsScores.push(response.nps_score);
+    });
+    ratingRows.forEach(row => {
+      bucket(SurveyService.periodOf(completedAt.get(row.response_id), interval)).ratings.push(row.numeric_value);
+    });
+
+    const departments = new Map();
+    ratingRows.forEach(row => {
+      const department = row.department || 'general';
+      if (!departments.has(department)) departments.set(department, []);
+      departments.get(department).push(row.numeric_value);
+    });
+
+    return {
+      hotel_id: hotelId,
+      interval,
+      from,
+      to,
+      summary: {
+        responses: responses.length,
+        ...SurveyService.score(
+          responses.filter(response => response.nps_score !== null).map(response => response.nps_score),
+          ratingRows.map(row => row.numeric_value)
+        )
+      },
+      periods: Array.from(periods.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([period, entry]) => ({
+          period,
+          responses: entry.responses,
+          ...SurveyService.score(entry.npsScores, entry.ratings)
+        })),
+      departments: Array.from(departments.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([department, ratings]) => {
+          const { ratings: count, csat, average_rating } = SurveyService.score([], ratings);
+          return { department, ratings: count, csat, average_rating };
+        })
+    };
+  }
+}
+
+SurveyService.surveyUrl = surveyUrl;
+
+module.exports = SurveyService;
@@ -0,0 +1,99 @@
+const { ConciergeCategory, Guest, Hotel } = require('../../models');
+const IcsService = require('../calendar/ics.service');
+const MailService = require('../mail/mail.service');
+
+// Scheduled requests have a start time only; their calendar entry lasts this long
+const SCHEDULED_EVENT_MINUTES = 30;
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '');
+
+/**
+ * Confirmation emails for concierge requests scheduled for a time (a
+ * restaurant booking, a transfer), with an invite so the guest can add
+ * them to their calendar.
+ */
+class ConciergeConfirmationService {
+  static event(request, { hotelName, categoryName = null, guest = null }) {
+    const start = new Date(request.scheduled_for);
+    return {
+      uid: `concierge-request-${request.id}@hospient`,
+      sequence: IcsService.sequenceOf(request.updated_at || new Date()),
+      start,
+      end: new Date(start.getTime() + SCHEDULED_EVENT_MINUTES * 60000),
+      summary: request.title,
+      location: hotelName,
+      description: [categoryName, `Request #${request.id} at ${hotelName}`].filter(Boolean).join('\n'),
+      status: request.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+      organizer: { name: hotelName, email: MailService.senderAddress() },
+      attendees: guest ? [{ name: `${guest.first_name} ${guest.last_name}`, email: guest.email }] : []
+    };
+  }
+
+  /**
+   * Email the guest a confirmation of a scheduled request. Requests without
+   * a time or a guest are skipped (null). Never throws; the outcome is the
+   * MailService result.
+   */
+  static async sendScheduled(request) {
+    if (!request.scheduled_for || !request.guest_id) {
+      return null;
+    }
+
+    try {
+      const [guest, hotel, category] = await Promise.all([
+        Guest.findByPk(request.guest_id, { attributes: ['id', 'email', 'first_name', 'last_name'] }),
+        Hotel.findByPk(request.hotel_id, { attributes: ['id', 'name'] }),
+        ConciergeCategory.findByPk(request.category_id, { attributes: ['id', 'name'] })
+      ]);
+      if (!guest || !guest.email) {
+        return null;
+      }
+
+      const hotelName = hotel ? hotel.name : '';
+      const when = formatDate(request.scheduled_for);
+      const ics = IcsService.build({
+        method: 'REQUEST',
+        events: [ConciergeConfirmationService.event(request, {
+          hotelName,
+          categoryName: category ? category.name : null,
+          guest
+        })]
+      });
+
+      return await MailService.send({
+        to: guest.email,
+        subject: `Your request "${request.title}" is scheduled for ${when}`,
+        text: [
+          `Dear ${guest.first_name},`,
+          '',
+          `We have received your request "${request.title}" and scheduled it for ${when}.`,
+          'The attached invite adds it to your calendar.',
+          '',
+          'Kind regards,',
+          hotelName
+        ].join('\n'),
+        html: [
+          '<!DOCTYPE html><html><body>',
+          `<p>Dear ${escapeHtml(guest.first_name)},</p>`,
+          `<p>We have received your request <strong>${escapeHtml(request.title)}</strong> and scheduled it for ${escapeHtml(when)}.</p>`,
+          '<p>The attached invite adds it to your calendar.</p>',
+          `<p>Kind regards,<br>${escapeHtml(hotelName)}</p>`,
+          '</body></html>'
+        ].join(''),
+        attachments: [IcsService.attachment(ics, 'REQUEST')]
+      });
+    } catch (error) {
+      console.error('Error sending concierge confirmation:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = ConciergeConfirmationService;
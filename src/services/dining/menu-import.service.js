@@ -0,0 +1,245 @@
+const { Readable } = require('stream');
+const path = require('path');
+const csv = require('csv-parser');
+const { Menu } = require('../../models');
+const { readXlsx } = require('./xlsx.reader');
+
+const MAX_ROWS = 2000;
+
+// Columns by field, with the other headers exports use for them
+const COLUMNS = {
+  obj_num: ['obj_num', 'Object Number'],
+  item_name: ['item_name', 'Item Name'],
+  item_description: ['item_description', 'Item Description'],
+  main_category: ['main_category', 'Main Category'],
+  sub_category: ['sub_category', 'Sub Category'],
+  item_price: ['item_price', 'Item Price'],
+  tax_rate: ['tax_rate', 'Tax Rate'],
+  kcal: ['kcal', 'Calories'],
+  allergens: ['allergens', 'Allergens'],
+  allergen_notes: ['allergen_notes', 'Allergen Notes'],
+  dietary_tags: ['dietary_tags', 'Dietary Tags', 'Diet'],
+  image: ['image', 'Image'],
+  is_condiment: ['is_condiment', 'Is Condiment']
+};
+
+const REQUIRED = ['item_name', 'item_description', 'main_category', 'sub_category', 'item_price'];
+
+const importError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_FILE';
+  return error;
+};
+
+const headerKey = (header) => String(header).replace(/^\uFEFF/, '').trim().toLowerCase();
+
+// Field of each header the file has, e.g. { 'Item Name': 'item_name' }
+const mapHeaders = (headers) => {
+  const fields = {};
+  for (const header of headers) {
+    const field = Object.keys(COLUMNS).find(name =>
+      COLUMNS[name].some(column => headerKey(column) === headerKey(header)));
+    if (field && !Object.values(fields).includes(field)) {
+      fields[header] = field;
+    }
+  }
+  return fields;
+};
+
+const parseCsv = (buffer) => new Promise((resolve, reject) => {
+  // Spreadsheets set to a comma decimal separator export with semicolons
+  const firstLine = buffer.toString('utf8', 0, Math.min(buffer.length, 4096)).split(/\r?\n/)[0];
+  const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  Readable.from([buffer])
+    .pipe(csv({ separator, mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim() }))
+    .on('data', (data) => rows.push({ row: rows.length + 2, data }))
+    .on('end', () => resolve(rows))
+    .on('error', reject);
+});
+
+const parseXlsx = (buffer) => {
+  const [header, ...rows] = readXlsx(buffer);
+  if (!header) {
+    return [];
+  }
+  return rows.map(({ row, cells }) => ({
+    row,
+    data: Object.fromEntries(header.cells.map((name, index) => [name.trim(), cells[index] || '']))
+  }));
+};
+
+/**
+ * Field values of a row, for the columns the file has. Empty optional cells
+ * clear the field; prices are stored in cents, as bulk uploads always were.
+ */
+const rowValues = (data, fields) => {
+  const values = {};
+  const errors = [];
+
+  for (const [header, field] of Object.entries(fields)) {
+    const text = String(data[header] === undefined || data[header] === null ? '' : data[header]).trim();
+
+    if (REQUIRED.includes(field) && !text) {
+      errors.push(`${field} is required`);
+    } else if (field === 'item_price') {
+      const price = parseFloat(text.replace(',', '.'));
+      if (isNaN(price) || price < 0) errors.push(`item_price "${text}" is not a price`);
+      else values.item_price = Math.round(price * 100);
+    } else if (field === 'tax_rate') {
+      const rate = text ? parseFloat(text.replace(',', '.').replace('%', '')) : 0;
+      if (isNaN(rate) || rate < 0 || rate > 100) errors.push(`tax_rate "${text}" is not a percentage`);
+      else values.tax_rate = rate;
+    } else if (field === 'is_condiment') {
+      values.is_condiment = /^(true|yes|y|1)$/i.test(text);
+    } else {
+      values[field] = text || null;
+    }
+  }
+
+  return { values, errors };
+};
+
+const validationMessages = (error) => (error.errors
+  ? error.errors.map(item => item.message)
+  : [error.message]);
+
+/**
+ * Menu imports from CSV or XLSX files. Rows are matched to the restaurant's
+ * items by obj_num and update them; rows without one, or with one the
+ * restaurant does not have, add items. Nothing is saved unless every row is
+ * valid, and all changes are saved in one transaction.
+ *
+ * Files that cannot be read throw with code INVALID_FILE.
+ */
+class MenuImportService {
+  static async readFile(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!['.csv', '.xlsx'].includes(extension)) {
+      throw importError('Upload a .csv or .xlsx file');
+    }
+
+    let rows;
+    try {
+      rows = extension === '.xlsx' ? parseXlsx(file.buffer) : await parseCsv(file.buffer);
+    } catch (error) {
+      if (error.code === 'INVALID_FILE') {
+        throw error;
+      }
+      throw importError(`The file could not be read: ${error.message}`);
+    }
+
+    if (rows.length === 0) {
+      throw importError('The file has no rows');
+    }
+    if (rows.length > MAX_ROWS) {
+      throw importError(`The file has ${rows.length} rows; import at most ${MAX_ROWS} at a time`);
+    }
+    return rows;
+  }
+
+  /**
+   * Check every row and, unless `dryRun` or a row has errors, save them.
+   * With `deleteMissing` the restaurant's items the file does not update
+   * are deleted, so the file becomes the restaurant's menu.
+   *
+   * The report holds a line per row ({ row, obj_num, item_name, action,
+   * menu_id, errors }), the items that are or would be deleted and totals.
+   */
+  static async import(restaurant, file, { dryRun = false, deleteMissing = false } = {}) {
+    const rows = await MenuImportService.readFile(file);
+    const fields = mapHeaders(Object.keys(rows[0].data));
+    if (!Object.values(fields).includes('item_name') && !Object.values(fields).includes('obj_num')) {
+      throw importError(`No known columns; expected ${Object.values(COLUMNS).map(names => names[0]).join(', ')}`);
+    }
+
+    const existing = await Menu.findAll({
+      where: { restaurant_id: restaurant.id },
+      order: [['id', 'ASC']]
+    });
+    const byObjNum = new Map();
+    for (const menu of existing) {
+      if (menu.obj_num && !byObjNum.has(menu.obj_num)) byObjNum.set(menu.obj_num, menu);
+    }
+
+    const seen = new Map();
+    const lines = [];
+    for (const { row, data } of rows) {
+      const { values, errors } = rowValues(data, fields);
+      const objNum = values.obj_num || null;
+      const match = objNum ? byObjNum.get(objNum) : null;
+
+      if (objNum && seen.has(objNum)) {
+        errors.push(`obj_num ${objNum} is already on row ${seen.get(objNum)}`);
+      } else if (objNum) {
+        seen.set(objNum, row);
+      }
+
+      let menu = null;
+      if (match && !lines.some(line => line.menu === match)) {
+        menu = match.set(values);
+      } else {
+        const missing = REQUIRED.filter(field => !Object.values(fields).includes(field));
+        if (missing.length > 0) {
+          errors.push(`New items need ${missing.join(', ')}`);
+        }
+        menu = Menu.build({ tax_rate: 0, ...values, hotel_id: restaurant.hotel_id, restaurant_id: restaurant.id });
+      }
+
+      if (errors.length === 0) {
+        try {
+          await menu.validate();
+        } catch (error) {
+          errors.push(...validationMessages(error));
+        }
+      }
+
+      lines.push({
+        menu,
+        report: {
+          row,
+          obj_num: objNum,
+          item_name: menu.item_name || null,
+          action: menu.isNewRecord ? 'create' : 'update',
+          menu_id: menu.isNewRecord ? null : menu.id,
+          errors
+        }
+      });
+    }
+
+    const kept = new Set(lines.filter(line => !line.menu.isNewRecord).map(line => line.menu.id));
+    const deleted = deleteMissing ? existing.filter(menu => !kept.has(menu.id)) : [];
+    const invalid = lines.filter(line => line.report.errors.length > 0).length;
+    const applied = !dryRun && invalid === 0;
+
+    if (applied) {
+      await Menu.sequelize.transaction(async (transaction) => {
+        for (const line of lines) {
+          await line.menu.save({ transaction });
+          line.report.menu_id = line.menu.id;
+        }
+        for (const menu of deleted) {
+          await menu.destroy({ transaction });
+        }
+      });
+    }
+
+    const reports = lines.map(line => line.report);
+    return {
+      dry_run: dryRun,
+      applied,
+      summary: {
+        rows: reports.length,
+        created: reports.filter(report => !report.errors.length && report.action === 'create').length,
+        updated: reports.filter(report => !report.errors.length && report.action === 'update').length,
+        deleted: deleted.length,
+        errors: invalid
+      },
+      rows: reports,
+      deleted: deleted.map(menu => ({ id: menu.id, obj_num: menu.obj_num, item_name: menu.item_name }))
+    };
+  }
+}
+
+module.exports = MenuImportService;
@@ -0,0 +1,202 @@
+const { Op } = require('sequelize');
+const { Menu, MenuItemModifierGroup, MenuModifierGroup, MenuModifierOption } = require('../../models');
+
+const selectionError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_ITEM';
+  return error;
+};
+
+/**
+ * Modifier groups offered with menu items ("Choose a side", "Extras"): each
+ * group has options with a price delta and rules for how many may be chosen.
+ *
+ * Selections that break the rules throw with code INVALID_ITEM, like the
+ * other item errors of in-room dining orders.
+ */
+class MenuModifierService {
+  /**
+   * The item's groups in display order, each with its options
+   */
+  static async groupsFor(menu, { availableOnly = false, transaction = null } = {}) {
+    const links = await MenuItemModifierGroup.findAll({
+      where: { menu_id: menu.id },
+      order: [['sort_order', 'ASC'], ['id', 'ASC']],
+      transaction
+    });
+    if (links.length === 0) {
+      return [];
+    }
+
+    const groups = await MenuModifierGroup.findAll({
+      where: { id: { [Op.in]: links.map(link => link.group_id) } },
+      include: [{
+        model: MenuModifierOption,
+        as: 'options',
+        required: false,
+        where: availableOnly ? { is_available: true } : undefined,
+        include: [{ model: Menu, as: 'condiment', attributes: ['id', 'obj_num', 'tax_rate'] }]
+      }],
+      order: [[{ model: MenuModifierOption, as: 'options' }, 'sort_order', 'ASC'], [{ model: MenuModifierOption, as: 'options' }, 'id', 'ASC']],
+      transaction
+    });
+
+    return links
+      .map(link => groups.find(group => group.id === link.group_id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Check the chosen options of an item against its groups and price them.
+   * `selections` is [{ option_id, quantity }]; groups the guest chose nothing
+   * from still count, so a required group cannot be skipped. Returns the
+   * order item modifiers: { option_id, group_id, group_name, name, menu_id,
+   * pos_item_id, quantity, unit_price, tax_rate }.
+   */
+  static async resolveSelections(menu, selections, transaction = null) {
+    const groups = await MenuModifierService.groupsFor(menu, { transaction });
+    if (groups.length === 0) {
+      if (selections.length > 0) {
+        throw selectionError(`${menu.item_name} has no options to choose from`);
+      }
+      return [];
+    }
+
+    const quantities = new Map();
+    for (const selection of selections) {
+      const optionId = parseInt(selection.option_id);
+      quantities.set(optionId, (quantities.get(optionId) || 0) + (parseInt(selection.quantity) || 1));
+    }
+
+    const modifiers = [];
+    const matched = new Set();
+    for (const group of groups) {
+      let chosen = 0;
+      for (const option of group.options) {
+        const quantity = quantities.get(option.id);
+        if (!quantity) continue;
+        matched.add(option.id);
+
+        if (!option.is_available) {
+          throw selectionError(`${option.name} is not available`);
+        }
+        if (quantity > group.max_per_option) {
+          throw selectionError(`${option.name} can be chosen at most ${group.max_per_option} time(s)`);
+        }
+        chosen += quantity;
+
+        modifiers.push({
+          option_id: option.id,
+          group_id: group.id,
+          group_name: group.name,
+          name: option.name,
+          menu_id: option.menu_id || null,
+          pos_item_id: option.pos_item_id || (option.condiment && option.condiment.obj_num) || null,
+          quantity,
+          unit_price: Menu.toCurrency(option.price_delta),
+          tax_rate: parseFloat(option.condiment ? option.condiment.tax_rate : menu.tax_rate) || 0
+        });
+      }
+
+      if (chosen < group.min_select) {
+        throw selectionError(`Choose at least ${group.min_select} of ${group.name} for ${menu.item_name}`);
+      }
+      if (group.max_select !== null && chosen > group.max_select) {
+        throw selectionError(`Choose at most ${group.max_select} of ${group.name} for ${menu.item_name}`);
+      }
+    }
+
+    const unknown = [...quantities.keys()].filter(optionId => !matched.has(optionId));
+    if (unknown.length > 0) {
+      throw selectionError(`Option ${unknown[0]} is not offered with ${menu.item_name}`);
+    }
+
+    return modifiers;
+  }
+
+  /**
+   * Offer exactly these groups with the item, in the given order. Groups
+   * must belong to the item's restaurant.
+   */
+  static async setItemGroups(menu, groupIds, transaction = null) {
+    const ids = [...new Set(groupIds.map(id => parseInt(id)))];
+    const groups = ids.length > 0
+      ? await MenuModifierGroup.findAll({
+        where: { id: { [Op.in]: ids }, restaurant_id: menu.restaurant_id },
+        attributes: ['id'],
+        transaction
+      })
+      : [];
+    if (groups.length !== ids.length) {
+      throw selectionError('Modifier groups must belong to the restaurant of the item');
+    }
+
+    await MenuItemModifierGroup.destroy({ where: { menu_id: menu.id }, transaction });
+    await MenuItemModifierGroup.bulkCreate(
+      ids.map((groupId, index) => ({ menu_id: menu.id, group_id: groupId, sort_order: index })),
+      { transaction }
+    );
+  }
+
+  /**
+   * Save the condiment groups that came with an item from the POS. Groups are
+   * matched by their POS id within the hotel, their options are replaced and
+   * the item is offered exactly these groups.
+   */
+  static async syncPosGroups(menu, posGroups) {
+    return MenuModifierGroup.sequelize.transaction(async (transaction) => {
+      const groupIds = [];
+      for (const posGroup of posGroups) {
+        const values = {
+          name: posGroup.name,
+          min_select: posGroup.min_select,
+          max_select: posGroup.max_select,
+          max_per_option: posGroup.max_per_option
+        };
+
+        let group = posGroup.pos_group_id
+          ? await MenuModifierGroup.findOne({
+            where: { hotel_id: menu.hotel_id, pos_group_id: posGroup.pos_group_id },
+            transaction
+          })
+          : null;
+        if (group) {
+          await group.update(values, { transaction });
+        } else {
+          group = await MenuModifierGroup.create({
+            ...values,
+            hotel_id: menu.hotel_id,
+            restaurant_id: menu.restaurant_id,
+            pos_group_id: posGroup.pos_group_id || null
+          }, { transaction });
+        }
+
+        const posItemIds = posGroup.options.map(option => option.pos_item_id).filter(Boolean);
+        const condiments = posItemIds.length > 0
+          ? await Menu.findAll({
+            where: { hotel_id: menu.hotel_id, obj_num: { [Op.in]: posItemIds }, is_condiment: true },
+            attributes: ['id', 'obj_num'],
+            transaction
+          })
+          : [];
+
+        await MenuModifierOption.destroy({ where: { group_id: group.id }, transaction });
+        await MenuModifierOption.bulkCreate(posGroup.options.map((option, index) => {
+          const condiment = condiments.find(candidate => candidate.obj_num === option.pos_item_id);
+          return {
+            ...option,
+            group_id: group.id,
+            menu_id: condiment ? condiment.id : null,
+            sort_order: index
+          };
+        }), { transaction });
+
+        groupIds.push(group.id);
+      }
+
+      await MenuModifierService.setItemGroups(menu, groupIds, transaction);
+    });
+  }
+}
+
+module.exports = MenuModifierService;
@@ -0,0 +1,367 @@
+const { Op } = require('sequelize');
+const { DiningOrder, DiningOrderItem, FolioCharge, Integration, Menu } = require('../../models');
+const POSIntegrationService = require('../integration/pos-integration.service');
+const RealtimeService = require('../realtime/realtime.service');
+const MenuModifierService = require('./modifier.service');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const orderError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Stored modifiers as selections, to price an item again
+const toSelections = (modifiers) => modifiers.map(modifier => (modifier.option_id
+  ? { option_id: modifier.option_id, quantity: modifier.quantity }
+  : { menu_id: modifier.menu_id, quantity: modifier.quantity }));
+
+/**
+ * In-room dining: a guest fills a cart from the hotel's menu, places it for
+ * delivery to their room, and the kitchen moves the order through
+ * received, preparing, delivering and delivered. Placed orders are posted
+ * to the hotel's POS as a guest check charged to the stay's folio.
+ *
+ * Errors are thrown with a code: INVALID_ITEM for an item that cannot be
+ * ordered, EMPTY_CART, and INVALID_TRANSITION for a status change that is
+ * not allowed.
+ */
+class DiningOrderService {
+  /**
+   * Price an item with its modifiers. `values` is { menu_id, quantity,
+   * modifiers: [{ option_id | menu_id, quantity }], notes }: option_id picks
+   * an option of the item's modifier groups, whose selection rules must be
+   * met; menu_id adds a condiment of the restaurant. Every menu item must
+   * belong to the order's hotel and restaurant (the first item picks the
+   * restaurant). Menu prices are in cents, order lines in currency units.
+   */
+  static async priceItem(order, values, transaction = null) {
+    const menu = await Menu.findOne({
+      where: { id: values.menu_id, hotel_id: order.hotel_id },
+      transaction
+    });
+    if (!menu || menu.is_condiment) {
+      throw orderError('INVALID_ITEM', `Menu item ${values.menu_id} is not available`);
+    }
+    if (order.restaurant_id && menu.restaurant_id !== order.restaurant_id) {
+      throw orderError('INVALID_ITEM', 'All items of an order must come from the same restaurant');
+    }
+
+    const selections = values.modifiers || [];
+    const optionSelections = selections.filter(selection => selection.option_id);
+    const condimentSelections = selections.filter(selection => !selection.option_id);
+    const options = await MenuModifierService.resolveSelections(menu, optionSelections, transaction);
+
+    const condimentIds = [...new Set(condimentSelections.map(selection => parseInt(selection.menu_id)))];
+    const condiments = condimentIds.length > 0
+      ? await Menu.findAll({
+        where: {
+          id: { [Op.in]: condimentIds },
+          hotel_id: order.hotel_id,
+          restaurant_id: menu.restaurant_id,
+          is_condiment: true
+        },
+        transaction
+      })
+      : [];
+    if (condiments.length !== condimentIds.length) {
+      throw orderError('INVALID_ITEM', `Modifiers of ${menu.item_name} must be condiments of the same restaurant`);
+    }
+
+    const quantity = parseInt(values.quantity) || 1;
+    const modifiers = options.concat(condimentSelections.map((selection) => {
+      const condiment = condiments.find(candidate => candidate.id === parseInt(selection.menu_id));
+      return {
+        menu_id: condiment.id,
+        pos_item_id: condiment.obj_num || null,
+        name: condiment.item_name,
+        quantity: parseInt(selection.quantity) || 1,
+        unit_price: Menu.toCurrency(condiment.item_price),
+        tax_rate: parseFloat(condiment.tax_rate) || 0
+      };
+    }));
+
+    const unitPrice = Menu.toCurrency(menu.item_price);
+    const taxRate = parseFloat(menu.tax_rate) || 0;
+    const modifierAmount = modifiers.reduce((sum, modifier) => sum + modifier.quantity * modifier.unit_price, 0);
+    const modifierTax = modifiers.reduce((sum, modifier) =>
+      sum + modifier.quantity * modifier.unit_price * modifier.tax_rate / 100, 0);
+
+    return {
+      restaurant_id: menu.restaurant_id,
+      item: {
+        menu_id: menu.id,
+        name: menu.item_name,
+        pos_item_id: menu.obj_num || null,
+        quantity,
+        unit_price: unitPrice,
+        modifiers,
+        tax_rate: taxRate,
+        amount: round2(quantity * (unitPrice + modifierAmount)),
+        tax_amount: round2(quantity * (unitPrice * taxRate / 100 + modifierTax)),
+        notes: values.notes || null
+      }
+    };
+  }
+
+  static async recalculate(order, transaction = null) {
+    const items = await DiningOrderItem.findAll({ where: { order_id: order.id }, transaction });
+    const subtotal = round2(items.reduce((sum, item) => sum + parseFloat(item.amount), 0));
+    const taxTotal = round2(items.reduce((sum, item) => sum + parseFloat(item.tax_amount), 0));
+
+    return order.update({
+      subtotal,
+      tax_total: taxTotal,
+      total: round2(subtotal + taxTotal),
+      restaurant_id: items.length > 0 ? order.restaurant_id : null
+    }, { transaction });
+  }
+
+  /**
+   * The guest's open cart for a stay, created on first use
+   */
+  static async getCart(stay, guestId) {
+    const [cart] = await DiningOrder.findOrCreate({
+      where: { stay_id: stay.id, guest_id: guestId, status: 'cart' },
+      defaults: { hotel_id: stay.hotel_id }
+    });
+    return cart;
+  }
+
+  static async addItem(cart, values) {
+    return DiningOrder.sequelize.transaction(async (transaction) => {
+      const { restaurant_id, item } = await DiningOrderService.priceItem(cart, values, transaction);
+      if (!cart.restaurant_id) {
+        await cart.update({ restaurant_id }, { transaction });
+      }
+      const created = await DiningOrderItem.create({ ...item, order_id: cart.id }, { transaction });
+      await DiningOrderService.recalculate(cart, transaction);
+      return created;
+    });
+  }
+
+  /**
+   * Change the quantity, modifiers or notes of a cart item; the item is
+   * priced again at the current menu prices
+   */
+  static async updateItem(cart, item, values) {
+    return DiningOrder.sequelize.transaction(async (transaction) => {
+      const { item: priced } = await DiningOrderService.priceItem(cart, {
+        menu_id: item.menu_id,
+        quantity: values.quantity !== undefined ? values.quantity : item.quantity,
+        modifiers: values.modifiers !== undefined ? values.modifiers : toSelections(item.modifiers),
+        notes: values.notes !== undefined ? values.notes : item.notes
+      }, transaction);
+      await item.update(priced, { transaction });
+      await DiningOrderService.recalculate(cart, transaction);
+      return item;
+    });
+  }
+
+  static async removeItem(cart, item) {
+    return DiningOrder.sequelize.transaction(async (transaction) => {
+      await item.destroy({ transaction });
+      await DiningOrderService.recalculate(cart, transaction);
+    });
+  }
+
+  /**
+   * Place the cart: items are priced again from the current menu, the order
+   * goes to the kitchen and is posted to the POS. `details` is { room_number,
+   * requested_for, notes }.
+   */
+  static async place(cart, details) {
+    await DiningOrder.sequelize.transaction(async (transaction) => {
+      const items = await DiningOrderItem.findAll({ where: { order_id: cart.id }, transaction });
+      if (items.length === 0) {
+        throw orderError('EMPTY_CART', 'The cart is empty');
+      }
+
+      for (const item of items) {
+        const { item: priced } = await DiningOrderService.priceItem(cart, {
+          menu_id: item.menu_id,
+          quantity: item.quantity,
+          modifiers: toSelections(item.modifiers),
+          notes: item.notes
+        }, transaction);
+        await item.update(priced, { transaction });
+      }
+      await DiningOrderService.recalculate(cart, transaction);
+
+      await cart.update({
+        status: 'received',
+        placed_at: new Date(),
+        room_number: details.room_number,
+        requested_for: details.requested_for || null,
+        notes: details.notes || null
+      }, { transaction });
+    });
+
+    await DiningOrderService.postToPos(cart);
+    await RealtimeService.publish(cart.hotel_id, 'dining', 'dining.order.placed', cart.toJSON());
+    return cart;
+  }
+
+  /**
+   * Post the order to the hotel's active POS integration as a guest check
+   * on the stay's folio. Records the outcome on the order instead of
+   * throwing: posted, failed (with pos_error, can be retried) or
+   * not_configured when the hotel has no POS integration. The check id is
+   * stored as soon as the POS accepts the check; if only the folio charge
+   * fails, the order stays posted with pos_error set and a retry charges
+   * the folio without posting the check again.
+   */
+  static async postToPos(order) {
+    if (order.pos_status === 'voided' || (order.pos_status === 'posted' && !order.pos_error)) {
+      return order;
+    }
+
+    const integration = await Integration.findOne({
+      where: {
+        hotel_id: order.hotel_id,
+        integration_type: 'pos',
+        status: 'active'
+      }
+    });
+    if (!integration) {
+      return order.update({ pos_status: 'not_configured', pos_error: null });
+    }
+
+    const pos = new POSIntegrationService(integration.id);
+    if (!order.pos_check_id) {
+      const items = await DiningOrderItem.findAll({ where: { order_id: order.id }, order: [['id', 'ASC']] });
+      const checkItems = [];
+      for (const item of items) {
+        // Options with no POS item of their own are priced into the item line
+        // and named in its instructions
+        const modifiers = item.modifiers;
+        const folded = modifiers.filter(modifier => !modifier.pos_item_id && !modifier.menu_id);
+        const unitPrice = round2(parseFloat(item.unit_price) +
+          folded.reduce((sum, modifier) => sum + modifier.quantity * modifier.unit_price, 0));
+        const instructions = folded
+          .map(modifier => (modifier.quantity > 1 ? `${modifier.quantity}x ${modifier.name}` : modifier.name))
+          .concat(item.notes || [])
+          .join(', ');
+
+        checkItems.push({
+          menuId: item.pos_item_id || item.menu_id,
+          quantity: item.quantity,
+          unitPrice,
+          totalPrice: round2(item.quantity * unitPrice),
+          specialInstructions: instructions || null
+        });
+        // Condiments follow their item as lines of their own
+        for (const modifier of modifiers.filter(candidate => !folded.includes(candidate))) {
+          const quantity = item.quantity * modifier.quantity;
+          checkItems.push({
+            menuId: modifier.pos_item_id || modifier.menu_id,
+            quantity,
+            unitPrice: modifier.unit_price,
+            totalPrice: round2(quantity * modifier.unit_price),
+            specialInstructions: `With ${item.name}`
+          });
+        }
+      }
+
+      try {
+        const result = await pos.postGuestCheck({
+          guestId: order.guest_id,
+          roomNumber: order.room_number,
+          items: checkItems,
+          subtotal: parseFloat(order.subtotal),
+          tax: parseFloat(order.tax_total),
+          total: parseFloat(order.total),
+          paymentMethod: 'room_charge',
+          paymentStatus: 'pending',
+          timestamp: order.placed_at
+        });
+
+        await order.update({
+          pos_status: 'posted',
+          pos_check_id: String(result.posCheckId),
+          pos_error: null,
+          pos_posted_at: new Date()
+        });
+      } catch (error) {
+        console.error(`Failed to post dining order ${order.id} to POS:`, error.message);
+        return order.update({ pos_status: 'failed', pos_error: error.message });
+      }
+    }
+
+    try {
+      await pos.chargeToFolio({
+        stayId: order.stay_id,
+        description: `In-room dining order #${order.id}`,
+        category: 'food_beverage',
+        total: parseFloat(order.total),
+        timestamp: order.placed_at
+      }, order.pos_check_id);
+      return order.update({ pos_status: 'posted', pos_error: null });
+    } catch (error) {
+      console.error(`Failed to charge dining order ${order.id} to the folio:`, error.message);
+      return order.update({ pos_status: 'posted', pos_error: `Folio charge failed: ${error.message}` });
+    }
+  }
+
+  /**
+   * Move a placed order on. Cancelling voids its POS check and removes the
+   * check from the folio; if the POS cannot void it, pos_error says so and
+   * the check has to be voided at the POS.
+   *
+   * by: { memberId, reason }
+   */
+  static async transition(order, status, by = {}) {
+    if (!DiningOrder.canTransition(order.status, status)) {
+      throw orderError('INVALID_TRANSITION', `Cannot change status from ${order.status} to ${status}`);
+    }
+
+    const changes = {
+      status,
+      [DiningOrder.STATUS_TIMESTAMPS[status]]: new Date(),
+      handled_by: by.memberId || order.handled_by
+    };
+    if (status === 'cancelled') {
+      changes.cancel_reason = by.reason || null;
+    }
+    await order.update(changes);
+
+    if (status === 'cancelled' && order.pos_status === 'posted') {
+      await DiningOrderService.voidPosCheck(order, by.reason);
+    }
+
+    await RealtimeService.publish(order.hotel_id, 'dining', 'dining.order.status_changed', {
+      order_id: order.id,
+      room_number: order.room_number,
+      status: order.status,
+      pos_status: order.pos_status
+    });
+    return order;
+  }
+
+  static async voidPosCheck(order, reason = null) {
+    const integration = await Integration.findOne({
+      where: {
+        hotel_id: order.hotel_id,
+        integration_type: 'pos',
+        status: 'active'
+      }
+    });
+
+    try {
+      if (!integration) {
+        throw new Error('The POS integration is no longer active');
+      }
+      await new POSIntegrationService(integration.id).voidCheck(order.pos_check_id, reason || 'Order cancelled');
+      await FolioCharge.destroy({
+        where: { stay_id: order.stay_id, source: 'pos', external_id: order.pos_check_id }
+      });
+      await order.update({ pos_status: 'voided', pos_error: null });
+    } catch (error) {
+      console.error(`Failed to void POS check of dining order ${order.id}:`, error.message);
+      await order.update({ pos_error: `Void failed: ${error.message}` });
+    }
+  }
+}
+
+module.exports = DiningOrderService;
@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Hotel, RestaurantReservation, RestaurantTable, Stay } = require('../../models');
+const RealtimeService = require('../realtime/realtime.service');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Confirmation codes leave out characters that are easily mistaken for each other
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const reservationError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Minutes since midnight of "HH:MM" or "HH:MM:SS", or null
+const toMinutes = (value) => {
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(value || ''));
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+};
+
+const formatTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Date and minutes since midnight of an instant in a time zone
+const localTime = (instant, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(instant).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+};
+
+const generateCode = () => Array.from(crypto.randomBytes(CODE_LENGTH))
+  .map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+  .join('');
+
+/**
+ * Table reservations. A restaurant takes reservations every
+ * reservation_slot_minutes within its working hours, as long as the
+ * reservation ends by closing time. Each reservation holds the smallest free
+ * table seating its party for reservation_duration_minutes, and
+ * covers_per_slot (when set) caps the covers starting in one slot.
+ *
+ * Dates and times are local to the hotel (its timezone), like the working
+ * hours; times that have passed there cannot be reserved.
+ * Errors are thrown with a code: INVALID_SLOT, SLOT_UNAVAILABLE,
+ * TABLE_NOT_FOUND or INVALID_TRANSITION.
+ */
+class RestaurantReservationService {
+  /**
+   * Opening periods on a date as minutes since midnight. A day of the
+   * working hours is { open, close } or a list of them (lunch and dinner);
+   * a missing day is closed and a period closing after midnight ends the
+   * next day.
+   */
+  static openingPeriods(restaurant, date) {
+    const workingHours = restaurant.working_hours || {};
+    const day = workingHours[DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()]];
+    const periods = Array.isArray(day) ? day : (day ? [day] : []);
+
+    return periods
+      .filter(period => period && !period.closed)
+      .map((period) => {
+        const open = toMinutes(period.open);
+        let close = toMinutes(period.close);
+        if (open === null || close === null) {
+          return null;
+        }
+        if (close <= open) {
+          close += 24 * 60;
+        }
+        return { open, close };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.open - b.open);
+  }
+
+  /**
+   * The current date and minutes since midnight where the restaurant's hotel is
+   */
+  static async now(restaurant, transaction = null) {
+    const hotel = await Hotel.findByPk(restaurant.hotel_id, { attributes: ['id', 'timezone'], transaction });
+    return RestaurantReservationService.nowAt(hotel);
+  }
+
+  /**
+   * The current date and minutes since midnight in a hotel's time zone
+   */
+  static nowAt(hotel) {
+    return localTime(new Date(), (hotel && hotel.timezone) || 'UTC');
+  }
+
+  // Whether a start time on a date has passed
+  static isPast(now, date, start) {
+    return date < now.date || (date === now.date && start < now.minutes);
+  }
+
+  // Start times (minutes) a reservation can be made for on a date
+  static slotTimes(restaurant, date) {
+    const step = restaurant.reservation_slot_minutes || 15;
+    const duration = restaurant.reservation_duration_minutes || 90;
+    const times = [];
+    RestaurantReservationService.openingPeriods(restaurant, date).forEach((period) => {
+      for (let start = period.open; start + duration <= period.close && start < 24 * 60; start += step) {
+        if (!times.includes(start)) {
+          times.push(start);
+        }
+      }
+    });
+    return times.sort((a, b) => a - b);
+  }
+
+  static async dayBookings(restaurantId, date, { excludeId = null, transaction = null } = {}) {
+    const where = {
+      restaurant_id: restaurantId,
+      reservation_date: date,
+      status: { [Op.in]: RestaurantReservation.BLOCKING_STATUSES }
+    };
+    if (excludeId) {
+      where.id = { [Op.ne]: excludeId };
+    }
+    return RestaurantReservation.findAll({ where, transaction });
+  }
+
+  /**
+   * Free tables for a party starting at `start` (minutes), smallest first,
+   * and the covers already starting in that slot. `full` is set when
+   * covers_per_slot leaves no room for the party. With `tableId` only that
+   * table is considered, whatever its size.
+   */
+  static evaluate(restaurant, tables, bookings, start, partySize, { tableId = null, ignorePacing = false } = {}) {
+    const end = start + restaurant.reservation_duration_minutes;
+    const busyTableIds = new Set(bookings
+      .filter((booking) => {
+        const bookingStart = toMinutes(booking.start_time);
+        return bookingStart < end && bookingStart + booking.duration_minutes > start;
+      })
+      .map(booking => booking.table_id));
+
+    const freeTables = tables
+      .filter(table => (tableId ? table.id === tableId && table.is_active : table.seats(partySize)))
+      .filter(table => !busyTableIds.has(table.id))
+      .sort((a, b) => a.max_covers - b.max_covers || a.name.localeCompare(b.name));
+
+    const covers = bookings
+      .filter((booking) => {
+        const bookingStart = toMinutes(booking.start_time);
+        return bookingStart >= start && bookingStart < start + restaurant.reservation_slot_minutes;
+      })
+      .reduce((sum, booking) => sum + booking.party_size, 0);
+
+    return {
+      freeTables,
+      covers,
+      full: !ignorePacing && !!restaurant.covers_per_slot && covers + partySize > restaurant.covers_per_slot
+    };
+  }
+
+  /**
+   * Reservation times on a date for a party, each with whether a table is
+   * free and the covers already booked in it. Times that have passed are
+   * left out.
+   */
+  static async availability(restaurant, date, partySize) {
+    const result = {
+      date,
+      party_size: partySize,
+      slot_minutes: restaurant.reservation_slot_minutes,
+      duration_minutes: restaurant.reservation_duration_minutes,
+      slots: []
+    };
+    const now = await RestaurantReservationService.now(restaurant);
+    if (date < now.date) {
+      return result;
+    }
+
+    const [tables, bookings] = await Promise.all([
+      RestaurantTable.findAll({ where: { restaurant_id: restaurant.id, is_active: true } }),
+      RestaurantReservationService.dayBookings(restaurant.id, date)
+    ]);
+
+    result.slots = RestaurantReservationService.slotTimes(restaurant, date)
+      .filter(start => !RestaurantReservationService.isPast(now, date, start))
+      .map((start) => {
+        const { freeTables, covers, full } = RestaurantReservationService.evaluate(restaurant, tables, bookings, start, partySize);
+        return {
+          time: formatTime(start),
+          available: !full && freeTables.length > 0,
+          tables_free: freeTables.length,
+          covers_booked: covers
+        };
+      });
+    return result;
+  }
+
+  /**
+   * In-house or upcoming stay of a guest at the hotel covering a date, to
+   * link a guest's reservation to
+   */
+  static async findStay(guestId, hotelId, date) {
+    return Stay.findOne({
+      where: {
+        guest_id: guestId,
+        hotel_id: hotelId,
+        status: { [Op.in]: ['reserved', 'checked_in'] },
+        arrival_date: { [Op.lte]: date },
+        departure_date: { [Op.gte]: date }
+      }
+    });
+  }
+
+  /**
+   * Create a reservation, or update `reservation`, after finding it a table.
+   * The restaurant's tables are locked for the check so two requests cannot
+   * take the same table. Staff (source 'staff') may pick the table and are
+   * not held to covers_per_slot.
+   *
+   * values: { reservation_date, start_time, party_size, table_id, name,
+   * email, phone, notes, guest_id, stay_id }
+   */
+  static async reserve(restaurant, values, reservation = null, { source = 'public', memberId = null } = {}) {
+    const saved = await RestaurantReservation.sequelize.transaction(async (transaction) => {
+      const tables = await RestaurantTable.findAll({
+        where: { restaurant_id: restaurant.id },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const current = reservation ? reservation.get({ plain: true }) : {};
+      const date = values.reservation_date || current.reservation_date;
+      const start = toMinutes(values.start_time || current.start_time);
+      const partySize = parseInt(values.party_size || current.party_size);
+      const tableId = values.table_id ? parseInt(values.table_id) : null;
+
+      const changes = {};
+      ['name', 'email', 'phone', 'notes', 'guest_id', 'stay_id'].forEach((field) => {
+        if (values[field] !== undefined) changes[field] = values[field];
+      });
+
+      const retimed = !reservation ||
+        date !== current.reservation_date ||
+        start !== toMinutes(current.start_time);
+      const moved = retimed ||
+        partySize !== current.party_size ||
+        (tableId && tableId !== current.table_id);
+
+      if (moved) {
+        const now = await RestaurantReservationService.now(restaurant, transaction);
+        if (date < now.date) {
+          throw reservationError('INVALID_SLOT', 'Reservations cannot be made for a past date');
+        }
+        // A party whose time has come may still change size or table
+        if (retimed && RestaurantReservationService.isPast(now, date, start)) {
+          throw reservationError('INVALID_SLOT', `${formatTime(start)} on ${date} has passed`);
+        }
+        if (!RestaurantReservationService.slotTimes(restaurant, date).includes(start)) {
+          throw reservationError('INVALID_SLOT', `${restaurant.name} takes no reservations at ${values.start_time || current.start_time} on ${date}`);
+        }
+        if (tableId && !tables.some(table => table.id === tableId)) {
+          throw reservationError('TABLE_NOT_FOUND', 'Table not found');
+        }
+
+        const bookings = await RestaurantReservationService.dayBookings(restaurant.id, date, {
+          excludeId: reservation ? reservation.id : null,
+          transaction
+        });
+        const { freeTables, full } = RestaurantReservationService.evaluate(restaurant, tables, bookings, start, partySize, {
+          tableId,
+          ignorePacing: source === 'staff'
+        });
+        if (full) {
+          throw reservationError('SLOT_UNAVAILABLE', `${formatTime(start)} is fully booked`);
+        }
+        if (freeTables.length === 0) {
+          throw reservationError('SLOT_UNAVAILABLE', tableId
+            ? `The table is taken at ${formatTime(start)}`
+            : `No table for ${partySize} is free at ${formatTime(start)}`);
+        }
+
+        Object.assign(changes, {
+          reservation_date: date,
+          start_time: `${formatTime(start)}:00`,
+          party_size: partySize,
+          table_id: freeTables[0].id,
+          duration_minutes: restaurant.reservation_duration_minutes
+        });
+      }
+
+      if (reservation) {
+        return reservation.update(changes, { transaction });
+      }
+      return RestaurantReservation.create({
+        ...changes,
+        hotel_id: restaurant.hotel_id,
+        restaurant_id: restaurant.id,
+        confirmation_code: generateCode(),
+        source,
+        created_by: memberId
+      }, { transaction });
+    });
+
+    if (!reservation) {
+      await RealtimeService.publish(restaurant.hotel_id, 'dining', 'restaurant.reservation.created', {
+        id: saved.id,
+        restaurant_id: saved.restaurant_id,
+        table_id: saved.table_id,
+        name: saved.name,
+        party_size: saved.party_size,
+        reservation_date: saved.reservation_date,
+        start_time: saved.start_time,
+        source: saved.source
+      });
+    }
+    return saved;
+  }
+
+  /**
+   * by: { memberId, reason }
+   */
+  static async transition(reservation, status, by = {}) {
+    if (!RestaurantReservation.canTransition(reservation.status, status)) {
+      throw reservationError('INVALID_TRANSITION', `Cannot change status from ${reservation.status} to ${status}`);
+    }
+
+    const changes = {
+      status,
+      [RestaurantReservation.STATUS_TIMESTAMPS[status]]: new Date(),
+      handled_by: by.memberId || reservation.handled_by
+    };
+    if (status === 'cancelled') {
+      changes.cancel_reason = by.reason || null;
+    }
+    await reservation.update(changes);
+
+    await RealtimeService.publish(reservation.hotel_id, 'dining', 'restaurant.reservation.status_changed', {
+      id: reservation.id,
+      restaurant_id: reservation.restaurant_id,
+      table_id: reservation.table_id,
+      status: reservation.status
+    });
+    return reservation;
+  }
+
+  /**
+   * The day's reservations of a restaurant for the floor: per table in
+   * time order, the covers per slot, and the totals. Cancelled
+   * reservations are listed apart.
+   */
+  static async sheet(restaurant, date, include = []) {
+    const [tables, reservations] = await Promise.all([
+      RestaurantTable.findAll({
+        where: { restaurant_id: restaurant.id },
+        order: [['area', 'ASC'], ['name', 'ASC']]
+      }),
+      RestaurantReservation.findAll({
+        where: { restaurant_id: restaurant.id, reservation_date: date },
+        include,
+        order: [['start_time', 'ASC'], ['id', 'ASC']]
+      })
+    ]);
+
+    const active = reservations.filter(reservation => reservation.status !== 'cancelled');
+    const byStatus = {};
+    Object.keys(RestaurantReservation.STATUS_TRANSITIONS).forEach((status) => {
+      byStatus[status] = reservations.filter(reservation => reservation.status === status).length;
+    });
+
+    const slots = RestaurantReservationService.slotTimes(restaurant, date).map((start) => {
+      const starting = active.filter((reservation) => {
+        const reservationStart = toMinutes(reservation.start_time);
+        return reservationStart >= start && reservationStart < start + restaurant.reservation_slot_minutes;
+      });
+      return {
+        time: formatTime(start),
+        reservations: starting.length,
+        covers: starting.reduce((sum, reservation) => sum + reservation.party_size, 0)
+      };
+    });
+
+    return {
+      restaurant_id: restaurant.id,
+      date,
+      opening: RestaurantReservationService.openingPeriods(restaurant, date).map(period => ({
+        open: formatTime(period.open),
+        close: formatTime(period.close % (24 * 60))
+      })),
+      totals: {
+        reservations: active.length,
+        covers: active.filter(reservation => reservation.status !== 'no_show')
+          .reduce((sum, reservation) => sum + reservation.party_size, 0),
+        by_status: byStatus
+      },
+      slots,
+      tables: tables.map(table => ({
+        id: table.id,
+        name: table.name,
+        area: table.area,
+        min_covers: table.min_covers,
+        max_covers: table.max_covers,
+        is_active: table.is_active,
+        reservations: active.filter(reservation => reservation.table_id === table.id)
+      })),
+      unassigned: active.filter(reservation => !reservation.table_id),
+      cancelled: reservations.filter(reservation => reservation.status === 'cancelled')
+    };
+  }
+}
+
+module.exports = RestaurantReservationService;
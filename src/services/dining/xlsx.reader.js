@@ -0,0 +1,202 @@
+const zlib = require('zlib');
+
+/**
+ * Reads the first sheet of an .xlsx workbook into rows of cell text. An
+ * .xlsx file is a zip archive of XML parts; only what a menu export needs is
+ * supported: shared and inline strings, numbers and booleans. Formulas are
+ * read as their last calculated value.
+ *
+ * Uploads are untrusted: every offset is checked against the file, parts
+ * are inflated up to MAX_PART_BYTES and columns stop at Excel's last one, so
+ * a damaged or crafted file fails with INVALID_FILE instead of a crash.
+ */
+
+// Larger than the sheet of any menu the import accepts (MAX_ROWS rows)
+const MAX_PART_BYTES = 20 * 1024 * 1024;
+// Column XFD
+const MAX_COLUMNS = 16384;
+
+const readerError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_FILE';
+  return error;
+};
+
+const decodeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+// Text of all <t> elements, which is how rich text runs are split up
+const textOf = (xml) => {
+  let text = '';
+  for (const match of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+    text += decodeXml(match[1]);
+  }
+  return text;
+};
+
+const attribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+// Little-endian integer at an offset that must lie within the file
+const readUInt = (buffer, offset, bytes) => {
+  if (offset < 0 || offset + bytes > buffer.length) {
+    throw readerError('The workbook is damaged');
+  }
+  return bytes === 2 ? buffer.readUInt16LE(offset) : buffer.readUInt32LE(offset);
+};
+
+// Zip entries by name, read from the central directory
+const unzip = (buffer) => {
+  let end = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      end = offset;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw readerError('The file is not an .xlsx workbook');
+  }
+
+  const entries = Object.create(null);
+  const count = readUInt(buffer, end + 10, 2);
+  let offset = readUInt(buffer, end + 16, 4);
+  for (let i = 0; i < count; i++) {
+    if (readUInt(buffer, offset, 4) !== 0x02014b50) {
+      throw readerError('The workbook is damaged');
+    }
+    const method = readUInt(buffer, offset + 10, 2);
+    const compressedSize = readUInt(buffer, offset + 20, 4);
+    const nameLength = readUInt(buffer, offset + 28, 2);
+    const extraLength = readUInt(buffer, offset + 30, 2);
+    const commentLength = readUInt(buffer, offset + 32, 2);
+    const localOffset = readUInt(buffer, offset + 42, 4);
+    if (offset + 46 + nameLength > buffer.length) {
+      throw readerError('The workbook is damaged');
+    }
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries[name] = () => {
+      if (readUInt(buffer, localOffset, 4) !== 0x04034b50) {
+        throw readerError('The workbook is damaged');
+      }
+      const dataStart = localOffset + 30 + readUInt(buffer, localOffset + 26, 2) + readUInt(buffer, localOffset + 28, 2);
+      if (dataStart + compressedSize > buffer.length) {
+        throw readerError('The workbook is damaged');
+      }
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) {
+        if (data.length > MAX_PART_BYTES) {
+          throw readerError(`${name} is too large`);
+        }
+        return data.toString('utf8');
+      }
+      if (method === 8) {
+        try {
+          return zlib.inflateRawSync(data, { maxOutputLength: MAX_PART_BYTES }).toString('utf8');
+        } catch (error) {
+          throw readerError(error.code === 'ERR_BUFFER_TOO_LARGE' ? `${name} is too large` : 'The workbook is damaged');
+        }
+      }
+      throw readerError(`Unsupported compression in ${name}`);
+    };
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+// Part name of the first sheet, following the workbook relationships
+const firstSheet = (entries) => {
+  const workbook = entries['xl/workbook.xml'] && entries['xl/workbook.xml']();
+  const rels = entries['xl/_rels/workbook.xml.rels'] && entries['xl/_rels/workbook.xml.rels']();
+  const sheet = workbook && workbook.match(/<sheet\s[^>]*>/);
+  if (sheet && rels) {
+    const relId = attribute(sheet[0], 'r:id');
+    for (const match of rels.matchAll(/<Relationship\s[^>]*>/g)) {
+      if (attribute(match[0], 'Id') === relId) {
+        const target = attribute(match[0], 'Target');
+        return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+      }
+    }
+  }
+  return 'xl/worksheets/sheet1.xml';
+};
+
+// "C7" -> 2
+const columnIndex = (ref) => {
+  const letters = ref.replace(/\d+$/, '');
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  if (!/^[A-Z]{1,3}$/.test(letters) || index > MAX_COLUMNS) {
+    throw readerError(`Cell ${ref} is not a cell reference`);
+  }
+  return index - 1;
+};
+
+const readRows = (buffer) => {
+  const entries = unzip(buffer);
+  const sheetName = firstSheet(entries);
+  if (!entries[sheetName]) {
+    throw readerError('The workbook has no sheet');
+  }
+
+  const sharedStrings = entries['xl/sharedStrings.xml']
+    ? [...entries['xl/sharedStrings.xml']().matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => textOf(match[1]))
+    : [];
+
+  const rows = [];
+  for (const rowMatch of entries[sheetName]().matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const cells = [];
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const tag = `<c${cellMatch[1]}>`;
+      const content = cellMatch[2] || '';
+      const type = attribute(tag, 't');
+      const valueMatch = content.match(/<v>([\s\S]*?)<\/v>/);
+      const value = valueMatch ? decodeXml(valueMatch[1]) : '';
+
+      let text;
+      if (type === 's') text = sharedStrings[parseInt(value)] || '';
+      else if (type === 'inlineStr') text = textOf(content);
+      else if (type === 'b') text = value === '1' ? 'true' : 'false';
+      else text = value;
+
+      const ref = attribute(tag, 'r');
+      cells[ref ? columnIndex(ref) : cells.length] = text;
+    }
+
+    if (cells.some(cell => cell && cell.trim())) {
+      rows.push({
+        row: parseInt(attribute(`<row${rowMatch[1]}>`, 'r')) || rows.length + 1,
+        cells: Array.from(cells, cell => cell || '')
+      });
+    }
+  }
+  return rows;
+};
+
+/**
+ * Rows of the first sheet as { row, cells }, `row` being the sheet's row
+ * number and `cells` the text of each column; empty rows are left out.
+ */
+const readXlsx = (buffer) => {
+  try {
+    return readRows(buffer);
+  } catch (error) {
+    if (error.code === 'INVALID_FILE') {
+      throw error;
+    }
+    throw readerError('The file is not a readable .xlsx workbook');
+  }
+};
+
+module.exports = { readXlsx };
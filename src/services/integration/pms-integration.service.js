@@ -1,6 +1,7 @@
 const axios = require('axios');
+const crypto = require('crypto');
 const BaseIntegrationService = require('./base-integration.service');
-const { Guest, Room, ConciergeRequest } = require('../../models');
+const { Integration, Hotel, Guest, Room, RoomUnit, Stay, FolioCharge, ConciergeRequest } = require('../../models');
 
 class PMSIntegrationService extends BaseIntegrationService {
   constructor(integrationId) {
@@ -57,22 +58,17 @@ class PMSIntegrationService extends BaseIntegrationService {
       await this.updateSyncInfo('success', recordsProcessed, recordsSuccess, recordsFailed);
       
       const processingTime = Date.now() - startTime;
-      await this.logActivity('sync', 'sync_reservations', 'inbound', 'success', {
-        processingTime,
-        recordsProcessed,
-        recordsSuccess,
-        recordsFailed
-      });
+      await this.logOperation('sync', 'sync_reservations', 'inbound', 'success', null, null, null, null, processingTime, recordsProcessed, recordsSuccess, recordsFailed);
 
       return {
         success: true,
         processed: recordsProcessed,
-        success: recordsSuccess,
+        successful: recordsSuccess,
         failed: recordsFailed
       };
     } catch (error) {
       await this.updateSyncInfo('failed');
-      await this.logError('sync_reservations', error.message);
+      await this.logOperation('sync', 'sync_reservations', 'inbound', 'failed', null, null, error.message);
       throw error;
     }
   }
@@ -97,62 +93,171 @@ class PMSIntegrationService extends BaseIntegrationService {
   }
 
   /**
-   * Process individual reservation from PMS
+   * Process individual reservation from PMS into a stay, matched by the PMS reservation ID
    */
   async processReservation(pmsReservation) {
     const reservationData = this.transformReservationData(pmsReservation);
-    
-    // Check if guest already exists
-    let guest = await Guest.findOne({
+    const guest = await this.findOrCreateGuest(pmsReservation.guest_id, reservationData.guest);
+
+    const roomUnit = reservationData.room.room_number
+      ? await RoomUnit.findOne({
+        where: {
+          hotel_id: this.integration.hotel_id,
+          room_number: String(reservationData.room.room_number)
+        }
+      })
+      : null;
+
+    const stayData = {
+      ...reservationData.stay,
+      hotel_id: this.integration.hotel_id,
+      guest_id: guest.id,
+      room_unit_id: roomUnit ? roomUnit.id : null,
+      source: 'pms',
+      external_source: this.integration.provider_name
+    };
+
+    let stay = await Stay.findOne({
       where: {
-        external_id: pmsReservation.guest_id,
-        external_source: this.integration.provider_name
+        hotel_id: this.integration.hotel_id,
+        external_source: this.integration.provider_name,
+        external_reservation_id: stayData.external_reservation_id
       }
     });
 
+    if (stay) {
+      await stay.update(stayData);
+    } else {
+      stay = await Stay.create(stayData);
+    }
+
+    // Only arrivals and departures change occupancy; other statuses leave the room as it is
+    if (roomUnit && ['checked_in', 'checked_out'].includes(stay.status)) {
+      await this.updateRoomAvailability({
+        room_number: roomUnit.room_number,
+        status: stay.status === 'checked_in' ? 'occupied' : 'vacant'
+      });
+    }
+
+    return stay;
+  }
+
+  /**
+   * Find the guest of a PMS reservation by PMS profile ID, then by email, or create one.
+   * Only guests who stayed at a hotel of the integration's organization are matched,
+   * so a PMS cannot take over another organization's guest account.
+   */
+  async findOrCreateGuest(externalId, guestData) {
+    const hotelIds = await this.organizationHotelIds();
+
+    let guest = externalId
+      ? await Guest.findOne({
+        where: {
+          external_id: String(externalId),
+          external_source: this.integration.provider_name
+        },
+        include: [{ model: Stay, where: { hotel_id: hotelIds }, attributes: [], required: true }]
+      })
+      : null;
+
+    // Guests who signed up in the app but have not stayed anywhere yet match too
+    if (!guest && guestData.email) {
+      guest = await Guest.findOne({ where: { email: guestData.email } });
+      if (guest) {
+        const stays = await Stay.findAll({ where: { guest_id: guest.id }, attributes: ['hotel_id'] });
+        if (stays.length > 0 && !stays.some(stay => hotelIds.includes(stay.hotel_id))) {
+          throw new Error('Reservation guest email belongs to a guest of another organization');
+        }
+      }
+    }
+
     if (!guest) {
-      // Create new guest
-      guest = await Guest.create({
-        ...reservationData.guest,
-        external_id: pmsReservation.guest_id,
+      if (!guestData.email) {
+        throw new Error('Reservation guest has no email address');
+      }
+
+      // Guests created from the PMS get a random password until they set their own
+      return Guest.create({
+        ...guestData,
+        password_hash: crypto.randomBytes(32).toString('hex'),
+        external_id: externalId ? String(externalId) : null,
         external_source: this.integration.provider_name
       });
-    } else {
-      // Update existing guest
-      await guest.update(reservationData.guest);
     }
 
-    // Update room availability
-    if (reservationData.room) {
-      await this.updateRoomAvailability(reservationData.room);
+    // Email identifies the guest account, so it is not overwritten from the PMS,
+    // and identity documents the guest already has are kept
+    const { email, ...profile } = guestData;
+    for (const field of ['passport_number', 'date_of_birth', 'nationality']) {
+      if (guest[field]) {
+        delete profile[field];
+      }
     }
+    await guest.update({
+      ...profile,
+      external_id: externalId ? String(externalId) : guest.external_id,
+      external_source: externalId ? this.integration.provider_name : guest.external_source
+    });
 
     return guest;
   }
 
+  /**
+   * IDs of the hotels of the integration's organization
+   */
+  async organizationHotelIds() {
+    if (!this.hotelIds) {
+      const hotel = await Hotel.findByPk(this.integration.hotel_id, { attributes: ['id', 'organization_id'] });
+      const hotels = hotel
+        ? await Hotel.findAll({ where: { organization_id: hotel.organization_id }, attributes: ['id'] })
+        : [];
+      this.hotelIds = hotels.map(h => h.id);
+    }
+    return this.hotelIds;
+  }
+
   /**
    * Transform PMS reservation data
    */
   transformReservationData(pmsReservation) {
+    const statusMap = {
+      reserved: 'reserved',
+      confirmed: 'reserved',
+      booked: 'reserved',
+      in_house: 'checked_in',
+      checked_in: 'checked_in',
+      occupied: 'checked_in',
+      checked_out: 'checked_out',
+      departed: 'checked_out',
+      cancelled: 'cancelled',
+      canceled: 'cancelled',
+      no_show: 'no_show'
+    };
+    const rawStatus = String(pmsReservation.status || '').toLowerCase().replace(/[\s-]+/g, '_');
+
     return {
       guest: {
         first_name: pmsReservation.guest.first_name,
         last_name: pmsReservation.guest.last_name,
         email: pmsReservation.guest.email,
         phone: pmsReservation.guest.phone,
-        address: pmsReservation.guest.address,
-        city: pmsReservation.guest.city,
-        country: pmsReservation.guest.country,
         passport_number: pmsReservation.guest.passport_number,
         date_of_birth: pmsReservation.guest.date_of_birth,
-        special_requests: pmsReservation.guest.special_requests
+        nationality: pmsReservation.guest.nationality || pmsReservation.guest.country
       },
       room: {
         room_number: pmsReservation.room_number,
-        room_type: pmsReservation.room_type,
-        check_in_date: pmsReservation.check_in_date,
-        check_out_date: pmsReservation.check_out_date,
-        status: pmsReservation.status
+        room_type: pmsReservation.room_type
+      },
+      stay: {
+        external_reservation_id: String(pmsReservation.id),
+        confirmation_number: String(pmsReservation.confirmation_number || pmsReservation.id),
+        arrival_date: pmsReservation.check_in_date,
+        departure_date: pmsReservation.check_out_date,
+        status: statusMap[rawStatus] || 'reserved',
+        adults: pmsReservation.adults || 1,
+        children: pmsReservation.children || 0,
+        special_requests: pmsReservation.special_requests || pmsReservation.guest.special_requests || null
       }
     };
   }
@@ -161,18 +266,16 @@ class PMSIntegrationService extends BaseIntegrationService {
    * Update room availability
    */
   async updateRoomAvailability(roomData) {
-    const room = await Room.findOne({
+    const roomUnit = await RoomUnit.findOne({
       where: {
         hotel_id: this.integration.hotel_id,
         room_number: roomData.room_number
       }
     });
 
-    if (room) {
-      await room.update({
-        is_occupied: roomData.status === 'occupied',
-        current_guest_id: roomData.status === 'occupied' ? roomData.guest_id : null,
-        last_updated: new Date()
+    if (roomUnit) {
+      await roomUnit.update({
+        is_occupied: roomData.status === 'occupied'
       });
     }
   }
@@ -181,18 +284,17 @@ class PMSIntegrationService extends BaseIntegrationService {
    * Post check-in to PMS
    */
   async postCheckIn(checkInData) {
+    const startTime = Date.now();
+    const transformedCheckIn = this.transformCheckInData(checkInData);
+
     try {
       await this.initialize();
       
       const endpoint = this.config.endpoints.checkins || '/api/checkins';
-      const transformedCheckIn = this.transformCheckInData(checkInData);
-      
       const response = await this.makeRequest('POST', endpoint, transformedCheckIn);
       
-      await this.logActivity('api_call', 'post_checkin', 'outbound', 'success', {
-        request: transformedCheckIn,
-        response: response.data
-      });
+      const processingTime = Date.now() - startTime;
+      await this.logOperation('api_call', 'post_checkin', 'outbound', 'success', transformedCheckIn, response.data, null, null, processingTime);
 
       return {
         success: true,
@@ -200,7 +302,7 @@ class PMSIntegrationService extends BaseIntegrationService {
         response: response.data
       };
     } catch (error) {
-      await this.logError('post_checkin', error.message, null, checkInData);
+      await this.logOperation('api_call', 'post_checkin', 'outbound', 'failed', transformedCheckIn, null, error.message, error.code || null);
       throw error;
     }
   }
@@ -226,21 +328,25 @@ class PMSIntegrationService extends BaseIntegrationService {
    * Post check-out to PMS
    */
   async postCheckOut(checkOutData) {
+    const startTime = Date.now();
+    const transformedCheckOut = this.transformCheckOutData(checkOutData);
+
     try {
       await this.initialize();
       
       const endpoint = this.config.endpoints.checkouts || '/api/checkouts';
-      const transformedCheckOut = this.transformCheckOutData(checkOutData);
-      
       const response = await this.makeRequest('POST', endpoint, transformedCheckOut);
       
+      const processingTime = Date.now() - startTime;
+      await this.logOperation('api_call', 'post_checkout', 'outbound', 'success', transformedCheckOut, response.data, null, null, processingTime);
+
       return {
         success: true,
         pmsCheckOutId: response.data.id,
         response: response.data
       };
     } catch (error) {
-      await this.logError('post_checkout', error.message, null, checkOutData);
+      await this.logOperation('api_call', 'post_checkout', 'outbound', 'failed', transformedCheckOut, null, error.message, error.code || null);
       throw error;
     }
   }
@@ -263,6 +369,103 @@ class PMSIntegrationService extends BaseIntegrationService {
     };
   }
 
+  /**
+   * Get folio lines for a reservation from PMS
+   */
+  async getFolio(reservationId) {
+    await this.initialize();
+
+    const endpoint = this.config.endpoints.folios || '/api/folios';
+    const response = await this.makeRequest('GET', `${endpoint}/${encodeURIComponent(reservationId)}`);
+
+    return response.data;
+  }
+
+  /**
+   * Sync the PMS folio of a stay into its folio charges
+   */
+  async syncFolio(stay) {
+    const startTime = Date.now();
+
+    try {
+      const lines = await this.getFolio(stay.external_reservation_id || stay.confirmation_number);
+      if (!Array.isArray(lines)) {
+        throw new Error('Invalid response format from PMS');
+      }
+
+      for (const line of lines) {
+        const chargeData = this.transformFolioData(line);
+        const [charge, created] = await FolioCharge.findOrCreate({
+          where: {
+            stay_id: stay.id,
+            source: 'pms',
+            external_id: chargeData.external_id
+          },
+          defaults: {
+            ...chargeData,
+            hotel_id: stay.hotel_id
+          }
+        });
+
+        // Keep dispute fields, which are owned locally
+        if (!created) {
+          await charge.update(chargeData);
+        }
+      }
+
+      const processingTime = Date.now() - startTime;
+      await this.logOperation('sync', 'sync_folio', 'inbound', 'success', null, null, null, null, processingTime, lines.length, lines.length, 0);
+
+      return {
+        success: true,
+        processed: lines.length
+      };
+    } catch (error) {
+      await this.logOperation('sync', 'sync_folio', 'inbound', 'failed', null, null, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh a stay's folio from the hotel's active PMS integration, if any.
+   * Errors are logged and swallowed so the local folio can still be shown.
+   */
+  static async refreshFolio(stay) {
+    const integration = await Integration.findOne({
+      where: {
+        hotel_id: stay.hotel_id,
+        integration_type: 'pms',
+        status: 'active'
+      }
+    });
+
+    if (!integration) {
+      return false;
+    }
+
+    try {
+      await new PMSIntegrationService(integration.id).syncFolio(stay);
+      return true;
+    } catch (error) {
+      console.error(`Failed to refresh folio for stay ${stay.id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Transform PMS folio line to folio charge data
+   */
+  transformFolioData(line) {
+    return {
+      external_id: String(line.id),
+      description: line.description,
+      category: line.category || line.department || null,
+      quantity: line.quantity || 1,
+      amount: line.amount,
+      posted_at: line.posted_at || line.date || new Date()
+    };
+  }
+
   /**
    * Send request to PMS
    */
@@ -281,7 +484,7 @@ class PMSIntegrationService extends BaseIntegrationService {
         response: response.data
       };
     } catch (error) {
-      await this.logError('send_request', error.message, null, requestData);
+      await this.logOperation('api_call', 'send_request', 'outbound', 'failed', requestData, null, error.message, error.code || null);
       throw error;
     }
   }
@@ -318,11 +521,126 @@ class PMSIntegrationService extends BaseIntegrationService {
       
       return response.data;
     } catch (error) {
-      await this.logError('get_room_status', error.message);
+      await this.logOperation('api_call', 'get_room_status', 'inbound', 'failed', null, null, error.message, error.code || null);
       throw error;
     }
   }
 
+  /**
+   * Sync housekeeping status of room units from PMS
+   */
+  async syncRoomStatus() {
+    const startTime = Date.now();
+    let recordsProcessed = 0;
+    let recordsSuccess = 0;
+    let recordsFailed = 0;
+
+    try {
+      const rooms = await this.getRoomStatus();
+      if (!Array.isArray(rooms)) {
+        throw new Error('Invalid response format from PMS');
+      }
+      recordsProcessed = rooms.length;
+
+      for (const pmsRoom of rooms) {
+        try {
+          await this.processRoomStatus(pmsRoom);
+          recordsSuccess++;
+        } catch (error) {
+          console.error(`Failed to process room status ${pmsRoom.room_number}:`, error);
+          recordsFailed++;
+        }
+      }
+
+      await this.updateSyncInfo('success', recordsProcessed, recordsSuccess, recordsFailed);
+
+      const processingTime = Date.now() - startTime;
+      await this.logOperation('sync', 'sync_room_status', 'inbound', 'success', null, null, null, null, processingTime, recordsProcessed, recordsSuccess, recordsFailed);
+
+      return {
+        success: true,
+        processed: recordsProcessed,
+        updated: recordsSuccess,
+        failed: recordsFailed
+      };
+    } catch (error) {
+      await this.updateSyncInfo('failed');
+      await this.logOperation('sync', 'sync_room_status', 'inbound', 'failed', null, null, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Transform PMS room status data
+   */
+  transformRoomStatusData(pmsRoom) {
+    const statusMap = {
+      dirty: 'dirty',
+      vacant_dirty: 'dirty',
+      occupied_dirty: 'dirty',
+      clean: 'clean',
+      vacant_clean: 'clean',
+      occupied_clean: 'clean',
+      inspected: 'inspected',
+      out_of_order: 'out_of_order',
+      out_of_service: 'out_of_order',
+      ooo: 'out_of_order'
+    };
+
+    const rawStatus = String(pmsRoom.housekeeping_status || pmsRoom.status || '')
+      .toLowerCase()
+      .replace(/[\s-]+/g, '_');
+
+    const occupied = pmsRoom.is_occupied !== undefined
+      ? pmsRoom.is_occupied
+      : (pmsRoom.occupancy_status || pmsRoom.front_office_status) === 'occupied';
+
+    return {
+      room_number: String(pmsRoom.room_number || pmsRoom.number),
+      floor: pmsRoom.floor !== undefined && pmsRoom.floor !== null ? String(pmsRoom.floor) : undefined,
+      housekeeping_status: statusMap[rawStatus],
+      out_of_order_reason: pmsRoom.out_of_order_reason || null,
+      is_occupied: Boolean(occupied)
+    };
+  }
+
+  /**
+   * Apply a PMS room status to the matching room unit, creating the unit if needed
+   */
+  async processRoomStatus(pmsRoom) {
+    const roomData = this.transformRoomStatusData(pmsRoom);
+    if (!roomData.room_number || roomData.room_number === 'undefined') {
+      throw new Error('Room number missing in PMS room status');
+    }
+
+    const [roomUnit] = await RoomUnit.findOrCreate({
+      where: {
+        hotel_id: this.integration.hotel_id,
+        room_number: roomData.room_number
+      },
+      defaults: { floor: roomData.floor }
+    });
+
+    const updateData = {
+      is_occupied: roomData.is_occupied
+    };
+    if (roomData.floor !== undefined) updateData.floor = roomData.floor;
+
+    // Unknown PMS statuses leave the housekeeping status untouched
+    if (roomData.housekeeping_status && roomData.housekeeping_status !== roomUnit.housekeeping_status) {
+      Object.assign(updateData, {
+        housekeeping_status: roomData.housekeeping_status,
+        out_of_order_reason: roomData.housekeeping_status === 'out_of_order' ? roomData.out_of_order_reason : null,
+        status_updated_at: new Date(),
+        status_updated_by: null,
+        status_source: 'pms'
+      });
+    }
+
+    await roomUnit.update(updateData);
+    return roomUnit;
+  }
+
   /**
    * Get guest information from PMS
    */
@@ -335,7 +653,7 @@ class PMSIntegrationService extends BaseIntegrationService {
       
       return response.data;
     } catch (error) {
-      await this.logError('get_guest_info', error.message);
+      await this.logOperation('api_call', 'get_guest_info', 'inbound', 'failed', { guestId }, null, error.message, error.code || null);
       throw error;
     }
   }
@@ -355,7 +673,7 @@ class PMSIntegrationService extends BaseIntegrationService {
         response: response.data
       };
     } catch (error) {
-      await this.logError('update_guest_info', error.message, null, { guestId, guestData });
+      await this.logOperation('api_call', 'update_guest_info', 'outbound', 'failed', { guestId, guestData }, null, error.message, error.code || null);
       throw error;
     }
   }
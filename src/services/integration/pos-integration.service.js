@@ -1,6 +1,7 @@
 const axios = require('axios');
 const BaseIntegrationService = require('./base-integration.service');
-const { Menu, Restaurant } = require('../../models');
+const { Menu, Restaurant, FolioCharge } = require('../../models');
+const MenuModifierService = require('../dining/modifier.service');
 
 class POSIntegrationService extends BaseIntegrationService {
   constructor(integrationId) {
@@ -98,7 +99,7 @@ class POSIntegrationService extends BaseIntegrationService {
    */
   async processMenu(posMenu) {
     // Transform POS menu to our format
-    const menuData = this.transformMenuData(posMenu);
+    const { modifier_groups: modifierGroups, ...menuData } = this.transformMenuData(posMenu);
     
     // Check if menu already exists
     const existingMenu = await Menu.findOne({
@@ -109,24 +110,32 @@ class POSIntegrationService extends BaseIntegrationService {
       }
     });
 
+    let menu = existingMenu;
     if (existingMenu) {
       // Update existing menu
       await existingMenu.update(menuData);
     } else {
       // Create new menu
-      await Menu.create({
+      menu = await Menu.create({
         ...menuData,
         hotel_id: this.integration.hotel_id,
         external_id: posMenu.id,
         external_source: this.integration.provider_name
       });
     }
+
+    // Condiment groups of the item become its modifier groups
+    if (modifierGroups) {
+      await MenuModifierService.syncPosGroups(menu, modifierGroups);
+    }
   }
 
   /**
    * Transform POS menu data to our format
    */
   transformMenuData(posMenu) {
+    const posGroups = posMenu.condiment_groups || posMenu.modifier_groups;
+
     return {
       name: posMenu.name || posMenu.title,
       description: posMenu.description,
@@ -138,34 +147,100 @@ class POSIntegrationService extends BaseIntegrationService {
       allergens: posMenu.allergens || [],
       nutritional_info: posMenu.nutritional_info || {},
       preparation_time: posMenu.preparation_time || null,
-      tags: posMenu.tags || []
+      tags: posMenu.tags || [],
+      // Null when the POS sends no condiment data, so groups set up here are kept
+      modifier_groups: posGroups ? posGroups.map(posGroup => this.transformModifierGroup(posGroup)) : null
+    };
+  }
+
+  /**
+   * Transform a POS condiment group to a modifier group with its options
+   */
+  transformModifierGroup(posGroup) {
+    const posOptions = posGroup.condiments || posGroup.items || posGroup.options || [];
+    const maxSelect = posGroup.max_select !== undefined ? posGroup.max_select : posGroup.max;
+
+    return {
+      pos_group_id: posGroup.id !== undefined ? String(posGroup.id) : null,
+      name: posGroup.name || posGroup.title || 'Options',
+      min_select: parseInt(posGroup.min_select !== undefined ? posGroup.min_select : posGroup.min) || 0,
+      max_select: maxSelect === undefined || maxSelect === null ? null : parseInt(maxSelect),
+      max_per_option: parseInt(posGroup.max_per_option) || 1,
+      options: posOptions.map(posOption => ({
+        pos_item_id: (posOption.obj_num || posOption.id) ? String(posOption.obj_num || posOption.id) : null,
+        name: posOption.name || posOption.title,
+        price_delta: Math.round((parseFloat(posOption.price) || 0) * 100),
+        is_default: Boolean(posOption.is_default || posOption.default),
+        is_available: posOption.is_available !== false
+      }))
     };
   }
 
   /**
-   * Post guest check to POS system
+   * Post guest check to POS system. With a stayId the check is also charged
+   * to the stay's folio; the check stands if that fails, and folioError says why.
    */
   async postGuestCheck(checkData) {
+    const startTime = Date.now();
+    const transformedCheck = this.transformCheckData(checkData);
+    let response;
+
     try {
       await this.initialize();
       
       const endpoint = this.config.endpoints.checks || '/api/checks';
-      const transformedCheck = this.transformCheckData(checkData);
-      
-      const response = await this.makeRequest('POST', endpoint, transformedCheck);
+      response = await this.makeRequest('POST', endpoint, transformedCheck);
       
-      await this.logActivity('api_call', 'post_guest_check', 'outbound', 'success', {
-        request: transformedCheck,
-        response: response.data
-      });
+      const processingTime = Date.now() - startTime;
+      await this.logOperation('api_call', 'post_guest_check', 'outbound', 'success', transformedCheck, response.data, null, null, processingTime);
+    } catch (error) {
+      await this.logOperation('api_call', 'post_guest_check', 'outbound', 'failed', transformedCheck, null, error.message, error.code || null);
+      throw error;
+    }
 
-      return {
-        success: true,
-        posCheckId: response.data.id,
-        response: response.data
-      };
+    const result = {
+      success: true,
+      posCheckId: response.data.id,
+      response: response.data
+    };
+
+    // Checks charged to a room go on the stay's folio
+    if (checkData.stayId) {
+      try {
+        await this.chargeToFolio(checkData, response.data.id);
+      } catch (error) {
+        result.folioError = error.message;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Add a posted check to the stay's folio. Charging the same check again
+   * returns the existing charge, so a failed charge can be retried.
+   */
+  async chargeToFolio(checkData, posCheckId) {
+    try {
+      await this.initialize();
+
+      const [charge] = await FolioCharge.findOrCreate({
+        where: {
+          stay_id: checkData.stayId,
+          source: 'pos',
+          external_id: String(posCheckId)
+        },
+        defaults: {
+          hotel_id: this.integration.hotel_id,
+          description: checkData.description || 'Restaurant check',
+          category: checkData.category || 'food_beverage',
+          amount: checkData.total,
+          posted_at: checkData.timestamp || new Date()
+        }
+      });
+      return charge;
     } catch (error) {
-      await this.logError('post_guest_check', error.message, null, checkData);
+      await this.logOperation('error', 'charge_to_folio', 'inbound', 'failed', { stayId: checkData.stayId, posCheckId }, null, error.message, error.code || null);
       throw error;
     }
   }
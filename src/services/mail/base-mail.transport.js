@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+/**
+ * Base class for mail transports.
+ *
+ * A transport delivers one message ({ from, to, subject, text, html,
+ * replyTo, attachments }) and reports the outcome as { success, messageId,
+ * error }. Attachments are { filename, contentType, content }.
+ */
+class BaseMailTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the settings this transport needs are configured
+   */
+  isConfigured() {
+    return false;
+  }
+
+  async send(message) {
+    throw new Error(`${this.name} mail transport does not implement send()`);
+  }
+
+  /**
+   * The message as nodemailer mail options, which builds the MIME document:
+   * text and HTML bodies as alternatives, followed by any attachments
+   */
+  toMailOptions(message, messageId) {
+    return {
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text || '',
+      html: message.html || undefined,
+      replyTo: message.replyTo || undefined,
+      messageId,
+      attachments: (message.attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType || 'application/octet-stream',
+        content: attachment.content
+      }))
+    };
+  }
+
+  // Message-ID in the sender's domain
+  createMessageId(from) {
+    const domain = (/@([^>\s]+)/.exec(from) || [])[1] || 'localhost';
+    return `<${Date.now()}.${crypto.randomBytes(8).toString('hex')}@${domain}>`;
+  }
+}
+
+module.exports = BaseMailTransport;
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const BaseMailTransport = require('./base-mail.transport');
+
+/**
+ * Writes every message as an .eml file instead of sending it, for local
+ * development and tests (MAIL_TRANSPORT=file). Files go to MAIL_FILE_DIR,
+ * by default a "hospient-mail" folder in the system temp directory, and
+ * open in any mail client. Deliveries are also kept in `sent`.
+ */
+class FileMailTransport extends BaseMailTransport {
+  constructor(options = {}) {
+    super('file');
+    this.directory = options.directory || process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'hospient-mail');
+    this.sent = [];
+    this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'windows' });
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send(message) {
+    const messageId = this.createMessageId(message.from);
+    const file = path.join(
+      this.directory,
+      `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageId.slice(1, -1).split('@')[0]}.eml`
+    );
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const info = await this.transporter.sendMail(this.toMailOptions(message, messageId));
+    await fs.promises.writeFile(file, info.message);
+
+    this.sent.push({ message, messageId, file, sentAt: new Date() });
+    return { success: true, messageId };
+  }
+
+  reset() {
+    this.sent = [];
+  }
+}
+
+module.exports = FileMailTransport;
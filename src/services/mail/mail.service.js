@@ -0,0 +1,62 @@
+const FileMailTransport = require('./file.transport');
+const SmtpMailTransport = require('./smtp.transport');
+
+let transport = null;
+
+const sender = () => process.env.MAIL_FROM || 'no-reply@localhost';
+
+/**
+ * The configured transport, shared between requests. MAIL_TRANSPORT is
+ * smtp or file; without it mail is not sent.
+ */
+const getTransport = () => {
+  if (!transport) {
+    switch (process.env.MAIL_TRANSPORT) {
+      case 'smtp':
+        transport = new SmtpMailTransport();
+        break;
+      case 'file':
+        transport = new FileMailTransport();
+        break;
+      default:
+        transport = null;
+    }
+  }
+  return transport;
+};
+
+class MailService {
+  /**
+   * Send a message ({ to, subject, text, html, replyTo }) from MAIL_FROM.
+   * Never throws: the outcome is { success, messageId, skipped, error },
+   * with skipped set when no transport is configured.
+   */
+  static async send(message) {
+    const current = getTransport();
+    if (!current || !current.isConfigured()) {
+      return { success: false, skipped: true, error: 'Mail transport is not configured' };
+    }
+
+    try {
+      return await current.send({
+        from: sender(),
+        ...message
+      });
+    } catch (error) {
+      console.error(`Mail to ${message.to} failed (${current.name}):`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Address part of MAIL_FROM, e.g. for the organizer of calendar invites
+  static senderAddress() {
+    return ((/<([^>]+)>/.exec(sender()) || [])[1] || sender()).trim();
+  }
+
+  // Use a transport instance instead of the configured one (tests)
+  static setTransport(custom) {
+    transport = custom;
+  }
+}
+
+module.exports = MailService;
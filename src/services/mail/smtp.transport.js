@@ -0,0 +1,51 @@
+const nodemailer = require('nodemailer');
+const BaseMailTransport = require('./base-mail.transport');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Sends mail through an SMTP server (MAIL_TRANSPORT=smtp): a relay or
+ * provider, or a local sink such as MailHog or smtp4dev in tests.
+ * MAIL_SMTP_SECURE=true connects over TLS (port 465); otherwise STARTTLS is
+ * used when the server offers it. MAIL_SMTP_USER/MAIL_SMTP_PASSWORD log in
+ * with the AUTH method the server offers.
+ */
+class SmtpMailTransport extends BaseMailTransport {
+  constructor(options = {}) {
+    super('smtp');
+    this.host = options.host || process.env.MAIL_SMTP_HOST;
+    this.secure = options.secure ?? process.env.MAIL_SMTP_SECURE === 'true';
+    this.port = parseInt(options.port || process.env.MAIL_SMTP_PORT) || (this.secure ? 465 : 587);
+    this.user = options.user || process.env.MAIL_SMTP_USER;
+    this.password = options.password || process.env.MAIL_SMTP_PASSWORD;
+    this.timeout = parseInt(options.timeout || process.env.MAIL_SMTP_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    this.transporter = null;
+  }
+
+  isConfigured() {
+    return !!this.host;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: this.host,
+        port: this.port,
+        secure: this.secure,
+        auth: this.user ? { user: this.user, pass: this.password || '' } : undefined,
+        connectionTimeout: this.timeout,
+        greetingTimeout: this.timeout,
+        socketTimeout: this.timeout
+      });
+    }
+    return this.transporter;
+  }
+
+  async send(message) {
+    const messageId = this.createMessageId(message.from);
+    const info = await this.getTransporter().sendMail(this.toMailOptions(message, messageId));
+    return { success: true, messageId: info.messageId || messageId };
+  }
+}
+
+module.exports = SmtpMailTransport;
@@ -0,0 +1,342 @@
+const { Hotel, Meeting, MeetingApprovalHistory, MeetingRoom } = require('../../models');
+const MailService = require('../mail/mail.service');
+const RealtimeService = require('../realtime/realtime.service');
+const MeetingBookingService = require('./booking.service');
+const MeetingCalendarService = require('./calendar.service');
+
+// Approval statuses a meeting can still be decided from
+const OPEN_APPROVAL_STATUSES = ['pending', 'changes_requested'];
+
+const approvalError = (code, message, conflicts = null) => {
+  const error = new Error(message);
+  error.code = code;
+  if (conflicts) {
+    error.conflicts = conflicts;
+  }
+  return error;
+};
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '');
+
+/**
+ * Hotel review of meeting requests: approve, reject or ask the organizer
+ * for changes (optionally proposing another time or room). Every decision
+ * is kept in the meeting's approval history, and the organizer is emailed
+ * at organizer_email; the outcome of that email is recorded as well.
+ *
+ * Errors are thrown with a code: INVALID_TRANSITION when the meeting is no
+ * longer awaiting a decision, NO_PROPOSAL, and for counter-proposals the
+ * booking codes (INVALID_PERIOD, ROOM_NOT_FOUND, CAPACITY_EXCEEDED,
+ * ROOM_UNAVAILABLE), which carry `conflicts`.
+ */
+class MeetingApprovalService {
+  static checkOpen(meeting) {
+    if (meeting.status === 'confirmed' || meeting.approval_status === 'approved') {
+      throw approvalError('INVALID_TRANSITION', 'Meeting is already approved');
+    }
+    if (meeting.status !== 'draft' || !OPEN_APPROVAL_STATUSES.includes(meeting.approval_status)) {
+      throw approvalError('INVALID_TRANSITION', `A ${meeting.status} meeting cannot be reviewed`);
+    }
+  }
+
+  /**
+   * Book a public meeting request and open its approval history
+   */
+  static async submit(hotelId, values) {
+    return Meeting.sequelize.transaction(async (transaction) => {
+      const meeting = await MeetingBookingService.reserve(hotelId, {
+        ...values,
+        approval_status: 'pending'
+      }, null, { transaction });
+
+      await MeetingApprovalHistory.create({
+        meeting_id: meeting.id,
+        action: 'submitted',
+        from_status: null,
+        to_status: 'pending'
+      }, { transaction });
+
+      return meeting;
+    });
+  }
+
+  /**
+   * Confirm the meeting. With applyProposal the time and room of the last
+   * change request are booked with it, e.g. once the organizer agreed to them.
+   */
+  static async approve(meeting, member, { message = null, applyProposal = false } = {}) {
+    MeetingApprovalService.checkOpen(meeting);
+
+    let proposal = null;
+    if (applyProposal) {
+      proposal = await MeetingApprovalService.lastProposal(meeting.id);
+      if (!proposal) {
+        throw approvalError('NO_PROPOSAL', 'No changes were proposed for this meeting');
+      }
+    }
+
+    const from = meeting.approval_status;
+    const changes = {
+      status: 'confirmed',
+      approval_status: 'approved',
+      approved_by: member.id,
+      approved_at: new Date()
+    };
+
+    await Meeting.sequelize.transaction(async (transaction) => {
+      if (proposal) {
+        await MeetingBookingService.reserve(meeting.hotel_id, { ...proposal, ...changes }, meeting, { transaction });
+      } else {
+        await meeting.update(changes, { transaction });
+      }
+
+      await MeetingApprovalHistory.create({
+        meeting_id: meeting.id,
+        action: 'approved',
+        from_status: from,
+        to_status: 'approved',
+        reason: message,
+        details: proposal ? { applied_proposal: proposal } : null,
+        changed_by: member.id
+      }, { transaction });
+    });
+
+    return MeetingApprovalService.decided(meeting, member, 'approved', message);
+  }
+
+  /**
+   * Turn the request down; the meeting is cancelled and frees its room
+   */
+  static async reject(meeting, member, reason) {
+    MeetingApprovalService.checkOpen(meeting);
+
+    const from = meeting.approval_status;
+    await Meeting.sequelize.transaction(async (transaction) => {
+      await meeting.update({ status: 'cancelled', approval_status: 'rejected' }, { transaction });
+
+      await MeetingApprovalHistory.create({
+        meeting_id: meeting.id,
+        action: 'rejected',
+        from_status: from,
+        to_status: 'rejected',
+        reason,
+        changed_by: member.id
+      }, { transaction });
+    });
+
+    return MeetingApprovalService.decided(meeting, member, 'rejected', reason);
+  }
+
+  /**
+   * Ask the organizer to change the request. A counter-proposal
+   * ({ start_date, end_date, meeting_room_id }, any of them) must be free;
+   * the meeting keeps holding its current slot meanwhile.
+   */
+  static async requestChanges(meeting, member, reason, proposal = null) {
+    MeetingApprovalService.checkOpen(meeting);
+
+    const counter = proposal ? await MeetingApprovalService.checkProposal(meeting, proposal) : null;
+
+    const from = meeting.approval_status;
+    await Meeting.sequelize.transaction(async (transaction) => {
+      await meeting.update({ approval_status: 'changes_requested' }, { transaction });
+
+      await MeetingApprovalHistory.create({
+        meeting_id: meeting.id,
+        action: 'changes_requested',
+        from_status: from,
+        to_status: 'changes_requested',
+        reason,
+        details: counter ? { proposal: counter } : null,
+        changed_by: member.id
+      }, { transaction });
+    });
+
+    return MeetingApprovalService.decided(meeting, member, 'changes_requested', reason, counter);
+  }
+
+  /**
+   * The proposal completed from the meeting, once its period is valid and
+   * its room free for it
+   */
+  static async checkProposal(meeting, proposal) {
+    const counter = {
+      start_date: proposal.start_date ? new Date(proposal.start_date) : meeting.start_date,
+      end_date: proposal.end_date ? new Date(proposal.end_date) : meeting.end_date,
+      meeting_room_id: proposal.meeting_room_id ? parseInt(proposal.meeting_room_id) : meeting.meeting_room_id
+    };
+    if (!(new Date(counter.end_date) > new Date(counter.start_date))) {
+      throw approvalError('INVALID_PERIOD', 'Proposed end_date must be after start_date', []);
+    }
+    if (!counter.meeting_room_id) {
+      return counter;
+    }
+
+    const [room] = await MeetingBookingService.availability(meeting.hotel_id, counter.start_date, counter.end_date, {
+      attendees: meeting.capacity,
+      meetingRoomId: counter.meeting_room_id
+    });
+    if (!room) {
+      throw approvalError('ROOM_NOT_FOUND', 'Meeting room not found', []);
+    }
+
+    // The meeting itself moves out of the way
+    const conflicts = room.conflicting_meetings.filter(conflict => conflict.id !== meeting.id);
+    if (!room.fits_capacity) {
+      throw approvalError('CAPACITY_EXCEEDED', `${room.name} holds at most ${room.max_capacity} attendees`, []);
+    }
+    if (conflicts.length > 0) {
+      throw approvalError('ROOM_UNAVAILABLE', 'The proposed room is not free at the proposed time', conflicts);
+    }
+    return counter;
+  }
+
+  static async lastProposal(meetingId) {
+    const request = await MeetingApprovalHistory.findOne({
+      where: { meeting_id: meetingId, action: 'changes_requested' },
+      order: [['created_at', 'DESC'], ['id', 'DESC']]
+    });
+    return request && request.details ? request.details.proposal || null : null;
+  }
+
+  /**
+   * After a decision: tell the staff apps and the organizer. The result is
+   * { meeting, notification } with the outcome of the email.
+   */
+  static async decided(meeting, member, decision, reason, proposal = null) {
+    await RealtimeService.publish(meeting.hotel_id, 'meetings', `meeting.${decision}`, {
+      meeting_id: meeting.id,
+      status: meeting.status,
+      approval_status: meeting.approval_status,
+      reason,
+      proposal
+    });
+
+    const notification = await MeetingApprovalService.notifyOrganizer(meeting, member, decision, reason, proposal);
+    return { meeting, notification };
+  }
+
+  /**
+   * Email the decision to the organizer and record whether it went out.
+   * A mail failure never undoes the decision.
+   */
+  static async notifyOrganizer(meeting, member, decision, reason, proposal = null) {
+    const hotel = await Hotel.findByPk(meeting.hotel_id, { attributes: ['id', 'name'] });
+    const room = proposal && proposal.meeting_room_id
+      ? await MeetingRoom.findByPk(proposal.meeting_room_id, { attributes: ['id', 'name'] })
+      : null;
+
+    const email = MeetingApprovalService.renderEmail(decision, {
+      meeting,
+      hotelName: hotel ? hotel.name : '',
+      reason,
+      proposal: proposal && { ...proposal, location: room ? room.name : meeting.location }
+    });
+
+    // The confirmation puts the event in the organizer's calendar
+    const attachments = decision === 'approved'
+      ? [MeetingCalendarService.invite(meeting, hotel ? hotel.name : '')]
+      : [];
+
+    const result = await MailService.send({
+      to: meeting.organizer_email,
+      replyTo: member && member.email ? member.email : undefined,
+      ...email,
+      attachments
+    });
+
+    const notification = {
+      to: meeting.organizer_email,
+      sent: result.success,
+      message_id: result.messageId || null,
+      error: result.error || null
+    };
+
+    try {
+      await MeetingApprovalHistory.create({
+        meeting_id: meeting.id,
+        action: result.success ? 'organizer_notified' : 'notification_failed',
+        details: notification,
+        changed_by: member ? member.id : null
+      });
+    } catch (error) {
+      console.error('Error recording meeting notification:', error);
+    }
+
+    return notification;
+  }
+
+  /**
+   * Subject, text and HTML of the email telling the organizer about a decision
+   */
+  static renderEmail(decision, { meeting, hotelName, reason = null, proposal = null }) {
+    const subjects = {
+      approved: `Your event "${meeting.title}" is confirmed`,
+      rejected: `Your event request "${meeting.title}" could not be accepted`,
+      changes_requested: `Changes requested for your event "${meeting.title}"`
+    };
+    const intros = {
+      approved: `We are pleased to confirm your event at ${hotelName}.`,
+      rejected: `Unfortunately ${hotelName} cannot accept your event request.`,
+      changes_requested: `${hotelName} has reviewed your event request and needs some changes before it can be confirmed.`
+    };
+    const reasonLabels = {
+      approved: 'Message',
+      rejected: 'Reason',
+      changes_requested: 'Requested changes'
+    };
+
+    // [label, value] rows of each block
+    const event = [
+      ['Event', meeting.title],
+      ['When', `${formatDate(meeting.start_date)} - ${formatDate(meeting.end_date)}`],
+      ['Where', meeting.location],
+      ['Attendees', meeting.capacity]
+    ].filter(([, value]) => value);
+    const counter = proposal ? [
+      ['When', `${formatDate(proposal.start_date)} - ${formatDate(proposal.end_date)}`],
+      ['Where', proposal.location]
+    ].filter(([, value]) => value) : [];
+
+    const rows = (pairs) => pairs.map(([label, value]) => `${label}: ${value}`).join('\n');
+    const text = [
+      `Dear ${meeting.organizer_name},`,
+      '',
+      intros[decision],
+      '',
+      rows(event),
+      reason ? `\n${reasonLabels[decision]}:\n${reason}` : null,
+      counter.length > 0 ? `\nWe can offer instead:\n${rows(counter)}` : null,
+      decision === 'changes_requested' ? '\nPlease reply to this email to let us know how you would like to proceed.' : null,
+      '',
+      'Kind regards,',
+      hotelName
+    ].filter(line => line !== null).join('\n');
+
+    const table = (pairs) => `<table>${pairs.map(([label, value]) =>
+      `<tr><th align="left">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>`;
+    const paragraphs = (value) => escapeHtml(value).replace(/\n/g, '<br>');
+    const html = [
+      '<!DOCTYPE html><html><body>',
+      `<p>Dear ${escapeHtml(meeting.organizer_name)},</p>`,
+      `<p>${escapeHtml(intros[decision])}</p>`,
+      table(event),
+      reason ? `<h3>${escapeHtml(reasonLabels[decision])}</h3><p>${paragraphs(reason)}</p>` : '',
+      counter.length > 0 ? `<h3>We can offer instead</h3>${table(counter)}` : '',
+      decision === 'changes_requested' ? '<p>Please reply to this email to let us know how you would like to proceed.</p>' : '',
+      `<p>Kind regards,<br>${escapeHtml(hotelName)}</p>`,
+      '</body></html>'
+    ].join('');
+
+    return { subject: subjects[decision], text, html };
+  }
+}
+
+module.exports = MeetingApprovalService;
@@ -0,0 +1,211 @@
+const { EventQuote, EventQuoteLine, Hotel, Meeting, MeetingRoom } = require('../../models');
+
+// Quote a BEO is priced from, by preference
+const QUOTE_PREFERENCE = ['accepted', 'sent', 'draft'];
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '');
+
+const formatAmount = (value) => (value === null || value === undefined ? '' : parseFloat(value).toFixed(2));
+
+/**
+ * Banquet event orders: the operations sheet for a meeting, with its
+ * schedule, room, catering, equipment and the quote it was sold on.
+ */
+class BeoService {
+  /**
+   * The quote behind the BEO: the given version, else the accepted quote,
+   * else the latest sent one, else the latest draft
+   */
+  static async findQuote(meetingId, quoteId = null) {
+    const quotes = await EventQuote.findAll({
+      where: quoteId ? { meeting_id: meetingId, id: quoteId } : { meeting_id: meetingId },
+      include: [{ model: EventQuoteLine, as: 'lines' }],
+      order: [['version', 'DESC'], [{ model: EventQuoteLine, as: 'lines' }, 'sort_order', 'ASC']]
+    });
+
+    if (quoteId) {
+      return quotes[0] || null;
+    }
+    for (const status of QUOTE_PREFERENCE) {
+      const quote = quotes.find(candidate => candidate.status === status);
+      if (quote) {
+        return quote;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * BEO content for a meeting; null when the meeting does not exist
+   */
+  static async build(meetingId, quoteId = null) {
+    const meeting = await Meeting.findByPk(meetingId, {
+      include: [
+        { model: Hotel, attributes: ['id', 'name'] },
+        { model: MeetingRoom, attributes: ['id', 'name', 'capacity', 'features'] }
+      ]
+    });
+    if (!meeting) {
+      return null;
+    }
+
+    const quote = await BeoService.findQuote(meeting.id, quoteId);
+    const lines = quote ? quote.lines.map(line => line.toJSON()) : [];
+    const linesOf = (category) => lines.filter(line => line.category === category);
+
+    return {
+      generated_at: new Date(),
+      hotel: meeting.Hotel ? { id: meeting.Hotel.id, name: meeting.Hotel.name } : null,
+      event: {
+        id: meeting.id,
+        title: meeting.title,
+        event_type: meeting.event_type,
+        status: meeting.status,
+        attendees: meeting.capacity,
+        organizer_name: meeting.organizer_name,
+        organizer_email: meeting.organizer_email,
+        organizer_phone: meeting.organizer_phone
+      },
+      schedule: {
+        setup_from: meeting.blocked_from || meeting.start_date,
+        start: meeting.start_date,
+        end: meeting.end_date,
+        teardown_until: meeting.blocked_until || meeting.end_date
+      },
+      room: meeting.MeetingRoom
+        ? { id: meeting.MeetingRoom.id, name: meeting.MeetingRoom.name, features: meeting.MeetingRoom.features }
+        : { id: null, name: meeting.location, features: null },
+      room_hire: linesOf('room_hire'),
+      catering: linesOf('catering'),
+      equipment: linesOf('equipment'),
+      services: linesOf('service'),
+      requirements: {
+        catering_required: meeting.catering_required,
+        equipment_required: meeting.equipment_required,
+        special_requirements: meeting.special_requirements,
+        notes: meeting.notes
+      },
+      billing: quote
+        ? {
+          quote_id: quote.id,
+          version: quote.version,
+          status: quote.status,
+          subtotal: quote.subtotal,
+          tax_total: quote.tax_total,
+          total: quote.total,
+          deposit_amount: quote.deposit_amount,
+          deposit_paid: meeting.deposit_paid,
+          accepted_at: quote.accepted_at,
+          accepted_by_name: quote.accepted_by_name
+        }
+        : null
+    };
+  }
+
+  /**
+   * Printable HTML of a BEO; browsers can save it as PDF
+   */
+  static renderHtml(beo) {
+    const row = (label, value) => (value || value === 0
+      ? `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`
+      : '');
+
+    const lineTable = (title, lines) => {
+      if (lines.length === 0) {
+        return '';
+      }
+      const rows = lines.map((line) => {
+        const menu = line.menu_items.length > 0
+          ? `<ul>${line.menu_items.map(item =>
+            `<li>${escapeHtml(item.name)}${item.allergens ? ` <em>(allergens: ${escapeHtml(item.allergens)})</em>` : ''}</li>`
+          ).join('')}</ul>`
+          : '';
+        return `<tr><td>${escapeHtml(line.description)}${menu}</td>` +
+          `<td class="num">${escapeHtml(line.quantity)}</td>` +
+          `<td>${escapeHtml(line.unit.replace('_', ' '))}</td>` +
+          `<td class="num">${formatAmount(line.unit_price)}</td>` +
+          `<td class="num">${formatAmount(line.amount)}</td></tr>`;
+      }).join('');
+      return `<h2>${escapeHtml(title)}</h2>` +
+        '<table class="lines"><tr><th>Item</th><th class="num">Qty</th><th>Unit</th><th class="num">Price</th><th class="num">Amount</th></tr>' +
+        `${rows}</table>`;
+    };
+
+    const { event, schedule, room, requirements, billing } = beo;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>BEO #${escapeHtml(event.id)} - ${escapeHtml(event.title)}</title>
+<style>
+  body { font-family: Arial, sans-serif; font-size: 12px; margin: 24px; color: #222; }
+  h1 { font-size: 20px; margin-bottom: 0; }
+  h2 { font-size: 14px; border-bottom: 1px solid #999; margin-top: 20px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 4px 6px; vertical-align: top; }
+  table.lines th { border-bottom: 1px solid #ccc; }
+  .num { text-align: right; }
+  .meta { color: #666; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>Banquet Event Order #${escapeHtml(event.id)}</h1>
+<p class="meta">${escapeHtml(beo.hotel ? beo.hotel.name : '')} &middot; generated ${escapeHtml(formatDate(beo.generated_at))}</p>
+
+<h2>Event</h2>
+<table>
+${row('Title', event.title)}
+${row('Type', event.event_type)}
+${row('Status', event.status)}
+${row('Attendees', event.attendees)}
+${row('Organizer', event.organizer_name)}
+${row('Email', event.organizer_email)}
+${row('Phone', event.organizer_phone)}
+</table>
+
+<h2>Schedule</h2>
+<table>
+${row('Setup from', formatDate(schedule.setup_from))}
+${row('Event start', formatDate(schedule.start))}
+${row('Event end', formatDate(schedule.end))}
+${row('Teardown until', formatDate(schedule.teardown_until))}
+${row('Room', room.name)}
+${row('Room features', room.features)}
+</table>
+${lineTable('Room Hire', beo.room_hire)}
+${lineTable('Catering', beo.catering)}
+${lineTable('Equipment', beo.equipment)}
+${lineTable('Services', beo.services)}
+
+<h2>Requirements</h2>
+<table>
+${row('Catering', requirements.catering_required ? 'Yes' : 'No')}
+${row('Equipment', requirements.equipment_required)}
+${row('Special requirements', requirements.special_requirements)}
+${row('Notes', requirements.notes)}
+</table>
+
+<h2>Billing</h2>
+${billing ? `<table>
+${row('Quote', `Version ${billing.version} (${billing.status})`)}
+${row('Subtotal', formatAmount(billing.subtotal))}
+${row('Tax', formatAmount(billing.tax_total))}
+${row('Total', formatAmount(billing.total))}
+${row('Deposit', billing.deposit_amount !== null ? `${formatAmount(billing.deposit_amount)}${billing.deposit_paid ? ' (paid)' : ''}` : '')}
+${row('Accepted', billing.accepted_at ? `${formatDate(billing.accepted_at)} by ${billing.accepted_by_name}` : '')}
+</table>` : '<p>No quote yet.</p>'}
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = BeoService;
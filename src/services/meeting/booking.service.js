@@ -0,0 +1,342 @@
+const { Op } = require('sequelize');
+const { Meeting, MeetingRoom } = require('../../models');
+
+// Longest range the room calendar returns at once
+const MAX_CALENDAR_DAYS = 62;
+
+const MINUTE_MS = 60000;
+
+const bookingError = (code, message, conflicts = []) => {
+  const error = new Error(message);
+  error.code = code;
+  error.conflicts = conflicts;
+  return error;
+};
+
+const serializeConflict = (meeting) => ({
+  id: meeting.id,
+  title: meeting.title,
+  meeting_room_id: meeting.meeting_room_id,
+  status: meeting.status,
+  start_date: meeting.start_date,
+  end_date: meeting.end_date,
+  blocked_from: meeting.blocked_from,
+  blocked_until: meeting.blocked_until
+});
+
+const overlaps = (meeting, from, until) =>
+  new Date(meeting.blocked_from) < until && new Date(meeting.blocked_until) > from;
+
+/**
+ * Meeting room bookings: a booking holds its room from setup to teardown,
+ * and a combined room (a divisible ballroom) is taken whenever one of its
+ * parts is, and the other way round.
+ *
+ * Booking errors are thrown with a code: ROOM_NOT_FOUND, INVALID_PERIOD,
+ * CAPACITY_EXCEEDED or ROOM_UNAVAILABLE (with the conflicting meetings).
+ */
+class MeetingBookingService {
+  /**
+   * IDs of the rooms that cannot be booked at the same time as `room`:
+   * itself and every room sharing one of its parts
+   */
+  static overlappingRoomIds(room, hotelRooms) {
+    const parts = new Set(room.getPartIds());
+    return hotelRooms
+      .filter(other => other.id === room.id || other.getPartIds().some(id => parts.has(id)))
+      .map(other => other.id);
+  }
+
+  /**
+   * Why a room cannot be made of the given parts, or null when it can. Parts
+   * are two or more plain rooms of the same hotel, and a room that is part
+   * of a combination cannot be one itself.
+   */
+  static async checkCombination(hotelId, roomId, combines) {
+    if (!combines || combines.length === 0) {
+      return null;
+    }
+
+    const partIds = Array.from(new Set(combines.map(Number)));
+    if (partIds.length < 2 || partIds.includes(roomId)) {
+      return 'A combined room is made of at least two other rooms';
+    }
+
+    const hotelRooms = await MeetingRoom.findAll({ where: { hotel_id: hotelId } });
+    const parts = hotelRooms.filter(room => partIds.includes(room.id));
+    if (parts.length !== partIds.length) {
+      return 'Combined rooms must be meeting rooms of the same hotel';
+    }
+    if (parts.some(room => room.getPartIds().length > 1 || room.getPartIds()[0] !== room.id)) {
+      return 'A combined room cannot be part of another combination';
+    }
+    if (roomId && hotelRooms.some(room => room.id !== roomId && room.getPartIds().includes(roomId))) {
+      return 'A room that is part of a combination cannot combine other rooms';
+    }
+    return null;
+  }
+
+  // Period a booking of the room holds it, with the room's default buffers
+  static blockedPeriod(start, end, setupMinutes = 0, teardownMinutes = 0) {
+    return {
+      from: new Date(new Date(start).getTime() - (setupMinutes || 0) * MINUTE_MS),
+      until: new Date(new Date(end).getTime() + (teardownMinutes || 0) * MINUTE_MS)
+    };
+  }
+
+  // Meetings holding a room of the hotel at some point in [from, until)
+  static async blockingMeetings(hotelId, from, until, { roomIds = null, excludeId = null, transaction = null } = {}) {
+    const where = {
+      hotel_id: hotelId,
+      status: { [Op.in]: Meeting.BLOCKING_STATUSES },
+      meeting_room_id: roomIds ? { [Op.in]: roomIds } : { [Op.ne]: null },
+      blocked_from: { [Op.lt]: until },
+      blocked_until: { [Op.gt]: from }
+    };
+    if (excludeId) {
+      where.id = { [Op.ne]: excludeId };
+    }
+
+    return Meeting.findAll({
+      where,
+      attributes: ['id', 'title', 'meeting_room_id', 'status', 'start_date', 'end_date', 'blocked_from', 'blocked_until'],
+      order: [['blocked_from', 'ASC']],
+      transaction
+    });
+  }
+
+  /**
+   * The room a booking is for: meeting_room_id when given, else the room
+   * named by location, else the meeting's current room. Null for a venue
+   * that is not a meeting room.
+   */
+  static resolveRoom(hotelRooms, values, meeting = null) {
+    if (values.meeting_room_id) {
+      const room = hotelRooms.find(candidate => candidate.id === parseInt(values.meeting_room_id));
+      if (!room) {
+        throw bookingError('ROOM_NOT_FOUND', 'Meeting room not found');
+      }
+      return room;
+    }
+
+    if (values.location) {
+      const name = values.location.trim().toLowerCase();
+      return hotelRooms.find(candidate => candidate.name.trim().toLowerCase() === name) || null;
+    }
+
+    if (meeting && meeting.meeting_room_id && values.meeting_room_id === undefined) {
+      return hotelRooms.find(candidate => candidate.id === meeting.meeting_room_id) || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a meeting, or update `meeting`, after checking its room is free
+   * and large enough. The hotel's rooms are locked for the check so two
+   * requests cannot take the same slot. Runs in `transaction` when given,
+   * else in its own.
+   */
+  static async reserve(hotelId, values, meeting = null, { transaction: outer = null } = {}) {
+    const run = async (transaction) => {
+      const hotelRooms = await MeetingRoom.findAll({
+        where: { hotel_id: hotelId },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const room = MeetingBookingService.resolveRoom(hotelRooms, values, meeting);
+      const changes = { ...values, meeting_room_id: room ? room.id : null };
+      if (room) {
+        const keepsRoom = meeting && meeting.meeting_room_id === room.id;
+        changes.location = values.location || room.name;
+        changes.setup_minutes = values.setup_minutes ??
+          (keepsRoom ? meeting.setup_minutes : null) ?? room.setup_buffer_minutes;
+        changes.teardown_minutes = values.teardown_minutes ??
+          (keepsRoom ? meeting.teardown_minutes : null) ?? room.teardown_buffer_minutes;
+      }
+
+      const booking = { ...(meeting ? meeting.get({ plain: true }) : {}), ...changes };
+      const start = new Date(booking.start_date);
+      const end = new Date(booking.end_date);
+      if (!(end > start)) {
+        throw bookingError('INVALID_PERIOD', 'end_date must be after start_date');
+      }
+
+      const maxCapacity = room ? room.getMaxCapacity() : null;
+      if (maxCapacity && booking.capacity > maxCapacity) {
+        throw bookingError('CAPACITY_EXCEEDED', `${room.name} holds at most ${maxCapacity} attendees`);
+      }
+
+      if (Meeting.BLOCKING_STATUSES.includes(booking.status || 'draft')) {
+        const period = MeetingBookingService.blockedPeriod(start, end, booking.setup_minutes, booking.teardown_minutes);
+        const conflicts = room
+          ? await MeetingBookingService.blockingMeetings(hotelId, period.from, period.until, {
+            roomIds: MeetingBookingService.overlappingRoomIds(room, hotelRooms),
+            excludeId: meeting ? meeting.id : null,
+            transaction
+          })
+          : await MeetingBookingService.locationConflicts(hotelId, booking, meeting, transaction);
+
+        if (conflicts.length > 0) {
+          throw bookingError(
+            'ROOM_UNAVAILABLE',
+            'There is a conflicting meeting at this location and time',
+            conflicts.map(serializeConflict)
+          );
+        }
+      }
+
+      return meeting
+        ? meeting.update(changes, { transaction })
+        : Meeting.create(changes, { transaction });
+    };
+
+    return outer ? run(outer) : Meeting.sequelize.transaction(run);
+  }
+
+  // Venues that are not meeting rooms are only matched by their name
+  static async locationConflicts(hotelId, booking, meeting, transaction) {
+    if (!booking.location) {
+      return [];
+    }
+
+    const where = {
+      hotel_id: hotelId,
+      location: booking.location,
+      status: { [Op.in]: Meeting.BLOCKING_STATUSES },
+      start_date: { [Op.lt]: booking.end_date },
+      end_date: { [Op.gt]: booking.start_date }
+    };
+    if (meeting) {
+      where.id = { [Op.ne]: meeting.id };
+    }
+    return Meeting.findAll({ where, transaction });
+  }
+
+  /**
+   * Whether each room of the hotel (or just the given one) can be booked for
+   * [start, end) with its default buffers, and fits the attendees.
+   */
+  static async availability(hotelId, start, end, { attendees = null, meetingRoomId = null } = {}) {
+    const hotelRooms = await MeetingRoom.findAll({
+      where: { hotel_id: hotelId },
+      order: [['name', 'ASC']]
+    });
+    const rooms = meetingRoomId
+      ? hotelRooms.filter(room => room.id === parseInt(meetingRoomId))
+      : hotelRooms;
+    if (rooms.length === 0) {
+      return [];
+    }
+
+    const periods = new Map(rooms.map(room => [room.id, MeetingBookingService.blockedPeriod(
+      start, end, room.setup_buffer_minutes, room.teardown_buffer_minutes
+    )]));
+    const meetings = await MeetingBookingService.blockingMeetings(
+      hotelId,
+      new Date(Math.min(...Array.from(periods.values()).map(period => period.from.getTime()))),
+      new Date(Math.max(...Array.from(periods.values()).map(period => period.until.getTime())))
+    );
+
+    return rooms.map((room) => {
+      const period = periods.get(room.id);
+      const roomIds = MeetingBookingService.overlappingRoomIds(room, hotelRooms);
+      const conflicts = meetings.filter(meeting =>
+        roomIds.includes(meeting.meeting_room_id) && overlaps(meeting, period.from, period.until)
+      );
+      const maxCapacity = room.getMaxCapacity();
+      const fitsCapacity = !attendees || !maxCapacity || attendees <= maxCapacity;
+
+      return {
+        meeting_room_id: room.id,
+        name: room.name,
+        max_capacity: maxCapacity,
+        setup_buffer_minutes: room.setup_buffer_minutes,
+        teardown_buffer_minutes: room.teardown_buffer_minutes,
+        combines: room.getPartIds().filter(id => id !== room.id),
+        fits_capacity: fitsCapacity,
+        available: fitsCapacity && conflicts.length === 0,
+        conflicting_meetings: conflicts.map(serializeConflict)
+      };
+    });
+  }
+
+  /**
+   * Busy and free slots of every room of the hotel in [from, until). A room
+   * is busy while it, one of its parts or a room combining it is booked,
+   * buffers included. With `details` busy slots name their meeting.
+   */
+  static async calendar(hotelId, from, until, { details = false } = {}) {
+    const hotelRooms = await MeetingRoom.findAll({
+      where: { hotel_id: hotelId },
+      order: [['name', 'ASC']]
+    });
+    const meetings = await MeetingBookingService.blockingMeetings(hotelId, from, until);
+
+    return hotelRooms.map((room) => {
+      const roomIds = MeetingBookingService.overlappingRoomIds(room, hotelRooms);
+      const busy = meetings
+        .filter(meeting => roomIds.includes(meeting.meeting_room_id))
+        .map((meeting) => {
+          const slot = {
+            from: new Date(Math.max(new Date(meeting.blocked_from).getTime(), from.getTime())),
+            until: new Date(Math.min(new Date(meeting.blocked_until).getTime(), until.getTime()))
+          };
+          if (details) {
+            Object.assign(slot, {
+              meeting_id: meeting.id,
+              title: meeting.title,
+              status: meeting.status,
+              meeting_room_id: meeting.meeting_room_id,
+              start_date: meeting.start_date,
+              end_date: meeting.end_date
+            });
+          }
+          return slot;
+        });
+
+      return {
+        meeting_room_id: room.id,
+        name: room.name,
+        max_capacity: room.getMaxCapacity(),
+        combines: room.getPartIds().filter(id => id !== room.id),
+        busy,
+        free: MeetingBookingService.freeSlots(busy, from, until)
+      };
+    });
+  }
+
+  // Why a calendar range cannot be served, or null
+  static checkCalendarRange(from, until) {
+    if (!(until > from)) {
+      return 'to must be after from';
+    }
+    if (until - from > MAX_CALENDAR_DAYS * 24 * 60 * MINUTE_MS) {
+      return `The calendar covers at most ${MAX_CALENDAR_DAYS} days at once`;
+    }
+    return null;
+  }
+
+  // Gaps between busy slots (sorted by start) within [from, until)
+  static freeSlots(busy, from, until) {
+    const free = [];
+    let cursor = from;
+    busy.forEach((slot) => {
+      if (slot.from > cursor) {
+        free.push({ from: cursor, until: slot.from });
+      }
+      if (slot.until > cursor) {
+        cursor = slot.until;
+      }
+    });
+    if (cursor < until) {
+      free.push({ from: cursor, until });
+    }
+    return free;
+  }
+}
+
+MeetingBookingService.MAX_CALENDAR_DAYS = MAX_CALENDAR_DAYS;
+
+module.exports = MeetingBookingService;
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { CalendarFeed, Hotel, Meeting, MeetingRoom } = require('../../models');
+const IcsService = require('../calendar/ics.service');
+const MailService = require('../mail/mail.service');
+const MeetingBookingService = require('./booking.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Feeds cover meetings from this long ago until this far ahead
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 365;
+
+// Calendar clients are asked to refresh a subscription this often
+const FEED_REFRESH_MINUTES = 15;
+
+const EVENT_STATUSES = {
+  draft: 'TENTATIVE',
+  cancelled: 'CANCELLED'
+};
+
+/**
+ * Meetings as calendar events: token-protected ICS feeds of a hotel or a
+ * meeting room for staff to subscribe to, and invites for organizers.
+ */
+class MeetingCalendarService {
+  static async createFeed(hotelId, { meetingRoomId = null, name = null, createdBy = null } = {}) {
+    return CalendarFeed.create({
+      hotel_id: hotelId,
+      meeting_room_id: meetingRoomId,
+      name,
+      token: crypto.randomBytes(32).toString('hex'),
+      created_by: createdBy
+    });
+  }
+
+  /**
+   * Subscription URLs of a feed on this API: https for downloads and
+   * webcal for "subscribe" links
+   */
+  static feedUrls(req, feed) {
+    const url = `${req.protocol}://${req.get('host')}/api/public/calendar-feeds/${feed.token}.ics`;
+    return { url, webcal_url: url.replace(/^https?:/, 'webcal:') };
+  }
+
+  /**
+   * Event for a meeting; `details` adds what only staff see (the
+   * organizer's contact details and the setup and teardown times)
+   */
+  static meetingEvent(meeting, { hotelName = null, details = false } = {}) {
+    const description = [
+      meeting.description,
+      meeting.capacity ? `Attendees: ${meeting.capacity}` : null,
+      hotelName ? `Venue: ${hotelName}` : null
+    ];
+    if (details) {
+      description.push(
+        `Organizer: ${meeting.organizer_name} <${meeting.organizer_email}>${meeting.organizer_phone ? `, ${meeting.organizer_phone}` : ''}`,
+        `Status: ${meeting.status}`
+      );
+      if (meeting.blocked_from && new Date(meeting.blocked_from) < new Date(meeting.start_date)) {
+        description.push(`Setup from: ${new Date(meeting.blocked_from).toISOString()}`);
+      }
+      if (meeting.blocked_until && new Date(meeting.blocked_until) > new Date(meeting.end_date)) {
+        description.push(`Teardown until: ${new Date(meeting.blocked_until).toISOString()}`);
+      }
+      if (meeting.special_requirements) {
+        description.push(`Special requirements: ${meeting.special_requirements}`);
+      }
+    }
+
+    return {
+      uid: `meeting-${meeting.id}@hospient`,
+      sequence: IcsService.sequenceOf(meeting.updated_at || new Date()),
+      start: meeting.start_date,
+      end: meeting.end_date,
+      summary: meeting.title,
+      location: meeting.MeetingRoom ? meeting.MeetingRoom.name : meeting.location,
+      description: description.filter(Boolean).join('\n'),
+      status: EVENT_STATUSES[meeting.status] || 'CONFIRMED',
+      created: meeting.created_at,
+      updated: meeting.updated_at
+    };
+  }
+
+  /**
+   * ICS document of a feed: the hotel's meetings, or those holding the
+   * feed's room (including bookings of a room combined with it)
+   */
+  static async renderFeed(feed) {
+    const hotel = await Hotel.findByPk(feed.hotel_id, { attributes: ['id', 'name'] });
+    const where = {
+      hotel_id: feed.hotel_id,
+      status: { [Op.ne]: 'cancelled' },
+      end_date: { [Op.gt]: new Date(Date.now() - FEED_PAST_DAYS * DAY_MS) },
+      start_date: { [Op.lt]: new Date(Date.now() + FEED_FUTURE_DAYS * DAY_MS) }
+    };
+
+    let name = hotel ? `${hotel.name} meetings` : 'Meetings';
+    if (feed.meeting_room_id) {
+      const hotelRooms = await MeetingRoom.findAll({ where: { hotel_id: feed.hotel_id } });
+      const room = hotelRooms.find(candidate => candidate.id === feed.meeting_room_id);
+      if (!room) {
+        return null;
+      }
+      where.meeting_room_id = { [Op.in]: MeetingBookingService.overlappingRoomIds(room, hotelRooms) };
+      name = hotel ? `${hotel.name} - ${room.name}` : room.name;
+    }
+
+    const meetings = await Meeting.findAll({
+      where,
+      include: [{ model: MeetingRoom, attributes: ['id', 'name'] }],
+      order: [['start_date', 'ASC']]
+    });
+
+    return IcsService.build({
+      name,
+      refreshMinutes: FEED_REFRESH_MINUTES,
+      events: meetings.map(meeting => MeetingCalendarService.meetingEvent(meeting, {
+        hotelName: hotel ? hotel.name : null,
+        details: true
+      }))
+    });
+  }
+
+  /**
+   * Invite for the organizer, sent from MAIL_FROM on behalf of the hotel.
+   * REQUEST adds or updates the event in their calendar, CANCEL removes it.
+   */
+  static invite(meeting, hotelName, method = 'REQUEST') {
+    const event = {
+      ...MeetingCalendarService.meetingEvent(meeting, { hotelName }),
+      organizer: { name: hotelName, email: MailService.senderAddress() },
+      attendees: [{ name: meeting.organizer_name, email: meeting.organizer_email }]
+    };
+    if (method === 'CANCEL') {
+      event.status = 'CANCELLED';
+    }
+
+    return IcsService.attachment(IcsService.build({ method, events: [event] }), method);
+  }
+}
+
+module.exports = MeetingCalendarService;
@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const { EventCatalogItem, EventQuote, EventQuoteLine, Meeting, Menu } = require('../../models');
+const RealtimeService = require('../realtime/realtime.service');
+const { ALLERGENS, isAllergen } = require('../../config/dietary');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Link the customer opens to review and accept; GUEST_APP_URL points at the public web app
+const quoteUrl = (token) => `${(process.env.GUEST_APP_URL || '').replace(/\/$/, '')}/event-quotes/${token}`;
+
+const quoteError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Event quotes: versioned, line-item priced offers for a meeting built from
+ * the hotel's event catalog, sent to the customer as a link to accept.
+ *
+ * Errors are thrown with a code: INVALID_LINE for a line that cannot be
+ * priced, QUOTE_LOCKED for changes to a quote that is no longer a draft and
+ * QUOTE_CLOSED when the customer can no longer answer.
+ */
+class EventQuoteService {
+  /**
+   * Quantity a catalog price applies to for the meeting: started hours or
+   * days of the event, its attendees, or once
+   */
+  static defaultQuantity(unit, meeting) {
+    const duration = new Date(meeting.end_date) - new Date(meeting.start_date);
+    switch (unit) {
+      case 'per_hour':
+        return Math.max(1, Math.ceil(duration / HOUR_MS));
+      case 'per_day':
+        return Math.max(1, Math.ceil(duration / (24 * HOUR_MS)));
+      case 'per_person':
+        return meeting.capacity || 1;
+      default:
+        return 1;
+    }
+  }
+
+  // Menu items of a catering package as they are quoted and served
+  static async menuItems(hotelId, ids, transaction = null) {
+    if (!ids || ids.length === 0) {
+      return [];
+    }
+    const items = await Menu.findAll({
+      where: { id: ids, hotel_id: hotelId },
+      attributes: ['id', 'item_name', 'item_description', 'allergens', 'allergen_notes'],
+      transaction
+    });
+    return items.map(item => ({
+      id: item.id,
+      name: item.item_name,
+      description: item.item_description,
+      // Quoted and printed as text, by name
+      allergens: [
+        ...(item.allergens || []).map(code => (isAllergen(code) ? ALLERGENS[code] : code)),
+        ...(item.allergen_notes ? [item.allergen_notes] : [])
+      ].join(', ') || null
+    }));
+  }
+
+  /**
+   * Priced quote lines. A line names a catalog item (its name, unit and
+   * prices are copied and can be overridden) or is a custom line with its
+   * own description and unit_price. Quantity defaults from the meeting.
+   */
+  static async priceLines(meeting, lines, transaction = null) {
+    const itemIds = lines.filter(line => line.catalog_item_id).map(line => line.catalog_item_id);
+    const items = itemIds.length > 0
+      ? await EventCatalogItem.findAll({ where: { id: itemIds, hotel_id: meeting.hotel_id }, transaction })
+      : [];
+
+    const priced = [];
+    for (const [index, line] of lines.entries()) {
+      let values;
+      if (line.catalog_item_id) {
+        const item = items.find(candidate => candidate.id === parseInt(line.catalog_item_id));
+        if (!item) {
+          throw quoteError('INVALID_LINE', `Line ${index + 1}: catalog item ${line.catalog_item_id} not found`);
+        }
+        values = {
+          catalog_item_id: item.id,
+          category: item.category,
+          description: line.description || item.name,
+          unit: item.unit,
+          unit_price: line.unit_price ?? item.unit_price,
+          tax_rate: line.tax_rate ?? item.tax_rate,
+          menu_items: await EventQuoteService.menuItems(meeting.hotel_id, item.menu_item_ids, transaction)
+        };
+      } else {
+        if (!line.description || line.unit_price === undefined || line.unit_price === null) {
+          throw quoteError('INVALID_LINE', `Line ${index + 1}: a custom line needs a description and unit_price`);
+        }
+        values = {
+          catalog_item_id: null,
+          category: line.category || 'service',
+          description: line.description,
+          unit: line.unit || 'per_event',
+          unit_price: line.unit_price,
+          tax_rate: line.tax_rate || 0,
+          menu_items: []
+        };
+      }
+
+      const quantity = parseFloat(line.quantity ?? EventQuoteService.defaultQuantity(values.unit, meeting));
+      const amount = round2(quantity * parseFloat(values.unit_price));
+      priced.push({
+        ...values,
+        quantity,
+        amount,
+        tax_amount: round2(amount * parseFloat(values.tax_rate) / 100),
+        sort_order: index
+      });
+    }
+    return priced;
+  }
+
+  static totals(lines) {
+    const subtotal = round2(lines.reduce((sum, line) => sum + parseFloat(line.amount), 0));
+    const taxTotal = round2(lines.reduce((sum, line) => sum + parseFloat(line.tax_amount), 0));
+    return { subtotal, tax_total: taxTotal, total: round2(subtotal + taxTotal) };
+  }
+
+  /**
+   * Lines a new version starts from: the latest version's lines, or the
+   * room hire rate of the meeting's room for the first quote
+   */
+  static async startingLines(meeting, transaction) {
+    const latest = await EventQuote.findOne({
+      where: { meeting_id: meeting.id },
+      include: [{ model: EventQuoteLine, as: 'lines' }],
+      order: [['version', 'DESC'], [{ model: EventQuoteLine, as: 'lines' }, 'sort_order', 'ASC']],
+      transaction
+    });
+    if (latest) {
+      return latest.lines.map(line => ({
+        catalog_item_id: line.catalog_item_id,
+        category: line.category,
+        description: line.description,
+        unit: line.unit,
+        quantity: line.quantity,
+        unit_price: line.unit_price,
+        tax_rate: line.tax_rate
+      }));
+    }
+
+    if (!meeting.meeting_room_id) {
+      return [];
+    }
+    const roomHire = await EventCatalogItem.findOne({
+      where: { hotel_id: meeting.hotel_id, category: 'room_hire', meeting_room_id: meeting.meeting_room_id, is_active: true },
+      transaction
+    });
+    return roomHire ? [{ catalog_item_id: roomHire.id }] : [];
+  }
+
+  /**
+   * New draft version of the meeting's quote, from the given lines or
+   * starting from the previous version
+   */
+  static async create(meeting, { lines, notes, valid_until, deposit_amount } = {}, memberId = null) {
+    return EventQuote.sequelize.transaction(async (transaction) => {
+      const lastVersion = await EventQuote.max('version', { where: { meeting_id: meeting.id }, transaction });
+      const priced = await EventQuoteService.priceLines(
+        meeting,
+        lines || await EventQuoteService.startingLines(meeting, transaction),
+        transaction
+      );
+
+      const quote = await EventQuote.create({
+        hotel_id: meeting.hotel_id,
+        meeting_id: meeting.id,
+        version: (lastVersion || 0) + 1,
+        status: 'draft',
+        notes,
+        valid_until,
+        deposit_amount,
+        created_by: memberId,
+        ...EventQuoteService.totals(priced)
+      }, { transaction });
+
+      await EventQuoteLine.bulkCreate(priced.map(line => ({ ...line, quote_id: quote.id })), { transaction });
+      return quote;
+    });
+  }
+
+  // Change a draft; lines, when given, replace the current ones
+  static async update(quote, { lines, ...changes }) {
+    if (quote.status !== 'draft') {
+      throw quoteError('QUOTE_LOCKED', 'Only draft quotes can be changed; create a new version instead');
+    }
+
+    const meeting = await Meeting.findByPk(quote.meeting_id);
+    return EventQuote.sequelize.transaction(async (transaction) => {
+      if (lines) {
+        const priced = await EventQuoteService.priceLines(meeting, lines, transaction);
+        await EventQuoteLine.destroy({ where: { quote_id: quote.id }, transaction });
+        await EventQuoteLine.bulkCreate(priced.map(line => ({ ...line, quote_id: quote.id })), { transaction });
+        Object.assign(changes, EventQuoteService.totals(priced));
+      }
+      return quote.update(changes, { transaction });
+    });
+  }
+
+  /**
+   * Freeze a draft and give it a link for the customer. A previously sent
+   * version the customer has not answered is superseded.
+   */
+  static async send(quote) {
+    if (quote.status !== 'draft') {
+      throw quoteError('QUOTE_LOCKED', 'Only draft quotes can be sent');
+    }
+
+    await EventQuote.sequelize.transaction(async (transaction) => {
+      await EventQuote.update(
+        { status: 'superseded' },
+        { where: { meeting_id: quote.meeting_id, status: 'sent' }, transaction }
+      );
+      await quote.update({
+        status: 'sent',
+        token: crypto.randomBytes(32).toString('hex'),
+        sent_at: new Date()
+      }, { transaction });
+    });
+
+    return { quote, url: quoteUrl(quote.token) };
+  }
+
+  /**
+   * The customer accepts: the meeting takes over the quoted total and
+   * deposit, and staff following the hotel's meetings are told.
+   */
+  static async accept(quote, name) {
+    if (!quote.isOpen()) {
+      throw quoteError('QUOTE_CLOSED', 'This quote can no longer be accepted');
+    }
+
+    const meeting = await Meeting.findByPk(quote.meeting_id);
+    await EventQuote.sequelize.transaction(async (transaction) => {
+      await quote.update({
+        status: 'accepted',
+        accepted_at: new Date(),
+        accepted_by_name: name
+      }, { transaction });
+
+      const changes = { total_cost: quote.total };
+      if (quote.deposit_amount !== null) {
+        changes.deposit_amount = quote.deposit_amount;
+      }
+      const catering = await EventQuoteLine.count({ where: { quote_id: quote.id, category: 'catering' }, transaction });
+      if (catering > 0) {
+        changes.catering_required = true;
+      }
+      await meeting.update(changes, { transaction });
+    });
+
+    await RealtimeService.publish(quote.hotel_id, 'meetings', 'meeting.quote.accepted', {
+      meeting_id: quote.meeting_id,
+      quote_id: quote.id,
+      version: quote.version,
+      total: quote.total,
+      accepted_by_name: name
+    });
+    return quote;
+  }
+
+  static async decline(quote, reason = null) {
+    if (!quote.isOpen()) {
+      throw quoteError('QUOTE_CLOSED', 'This quote can no longer be declined');
+    }
+
+    await quote.update({
+      status: 'declined',
+      declined_at: new Date(),
+      decline_reason: reason
+    });
+
+    await RealtimeService.publish(quote.hotel_id, 'meetings', 'meeting.quote.declined', {
+      meeting_id: quote.meeting_id,
+      quote_id: quote.id,
+      version: quote.version,
+      reason
+    });
+    return quote;
+  }
+}
+
+EventQuoteService.quoteUrl = quoteUrl;
+
+module.exports = EventQuoteService;
@@ -0,0 +1,112 @@
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+const BasePushProvider = require('./base-push.provider');
+
+// Reasons APNs gives for tokens that will never be deliverable again
+const INVALID_TOKEN_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+
+/**
+ * Apple Push Notification service with token-based (.p8 key) authentication.
+ * Configured with APNS_KEY_ID, APNS_TEAM_ID, APNS_PRIVATE_KEY, APNS_BUNDLE_ID
+ * and APNS_PRODUCTION=true for the production gateway.
+ */
+class APNsPushProvider extends BasePushProvider {
+  constructor(config = {}) {
+    super('apns');
+    this.keyId = config.keyId || process.env.APNS_KEY_ID;
+    this.teamId = config.teamId || process.env.APNS_TEAM_ID;
+    this.privateKey = (config.privateKey || process.env.APNS_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+    this.bundleId = config.bundleId || process.env.APNS_BUNDLE_ID;
+    this.production = config.production !== undefined
+      ? config.production
+      : process.env.APNS_PRODUCTION === 'true';
+    this.providerToken = null;
+    this.providerTokenIssuedAt = 0;
+  }
+
+  isConfigured() {
+    return !!(this.keyId && this.teamId && this.privateKey && this.bundleId);
+  }
+
+  /**
+   * Provider tokens are valid for an hour; reuse one for 50 minutes
+   */
+  getProviderToken() {
+    if (this.providerToken && Date.now() - this.providerTokenIssuedAt < 50 * 60 * 1000) {
+      return this.providerToken;
+    }
+
+    this.providerTokenIssuedAt = Date.now();
+    this.providerToken = jwt.sign(
+      { iss: this.teamId, iat: Math.floor(this.providerTokenIssuedAt / 1000) },
+      this.privateKey,
+      { algorithm: 'ES256', header: { alg: 'ES256', kid: this.keyId } }
+    );
+    return this.providerToken;
+  }
+
+  async send(token, notification) {
+    const host = this.production ? 'https://api.push.apple.com' : 'https://api.sandbox.push.apple.com';
+    const payload = JSON.stringify({
+      aps: {
+        alert: {
+          title: notification.title,
+          body: notification.body
+        },
+        sound: 'default'
+      },
+      ...this.stringifyData(notification.data)
+    });
+
+    const { status, headers, body } = await new Promise((resolve, reject) => {
+      const client = http2.connect(host);
+      client.on('error', reject);
+
+      const request = client.request({
+        ':method': 'POST',
+        ':path': `/3/device/${token}`,
+        authorization: `bearer ${this.getProviderToken()}`,
+        'apns-topic': this.bundleId,
+        'apns-push-type': 'alert',
+        'apns-priority': this.isHighPriority(notification) ? '10' : '5',
+        'content-type': 'application/json'
+      });
+
+      let responseHeaders = {};
+      let data = '';
+      request.setEncoding('utf8');
+      request.setTimeout(10000, () => request.close(http2.constants.NGHTTP2_CANCEL));
+      request.on('response', (h) => { responseHeaders = h; });
+      request.on('data', (chunk) => { data += chunk; });
+      request.on('end', () => {
+        client.close();
+        resolve({ status: responseHeaders[':status'], headers: responseHeaders, body: data });
+      });
+      request.on('error', (error) => {
+        client.close();
+        reject(error);
+      });
+
+      request.end(payload);
+    });
+
+    if (status === 200) {
+      return { success: true, messageId: headers['apns-id'] };
+    }
+
+    let reason = `APNs responded with ${status}`;
+    try {
+      reason = JSON.parse(body).reason || reason;
+    } catch (e) {
+      // Keep the status-based message
+    }
+
+    return {
+      success: false,
+      invalidToken: status === 410 || INVALID_TOKEN_REASONS.includes(reason),
+      error: reason
+    };
+  }
+}
+
+module.exports = APNsPushProvider;
@@ -0,0 +1,48 @@
+/**
+ * Base class for push providers.
+ *
+ * A provider delivers one notification to one device token and reports the
+ * outcome as { success, messageId, invalidToken, error }. invalidToken is set
+ * when the provider says the token will never work again, so it can be pruned.
+ */
+class BasePushProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the credentials this provider needs are configured
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Deliver a notification ({ title, body, data, priority }) to a device token
+   */
+  async send(token, notification) {
+    throw new Error(`${this.name} provider does not implement send()`);
+  }
+
+  /**
+   * Map notification priority to the provider's high/normal delivery priority
+   */
+  isHighPriority(notification) {
+    return ['high', 'urgent'].includes(notification.priority);
+  }
+
+  /**
+   * Providers only accept string values in custom data
+   */
+  stringifyData(data = {}) {
+    const result = {};
+    Object.entries(data || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        result[key] = typeof value === 'string' ? value : JSON.stringify(value);
+      }
+    });
+    return result;
+  }
+}
+
+module.exports = BasePushProvider;
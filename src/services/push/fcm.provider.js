@@ -0,0 +1,114 @@
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const BasePushProvider = require('./base-push.provider');
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const MESSAGING_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+/**
+ * Firebase Cloud Messaging (HTTP v1 API) for Android and FCM-registered iOS devices.
+ * Authenticates with a service account: FCM_PROJECT_ID, FCM_CLIENT_EMAIL, FCM_PRIVATE_KEY.
+ */
+class FCMPushProvider extends BasePushProvider {
+  constructor(config = {}) {
+    super('fcm');
+    this.projectId = config.projectId || process.env.FCM_PROJECT_ID;
+    this.clientEmail = config.clientEmail || process.env.FCM_CLIENT_EMAIL;
+    this.privateKey = (config.privateKey || process.env.FCM_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  isConfigured() {
+    return !!(this.projectId && this.clientEmail && this.privateKey);
+  }
+
+  /**
+   * Exchange a signed service account assertion for an OAuth access token, cached until shortly before expiry
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const assertion = jwt.sign({
+      iss: this.clientEmail,
+      scope: MESSAGING_SCOPE,
+      aud: TOKEN_URL,
+      iat: now,
+      exp: now + 3600
+    }, this.privateKey, { algorithm: 'RS256' });
+
+    const response = await axios.post(TOKEN_URL, new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000
+    });
+
+    this.accessToken = response.data.access_token;
+    this.accessTokenExpiresAt = Date.now() + (response.data.expires_in - 60) * 1000;
+    return this.accessToken;
+  }
+
+  async send(token, notification) {
+    const accessToken = await this.getAccessToken();
+    const highPriority = this.isHighPriority(notification);
+
+    try {
+      const response = await axios.post(
+        `https://fcm.googleapis.com/v1/projects/${this.projectId}/messages:send`,
+        {
+          message: {
+            token,
+            notification: {
+              title: notification.title,
+              body: notification.body
+            },
+            data: this.stringifyData(notification.data),
+            android: { priority: highPriority ? 'HIGH' : 'NORMAL' },
+            apns: { headers: { 'apns-priority': highPriority ? '10' : '5' } }
+          }
+        },
+        {
+          headers: { Authorization: `Bearer ${accessToken}` },
+          timeout: 10000
+        }
+      );
+
+      return { success: true, messageId: response.data.name };
+    } catch (error) {
+      if (!error.response) {
+        throw error;
+      }
+
+      const details = (error.response.data && error.response.data.error) || {};
+      const errorCode = (details.details || [])
+        .map(detail => detail.errorCode)
+        .find(Boolean);
+
+      return {
+        success: false,
+        invalidToken: errorCode === 'UNREGISTERED' ||
+          (errorCode === 'INVALID_ARGUMENT' && this.isTokenRejected(details)),
+        error: details.message || `FCM responded with ${error.response.status}`
+      };
+    }
+  }
+
+  /**
+   * Whether an INVALID_ARGUMENT error is about the registration token rather than
+   * the message (payload too large, bad data keys...), which says nothing about the device
+   */
+  isTokenRejected(details) {
+    const fields = (details.details || [])
+      .flatMap(detail => detail.fieldViolations || [])
+      .map(violation => violation.field);
+
+    return fields.includes('message.token') || /registration token/i.test(details.message || '');
+  }
+}
+
+module.exports = FCMPushProvider;
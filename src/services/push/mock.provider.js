@@ -0,0 +1,37 @@
+const BasePushProvider = require('./base-push.provider');
+
+/**
+ * In-memory provider for local development and tests. Every delivery is
+ * recorded in `sent`; tokens starting with "invalid" are rejected as
+ * unregistered and tokens starting with "fail" fail without being pruned.
+ */
+class MockPushProvider extends BasePushProvider {
+  constructor() {
+    super('mock');
+    this.sent = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send(token, notification) {
+    if (token.startsWith('invalid')) {
+      return { success: false, invalidToken: true, error: 'Unregistered' };
+    }
+
+    if (token.startsWith('fail')) {
+      return { success: false, invalidToken: false, error: 'Mock delivery failure' };
+    }
+
+    const messageId = `mock-${this.sent.length + 1}`;
+    this.sent.push({ token, notification, messageId, sentAt: new Date() });
+    return { success: true, messageId };
+  }
+
+  reset() {
+    this.sent = [];
+  }
+}
+
+module.exports = MockPushProvider;
@@ -0,0 +1,158 @@
+const { DeviceToken } = require('../../models');
+const FCMPushProvider = require('./fcm.provider');
+const APNsPushProvider = require('./apns.provider');
+const WebPushProvider = require('./webpush.provider');
+const MockPushProvider = require('./mock.provider');
+const CommunicationRecipientService = require('../communication/recipient.service');
+
+let providers = null;
+
+/**
+ * Provider instances are shared so cached access tokens survive between requests.
+ * PUSH_PROVIDER=mock sends everything through the mock provider.
+ */
+const getProviders = () => {
+  if (!providers) {
+    if (process.env.PUSH_PROVIDER === 'mock') {
+      const mock = new MockPushProvider();
+      providers = { fcm: mock, apns: mock, webpush: mock, mock };
+    } else {
+      providers = {
+        fcm: new FCMPushProvider(),
+        apns: new APNsPushProvider(),
+        webpush: new WebPushProvider(),
+        mock: new MockPushProvider()
+      };
+    }
+  }
+  return providers;
+};
+
+class PushService {
+  constructor(customProviders = null) {
+    this.providers = customProviders || getProviders();
+  }
+
+  /**
+   * Deliver a notification to one registered device token
+   */
+  async sendToDevice(deviceToken, notification) {
+    const provider = this.providers[deviceToken.provider];
+    if (!provider || !provider.isConfigured()) {
+      return { success: false, invalidToken: false, error: `Push provider ${deviceToken.provider} is not configured` };
+    }
+
+    try {
+      return await provider.send(deviceToken.token, notification);
+    } catch (error) {
+      return { success: false, invalidToken: false, error: error.message };
+    }
+  }
+
+  /**
+   * Deliver a push Communication to the given device tokens.
+   * Marks the communication delivered when at least one device accepted it
+   * and failed otherwise, records each guest's outcome, and deletes tokens
+   * the provider reports as invalid.
+   */
+  async deliver(communication, deviceTokens) {
+    let metadata = {};
+    try {
+      metadata = communication.metadata ? JSON.parse(communication.metadata) : {};
+    } catch (e) {
+      metadata = {};
+    }
+
+    const notification = {
+      title: communication.title,
+      body: communication.message,
+      priority: communication.priority,
+      data: {
+        ...metadata,
+        communication_id: communication.id,
+        category: communication.category
+      }
+    };
+
+    const results = [];
+    for (const deviceToken of deviceTokens) {
+      const result = await this.sendToDevice(deviceToken, notification);
+
+      if (result.success) {
+        await deviceToken.update({ last_delivered_at: new Date() });
+      } else if (result.invalidToken) {
+        await deviceToken.destroy();
+      }
+
+      results.push({
+        device_token_id: deviceToken.id,
+        provider: deviceToken.provider,
+        success: result.success,
+        pruned: !!result.invalidToken,
+        error: result.error || null
+      });
+    }
+
+    const delivered = results.filter(r => r.success).length;
+    await communication.update({
+      status: delivered > 0 ? 'delivered' : 'failed',
+      delivered_at: delivered > 0 ? new Date() : null
+    });
+
+    // Per-guest outcome: a guest counts as reached when any of their devices accepted the push
+    const guestIds = deviceTokens.map(deviceToken => deviceToken.guest_id);
+    if (communication.recipient_id) {
+      guestIds.push(communication.recipient_id);
+    }
+    const deliveredGuestIds = deviceTokens
+      .filter((deviceToken, index) => results[index].success)
+      .map(deviceToken => deviceToken.guest_id);
+    await CommunicationRecipientService.recordPushOutcome(communication, guestIds, deliveredGuestIds);
+
+    return {
+      targeted: deviceTokens.length,
+      delivered,
+      failed: results.length - delivered,
+      pruned: results.filter(r => r.pruned).length,
+      results
+    };
+  }
+
+  /**
+   * Devices a push Communication targets: the recipient guest's devices,
+   * or the registered devices matching its comma-separated device tokens
+   */
+  static resolveDevices(communication) {
+    if (communication.recipient_id) {
+      return PushService.findGuestDevices(communication.recipient_id);
+    }
+
+    const tokens = (communication.recipient_device_token || '')
+      .split(',')
+      .map(token => token.trim())
+      .filter(Boolean);
+    return PushService.findDevicesByTokens(tokens);
+  }
+
+  /**
+   * Registered devices of a guest
+   */
+  static findGuestDevices(guestId) {
+    return DeviceToken.findAll({ where: { guest_id: guestId } });
+  }
+
+  /**
+   * Registered devices matching raw tokens
+   */
+  static findDevicesByTokens(tokens) {
+    if (tokens.length === 0) {
+      return Promise.resolve([]);
+    }
+
+    return DeviceToken.findAll({
+      where: { token_hash: tokens.map(token => DeviceToken.hashToken(token)) }
+    });
+  }
+}
+
+module.exports = PushService;
@@ -0,0 +1,63 @@
+const webpush = require('web-push');
+const BasePushProvider = require('./base-push.provider');
+
+/**
+ * Web Push for browsers, signed with VAPID keys (VAPID_PUBLIC_KEY,
+ * VAPID_PRIVATE_KEY, VAPID_SUBJECT). Tokens are the JSON-serialized
+ * PushSubscription the browser returns.
+ */
+class WebPushProvider extends BasePushProvider {
+  constructor(config = {}) {
+    super('webpush');
+    this.publicKey = config.publicKey || process.env.VAPID_PUBLIC_KEY;
+    this.privateKey = config.privateKey || process.env.VAPID_PRIVATE_KEY;
+    this.subject = config.subject || process.env.VAPID_SUBJECT || 'mailto:support@hospient.com';
+  }
+
+  isConfigured() {
+    return !!(this.publicKey && this.privateKey);
+  }
+
+  async send(token, notification) {
+    let subscription;
+    try {
+      subscription = JSON.parse(token);
+    } catch (e) {
+      return { success: false, invalidToken: true, error: 'Subscription is not valid JSON' };
+    }
+
+    try {
+      const response = await webpush.sendNotification(
+        subscription,
+        JSON.stringify({
+          title: notification.title,
+          body: notification.body,
+          data: notification.data || {}
+        }),
+        {
+          vapidDetails: {
+            subject: this.subject,
+            publicKey: this.publicKey,
+            privateKey: this.privateKey
+          },
+          urgency: this.isHighPriority(notification) ? 'high' : 'normal',
+          TTL: 24 * 60 * 60
+        }
+      );
+
+      return { success: true, messageId: response.headers && response.headers.location };
+    } catch (error) {
+      if (!error.statusCode) {
+        throw error;
+      }
+
+      return {
+        success: false,
+        invalidToken: [404, 410].includes(error.statusCode),
+        error: error.body || `Push service responded with ${error.statusCode}`
+      };
+    }
+  }
+}
+
+module.exports = WebPushProvider;
@@ -0,0 +1,47 @@
+/**
+ * Base class for realtime event buses.
+ *
+ * A bus carries events from the processes that produce them (API, workers)
+ * to the process that holds the WebSocket connections. Events are plain JSON
+ * objects; subscribers receive every event published to the bus.
+ */
+class BaseBus {
+  constructor(name) {
+    this.name = name;
+    this.handlers = new Set();
+  }
+
+  /**
+   * Publish an event to every subscriber, in this process or another one
+   */
+  async publish(event) {
+    throw new Error(`${this.name} bus does not implement publish()`);
+  }
+
+  /**
+   * Receive every event published to the bus. Returns an unsubscribe function.
+   */
+  subscribe(handler) {
+    this.handlers.add(handler);
+    return () => this.handlers.delete(handler);
+  }
+
+  async close() {
+    this.handlers.clear();
+  }
+
+  /**
+   * Hand an event to local subscribers; one failing handler does not stop the others
+   */
+  dispatch(event) {
+    this.handlers.forEach(handler => {
+      try {
+        handler(event);
+      } catch (error) {
+        console.error(`Realtime ${this.name} bus handler error:`, error);
+      }
+    });
+  }
+}
+
+module.exports = BaseBus;
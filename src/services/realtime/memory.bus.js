@@ -0,0 +1,18 @@
+const BaseBus = require('./base.bus');
+
+/**
+ * Delivers events within the current process. Used when the WebSocket server
+ * runs inside the API process (REALTIME_MODE=embedded) and in development.
+ */
+class MemoryBus extends BaseBus {
+  constructor() {
+    super('memory');
+  }
+
+  async publish(event) {
+    // Asynchronous like a network bus, so publishers never run handlers inline
+    setImmediate(() => this.dispatch(event));
+  }
+}
+
+module.exports = MemoryBus;
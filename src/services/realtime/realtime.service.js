@@ -0,0 +1,83 @@
+const MemoryBus = require('./memory.bus');
+const RedisBus = require('./redis.bus');
+
+// Per-hotel topics staff dashboards subscribe to, and the permission each needs
+const TOPICS = {
+  concierge: 'concierge:read',
+  chat: 'chat:read',
+  feedback: 'communications:read',
+  meetings: 'meetings:read',
+  dining: 'restaurants:read'
+};
+
+// A publisher never waits longer than this for the bus
+const PUBLISH_TIMEOUT_MS = 2000;
+
+let bus = null;
+
+/**
+ * The bus is shared by everything in the process.
+ * REALTIME_BUS=redis publishes through REALTIME_REDIS_URL so a standalone
+ * realtime process receives the events; otherwise they stay in this process.
+ */
+const getBus = () => {
+  if (!bus) {
+    bus = process.env.REALTIME_BUS === 'redis' ? new RedisBus() : new MemoryBus();
+  }
+  return bus;
+};
+
+/**
+ * Live updates for staff dashboards. Producers publish hotel events here;
+ * NotificationWebSocketServer forwards them to the staff subscribed to the
+ * hotel's topic.
+ */
+class RealtimeService {
+  /**
+   * Publish an event (e.g. "concierge.request.created") on a hotel topic.
+   * Realtime delivery is best effort: failures are logged, never thrown, so
+   * the request that produced the event is not affected.
+   */
+  static async publish(hotelId, topic, event, data) {
+    if (!TOPICS[topic]) {
+      console.error(`Unknown realtime topic: ${topic}`);
+      return;
+    }
+
+    let timer = null;
+    try {
+      await Promise.race([
+        getBus().publish({
+          hotel_id: parseInt(hotelId),
+          topic,
+          event,
+          data,
+          timestamp: new Date().toISOString()
+        }),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('timed out')), PUBLISH_TIMEOUT_MS);
+        })
+      ]);
+    } catch (error) {
+      console.error(`Error publishing realtime event ${event}:`, error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  static subscribe(handler) {
+    return getBus().subscribe(handler);
+  }
+
+  static async close() {
+    if (bus) {
+      await bus.close();
+      bus = null;
+    }
+  }
+}
+
+RealtimeService.TOPICS = TOPICS;
+RealtimeService.getBus = getBus;
+
+module.exports = RealtimeService;
@@ -0,0 +1,72 @@
+const Redis = require('ioredis');
+const BaseBus = require('./base.bus');
+
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+/**
+ * Connection to a Redis-compatible server (Redis, Valkey, KeyDB...). The URL
+ * carries the credentials, the database and rediss: for TLS; ioredis
+ * reconnects with backoff, queues commands while offline and subscribes
+ * again after a reconnect.
+ */
+const connect = (url, name) => {
+  const client = new Redis(url, {
+    retryStrategy: attempts => Math.min(1000 * 2 ** (attempts - 1), MAX_RECONNECT_DELAY_MS)
+  });
+  client.on('error', (error) => {
+    console.error(`Realtime Redis ${name} connection error:`, error.message);
+  });
+  return client;
+};
+
+/**
+ * Carries events between processes over Redis pub/sub, so the API and
+ * workers can publish to a WebSocket server running as its own process
+ * (REALTIME_MODE=standalone). Publishing and subscribing use separate
+ * connections, opened on first use.
+ */
+class RedisBus extends BaseBus {
+  constructor(options = {}) {
+    super('redis');
+    this.url = options.url || process.env.REALTIME_REDIS_URL || 'redis://127.0.0.1:6379';
+    this.channel = options.channel || process.env.REALTIME_CHANNEL || 'hospient:realtime';
+    this.publisher = null;
+    this.subscriber = null;
+  }
+
+  async publish(event) {
+    if (!this.publisher) {
+      this.publisher = connect(this.url, 'publisher');
+    }
+    await this.publisher.publish(this.channel, JSON.stringify(event));
+  }
+
+  subscribe(handler) {
+    const unsubscribe = super.subscribe(handler);
+
+    if (!this.subscriber) {
+      this.subscriber = connect(this.url, 'subscriber');
+      this.subscriber.on('message', (channel, payload) => {
+        try {
+          this.dispatch(JSON.parse(payload));
+        } catch (error) {
+          console.error('Realtime Redis bus received an invalid event:', error.message);
+        }
+      });
+      this.subscriber.subscribe(this.channel).catch((error) => {
+        console.error('Realtime Redis subscribe failed:', error.message);
+      });
+    }
+
+    return unsubscribe;
+  }
+
+  async close() {
+    await super.close();
+    [this.publisher, this.subscriber].forEach(client => client && client.disconnect());
+    this.publisher = null;
+    this.subscriber = null;
+  }
+}
+
+module.exports = RedisBus;
@@ -1,5 +1,9 @@
 const WebSocket = require('ws');
 const jwt = require('jsonwebtoken');
+const { Member } = require('../models');
+const { resolveAccessContext } = require('../middleware/permission.middleware');
+const { hasPermission } = require('../config/permissions');
+const RealtimeService = require('../services/realtime/realtime.service');
 
 class NotificationWebSocketServer {
   constructor(server) {
@@ -10,8 +14,15 @@ class NotificationWebSocketServer {
     
     // Store active connections by guest ID
     this.connections = new Map(); // guestId -> Set of WebSocket connections
-    
+
+    // Staff dashboards: connection state and per-hotel topic subscribers
+    this.staffConnections = new Map(); // ws -> { memberId, subscriptions: Set of "hotelId:topic" }
+    this.topicSubscribers = new Map(); // "hotelId:topic" -> Set of WebSocket connections
+
     this.setupWebSocketServer();
+
+    // Hotel events published by the API and workers, locally or through Redis
+    this.unsubscribeBus = RealtimeService.subscribe(event => this.sendToTopic(event));
   }
 
   setupWebSocketServer() {
@@ -29,6 +40,12 @@ class NotificationWebSocketServer {
       const token = url.searchParams.get('token');
       const guestId = url.searchParams.get('guestId');
 
+      // Staff connect with their member token and no guestId
+      if (token && !guestId) {
+        await this.handleStaffConnection(ws, token);
+        return;
+      }
+
       console.log('🔍 WebSocket connection attempt:');
       console.log('  - Guest ID:', guestId);
       console.log('  - Token length:', token ? token.length : 0);
@@ -92,6 +109,219 @@ class NotificationWebSocketServer {
     }
   }
 
+  async handleStaffConnection(ws, token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (jwtError) {
+      ws.close(1008, 'Invalid token');
+      return;
+    }
+
+    // Guest tokens share the secret; they never open a staff connection
+    if (!decoded || decoded.type === 'guest') {
+      ws.close(1008, 'Invalid token');
+      return;
+    }
+
+    // Handlers go on before the member is looked up so that messages sent
+    // right after connecting wait for the lookup instead of being dropped
+    const connecting = this.openStaffConnection(ws, decoded.id);
+    ws.on('message', async (data) => {
+      const staff = await connecting.catch(() => null);
+      if (staff) {
+        await this.handleStaffMessage(ws, staff, data);
+      }
+    });
+    ws.on('close', () => this.removeStaffConnection(ws));
+    ws.on('error', (error) => {
+      console.error(`WebSocket error for member ${decoded.id}:`, error);
+      this.removeStaffConnection(ws);
+    });
+
+    await connecting;
+  }
+
+  // Resolves to the connection state, or null when the member may not connect
+  async openStaffConnection(ws, memberId) {
+    const member = await Member.findByPk(memberId);
+    if (!member || (member.status && member.status !== 'active')) {
+      ws.close(1008, 'Invalid token');
+      return null;
+    }
+
+    const access = await resolveAccessContext(member);
+    if (!access.organization) {
+      ws.close(1008, 'Organization not found');
+      return null;
+    }
+
+    // Closed while the member was looked up
+    if (ws.readyState !== WebSocket.OPEN) {
+      return null;
+    }
+
+    const staff = { memberId: member.id, subscriptions: new Set() };
+    this.staffConnections.set(ws, staff);
+
+    this.send(ws, 'connection', {
+      status: 'connected',
+      memberId: member.id,
+      hotelIds: access.hotelIds,
+      topics: Object.keys(RealtimeService.TOPICS).filter(topic =>
+        hasPermission(access.role, RealtimeService.TOPICS[topic])
+      ),
+      timestamp: new Date().toISOString()
+    });
+
+    console.log(`Member ${member.id} connected to WebSocket`);
+    return staff;
+  }
+
+  /**
+   * Staff messages: { type: 'subscribe' | 'unsubscribe', hotel_id, topics? }
+   * (all topics when omitted) and { type: 'ping' }.
+   */
+  async handleStaffMessage(ws, staff, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.send(ws, 'error', { message: 'Messages must be JSON' });
+      return;
+    }
+
+    try {
+      switch (message.type) {
+        case 'subscribe':
+          await this.subscribeStaff(ws, staff, message);
+          break;
+        case 'unsubscribe':
+          this.unsubscribeStaff(ws, staff, message);
+          break;
+        case 'ping':
+          this.send(ws, 'pong', { timestamp: new Date().toISOString() });
+          break;
+        default:
+          this.send(ws, 'error', { message: `Unknown message type: ${message.type}` });
+      }
+    } catch (error) {
+      console.error(`WebSocket message error for member ${staff.memberId}:`, error);
+      this.send(ws, 'error', { message: 'Error handling message' });
+    }
+  }
+
+  // Requested topics, or null when one is unknown
+  parseTopics(topics) {
+    const all = Object.keys(RealtimeService.TOPICS);
+    if (topics === undefined) {
+      return all;
+    }
+    const list = Array.isArray(topics) ? topics : [topics];
+    return list.every(topic => all.includes(topic)) ? list : null;
+  }
+
+  async subscribeStaff(ws, staff, message) {
+    const hotelId = parseInt(message.hotel_id);
+    const topics = this.parseTopics(message.topics);
+    if (!hotelId || !topics) {
+      this.send(ws, 'error', {
+        message: `hotel_id and topics (${Object.keys(RealtimeService.TOPICS).join(', ')}) are required`
+      });
+      return;
+    }
+
+    // Access is checked on every subscribe so revoked staff stop receiving events
+    const member = await Member.findByPk(staff.memberId);
+    if (!member || (member.status && member.status !== 'active')) {
+      ws.close(1008, 'Account is not active');
+      return;
+    }
+
+    const access = await resolveAccessContext(member);
+    if (!access.hotelIds.includes(hotelId)) {
+      this.send(ws, 'error', { message: 'Hotel not found or access denied', hotel_id: hotelId });
+      return;
+    }
+
+    const allowed = topics.filter(topic => hasPermission(access.role, RealtimeService.TOPICS[topic]));
+    allowed.forEach((topic) => {
+      const key = `${hotelId}:${topic}`;
+      if (!this.topicSubscribers.has(key)) {
+        this.topicSubscribers.set(key, new Set());
+      }
+      this.topicSubscribers.get(key).add(ws);
+      staff.subscriptions.add(key);
+    });
+
+    this.send(ws, 'subscribed', {
+      hotel_id: hotelId,
+      topics: allowed,
+      denied: topics.filter(topic => !allowed.includes(topic))
+    });
+  }
+
+  unsubscribeStaff(ws, staff, message) {
+    const hotelId = parseInt(message.hotel_id);
+    const topics = this.parseTopics(message.topics) || [];
+
+    topics.forEach((topic) => {
+      const key = `${hotelId}:${topic}`;
+      this.removeTopicSubscriber(key, ws);
+      staff.subscriptions.delete(key);
+    });
+
+    this.send(ws, 'unsubscribed', { hotel_id: hotelId, topics });
+  }
+
+  removeTopicSubscriber(key, ws) {
+    const subscribers = this.topicSubscribers.get(key);
+    if (subscribers) {
+      subscribers.delete(ws);
+      if (subscribers.size === 0) {
+        this.topicSubscribers.delete(key);
+      }
+    }
+  }
+
+  removeStaffConnection(ws) {
+    const staff = this.staffConnections.get(ws);
+    if (!staff) {
+      return;
+    }
+    staff.subscriptions.forEach(key => this.removeTopicSubscriber(key, ws));
+    this.staffConnections.delete(ws);
+    console.log(`Member ${staff.memberId} disconnected from WebSocket`);
+  }
+
+  // Forward a hotel event from the realtime bus to the topic's subscribers
+  sendToTopic(event) {
+    const subscribers = this.topicSubscribers.get(`${event.hotel_id}:${event.topic}`);
+    if (!subscribers) {
+      return;
+    }
+
+    const message = JSON.stringify({ type: 'event', data: event });
+    subscribers.forEach((ws) => {
+      if (ws.readyState !== WebSocket.OPEN) {
+        this.removeStaffConnection(ws);
+        return;
+      }
+      try {
+        ws.send(message);
+      } catch (error) {
+        console.error(`Error sending ${event.event} to member ${(this.staffConnections.get(ws) || {}).memberId}:`, error);
+        this.removeStaffConnection(ws);
+      }
+    });
+  }
+
+  send(ws, type, data) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type, data }));
+    }
+  }
+
   addConnection(guestId, ws) {
     if (!this.connections.has(guestId)) {
       this.connections.set(guestId, new Set());
@@ -153,9 +383,11 @@ class NotificationWebSocketServer {
   // Get connection statistics
   getStats() {
     const stats = {
-      totalConnections: 0,
+      totalConnections: this.staffConnections.size,
       uniqueGuests: this.connections.size,
-      guests: []
+      guests: [],
+      staffConnections: this.staffConnections.size,
+      topics: Array.from(this.topicSubscribers, ([key, subscribers]) => ({ key, subscribers: subscribers.size }))
     };
 
     this.connections.forEach((connections, guestId) => {
@@ -192,6 +424,15 @@ class NotificationWebSocketServer {
       });
     });
   }
+
+  // Stop listening to the bus and close every connection
+  close() {
+    this.unsubscribeBus();
+    return new Promise(resolve => {
+      this.wss.clients.forEach(ws => ws.close(1001, 'Server shutting down'));
+      this.wss.close(() => resolve());
+    });
+  }
 }
 
 module.exports = NotificationWebSocketServer; 
\ No newline at end of file
@@ -0,0 +1,66 @@
+// Background worker that sends scheduled communications and expires old ones.
+// Run under PM2 (see ecosystem.config.js) or directly: node src/workers/communication-dispatcher.js
+require('dotenv').config();
+const models = require('../models');
+const CommunicationDispatcher = require('../services/communication/dispatcher.service');
+
+const INTERVAL_MS = parseInt(process.env.COMMUNICATION_DISPATCH_INTERVAL_MS) || 60000;
+
+let timer = null;
+let running = false;
+let stopping = false;
+
+const tick = async (dispatcher) => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    const result = await dispatcher.run();
+    if (result.sent || result.expired) {
+      console.log(`Dispatcher: sent ${result.sent} (delivered ${result.delivered}, failed ${result.failed}), expired ${result.expired}`);
+    }
+  } catch (error) {
+    console.error('Dispatcher run failed:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const stop = async (signal) => {
+  if (stopping) {
+    return;
+  }
+  stopping = true;
+  console.log(`Dispatcher received ${signal}, shutting down`);
+  clearInterval(timer);
+
+  // Let an in-flight run finish before closing the connection pool
+  while (running) {
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  try {
+    await models.sequelize.close();
+  } finally {
+    process.exit(0);
+  }
+};
+
+const start = async () => {
+  await models.sequelize.authenticate();
+  console.log(`Communication dispatcher started (every ${INTERVAL_MS / 1000}s)`);
+
+  const dispatcher = new CommunicationDispatcher();
+  await tick(dispatcher);
+  timer = setInterval(() => tick(dispatcher), INTERVAL_MS);
+};
+
+process.on('SIGINT', () => stop('SIGINT'));
+process.on('SIGTERM', () => stop('SIGTERM'));
+
+start().catch((error) => {
+  console.error('Communication dispatcher failed to start:', error);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+// Standalone realtime process: serves the staff and guest WebSockets while the
+// API (REALTIME_MODE=standalone, REALTIME_BUS=redis) publishes events through Redis.
+// Run under PM2 (see ecosystem.config.js) or directly: node src/workers/realtime-server.js
+require('dotenv').config();
+const http = require('http');
+const models = require('../models');
+const NotificationWebSocketServer = require('../websocket/notificationServer');
+const RealtimeService = require('../services/realtime/realtime.service');
+
+const PORT = parseInt(process.env.REALTIME_PORT) || 3003;
+
+let server = null;
+let wsServer = null;
+let stopping = false;
+
+const stop = async (signal) => {
+  if (stopping) {
+    return;
+  }
+  stopping = true;
+  console.log(`Realtime server received ${signal}, shutting down`);
+
+  try {
+    if (wsServer) {
+      await wsServer.close();
+    }
+    if (server) {
+      await new Promise(resolve => server.close(() => resolve()));
+    }
+    await RealtimeService.close();
+    await models.sequelize.close();
+  } finally {
+    process.exit(0);
+  }
+};
+
+const start = async () => {
+  if (process.env.REALTIME_BUS !== 'redis') {
+    console.warn('REALTIME_BUS is not redis: only events published by this process will reach clients');
+  }
+
+  // Connections are authenticated against members and guests
+  await models.sequelize.authenticate();
+
+  server = http.createServer((req, res) => {
+    if (req.url === '/health') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      const stats = wsServer.getStats();
+      res.end(JSON.stringify({
+        status: 'ok',
+        connections: stats.totalConnections,
+        guests: stats.uniqueGuests,
+        staff: stats.staffConnections
+      }));
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  });
+
+  wsServer = new NotificationWebSocketServer(server);
+  server.listen(PORT, () => {
+    console.log(`Realtime server running on port ${PORT}`);
+  });
+};
+
+process.on('SIGINT', () => stop('SIGINT'));
+process.on('SIGTERM', () => stop('SIGTERM'));
+
+start().catch((error) => {
+  console.error('Realtime server failed to start:', error);
+  process.exit(1);
+});
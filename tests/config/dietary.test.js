@@ -0,0 +1,62 @@
+const { isAllergen, normalizeAllergens, normalizeDietaryTags, conflicts } = require('../../src/config/dietary');
+const { Menu } = require('../../src/models');
+
+describe('normalizeAllergens', () => {
+  it('maps codes, names and synonyms to codes', () => {
+    expect(normalizeAllergens('Milk, tree nuts; wheat | soya')).toEqual({ codes: ['milk', 'nuts', 'gluten', 'soy'], unknown: [] });
+    expect(normalizeAllergens(['eggs', 'EGG', 'sulfites'])).toEqual({ codes: ['eggs', 'sulphites'], unknown: [] });
+  });
+
+  it('declares no allergens with "none"', () => {
+    expect(normalizeAllergens('none')).toEqual({ codes: [], unknown: [] });
+  });
+
+  it('does not take object prototype keys for codes', () => {
+    expect(normalizeAllergens('constructor, __proto__, toString, hasOwnProperty')).toEqual({
+      codes: [],
+      unknown: ['constructor', '__proto__', 'tostring', 'hasownproperty']
+    });
+  });
+});
+
+describe('normalizeDietaryTags', () => {
+  it('adds the tags vegan implies', () => {
+    expect(normalizeDietaryTags('vegan, GF')).toEqual({ codes: ['vegan', 'gluten-free', 'vegetarian', 'dairy-free'], unknown: [] });
+  });
+
+  it('does not take object prototype keys for tags', () => {
+    expect(normalizeDietaryTags(['valueOf', 'constructor'])).toEqual({ codes: [], unknown: ['valueof', 'constructor'] });
+  });
+});
+
+describe('conflicts', () => {
+  it('reports tags the allergens rule out', () => {
+    expect(conflicts(['milk', 'fish'], ['vegetarian', 'dairy-free', 'halal'])).toEqual(['vegetarian: fish', 'dairy-free: milk']);
+    expect(conflicts(['milk'], ['constructor'])).toEqual([]);
+  });
+});
+
+describe('menu allergens', () => {
+  const item = values => Menu.build({
+    hotel_id: 1,
+    restaurant_id: 3,
+    tax_rate: 0,
+    item_name: 'Club sandwich',
+    item_description: '',
+    main_category: 'Mains',
+    sub_category: 'Sandwiches',
+    item_price: 1250,
+    ...values
+  });
+
+  it('knows only the allergen codes', () => {
+    expect(isAllergen('milk')).toBe(true);
+    expect(isAllergen('constructor')).toBe(false);
+  });
+
+  it('refuses prototype keys as allergens and dietary tags', async () => {
+    await expect(item({ allergens: 'milk, constructor' }).validate()).rejects.toThrow('Unknown allergen(s): constructor');
+    await expect(item({ dietary_tags: ['toString'] }).validate()).rejects.toThrow('Unknown dietary tag(s): tostring');
+    await expect(item({ allergens: 'milk', dietary_tags: 'vegetarian' }).validate()).resolves.toBeDefined();
+  });
+});
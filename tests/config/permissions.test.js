@@ -0,0 +1,38 @@
+const { ROLES, STAFF_ROLES, hasPermission } = require('../../src/config/permissions');
+
+describe('hasPermission', () => {
+  it('grants owners everything', () => {
+    expect(hasPermission(ROLES.OWNER, 'integrations:manage')).toBe(true);
+    expect(hasPermission(ROLES.OWNER, 'staff:write')).toBe(true);
+  });
+
+  it('grants every action of a resource:* permission', () => {
+    expect(hasPermission(ROLES.FRONT_DESK, 'stays:write')).toBe(true);
+    expect(hasPermission(ROLES.FRONT_DESK, 'stays:delete')).toBe(true);
+    expect(hasPermission(ROLES.FRONT_DESK, 'menus:write')).toBe(false);
+  });
+
+  it('grants an action on every resource with *:action', () => {
+    expect(hasPermission(ROLES.AUDITOR, 'stays:read')).toBe(true);
+    expect(hasPermission(ROLES.AUDITOR, 'integrations:read')).toBe(true);
+    expect(hasPermission(ROLES.AUDITOR, 'stays:write')).toBe(false);
+  });
+
+  it('grants exact permissions only for that action', () => {
+    expect(hasPermission(ROLES.CONCIERGE_AGENT, 'stays:read')).toBe(true);
+    expect(hasPermission(ROLES.CONCIERGE_AGENT, 'stays:write')).toBe(false);
+    expect(hasPermission(ROLES.SPA_MANAGER, 'stays:read')).toBe(false);
+  });
+
+  it('grants nothing to unknown roles', () => {
+    expect(hasPermission('guest', 'hotels:read')).toBe(false);
+    expect(hasPermission(undefined, 'hotels:read')).toBe(false);
+  });
+
+  it('leaves integrations to owners', () => {
+    expect(STAFF_ROLES).not.toContain(ROLES.OWNER);
+    for (const role of STAFF_ROLES) {
+      expect(hasPermission(role, 'integrations:manage')).toBe(false);
+    }
+  });
+});
@@ -0,0 +1,70 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { Guest, Member, Organization, MemberHotel } = require('../../src/models');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+/**
+ * Serve a router on a free local port. Resolves to { url, request, close },
+ * where request(path, { token, method, body }) answers { status, body }.
+ */
+const serve = (mountPath, router) => new Promise((resolve) => {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+
+  const server = app.listen(0, '127.0.0.1', () => {
+    const url = `http://127.0.0.1:${server.address().port}${mountPath}`;
+
+    const request = async (path, { token, method = 'GET', body } = {}) => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) headers.Authorization = `Bearer ${token}`;
+
+      const response = await fetch(`${url}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await response.text();
+      return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+
+    resolve({ url, request, close: () => new Promise(done => server.close(done)) });
+  });
+});
+
+/**
+ * Stub the lookups of a staff member assigned to the given hotels and sign a
+ * token for them. Use inside a test, the stubs are restored with jest.restoreAllMocks().
+ */
+const signIn = ({ id = 7, role = 'front_desk', organizationId = 9, hotelIds = [1] } = {}) => {
+  const member = Member.build({
+    id,
+    email: `member${id}@grand.test`,
+    first_name: 'Sam',
+    last_name: 'Staff',
+    organization_id: organizationId,
+    role,
+    status: 'active'
+  });
+
+  jest.spyOn(Member, 'findByPk').mockResolvedValue(member);
+  jest.spyOn(Organization, 'findByPk').mockResolvedValue(Organization.build({ id: organizationId, name: 'Grand Hotels' }));
+  jest.spyOn(MemberHotel, 'findAll').mockResolvedValue(hotelIds.map(hotelId => ({ hotel_id: hotelId })));
+
+  return jwt.sign({ id }, process.env.JWT_SECRET);
+};
+
+/**
+ * Stub the lookup of an active guest and sign a guest token for them
+ */
+const signInGuest = ({ id = 20 } = {}) => {
+  jest.spyOn(Guest, 'findByPk').mockResolvedValue(Guest.build({ id, email: `guest${id}@example.test`, is_active: true }));
+  return jwt.sign({ id, type: 'guest' }, process.env.JWT_SECRET);
+};
+
+module.exports = {
+  serve,
+  signIn,
+  signInGuest
+};
@@ -0,0 +1,90 @@
+const zlib = require('zlib');
+
+/**
+ * Zip archive of { name: content } parts, deflated unless `stored`
+ */
+const zip = (parts, { stored = false } = {}) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(parts)) {
+    const raw = Buffer.from(content);
+    const data = stored ? raw : zlib.deflateRawSync(raw);
+    const nameBuffer = Buffer.from(name);
+    const crc = zlib.crc32 ? zlib.crc32(raw) : 0;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(parts).length, 8);
+  end.writeUInt16LE(Object.keys(parts).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const columnName = index => (index >= 26 ? columnName(Math.floor(index / 26) - 1) : '') +
+  String.fromCharCode(65 + (index % 26));
+
+/**
+ * Parts of a workbook whose first sheet holds `rows`: strings go to the
+ * shared strings, numbers are numeric cells
+ */
+const workbookParts = (rows) => {
+  const strings = [];
+  const sheetRows = rows.map((cells, rowIndex) => {
+    const xml = cells.map((value, column) => {
+      const ref = `${columnName(column)}${rowIndex + 1}`;
+      if (typeof value === 'number') {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+      }
+      strings.push(value);
+      return `<c r="${ref}" t="s"><v>${strings.length - 1}</v></c>`;
+    }).join('');
+    return `<row r="${rowIndex + 1}">${xml}</row>`;
+  }).join('');
+
+  return {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8"?><Types/>',
+    'xl/workbook.xml': '<workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Menu" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/></Relationships>',
+    'xl/sharedStrings.xml': `<sst>${strings.map(value => `<si><t>${escapeXml(value)}</t></si>`).join('')}</sst>`,
+    'xl/worksheets/sheet1.xml': `<worksheet><sheetData>${sheetRows}</sheetData></worksheet>`
+  };
+};
+
+const workbook = rows => zip(workbookParts(rows));
+
+module.exports = { zip, workbook, workbookParts };
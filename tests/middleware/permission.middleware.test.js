@@ -0,0 +1,138 @@
+const { Member, Organization, Hotel, MemberHotel } = require('../../src/models');
+const { requirePermission, resolveAccessContext } = require('../../src/middleware/permission.middleware');
+
+const member = (values) => Member.build({ id: 7, organization_id: 9, status: 'active', ...values });
+
+const response = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+// Run the middleware and report whether it let the request through
+const run = async (middleware, req) => {
+  const res = response();
+  const next = jest.fn();
+  await middleware({ params: {}, query: {}, body: {}, ...req }, res, next);
+  return { passed: next.mock.calls.length === 1, res };
+};
+
+describe('permission middleware', () => {
+  beforeEach(() => {
+    jest.spyOn(Organization, 'findByPk').mockImplementation(async id => Organization.build({ id, name: 'Grand Hotels' }));
+    jest.spyOn(MemberHotel, 'findAll').mockResolvedValue([{ hotel_id: 1 }, { hotel_id: 2 }]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('resolveAccessContext', () => {
+    it('gives owners every hotel of their organization', async () => {
+      const owner = member({ role: 'owner' });
+      jest.spyOn(owner, 'getOrganization').mockResolvedValue(Organization.build({ id: 9 }));
+      jest.spyOn(Hotel, 'findAll').mockResolvedValue([{ id: 1 }, { id: 2 }, { id: 3 }]);
+
+      const context = await resolveAccessContext(owner);
+
+      expect(context).toMatchObject({ role: 'owner', hotelIds: [1, 2, 3] });
+      expect(Hotel.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { organization_id: 9 } }));
+      expect(MemberHotel.findAll).not.toHaveBeenCalled();
+    });
+
+    it('gives staff only the hotels assigned to them within their organization', async () => {
+      const context = await resolveAccessContext(member({ role: 'front_desk' }));
+
+      expect(context).toMatchObject({ role: 'front_desk', hotelIds: [1, 2] });
+      const { where, include } = MemberHotel.findAll.mock.calls[0][0];
+      expect(where).toEqual({ member_id: 7 });
+      expect(include[0].where).toEqual({ organization_id: 9 });
+    });
+
+    it('gives no hotels without an organization', async () => {
+      Organization.findByPk.mockResolvedValue(null);
+
+      expect(await resolveAccessContext(member({ role: 'front_desk' }))).toEqual({ role: 'front_desk', organization: null, hotelIds: [] });
+    });
+  });
+
+  describe('requirePermission', () => {
+    it('requires an authenticated member', async () => {
+      const { passed, res } = await run(requirePermission('stays:read'), {});
+
+      expect(passed).toBe(false);
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('sets the access context and lets permitted roles through', async () => {
+      const req = { member: member({ role: 'front_desk' }), params: {}, query: {}, body: {} };
+
+      await requirePermission('stays:write')(req, response(), jest.fn());
+
+      expect(req.role).toBe('front_desk');
+      expect(req.organization.id).toBe(9);
+      expect(req.hotelIds).toEqual([1, 2]);
+    });
+
+    it('refuses roles without the permission', async () => {
+      const { passed, res } = await run(requirePermission('menus:write'), { member: member({ role: 'front_desk' }) });
+
+      expect(passed).toBe(false);
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe('Missing permission: menus:write');
+    });
+
+    it('resolves wildcard grants', async () => {
+      expect((await run(requirePermission('integrations:read'), { member: member({ role: 'auditor' }) })).passed).toBe(true);
+      expect((await run(requirePermission('integrations:write'), { member: member({ role: 'auditor' }) })).passed).toBe(false);
+      expect((await run(requirePermission('concierge:delete'), { member: member({ role: 'concierge_agent' }) })).passed).toBe(true);
+    });
+
+    it('checks the hotel in :hotelId, ?hotel_id and body.hotel_id against the member\'s hotels', async () => {
+      const middleware = requirePermission('stays:read');
+      const staff = member({ role: 'front_desk' });
+
+      expect((await run(middleware, { member: staff, params: { hotelId: '2' } })).passed).toBe(true);
+      expect((await run(middleware, { member: staff, params: { hotelId: '3' } })).res.statusCode).toBe(403);
+      expect((await run(middleware, { member: staff, query: { hotel_id: '1' } })).passed).toBe(true);
+      expect((await run(middleware, { member: staff, query: { hotel_id: '3' } })).res.statusCode).toBe(403);
+      expect((await run(middleware, { member: staff, body: { hotel_id: 2 } })).passed).toBe(true);
+      expect((await run(middleware, { member: staff, body: { hotel_id: 3 } })).res.body.message).toBe('Hotel not found or access denied');
+    });
+
+    it('lets requests that name no hotel through', async () => {
+      expect((await run(requirePermission('stays:read'), { member: member({ role: 'front_desk' }), query: { hotel_id: '' } })).passed).toBe(true);
+    });
+
+    it('reads the hotel from the given route param only', async () => {
+      const middleware = requirePermission('stays:read', { hotelParam: 'id' });
+      const staff = member({ role: 'front_desk' });
+
+      expect((await run(middleware, { member: staff, params: { id: '3' }, query: { hotel_id: '1' } })).res.statusCode).toBe(403);
+      expect((await run(middleware, { member: staff, params: { id: '1' }, body: { hotel_id: 3 } })).passed).toBe(true);
+    });
+
+    it('refuses members without an organization', async () => {
+      Organization.findByPk.mockResolvedValue(null);
+
+      const { passed, res } = await run(requirePermission('stays:read'), { member: member({ role: 'front_desk' }) });
+
+      expect(passed).toBe(false);
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('reuses the context an earlier middleware resolved', async () => {
+      const req = { member: member({ role: 'front_desk' }), params: {}, query: {}, body: {} };
+
+      await requirePermission('stays:read')(req, response(), jest.fn());
+      await requirePermission('rooms:read')(req, response(), jest.fn());
+
+      expect(MemberHotel.findAll).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const { ConciergeCategory, ConciergeRequest, ConciergeRequestStatusHistory } = require('../../src/models');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+describe('ConciergeRequest lifecycle', () => {
+  let history;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+    history = [];
+    jest.spyOn(ConciergeRequestStatusHistory, 'create').mockImplementation(async values => history.push(values));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const request = (values) => {
+    const r = ConciergeRequest.build({ id: 50, hotel_id: 1, category_id: 1, title: 'Taxi', status: 'requested', ...values });
+    jest.spyOn(r, 'update').mockImplementation(async changes => r.set(changes));
+    return r;
+  };
+
+  describe('transitionTo', () => {
+    it('starts, completes and records each change', async () => {
+      const r = request();
+
+      await r.transitionTo('in_progress', { memberId: 7, notes: 'On it' });
+      expect(r.status).toBe('in_progress');
+      expect(r.started_at).toEqual(NOW);
+
+      jest.setSystemTime(new Date('2026-03-10T12:30:00Z'));
+      await r.transitionTo('done', { memberId: 7 });
+      expect(r.completed_at).toEqual(new Date('2026-03-10T12:30:00Z'));
+      expect(r.started_at).toEqual(NOW);
+
+      expect(history).toEqual([
+        { request_id: 50, from_status: 'requested', to_status: 'in_progress', changed_by: 7, changed_by_guest: null, notes: 'On it' },
+        { request_id: 50, from_status: 'in_progress', to_status: 'done', changed_by: 7, changed_by_guest: null, notes: null }
+      ]);
+    });
+
+    it('records guest cancellations', async () => {
+      const r = request();
+
+      await r.transitionTo('cancelled', { guestId: 20, notes: 'Plans changed' });
+
+      expect(history[0]).toMatchObject({ to_status: 'cancelled', changed_by: null, changed_by_guest: 20 });
+      expect(r.started_at).toBeUndefined();
+    });
+
+    it('refuses changes the lifecycle does not allow', async () => {
+      for (const [from, to] of [['requested', 'done'], ['done', 'in_progress'], ['cancelled', 'requested'], ['in_progress', 'requested']]) {
+        const r = request({ status: from });
+        await expect(r.transitionTo(to)).rejects.toMatchObject({
+          code: 'INVALID_TRANSITION',
+          message: `Cannot change status from ${from} to ${to}`
+        });
+        expect(r.update).not.toHaveBeenCalled();
+      }
+      expect(history).toEqual([]);
+    });
+
+    it('writes the change in the given transaction', async () => {
+      const r = request();
+      const transaction = { id: 'tx' };
+
+      await r.transitionTo('in_progress', { transaction });
+
+      expect(r.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'in_progress' }), { transaction });
+      expect(ConciergeRequestStatusHistory.create).toHaveBeenCalledWith(expect.anything(), { transaction });
+    });
+  });
+
+  describe('slaDeadlines', () => {
+    const category = ConciergeCategory.build({ id: 1, name: 'Transportation', sla_response_minutes: 15, sla_resolution_minutes: 120 });
+
+    it('counts from the creation time', () => {
+      expect(ConciergeRequest.slaDeadlines(category)).toEqual({
+        response_due_at: new Date('2026-03-10T12:15:00Z'),
+        resolution_due_at: new Date('2026-03-10T14:00:00Z')
+      });
+    });
+
+    it('counts from a later scheduled time, not an earlier one', () => {
+      expect(ConciergeRequest.slaDeadlines(category, { scheduledFor: '2026-03-11T08:00:00Z' }).response_due_at)
+        .toEqual(new Date('2026-03-11T08:15:00Z'));
+      expect(ConciergeRequest.slaDeadlines(category, { scheduledFor: '2026-03-09T08:00:00Z' }).response_due_at)
+        .toEqual(new Date('2026-03-10T12:15:00Z'));
+    });
+
+    it('sets no deadline without a target', () => {
+      expect(ConciergeRequest.slaDeadlines(ConciergeCategory.build({ name: 'Other' }))).toEqual({
+        response_due_at: null,
+        resolution_due_at: null
+      });
+    });
+  });
+
+  describe('createWithHistory', () => {
+    it('creates the request with its deadlines and first history entry', async () => {
+      jest.spyOn(ConciergeCategory, 'findByPk').mockResolvedValue(
+        ConciergeCategory.build({ id: 1, name: 'Transportation', sla_response_minutes: 15 }));
+      jest.spyOn(ConciergeRequest, 'create').mockImplementation(async values => ConciergeRequest.build({ id: 51, ...values }));
+      const transaction = { id: 'tx' };
+
+      const created = await ConciergeRequest.createWithHistory({ hotel_id: 1, category_id: 1, title: 'Taxi' }, { memberId: 7, transaction });
+
+      expect(created.response_due_at).toEqual(new Date('2026-03-10T12:15:00Z'));
+      expect(created.status).toBe('requested');
+      expect(history).toEqual([
+        { request_id: 51, from_status: null, to_status: 'requested', changed_by: 7, changed_by_guest: null, notes: null }
+      ]);
+    });
+
+    it('returns null for an unknown category', async () => {
+      jest.spyOn(ConciergeCategory, 'findByPk').mockResolvedValue(null);
+
+      expect(await ConciergeRequest.createWithHistory({ hotel_id: 1, category_id: 99, title: 'Taxi' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,230 @@
+const { Op } = require('sequelize');
+const { ConciergeCategory, ConciergeRequest, ConciergeRequestStatusHistory, Hotel } = require('../../src/models');
+const conciergeRoutes = require('../../src/routes/concierge');
+const { serve, signIn } = require('../helpers/api');
+
+const category = (values) => ConciergeCategory.build({ name: 'Transportation', ...values });
+
+describe('concierge routes', () => {
+  let api;
+  let categories;
+
+  beforeAll(async () => {
+    api = await serve('/api/concierge', conciergeRoutes);
+  });
+
+  afterAll(() => api.close());
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    categories = [
+      category({ id: 1, organization_id: null, name: 'Transportation', sla_response_minutes: 15 }),
+      category({ id: 2, organization_id: 9, name: 'Butler', sla_response_minutes: 10 }),
+      category({ id: 3, organization_id: 4, name: 'Limousine', sla_response_minutes: 5 })
+    ];
+    jest.spyOn(ConciergeCategory, 'findByPk').mockImplementation(async id =>
+      categories.find(c => c.id === parseInt(id)) || null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('categories', () => {
+    it('lists the shared categories and the organization\'s own', async () => {
+      const token = signIn();
+      jest.spyOn(ConciergeCategory, 'findAll').mockResolvedValue([]);
+
+      expect((await api.request('/categories', { token })).status).toBe(200);
+
+      const { where, include } = ConciergeCategory.findAll.mock.calls[0][0];
+      expect(where).toEqual(ConciergeCategory.visibleTo(9));
+      expect(include[0]).toMatchObject({ association: 'subCategories', where: ConciergeCategory.visibleTo(9), required: false });
+    });
+
+    it('creates categories for the member\'s organization', async () => {
+      const token = signIn();
+      jest.spyOn(ConciergeCategory, 'create').mockImplementation(async values => category({ id: 10, ...values }));
+
+      const created = await api.request('/categories', { token, method: 'POST', body: { name: 'Airport', parent_id: 1, organization_id: 4 } });
+      expect(created.status).toBe(201);
+      expect(ConciergeCategory.create).toHaveBeenCalledWith(expect.objectContaining({ organization_id: 9, parent_id: 1 }));
+
+      const foreignParent = await api.request('/categories', { token, method: 'POST', body: { name: 'Airport', parent_id: 3 } });
+      expect(foreignParent.status).toBe(400);
+    });
+
+    it('changes only the organization\'s own categories', async () => {
+      const token = signIn();
+      const own = categories[1];
+      jest.spyOn(own, 'update').mockImplementation(async values => own.set(values));
+
+      const updated = await api.request('/categories/2', { token, method: 'PUT', body: { sla_response_minutes: 20 } });
+      expect(updated.status).toBe(200);
+      expect(own.sla_response_minutes).toBe(20);
+
+      const shared = await api.request('/categories/1', { token, method: 'PUT', body: { sla_response_minutes: 1 } });
+      expect(shared.status).toBe(403);
+      expect(categories[0].sla_response_minutes).toBe(15);
+
+      const foreign = await api.request('/categories/3', { token, method: 'PUT', body: { name: 'Taken over' } });
+      expect(foreign.status).toBe(404);
+      expect(categories[2].name).toBe('Limousine');
+    });
+
+    it('keeps requests from using another organization\'s category', async () => {
+      jest.spyOn(Hotel, 'findByPk').mockResolvedValue(Hotel.build({ id: 1, organization_id: 9 }));
+      jest.spyOn(ConciergeRequest, 'create');
+
+      expect(await ConciergeRequest.createWithHistory({ hotel_id: 1, category_id: 3, title: 'Car' })).toBeNull();
+      expect(ConciergeRequest.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /requests/:id', () => {
+    it('recomputes the SLA deadlines when the request is rescheduled', async () => {
+      const token = signIn();
+      const request = ConciergeRequest.build({
+        id: 50,
+        hotel_id: 1,
+        category_id: 1,
+        title: 'Taxi to the airport',
+        status: 'requested',
+        scheduled_for: new Date('2026-03-11T08:00:00Z'),
+        response_due_at: new Date('2026-03-11T08:15:00Z'),
+        created_at: new Date('2026-03-10T12:00:00Z')
+      });
+      jest.spyOn(request, 'update').mockImplementation(async values => request.set(values));
+      jest.spyOn(ConciergeRequest, 'findByPk').mockResolvedValue(request);
+
+      const response = await api.request('/requests/50', { token, method: 'PUT', body: { scheduled_for: '2026-03-12T17:30:00Z' } });
+
+      expect(response.status).toBe(200);
+      expect(request.update).toHaveBeenCalledWith({
+        scheduled_for: '2026-03-12T17:30:00Z',
+        response_due_at: new Date('2026-03-12T17:45:00Z'),
+        resolution_due_at: null
+      });
+    });
+
+    it('measures from the creation time once the schedule is cleared', async () => {
+      const token = signIn();
+      const request = ConciergeRequest.build({
+        id: 51,
+        hotel_id: 1,
+        category_id: 2,
+        title: 'Unpack luggage',
+        status: 'requested',
+        created_at: new Date('2026-03-10T12:00:00Z')
+      });
+      jest.spyOn(request, 'update').mockImplementation(async values => request.set(values));
+      jest.spyOn(ConciergeRequest, 'findByPk').mockResolvedValue(request);
+
+      await api.request('/requests/51', { token, method: 'PUT', body: { scheduled_for: null } });
+
+      expect(request.response_due_at).toEqual(new Date('2026-03-10T12:10:00Z'));
+    });
+  });
+
+  describe('POST /requests/:id/status', () => {
+    let request;
+
+    beforeEach(() => {
+      request = ConciergeRequest.build({ id: 50, hotel_id: 1, category_id: 1, title: 'Taxi', status: 'requested' });
+      jest.spyOn(request, 'update').mockImplementation(async values => request.set(values));
+      jest.spyOn(ConciergeRequest, 'findByPk').mockResolvedValue(request);
+      jest.spyOn(ConciergeRequest.sequelize, 'transaction').mockImplementation(async callback => callback({ id: 'tx' }));
+      jest.spyOn(ConciergeRequestStatusHistory, 'create').mockResolvedValue({});
+    });
+
+    it('follows the lifecycle and records who changed it', async () => {
+      const token = signIn();
+
+      const started = await api.request('/requests/50/status', { token, method: 'POST', body: { status: 'in_progress', notes: 'On my way' } });
+
+      expect(started.status).toBe(200);
+      expect(request.started_at).toBeInstanceOf(Date);
+      expect(ConciergeRequestStatusHistory.create).toHaveBeenCalledWith(
+        expect.objectContaining({ from_status: 'requested', to_status: 'in_progress', changed_by: 7, notes: 'On my way' }),
+        { transaction: { id: 'tx' } }
+      );
+    });
+
+    it('refuses changes the lifecycle does not allow', async () => {
+      const token = signIn();
+
+      const response = await api.request('/requests/50/status', { token, method: 'POST', body: { status: 'done' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ message: 'Cannot change status from requested to done', allowed: ['in_progress', 'cancelled'] });
+      expect(request.status).toBe('requested');
+    });
+
+    it('hides requests of hotels outside the member\'s scope', async () => {
+      const token = signIn({ hotelIds: [2] });
+
+      expect((await api.request('/requests/50/status', { token, method: 'POST', body: { status: 'in_progress' } })).status).toBe(404);
+      expect(request.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /requests/sla-breaches', () => {
+    const NOW = new Date('2026-03-10T12:00:00Z');
+    const minutesAgo = minutes => new Date(NOW.getTime() - minutes * 60000);
+    const breach = values => ConciergeRequest.build({ hotel_id: 1, category_id: 1, title: 'Taxi', ...values });
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate', 'setTimeout', 'clearTimeout'] });
+    });
+
+    afterEach(() => jest.useRealTimers());
+
+    it('lists open requests past a deadline, most overdue first', async () => {
+      const token = signIn({ hotelIds: [1, 2] });
+      jest.spyOn(ConciergeRequest, 'findAll').mockResolvedValue([
+        breach({ id: 1, status: 'requested', response_due_at: minutesAgo(10), resolution_due_at: new Date('2026-03-10T13:00:00Z') }),
+        breach({ id: 2, status: 'in_progress', started_at: minutesAgo(90), response_due_at: minutesAgo(80), resolution_due_at: minutesAgo(30) }),
+        breach({ id: 3, status: 'requested', response_due_at: minutesAgo(5), resolution_due_at: minutesAgo(1) })
+      ]);
+
+      const response = await api.request('/requests/sla-breaches', { token });
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(3);
+      expect(response.body.data.map(r => [r.id, r.breaches, r.overdue_minutes])).toEqual([
+        [2, ['resolution'], 30],
+        [1, ['response'], 10],
+        [3, ['response', 'resolution'], 5]
+      ]);
+
+      const { where } = ConciergeRequest.findAll.mock.calls[0][0];
+      expect(where.hotel_id).toEqual([1, 2]);
+      expect(where[Op.or]).toHaveLength(2);
+    });
+
+    it('includes requests that were started or completed late with include_closed', async () => {
+      const token = signIn();
+      jest.spyOn(ConciergeRequest, 'findAll').mockResolvedValue([
+        breach({
+          id: 4,
+          status: 'done',
+          started_at: minutesAgo(100),
+          completed_at: minutesAgo(20),
+          response_due_at: minutesAgo(115),
+          resolution_due_at: minutesAgo(60)
+        })
+      ]);
+
+      const response = await api.request('/requests/sla-breaches?include_closed=true', { token });
+
+      expect(response.body.data[0]).toMatchObject({ id: 4, breaches: ['response', 'resolution'], overdue_minutes: 40 });
+      expect(ConciergeRequest.findAll.mock.calls[0][0].where[Op.or]).toHaveLength(4);
+    });
+
+    it('only looks at the member\'s hotels', async () => {
+      const token = signIn({ hotelIds: [1] });
+      jest.spyOn(ConciergeRequest, 'findAll').mockResolvedValue([]);
+
+      expect((await api.request('/requests/sla-breaches?hotel_id=3', { token })).status).toBe(403);
+      expect(ConciergeRequest.findAll).not.toHaveBeenCalled();
+    });
+  });
+});
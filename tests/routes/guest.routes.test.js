@@ -0,0 +1,68 @@
+const { Guest, Stay } = require('../../src/models');
+const guestRoutes = require('../../src/routes/guest.routes');
+const { serve, signIn } = require('../helpers/api');
+
+describe('guest routes', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await serve('/api/guests', guestRoutes);
+  });
+
+  afterAll(() => api.close());
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(Stay, 'findAll').mockImplementation(async ({ where }) =>
+      [].concat(where.hotel_id).includes(1) ? [{ guest_id: 20 }, { guest_id: 21 }] : []);
+    jest.spyOn(Guest, 'findAndCountAll').mockImplementation(async ({ where }) => ({
+      count: where.id.length,
+      rows: where.id.map(id => ({ id }))
+    }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('requires a staff token', async () => {
+    expect((await api.request('/')).status).toBe(401);
+    expect((await api.request('/20')).status).toBe(401);
+    expect(Guest.findAndCountAll).not.toHaveBeenCalled();
+  });
+
+  it('requires stays:read', async () => {
+    const token = signIn({ role: 'spa_manager' });
+
+    const response = await api.request('/', { token });
+
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe('Missing permission: stays:read');
+  });
+
+  it('lists only guests who stayed at the member\'s hotels', async () => {
+    const token = signIn({ hotelIds: [1, 2] });
+
+    const response = await api.request('/', { token });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual([{ id: 20 }, { id: 21 }]);
+    expect(Stay.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { hotel_id: [1, 2] } }));
+
+    expect((await api.request('/?hotel_id=2', { token })).body.data).toEqual([]);
+    expect((await api.request('/?hotel_id=3', { token })).status).toBe(403);
+  });
+
+  it('finds a guest only through a stay in scope', async () => {
+    const token = signIn({ hotelIds: [1] });
+    jest.spyOn(Stay, 'findOne').mockImplementation(async ({ where }) =>
+      where.guest_id === '20' && where.hotel_id.includes(1) ? { id: 30 } : null);
+    jest.spyOn(Guest, 'findByPk').mockImplementation(async id => ({ id: parseInt(id), passport_number: 'X123' }));
+
+    const found = await api.request('/20', { token });
+    expect(found.status).toBe(200);
+    expect(found.body.data).toEqual({ id: 20, passport_number: 'X123' });
+
+    const other = await api.request('/99', { token });
+    expect(other.status).toBe(404);
+    expect(Guest.findByPk).toHaveBeenCalledTimes(1);
+  });
+});
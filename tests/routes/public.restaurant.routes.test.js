@@ -0,0 +1,74 @@
+const { Op } = require('sequelize');
+const { Organization, Hotel, RestaurantReservation } = require('../../src/models');
+const publicRestaurantRoutes = require('../../src/routes/public.restaurant.routes');
+const { serve, signInGuest } = require('../helpers/api');
+
+// Tuesday 10 March 2026, 23:30 UTC: still the 10th in New York, already the 11th in Tokyo
+const NOW = new Date('2026-03-10T23:30:00Z');
+
+describe('public restaurant routes', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await serve('/api/public/restaurants', publicRestaurantRoutes);
+  });
+
+  afterAll(() => api.close());
+
+  beforeEach(() => {
+    jest.useFakeTimers({
+      now: NOW,
+      doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval']
+    });
+    jest.spyOn(Organization, 'findOne').mockResolvedValue(Organization.build({ id: 9, org_slug: 'grand' }));
+    jest.spyOn(Hotel, 'findAll').mockResolvedValue([
+      Hotel.build({ id: 1, timezone: 'America/New_York' }),
+      Hotel.build({ id: 2, timezone: 'Asia/Tokyo' }),
+      Hotel.build({ id: 3, timezone: 'America/Chicago' })
+    ]);
+    jest.spyOn(RestaurantReservation, 'findAll').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /:orgSlug/guest/reservations', () => {
+    it('splits upcoming and past reservations on the date where each hotel is', async () => {
+      const token = signInGuest();
+
+      expect((await api.request('/grand/guest/reservations?scope=upcoming', { token })).status).toBe(200);
+      const upcoming = RestaurantReservation.findAll.mock.calls[0][0].where;
+      expect(upcoming).toMatchObject({ guest_id: 20, hotel_id: { [Op.in]: [1, 2, 3] } });
+      expect(upcoming.status).toEqual({ [Op.in]: RestaurantReservation.BLOCKING_STATUSES });
+      expect(upcoming[Op.or]).toEqual([
+        { hotel_id: { [Op.in]: [1, 3] }, reservation_date: { [Op.gte]: '2026-03-10' } },
+        { hotel_id: { [Op.in]: [2] }, reservation_date: { [Op.gte]: '2026-03-11' } }
+      ]);
+
+      await api.request('/grand/guest/reservations?scope=past', { token });
+      const past = RestaurantReservation.findAll.mock.calls[1][0].where;
+      expect(past.status).toBeUndefined();
+      expect(past[Op.or]).toEqual([
+        { hotel_id: { [Op.in]: [1, 3] }, reservation_date: { [Op.lt]: '2026-03-10' } },
+        { hotel_id: { [Op.in]: [2] }, reservation_date: { [Op.lt]: '2026-03-11' } }
+      ]);
+    });
+
+    it('lists every reservation without a scope', async () => {
+      const token = signInGuest();
+
+      await api.request('/grand/guest/reservations', { token });
+
+      expect(RestaurantReservation.findAll.mock.calls[0][0].where).toEqual({ guest_id: 20, hotel_id: { [Op.in]: [1, 2, 3] } });
+    });
+
+    it('answers 404 for an unknown organization', async () => {
+      const token = signInGuest();
+      Organization.findOne.mockResolvedValue(null);
+
+      expect((await api.request('/nowhere/guest/reservations', { token })).status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const { Menu } = require('../../../src/models');
+const MenuImportService = require('../../../src/services/dining/menu-import.service');
+const { workbook } = require('../../helpers/xlsx');
+
+const restaurant = { id: 3, hotel_id: 1 };
+
+const csv = (text, name = 'menu.csv') => ({ originalname: name, buffer: Buffer.from(text) });
+
+const existingItem = values => Menu.build({
+  hotel_id: 1,
+  restaurant_id: 3,
+  item_description: '',
+  main_category: 'Mains',
+  sub_category: 'Sandwiches',
+  tax_rate: 10,
+  ...values
+}, { isNewRecord: false });
+
+describe('MenuImportService.import', () => {
+  let existing;
+  let saved;
+  let destroyed;
+  let transactions;
+
+  beforeEach(() => {
+    existing = [
+      existingItem({ id: 1, obj_num: '1001', item_name: 'Club sandwich', item_price: 1250 }),
+      existingItem({ id: 2, obj_num: '1002', item_name: 'Caesar salad', item_price: 1100 })
+    ];
+    saved = [];
+    destroyed = [];
+    transactions = [];
+    let nextId = 10;
+
+    jest.spyOn(Menu, 'findAll').mockImplementation(async () => existing);
+    jest.spyOn(Menu.sequelize, 'transaction').mockImplementation(async (callback) => {
+      const transaction = { id: transactions.length + 1, rolledBack: false };
+      transactions.push(transaction);
+      try {
+        return await callback(transaction);
+      } catch (error) {
+        transaction.rolledBack = true;
+        throw error;
+      }
+    });
+    jest.spyOn(Menu.prototype, 'save').mockImplementation(async function save(options) {
+      if (this.isNewRecord) {
+        this.id = nextId++;
+        this.isNewRecord = false;
+      }
+      saved.push({ menu: this, transaction: options.transaction });
+      return this;
+    });
+    jest.spyOn(Menu.prototype, 'destroy').mockImplementation(async function destroy(options) {
+      destroyed.push({ menu: this, transaction: options.transaction });
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('updates items by obj_num and adds the others from a CSV file', async () => {
+    const report = await MenuImportService.import(restaurant, csv([
+      'obj_num,item_name,item_description,main_category,sub_category,item_price,tax_rate,allergens',
+      '1001,Club sandwich,With fries,Mains,Sandwiches,13.50,10,"gluten, eggs"',
+      ',Tomato soup,Roast tomato,Starters,Soups,6.5,10,'
+    ].join('\n')));
+
+    expect(report).toMatchObject({
+      dry_run: false,
+      applied: true,
+      summary: { rows: 2, created: 1, updated: 1, deleted: 0, errors: 0 }
+    });
+    expect(report.rows).toEqual([
+      { row: 2, obj_num: '1001', item_name: 'Club sandwich', action: 'update', menu_id: 1, errors: [] },
+      expect.objectContaining({ row: 3, obj_num: null, item_name: 'Tomato soup', action: 'create', menu_id: 10, errors: [] })
+    ]);
+    expect(existing[0].item_price).toBe(1350);
+    expect(existing[0].allergens).toEqual(['gluten', 'eggs']);
+    expect(saved.map(entry => entry.menu.item_name)).toEqual(['Club sandwich', 'Tomato soup']);
+    expect(saved[1].menu).toMatchObject({ hotel_id: 1, restaurant_id: 3, item_price: 650 });
+    expect(saved.every(entry => entry.transaction === transactions[0])).toBe(true);
+  });
+
+  it('reads semicolon-separated CSV with decimal commas', async () => {
+    const report = await MenuImportService.import(restaurant, csv([
+      'Object Number;Item Name;Item Price',
+      '1002;Caesar salad;11,75'
+    ].join('\n')));
+
+    expect(report.summary).toMatchObject({ updated: 1, errors: 0 });
+    expect(existing[1].item_price).toBe(1175);
+  });
+
+  it('imports XLSX files', async () => {
+    const report = await MenuImportService.import(restaurant, {
+      originalname: 'Menu.XLSX',
+      buffer: workbook([
+        ['Object Number', 'Item Name', 'Item Description', 'Main Category', 'Sub Category', 'Item Price', 'Diet'],
+        ['1002', 'Caesar salad', 'Romaine, parmesan', 'Mains', 'Salads', 11, ''],
+        ['2001', 'Fruit plate', 'Seasonal fruit', 'Desserts', 'Fruit', 7.25, 'vegan']
+      ])
+    });
+
+    expect(report.summary).toMatchObject({ rows: 2, created: 1, updated: 1, errors: 0 });
+    expect(report.rows.map(row => [row.row, row.obj_num, row.action])).toEqual([[2, '1002', 'update'], [3, '2001', 'create']]);
+    expect(saved[1].menu.item_price).toBe(725);
+    expect(saved[1].menu.dietary_tags).toEqual(['vegan', 'vegetarian', 'dairy-free']);
+  });
+
+  it('reports without saving on a dry run', async () => {
+    const report = await MenuImportService.import(restaurant, csv([
+      'obj_num,item_name,item_price',
+      '1001,Club sandwich,14'
+    ].join('\n')), { dryRun: true, deleteMissing: true });
+
+    expect(report).toMatchObject({
+      dry_run: true,
+      applied: false,
+      summary: { updated: 1, deleted: 1 },
+      deleted: [{ id: 2, obj_num: '1002', item_name: 'Caesar salad' }]
+    });
+    expect(Menu.sequelize.transaction).not.toHaveBeenCalled();
+    expect(saved).toEqual([]);
+    expect(destroyed).toEqual([]);
+  });
+
+  it('deletes the items the file leaves out with deleteMissing', async () => {
+    const report = await MenuImportService.import(restaurant, csv('obj_num,item_name,item_price\n1001,Club sandwich,14'), { deleteMissing: true });
+
+    expect(report.applied).toBe(true);
+    expect(destroyed.map(entry => entry.menu.id)).toEqual([2]);
+    expect(destroyed[0].transaction).toBe(transactions[0]);
+  });
+
+  it('saves nothing when a row has errors', async () => {
+    const report = await MenuImportService.import(restaurant, csv([
+      'obj_num,item_name,item_description,main_category,sub_category,item_price,allergens',
+      '1001,Club sandwich,With fries,Mains,Sandwiches,13.50,',
+      '1001,Club sandwich again,With salad,Mains,Sandwiches,12,',
+      ',Mystery dish,Ask your server,Mains,Specials,abc,',
+      ',Nut cake,Walnut sponge,Desserts,Cakes,5,acorns'
+    ].join('\n')));
+
+    expect(report.applied).toBe(false);
+    expect(report.summary.errors).toBe(3);
+    expect(report.rows[1].errors).toEqual(['obj_num 1001 is already on row 2']);
+    expect(report.rows[2].errors).toEqual(['item_price "abc" is not a price']);
+    expect(report.rows[3].errors[0]).toMatch(/Unknown allergen\(s\): acorns/);
+    expect(Menu.sequelize.transaction).not.toHaveBeenCalled();
+    expect(saved).toEqual([]);
+  });
+
+  it('rolls back every change when saving fails', async () => {
+    Menu.prototype.save.mockImplementation(async function save(options) {
+      if (this.item_name === 'Tomato soup') {
+        throw new Error('Deadlock found when trying to get lock');
+      }
+      saved.push({ menu: this, transaction: options.transaction });
+      return this;
+    });
+
+    await expect(MenuImportService.import(restaurant, csv([
+      'obj_num,item_name,item_description,main_category,sub_category,item_price',
+      '1001,Club sandwich,With fries,Mains,Sandwiches,13.50',
+      ',Tomato soup,Roast tomato,Starters,Soups,6.5'
+    ].join('\n')))).rejects.toThrow('Deadlock found when trying to get lock');
+
+    expect(saved.map(entry => entry.transaction)).toEqual([transactions[0]]);
+    expect(transactions[0].rolledBack).toBe(true);
+  });
+
+  it('refuses files it cannot read with INVALID_FILE', async () => {
+    const cases = [
+      csv('item_name,item_price\nSoup,6', 'menu.txt'),
+      csv('obj_num,item_name\n', 'menu.csv'),
+      csv('colour,size\nred,XL', 'menu.csv'),
+      { originalname: 'menu.xlsx', buffer: Buffer.from('not a workbook') }
+    ];
+
+    for (const file of cases) {
+      await expect(MenuImportService.import(restaurant, file)).rejects.toMatchObject({ code: 'INVALID_FILE' });
+    }
+    expect(saved).toEqual([]);
+  });
+});
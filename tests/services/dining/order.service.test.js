@@ -0,0 +1,167 @@
+const { Menu, DiningOrder, DiningOrderItem, FolioCharge, Integration, IntegrationLog } = require('../../../src/models');
+const MenuModifierService = require('../../../src/services/dining/modifier.service');
+const DiningOrderService = require('../../../src/services/dining/order.service');
+const POSIntegrationService = require('../../../src/services/integration/pos-integration.service');
+
+const menuItem = (values) => Menu.build({
+  hotel_id: 1,
+  restaurant_id: 3,
+  item_description: '',
+  main_category: 'Mains',
+  sub_category: 'Burgers',
+  is_condiment: false,
+  ...values
+});
+
+describe('DiningOrderService.priceItem', () => {
+  const order = { hotel_id: 1, restaurant_id: 3 };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('prices lines in currency units from menu prices in cents', async () => {
+    jest.spyOn(Menu, 'findOne').mockResolvedValue(
+      menuItem({ id: 10, item_name: 'Club sandwich', item_price: 1250, tax_rate: 10, obj_num: '1001' })
+    );
+    jest.spyOn(Menu, 'findAll').mockResolvedValue([
+      menuItem({ id: 11, item_name: 'Extra bacon', item_price: 150, tax_rate: 10, is_condiment: true })
+    ]);
+    jest.spyOn(MenuModifierService, 'resolveSelections').mockResolvedValue([]);
+
+    const { restaurant_id: restaurantId, item } = await DiningOrderService.priceItem(order, {
+      menu_id: 10,
+      quantity: 2,
+      modifiers: [{ menu_id: 11, quantity: 1 }]
+    });
+
+    expect(restaurantId).toBe(3);
+    expect(item.unit_price).toBe(12.5);
+    expect(item.modifiers).toEqual([
+      expect.objectContaining({ menu_id: 11, name: 'Extra bacon', quantity: 1, unit_price: 1.5 })
+    ]);
+    expect(item.amount).toBe(28);
+    expect(item.tax_amount).toBe(2.8);
+  });
+
+  it('adds option price deltas, also in cents, to the item price', async () => {
+    jest.spyOn(Menu, 'findOne').mockResolvedValue(
+      menuItem({ id: 10, item_name: 'Club sandwich', item_price: 1250, tax_rate: 10 })
+    );
+    jest.spyOn(MenuModifierService, 'groupsFor').mockResolvedValue([{
+      id: 7,
+      name: 'Extras',
+      min_select: 0,
+      max_select: 3,
+      max_per_option: 2,
+      options: [
+        { id: 70, name: 'Cheese', price_delta: '200', is_available: true, menu_id: null, pos_item_id: null, condiment: null },
+        { id: 71, name: 'No sauce', price_delta: '0', is_available: true, menu_id: null, pos_item_id: null, condiment: null }
+      ]
+    }]);
+
+    const { item } = await DiningOrderService.priceItem(order, {
+      menu_id: 10,
+      quantity: 1,
+      modifiers: [{ option_id: 70, quantity: 2 }, { option_id: 71 }]
+    });
+
+    expect(item.modifiers.map(modifier => [modifier.name, modifier.quantity, modifier.unit_price]))
+      .toEqual([['Cheese', 2, 2], ['No sauce', 1, 0]]);
+    expect(item.amount).toBe(16.5);
+    expect(item.tax_amount).toBe(1.65);
+  });
+
+  it('refuses condiments as items', async () => {
+    jest.spyOn(Menu, 'findOne').mockResolvedValue(
+      menuItem({ id: 11, item_name: 'Extra bacon', item_price: 150, is_condiment: true })
+    );
+
+    await expect(DiningOrderService.priceItem(order, { menu_id: 11 }))
+      .rejects.toMatchObject({ code: 'INVALID_ITEM' });
+  });
+});
+
+describe('Menu.toCurrency', () => {
+  it('converts cents to currency units', () => {
+    expect(Menu.toCurrency(1250)).toBe(12.5);
+    expect(Menu.toCurrency('999')).toBe(9.99);
+    expect(Menu.toCurrency(null)).toBe(0);
+  });
+});
+
+describe('DiningOrderService.postToPos', () => {
+  let order;
+  let posted;
+  let folioCharge;
+
+  beforeEach(() => {
+    const integration = Integration.build({
+      id: 8,
+      hotel_id: 1,
+      integration_type: 'pos',
+      provider: 'micros',
+      status: 'active',
+      config: { baseUrl: 'https://pos.example.test', endpoints: { checks: '/checks' } }
+    });
+    integration.credentials = new POSIntegrationService(8).encryptCredentials({ apiKey: 'secret' });
+
+    order = DiningOrder.build({ id: 60, hotel_id: 1, stay_id: 30, guest_id: 20, room_number: '204', status: 'placed', subtotal: 20, tax_total: 2, total: 22 });
+    jest.spyOn(order, 'update').mockImplementation(async values => order.set(values));
+    posted = [];
+    folioCharge = jest.spyOn(FolioCharge, 'findOrCreate').mockResolvedValue([{}, true]);
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Integration, 'findOne').mockResolvedValue(integration);
+    jest.spyOn(Integration, 'findByPk').mockResolvedValue(integration);
+    jest.spyOn(integration, 'update').mockResolvedValue(integration);
+    jest.spyOn(IntegrationLog, 'create').mockResolvedValue({});
+    jest.spyOn(DiningOrderItem, 'findAll').mockResolvedValue([]);
+    jest.spyOn(POSIntegrationService.prototype, 'executeRequest').mockImplementation(async ({ data }) => {
+      posted.push(data);
+      return { status: 201, data: { id: 'CHK-1' } };
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('stores the check id and charges the check to the folio', async () => {
+    await DiningOrderService.postToPos(order);
+
+    expect(order).toMatchObject({ pos_status: 'posted', pos_check_id: 'CHK-1', pos_error: null });
+    expect(FolioCharge.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+      where: { stay_id: 30, source: 'pos', external_id: 'CHK-1' }
+    }));
+  });
+
+  it('keeps the check when only the folio charge fails and does not post it again on retry', async () => {
+    folioCharge.mockRejectedValueOnce(new Error('Deadlock'));
+
+    await DiningOrderService.postToPos(order);
+
+    expect(order).toMatchObject({ pos_status: 'posted', pos_check_id: 'CHK-1', pos_error: 'Folio charge failed: Deadlock' });
+    expect(order.update.mock.calls[0][0]).toMatchObject({ pos_check_id: 'CHK-1' });
+
+    await DiningOrderService.postToPos(order);
+
+    expect(posted).toHaveLength(1);
+    expect(FolioCharge.findOrCreate).toHaveBeenCalledTimes(2);
+    expect(order).toMatchObject({ pos_status: 'posted', pos_check_id: 'CHK-1', pos_error: null });
+  });
+
+  it('marks the order failed when the POS refuses the check', async () => {
+    POSIntegrationService.prototype.executeRequest.mockRejectedValue(new Error('POS unavailable'));
+
+    await DiningOrderService.postToPos(order);
+
+    expect(order).toMatchObject({ pos_status: 'failed', pos_error: 'POS unavailable' });
+    expect(order.pos_check_id).toBeFalsy();
+    expect(FolioCharge.findOrCreate).not.toHaveBeenCalled();
+  });
+
+  it('leaves posted orders alone', async () => {
+    order.set({ pos_status: 'posted', pos_check_id: 'CHK-1', pos_error: null });
+
+    await DiningOrderService.postToPos(order);
+
+    expect(Integration.findOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,159 @@
+const { Hotel, RestaurantReservation, RestaurantTable } = require('../../../src/models');
+const RealtimeService = require('../../../src/services/realtime/realtime.service');
+const RestaurantReservationService = require('../../../src/services/dining/reservation.service');
+
+// Tuesday 10 March 2026, 23:30 UTC: 19:30 in New York, already Wednesday 08:30 in Tokyo
+const NOW = new Date('2026-03-10T23:30:00Z');
+
+const restaurant = {
+  id: 3,
+  hotel_id: 1,
+  name: 'Brasserie',
+  reservation_slot_minutes: 30,
+  reservation_duration_minutes: 90,
+  covers_per_slot: null,
+  working_hours: {
+    tuesday: { open: '18:00', close: '23:00' },
+    wednesday: [{ open: '08:00', close: '11:00' }, { open: '18:00', close: '23:00' }]
+  }
+};
+
+const table = (id, name, minCovers, maxCovers) =>
+  RestaurantTable.build({ id, restaurant_id: 3, name, min_covers: minCovers, max_covers: maxCovers, is_active: true });
+
+const booking = (values) => RestaurantReservation.build({
+  restaurant_id: 3,
+  reservation_date: '2026-03-11',
+  duration_minutes: 90,
+  status: 'confirmed',
+  ...values
+});
+
+describe('RestaurantReservationService', () => {
+  let timeZone;
+  let tables;
+  let bookings;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+    timeZone = 'Asia/Tokyo';
+    tables = [table(1, 'T1', 1, 2), table(2, 'T2', 2, 4), table(3, 'T3', 4, 8)];
+    bookings = [];
+
+    jest.spyOn(Hotel, 'findByPk').mockImplementation(async () => Hotel.build({ id: 1, timezone: timeZone }));
+    jest.spyOn(RestaurantTable, 'findAll').mockImplementation(async () => tables);
+    jest.spyOn(RestaurantReservation, 'findAll').mockImplementation(async () => bookings);
+    jest.spyOn(RestaurantReservation.sequelize, 'transaction')
+      .mockImplementation(async callback => callback({ LOCK: { UPDATE: 'UPDATE' } }));
+    jest.spyOn(RestaurantReservation, 'create').mockImplementation(async values => RestaurantReservation.build({ id: 99, ...values }));
+    jest.spyOn(RealtimeService, 'publish').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('availability', () => {
+    it('leaves out times that have passed in the hotel time zone', async () => {
+      const result = await RestaurantReservationService.availability(restaurant, '2026-03-11', 2);
+
+      expect(result.slots.map(slot => slot.time)).toEqual(['08:30', '09:00', '09:30', '18:00', '18:30', '19:00', '19:30', '20:00', '20:30', '21:00', '21:30']);
+    });
+
+    it('offers none on a date that has passed there', async () => {
+      const result = await RestaurantReservationService.availability(restaurant, '2026-03-10', 2);
+
+      expect(result.slots).toEqual([]);
+    });
+
+    it('takes the date from the hotel time zone, not UTC', async () => {
+      timeZone = 'America/New_York';
+
+      const result = await RestaurantReservationService.availability(restaurant, '2026-03-10', 2);
+
+      expect(result.slots.map(slot => slot.time)).toEqual(['19:30', '20:00', '20:30', '21:00', '21:30']);
+    });
+
+    it('closes a slot once its covers reach covers_per_slot', async () => {
+      bookings = [
+        booking({ table_id: 1, start_time: '19:00:00', party_size: 2 }),
+        booking({ table_id: 3, start_time: '19:15:00', party_size: 6 })
+      ];
+
+      const paced = { ...restaurant, covers_per_slot: 10 };
+      const slots = (await RestaurantReservationService.availability(paced, '2026-03-11', 2)).slots;
+      const at = time => slots.find(slot => slot.time === time);
+
+      expect(at('19:00')).toMatchObject({ covers_booked: 8, available: true, tables_free: 1 });
+      expect((await RestaurantReservationService.availability(paced, '2026-03-11', 3)).slots
+        .find(slot => slot.time === '19:00')).toMatchObject({ covers_booked: 8, available: false });
+      expect(at('19:30')).toMatchObject({ covers_booked: 0, available: true });
+    });
+  });
+
+  describe('reserve', () => {
+    const values = { reservation_date: '2026-03-11', start_time: '19:00', party_size: 2, name: 'Anna Müller' };
+
+    it('takes the smallest free table that seats the party', async () => {
+      const reservation = await RestaurantReservationService.reserve(restaurant, values);
+
+      expect(reservation.table_id).toBe(1);
+      expect(reservation.start_time).toBe('19:00:00');
+      expect(reservation.duration_minutes).toBe(90);
+      expect(RealtimeService.publish).toHaveBeenCalledWith(1, 'dining', 'restaurant.reservation.created', expect.any(Object));
+    });
+
+    it('moves to a larger table while a smaller one is held', async () => {
+      bookings = [booking({ table_id: 1, start_time: '18:00:00', party_size: 2 })];
+
+      const reservation = await RestaurantReservationService.reserve(restaurant, values);
+
+      expect(reservation.table_id).toBe(2);
+    });
+
+    it('frees a table once the reservation before it ends', async () => {
+      bookings = [booking({ table_id: 1, start_time: '17:30:00', party_size: 2 })];
+
+      const reservation = await RestaurantReservationService.reserve(restaurant, values);
+
+      expect(reservation.table_id).toBe(1);
+    });
+
+    it('refuses a party no free table seats', async () => {
+      bookings = [booking({ table_id: 3, start_time: '19:00:00', party_size: 6 })];
+
+      await expect(RestaurantReservationService.reserve(restaurant, { ...values, party_size: 6 }))
+        .rejects.toMatchObject({ code: 'SLOT_UNAVAILABLE' });
+    });
+
+    it('holds guests to covers_per_slot but not staff', async () => {
+      bookings = [booking({ table_id: 3, start_time: '19:00:00', party_size: 6 })];
+      const paced = { ...restaurant, covers_per_slot: 7 };
+
+      await expect(RestaurantReservationService.reserve(paced, values))
+        .rejects.toMatchObject({ code: 'SLOT_UNAVAILABLE', message: '19:00 is fully booked' });
+
+      const reservation = await RestaurantReservationService.reserve(paced, values, null, { source: 'staff', memberId: 5 });
+      expect(reservation.table_id).toBe(1);
+    });
+
+    it('gives staff the table they pick', async () => {
+      const reservation = await RestaurantReservationService.reserve(restaurant, { ...values, table_id: 3 }, null, { source: 'staff' });
+
+      expect(reservation.table_id).toBe(3);
+    });
+
+    it('refuses a time that has passed in the hotel time zone', async () => {
+      await expect(RestaurantReservationService.reserve(restaurant, { ...values, start_time: '08:00' }))
+        .rejects.toMatchObject({ code: 'INVALID_SLOT', message: '08:00 on 2026-03-11 has passed' });
+      await expect(RestaurantReservationService.reserve(restaurant, { ...values, reservation_date: '2026-03-10' }))
+        .rejects.toMatchObject({ code: 'INVALID_SLOT' });
+    });
+
+    it('refuses times outside the working hours', async () => {
+      await expect(RestaurantReservationService.reserve(restaurant, { ...values, start_time: '22:00' }))
+        .rejects.toMatchObject({ code: 'INVALID_SLOT' });
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const { readXlsx } = require('../../../src/services/dining/xlsx.reader');
+const { zip, workbook, workbookParts } = require('../../helpers/xlsx');
+
+describe('readXlsx', () => {
+  it('reads the rows of the first sheet', () => {
+    const rows = readXlsx(workbook([
+      ['obj_num', 'item_name', 'item_price'],
+      ['1001', 'Club sandwich & fries', 12.5]
+    ]));
+
+    expect(rows).toEqual([
+      { row: 1, cells: ['obj_num', 'item_name', 'item_price'] },
+      { row: 2, cells: ['1001', 'Club sandwich & fries', '12.5'] }
+    ]);
+  });
+
+  it('reads stored parts', () => {
+    const rows = readXlsx(zip(workbookParts([['item_name'], ['Soup']]), { stored: true }));
+
+    expect(rows.map(row => row.cells)).toEqual([['item_name'], ['Soup']]);
+  });
+
+  it('refuses files that are not workbooks', () => {
+    expect(() => readXlsx(Buffer.from('item_name,item_price\nSoup,6'))).toThrow(expect.objectContaining({
+      code: 'INVALID_FILE',
+      message: 'The file is not an .xlsx workbook'
+    }));
+    expect(() => readXlsx(Buffer.alloc(0))).toThrow(expect.objectContaining({ code: 'INVALID_FILE' }));
+  });
+
+  it('refuses truncated and damaged workbooks', () => {
+    const file = workbook([['item_name'], ['Soup']]);
+    const end = file.length - 22;
+
+    const badDirectory = Buffer.from(file);
+    badDirectory.writeUInt32LE(file.length + 1000, end + 16);
+
+    const badCount = Buffer.from(file);
+    badCount.writeUInt16LE(60000, end + 10);
+
+    // The sheet's central directory record and its data after the local header
+    const sheet = 'xl/worksheets/sheet1.xml';
+    const central = file.indexOf(sheet, file.readUInt32LE(end + 16)) - 46;
+    const data = file.indexOf(sheet) + sheet.length;
+
+    const badLocalOffset = Buffer.from(file);
+    badLocalOffset.writeUInt32LE(0xfffffff0, central + 42);
+
+    const badSize = Buffer.from(file);
+    badSize.writeUInt32LE(file.length, central + 20);
+
+    const badData = Buffer.from(file);
+    badData.fill(0xff, data, data + 8);
+
+    for (const damaged of [badDirectory, badCount, badLocalOffset, badSize, badData, file.subarray(0, file.length - 10)]) {
+      expect(() => readXlsx(damaged)).toThrow(expect.objectContaining({ code: 'INVALID_FILE' }));
+    }
+  });
+
+  it('does not inflate parts beyond the size limit', () => {
+    const parts = workbookParts([['item_name']]);
+    parts['xl/worksheets/sheet1.xml'] = `<worksheet><sheetData>${' '.repeat(21 * 1024 * 1024)}</sheetData></worksheet>`;
+
+    expect(() => readXlsx(zip(parts))).toThrow(expect.objectContaining({
+      code: 'INVALID_FILE',
+      message: 'xl/worksheets/sheet1.xml is too large'
+    }));
+  });
+
+  it('refuses cell references beyond the last column', () => {
+    const parts = workbookParts([]);
+    parts['xl/worksheets/sheet1.xml'] = '<worksheet><sheetData><row r="1"><c r="ZZZZZZ1" t="inlineStr"><is><t>x</t></is></c></row></sheetData></worksheet>';
+
+    expect(() => readXlsx(zip(parts))).toThrow(expect.objectContaining({ code: 'INVALID_FILE' }));
+  });
+});
@@ -0,0 +1,165 @@
+const { Integration, IntegrationLog, Hotel, Guest, Stay, RoomUnit } = require('../../../src/models');
+const PMSIntegrationService = require('../../../src/services/integration/pms-integration.service');
+
+const pmsReservation = (values) => ({
+  id: 'R-100',
+  confirmation_number: 'C-100',
+  status: 'In House',
+  check_in_date: '2026-03-10',
+  check_out_date: '2026-03-12',
+  room_number: 204,
+  adults: 2,
+  guest_id: 'P-7',
+  guest: { first_name: 'Anna', last_name: 'Müller', email: 'anna@example.test' },
+  ...values
+});
+
+describe('PMSIntegrationService', () => {
+  let service;
+  let integration;
+  let responses;
+  let logs;
+
+  beforeEach(() => {
+    service = new PMSIntegrationService(5);
+    integration = Integration.build({
+      id: 5,
+      hotel_id: 1,
+      integration_type: 'pms',
+      provider: 'opera_cloud',
+      provider_name: 'opera',
+      status: 'active',
+      config: { baseUrl: 'https://pms.example.test', endpoints: { reservations: '/reservations', rooms: '/rooms' } },
+      credentials: service.encryptCredentials({ apiKey: 'secret' })
+    });
+    responses = {};
+    logs = [];
+
+    jest.spyOn(Integration, 'findByPk').mockResolvedValue(integration);
+    jest.spyOn(integration, 'update').mockResolvedValue(integration);
+    jest.spyOn(IntegrationLog, 'create').mockImplementation(async values => logs.push(values));
+    jest.spyOn(PMSIntegrationService.prototype, 'executeRequest').mockImplementation(async ({ url }) => {
+      const response = responses[new URL(url).pathname];
+      if (response instanceof Error) {
+        throw response;
+      }
+      return { status: 200, data: response };
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('syncReservations', () => {
+    let roomUnit;
+
+    beforeEach(() => {
+      roomUnit = RoomUnit.build({ id: 40, hotel_id: 1, room_number: '204', is_occupied: false });
+      jest.spyOn(roomUnit, 'update').mockResolvedValue(roomUnit);
+      jest.spyOn(Hotel, 'findByPk').mockResolvedValue(Hotel.build({ id: 1, organization_id: 9 }));
+      jest.spyOn(Hotel, 'findAll').mockResolvedValue([Hotel.build({ id: 1 }), Hotel.build({ id: 2 })]);
+      jest.spyOn(Guest, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Guest, 'create').mockImplementation(async values => Guest.build({ id: 20, ...values }));
+      jest.spyOn(RoomUnit, 'findOne').mockResolvedValue(roomUnit);
+      jest.spyOn(Stay, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Stay, 'create').mockImplementation(async values => Stay.build({ id: 30, ...values }));
+    });
+
+    it('upserts a stay for each PMS reservation and records the run', async () => {
+      responses['/reservations'] = [pmsReservation(), pmsReservation({ id: 'R-101', guest: { first_name: 'No', last_name: 'Email' } })];
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await service.syncReservations();
+
+      expect(result).toEqual({ success: true, processed: 2, successful: 1, failed: 1 });
+      expect(Stay.create).toHaveBeenCalledTimes(1);
+      expect(Stay.create.mock.calls[0][0]).toMatchObject({
+        hotel_id: 1,
+        guest_id: 20,
+        room_unit_id: 40,
+        status: 'checked_in',
+        external_reservation_id: 'R-100',
+        external_source: 'opera',
+        source: 'pms'
+      });
+      expect(roomUnit.update).toHaveBeenCalledWith({ is_occupied: true });
+      expect(integration.update).toHaveBeenCalledWith(expect.objectContaining({ sync_status: 'success' }));
+      expect(logs).toContainEqual(expect.objectContaining({
+        operation_name: 'sync_reservations',
+        status: 'success',
+        records_processed: 2,
+        records_success: 1,
+        records_failed: 1
+      }));
+    });
+
+    it('updates the stay it already has for the reservation', async () => {
+      const stay = Stay.build({ id: 30, hotel_id: 1, external_reservation_id: 'R-100', status: 'reserved' });
+      jest.spyOn(stay, 'update').mockImplementation(async values => stay.set(values));
+      Stay.findOne.mockResolvedValue(stay);
+      responses['/reservations'] = [pmsReservation({ status: 'checked_out' })];
+
+      const result = await service.syncReservations();
+
+      expect(result.successful).toBe(1);
+      expect(Stay.create).not.toHaveBeenCalled();
+      expect(stay.status).toBe('checked_out');
+      expect(roomUnit.update).toHaveBeenCalledWith({ is_occupied: false });
+    });
+
+    it('fails with the PMS error and records the run as failed', async () => {
+      responses['/reservations'] = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+      await expect(service.syncReservations()).rejects.toThrow('connect ECONNREFUSED');
+
+      expect(integration.update).toHaveBeenCalledWith(expect.objectContaining({ sync_status: 'failed' }));
+      expect(logs).toContainEqual(expect.objectContaining({
+        operation_name: 'sync_reservations',
+        status: 'failed',
+        error_message: 'connect ECONNREFUSED'
+      }));
+    });
+  });
+
+  describe('syncRoomStatus', () => {
+    it('applies PMS housekeeping statuses to the room units', async () => {
+      const roomUnit = RoomUnit.build({ id: 40, hotel_id: 1, room_number: '204', housekeeping_status: 'clean' });
+      jest.spyOn(roomUnit, 'update').mockImplementation(async values => roomUnit.set(values));
+      jest.spyOn(RoomUnit, 'findOrCreate').mockResolvedValue([roomUnit, false]);
+      responses['/rooms'] = [{ room_number: 204, floor: 2, housekeeping_status: 'Vacant Dirty', is_occupied: false }];
+
+      const result = await service.syncRoomStatus();
+
+      expect(result).toEqual({ success: true, processed: 1, updated: 1, failed: 0 });
+      expect(roomUnit).toMatchObject({ housekeeping_status: 'dirty', floor: '2', status_source: 'pms' });
+    });
+
+    it('fails with the PMS error and logs it', async () => {
+      responses['/rooms'] = Object.assign(new Error('Request failed with status code 503'), { code: 'ERR_BAD_RESPONSE' });
+
+      await expect(service.syncRoomStatus()).rejects.toThrow('Request failed with status code 503');
+
+      expect(integration.update).toHaveBeenCalledWith(expect.objectContaining({ sync_status: 'failed' }));
+      expect(logs).toContainEqual(expect.objectContaining({
+        operation_name: 'get_room_status',
+        status: 'failed',
+        error_message: 'Request failed with status code 503',
+        error_code: 'ERR_BAD_RESPONSE'
+      }));
+      expect(logs).toContainEqual(expect.objectContaining({ operation_name: 'sync_room_status', status: 'failed' }));
+    });
+  });
+
+  describe('PMS request errors', () => {
+    it('are logged and rethrown', async () => {
+      responses['/api/guests/P-7'] = new Error('Guest not found');
+      responses['/api/requests'] = new Error('Request rejected');
+
+      await expect(service.getGuestInfo('P-7')).rejects.toThrow('Guest not found');
+      await expect(service.updateGuestInfo('P-7', { phone: '+100' })).rejects.toThrow('Guest not found');
+      await expect(service.sendRequest({ guestId: 'P-7', title: 'Towels' })).rejects.toThrow('Request rejected');
+
+      expect(logs.filter(log => log.operation_type === 'api_call' && log.status === 'failed').map(log => log.operation_name))
+        .toEqual(['get_guest_info', 'update_guest_info', 'send_request']);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SMTPServer } = require('smtp-server');
+const FileMailTransport = require('../../../src/services/mail/file.transport');
+const SmtpMailTransport = require('../../../src/services/mail/smtp.transport');
+
+const message = {
+  from: 'Grand Hotel <events@grand.test>',
+  to: 'Anna Müller <anna@example.test>',
+  subject: 'Réunion confirmée',
+  text: 'Your meeting is confirmed.\n.\nSee you soon.',
+  html: '<p>Your meeting is confirmed.</p>',
+  replyTo: 'sales@grand.test',
+  attachments: [{
+    filename: 'invite.ics',
+    contentType: 'text/calendar; method=REQUEST',
+    content: 'BEGIN:VCALENDAR\r\nMETHOD:REQUEST\r\nEND:VCALENDAR\r\n'
+  }]
+};
+
+describe('FileMailTransport', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'mail-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  it('writes the message as an .eml file', async () => {
+    const transport = new FileMailTransport({ directory });
+
+    const result = await transport.send(message);
+
+    expect(result.success).toBe(true);
+    expect(result.messageId).toMatch(/@grand\.test>$/);
+    expect(transport.sent).toHaveLength(1);
+
+    const eml = await fs.promises.readFile(transport.sent[0].file, 'utf8');
+    expect(path.extname(transport.sent[0].file)).toBe('.eml');
+    expect(eml).toContain(`Message-ID: ${result.messageId}`);
+    expect(eml).toContain('Subject: =?UTF-8?Q?R=C3=A9union_confirm=C3=A9e?=');
+    expect(eml).toContain('Reply-To: sales@grand.test');
+    expect(eml).toContain('Content-Type: multipart/alternative');
+    expect(eml).toContain('Content-Type: text/calendar; method=REQUEST; name=invite.ics');
+    expect(eml).toContain('Content-Disposition: attachment; filename=invite.ics');
+  });
+
+  it('keeps the sent messages until reset', async () => {
+    const transport = new FileMailTransport({ directory });
+
+    await transport.send(message);
+    transport.reset();
+
+    expect(transport.sent).toEqual([]);
+  });
+});
+
+describe('SmtpMailTransport', () => {
+  let server;
+  let port;
+  let received;
+
+  const startServer = (options = {}) => new Promise((resolve) => {
+    received = [];
+    server = new SMTPServer({
+      disabledCommands: ['STARTTLS'],
+      authOptional: true,
+      allowInsecureAuth: true,
+      logger: false,
+      onData(stream, session, callback) {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          received.push({
+            from: session.envelope.mailFrom.address,
+            to: session.envelope.rcptTo.map(rcpt => rcpt.address),
+            user: session.user,
+            data: Buffer.concat(chunks).toString('utf8')
+          });
+          callback();
+        });
+      },
+      ...options
+    });
+    server.listen(0, '127.0.0.1', () => {
+      port = server.server.address().port;
+      resolve();
+    });
+  });
+
+  afterEach(() => new Promise(resolve => server.close(resolve)));
+
+  it('delivers the message to the server', async () => {
+    await startServer();
+    const transport = new SmtpMailTransport({ host: '127.0.0.1', port, secure: false });
+
+    const result = await transport.send(message);
+
+    expect(result.success).toBe(true);
+    expect(received).toHaveLength(1);
+    expect(received[0].from).toBe('events@grand.test');
+    expect(received[0].to).toEqual(['anna@example.test']);
+    expect(received[0].data).toContain(`Message-ID: ${result.messageId}`);
+    expect(received[0].data).toContain('Your meeting is confirmed.\r\n.\r\nSee you soon.');
+    expect(received[0].data).toContain('filename=invite.ics');
+  });
+
+  it('logs in with the configured user', async () => {
+    await startServer({
+      authOptional: false,
+      onAuth(auth, session, callback) {
+        if (auth.username === 'hotel' && auth.password === 'secret') {
+          return callback(null, { user: auth.username });
+        }
+        return callback(new Error('Invalid username or password'));
+      }
+    });
+
+    const transport = new SmtpMailTransport({ host: '127.0.0.1', port, secure: false, user: 'hotel', password: 'secret' });
+    await transport.send(message);
+    expect(received[0].user).toBe('hotel');
+
+    const rejected = new SmtpMailTransport({ host: '127.0.0.1', port, secure: false, user: 'hotel', password: 'wrong' });
+    await expect(rejected.send(message)).rejects.toThrow(/Invalid username or password/);
+  });
+
+  it('is configured only with a host', () => {
+    expect(new SmtpMailTransport({ host: 'smtp.example.test' }).isConfigured()).toBe(true);
+    expect(new SmtpMailTransport({ host: '' }).isConfigured()).toBe(false);
+  });
+});
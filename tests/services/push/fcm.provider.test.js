@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const FCMPushProvider = require('../../../src/services/push/fcm.provider');
+
+const { privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+const notification = { title: 'Your room is ready', body: 'Room 204', priority: 'high', data: { stay_id: 30 } };
+
+// An axios error as FCM answers a rejected message
+const fcmError = (status, error) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data: { error } }
+});
+
+describe('FCMPushProvider.send', () => {
+  let provider;
+  let sendResponse;
+
+  beforeEach(() => {
+    provider = new FCMPushProvider({ projectId: 'grand-hotel', clientEmail: 'push@grand-hotel.iam.test', privateKey });
+    sendResponse = async () => ({ data: { name: 'projects/grand-hotel/messages/1' } });
+
+    jest.spyOn(axios, 'post').mockImplementation(async (url, body) => {
+      if (url === 'https://oauth2.googleapis.com/token') {
+        return { data: { access_token: 'access-token', expires_in: 3600 } };
+      }
+      return sendResponse(body);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('sends the message with a cached access token', async () => {
+    expect(await provider.send('device-token', notification)).toEqual({
+      success: true,
+      messageId: 'projects/grand-hotel/messages/1'
+    });
+    await provider.send('device-token', notification);
+
+    const sends = axios.post.mock.calls.filter(([url]) => url.startsWith('https://fcm.googleapis.com/'));
+    expect(axios.post.mock.calls.length - sends.length).toBe(1);
+    expect(sends[0][0]).toBe('https://fcm.googleapis.com/v1/projects/grand-hotel/messages:send');
+    expect(sends[0][1].message).toMatchObject({
+      token: 'device-token',
+      data: { stay_id: '30' },
+      android: { priority: 'HIGH' }
+    });
+    expect(sends[0][2].headers).toEqual({ Authorization: 'Bearer access-token' });
+  });
+
+  it('reports unregistered tokens as invalid', async () => {
+    sendResponse = async () => {
+      throw fcmError(404, {
+        message: 'Requested entity was not found.',
+        details: [{ errorCode: 'UNREGISTERED' }]
+      });
+    };
+
+    expect(await provider.send('device-token', notification)).toEqual({
+      success: false,
+      invalidToken: true,
+      error: 'Requested entity was not found.'
+    });
+  });
+
+  it('reports tokens FCM rejects as malformed as invalid', async () => {
+    sendResponse = async () => {
+      throw fcmError(400, {
+        message: 'Invalid value at \'message.token\'',
+        details: [
+          { errorCode: 'INVALID_ARGUMENT' },
+          { fieldViolations: [{ field: 'message.token', description: 'Invalid registration token' }] }
+        ]
+      });
+    };
+
+    expect((await provider.send('device-token', notification)).invalidToken).toBe(true);
+  });
+
+  it('keeps the token when the message itself is invalid', async () => {
+    sendResponse = async () => {
+      throw fcmError(400, {
+        message: 'Android message is too big',
+        details: [{ errorCode: 'INVALID_ARGUMENT' }]
+      });
+    };
+
+    expect(await provider.send('device-token', notification)).toEqual({
+      success: false,
+      invalidToken: false,
+      error: 'Android message is too big'
+    });
+  });
+
+  it('keeps the token on server errors and rethrows network errors', async () => {
+    sendResponse = async () => {
+      throw fcmError(503, { message: 'The service is currently unavailable.', details: [{ errorCode: 'UNAVAILABLE' }] });
+    };
+    expect((await provider.send('device-token', notification)).invalidToken).toBe(false);
+
+    sendResponse = async () => {
+      throw Object.assign(new Error('getaddrinfo ENOTFOUND fcm.googleapis.com'), { code: 'ENOTFOUND' });
+    };
+    await expect(provider.send('device-token', notification)).rejects.toThrow('ENOTFOUND');
+  });
+});
@@ -0,0 +1,118 @@
+const { Communication, CommunicationRecipient, DeviceToken } = require('../../../src/models');
+const PushService = require('../../../src/services/push/push.service');
+const MockPushProvider = require('../../../src/services/push/mock.provider');
+
+const device = (id, guestId, token, provider = 'fcm') => {
+  const deviceToken = DeviceToken.build({ id, guest_id: guestId, platform: 'android', provider, token });
+  jest.spyOn(deviceToken, 'update').mockImplementation(async values => deviceToken.set(values));
+  jest.spyOn(deviceToken, 'destroy').mockResolvedValue();
+  return deviceToken;
+};
+
+describe('PushService.deliver', () => {
+  let mock;
+  let service;
+  let communication;
+
+  beforeEach(() => {
+    // The providers PUSH_PROVIDER=mock sets up
+    mock = new MockPushProvider();
+    service = new PushService({ fcm: mock, apns: mock, webpush: mock, mock });
+
+    communication = Communication.build({
+      id: 80,
+      hotel_id: 1,
+      type: 'push',
+      title: 'Your room is ready',
+      message: 'Room 204 is ready for you.',
+      priority: 'high',
+      category: 'stay',
+      metadata: JSON.stringify({ stay_id: 30 }),
+      status: 'sent'
+    });
+    jest.spyOn(communication, 'update').mockImplementation(async values => communication.set(values));
+    jest.spyOn(CommunicationRecipient, 'bulkCreate').mockResolvedValue([]);
+    jest.spyOn(CommunicationRecipient, 'update').mockResolvedValue([1]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('sends the communication to every device and marks it delivered', async () => {
+    const devices = [device(1, 20, 'token-a'), device(2, 21, 'token-b', 'apns')];
+
+    const result = await service.deliver(communication, devices);
+
+    expect(result).toMatchObject({ targeted: 2, delivered: 2, failed: 0, pruned: 0 });
+    expect(mock.sent.map(sent => sent.token)).toEqual(['token-a', 'token-b']);
+    expect(mock.sent[0].notification).toEqual({
+      title: 'Your room is ready',
+      body: 'Room 204 is ready for you.',
+      priority: 'high',
+      data: { stay_id: 30, communication_id: 80, category: 'stay' }
+    });
+    expect(communication.status).toBe('delivered');
+    expect(communication.delivered_at).toBeInstanceOf(Date);
+    expect(devices[0].last_delivered_at).toBeInstanceOf(Date);
+    expect(CommunicationRecipient.update).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'delivered' }),
+      expect.objectContaining({ where: expect.objectContaining({ communication_id: 80 }) })
+    );
+  });
+
+  it('counts a communication delivered when any device accepts it', async () => {
+    const devices = [device(1, 20, 'fail-a'), device(2, 20, 'token-b')];
+
+    const result = await service.deliver(communication, devices);
+
+    expect(result).toMatchObject({ delivered: 1, failed: 1, pruned: 0 });
+    expect(result.results[0]).toEqual({
+      device_token_id: 1,
+      provider: 'fcm',
+      success: false,
+      pruned: false,
+      error: 'Mock delivery failure'
+    });
+    expect(communication.status).toBe('delivered');
+    expect(devices[0].destroy).not.toHaveBeenCalled();
+  });
+
+  it('marks the communication failed when no device accepts it', async () => {
+    const result = await service.deliver(communication, [device(1, 20, 'fail-a')]);
+
+    expect(result).toMatchObject({ delivered: 0, failed: 1 });
+    expect(communication.status).toBe('failed');
+    expect(communication.delivered_at).toBeNull();
+    expect(CommunicationRecipient.update).toHaveBeenCalledWith({ status: 'failed' }, expect.anything());
+  });
+
+  it('deletes the tokens the provider reports as invalid', async () => {
+    const devices = [device(1, 20, 'invalid-a'), device(2, 21, 'token-b')];
+
+    const result = await service.deliver(communication, devices);
+
+    expect(result.pruned).toBe(1);
+    expect(result.results[0]).toMatchObject({ success: false, pruned: true, error: 'Unregistered' });
+    expect(devices[0].destroy).toHaveBeenCalled();
+    expect(devices[1].destroy).not.toHaveBeenCalled();
+  });
+
+  it('keeps tokens when the provider is not configured or throws', async () => {
+    const throwing = new MockPushProvider();
+    throwing.send = jest.fn().mockRejectedValue(new Error('socket hang up'));
+    const unconfigured = new MockPushProvider();
+    unconfigured.isConfigured = () => false;
+    service = new PushService({ fcm: throwing, apns: unconfigured });
+    const devices = [device(1, 20, 'token-a'), device(2, 21, 'token-b', 'apns'), device(3, 22, 'token-c', 'webpush')];
+
+    const result = await service.deliver(communication, devices);
+
+    expect(result.results.map(r => r.error)).toEqual([
+      'socket hang up',
+      'Push provider apns is not configured',
+      'Push provider webpush is not configured'
+    ]);
+    expect(result.pruned).toBe(0);
+    expect(devices.some(d => d.destroy.mock.calls.length > 0)).toBe(false);
+    expect(communication.status).toBe('failed');
+  });
+});
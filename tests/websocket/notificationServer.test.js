@@ -0,0 +1,88 @@
+const http = require('http');
+const WebSocket = require('ws');
+const { Member } = require('../../src/models');
+const NotificationWebSocketServer = require('../../src/websocket/notificationServer');
+const { signIn } = require('../helpers/api');
+
+describe('NotificationWebSocketServer staff connections', () => {
+  let server;
+  let notifications;
+  let url;
+
+  beforeAll(async () => {
+    server = http.createServer();
+    notifications = new NotificationWebSocketServer(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${server.address().port}/ws/notifications`;
+  });
+
+  afterAll(async () => {
+    notifications.unsubscribeBus();
+    await new Promise(resolve => notifications.wss.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  // Open a connection and collect its messages; next(type) waits for one
+  const connect = (token) => {
+    const ws = new WebSocket(`${url}?token=${token}`);
+    const received = [];
+    const waiting = [];
+    ws.on('message', (data) => {
+      received.push(JSON.parse(data.toString()));
+      waiting.splice(0).forEach(check => check());
+    });
+    const next = type => new Promise((resolve) => {
+      const check = () => {
+        const message = received.find(candidate => candidate.type === type);
+        if (message) {
+          resolve(message);
+        } else {
+          waiting.push(check);
+        }
+      };
+      check();
+    });
+    return { ws, received, next, opened: new Promise(resolve => ws.on('open', resolve)) };
+  };
+
+  it('handles messages sent before the member lookup finished', async () => {
+    const token = signIn({ hotelIds: [1] });
+    const member = await Member.findByPk(7);
+    let lookedUp;
+    Member.findByPk.mockImplementationOnce(() => new Promise((resolve) => {
+      lookedUp = () => resolve(member);
+    }));
+
+    const client = connect(token);
+    await client.opened;
+    client.ws.send(JSON.stringify({ type: 'subscribe', hotel_id: 1, topics: ['concierge'] }));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    lookedUp();
+
+    const subscribed = await client.next('subscribed');
+    expect(subscribed.data).toEqual({ hotel_id: 1, topics: ['concierge'], denied: [] });
+    expect((await client.next('connection')).data.memberId).toBe(7);
+
+    client.ws.close();
+  });
+
+  it('ignores messages of members who may not connect', async () => {
+    const token = signIn();
+    Member.findByPk.mockResolvedValue(null);
+
+    const client = connect(token);
+    await client.opened;
+    client.ws.send(JSON.stringify({ type: 'ping' }));
+
+    const [code] = await new Promise(resolve => client.ws.on('close', (...args) => resolve(args)));
+    expect(code).toBe(1008);
+    expect(client.received).toEqual([]);
+    expect(notifications.staffConnections.size).toBe(0);
+  });
+});